@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Accounts created before email verification existed have no emailVerified field and read as unverified,
+// which would lock them out of checkout once REQUIRE_EMAIL_VERIFICATION is turned on. Run once before enabling it.
+const backfillEmailVerified = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/ecommerce');
+    console.log('Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`✅ Marked ${result.modifiedCount} existing account(s) as verified`);
+
+    await mongoose.connection.close();
+    console.log('\nDisconnected from MongoDB');
+  } catch (error) {
+    console.error('Error backfilling email verification:', error);
+    process.exit(1);
+  }
+};
+
+backfillEmailVerified();
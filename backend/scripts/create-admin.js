@@ -14,30 +14,41 @@ const createAdmin = async () => {
     
     console.log('Connected to MongoDB');
     
-    // Admin user details
-    const adminEmail = 'admin@example.com';
-    const adminPassword = 'Admin@123456';
+    // Admin user details come from the environment so no password is kept in the repo
+    const adminEmail = process.env.ADMIN_EMAIL || 'admin@example.com';
+    const adminPassword = process.env.ADMIN_PASSWORD;
     
     // Check if admin already exists
     let admin = await User.findOne({ email: adminEmail });
     
     if (admin) {
-      console.log('Admin user already exists');
+      // Promote an existing account instead of creating a second one
+      if (admin.role !== 'admin') {
+        admin.role = 'admin';
+        await admin.save();
+        console.log('✅ Existing user promoted to admin');
+      } else {
+        console.log('Admin user already exists');
+      }
       console.log(`Email: ${admin.email}`);
       console.log(`Role: ${admin.role}`);
     } else {
+      if (!adminPassword || adminPassword.length < 8) {
+        throw new Error('Set ADMIN_PASSWORD (at least 8 characters) to create the admin user');
+      }
+
       // Create new admin user
       admin = new User({
         name: 'Admin User',
         email: adminEmail,
         password: adminPassword,
-        role: 'admin'
+        role: 'admin',
+        emailVerified: true
       });
       
       await admin.save();
       console.log('✅ Admin user created successfully!');
       console.log(`Email: ${adminEmail}`);
-      console.log(`Password: ${adminPassword}`);
       console.log(`Role: ${admin.role}`);
     }
     
@@ -7,32 +7,50 @@ import userRoutes from "./src/routes/userRoutes.js";
 import orderRoutes from "./src/routes/orderRoutes.js";
 import cartRoutes from "./src/routes/cartRoutes.js";
 import paymentRoutes from "./src/routes/paymentRoutes.js";
+import couponRoutes from "./src/routes/couponRoutes.js";
+import taxRuleRoutes from "./src/routes/taxRuleRoutes.js";
+import shippingRoutes from "./src/routes/shippingRoutes.js";
 import { errorHandler, notFound } from "./src/middlewares/errorHandler.js";
+import { parseTrustProxy } from "./src/middlewares/rateLimit.js";
+import { startReservationSweeper } from "./src/jobs/reservationSweeper.js";
+import StorageAdapterFactory from "./src/strategies/storage/StorageAdapterFactory.js";
 
 dotenv.config();
 connectDB();
 
 const app = express();
 
+// req.ip (and so rate limiting) must see the client behind any reverse proxy
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(cors());
+// Stripe webhook requires the raw body for signature verification,
+// so it must be registered before the JSON parser
+app.use("/api/payments/webhook", express.raw({ type: "application/json" }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Stripe webhook requires raw body for signature verification
-// We'll handle this in the payment routes middleware
-
 // Health check route
 app.get("/api/health", (req, res) => {
   res.json({ success: true, message: "Server is running" });
 });
 
+// Uploaded product images, when they are kept on local disk
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+  const { rootDir, baseUrl } = StorageAdapterFactory.getLocalConfig();
+  app.use(baseUrl, express.static(rootDir, { maxAge: "7d" }));
+}
+
 // Routes
 app.use("/api/products", productRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/tax-rules", taxRuleRoutes);
+app.use("/api/shipping", shippingRoutes);
 
 // Error handling middleware (must be last)
 app.use(notFound);
@@ -43,3 +61,6 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
 });
+
+// Release stock held by card orders that were never paid
+startReservationSweeper();
@@ -0,0 +1,50 @@
+import addressService from "../services/addressService.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+class AddressController {
+  // Get the signed-in user's saved addresses
+  getAddresses = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const addresses = await addressService.list(userId);
+    res.json({
+      success: true,
+      count: addresses.length,
+      data: addresses
+    });
+  });
+
+  // Save a new address
+  createAddress = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const addresses = await addressService.create(userId, req.body || {});
+    res.status(201).json({
+      success: true,
+      message: "Address saved successfully",
+      data: addresses
+    });
+  });
+
+  // Edit a saved address or make it the default
+  updateAddress = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const addresses = await addressService.update(userId, req.params.addressId, req.body || {});
+    res.json({
+      success: true,
+      message: "Address updated successfully",
+      data: addresses
+    });
+  });
+
+  // Remove a saved address
+  deleteAddress = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const addresses = await addressService.remove(userId, req.params.addressId);
+    res.json({
+      success: true,
+      message: "Address deleted successfully",
+      data: addresses
+    });
+  });
+}
+
+export default new AddressController();
@@ -1,10 +1,13 @@
 import authService from "../services/authService.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
+// Device details stored with each refresh token
+const getSessionContext = (req) => ({ userAgent: req.headers?.["user-agent"], ip: req.ip });
+
 class AuthController {
   // Register new user
   register = asyncHandler(async (req, res) => {
-    const result = await authService.register(req.body);
+    const result = await authService.register(req.body, getSessionContext(req));
     res.status(201).json({
       success: true,
       message: "User registered successfully",
@@ -15,7 +18,18 @@ class AuthController {
   // Login user
   login = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
-    const result = await authService.login(email, password);
+    const result = await authService.login(email, password, getSessionContext(req));
+    res.json({
+      success: true,
+      message: result.twoFactorRequired ? "Enter the code from your authenticator app" : "Login successful",
+      data: result
+    });
+  });
+
+  // Second step of a two-factor sign-in
+  verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { preAuthToken, code } = req.body || {};
+    const result = await authService.completeTwoFactorLogin(preAuthToken, code, getSessionContext(req));
     res.json({
       success: true,
       message: "Login successful",
@@ -23,6 +37,64 @@ class AuthController {
     });
   });
 
+  // Exchange a refresh token for a new access token and refresh token
+  refresh = asyncHandler(async (req, res) => {
+    const result = await authService.refreshSession(req.body?.refreshToken, getSessionContext(req));
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Verify the email address from the emailed link
+  verifyEmail = asyncHandler(async (req, res) => {
+    const user = await authService.verifyEmail(req.query.token);
+    res.json({
+      success: true,
+      message: "Email address verified",
+      data: { email: user.email, emailVerified: user.emailVerified }
+    });
+  });
+
+  // Lift a login lockout from the link in the lockout email
+  unlockAccount = asyncHandler(async (req, res) => {
+    const user = await authService.unlockAccount(req.query.token, getSessionContext(req));
+    res.json({
+      success: true,
+      message: "Your account has been unlocked. You can now log in",
+      data: { email: user.email }
+    });
+  });
+
+  // Send another verification email to the signed-in user
+  resendVerification = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    await authService.resendVerificationEmail(userId);
+    res.json({
+      success: true,
+      message: "Verification email sent"
+    });
+  });
+
+  // Request a password reset email; the response is the same whether or not the account exists
+  forgotPassword = asyncHandler(async (req, res) => {
+    await authService.requestPasswordReset(req.body?.email);
+    res.json({
+      success: true,
+      message: "If an account exists for that email, a password reset link has been sent"
+    });
+  });
+
+  // Set a new password using the emailed reset token
+  resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body || {};
+    await authService.resetPassword(token, password);
+    res.json({
+      success: true,
+      message: "Password has been reset. You can now log in"
+    });
+  });
+
   // Get user profile
   getProfile = asyncHandler(async (req, res) => {
     const user = await authService.getProfile(req.user.id);
@@ -32,8 +104,44 @@ class AuthController {
     });
   });
 
-  // Logout (client-side token removal, but we can add token blacklisting here if needed)
+  // Update name and/or email
+  updateProfile = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const { name, email } = req.body || {};
+    const user = await authService.updateProfile(userId, { name, email });
+    res.json({
+      success: true,
+      message: "Profile updated successfully",
+      data: user
+    });
+  });
+
+  // Change password; responds with new tokens because other sessions are revoked
+  changePassword = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const { currentPassword, newPassword } = req.body || {};
+    const result = await authService.changePassword(userId, currentPassword, newPassword, getSessionContext(req));
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: result
+    });
+  });
+
+  // Permanently delete the signed-in user's account
+  deleteAccount = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    await authService.deleteAccount(userId, req.body?.password);
+    res.json({
+      success: true,
+      message: "Your account has been deleted"
+    });
+  });
+
+  // Logout: revoke the refresh token family for this device
   logout = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    await authService.logout(userId, req.body?.refreshToken);
     res.json({
       success: true,
       message: "Logged out successfully"
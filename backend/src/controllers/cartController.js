@@ -12,11 +12,21 @@ class CartController {
     });
   });
 
+  // Get available and reserved stock for each cart line
+  getAvailability = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const availability = await cartService.getAvailability(userId);
+    res.json({
+      success: true,
+      data: availability
+    });
+  });
+
   // Add item to cart
   addItem = asyncHandler(async (req, res) => {
-    const { productId, quantity } = req.body;
+    const { productId, quantity, variantId } = req.body;
     const userId = req.user._id ? req.user._id.toString() : req.user.id;
-    const cart = await cartService.addItem(userId, productId, quantity || 1);
+    const cart = await cartService.addItem(userId, productId, quantity || 1, variantId || null);
     res.status(201).json({
       success: true,
       message: "Item added to cart",
@@ -27,9 +37,9 @@ class CartController {
   // Update item quantity
   updateItemQuantity = asyncHandler(async (req, res) => {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId } = req.body;
     const userId = req.user._id ? req.user._id.toString() : req.user.id;
-    const cart = await cartService.updateItemQuantity(userId, productId, quantity);
+    const cart = await cartService.updateItemQuantity(userId, productId, quantity, variantId || null);
     res.json({
       success: true,
       message: "Cart updated",
@@ -37,11 +47,11 @@ class CartController {
     });
   });
 
-  // Remove item from cart
+  // Remove item from cart; ?variantId= picks one variant of the product
   removeItem = asyncHandler(async (req, res) => {
     const { productId } = req.params;
     const userId = req.user._id ? req.user._id.toString() : req.user.id;
-    const cart = await cartService.removeItem(userId, productId);
+    const cart = await cartService.removeItem(userId, productId, req.query.variantId || null);
     res.json({
       success: true,
       message: "Item removed from cart",
@@ -49,6 +59,51 @@ class CartController {
     });
   });
 
+  // Get the applied coupon priced against the current cart
+  getCoupon = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const coupon = await cartService.getCouponSummary(userId);
+    res.json({
+      success: true,
+      data: coupon
+    });
+  });
+
+  // Apply a coupon code to the cart
+  applyCoupon = asyncHandler(async (req, res) => {
+    const { code } = req.body || {};
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const { cart, coupon } = await cartService.applyCoupon(userId, code);
+    res.json({
+      success: true,
+      message: "Coupon applied",
+      data: { cart, coupon }
+    });
+  });
+
+  // Remove the applied coupon
+  removeCoupon = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const cart = await cartService.removeCoupon(userId);
+    res.json({
+      success: true,
+      message: "Coupon removed",
+      data: cart
+    });
+  });
+
+  // Merge the items a shopper added before signing in
+  mergeCart = asyncHandler(async (req, res) => {
+    const { items } = req.body || {};
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const { cart, adjustments } = await cartService.mergeItems(userId, items);
+    res.json({
+      success: true,
+      message: "Cart merged",
+      data: { cart, adjustments }
+    });
+  });
+
   // Clear cart
   clearCart = asyncHandler(async (req, res) => {
     const userId = req.user._id ? req.user._id.toString() : req.user.id;
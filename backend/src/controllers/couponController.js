@@ -0,0 +1,54 @@
+import couponService from "../services/couponService.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+class CouponController {
+  // Get all coupons (admin only)
+  getAllCoupons = asyncHandler(async (req, res) => {
+    const coupons = await couponService.getAll();
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  });
+
+  // Get coupon by ID (admin only)
+  getCouponById = asyncHandler(async (req, res) => {
+    const coupon = await couponService.getById(req.params.id);
+    res.json({
+      success: true,
+      data: coupon
+    });
+  });
+
+  // Create coupon (admin only)
+  createCoupon = asyncHandler(async (req, res) => {
+    const coupon = await couponService.create(req.body || {});
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      data: coupon
+    });
+  });
+
+  // Update coupon (admin only)
+  updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await couponService.update(req.params.id, req.body || {});
+    res.json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: coupon
+    });
+  });
+
+  // Delete coupon (admin only)
+  deleteCoupon = asyncHandler(async (req, res) => {
+    await couponService.delete(req.params.id);
+    res.json({
+      success: true,
+      message: "Coupon deleted successfully"
+    });
+  });
+}
+
+export default new CouponController();
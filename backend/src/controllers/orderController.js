@@ -4,9 +4,11 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 class OrderController {
   // Create order
   createOrder = asyncHandler(async (req, res) => {
-    const { shippingAddress, paymentMethod } = req.body;
+    const { shippingAddress, paymentMethod, shippingMethod, billingAddress } = req.body;
     const userId = req.user._id ? req.user._id.toString() : req.user.id;
-    const order = await orderService.createOrder(userId, shippingAddress, paymentMethod);
+    const order = await orderService.createOrder(
+      userId, shippingAddress, paymentMethod, shippingMethod, billingAddress
+    );
     res.status(201).json({
       success: true,
       message: "Order created successfully",
@@ -14,6 +16,60 @@ class OrderController {
     });
   });
 
+  // Place an order without an account
+  createGuestOrder = asyncHandler(async (req, res) => {
+    const { email, items, shippingAddress, paymentMethod, shippingMethod, billingAddress } = req.body || {};
+    const { order, orderToken } = await orderService.createGuestOrder({
+      email, items, shippingAddress, paymentMethod, shippingMethod, billingAddress
+    });
+    res.status(201).json({
+      success: true,
+      message: "Order created successfully",
+      data: { order, orderToken }
+    });
+  });
+
+  // Preview order totals and shipping methods for a guest's cart
+  quoteGuestOrder = asyncHandler(async (req, res) => {
+    const { items, shippingAddress, shippingMethod } = req.body || {};
+    const quote = await orderService.quoteGuestOrder(items, shippingAddress, shippingMethod);
+    res.json({
+      success: true,
+      data: quote
+    });
+  });
+
+  // Get a guest order with the token from checkout or the order emails
+  getGuestOrder = asyncHandler(async (req, res) => {
+    const order = await orderService.getGuestOrder(req.params.id, req.query.token);
+    res.json({
+      success: true,
+      data: order
+    });
+  });
+
+  // Add a guest order to the signed-in account with the same email
+  claimGuestOrder = asyncHandler(async (req, res) => {
+    const { token } = req.body || {};
+    const order = await orderService.claimGuestOrder(req.params.id, token, req.user);
+    res.json({
+      success: true,
+      message: "Order added to your account",
+      data: order
+    });
+  });
+
+  // Preview order totals (coupon, shipping and tax) for a shipping address
+  quoteOrder = asyncHandler(async (req, res) => {
+    const { shippingAddress, shippingMethod } = req.body || {};
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const quote = await orderService.quoteOrder(userId, shippingAddress, shippingMethod);
+    res.json({
+      success: true,
+      data: quote
+    });
+  });
+
   // Get user's orders
   getUserOrders = asyncHandler(async (req, res) => {
     const userId = req.user._id ? req.user._id.toString() : req.user.id;
@@ -35,19 +91,89 @@ class OrderController {
     });
   });
 
-  // Update order payment (admin or user)
-  updateOrderPayment = asyncHandler(async (req, res) => {
-    const order = await orderService.updateOrderPayment(req.params.id, req.body);
+  // Cancel own order (customer)
+  cancelOrder = asyncHandler(async (req, res) => {
+    const { reason } = req.body || {};
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const order = await orderService.cancelOrderByCustomer(req.params.id, userId, reason);
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: order
+    });
+  });
+
+  // Update order lifecycle status (admin only)
+  updateOrderStatus = asyncHandler(async (req, res) => {
+    const { status, note } = req.body;
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: "Status is required"
+      });
+    }
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const order = await orderService.updateOrderStatus(req.params.id, status, adminId, note || "");
+    res.json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      data: order
+    });
+  });
+
+  // Refund order fully or per line item (admin only)
+  refundOrder = asyncHandler(async (req, res) => {
+    const { items, reason, restock } = req.body || {};
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const order = await orderService.refundOrder(req.params.id, { items, reason, restock }, adminId);
+    res.status(201).json({
+      success: true,
+      message: "Refund issued successfully",
+      data: order
+    });
+  });
+
+  // Confirm a cash on delivery or bank transfer payment (admin only)
+  confirmManualPayment = asyncHandler(async (req, res) => {
+    const { reference, note } = req.body || {};
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const order = await orderService.confirmManualPayment(req.params.id, { reference, note }, adminId);
+    res.json({
+      success: true,
+      message: "Payment confirmed",
+      data: order
+    });
+  });
+
+  // Ship order items with a carrier and tracking number (admin only)
+  createShipment = asyncHandler(async (req, res) => {
+    const { carrier, trackingNumber, items } = req.body || {};
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const order = await orderService.createShipment(req.params.id, { carrier, trackingNumber, items }, adminId);
+    res.status(201).json({
+      success: true,
+      message: "Shipment created successfully",
+      data: order
+    });
+  });
+
+  // Mark a shipment as delivered (admin only)
+  markShipmentDelivered = asyncHandler(async (req, res) => {
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const order = await orderService.markShipmentDelivered(req.params.id, req.params.shipmentId, adminId);
     res.json({
       success: true,
-      message: "Order payment updated",
+      message: "Shipment marked as delivered",
       data: order
     });
   });
 
   // Get all orders (admin only)
   getAllOrders = asyncHandler(async (req, res) => {
-    const orders = await orderService.getAllOrders();
+    const { status } = req.query;
+    const filters = {};
+    if (status) filters.status = status;
+    const orders = await orderService.getAllOrders(filters);
     res.json({
       success: true,
       count: orders.length,
@@ -1,6 +1,20 @@
 import paymentService from '../services/paymentService.js';
 import orderService from '../services/orderService.js';
+import webhookService from '../services/webhookService.js';
 import { asyncHandler } from '../utils/asyncHandler.js';
+import { isCardPayment, paymentCoversOrder } from '../utils/paymentMethods.js';
+
+// Signed-in customers pay for their own orders; guests prove access with their order token
+const getPayableOrder = (req, orderId) => (req.user
+  ? orderService.getOrderById(orderId, req.user.id)
+  : orderService.getGuestOrder(orderId, req.body.orderToken));
+
+// Payment intents name their order in metadata; only someone who can see that order may act on the intent
+const getIntentOrder = async (req, paymentIntentId) => {
+  const paymentIntent = await paymentService.getPaymentStatus(paymentIntentId);
+  await getPayableOrder(req, paymentIntent.metadata?.orderId);
+  return paymentIntent;
+};
 
 class PaymentController {
   /**
@@ -9,7 +23,7 @@ class PaymentController {
    */
   createPaymentIntent = asyncHandler(async (req, res) => {
     const { orderId, amount } = req.body;
-    const userId = req.user.id;
+    const userId = req.user?.id;
 
     if (!orderId || !amount) {
       return res.status(400).json({
@@ -28,7 +42,31 @@ class PaymentController {
 
     // Verify order exists and belongs to user
     try {
-      const order = await orderService.getOrderById(orderId, userId);
+      const order = await getPayableOrder(req, orderId);
+
+      // Cash on delivery and bank transfer orders never go through the payment provider
+      if (!isCardPayment(order.paymentMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: `Orders paid by ${order.paymentMethod} cannot be paid online`
+        });
+      }
+
+      // A second charge for a paid order would never be applied to it or refunded
+      if (order.isPaid) {
+        return res.status(400).json({
+          success: false,
+          message: 'This order has already been paid'
+        });
+      }
+
+      // Unpaid card orders are cancelled once their stock reservation expires
+      if (order.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'This order has been cancelled. Please place a new order'
+        });
+      }
       
       // Verify amount matches order total (allow small floating point differences)
       const amountDifference = Math.abs(order.totalPrice - amount);
@@ -72,25 +110,53 @@ class PaymentController {
    */
   confirmPayment = asyncHandler(async (req, res) => {
     const { paymentIntentId, paymentMethodId, orderId } = req.body;
-    const userId = req.user.id;
 
-    if (!paymentIntentId) {
+    if (!paymentIntentId || !orderId) {
       return res.status(400).json({
         success: false,
-        message: 'Payment Intent ID is required'
+        message: 'Order ID and Payment Intent ID are required'
       });
     }
 
-    // Verify order exists and belongs to user
-    if (orderId) {
-      try {
-        await orderService.getOrderById(orderId, userId);
-      } catch (error) {
-        return res.status(404).json({
-          success: false,
-          message: 'Order not found'
-        });
-      }
+    // Verify order exists and belongs to user; guests can only confirm the order their token is for
+    let order;
+    try {
+      order = await getPayableOrder(req, orderId);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check the intent before confirming it: one created for another order, or for another amount or
+    // currency, must not be charged against this order; the amount check is the one the webhook uses
+    let paymentIntent;
+    try {
+      paymentIntent = await paymentService.getPaymentStatus(paymentIntentId);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const forThisOrder = paymentIntent.metadata?.orderId === order._id.toString();
+    if (!forThisOrder || !paymentCoversOrder(paymentIntent, order)) {
+      console.error('[PaymentController] Payment does not match order:', {
+        paymentIntentId: paymentIntent.id,
+        intentOrderId: paymentIntent.metadata?.orderId,
+        orderId,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        orderTotal: order.totalPrice
+      });
+      return res.status(400).json({
+        success: false,
+        message: forThisOrder
+          ? 'This payment does not match the order total'
+          : 'This payment was not made for this order'
+      });
     }
 
     // Confirm payment
@@ -105,31 +171,25 @@ class PaymentController {
       orderId: orderId
     });
 
-    // Update order payment status if orderId provided and payment succeeded
-    if (orderId && paymentResult.status === 'succeeded') {
+    // Update order payment status once the payment succeeded; a failure here fails the request
+    if (paymentResult.status === 'succeeded') {
       console.log('[PaymentController] Updating order payment status for order:', orderId);
-      try {
-        const updatedOrder = await orderService.updateOrderPayment(orderId, {
-          id: paymentResult.id,
-          status: paymentResult.status,
-          payment_method: paymentResult.payment_method,
-          receipt_url: paymentResult.receipt_url,
-          update_time: new Date().toISOString()
-        });
-        console.log('[PaymentController] Order updated successfully:', {
-          orderId: updatedOrder._id,
-          isPaid: updatedOrder.isPaid,
-          paidAt: updatedOrder.paidAt
-        });
-      } catch (updateError) {
-        console.error('[PaymentController] Error updating order payment:', updateError);
-        // Don't fail the request, but log the error
-      }
+      const updatedOrder = await orderService.updateOrderPayment(orderId, {
+        id: paymentResult.id,
+        status: paymentResult.status,
+        payment_method: paymentResult.payment_method,
+        receipt_url: paymentResult.receipt_url,
+        update_time: new Date().toISOString()
+      });
+      console.log('[PaymentController] Order updated successfully:', {
+        orderId: updatedOrder._id,
+        isPaid: updatedOrder.isPaid,
+        paidAt: updatedOrder.paidAt
+      });
     } else {
       console.log('[PaymentController] Order not updated:', {
         orderId: orderId,
-        paymentStatus: paymentResult.status,
-        reason: !orderId ? 'No orderId provided' : 'Payment status is not succeeded'
+        paymentStatus: paymentResult.status
       });
     }
 
@@ -147,7 +207,15 @@ class PaymentController {
   getPaymentStatus = asyncHandler(async (req, res) => {
     const { paymentIntentId } = req.params;
 
-    const status = await paymentService.getPaymentStatus(paymentIntentId);
+    let status;
+    try {
+      status = await getIntentOrder(req, paymentIntentId);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -158,14 +226,13 @@ class PaymentController {
   /**
    * Handle Stripe webhook
    * POST /api/payments/webhook
-   * Note: For proper webhook signature verification, use raw body
-   * For now, we'll accept JSON body (can be improved with express.raw() middleware)
+   * Note: server.js parses this route with express.raw(), so req.body is the raw Buffer
    */
   handleWebhook = asyncHandler(async (req, res) => {
     const signature = req.headers['stripe-signature'];
-    // For JSON body, convert to string for signature verification
-    // In production, use raw body buffer for proper verification
-    const payload = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+    const payload = Buffer.isBuffer(req.body) || typeof req.body === 'string' || req.body === undefined
+      ? req.body
+      : JSON.stringify(req.body);
 
     // Verify webhook signature
     const event = paymentService.verifyWebhookSignature(payload, signature);
@@ -177,27 +244,12 @@ class PaymentController {
       });
     }
 
-    // Handle webhook event
-    const result = await paymentService.handleWebhook(event);
+    // Update the order once per event; errors propagate so Stripe retries the delivery
+    const result = await webhookService.processEvent(event);
 
-    // Update order if payment succeeded
-    if (result.processed && result.type === 'payment_succeeded' && result.orderId) {
-      try {
-        await orderService.updateOrderPayment(result.orderId, {
-          id: result.paymentIntentId,
-          status: 'succeeded',
-          update_time: new Date().toISOString()
-        });
-      } catch (error) {
-        console.error('Error updating order payment:', error);
-        // Don't fail webhook, log error
-      }
-    }
-
-    // Always return 200 to acknowledge receipt
     res.status(200).json({
       success: true,
-      message: 'Webhook processed',
+      message: result.duplicate ? 'Webhook already processed' : 'Webhook processed',
       data: result
     });
   });
@@ -216,6 +268,15 @@ class PaymentController {
       });
     }
 
+    try {
+      await getIntentOrder(req, paymentIntentId);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
     const result = await paymentService.cancelPayment(paymentIntentId);
 
     res.status(200).json({
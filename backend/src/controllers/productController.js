@@ -92,6 +92,37 @@ class ProductController {
       message: "Product deleted successfully"
     });
   });
+
+  // Upload gallery images (admin only); multipart "images" files with an "alt" field per file
+  uploadImages = asyncHandler(async (req, res) => {
+    const alts = [].concat(req.body?.alt ?? []);
+    const product = await productService.addImages(req.params.id, req.files, alts);
+    res.status(201).json({
+      success: true,
+      message: "Images uploaded",
+      data: product
+    });
+  });
+
+  // Reorder gallery images and update their alt text (admin only)
+  updateImages = asyncHandler(async (req, res) => {
+    const product = await productService.updateImages(req.params.id, req.body?.images);
+    res.json({
+      success: true,
+      message: "Images updated",
+      data: product
+    });
+  });
+
+  // Remove a gallery image (admin only)
+  deleteImage = asyncHandler(async (req, res) => {
+    const product = await productService.removeImage(req.params.id, req.params.imageId);
+    res.json({
+      success: true,
+      message: "Image removed",
+      data: product
+    });
+  });
 }
 
 export default new ProductController();
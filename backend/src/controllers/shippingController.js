@@ -0,0 +1,66 @@
+import shippingService from "../services/shippingService.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+class ShippingController {
+  // Shipping methods and prices for the user's cart and an address
+  getQuote = asyncHandler(async (req, res) => {
+    const { country, state } = req.query;
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const methods = await shippingService.quoteCart(userId, { country, state });
+    res.json({
+      success: true,
+      count: methods.length,
+      data: methods
+    });
+  });
+
+  // Get all shipping zones (admin only)
+  getAllZones = asyncHandler(async (req, res) => {
+    const zones = await shippingService.getAll();
+    res.json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  });
+
+  // Get shipping zone by ID (admin only)
+  getZoneById = asyncHandler(async (req, res) => {
+    const zone = await shippingService.getById(req.params.id);
+    res.json({
+      success: true,
+      data: zone
+    });
+  });
+
+  // Create shipping zone (admin only)
+  createZone = asyncHandler(async (req, res) => {
+    const zone = await shippingService.create(req.body || {});
+    res.status(201).json({
+      success: true,
+      message: "Shipping zone created successfully",
+      data: zone
+    });
+  });
+
+  // Update shipping zone (admin only)
+  updateZone = asyncHandler(async (req, res) => {
+    const zone = await shippingService.update(req.params.id, req.body || {});
+    res.json({
+      success: true,
+      message: "Shipping zone updated successfully",
+      data: zone
+    });
+  });
+
+  // Delete shipping zone (admin only)
+  deleteZone = asyncHandler(async (req, res) => {
+    await shippingService.delete(req.params.id);
+    res.json({
+      success: true,
+      message: "Shipping zone deleted successfully"
+    });
+  });
+}
+
+export default new ShippingController();
@@ -0,0 +1,54 @@
+import taxService from "../services/taxService.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+class TaxRuleController {
+  // Get all tax rules (admin only)
+  getAllTaxRules = asyncHandler(async (req, res) => {
+    const taxRules = await taxService.getAll();
+    res.json({
+      success: true,
+      count: taxRules.length,
+      data: taxRules
+    });
+  });
+
+  // Get tax rule by ID (admin only)
+  getTaxRuleById = asyncHandler(async (req, res) => {
+    const taxRule = await taxService.getById(req.params.id);
+    res.json({
+      success: true,
+      data: taxRule
+    });
+  });
+
+  // Create tax rule (admin only)
+  createTaxRule = asyncHandler(async (req, res) => {
+    const taxRule = await taxService.create(req.body || {});
+    res.status(201).json({
+      success: true,
+      message: "Tax rule created successfully",
+      data: taxRule
+    });
+  });
+
+  // Update tax rule (admin only)
+  updateTaxRule = asyncHandler(async (req, res) => {
+    const taxRule = await taxService.update(req.params.id, req.body || {});
+    res.json({
+      success: true,
+      message: "Tax rule updated successfully",
+      data: taxRule
+    });
+  });
+
+  // Delete tax rule (admin only)
+  deleteTaxRule = asyncHandler(async (req, res) => {
+    await taxService.delete(req.params.id);
+    res.json({
+      success: true,
+      message: "Tax rule deleted successfully"
+    });
+  });
+}
+
+export default new TaxRuleController();
@@ -0,0 +1,47 @@
+import twoFactorService from "../services/twoFactorService.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+class TwoFactorController {
+  // Start enrolment: returns the secret and a QR code for the authenticator app
+  setup = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const enrolment = await twoFactorService.startEnrolment(userId);
+    res.json({
+      success: true,
+      data: enrolment
+    });
+  });
+
+  // Confirm enrolment with a first code; the backup codes are only ever shown here
+  enable = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const result = await twoFactorService.enable(userId, req.body?.code);
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: result
+    });
+  });
+
+  disable = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const { password, code } = req.body || {};
+    await twoFactorService.disable(userId, password, code);
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+  });
+
+  regenerateBackupCodes = asyncHandler(async (req, res) => {
+    const userId = req.user._id ? req.user._id.toString() : req.user.id;
+    const result = await twoFactorService.regenerateBackupCodes(userId, req.body?.code);
+    res.json({
+      success: true,
+      message: "New backup codes generated",
+      data: result
+    });
+  });
+}
+
+export default new TwoFactorController();
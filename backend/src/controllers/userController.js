@@ -0,0 +1,61 @@
+import userService from "../services/userService.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+class UserController {
+  // List and search accounts (admin only)
+  getUsers = asyncHandler(async (req, res) => {
+    const { search, role, status, page, limit } = req.query;
+    const result = await userService.listUsers({ search, role, status, page, limit });
+    res.json({
+      success: true,
+      count: result.users.length,
+      total: result.total,
+      page: result.page,
+      pages: result.pages,
+      data: result.users
+    });
+  });
+
+  // Get an account with its order summary (admin only)
+  getUser = asyncHandler(async (req, res) => {
+    const { user, summary } = await userService.getUser(req.params.id);
+    res.json({
+      success: true,
+      data: { user, summary }
+    });
+  });
+
+  // Get an account's orders (admin only)
+  getUserOrders = asyncHandler(async (req, res) => {
+    const orders = await userService.getUserOrders(req.params.id);
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  });
+
+  // Change an account's role (admin only)
+  updateUserRole = asyncHandler(async (req, res) => {
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const user = await userService.updateRole(adminId, req.params.id, req.body?.role);
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      data: user
+    });
+  });
+
+  // Disable or re-enable an account (admin only)
+  updateUserStatus = asyncHandler(async (req, res) => {
+    const adminId = req.user._id ? req.user._id.toString() : req.user.id;
+    const user = await userService.setActive(adminId, req.params.id, req.body?.isActive);
+    res.json({
+      success: true,
+      message: user.isActive ? "Account enabled" : "Account disabled",
+      data: user
+    });
+  });
+}
+
+export default new UserController();
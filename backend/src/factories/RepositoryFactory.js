@@ -3,6 +3,10 @@ import { UserRepository } from '../repositories/userRepository.js';
 import { ProductRepository } from '../repositories/productRepository.js';
 import { CartRepository } from '../repositories/cartRepository.js';
 import { OrderRepository } from '../repositories/orderRepository.js';
+import { WebhookEventRepository } from '../repositories/webhookEventRepository.js';
+import { CouponRepository } from '../repositories/couponRepository.js';
+import { TaxRuleRepository } from '../repositories/taxRuleRepository.js';
+import { ShippingZoneRepository } from '../repositories/shippingZoneRepository.js';
 
 /**
  * RepositoryFactory
@@ -12,7 +16,7 @@ import { OrderRepository } from '../repositories/orderRepository.js';
 class RepositoryFactory {
   /**
    * Create repository instance
-   * @param {string} repositoryName - Name of the repository ('user', 'product', 'cart', 'order')
+   * @param {string} repositoryName - Name of the repository ('user', 'product', 'cart', 'order', 'webhook', 'coupon', 'tax', 'shipping')
    * @param {Object} options - Optional configuration (e.g., database connection, custom implementation)
    * @returns {Object} Repository instance
    * @throws {Error} If repository name is not found
@@ -44,6 +48,30 @@ class RepositoryFactory {
           return options.repository;
         }
         return new OrderRepository();
+      },
+      'webhook': () => {
+        if (options.repository) {
+          return options.repository;
+        }
+        return new WebhookEventRepository();
+      },
+      'coupon': () => {
+        if (options.repository) {
+          return options.repository;
+        }
+        return new CouponRepository();
+      },
+      'tax': () => {
+        if (options.repository) {
+          return options.repository;
+        }
+        return new TaxRuleRepository();
+      },
+      'shipping': () => {
+        if (options.repository) {
+          return options.repository;
+        }
+        return new ShippingZoneRepository();
       }
     };
 
@@ -63,7 +91,7 @@ class RepositoryFactory {
    * @returns {string[]} Array of repository names
    */
   static getAvailableRepositories() {
-    return ['user', 'product', 'cart', 'order'];
+    return ['user', 'product', 'cart', 'order', 'webhook', 'coupon', 'tax', 'shipping'];
   }
 
   /**
@@ -86,7 +114,11 @@ class RepositoryFactory {
       userRepository: RepositoryFactory.createRepository('user', { repository: options.userRepository }),
       productRepository: RepositoryFactory.createRepository('product', { repository: options.productRepository }),
       cartRepository: RepositoryFactory.createRepository('cart', { repository: options.cartRepository }),
-      orderRepository: RepositoryFactory.createRepository('order', { repository: options.orderRepository })
+      orderRepository: RepositoryFactory.createRepository('order', { repository: options.orderRepository }),
+      webhookEventRepository: RepositoryFactory.createRepository('webhook', { repository: options.webhookEventRepository }),
+      couponRepository: RepositoryFactory.createRepository('coupon', { repository: options.couponRepository }),
+      taxRuleRepository: RepositoryFactory.createRepository('tax', { repository: options.taxRuleRepository }),
+      shippingZoneRepository: RepositoryFactory.createRepository('shipping', { repository: options.shippingZoneRepository })
     };
   }
 }
@@ -5,6 +5,11 @@ import { AuthService } from '../services/authService.js';
 import { ProductService } from '../services/productService.js';
 import { CartService } from '../services/cartService.js';
 import { OrderService } from '../services/orderService.js';
+import { PaymentService } from '../services/paymentService.js';
+import { CouponService } from '../services/couponService.js';
+import { TaxService } from '../services/taxService.js';
+import { ShippingService } from '../services/shippingService.js';
+import PaymentProviderFactory from '../strategies/payment/PaymentProviderFactory.js';
 
 /**
  * ServiceFactory
@@ -14,7 +19,7 @@ import { OrderService } from '../services/orderService.js';
 class ServiceFactory {
   /**
    * Create service instance with dependencies
-   * @param {string} serviceName - Name of the service ('auth', 'product', 'cart', 'order')
+   * @param {string} serviceName - Name of the service ('auth', 'product', 'cart', 'order', 'payment', 'coupon', 'tax', 'shipping')
    * @param {Object} options - Optional configuration (repositories, other services)
    * @returns {Object} Service instance
    * @throws {Error} If service name is not found
@@ -46,8 +51,11 @@ class ServiceFactory {
         // Create product service for cart service dependency
         const productService = options.productService || 
           new ProductService(productRepository);
+
+        const couponService = options.couponService ||
+          new CouponService(options.couponRepository || RepositoryFactory.createRepository('coupon'));
         
-        return new CartService(cartRepository, productService);
+        return new CartService(cartRepository, productService, couponService);
       },
       
       'order': () => {
@@ -67,15 +75,75 @@ class ServiceFactory {
         const productService = options.productService || 
           new ProductService(productRepository);
         
+        const couponService = options.couponService ||
+          new CouponService(options.couponRepository || RepositoryFactory.createRepository('coupon'));
+
         const cartService = options.cartService || 
-          new CartService(cartRepository, productService);
+          new CartService(cartRepository, productService, couponService);
+
+        const taxService = options.taxService ||
+          new TaxService(options.taxRuleRepository || RepositoryFactory.createRepository('tax'));
+
+        const shippingService = options.shippingService ||
+          new ShippingService(
+            options.shippingZoneRepository || RepositoryFactory.createRepository('shipping'),
+            cartService
+          );
         
         return new OrderService(
           orderRepository,
           userRepository,
           cartService,
-          productService
+          productService,
+          options.paymentService,
+          couponService,
+          taxService,
+          shippingService
         );
+      },
+
+      'payment': () => {
+        // Use provided provider, a named one, or the one selected by configuration
+        const paymentProvider = options.paymentProvider ||
+          (options.paymentProviderName
+            ? PaymentProviderFactory.createProvider(options.paymentProviderName)
+            : PaymentProviderFactory.createFromConfig());
+
+        return new PaymentService(paymentProvider);
+      },
+
+      'coupon': () => {
+        const couponRepository = options.couponRepository ||
+          RepositoryFactory.createRepository('coupon');
+
+        return new CouponService(couponRepository);
+      },
+
+      'tax': () => {
+        const taxRuleRepository = options.taxRuleRepository ||
+          RepositoryFactory.createRepository('tax');
+
+        return new TaxService(taxRuleRepository);
+      },
+
+      'shipping': () => {
+        const shippingZoneRepository = options.shippingZoneRepository ||
+          RepositoryFactory.createRepository('shipping');
+
+        const productService = options.productService ||
+          new ProductService(options.productRepository || RepositoryFactory.createRepository('product'));
+
+        const couponService = options.couponService ||
+          new CouponService(options.couponRepository || RepositoryFactory.createRepository('coupon'));
+
+        const cartService = options.cartService ||
+          new CartService(
+            options.cartRepository || RepositoryFactory.createRepository('cart'),
+            productService,
+            couponService
+          );
+
+        return new ShippingService(shippingZoneRepository, cartService);
       }
     };
 
@@ -95,7 +163,7 @@ class ServiceFactory {
    * @returns {string[]} Array of service names
    */
   static getAvailableServices() {
-    return ['auth', 'product', 'cart', 'order'];
+    return ['auth', 'product', 'cart', 'order', 'payment', 'coupon', 'tax', 'shipping'];
   }
 
   /**
@@ -119,24 +187,40 @@ class ServiceFactory {
       userRepository: options.userRepository,
       productRepository: options.productRepository,
       cartRepository: options.cartRepository,
-      orderRepository: options.orderRepository
+      orderRepository: options.orderRepository,
+      couponRepository: options.couponRepository,
+      taxRuleRepository: options.taxRuleRepository,
+      shippingZoneRepository: options.shippingZoneRepository
     });
 
     // Create services with proper dependencies
     const productService = new ProductService(repositories.productRepository);
-    const cartService = new CartService(repositories.cartRepository, productService);
+    const couponService = new CouponService(repositories.couponRepository);
+    const cartService = new CartService(repositories.cartRepository, productService, couponService);
+    const taxService = new TaxService(repositories.taxRuleRepository);
+    const shippingService = new ShippingService(repositories.shippingZoneRepository, cartService);
+    const paymentService = options.paymentService ||
+      new PaymentService(options.paymentProvider || PaymentProviderFactory.createFromConfig());
     const orderService = new OrderService(
       repositories.orderRepository,
       repositories.userRepository,
       cartService,
-      productService
+      productService,
+      paymentService,
+      couponService,
+      taxService,
+      shippingService
     );
 
     return {
       authService: new AuthService(repositories.userRepository),
       productService,
       cartService,
-      orderService
+      orderService,
+      paymentService,
+      couponService,
+      taxService,
+      shippingService
     };
   }
 }
@@ -0,0 +1,38 @@
+import orderService from "../services/orderService.js";
+
+// How often expired stock reservations are looked for (RESERVATION_SWEEP_INTERVAL_SECONDS)
+const getSweepIntervalMs = () => (Number(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+
+/**
+ * Periodically cancel unpaid card orders whose stock reservation has run out,
+ * putting the stock back on sale
+ * @param {Object} options - { service, intervalMs } overrides, mainly for tests
+ * @returns {Function} Stops the sweeper
+ */
+export const startReservationSweeper = ({ service = orderService, intervalMs = getSweepIntervalMs() } = {}) => {
+  let sweeping = false;
+
+  const sweep = async () => {
+    // A slow sweep is left to finish rather than overlapped by the next tick
+    if (sweeping) {
+      return;
+    }
+    sweeping = true;
+    try {
+      const released = await service.releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`[ReservationSweeper] Released stock held by ${released} unpaid order(s)`);
+      }
+    } catch (error) {
+      console.error("[ReservationSweeper] Sweep failed:", error.message);
+    } finally {
+      sweeping = false;
+    }
+  };
+
+  const timer = setInterval(sweep, intervalMs);
+  // The sweeper alone should not keep the process alive
+  timer.unref?.();
+
+  return () => clearInterval(timer);
+};
@@ -1,5 +1,14 @@
 import { verifyToken } from "../utils/jwt.js";
 import User from "../models/User.js";
+import { getStatusPermission, hasPermission, isTwoFactorRequired } from "../utils/userRoles.js";
+
+// Like authenticate, but lets requests without a bearer token through as guests
+export const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
 
 // Authentication middleware
 export const authenticate = async (req, res, next) => {
@@ -21,6 +30,10 @@ export const authenticate = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+    // Pre-auth tokens from the first step of a two-factor sign-in are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ success: false, message: "Authentication required" });
+    }
     // Ensure userId is a string for Mongoose lookup
     const userId = decoded.userId?.toString ? decoded.userId.toString() : decoded.userId;
     const user = await User.findById(userId).select("-password");
@@ -29,6 +42,11 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ success: false, message: "User not found" });
     }
 
+    // Access tokens issued before the account was disabled stop working straight away
+    if (user.isActive === false) {
+      return res.status(401).json({ success: false, message: "Your account has been disabled" });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -55,3 +73,29 @@ export const authorize = (...roles) => {
   };
 };
 
+// Permission-based access control middleware: the user's role must grant every listed permission
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: "Authentication required" });
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({ success: false, message: "Access denied. Insufficient permissions." });
+    }
+
+    if (isTwoFactorRequired(req.user.role) && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role. Set it up from your profile"
+      });
+    }
+
+    next();
+  };
+};
+
+// Order status changes are gated by the permission for the status being set
+export const requireStatusPermission = (req, res, next) => {
+  return requirePermission(getStatusPermission(req.body?.status))(req, res, next);
+};
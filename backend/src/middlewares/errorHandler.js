@@ -61,9 +61,15 @@ export const errorHandler = (err, req, res, next) => {
     }
   }
 
+  // Throttled requests tell the client when it may try again
+  if (err.retryAfter) {
+    res.set("Retry-After", String(err.retryAfter));
+  }
+
   res.status(statusCode).json({
     success: false,
     message,
+    ...(err.retryAfter && { retryAfter: err.retryAfter }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack })
   });
 };
@@ -0,0 +1,58 @@
+import { TooManyRequestsError } from "../utils/AppError.js";
+
+// Fixed-window rate limiting middleware
+// Counters are kept in memory, so limits apply per server process
+export const rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 5,
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests, please try again later"
+} = {}) => {
+  const hits = new Map();
+
+  const middleware = (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      // errorHandler sends the 429 and Retry-After header, same as login throttling
+      return next(new TooManyRequestsError(message, Math.ceil((entry.resetAt - now) / 1000)));
+    }
+
+    // Drop expired windows so the map does not grow without bound
+    if (hits.size > 10000) {
+      for (const [storedKey, storedEntry] of hits) {
+        if (storedEntry.resetAt <= now) hits.delete(storedKey);
+      }
+    }
+
+    next();
+  };
+
+  // Clear all counters (used by tests)
+  middleware.reset = () => hits.clear();
+
+  return middleware;
+};
+
+// Value for Express's "trust proxy" setting, read from TRUST_PROXY.
+// Behind a load balancer req.ip is the proxy's address unless the proxy is trusted, which would
+// put every client in one rate-limit bucket; trusting proxies that are not there lets clients
+// pick their own req.ip through X-Forwarded-For. Accepts true/false, a hop count, or a
+// comma-separated list of addresses/subnets; anything unset means do not trust.
+export const parseTrustProxy = (value) => {
+  const setting = String(value ?? "").trim();
+
+  if (!setting || setting === "false") return false;
+  if (setting === "true") return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting;
+};
@@ -0,0 +1,37 @@
+import multer from "multer";
+import { AppError } from "../utils/AppError.js";
+
+export const MAX_IMAGE_SIZE_MB = 5;
+export const MAX_IMAGES_PER_UPLOAD = 10;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+// Files are kept in memory only long enough to be resized; imageService stores the results
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (!IMAGE_TYPES.includes(file.mimetype)) {
+      return callback(new AppError(`${file.originalname} is not a JPEG, PNG, WebP or GIF image`, 400));
+    }
+    callback(null, true);
+  }
+});
+
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Images must be ${MAX_IMAGE_SIZE_MB} MB or smaller`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time`,
+  LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time, in the "images" field`
+};
+
+// Multipart image upload into req.files; multer's limit errors become 400s with a readable message
+export const uploadImages = (field = "images") => {
+  const upload = imageUpload.array(field, MAX_IMAGES_PER_UPLOAD);
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(new AppError(LIMIT_MESSAGES[error.code] || error.message, 400));
+      }
+      next(error);
+    });
+  };
+};
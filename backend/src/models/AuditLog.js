@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+import { AUDIT_EVENT_TYPES } from "../utils/auditEvents.js";
+
+// Append-only record of security events such as lockouts and suspicious sign-ins
+const auditLogSchema = new mongoose.Schema({
+  event: { type: String, enum: AUDIT_EVENT_TYPES, required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+  email: { type: String, lowercase: true, trim: true },
+  ip: { type: String },
+  userAgent: { type: String },
+  details: { type: mongoose.Schema.Types.Mixed },
+  // Entries are kept for 90 days
+  createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }
+});
+
+export default mongoose.model("AuditLog", auditLogSchema);
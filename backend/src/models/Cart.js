@@ -2,12 +2,16 @@ import mongoose from "mongoose";
 
 const cartItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  // The chosen variant's _id for products sold in options such as size and colour
+  variant: { type: mongoose.Schema.Types.ObjectId },
   quantity: { type: Number, required: true, min: 1, default: 1 }
 }, { _id: false });
 
 const cartSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true, index: true },
-  items: [cartItemSchema]
+  items: [cartItemSchema],
+  // Coupon the customer applied; re-validated whenever the cart is priced
+  couponCode: { type: String, uppercase: true, trim: true }
 }, { timestamps: true });
 
 export default mongoose.model("Cart", cartSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { COUPON_TYPES } from "../utils/couponTypes.js";
+
+const redemptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+  redeemedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: "" },
+  type: { type: String, enum: Object.values(COUPON_TYPES), required: true },
+  // Percent off for percentage coupons, currency amount for fixed coupons
+  value: { type: Number, min: 0, default: 0 },
+  minimumSpend: { type: Number, min: 0, default: 0 },
+  // Restrict the discount to these categories/products; empty means the whole cart
+  categories: [{ type: String, trim: true }],
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+  // Redemption limits; null means unlimited
+  usageLimit: { type: Number, min: 1, default: null },
+  perUserLimit: { type: Number, min: 1, default: null },
+  usedCount: { type: Number, min: 0, default: 0 },
+  redemptions: [redemptionSchema],
+  startsAt: Date,
+  expiresAt: Date,
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+export default mongoose.model("Coupon", couponSchema);
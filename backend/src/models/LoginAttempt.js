@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Failed sign-ins by client IP, used to throttle credential stuffing across many accounts
+const loginAttemptSchema = new mongoose.Schema({
+  ip: { type: String, required: true, index: true },
+  email: { type: String, lowercase: true, trim: true },
+  // MongoDB removes attempts once they are too old to count
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 }
+});
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
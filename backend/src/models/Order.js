@@ -1,14 +1,102 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES } from "../utils/orderStatus.js";
+import { TAX_CLASSES, TAX_PRICING_MODES } from "../utils/taxClasses.js";
+import { SHIPPING_METHODS } from "../utils/shippingMethods.js";
 
 const orderItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
   name: { type: String, required: true },
+  // Chosen variant, with its SKU and option values as they were when ordered (e.g. "M / Red")
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku: String,
+  variantLabel: String,
   price: { type: Number, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  // Per-line tax breakdown: the line's share of the coupon discount and the tax charged on the rest
+  taxClass: { type: String, enum: Object.values(TAX_CLASSES) },
+  taxRate: { type: Number, min: 0 },
+  taxAmount: { type: Number, min: 0 },
+  discount: { type: Number, min: 0, default: 0 }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  changedAt: { type: Date, default: Date.now },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  note: { type: String, default: "" }
+}, { _id: false });
+
+const refundItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  quantity: { type: Number, required: true, min: 1 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  refundId: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0 },
+  items: [refundItemSchema],
+  reason: { type: String, default: "" },
+  restock: { type: Boolean, default: false },
+  status: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const shipmentItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
   quantity: { type: Number, required: true, min: 1 }
 }, { _id: false });
 
+// A parcel handed to a carrier; an order can ship in several parcels
+const shipmentSchema = new mongoose.Schema({
+  carrier: { type: String, required: true },
+  trackingNumber: { type: String, required: true },
+  trackingUrl: String,
+  items: [shipmentItemSchema],
+  shippedAt: { type: Date, default: Date.now },
+  deliveredAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+});
+
+const paymentFailureSchema = new mongoose.Schema({
+  paymentIntentId: String,
+  message: { type: String, default: "" },
+  failedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A card payment captured after the order was cancelled. It is refunded automatically;
+// a refund that fails is left for an admin to settle
+const latePaymentSchema = new mongoose.Schema({
+  paymentIntentId: String,
+  amount: Number,
+  receivedAt: { type: Date, default: Date.now },
+  status: { type: String, enum: ["refund_pending", "refunded", "refund_failed"] },
+  refundId: String,
+  message: { type: String, default: "" }
+}, { _id: false });
+
+// The automatic refund of a paid card order the customer cancelled, recorded when it fails
+// so an admin can see the refund is still owed and settle it
+const cancellationRefundSchema = new mongoose.Schema({
+  status: { type: String, enum: ["refund_failed"] },
+  message: { type: String, default: "" },
+  failedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  // Cleared when the customer deletes their account; guest orders have an email instead
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: function() { return !this.anonymizedAt && !this.guestEmail; },
+    index: true
+  },
+  anonymizedAt: Date,
+  // Set for orders placed without an account and kept after the order is claimed by one
+  guestEmail: { type: String, lowercase: true, trim: true },
   orderItems: [orderItemSchema],
   shippingAddress: {
     street: { type: String, required: true },
@@ -17,25 +105,65 @@ const orderSchema = new mongoose.Schema({
     zipCode: { type: String, required: true },
     country: { type: String, required: true }
   },
+  // Defaults to the shipping address; orders placed before billing addresses existed have none
+  billingAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  // Shipping method chosen at checkout, as quoted for the shipping address
+  shippingMethod: {
+    code: { type: String, enum: Object.values(SHIPPING_METHODS) },
+    name: String,
+    minDays: Number,
+    maxDays: Number
+  },
   paymentMethod: { type: String, required: true },
+  // Reference the customer quotes on a bank transfer
+  paymentReference: String,
   paymentResult: {
     id: String,
     status: String,
     update_time: String,
     email_address: String
   },
+  paymentFailures: [paymentFailureSchema],
+  latePayment: latePaymentSchema,
+  // Card orders hold their stock until this time; unset once the payment is confirmed or the stock released
+  reservationExpiresAt: Date,
   itemsPrice: { type: Number, required: true, default: 0 },
+  // Coupon applied at checkout and the amount it took off the items
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+  couponCode: String,
+  discountPrice: { type: Number, default: 0, min: 0 },
   shippingPrice: { type: Number, required: true, default: 0 },
   taxPrice: { type: Number, required: true, default: 0 },
+  // Whether item prices included tax (inclusive) or had it added on top (exclusive)
+  taxPricingMode: {
+    type: String,
+    enum: Object.values(TAX_PRICING_MODES),
+    default: TAX_PRICING_MODES.EXCLUSIVE
+  },
   totalPrice: { type: Number, required: true, default: 0 },
   isPaid: { type: Boolean, default: false },
   paidAt: Date,
   isDelivered: { type: Boolean, default: false },
   deliveredAt: Date,
-  emailSent: { type: Boolean, default: false }
+  shipments: [shipmentSchema],
+  emailSent: { type: Boolean, default: false },
+  status: { type: String, enum: ORDER_STATUSES, default: "pending", index: true },
+  statusHistory: [statusHistorySchema],
+  cancellationReason: String,
+  cancelledAt: Date,
+  cancellationRefund: cancellationRefundSchema,
+  refunds: [refundSchema],
+  totalRefunded: { type: Number, default: 0, min: 0 }
 }, { timestamps: true });
 
 orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ reservationExpiresAt: 1 }, { sparse: true });
 
 export default mongoose.model("Order", orderSchema);
 
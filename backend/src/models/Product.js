@@ -1,12 +1,56 @@
 import mongoose from "mongoose";
+import { TAX_CLASSES } from "../utils/taxClasses.js";
+
+// An attribute shoppers choose, e.g. { name: "Size", values: ["S", "M", "L"] }
+const optionSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  values: [{ type: String, trim: true }]
+}, { _id: false });
+
+// One sellable combination of option values; carts and order items refer to it by _id
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  // Option name to chosen value, e.g. { Size: "M", Colour: "Red" }
+  attributes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Overrides the product price when set
+  price: { type: Number, min: 0 },
+  stock: { type: Number, min: 0, default: 0 },
+  reserved: { type: Number, min: 0, default: 0 },
+  image: { type: String, default: "" }
+});
+
+// A gallery photo, stored resized to each size; keys locate the stored files for deletion
+const imageSchema = new mongoose.Schema({
+  alt: { type: String, trim: true, default: "" },
+  thumbnail: { type: String, required: true },
+  medium: { type: String, required: true },
+  large: { type: String, required: true },
+  keys: [{ type: String }]
+});
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   description: { type: String, required: true },
   price: { type: Number, required: true, min: 0 },
   category: { type: String, required: true, trim: true, index: true },
+  // Cover image URL; for products with a gallery this is the first image's medium size
   image: { type: String, default: "" },
+  // Ordered gallery; the first image is the cover
+  images: [imageSchema],
+  // Units available to sell; units held for unpaid card orders are counted in reserved instead
   stock: { type: Number, required: true, min: 0, default: 0 },
+  reserved: { type: Number, min: 0, default: 0 },
+  // Products with variants keep stock per variant; stock and reserved above are then the totals
+  options: [optionSchema],
+  variants: [variantSchema],
+  taxClass: { type: String, enum: Object.values(TAX_CLASSES), default: TAX_CLASSES.STANDARD },
+  // Shipping weight in kg and parcel dimensions in cm, used by weight-based shipping rates
+  weight: { type: Number, min: 0, default: 0 },
+  dimensions: {
+    length: { type: Number, min: 0, default: 0 },
+    width: { type: Number, min: 0, default: 0 },
+    height: { type: Number, min: 0, default: 0 }
+  },
   isActive: { type: Boolean, default: true }
 }, { timestamps: true });
 
@@ -14,6 +58,10 @@ const productSchema = new mongoose.Schema({
 // Indexes for search performance (NFR1)
 productSchema.index({ name: "text", description: "text" });
 productSchema.index({ category: 1, price: 1 });
+productSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
 
 export default mongoose.model("Product", productSchema);
 
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Refresh tokens issued to a signed-in device. Only the SHA-256 hash is stored.
+// Every rotation stays in the same family so a replayed token can revoke the whole chain
+const refreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  userAgent: { type: String },
+  // MongoDB removes expired tokens automatically
+  expiresAt: { type: Date, required: true, expires: 0 },
+  revokedAt: { type: Date, default: null },
+  // Hash of the token this one was rotated into
+  replacedBy: { type: String }
+}, { timestamps: true });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
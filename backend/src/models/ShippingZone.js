@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { SHIPPING_METHODS, RATE_BASES } from "../utils/shippingMethods.js";
+
+// One band of a rate table: applies up to and including `upTo`; a null upTo has no upper bound
+const rateSchema = new mongoose.Schema({
+  upTo: { type: Number, min: 0, default: null },
+  price: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const zoneMethodSchema = new mongoose.Schema({
+  code: { type: String, enum: Object.values(SHIPPING_METHODS), required: true },
+  name: { type: String, required: true, trim: true },
+  rateBasis: { type: String, enum: Object.values(RATE_BASES), default: RATE_BASES.WEIGHT },
+  rates: [rateSchema],
+  // Estimated delivery window in days, shown to the customer
+  minDays: { type: Number, min: 0 },
+  maxDays: { type: Number, min: 0 },
+  isActive: { type: Boolean, default: true }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Country codes as customers enter them in their address, e.g. "USA"
+  countries: [{ type: String, uppercase: true, trim: true }],
+  // The default zone covers every country not listed in another zone
+  isDefault: { type: Boolean, default: false },
+  methods: [zoneMethodSchema],
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+shippingZoneSchema.index({ countries: 1 });
+
+export default mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+import { TAX_PRICING_MODES } from "../utils/taxClasses.js";
+
+const taxRuleSchema = new mongoose.Schema({
+  // Matched against the shipping address; an empty state covers the whole country
+  country: { type: String, required: true, uppercase: true, trim: true },
+  state: { type: String, uppercase: true, trim: true, default: "" },
+  name: { type: String, trim: true, default: "" },
+  // Percent rate per tax class, e.g. { standard: 8.875, reduced: 4, zero: 0 }
+  rates: { type: Map, of: { type: Number, min: 0, max: 100 }, default: {} },
+  pricingMode: {
+    type: String,
+    enum: Object.values(TAX_PRICING_MODES),
+    default: TAX_PRICING_MODES.EXCLUSIVE
+  },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+taxRuleSchema.index({ country: 1, state: 1 }, { unique: true });
+
+export default mongoose.model("TaxRule", taxRuleSchema);
@@ -1,11 +1,46 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { USER_ROLES } from "../utils/userRoles.js";
+
+// Saved address book entry, used to prefill checkout
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true, default: "" },
+  street: { type: String, required: true, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, required: true, trim: true },
+  zipCode: { type: String, required: true, trim: true },
+  country: { type: String, required: true, trim: true },
+  isDefault: { type: Boolean, default: false }
+});
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ["customer", "admin"], default: "customer" },
+  role: { type: String, enum: USER_ROLES, default: "customer" },
+  // Disabled accounts cannot sign in and their sessions are revoked
+  isActive: { type: Boolean, default: true },
+  emailVerified: { type: Boolean, default: false },
+  addresses: [addressSchema],
+  // SHA-256 hashes of emailed tokens; cleared once the token is used
+  emailVerificationToken: { type: String, select: false },
+  emailVerificationExpires: { type: Date, select: false },
+  passwordResetToken: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  unlockToken: { type: String, select: false },
+  unlockTokenExpires: { type: Date, select: false },
+  // TOTP two-factor authentication. The pending secret is held until the first code confirms enrolment
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  // SHA-256 hashes of single-use backup codes
+  twoFactorBackupCodes: { type: [String], select: false },
+  // Last accepted time step, so a code cannot be replayed within its window
+  twoFactorLastStep: { type: Number, select: false },
+  // Consecutive failed sign-ins; reset on success or once the counting window passes
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockUntil: { type: Date },
 }, { timestamps: true });
 
 userSchema.pre("save", async function(next) {
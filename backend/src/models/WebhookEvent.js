@@ -0,0 +1,10 @@
+import mongoose from "mongoose";
+
+// Processed payment provider events, used to make webhook handling idempotent
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  processedAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
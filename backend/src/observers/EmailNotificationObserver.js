@@ -1,6 +1,16 @@
 import Observer from './Observer.js';
 import { sendEmail } from '../utils/emailService.js';
 import userRepository from '../repositories/userRepository.js';
+import { isManualPayment } from '../utils/paymentMethods.js';
+import { generateOrderAccessToken } from '../utils/jwt.js';
+
+// Guests have no account to sign in to, so their emails link to the order with an access token
+const getGuestOrderUrl = (order) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/orders/${order._id}?token=${generateOrderAccessToken(order._id)}`;
+};
+
+const toPlainObject = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
 
 /**
  * EmailNotificationObserver
@@ -16,10 +26,10 @@ class EmailNotificationObserver extends Observer {
   async update(event, data) {
     try {
       if (event === 'orderCreated') {
-        // Only send email immediately for Bank Transfer (no payment confirmation)
+        // Only send email immediately for manual payments (no online payment confirmation)
         // Card payments will send email after payment confirmation
         const paymentMethod = data.paymentMethod || '';
-        if (paymentMethod === 'Bank Transfer') {
+        if (isManualPayment(paymentMethod)) {
           await this.handleOrderCreated(data);
         } else {
           console.log(`📧 Skipping email for order ${data._id} - waiting for payment confirmation (${paymentMethod})`);
@@ -29,7 +39,8 @@ class EmailNotificationObserver extends Observer {
         await this.handleOrderPaymentConfirmed(data);
       } else if (event === 'orderUpdated') {
         await this.handleOrderUpdated(data);
-      } else if (event === 'orderCancelled') {
+      } else if (event === 'orderCancelled' || event === 'orderLatePaymentRefunded') {
+        // A payment refunded because it arrived after cancellation is explained in the cancellation email
         await this.handleOrderCancelled(data);
       } else if (event === 'orderShipped') {
         await this.handleOrderShipped(data);
@@ -41,6 +52,32 @@ class EmailNotificationObserver extends Observer {
     }
   }
 
+  /**
+   * Work out who an order email goes to: the account holder, or the address given at a guest checkout
+   * @param {Object} order - Order object
+   * @returns {Promise<Object|null>} { email, data } where data is what the template renders, or null
+   */
+  async getRecipient(order) {
+    if (!order.user) {
+      if (!order.guestEmail) {
+        console.warn(`⚠️  No customer to email for order ${order._id}`);
+        return null;
+      }
+      return { email: order.guestEmail, data: { ...toPlainObject(order), orderUrl: getGuestOrderUrl(order) } };
+    }
+
+    const user = await userRepository.findById(order.user);
+    if (!user) {
+      console.warn(`⚠️  User not found for order ${order._id}`);
+      return null;
+    }
+    if (!user.email) {
+      console.warn(`⚠️  No email found for user ${order.user} (user: ${user.name || 'Unknown'})`);
+      return null;
+    }
+    return { email: user.email, data: order };
+  }
+
   /**
    * Send order confirmation email when order is created
    * @param {Object} order - Order object
@@ -48,22 +85,15 @@ class EmailNotificationObserver extends Observer {
   async handleOrderCreated(order) {
     try {
       console.log(`📬 EmailNotificationObserver: Order created event received for order ${order._id}`);
-      const user = await userRepository.findById(order.user);
-      
-      if (!user) {
-        console.warn(`⚠️  User not found for order ${order._id}`);
-        return;
-      }
-      
-      if (!user.email) {
-        console.warn(`⚠️  No email found for user ${order.user} (user: ${user.name || 'Unknown'})`);
+      const recipient = await this.getRecipient(order);
+      if (!recipient) {
         return;
       }
       
-      console.log(`📧 Preparing to send email to: ${user.email}`);
+      console.log(`📧 Preparing to send email to: ${recipient.email}`);
       // Order is already populated with product details from OrderService
-      await sendEmail(user.email, 'orderConfirmation', order);
-      console.log(`✅ Order confirmation email sent to ${user.email} for order ${order._id}`);
+      await sendEmail(recipient.email, 'orderConfirmation', recipient.data);
+      console.log(`✅ Order confirmation email sent to ${recipient.email} for order ${order._id}`);
     } catch (error) {
       console.error(`❌ Failed to send order confirmation email for order ${order._id}:`);
       console.error(`   Error: ${error.message}`);
@@ -80,22 +110,15 @@ class EmailNotificationObserver extends Observer {
   async handleOrderPaymentConfirmed(order) {
     try {
       console.log(`📬 EmailNotificationObserver: Payment confirmed event received for order ${order._id}`);
-      const user = await userRepository.findById(order.user);
-      
-      if (!user) {
-        console.warn(`⚠️  User not found for order ${order._id}`);
-        return;
-      }
-      
-      if (!user.email) {
-        console.warn(`⚠️  No email found for user ${order.user} (user: ${user.name || 'Unknown'})`);
+      const recipient = await this.getRecipient(order);
+      if (!recipient) {
         return;
       }
       
-      console.log(`📧 Preparing to send confirmation email to: ${user.email}`);
+      console.log(`📧 Preparing to send confirmation email to: ${recipient.email}`);
       // Order is already populated with product details from OrderService
-      await sendEmail(user.email, 'orderConfirmation', order);
-      console.log(`✅ Order confirmation email sent to ${user.email} for order ${order._id} (after payment)`);
+      await sendEmail(recipient.email, 'orderConfirmation', recipient.data);
+      console.log(`✅ Order confirmation email sent to ${recipient.email} for order ${order._id} (after payment)`);
     } catch (error) {
       console.error(`❌ Failed to send order confirmation email for order ${order._id}:`);
       console.error(`   Error: ${error.message}`);
@@ -110,10 +133,10 @@ class EmailNotificationObserver extends Observer {
    */
   async handleOrderUpdated(order) {
     try {
-      const user = await userRepository.findById(order.user);
-      if (user && user.email) {
-        await sendEmail(user.email, 'orderUpdate', order);
-        console.log(`✓ Order update email sent to ${user.email} for order ${order._id}`);
+      const recipient = await this.getRecipient(order);
+      if (recipient) {
+        await sendEmail(recipient.email, 'orderUpdate', recipient.data);
+        console.log(`✓ Order update email sent to ${recipient.email} for order ${order._id}`);
       }
     } catch (error) {
       console.error(`Failed to send order update email for order ${order._id}:`, error.message);
@@ -126,10 +149,10 @@ class EmailNotificationObserver extends Observer {
    */
   async handleOrderCancelled(order) {
     try {
-      const user = await userRepository.findById(order.user);
-      if (user && user.email) {
-        await sendEmail(user.email, 'orderCancellation', order);
-        console.log(`✓ Order cancellation email sent to ${user.email} for order ${order._id}`);
+      const recipient = await this.getRecipient(order);
+      if (recipient) {
+        await sendEmail(recipient.email, 'orderCancellation', recipient.data);
+        console.log(`✓ Order cancellation email sent to ${recipient.email} for order ${order._id}`);
       }
     } catch (error) {
       console.error(`Failed to send cancellation email for order ${order._id}:`, error.message);
@@ -142,10 +165,10 @@ class EmailNotificationObserver extends Observer {
    */
   async handleOrderShipped(order) {
     try {
-      const user = await userRepository.findById(order.user);
-      if (user && user.email) {
-        await sendEmail(user.email, 'orderShipped', order);
-        console.log(`✓ Shipping confirmation email sent to ${user.email} for order ${order._id}`);
+      const recipient = await this.getRecipient(order);
+      if (recipient) {
+        await sendEmail(recipient.email, 'orderShipped', recipient.data);
+        console.log(`✓ Shipping confirmation email sent to ${recipient.email} for order ${order._id}`);
       }
     } catch (error) {
       console.error(`Failed to send shipping email for order ${order._id}:`, error.message);
@@ -16,9 +16,11 @@ class InventoryObserver extends Observer {
     try {
       if (event === 'orderCreated') {
         await this.handleOrderCreated(data);
-      } else if (event === 'orderCancelled') {
-        await this.handleOrderCancelled(data);
+      } else if (event === 'orderRefunded') {
+        await this.handleOrderRefunded(data);
       }
+      // Cancellations are not handled here: OrderService releases or restores their stock
+      // inside the cancellation transaction
       // Silently ignore unknown events
     } catch (error) {
       console.error('Error in InventoryObserver:', error.message);
@@ -93,27 +95,25 @@ class InventoryObserver extends Observer {
   }
 
   /**
-   * Restore inventory when order is cancelled
-   * @param {Object} order - Order object
+   * Log restocked items when the latest refund asked for it
+   * Note: Refunded items are restocked by OrderService inside the refund transaction,
+   * so this observer must not touch stock levels again
+   * @param {Object} order - Order object with refunds array
    */
-  async handleOrderCancelled(order) {
+  async handleOrderRefunded(order) {
     try {
-      console.log(`📦 Restoring inventory for cancelled order ${order._id}`);
-      
-      for (const item of order.orderItems) {
-        try {
-          // Restore stock by adding back the quantity
-          // Note: updateStock subtracts, so we pass negative quantity to add
-          await productService.updateStock(item.product, -item.quantity);
-          console.log(`   ✓ Restored ${item.quantity} units of ${item.name}`);
-        } catch (error) {
-          console.error(`   Error restoring stock for product ${item.product}:`, error.message);
-        }
+      const refund = order.refunds?.[order.refunds.length - 1];
+      if (!refund || !refund.restock) {
+        return;
       }
 
-      console.log(`✓ Inventory restored for cancelled order ${order._id}`);
+      console.log(`📦 Inventory restored for refunded items of order ${order._id}`);
+
+      for (const item of refund.items) {
+        console.log(`   ✓ Restocked ${item.quantity} units of product ${item.product}`);
+      }
     } catch (error) {
-      console.error(`Failed to restore inventory for cancelled order ${order._id}:`, error.message);
+      console.error(`Failed to process inventory for refunded order ${order._id}:`, error.message);
     }
   }
 }
@@ -45,7 +45,7 @@ class OrderObserver {
   /**
    * Notify all observers about an event
    * This is the core of the Observer Pattern - one event triggers multiple observers
-   * @param {string} event - Event name (e.g., 'orderCreated', 'orderUpdated', 'orderCancelled')
+   * @param {string} event - Event name (e.g., 'orderCreated', 'orderUpdated', 'orderShipped', 'orderCancelled')
    * @param {Object} data - Event data (e.g., order object)
    */
   notify(event, data) {
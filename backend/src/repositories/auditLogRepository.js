@@ -0,0 +1,12 @@
+import AuditLog from "../models/AuditLog.js";
+
+class AuditLogRepository {
+  async create(entryData) {
+    const entry = new AuditLog(entryData);
+    return await entry.save();
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new AuditLogRepository();
+export { AuditLogRepository };
@@ -1,5 +1,8 @@
 import Cart from "../models/Cart.js";
 
+// A line is a product, or one variant of it; null also matches lines saved without a variant
+const lineMatch = (productId, variantId) => ({ product: productId, variant: variantId || null });
+
 class CartRepository {
   async findByUserId(userId) {
     return await Cart.findOne({ user: userId }).populate("items.product");
@@ -10,11 +13,11 @@ class CartRepository {
     return await cart.save();
   }
 
-  async addItem(userId, productId, quantity) {
+  async addItem(userId, productId, quantity, variantId = null) {
     // Use atomic operations to avoid version conflicts
     // First try to increment if item exists (atomic operation)
     const updatedCart = await Cart.findOneAndUpdate(
-      { user: userId, "items.product": productId },
+      { user: userId, items: { $elemMatch: lineMatch(productId, variantId) } },
       { $inc: { "items.$.quantity": quantity } },
       { new: true }
     ).populate("items.product");
@@ -26,44 +29,59 @@ class CartRepository {
     // Item doesn't exist, try to add it (atomic operation)
     const cartWithNewItem = await Cart.findOneAndUpdate(
       { user: userId },
-      { $push: { items: { product: productId, quantity } } },
+      { $push: { items: { product: productId, ...(variantId && { variant: variantId }), quantity } } },
       { new: true, upsert: true }
     ).populate("items.product");
     
     return cartWithNewItem;
   }
 
-  async updateItemQuantity(userId, productId, quantity) {
-    const cart = await Cart.findOne({ user: userId, "items.product": productId });
+  async updateItemQuantity(userId, productId, quantity, variantId = null) {
+    const cart = await Cart.findOne({ user: userId, items: { $elemMatch: lineMatch(productId, variantId) } });
     if (!cart) {
       return null;
     }
     return await Cart.findOneAndUpdate(
-      { user: userId, "items.product": productId },
+      { user: userId, items: { $elemMatch: lineMatch(productId, variantId) } },
       { $set: { "items.$.quantity": quantity } },
       { new: true }
     ).populate("items.product");
   }
 
-  async removeItem(userId, productId) {
+  async removeItem(userId, productId, variantId = null) {
     const cart = await Cart.findOne({ user: userId });
     if (!cart) {
       return null;
     }
     return await Cart.findOneAndUpdate(
       { user: userId },
-      { $pull: { items: { product: productId } } },
+      { $pull: { items: lineMatch(productId, variantId) } },
       { new: true }
     ).populate("items.product");
   }
 
-  async clearCart(userId) {
+  async setCoupon(userId, couponCode) {
+    const update = couponCode
+      ? { $set: { couponCode } }
+      : { $unset: { couponCode: "" } };
     return await Cart.findOneAndUpdate(
       { user: userId },
-      { $set: { items: [] } },
+      update,
       { new: true }
     ).populate("items.product");
   }
+
+  async clearCart(userId, session = null) {
+    return await Cart.findOneAndUpdate(
+      { user: userId },
+      { $set: { items: [] }, $unset: { couponCode: "" } },
+      { new: true, session }
+    ).populate("items.product");
+  }
+
+  async deleteByUserId(userId) {
+    return await Cart.deleteOne({ user: userId });
+  }
 }
 
 // Export both: singleton for backward compatibility and class for factory
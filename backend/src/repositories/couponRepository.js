@@ -0,0 +1,71 @@
+import Coupon from "../models/Coupon.js";
+
+class CouponRepository {
+  async findAll() {
+    return await Coupon.find().select("-redemptions").sort({ createdAt: -1 }).lean();
+  }
+
+  async findById(id) {
+    return await Coupon.findById(id);
+  }
+
+  async findByCode(code) {
+    return await Coupon.findOne({ code: code.trim().toUpperCase() });
+  }
+
+  async create(couponData) {
+    const coupon = new Coupon(couponData);
+    return await coupon.save();
+  }
+
+  async update(id, updateData) {
+    return await Coupon.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
+  }
+
+  async delete(id) {
+    return await Coupon.findByIdAndDelete(id);
+  }
+
+  // Atomic redemption: only succeeds while neither the global nor the customer's usage limit has been reached
+  async redeem(id, userId, orderId, session = null) {
+    const userRedemptions = {
+      $size: {
+        $filter: {
+          input: { $ifNull: ["$redemptions", []] },
+          cond: { $eq: [{ $toString: "$$this.user" }, String(userId)] }
+        }
+      }
+    };
+
+    return await Coupon.findOneAndUpdate(
+      {
+        _id: id,
+        $and: [
+          { $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }] },
+          { $or: [{ perUserLimit: null }, { $expr: { $lt: [userRedemptions, "$perUserLimit"] } }] }
+        ]
+      },
+      {
+        $inc: { usedCount: 1 },
+        $push: { redemptions: { user: userId, order: orderId } }
+      },
+      { new: true, session }
+    );
+  }
+
+  // Undo an order's redemption; returns null when the order holds none, so a use is only given back once
+  async release(id, userId, orderId, session = null) {
+    return await Coupon.findOneAndUpdate(
+      { _id: id, redemptions: { $elemMatch: { order: orderId, ...(userId && { user: userId }) } } },
+      {
+        $inc: { usedCount: -1 },
+        $pull: { redemptions: { order: orderId } }
+      },
+      { new: true, session }
+    );
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new CouponRepository();
+export { CouponRepository };
@@ -0,0 +1,16 @@
+import LoginAttempt from "../models/LoginAttempt.js";
+
+class LoginAttemptRepository {
+  async create(attemptData) {
+    const attempt = new LoginAttempt(attemptData);
+    return await attempt.save();
+  }
+
+  async countByIpSince(ip, since) {
+    return await LoginAttempt.countDocuments({ ip, createdAt: { $gte: since } });
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new LoginAttemptRepository();
+export { LoginAttemptRepository };
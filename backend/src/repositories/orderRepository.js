@@ -1,9 +1,10 @@
+import mongoose from "mongoose";
 import Order from "../models/Order.js";
 
 class OrderRepository {
-  async create(orderData) {
+  async create(orderData, session = null) {
     const order = new Order(orderData);
-    return await order.save();
+    return await order.save({ session });
   }
 
   async findById(id) {
@@ -23,8 +24,133 @@ class OrderRepository {
       .sort({ createdAt: -1 });
   }
 
-  async update(id, updateData) {
-    return await Order.findByIdAndUpdate(id, updateData, { new: true });
+  async update(id, updateData, session = null) {
+    return await Order.findByIdAndUpdate(id, updateData, { new: true, session });
+  }
+
+  // Count a refund against the order before the money is sent back; returns null when refunds
+  // already recorded leave less than the amount, so two concurrent refunds cannot exceed the total
+  async reserveRefund(id, amount, maxRefundedBefore) {
+    // Orders created before refunds existed have no totalRefunded and nothing refunded yet
+    return await Order.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [{ totalRefunded: { $exists: false } }, { totalRefunded: { $lte: maxRefundedBefore } }]
+      },
+      { $inc: { totalRefunded: amount } },
+      { new: true }
+    );
+  }
+
+  // Conditional update: only applies if the order is still in the expected status
+  async updateStatus(id, fromStatus, updateData, session) {
+    // Orders created before the status field existed have no status and count as pending
+    const statusFilter = fromStatus === "pending" ? { $in: ["pending", null] } : fromStatus;
+    return await Order.findOneAndUpdate(
+      { _id: id, status: statusFilter },
+      updateData,
+      { new: true, session }
+    );
+  }
+
+  // Drop an order's stock reservation; returns the order only if it still held one,
+  // so a payment and a release racing for the same reservation cannot both act on it
+  async clearReservation(id, session) {
+    return await Order.findOneAndUpdate(
+      { _id: id, reservationExpiresAt: { $exists: true } },
+      { $unset: { reservationExpiresAt: "" } },
+      { session }
+    );
+  }
+
+  // Take charge of refunding a payment that reached a cancelled order; returns null when
+  // this payment is already being refunded, so a webhook and the browser cannot both refund it.
+  // A refund that failed before can be claimed again
+  async claimLatePayment(id, paymentIntentId, amount) {
+    return await Order.findOneAndUpdate(
+      {
+        _id: id,
+        status: "cancelled",
+        isPaid: false,
+        $or: [
+          { "latePayment.paymentIntentId": { $ne: paymentIntentId } },
+          { "latePayment.status": "refund_failed" }
+        ]
+      },
+      {
+        $set: {
+          latePayment: { paymentIntentId, amount, receivedAt: new Date(), status: "refund_pending", message: "" }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  // Unpaid orders whose stock reservation has run out, oldest first
+  async findExpiredReservations(now, limit) {
+    return await Order.find({
+      status: "pending",
+      isPaid: false,
+      reservationExpiresAt: { $lte: now }
+    })
+      .sort({ reservationExpiresAt: 1 })
+      .limit(limit);
+  }
+
+  // Detach a deleted customer's orders and strip their personal details.
+  // Totals, items and the region of the address stay for accounting and tax reporting
+  async anonymizeByUserId(userId) {
+    return await Order.updateMany(
+      { user: userId },
+      {
+        $set: {
+          user: null,
+          anonymizedAt: new Date(),
+          "shippingAddress.street": "[deleted]",
+          "billingAddress.street": "[deleted]"
+        },
+        $unset: { "paymentResult.email_address": "", guestEmail: "" }
+      }
+    );
+  }
+
+  // Attach a guest order to an account; only succeeds while no account owns it yet
+  async claimGuestOrder(id, userId) {
+    return await Order.findOneAndUpdate(
+      { _id: id, user: null, guestEmail: { $exists: true } },
+      { $set: { user: userId } },
+      { new: true }
+    );
+  }
+
+  // Order count and lifetime spend for one customer. Spend counts paid orders net of refunds
+  async getCustomerSummary(userId) {
+    const [summary] = await Order.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+      {
+        $group: {
+          _id: null,
+          orderCount: { $sum: 1 },
+          paidOrderCount: { $sum: { $cond: ["$isPaid", 1, 0] } },
+          lifetimeSpend: {
+            $sum: {
+              $cond: [
+                "$isPaid",
+                { $subtract: ["$totalPrice", { $ifNull: ["$totalRefunded", 0] }] },
+                0
+              ]
+            }
+          },
+          lastOrderAt: { $max: "$createdAt" }
+        }
+      }
+    ]);
+
+    if (!summary) {
+      return { orderCount: 0, paidOrderCount: 0, lifetimeSpend: 0, lastOrderAt: null };
+    }
+    const { _id, ...totals } = summary;
+    return totals;
   }
 
   async getSalesAnalytics(startDate, endDate) {
@@ -42,6 +168,7 @@ class OrderRepository {
         $group: {
           _id: null,
           totalSales: { $sum: "$totalPrice" },
+          totalTax: { $sum: "$taxPrice" },
           totalOrders: { $sum: 1 },
           averageOrderValue: { $avg: "$totalPrice" }
         }
@@ -73,6 +200,27 @@ class OrderRepository {
         $group: {
           _id: "$product.category",
           totalSales: { $sum: { $multiply: ["$orderItems.price", "$orderItems.quantity"] } },
+          // Revenue after coupon discounts and excluding tax, from each line's tax breakdown
+          netSales: {
+            $sum: {
+              $subtract: [
+                { $multiply: ["$orderItems.price", "$orderItems.quantity"] },
+                {
+                  $add: [
+                    { $ifNull: ["$orderItems.discount", 0] },
+                    {
+                      $cond: [
+                        { $eq: ["$taxPricingMode", "inclusive"] },
+                        { $ifNull: ["$orderItems.taxAmount", 0] },
+                        0
+                      ]
+                    }
+                  ]
+                }
+              ]
+            }
+          },
+          totalTax: { $sum: { $ifNull: ["$orderItems.taxAmount", 0] } },
           totalItems: { $sum: "$orderItems.quantity" }
         }
       },
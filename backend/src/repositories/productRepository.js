@@ -1,5 +1,39 @@
+import mongoose from "mongoose";
 import Product from "../models/Product.js";
 
+// Stock operations on a product with variants also change the matched variant (positional $)
+const hasStock = (quantity, variantId) => (variantId
+  ? { variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } }
+  : { stock: { $gte: quantity } });
+
+const withVariant = (changes, variantId) => (variantId
+  ? { ...changes, ...Object.fromEntries(Object.entries(changes).map(([field, by]) => [`variants.$.${field}`, by])) }
+  : changes);
+
+// Counters never drop below zero, even if a reservation was already partly released
+const decreaseToZero = (field, quantity) => ({
+  $max: [{ $subtract: [{ $ifNull: [`$${field}`, 0] }, quantity] }, 0]
+});
+
+// Pipeline updates cannot use positional $, so the matching variant is rewritten in place
+const variantPipeline = (variantId, fields) => (variantId
+  ? {
+    variants: {
+      $map: {
+        input: "$variants",
+        as: "variant",
+        in: {
+          $cond: [
+            { $eq: ["$$variant._id", new mongoose.Types.ObjectId(String(variantId))] },
+            { $mergeObjects: ["$$variant", fields] },
+            "$$variant"
+          ]
+        }
+      }
+    }
+  }
+  : {});
+
 class ProductRepository {
   async findAll(filters = {}) {
     const query = { isActive: true, ...filters };
@@ -52,11 +86,62 @@ class ProductRepository {
     return await Product.findByIdAndDelete(id);
   }
 
-  async updateStock(id, quantity) {
+  // Conditional decrement: only applies while enough stock is left, so concurrent orders cannot oversell
+  // With a variant, the check is on the variant's own stock and the product total moves with it
+  async updateStock(id, quantity, session, variantId = null) {
+    return await Product.findOneAndUpdate(
+      { _id: id, ...hasStock(quantity, variantId) },
+      { $inc: withVariant({ stock: -quantity }, variantId) },
+      { new: true, session }
+    );
+  }
+
+  // Move units from stock into reserved; only succeeds while enough stock is left
+  async reserveStock(id, quantity, session, variantId = null) {
+    return await Product.findOneAndUpdate(
+      { _id: id, ...hasStock(quantity, variantId) },
+      { $inc: withVariant({ stock: -quantity, reserved: quantity }, variantId) },
+      { new: true, session }
+    );
+  }
+
+  // A paid reservation becomes a sale: the units leave reserved without going back to stock
+  async commitReservedStock(id, quantity, session, variantId = null) {
+    return await Product.findByIdAndUpdate(
+      id,
+      [{
+        $set: {
+          reserved: decreaseToZero("reserved", quantity),
+          ...variantPipeline(variantId, { reserved: decreaseToZero("$variant.reserved", quantity) })
+        }
+      }],
+      { new: true, session }
+    );
+  }
+
+  // An abandoned reservation goes back to stock
+  async releaseReservedStock(id, quantity, session, variantId = null) {
     return await Product.findByIdAndUpdate(
       id,
-      { $inc: { stock: -quantity } },
-      { new: true }
+      [{
+        $set: {
+          stock: { $add: ["$stock", quantity] },
+          reserved: decreaseToZero("reserved", quantity),
+          ...variantPipeline(variantId, {
+            stock: { $add: ["$$variant.stock", quantity] },
+            reserved: decreaseToZero("$variant.reserved", quantity)
+          })
+        }
+      }],
+      { new: true, session }
+    );
+  }
+
+  async restoreStock(id, quantity, session, variantId = null) {
+    return await Product.findOneAndUpdate(
+      { _id: id, ...(variantId && { "variants._id": variantId }) },
+      { $inc: withVariant({ stock: quantity }, variantId) },
+      { new: true, session }
     );
   }
 
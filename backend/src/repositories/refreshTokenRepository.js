@@ -0,0 +1,39 @@
+import RefreshToken from "../models/RefreshToken.js";
+
+class RefreshTokenRepository {
+  async create(tokenData) {
+    const refreshToken = new RefreshToken(tokenData);
+    return await refreshToken.save();
+  }
+
+  async findByTokenHash(tokenHash) {
+    return await RefreshToken.findOne({ tokenHash });
+  }
+
+  // Atomically retire a live token; returns null if it was already used or revoked
+  async markRotated(id, replacedBy) {
+    return await RefreshToken.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), replacedBy } },
+      { new: true }
+    );
+  }
+
+  async revokeFamily(family) {
+    return await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  async revokeAllForUser(userId) {
+    return await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new RefreshTokenRepository();
+export { RefreshTokenRepository };
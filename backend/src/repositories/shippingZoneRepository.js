@@ -0,0 +1,48 @@
+import ShippingZone from "../models/ShippingZone.js";
+
+class ShippingZoneRepository {
+  async findAll() {
+    return await ShippingZone.find().sort({ isDefault: 1, name: 1 }).lean();
+  }
+
+  async findById(id) {
+    return await ShippingZone.findById(id);
+  }
+
+  // Active zone listing a country
+  async findByCountry(country) {
+    return await ShippingZone.findOne({
+      countries: country.trim().toUpperCase(),
+      isActive: true
+    }).lean();
+  }
+
+  // Active zone covering countries not listed anywhere else
+  async findDefault() {
+    return await ShippingZone.findOne({ isDefault: true, isActive: true }).lean();
+  }
+
+  // Zones (active or not) that already list any of the given countries
+  async findByCountries(countries) {
+    return await ShippingZone.find({
+      countries: { $in: countries.map(country => country.trim().toUpperCase()) }
+    }).lean();
+  }
+
+  async create(zoneData) {
+    const zone = new ShippingZone(zoneData);
+    return await zone.save();
+  }
+
+  async update(id, updateData) {
+    return await ShippingZone.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
+  }
+
+  async delete(id) {
+    return await ShippingZone.findByIdAndDelete(id);
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new ShippingZoneRepository();
+export { ShippingZoneRepository };
@@ -0,0 +1,44 @@
+import TaxRule from "../models/TaxRule.js";
+
+class TaxRuleRepository {
+  async findAll() {
+    return await TaxRule.find().sort({ country: 1, state: 1 }).lean();
+  }
+
+  async findById(id) {
+    return await TaxRule.findById(id);
+  }
+
+  async findByLocation(country, state = "") {
+    return await TaxRule.findOne({
+      country: country.trim().toUpperCase(),
+      state: state.trim().toUpperCase()
+    });
+  }
+
+  // Active rules covering an address: the state-specific rule (if any) and the country-wide rule
+  async findForAddress(country, state = "") {
+    return await TaxRule.find({
+      country: country.trim().toUpperCase(),
+      state: { $in: [state.trim().toUpperCase(), ""] },
+      isActive: true
+    }).lean();
+  }
+
+  async create(taxRuleData) {
+    const taxRule = new TaxRule(taxRuleData);
+    return await taxRule.save();
+  }
+
+  async update(id, updateData) {
+    return await TaxRule.findByIdAndUpdate(id, updateData, { new: true, runValidators: true });
+  }
+
+  async delete(id) {
+    return await TaxRule.findByIdAndDelete(id);
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new TaxRuleRepository();
+export { TaxRuleRepository };
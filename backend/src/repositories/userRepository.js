@@ -1,5 +1,7 @@
 import User from "../models/User.js";
 
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 class UserRepository {
   async findByEmail(email) {
     return await User.findOne({ email });
@@ -9,6 +11,40 @@ class UserRepository {
     return await User.findById(id).select("-password");
   }
 
+  async findByIdWithPassword(id) {
+    return await User.findById(id);
+  }
+
+  // Includes the two-factor secrets, which are never selected by default
+  async findByIdWithTwoFactor(id) {
+    return await User.findById(id).select(
+      "+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastStep"
+    );
+  }
+
+  // Page through accounts for the admin console, newest first
+  async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (filters.search) {
+      const pattern = new RegExp(escapeRegex(filters.search), "i");
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (filters.role) query.role = filters.role;
+    // Accounts created before the flag existed count as active
+    if (filters.isActive === true) query.isActive = { $ne: false };
+    if (filters.isActive === false) query.isActive = false;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select("-password")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query)
+    ]);
+    return { users, total };
+  }
+
   async create(userData) {
     const user = new User(userData);
     return await user.save();
@@ -17,6 +53,101 @@ class UserRepository {
   async update(id, updateData) {
     return await User.findByIdAndUpdate(id, updateData, { new: true }).select("-password");
   }
+
+  async save(user) {
+    return await user.save();
+  }
+
+  async delete(id) {
+    return await User.findByIdAndDelete(id);
+  }
+
+  // Atomically consume an unexpired verification token and mark the address verified
+  async claimEmailVerificationToken(tokenHash) {
+    return await User.findOneAndUpdate(
+      { emailVerificationToken: tokenHash, emailVerificationExpires: { $gt: new Date() } },
+      { $set: { emailVerified: true }, $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } },
+      { new: true }
+    ).select("-password");
+  }
+
+  // Atomically consume an unexpired reset token so it can only be used once
+  async claimPasswordResetToken(tokenHash) {
+    return await User.findOneAndUpdate(
+      { passwordResetToken: tokenHash, passwordResetExpires: { $gt: new Date() } },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+  }
+
+  // Atomically count a failed sign-in; the count restarts when the previous failure is older than windowStart
+  async recordFailedLogin(id, windowStart) {
+    return await User.findOneAndUpdate(
+      { _id: id },
+      [{
+        $set: {
+          failedLoginAttempts: {
+            $cond: [
+              { $gte: [{ $ifNull: ["$lastFailedLoginAt", new Date(0)] }, windowStart] },
+              { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] },
+              1
+            ]
+          },
+          lastFailedLoginAt: new Date()
+        }
+      }],
+      { new: true }
+    ).select("-password");
+  }
+
+  // Lock an account that is not already locked; returns null if another request locked it first
+  async lockAccount(id, lockUntil, unlockTokenHash, unlockTokenExpires) {
+    return await User.findOneAndUpdate(
+      { _id: id, $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }] },
+      { $set: { lockUntil, unlockToken: unlockTokenHash, unlockTokenExpires } },
+      { new: true }
+    ).select("-password");
+  }
+
+  async clearFailedLogins(id) {
+    return await User.findByIdAndUpdate(
+      id,
+      {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lastFailedLoginAt: 1, lockUntil: 1, unlockToken: 1, unlockTokenExpires: 1 }
+      },
+      { new: true }
+    ).select("-password");
+  }
+
+  // Accept a TOTP time step only if it is newer than the last one used; returns null for a replayed code
+  async claimTwoFactorStep(id, step) {
+    return await User.findOneAndUpdate(
+      { _id: id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } },
+      { new: true }
+    ).select("-password");
+  }
+
+  // Atomically remove a backup code so it can only be used once; returns null if it was not there
+  async consumeBackupCode(id, codeHash) {
+    return await User.findOneAndUpdate(
+      { _id: id, twoFactorBackupCodes: codeHash },
+      { $pull: { twoFactorBackupCodes: codeHash } },
+      { new: true }
+    ).select("-password");
+  }
+
+  // Atomically consume an unexpired unlock token and lift the lock
+  async claimUnlockToken(tokenHash) {
+    return await User.findOneAndUpdate(
+      { unlockToken: tokenHash, unlockTokenExpires: { $gt: new Date() } },
+      {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lastFailedLoginAt: 1, lockUntil: 1, unlockToken: 1, unlockTokenExpires: 1 }
+      },
+      { new: true }
+    ).select("-password");
+  }
 }
 
 // Export both: singleton for backward compatibility and class for factory
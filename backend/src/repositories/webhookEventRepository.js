@@ -0,0 +1,16 @@
+import WebhookEvent from "../models/WebhookEvent.js";
+
+class WebhookEventRepository {
+  async findByEventId(eventId) {
+    return await WebhookEvent.findOne({ eventId });
+  }
+
+  async create(eventId, type) {
+    const webhookEvent = new WebhookEvent({ eventId, type });
+    return await webhookEvent.save();
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new WebhookEventRepository();
+export { WebhookEventRepository };
@@ -8,9 +8,14 @@ const router = express.Router();
 router.use(authenticate);
 
 router.get("/", cartController.getCart);
+router.get("/availability", cartController.getAvailability);
 router.post("/items", cartController.addItem);
+router.post("/merge", cartController.mergeCart);
 router.put("/items/:productId", cartController.updateItemQuantity);
 router.delete("/items/:productId", cartController.removeItem);
+router.get("/coupon", cartController.getCoupon);
+router.post("/coupon", cartController.applyCoupon);
+router.delete("/coupon", cartController.removeCoupon);
 router.delete("/", cartController.clearCart);
 
 export default router;
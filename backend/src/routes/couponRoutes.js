@@ -0,0 +1,17 @@
+import express from "express";
+import couponController from "../controllers/couponController.js";
+import { authenticate, requirePermission } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../utils/userRoles.js";
+
+const router = express.Router();
+
+// Promotions are managed by admins; customers redeem codes through the cart
+router.use(authenticate, requirePermission(PERMISSIONS.COUPONS_WRITE));
+
+router.get("/", couponController.getAllCoupons);
+router.get("/:id", couponController.getCouponById);
+router.post("/", couponController.createCoupon);
+router.put("/:id", couponController.updateCoupon);
+router.delete("/:id", couponController.deleteCoupon);
+
+export default router;
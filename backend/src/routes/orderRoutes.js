@@ -1,19 +1,42 @@
 import express from "express";
 import orderController from "../controllers/orderController.js";
-import { authenticate, authorize } from "../middlewares/auth.js";
+import { authenticate, requirePermission, requireStatusPermission } from "../middlewares/auth.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import { PERMISSIONS } from "../utils/userRoles.js";
 
 const router = express.Router();
 
+// Limit orders placed without an account per client, since no sign-in stands behind them
+export const guestCheckoutLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: "Too many guest orders, please try again later"
+});
+
 // Admin routes (must come before /:id to avoid route conflicts)
-router.get("/", authenticate, authorize("admin"), orderController.getAllOrders);
-router.get("/analytics/sales", authenticate, authorize("admin"), orderController.getSalesAnalytics);
-router.get("/analytics/category", authenticate, authorize("admin"), orderController.getSalesByCategory);
+router.get("/", authenticate, requirePermission(PERMISSIONS.ORDERS_READ), orderController.getAllOrders);
+router.get("/analytics/sales", authenticate, requirePermission(PERMISSIONS.ANALYTICS_READ), orderController.getSalesAnalytics);
+router.get("/analytics/category", authenticate, requirePermission(PERMISSIONS.ANALYTICS_READ), orderController.getSalesByCategory);
+
+// Guest checkout; the order token handed out at checkout stands in for a sign-in
+router.post("/guest", guestCheckoutLimiter, orderController.createGuestOrder);
+router.post("/guest/quote", orderController.quoteGuestOrder);
+router.get("/guest/:id", orderController.getGuestOrder);
+router.post("/guest/:id/claim", authenticate, orderController.claimGuestOrder);
 
 // User routes (require authentication)
 router.post("/", authenticate, orderController.createOrder);
+router.post("/quote", authenticate, orderController.quoteOrder);
 router.get("/my-orders", authenticate, orderController.getUserOrders);
 router.get("/:id", authenticate, orderController.getOrderById);
-router.put("/:id/payment", authenticate, orderController.updateOrderPayment);
+router.post("/:id/cancel", authenticate, orderController.cancelOrder);
+
+// Admin order management
+router.put("/:id/status", authenticate, requireStatusPermission, orderController.updateOrderStatus);
+router.post("/:id/refunds", authenticate, requirePermission(PERMISSIONS.ORDERS_REFUND), orderController.refundOrder);
+router.post("/:id/confirm-payment", authenticate, requirePermission(PERMISSIONS.PAYMENTS_CONFIRM), orderController.confirmManualPayment);
+router.post("/:id/shipments", authenticate, requirePermission(PERMISSIONS.ORDERS_FULFIL), orderController.createShipment);
+router.post("/:id/shipments/:shipmentId/deliver", authenticate, requirePermission(PERMISSIONS.ORDERS_FULFIL), orderController.markShipmentDelivered);
 
 export default router;
 
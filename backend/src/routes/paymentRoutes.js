@@ -1,17 +1,18 @@
 import express from "express";
 import paymentController from "../controllers/paymentController.js";
-import { authenticate } from "../middlewares/auth.js";
+import { authenticate, optionalAuthenticate } from "../middlewares/auth.js";
 
 const router = express.Router();
 
-// All payment routes require authentication
-router.post("/create-intent", authenticate, paymentController.createPaymentIntent);
-router.post("/confirm", authenticate, paymentController.confirmPayment);
+// Guests pay for their order with the order token from checkout instead of signing in
+router.post("/create-intent", optionalAuthenticate, paymentController.createPaymentIntent);
+router.post("/confirm", optionalAuthenticate, paymentController.confirmPayment);
+// Status and cancel only act on intents for the caller's own orders
 router.get("/status/:paymentIntentId", authenticate, paymentController.getPaymentStatus);
 router.post("/cancel", authenticate, paymentController.cancelPayment);
 
 // Webhook route - no authentication (uses Stripe signature verification)
-// Note: Express must be configured to parse raw body for webhook signature verification
+// Note: server.js parses this route with express.raw() so the signature can be verified
 router.post("/webhook", paymentController.handleWebhook);
 
 export default router;
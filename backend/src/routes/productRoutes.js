@@ -1,6 +1,8 @@
 import express from "express";
 import productController from "../controllers/productController.js";
-import { authenticate, authorize } from "../middlewares/auth.js";
+import { authenticate, requirePermission } from "../middlewares/auth.js";
+import { uploadImages } from "../middlewares/upload.js";
+import { PERMISSIONS } from "../utils/userRoles.js";
 
 const router = express.Router();
 
@@ -12,9 +14,14 @@ router.get("/category/:category", productController.getByCategory);
 router.get("/:id", productController.getProductById);
 
 // Admin routes
-router.post("/", authenticate, authorize("admin"), productController.createProduct);
-router.put("/:id", authenticate, authorize("admin"), productController.updateProduct);
-router.delete("/:id", authenticate, authorize("admin"), productController.deleteProduct);
+router.post("/", authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productController.createProduct);
+router.put("/:id", authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productController.updateProduct);
+router.delete("/:id", authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productController.deleteProduct);
+
+// Gallery images (admin)
+router.post("/:id/images", authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), uploadImages("images"), productController.uploadImages);
+router.put("/:id/images", authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productController.updateImages);
+router.delete("/:id/images/:imageId", authenticate, requirePermission(PERMISSIONS.PRODUCTS_WRITE), productController.deleteImage);
 
 export default router;
 
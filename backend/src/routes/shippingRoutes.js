@@ -0,0 +1,18 @@
+import express from "express";
+import shippingController from "../controllers/shippingController.js";
+import { authenticate, requirePermission } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../utils/userRoles.js";
+
+const router = express.Router();
+
+// Customers quote shipping for their cart at checkout
+router.get("/quote", authenticate, shippingController.getQuote);
+
+// Shipping zones and their rate tables are managed by staff with the shipping permission
+router.get("/zones", authenticate, requirePermission(PERMISSIONS.SHIPPING_WRITE), shippingController.getAllZones);
+router.get("/zones/:id", authenticate, requirePermission(PERMISSIONS.SHIPPING_WRITE), shippingController.getZoneById);
+router.post("/zones", authenticate, requirePermission(PERMISSIONS.SHIPPING_WRITE), shippingController.createZone);
+router.put("/zones/:id", authenticate, requirePermission(PERMISSIONS.SHIPPING_WRITE), shippingController.updateZone);
+router.delete("/zones/:id", authenticate, requirePermission(PERMISSIONS.SHIPPING_WRITE), shippingController.deleteZone);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import taxRuleController from "../controllers/taxRuleController.js";
+import { authenticate, requirePermission } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../utils/userRoles.js";
+
+const router = express.Router();
+
+// Tax rules are managed by admins and applied automatically at checkout
+router.use(authenticate, requirePermission(PERMISSIONS.TAXES_WRITE));
+
+router.get("/", taxRuleController.getAllTaxRules);
+router.get("/:id", taxRuleController.getTaxRuleById);
+router.post("/", taxRuleController.createTaxRule);
+router.put("/:id", taxRuleController.updateTaxRule);
+router.delete("/:id", taxRuleController.deleteTaxRule);
+
+export default router;
@@ -1,16 +1,90 @@
 import express from "express";
 import authController from "../controllers/authController.js";
-import { authenticate } from "../middlewares/auth.js";
+import addressController from "../controllers/addressController.js";
+import userController from "../controllers/userController.js";
+import twoFactorController from "../controllers/twoFactorController.js";
+import { authenticate, requirePermission } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../utils/userRoles.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
 
 const router = express.Router();
 
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Limit reset emails per client and address so the endpoint cannot be used to flood an inbox
+export const forgotPasswordLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: 5,
+  keyGenerator: (req) => `${req.ip}:${String(req.body?.email || "").trim().toLowerCase()}`,
+  message: "Too many password reset requests, please try again later"
+});
+
+// Limit token guesses per client
+export const resetPasswordLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: 10,
+  message: "Too many password reset attempts, please try again later"
+});
+
+// Limit unlock token guesses per client
+export const unlockAccountLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: 10,
+  message: "Too many unlock attempts, please try again later"
+});
+
+// Limit code guesses per client; wrong codes also count towards the account lockout
+export const twoFactorLoginLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: 20,
+  message: "Too many verification attempts, please try again later"
+});
+
+// Limit verification emails per account
+export const resendVerificationLimiter = rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: 3,
+  keyGenerator: (req) => String(req.user?._id || req.user?.id),
+  message: "Too many verification emails requested, please try again later"
+});
+
 // Public routes
 router.post("/register", authController.register);
 router.post("/login", authController.login);
+router.post("/login/2fa", twoFactorLoginLimiter, authController.verifyTwoFactorLogin);
+// The refresh token is the credential here, so this works once the access token has expired
+router.post("/refresh", authController.refresh);
+router.post("/forgot-password", forgotPasswordLimiter, authController.forgotPassword);
+router.post("/reset-password", resetPasswordLimiter, authController.resetPassword);
+router.get("/verify-email", authController.verifyEmail);
+router.get("/unlock-account", unlockAccountLimiter, authController.unlockAccount);
 
 // Protected routes
 router.get("/profile", authenticate, authController.getProfile);
+router.put("/profile", authenticate, authController.updateProfile);
+router.put("/password", authenticate, authController.changePassword);
+router.delete("/me", authenticate, authController.deleteAccount);
+
+// Two-factor authentication
+router.post("/2fa/setup", authenticate, twoFactorController.setup);
+router.post("/2fa/enable", authenticate, twoFactorController.enable);
+router.post("/2fa/disable", authenticate, twoFactorController.disable);
+router.post("/2fa/backup-codes", authenticate, twoFactorController.regenerateBackupCodes);
+
+// Address book
+router.get("/addresses", authenticate, addressController.getAddresses);
+router.post("/addresses", authenticate, addressController.createAddress);
+router.put("/addresses/:addressId", authenticate, addressController.updateAddress);
+router.delete("/addresses/:addressId", authenticate, addressController.deleteAddress);
 router.post("/logout", authenticate, authController.logout);
+router.post("/resend-verification", authenticate, resendVerificationLimiter, authController.resendVerification);
+
+// Admin user management (must come after the fixed paths above so /:id does not shadow them)
+router.get("/", authenticate, requirePermission(PERMISSIONS.USERS_READ), userController.getUsers);
+router.get("/:id", authenticate, requirePermission(PERMISSIONS.USERS_READ), userController.getUser);
+router.get("/:id/orders", authenticate, requirePermission(PERMISSIONS.USERS_READ), userController.getUserOrders);
+router.put("/:id/role", authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), userController.updateUserRole);
+router.put("/:id/status", authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), userController.updateUserStatus);
 
 export default router;
 
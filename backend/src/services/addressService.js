@@ -0,0 +1,122 @@
+import userRepository from "../repositories/userRepository.js";
+import { validateSavedAddress } from "../utils/validators.js";
+import { AppError } from "../utils/AppError.js";
+
+const MAX_ADDRESSES = 20;
+const ADDRESS_FIELDS = ["label", "street", "city", "state", "zipCode", "country"];
+
+const pickAddressFields = (data = {}) =>
+  Object.fromEntries(
+    ADDRESS_FIELDS
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, String(data[field]).trim()])
+  );
+
+const getId = (value) => (value?._id || value)?.toString();
+
+// Exactly one saved address is the default: the flagged one, or the first if none is flagged
+const applyDefault = (addresses) => {
+  const defaultAddress = addresses.find(address => address.isDefault) || addresses[0];
+  for (const address of addresses) {
+    address.isDefault = address === defaultAddress;
+  }
+};
+
+const clearDefault = (addresses) => {
+  for (const address of addresses) {
+    address.isDefault = false;
+  }
+};
+
+const sortDefaultFirst = (addresses = []) =>
+  [...addresses].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+
+class AddressService {
+  constructor(userRepositoryParam = null) {
+    // Accept repository as dependency (Dependency Injection)
+    // If not provided, use default singleton for backward compatibility
+    this.userRepository = userRepositoryParam || userRepository;
+  }
+
+  async getUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    return user;
+  }
+
+  findAddress(user, addressId) {
+    const address = user.addresses.find(entry => getId(entry) === String(addressId));
+    if (!address) {
+      throw new AppError("Address not found", 404);
+    }
+    return address;
+  }
+
+  // Declarative: Saved addresses, default first
+  async list(userId) {
+    const user = await this.getUser(userId);
+    return sortDefaultFirst(user.addresses);
+  }
+
+  // Imperative: Save a new address; the first one saved becomes the default
+  async create(userId, addressData = {}) {
+    const fields = pickAddressFields(addressData);
+    const errors = validateSavedAddress(fields);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    const user = await this.getUser(userId);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw new AppError(`You can save up to ${MAX_ADDRESSES} addresses`, 400);
+    }
+
+    if (addressData.isDefault === true) {
+      clearDefault(user.addresses);
+    }
+    user.addresses.push({ ...fields, isDefault: addressData.isDefault === true });
+    applyDefault(user.addresses);
+
+    await this.userRepository.save(user);
+    return sortDefaultFirst(user.addresses);
+  }
+
+  // Imperative: Edit a saved address or make it the default
+  async update(userId, addressId, addressData = {}) {
+    const user = await this.getUser(userId);
+    const address = this.findAddress(user, addressId);
+
+    const fields = pickAddressFields(addressData);
+    const errors = validateSavedAddress({ ...pickAddressFields(address), ...fields });
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    Object.assign(address, fields);
+    if (addressData.isDefault === true) {
+      clearDefault(user.addresses);
+      address.isDefault = true;
+    }
+
+    await this.userRepository.save(user);
+    return sortDefaultFirst(user.addresses);
+  }
+
+  // Imperative: Remove a saved address; removing the default promotes the next one
+  async remove(userId, addressId) {
+    const user = await this.getUser(userId);
+    const address = this.findAddress(user, addressId);
+
+    user.addresses = user.addresses.filter(entry => entry !== address);
+    applyDefault(user.addresses);
+
+    await this.userRepository.save(user);
+    return sortDefaultFirst(user.addresses);
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new AddressService();
+export { AddressService };
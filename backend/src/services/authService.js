@@ -1,18 +1,55 @@
 import bcrypt from "bcryptjs";
-import { generateToken } from "../utils/jwt.js";
+import { randomUUID } from "crypto";
+import { generateToken, generatePreAuthToken, verifyPreAuthToken } from "../utils/jwt.js";
 import { validateEmail, validatePassword } from "../utils/validators.js";
 import userRepository from "../repositories/userRepository.js";
+import refreshTokenRepository from "../repositories/refreshTokenRepository.js";
+import orderRepository from "../repositories/orderRepository.js";
+import cartRepository from "../repositories/cartRepository.js";
+import loginProtectionService from "./loginProtectionService.js";
+import twoFactorService from "./twoFactorService.js";
 import { AppError } from "../utils/AppError.js";
+import { isTwoFactorRequired } from "../utils/userRoles.js";
+import { createSecureToken, hashToken } from "../utils/secureToken.js";
+import { sendEmail } from "../utils/emailService.js";
+
+// Token lifetimes match what the emails tell the user
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Fields returned to the client for the signed-in user
+const toUserPayload = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: Boolean(user.emailVerified),
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  twoFactorRequired: isTwoFactorRequired(user.role)
+});
 
 class AuthService {
-  constructor(userRepositoryParam = null) {
-    // Accept repository as dependency (Dependency Injection)
-    // If not provided, use default singleton for backward compatibility
+  constructor(
+    userRepositoryParam = null,
+    refreshTokenRepositoryParam = null,
+    orderRepositoryParam = null,
+    cartRepositoryParam = null,
+    loginProtectionServiceParam = null,
+    twoFactorServiceParam = null
+  ) {
+    // Accept repositories as dependencies (Dependency Injection)
+    // If not provided, use default singletons for backward compatibility
     this.userRepository = userRepositoryParam || userRepository;
+    this.refreshTokenRepository = refreshTokenRepositoryParam || refreshTokenRepository;
+    this.orderRepository = orderRepositoryParam || orderRepository;
+    this.cartRepository = cartRepositoryParam || cartRepository;
+    this.loginProtectionService = loginProtectionServiceParam || loginProtectionService;
+    this.twoFactorService = twoFactorServiceParam || twoFactorService;
   }
 
   // Imperative registration logic
-  async register(userData) {
+  async register(userData, context = {}) {
     const { name, email, password } = userData;
 
     // Validation
@@ -36,46 +73,370 @@ class AuthService {
 
     // Create user (password hashing happens in model pre-save hook)
     const user = await this.userRepository.create({ name, email, password });
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await this.createSession(user._id, context);
+
+    await this.sendVerificationEmail(user);
 
-    return {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      },
-      token
-    };
+    return { user: toUserPayload(user), token, refreshToken };
   }
 
   // Imperative login logic
-  async login(email, password) {
+  async login(email, password, context = {}) {
     if (!email || !password) {
       throw new Error("Email and password are required");
     }
 
+    // Throttle before touching the password so locked accounts cannot be probed
+    await this.loginProtectionService.assertIpAllowed(context);
+
     const user = await this.userRepository.findByEmail(email);
     if (!user) {
+      await this.loginProtectionService.recordFailure(null, email, context);
       throw new Error("Invalid credentials");
     }
 
+    await this.loginProtectionService.assertAccountAllowed(user, context);
+
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      // Throws a 429 instead when this failure locks the account
+      await this.loginProtectionService.recordFailure(user, email, context);
       throw new Error("Invalid credentials");
     }
 
-    const token = generateToken(user._id);
+    if (user.isActive === false) {
+      throw new AppError("Your account has been disabled", 403);
+    }
+
+    // The password alone only earns a short-lived token for the code step.
+    // Failed attempts are only cleared once the code is right too, so re-entering a known
+    // password between code guesses does not reset the lockout
+    if (user.twoFactorEnabled) {
+      return { twoFactorRequired: true, preAuthToken: generatePreAuthToken(user._id) };
+    }
+
+    await this.loginProtectionService.recordSuccess(user, context);
+
+    const { token, refreshToken } = await this.createSession(user._id, context);
+
+    return { user: toUserPayload(user), token, refreshToken };
+  }
+
+  // Imperative: Finish a two-factor sign-in with an authenticator or backup code
+  async completeTwoFactorLogin(preAuthToken, code, context = {}) {
+    if (!preAuthToken || !code) {
+      throw new AppError("Verification code is required", 400);
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPreAuthToken(preAuthToken);
+    } catch (error) {
+      throw new AppError("Your sign-in has expired. Please log in again", 401);
+    }
+
+    const user = await this.userRepository.findByIdWithTwoFactor(decoded.userId);
+    if (!user || !user.twoFactorEnabled) {
+      throw new AppError("Your sign-in has expired. Please log in again", 401);
+    }
+
+    if (user.isActive === false) {
+      throw new AppError("Your account has been disabled", 403);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    await this.loginProtectionService.assertAccountAllowed(user, context);
+
+    if (!(await this.twoFactorService.verifyChallenge(user, code))) {
+      await this.loginProtectionService.recordFailure(user, user.email, context);
+      throw new AppError("Invalid verification code", 400);
+    }
+
+    await this.loginProtectionService.recordSuccess(user, context);
+
+    const { token, refreshToken } = await this.createSession(user._id, context);
+
+    return { user: toUserPayload(user), token, refreshToken };
+  }
+
+  // Imperative: Start a new device session with an access token and the first refresh token of a new family
+  async createSession(userId, context = {}) {
+    const refreshToken = await this.issueRefreshToken(userId, randomUUID(), context.userAgent);
+    return { token: generateToken(userId), refreshToken };
+  }
+
+  async issueRefreshToken(userId, family, userAgent) {
+    const { token, tokenHash } = createSecureToken();
+    await this.refreshTokenRepository.create({
+      user: userId,
+      tokenHash,
+      family,
+      userAgent,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+    return token;
+  }
+
+  // Imperative: Exchange a refresh token for a new access token and a rotated refresh token
+  async refreshSession(refreshToken, context = {}) {
+    if (!refreshToken) {
+      throw new AppError("Refresh token is required", 400);
+    }
+
+    const storedToken = await this.refreshTokenRepository.findByTokenHash(hashToken(refreshToken));
+    if (!storedToken) {
+      throw new AppError("Invalid refresh token", 401);
+    }
+
+    // A token that was already rotated or revoked is being replayed, possibly by someone who stole it
+    if (storedToken.revokedAt) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new AppError("Session has been revoked. Please log in again", 401);
+    }
+
+    if (storedToken.expiresAt <= new Date()) {
+      throw new AppError("Session has expired. Please log in again", 401);
+    }
+
+    const { token: nextToken, tokenHash: nextTokenHash } = createSecureToken();
+    const rotated = await this.refreshTokenRepository.markRotated(storedToken._id, nextTokenHash);
+    if (!rotated) {
+      // Another request used this token first
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new AppError("Session has been revoked. Please log in again", 401);
+    }
+
+    const user = await this.userRepository.findById(storedToken.user);
+    if (!user) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new AppError("User not found", 401);
+    }
+
+    if (user.isActive === false) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+      throw new AppError("Your account has been disabled", 401);
+    }
+
+    await this.refreshTokenRepository.create({
+      user: user._id,
+      tokenHash: nextTokenHash,
+      family: storedToken.family,
+      userAgent: context.userAgent || storedToken.userAgent,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return { token: generateToken(user._id), refreshToken: nextToken };
+  }
+
+  // Imperative: End the device session behind one of the user's refresh tokens
+  async logout(userId, refreshToken) {
+    if (!refreshToken) {
+      return;
+    }
+
+    const storedToken = await this.refreshTokenRepository.findByTokenHash(hashToken(refreshToken));
+    if (storedToken && storedToken.user.toString() === userId.toString()) {
+      await this.refreshTokenRepository.revokeFamily(storedToken.family);
+    }
+  }
+
+  // Imperative: Sign the user out on every device
+  async revokeAllSessions(userId) {
+    await this.refreshTokenRepository.revokeAllForUser(userId);
+  }
+
+  // Imperative: Issue a fresh verification token (replacing any earlier one) and email the link
+  async sendVerificationEmail(user) {
+    const { token, tokenHash } = createSecureToken();
+    await this.userRepository.update(user._id, {
+      emailVerificationToken: tokenHash,
+      emailVerificationExpires: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+    });
+
+    try {
+      await sendEmail(user.email, "emailVerification", { verificationToken: token, userName: user.name });
+    } catch (error) {
+      // Registration still succeeds; the user can ask for another link
+      console.error(`Failed to send verification email to ${user.email}:`, error.message);
+    }
+  }
+
+  // Imperative: Mark the address behind a verification link as verified
+  async verifyEmail(token) {
+    if (!token) {
+      throw new AppError("Verification token is required", 400);
+    }
+
+    const user = await this.userRepository.claimEmailVerificationToken(hashToken(token));
+    if (!user) {
+      throw new AppError("Verification link is invalid or has expired", 400);
+    }
+    return user;
+  }
+
+  // Imperative: Send another verification link to a signed-in user
+  async resendVerificationEmail(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    if (user.emailVerified) {
+      throw new AppError("Email address is already verified", 400);
+    }
+    await this.sendVerificationEmail(user);
+  }
+
+  // Imperative: Email a reset link; unknown emails are ignored so accounts cannot be discovered
+  async requestPasswordReset(email) {
+    if (!email || !validateEmail(email.trim())) {
+      throw new AppError("A valid email is required", 400);
+    }
+
+    const user = await this.userRepository.findByEmail(email.trim());
+    if (!user) {
+      return;
+    }
+
+    const { token, tokenHash } = createSecureToken();
+    await this.userRepository.update(user._id, {
+      passwordResetToken: tokenHash,
+      passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MS)
+    });
+
+    try {
+      await sendEmail(user.email, "passwordReset", { resetToken: token, userName: user.name });
+    } catch (error) {
+      // The response must not differ for known emails, so delivery failures are only logged
+      console.error(`Failed to send password reset email to ${user.email}:`, error.message);
+    }
+  }
+
+  // Imperative: Set a new password with a single-use reset token
+  async resetPassword(token, password) {
+    if (!token) {
+      throw new AppError("Reset token is required", 400);
+    }
+
+    if (!validatePassword(password)) {
+      throw new AppError("Password must be at least 6 characters", 400);
+    }
 
-    return {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      },
-      token
-    };
+    const user = await this.userRepository.claimPasswordResetToken(hashToken(token));
+    if (!user) {
+      throw new AppError("Password reset link is invalid or has expired", 400);
+    }
+
+    // Password hashing happens in model pre-save hook
+    user.password = password;
+    // Proving control of the inbox also lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+    await this.userRepository.save(user);
+
+    // Anyone holding an old session must sign in with the new password
+    await this.revokeAllSessions(user._id);
+  }
+
+  // Imperative: Lift a brute-force lockout using the emailed unlock token
+  async unlockAccount(token, context = {}) {
+    const user = await this.loginProtectionService.unlockAccount(token, context);
+    return toUserPayload(user);
+  }
+
+  // Imperative: Change name and/or email; a new email must be verified again
+  async updateProfile(userId, profileData = {}) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    const updates = {};
+
+    if (profileData.name !== undefined) {
+      const name = String(profileData.name).trim();
+      if (!name) {
+        throw new AppError("Name is required", 400);
+      }
+      updates.name = name;
+    }
+
+    // Addresses differing only in letter case reach the same mailbox, so they are not a change
+    const email = profileData.email !== undefined ? String(profileData.email).trim().toLowerCase() : undefined;
+    const emailChanged = email !== undefined && email !== (user.email || '').trim().toLowerCase();
+    if (emailChanged) {
+      if (!validateEmail(email)) {
+        throw new AppError("Invalid email format", 400);
+      }
+      const existingUser = await this.userRepository.findByEmail(email);
+      if (existingUser && existingUser._id.toString() !== user._id.toString()) {
+        throw new AppError("User already exists with this email", 400);
+      }
+      updates.email = email;
+      updates.emailVerified = false;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return toUserPayload(user);
+    }
+
+    const updatedUser = await this.userRepository.update(userId, updates);
+    if (emailChanged) {
+      await this.sendVerificationEmail(updatedUser);
+    }
+    return toUserPayload(updatedUser);
+  }
+
+  // Imperative: Change password after confirming the current one.
+  // Other devices are signed out; this device gets a fresh session
+  async changePassword(userId, currentPassword, newPassword, context = {}) {
+    if (!currentPassword || !newPassword) {
+      throw new AppError("Current password and new password are required", 400);
+    }
+
+    if (!validatePassword(newPassword)) {
+      throw new AppError("Password must be at least 6 characters", 400);
+    }
+
+    const user = await this.userRepository.findByIdWithPassword(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      throw new AppError("Current password is incorrect", 400);
+    }
+
+    // Password hashing happens in model pre-save hook
+    user.password = newPassword;
+    await this.userRepository.save(user);
+
+    await this.revokeAllSessions(user._id);
+    return await this.createSession(user._id, context);
+  }
+
+  // Imperative: Delete the account after confirming the password.
+  // Orders are kept for the store's records but no longer point at the customer
+  async deleteAccount(userId, password) {
+    if (!password) {
+      throw new AppError("Password is required to delete your account", 400);
+    }
+
+    const user = await this.userRepository.findByIdWithPassword(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      throw new AppError("Password is incorrect", 400);
+    }
+
+    await this.orderRepository.anonymizeByUserId(user._id);
+    await this.cartRepository.deleteByUserId(user._id);
+    await this.revokeAllSessions(user._id);
+    await this.userRepository.delete(user._id);
   }
 
   async getProfile(userId) {
@@ -83,7 +444,9 @@ class AuthService {
     if (!user) {
       throw new Error("User not found");
     }
-    return user;
+    const profile = typeof user.toObject === "function" ? user.toObject() : { ...user };
+    // Lets the client send admins to enrolment before they hit a 403
+    return { ...profile, twoFactorRequired: isTwoFactorRequired(user.role) };
   }
 }
 
@@ -1,13 +1,24 @@
 import cartRepository from "../repositories/cartRepository.js";
 import productService from "./productService.js";
+import couponService, { CouponService } from "./couponService.js";
 import { AppError } from "../utils/AppError.js";
+import { getAvailableStock, findVariant } from "../utils/productVariants.js";
+
+// Upper bound on distinct products accepted in one guest cart merge
+const MAX_MERGE_ITEMS = 50;
+
+// Whether a cart line holds this product, in this variant
+const isLine = (item, productId, variantId = null) =>
+  item.product?._id?.toString() === productId.toString() &&
+  (item.variant?.toString() || null) === (variantId?.toString() || null);
 
 class CartService {
-  constructor(cartRepositoryParam = null, productServiceParam = null) {
+  constructor(cartRepositoryParam = null, productServiceParam = null, couponServiceParam = null) {
     // Accept dependencies (Dependency Injection)
     // If not provided, use default singletons for backward compatibility
     this.cartRepository = cartRepositoryParam || cartRepository;
     this.productService = productServiceParam || productService;
+    this.couponService = couponServiceParam || couponService;
   }
 
   // Imperative: Get user's cart
@@ -20,40 +31,41 @@ class CartService {
   }
 
   // Imperative: Add item to cart with validation and concurrency handling
-  async addItem(userId, productId, quantity = 1) {
+  // Products sold in options need the chosen variant; each variant is its own cart line
+  async addItem(userId, productId, quantity = 1, variantId = null) {
     // Verify product exists and is available
     const product = await this.productService.getById(productId);
+    const variant = this.productService.resolveVariant(product, variantId);
     
     // Check current cart to validate total quantity (don't create if doesn't exist yet)
     const cart = await this.cartRepository.findByUserId(userId);
-    const existingItem = cart?.items?.find(
-      item => item.product?._id?.toString() === productId.toString()
-    );
+    const existingItem = cart?.items?.find(item => isLine(item, productId, variantId));
 
     // Calculate new total quantity
     const currentQuantity = existingItem ? existingItem.quantity : 0;
     const newQuantity = currentQuantity + quantity;
     
-    if (product.stock < newQuantity) {
+    if ((variant || product).stock < newQuantity) {
       throw new AppError("Insufficient stock", 400);
     }
 
     // Use repository's atomic operation (handles both add and increment, creates cart if needed)
-    return await this.cartRepository.addItem(userId, productId, quantity);
+    return await this.cartRepository.addItem(userId, productId, quantity, variant?._id || null);
   }
 
   // Imperative: Update item quantity
-  async updateItemQuantity(userId, productId, quantity) {
+  async updateItemQuantity(userId, productId, quantity, variantId = null) {
     if (quantity <= 0) {
       throw new AppError("Quantity must be greater than 0", 400);
     }
 
     const product = await this.productService.getById(productId);
-    if (product.stock < quantity) {
+    const variant = this.productService.resolveVariant(product, variantId);
+    if ((variant || product).stock < quantity) {
       throw new AppError("Insufficient stock", 400);
     }
 
-    const cart = await this.cartRepository.updateItemQuantity(userId, productId, quantity);
+    const cart = await this.cartRepository.updateItemQuantity(userId, productId, quantity, variantId);
     if (!cart) {
       throw new AppError("Item not found in cart", 404);
     }
@@ -61,28 +73,138 @@ class CartService {
   }
 
   // Imperative: Remove item from cart
-  async removeItem(userId, productId) {
+  async removeItem(userId, productId, variantId = null) {
     // First check if cart exists and has the item
     const cart = await this.cartRepository.findByUserId(userId);
     if (!cart) {
       throw new AppError("Cart not found", 404);
     }
-    const itemExists = cart.items.some(
-      item => item.product?._id?.toString() === productId.toString()
-    );
+    const itemExists = cart.items.some(item => isLine(item, productId, variantId));
     if (!itemExists) {
       throw new AppError("Item not found in cart", 404);
     }
-    const updatedCart = await this.cartRepository.removeItem(userId, productId);
+    const updatedCart = await this.cartRepository.removeItem(userId, productId, variantId);
     if (!updatedCart) {
       throw new AppError("Item not found in cart", 404);
     }
     return updatedCart;
   }
 
-  // Imperative: Clear cart
-  async clearCart(userId) {
-    return await this.cartRepository.clearCart(userId);
+  // Declarative: Stock each cart line can draw on, next to what unpaid orders are holding
+  // Reserved units come back on sale if those orders are not paid in time
+  async getAvailability(userId) {
+    const cart = await this.getCart(userId);
+    return (cart.items || [])
+      .filter(item => item.product)
+      .map(item => {
+        const available = item.product.isActive === false ? 0 : getAvailableStock(item.product, item.variant);
+        return {
+          productId: item.product._id.toString(),
+          variantId: item.variant?.toString() || null,
+          quantity: item.quantity,
+          available,
+          reserved: (findVariant(item.product, item.variant) || item.product).reserved || 0,
+          shortBy: Math.max(item.quantity - available, 0)
+        };
+      });
+  }
+
+  // Imperative: Apply a coupon after checking it against the current cart
+  async applyCoupon(userId, code) {
+    const cart = await this.getCart(userId);
+    if (!cart.items || cart.items.length === 0) {
+      throw new AppError("Cart is empty", 400);
+    }
+
+    const result = await this.couponService.validateCoupon(code, userId, cart.items);
+    const updatedCart = await this.cartRepository.setCoupon(userId, result.coupon.code);
+    return { cart: updatedCart, coupon: CouponService.summarize(result) };
+  }
+
+  // Imperative: Remove the applied coupon
+  async removeCoupon(userId) {
+    return await this.cartRepository.setCoupon(userId, null);
+  }
+
+  // Imperative: Re-price the applied coupon against the cart as it is now
+  // A coupon that no longer applies stays on the cart, flagged with the reason
+  async getCouponSummary(userId) {
+    const cart = await this.getCart(userId);
+    if (!cart.couponCode) {
+      return null;
+    }
+
+    try {
+      const result = await this.couponService.validateCoupon(cart.couponCode, userId, cart.items);
+      return { ...CouponService.summarize(result), valid: true };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      return { code: cart.couponCode, discount: 0, freeShipping: false, valid: false, message: error.message };
+    }
+  }
+
+  // Imperative: Fold a guest cart into the user's cart after login or registration
+  // Quantities for the same product are added together and capped at what is in stock
+  async mergeItems(userId, items) {
+    if (!Array.isArray(items)) {
+      throw new AppError("Items must be an array", 400);
+    }
+    if (items.length > MAX_MERGE_ITEMS) {
+      throw new AppError(`A cart can hold at most ${MAX_MERGE_ITEMS} different products`, 400);
+    }
+
+    // The same line can appear twice if the guest cart was edited in two tabs
+    const requested = new Map();
+    for (const item of items) {
+      const productId = item?.productId?.toString();
+      const variantId = item?.variantId?.toString() || null;
+      const quantity = Number(item?.quantity);
+      if (!productId || !Number.isInteger(quantity) || quantity <= 0) {
+        throw new AppError("Each item needs a productId and a positive whole quantity", 400);
+      }
+      const key = `${productId}:${variantId || ""}`;
+      const line = requested.get(key) || { productId, variantId, quantity: 0 };
+      requested.set(key, { ...line, quantity: line.quantity + quantity });
+    }
+
+    const cart = await this.getCart(userId);
+    const adjustments = [];
+
+    for (const { productId, variantId, quantity } of requested.values()) {
+      let product;
+      let variant;
+      try {
+        product = await this.productService.getById(productId);
+        variant = this.productService.resolveVariant(product, variantId);
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        // Products or options removed or hidden since they were added are dropped rather than failing the merge
+        adjustments.push({ productId, variantId, requested: quantity, added: 0, reason: "unavailable" });
+        continue;
+      }
+
+      const existingItem = cart.items?.find(item => isLine(item, productId, variantId));
+      const currentQuantity = existingItem ? existingItem.quantity : 0;
+      const added = Math.min(quantity, Math.max((variant || product).stock - currentQuantity, 0));
+
+      if (added > 0) {
+        await this.cartRepository.addItem(userId, productId, added, variant?._id || null);
+      }
+      if (added < quantity) {
+        adjustments.push({ productId, variantId, name: product.name, requested: quantity, added, reason: "stock" });
+      }
+    }
+
+    return { cart: await this.getCart(userId), adjustments };
+  }
+
+  // Imperative: Clear cart, optionally inside a transaction (checkout)
+  async clearCart(userId, session = null) {
+    return await this.cartRepository.clearCart(userId, session);
   }
 }
 
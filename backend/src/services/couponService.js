@@ -0,0 +1,226 @@
+import couponRepository from "../repositories/couponRepository.js";
+import { validateCouponData } from "../utils/validators.js";
+import { COUPON_TYPES } from "../utils/couponTypes.js";
+import { roundCurrency } from "../utils/pricing.js";
+import { AppError } from "../utils/AppError.js";
+import { getUnitPrice, getLineKey } from "../utils/productVariants.js";
+
+// Fields an admin may set; usage counters only change through redemptions
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minimumSpend",
+  "categories",
+  "products",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "expiresAt",
+  "isActive"
+];
+
+const pickEditableFields = (data = {}) =>
+  Object.fromEntries(Object.entries(data).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const getId = (value) => (value?._id || value)?.toString();
+
+class CouponService {
+  constructor(couponRepositoryParam = null) {
+    // Accept repository as dependency (Dependency Injection)
+    // If not provided, use default singleton for backward compatibility
+    this.couponRepository = couponRepositoryParam || couponRepository;
+  }
+
+  // Declarative: Get all coupons (admin)
+  async getAll() {
+    return await this.couponRepository.findAll();
+  }
+
+  // Imperative: Get coupon by ID with validation
+  async getById(id) {
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AppError("Coupon not found", 404);
+    }
+    const coupon = await this.couponRepository.findById(id);
+    if (!coupon) {
+      throw new AppError("Coupon not found", 404);
+    }
+    return coupon;
+  }
+
+  // Imperative: Create coupon with validation
+  async create(data) {
+    const couponData = pickEditableFields(data);
+    const errors = validateCouponData(couponData);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    if (await this.couponRepository.findByCode(couponData.code)) {
+      throw new AppError("Coupon code already exists", 400);
+    }
+    return await this.couponRepository.create(couponData);
+  }
+
+  // Imperative: Update coupon, validating the result of the merge
+  async update(id, data) {
+    const coupon = await this.getById(id);
+    const updateData = pickEditableFields(data);
+    const current = typeof coupon.toObject === "function" ? coupon.toObject() : coupon;
+
+    const errors = validateCouponData({ ...current, ...updateData });
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    if (updateData.code) {
+      const existing = await this.couponRepository.findByCode(updateData.code);
+      if (existing && getId(existing) !== getId(coupon)) {
+        throw new AppError("Coupon code already exists", 400);
+      }
+    }
+    return await this.couponRepository.update(id, updateData);
+  }
+
+  // Imperative: Delete coupon
+  async delete(id) {
+    await this.getById(id);
+    return await this.couponRepository.delete(id);
+  }
+
+  /**
+   * Check a coupon can be used on a set of cart items and work out its discount
+   * @param {string} code - Coupon code as entered by the customer
+   * @param {string} userId - Customer redeeming the coupon
+   * @param {Array} items - Cart items with populated products
+   * @param {Date} now - Reference time for the validity window
+   * @returns {Promise<Object>} { coupon, discount, freeShipping, lineDiscounts }
+   */
+  async validateCoupon(code, userId, items, now = new Date()) {
+    if (!code || !code.trim()) {
+      throw new AppError("Coupon code is required", 400);
+    }
+
+    const coupon = await this.couponRepository.findByCode(code);
+    if (!coupon || !coupon.isActive) {
+      throw new AppError("Coupon not found", 404);
+    }
+    if (coupon.startsAt && coupon.startsAt > now) {
+      throw new AppError("Coupon is not active yet", 400);
+    }
+    if (coupon.expiresAt && coupon.expiresAt < now) {
+      throw new AppError("Coupon has expired", 400);
+    }
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+      throw new AppError("Coupon usage limit has been reached", 400);
+    }
+    if (coupon.perUserLimit != null && this.countUserRedemptions(coupon, userId) >= coupon.perUserLimit) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+
+    const itemsPrice = items.reduce((total, item) => total + getUnitPrice(item) * item.quantity, 0);
+    if (itemsPrice < (coupon.minimumSpend || 0)) {
+      throw new AppError(`Spend at least $${coupon.minimumSpend.toFixed(2)} to use this coupon`, 400);
+    }
+
+    const eligibleSubtotal = this.getEligibleSubtotal(coupon, items);
+    if (eligibleSubtotal === 0) {
+      throw new AppError("Coupon does not apply to any items in your cart", 400);
+    }
+
+    const { discount, freeShipping } = this.calculateDiscount(coupon, eligibleSubtotal);
+    return { coupon, discount, freeShipping, lineDiscounts: this.allocateDiscount(coupon, items, discount) };
+  }
+
+  // Declarative: Times a customer has already redeemed the coupon
+  countUserRedemptions(coupon, userId) {
+    return (coupon.redemptions || []).filter(redemption => getId(redemption.user) === getId(userId)).length;
+  }
+
+  // Declarative: Items the coupon applies to
+  getEligibleItems(coupon, items) {
+    const categories = coupon.categories || [];
+    const products = (coupon.products || []).map(getId);
+    const restricted = categories.length > 0 || products.length > 0;
+
+    return items.filter(item => !restricted ||
+      categories.includes(item.product?.category) ||
+      products.includes(getId(item.product)));
+  }
+
+  // Declarative: Subtotal of the items the coupon applies to
+  getEligibleSubtotal(coupon, items) {
+    return roundCurrency(this.getEligibleItems(coupon, items)
+      .reduce((total, item) => total + getUnitPrice(item) * item.quantity, 0));
+  }
+
+  // Imperative: Spread a discount over the eligible lines in proportion to their value,
+  // so per-line tax is charged on what the customer actually pays
+  allocateDiscount(coupon, items, discount) {
+    const eligibleItems = this.getEligibleItems(coupon, items);
+    const eligibleSubtotal = this.getEligibleSubtotal(coupon, items);
+    let remaining = discount;
+
+    return Object.fromEntries(eligibleItems.map((item, index) => {
+      const lineTotal = getUnitPrice(item) * item.quantity;
+      // The last line takes whatever rounding left over
+      const share = index === eligibleItems.length - 1
+        ? remaining
+        : roundCurrency(eligibleSubtotal > 0 ? discount * lineTotal / eligibleSubtotal : 0);
+      remaining = roundCurrency(remaining - share);
+      return [getLineKey(item), share];
+    }));
+  }
+
+  // Declarative: Discount a coupon gives on its eligible subtotal
+  calculateDiscount(coupon, eligibleSubtotal) {
+    switch (coupon.type) {
+      case COUPON_TYPES.PERCENTAGE:
+        return { discount: roundCurrency(eligibleSubtotal * coupon.value / 100), freeShipping: false };
+      case COUPON_TYPES.FIXED:
+        return { discount: roundCurrency(Math.min(coupon.value, eligibleSubtotal)), freeShipping: false };
+      case COUPON_TYPES.FREE_SHIPPING:
+        return { discount: 0, freeShipping: true };
+      default:
+        return { discount: 0, freeShipping: false };
+    }
+  }
+
+  // Imperative: Record a redemption against an order, enforcing the global and per-customer limits atomically
+  async redeem(coupon, userId, orderId, session = null) {
+    const redeemed = await this.couponRepository.redeem(coupon._id, userId, orderId, session);
+    if (!redeemed) {
+      // Nothing was written; look again only to tell the customer which limit they hit
+      const current = await this.couponRepository.findById(coupon._id);
+      if (current?.perUserLimit != null && this.countUserRedemptions(current, userId) >= current.perUserLimit) {
+        throw new AppError("You have already used this coupon", 400);
+      }
+      throw new AppError("Coupon usage limit has been reached", 400);
+    }
+    return redeemed;
+  }
+
+  // Imperative: Give back the use an order took when it is cancelled or fully refunded;
+  // returns null when the order holds no redemption of the coupon
+  async release(couponId, userId, orderId, session = null) {
+    return await this.couponRepository.release(couponId, userId, orderId, session);
+  }
+
+  // Declarative: What the customer sees about an applied coupon
+  static summarize({ coupon, discount, freeShipping }) {
+    return {
+      code: coupon.code,
+      description: coupon.description,
+      type: coupon.type,
+      value: coupon.value,
+      discount,
+      freeShipping
+    };
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new CouponService();
+export { CouponService };
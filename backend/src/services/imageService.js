@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import StorageAdapterFactory from "../strategies/storage/StorageAdapterFactory.js";
+import { AppError } from "../utils/AppError.js";
+
+// Longest edge in pixels of each stored size; smaller uploads are not enlarged
+export const IMAGE_SIZES = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200
+};
+
+class ImageService {
+  constructor(storageParam = null) {
+    // Accept a storage adapter strategy (Dependency Injection)
+    // If not provided, pick the store from environment configuration
+    this.storage = storageParam || StorageAdapterFactory.createFromConfig();
+  }
+
+  // Imperative: Resize an uploaded image to every gallery size and store each one as WebP
+  // Returns a gallery entry: the URL of each size, the alt text and the storage keys
+  async processUpload(file, alt = "") {
+    try {
+      await sharp(file.buffer).metadata();
+    } catch {
+      throw new AppError(`${file.originalname} is not a valid image`, 400);
+    }
+
+    const id = crypto.randomUUID();
+    const image = { alt: alt.trim(), keys: [] };
+    try {
+      for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+        const buffer = await sharp(file.buffer)
+          .rotate() // Apply the camera's EXIF orientation before it is stripped
+          .resize({ width: edge, height: edge, fit: "inside", withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+        const key = `products/${id}/${size}.webp`;
+        image[size] = await this.storage.save(key, buffer, "image/webp");
+        image.keys.push(key);
+      }
+    } catch (error) {
+      await this.remove(image);
+      throw error;
+    }
+    return image;
+  }
+
+  // Imperative: Delete every stored size of a gallery image
+  async remove(image) {
+    await Promise.all((image?.keys || []).map(key => this.storage.delete(key)));
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new ImageService();
+export { ImageService };
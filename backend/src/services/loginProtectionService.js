@@ -0,0 +1,208 @@
+import userRepository from "../repositories/userRepository.js";
+import loginAttemptRepository from "../repositories/loginAttemptRepository.js";
+import auditLogRepository from "../repositories/auditLogRepository.js";
+import { AppError, TooManyRequestsError } from "../utils/AppError.js";
+import { AUDIT_EVENTS } from "../utils/auditEvents.js";
+import { createSecureToken, hashToken } from "../utils/secureToken.js";
+import { sendEmail } from "../utils/emailService.js";
+
+// Failures only count against an account or IP while they are this recent
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+// Failed attempts allowed before each retry has to wait, doubling up to the cap
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+// Failed attempts that lock the account, and for how long
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// The emailed unlock link outlives the lock so it can still clear the failure count
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+// Failed attempts from one IP across all accounts before it is blocked
+const IP_FAILURE_LIMIT = 50;
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now) / 1000));
+
+const lockedError = (lockUntil, now) => {
+  const retryAfter = secondsUntil(lockUntil, now);
+  const minutes = Math.ceil(retryAfter / 60);
+  return new TooManyRequestsError(
+    `Too many failed login attempts. Your account is locked for ${minutes} minute${minutes === 1 ? "" : "s"}. Check your email for an unlock link or reset your password`,
+    retryAfter
+  );
+};
+
+class LoginProtectionService {
+  constructor(
+    userRepositoryParam = null,
+    loginAttemptRepositoryParam = null,
+    auditLogRepositoryParam = null
+  ) {
+    // Accept repositories as dependencies (Dependency Injection)
+    // If not provided, use default singletons for backward compatibility
+    this.userRepository = userRepositoryParam || userRepository;
+    this.loginAttemptRepository = loginAttemptRepositoryParam || loginAttemptRepository;
+    this.auditLogRepository = auditLogRepositoryParam || auditLogRepository;
+  }
+
+  // Declarative: Seconds to wait before the next attempt after this many consecutive failures
+  getDelaySeconds(failures) {
+    if (failures < FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+  }
+
+  // Declarative: Failures that still count, ignoring any older than the window
+  getRecentFailures(user, now = Date.now()) {
+    if (!user.failedLoginAttempts || !user.lastFailedLoginAt) {
+      return 0;
+    }
+    return new Date(user.lastFailedLoginAt).getTime() >= now - FAILURE_WINDOW_MS ? user.failedLoginAttempts : 0;
+  }
+
+  // Imperative: Reject clients that have failed too often across any accounts
+  async assertIpAllowed(context = {}) {
+    if (!context.ip) {
+      return;
+    }
+
+    const failures = await this.loginAttemptRepository.countByIpSince(
+      context.ip,
+      new Date(Date.now() - FAILURE_WINDOW_MS)
+    );
+    if (failures >= IP_FAILURE_LIMIT) {
+      throw new TooManyRequestsError(
+        "Too many failed login attempts from your network. Please try again later",
+        Math.ceil(FAILURE_WINDOW_MS / 1000)
+      );
+    }
+  }
+
+  // Imperative: Reject attempts on a locked account or before the progressive delay has passed
+  async assertAccountAllowed(user, context = {}) {
+    const now = Date.now();
+
+    if (user.lockUntil && new Date(user.lockUntil).getTime() > now) {
+      await this.audit(AUDIT_EVENTS.LOCKED_ACCOUNT_LOGIN, user, context);
+      throw lockedError(new Date(user.lockUntil), now);
+    }
+
+    const delaySeconds = this.getDelaySeconds(this.getRecentFailures(user, now));
+    if (delaySeconds > 0) {
+      const nextAttemptAt = new Date(new Date(user.lastFailedLoginAt).getTime() + delaySeconds * 1000);
+      if (nextAttemptAt.getTime() > now) {
+        const retryAfter = secondsUntil(nextAttemptAt, now);
+        throw new TooManyRequestsError(
+          `Too many failed login attempts. Please wait ${retryAfter} second${retryAfter === 1 ? "" : "s"} before trying again`,
+          retryAfter
+        );
+      }
+    }
+  }
+
+  // Imperative: Count a failed attempt against the IP and account, locking the account at the threshold
+  async recordFailure(user, email, context = {}) {
+    if (context.ip) {
+      await this.loginAttemptRepository.create({ ip: context.ip, email });
+      const ipFailures = await this.loginAttemptRepository.countByIpSince(
+        context.ip,
+        new Date(Date.now() - FAILURE_WINDOW_MS)
+      );
+      // Log the moment the IP is blocked rather than every rejected attempt after it
+      if (ipFailures === IP_FAILURE_LIMIT) {
+        await this.audit(AUDIT_EVENTS.IP_THROTTLED, null, { ...context, email }, { failedAttempts: ipFailures });
+      }
+    }
+
+    if (!user) {
+      return;
+    }
+
+    const updated = await this.userRepository.recordFailedLogin(
+      user._id,
+      new Date(Date.now() - FAILURE_WINDOW_MS)
+    );
+    if (!updated || updated.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+      return;
+    }
+
+    const lockUntil = new Date(Date.now() + LOCKOUT_MS);
+    const { token, tokenHash } = createSecureToken();
+    const locked = await this.userRepository.lockAccount(
+      user._id,
+      lockUntil,
+      tokenHash,
+      new Date(Date.now() + UNLOCK_TOKEN_TTL_MS)
+    );
+
+    // Only the request that applied the lock sends the email, so parallel guesses do not flood the inbox
+    if (locked) {
+      await this.audit(AUDIT_EVENTS.ACCOUNT_LOCKED, user, context, { failedAttempts: updated.failedLoginAttempts });
+      await this.sendUnlockEmail(user, token);
+    }
+
+    throw lockedError(locked?.lockUntil || lockUntil, Date.now());
+  }
+
+  // Imperative: Clear the failure count after a successful sign-in
+  async recordSuccess(user, context = {}) {
+    const failures = this.getRecentFailures(user);
+    if (!failures && !user.lockUntil) {
+      return;
+    }
+
+    await this.userRepository.clearFailedLogins(user._id);
+
+    // Getting in after a run of wrong passwords is worth a second look
+    if (failures >= FREE_ATTEMPTS) {
+      await this.audit(AUDIT_EVENTS.LOGIN_AFTER_FAILURES, user, context, { failedAttempts: failures });
+    }
+  }
+
+  // Imperative: Lift a lock with the single-use token from the lockout email
+  async unlockAccount(token, context = {}) {
+    if (!token) {
+      throw new AppError("Unlock token is required", 400);
+    }
+
+    const user = await this.userRepository.claimUnlockToken(hashToken(token));
+    if (!user) {
+      throw new AppError("Unlock link is invalid or has expired", 400);
+    }
+
+    await this.audit(AUDIT_EVENTS.ACCOUNT_UNLOCKED, user, context);
+    return user;
+  }
+
+  async sendUnlockEmail(user, token) {
+    try {
+      await sendEmail(user.email, "accountUnlock", {
+        unlockToken: token,
+        userName: user.name,
+        lockMinutes: LOCKOUT_MS / 60000
+      });
+    } catch (error) {
+      // The lock still expires on its own, so delivery failures are only logged
+      console.error(`Failed to send account unlock email to ${user.email}:`, error.message);
+    }
+  }
+
+  async audit(event, user, context = {}, details = undefined) {
+    try {
+      await this.auditLogRepository.create({
+        event,
+        user: user?._id,
+        email: user?.email || context.email,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        details
+      });
+    } catch (error) {
+      // A failed audit write must not decide whether someone can sign in
+      console.error(`Failed to write ${event} audit entry:`, error.message);
+    }
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new LoginProtectionService();
+export { LoginProtectionService };
@@ -3,19 +3,74 @@ import orderRepository from "../repositories/orderRepository.js";
 import userRepository from "../repositories/userRepository.js";
 import cartService from "./cartService.js";
 import productService from "./productService.js";
-import { validateShippingAddress } from "../utils/validators.js";
+import paymentService from "./paymentService.js";
+import couponService from "./couponService.js";
+import taxService from "./taxService.js";
+import shippingService from "./shippingService.js";
+import {
+  validateEmail,
+  validateShippingAddress,
+  validateBillingAddress,
+  validateShipmentData
+} from "../utils/validators.js";
 import OrderObserver from "../observers/OrderObserver.js";
 import { AppError } from "../utils/AppError.js";
+import { calculateOrderPricing, roundCurrency } from "../utils/pricing.js";
+import { isValidOrderStatus, canTransition } from "../utils/orderStatus.js";
+import { TAX_PRICING_MODES } from "../utils/taxClasses.js";
+import { getTrackingUrl } from "../utils/shippingMethods.js";
+import { generateOrderAccessToken, verifyOrderAccessToken } from "../utils/jwt.js";
+import { getUnitPrice, getLineKey, getAvailableStock, describeVariant } from "../utils/productVariants.js";
+import {
+  PAYMENT_METHODS,
+  isValidPaymentMethod,
+  isManualPayment,
+  isCardPayment,
+  paymentCoversOrder,
+  generateBankTransferReference
+} from "../utils/paymentMethods.js";
 import EmailNotificationObserver from "../observers/EmailNotificationObserver.js";
 import AnalyticsObserver from "../observers/AnalyticsObserver.js";
 import InventoryObserver from "../observers/InventoryObserver.js";
 
+// Customers may cancel until the order leaves the warehouse
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'paid', 'processing'];
+
+// Checkout requires a verified email address when REQUIRE_EMAIL_VERIFICATION=true
+const isEmailVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// The first shipment moves a processing order to shipped; later ones ship what is left
+const SHIPPABLE_STATUSES = ['processing', 'shipped'];
+
+// Unpaid card orders hold their stock this long before the reservation sweeper releases it
+const getReservationMinutes = () => Number(process.env.STOCK_RESERVATION_MINUTES) || 30;
+
+// Expired reservations released per sweep, so one run cannot hold the database for long
+const RESERVATION_SWEEP_LIMIT = 100;
+
+// Upper bound on distinct products in a guest checkout, matching what a cart merge accepts
+const MAX_GUEST_ITEMS = 50;
+
+const getProductId = (product) => (product?._id || product)?.toString();
+
+// The product and variant an order line refers to, for refund and shipment lines
+const toLine = (item) => ({
+  product: getProductId(item.product),
+  ...(item.variant && { variant: item.variant.toString() })
+});
+
+const toPlainObject = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
 class OrderService {
   constructor(
     orderRepositoryParam = null,
     userRepositoryParam = null,
     cartServiceParam = null,
-    productServiceParam = null
+    productServiceParam = null,
+    paymentServiceParam = null,
+    couponServiceParam = null,
+    taxServiceParam = null,
+    shippingServiceParam = null
   ) {
     // Accept dependencies (Dependency Injection)
     // If not provided, use default singletons for backward compatibility
@@ -23,6 +78,10 @@ class OrderService {
     this.userRepository = userRepositoryParam || userRepository;
     this.cartService = cartServiceParam || cartService;
     this.productService = productServiceParam || productService;
+    this.paymentService = paymentServiceParam || paymentService;
+    this.couponService = couponServiceParam || couponService;
+    this.taxService = taxServiceParam || taxService;
+    this.shippingService = shippingServiceParam || shippingService;
 
     // Initialize OrderObserver (Subject) for Observer Pattern
     this.orderObserver = new OrderObserver();
@@ -37,11 +96,14 @@ class OrderService {
   }
 
   // Imperative: Create order with transaction for concurrency safety (NFR5)
-  async createOrder(userId, shippingAddress, paymentMethod) {
-    // Validate shipping address
-    const addressErrors = validateShippingAddress(shippingAddress);
-    if (addressErrors.length > 0) {
-      throw new AppError(addressErrors.join(", "), 400);
+  async createOrder(userId, shippingAddress, paymentMethod, shippingMethod, billingAddress = null) {
+    this.validateCheckout(shippingAddress, paymentMethod, billingAddress);
+
+    if (isEmailVerificationRequired()) {
+      const user = await this.userRepository.findById(userId);
+      if (!user?.emailVerified) {
+        throw new AppError("Please verify your email address before placing an order", 403);
+      }
     }
 
     // Get cart - cartService.getCart uses cartRepository.findByUserId which populates products
@@ -64,87 +126,268 @@ class OrderService {
       }
     }
 
-    // Start transaction for atomic operations
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    return await this.placeOrder({ userId }, cart, shippingAddress, paymentMethod, shippingMethod, billingAddress);
+  }
 
-    try {
-      // Calculate prices
-      const itemsPrice = cart.items.reduce((total, item) => {
-        if (!item.product || !item.product.price) {
-          throw new AppError(`Product information missing for cart item`, 400);
-        }
-        return total + (item.product.price * item.quantity);
-      }, 0);
+  // Imperative: Place an order for a shopper without an account, from the items in their browser cart
+  // Returns the order with a token that lets the holder view and pay for it
+  async createGuestOrder({ email, items, shippingAddress, paymentMethod, shippingMethod, billingAddress = null } = {}) {
+    if (!email || !validateEmail(email)) {
+      throw new AppError("A valid email address is required", 400);
+    }
+    this.validateCheckout(shippingAddress, paymentMethod, billingAddress);
+
+    // A guest has no account to verify, so stores that insist on verified emails need one
+    if (isEmailVerificationRequired()) {
+      throw new AppError("Please create an account and verify your email address before placing an order", 403);
+    }
+
+    const cart = await this.buildGuestCart(items);
+    const order = await this.placeOrder(
+      { guestEmail: email.trim().toLowerCase() },
+      cart,
+      shippingAddress,
+      paymentMethod,
+      shippingMethod,
+      billingAddress
+    );
 
-      const shippingPrice = itemsPrice > 100 ? 0 : 10; // Free shipping over $100
-      const taxPrice = itemsPrice * 0.1; // 10% tax
-      const totalPrice = itemsPrice + shippingPrice + taxPrice;
+    return { order, orderToken: generateOrderAccessToken(order._id) };
+  }
+
+  // Declarative: Reject an address or payment method checkout cannot use
+  validateCheckout(shippingAddress, paymentMethod, billingAddress = null) {
+    // Validate shipping address, and the billing address when it differs
+    const addressErrors = [
+      ...validateShippingAddress(shippingAddress),
+      ...(billingAddress ? validateBillingAddress(billingAddress) : [])
+    ];
+    if (addressErrors.length > 0) {
+      throw new AppError(addressErrors.join(", "), 400);
+    }
+
+    if (!isValidPaymentMethod(paymentMethod)) {
+      throw new AppError(
+        `Invalid payment method. Choose one of: ${Object.values(PAYMENT_METHODS).join(", ")}`,
+        400
+      );
+    }
+  }
+
+  // Imperative: Turn the product ids, variant ids and quantities a guest sends into a cart shaped like a saved one
+  async buildGuestCart(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError("Cart is empty", 400);
+    }
+    if (items.length > MAX_GUEST_ITEMS) {
+      throw new AppError(`A cart can hold at most ${MAX_GUEST_ITEMS} different products`, 400);
+    }
 
-      // Prepare order items
-      const orderItems = cart.items.map(item => {
+    const lines = new Map();
+    for (const item of items) {
+      const productId = item?.productId?.toString();
+      const variantId = item?.variantId?.toString() || null;
+      const quantity = Number(item?.quantity);
+      if (!productId || !Number.isInteger(quantity) || quantity <= 0) {
+        throw new AppError("Each item needs a productId and a positive whole quantity", 400);
+      }
+      const key = getLineKey({ product: productId, variant: variantId });
+      const line = lines.get(key) || { productId, variantId, quantity: 0 };
+      lines.set(key, { ...line, quantity: line.quantity + quantity });
+    }
+
+    const cartItems = [];
+    for (const { productId, variantId, quantity } of lines.values()) {
+      const product = await this.productService.getById(productId);
+      const variant = this.productService.resolveVariant(product, variantId);
+      cartItems.push({ product, variant: variant?._id || null, quantity });
+    }
+    return { items: cartItems };
+  }
+
+  // Imperative: Price the cart, take the stock and save the order in one transaction
+  // The customer is either { userId } or { guestEmail } for orders placed without an account
+  async placeOrder(customer, cart, shippingAddress, paymentMethod, shippingMethod, billingAddress = null) {
+    const userId = customer.userId || null;
+
+    // Stock, the order, the coupon redemption and the emptied cart commit or roll back together
+    const order = await this.withTransaction(async (session) => {
+      const { appliedCoupon, shipping, tax, pricing } = await this.priceCart(
+        userId, cart, shippingAddress, shippingMethod
+      );
+      const { itemsPrice, discountPrice, shippingPrice, taxPrice, totalPrice } = pricing;
+
+      // Prepare order items with their tax breakdown
+      const orderItems = cart.items.map((item, index) => {
         if (!item.product || !item.product._id || !item.product.name || !item.product.price) {
           throw new AppError(`Product information missing for cart item`, 400);
         }
+        const variant = this.productService.resolveVariant(item.product, item.variant);
+        const { taxClass, taxRate, taxAmount, discount } = tax.lines[index];
         return {
           product: item.product._id,
           name: item.product.name,
-          price: item.product.price,
-          quantity: item.quantity
+          ...(variant && {
+            variant: variant._id,
+            sku: variant.sku,
+            variantLabel: describeVariant(item.product, variant)
+          }),
+          price: getUnitPrice(item),
+          quantity: item.quantity,
+          taxClass,
+          taxRate,
+          taxAmount,
+          discount
         };
       });
 
-      // Verify stock availability and update stock atomically
+      // Card orders only hold their stock until the payment is confirmed;
+      // cash on delivery and bank transfers take it outright
+      const reserveStock = isCardPayment(paymentMethod);
+
+      // Each decrement checks the stock itself, so the early check below only gives a quicker answer
       for (const item of cart.items) {
         const productId = item.product._id || item.product;
         if (!productId) {
           throw new AppError(`Product ID missing for cart item`, 400);
         }
         const product = await this.productService.getById(productId);
-        if (product.stock < item.quantity) {
+        const variantId = this.productService.resolveVariant(product, item.variant)?._id || null;
+        if (getAvailableStock(product, variantId) < item.quantity) {
           throw new AppError(`Insufficient stock for ${product.name}`, 400);
         }
-        await this.productService.updateStock(productId, item.quantity);
+        if (reserveStock) {
+          const reserved = await this.productService.reserveStock(productId, item.quantity, session, variantId);
+          if (!reserved) {
+            throw new AppError(`Insufficient stock for ${product.name}`, 400);
+          }
+        } else {
+          await this.productService.updateStock(productId, item.quantity, session, variantId);
+        }
       }
 
-      // Create order
-      const order = await this.orderRepository.create({
-        user: userId,
+      const createdOrder = await this.orderRepository.create({
+        ...(userId ? { user: userId } : { guestEmail: customer.guestEmail }),
         orderItems,
         shippingAddress,
+        billingAddress: billingAddress || shippingAddress,
+        shippingMethod: {
+          code: shipping.code,
+          name: shipping.name,
+          minDays: shipping.minDays,
+          maxDays: shipping.maxDays
+        },
         paymentMethod,
+        ...(paymentMethod === PAYMENT_METHODS.BANK_TRANSFER && {
+          paymentReference: generateBankTransferReference()
+        }),
+        ...(reserveStock && {
+          reservationExpiresAt: new Date(Date.now() + getReservationMinutes() * 60 * 1000)
+        }),
         itemsPrice,
+        ...(appliedCoupon && { coupon: appliedCoupon.coupon._id, couponCode: appliedCoupon.coupon.code }),
+        discountPrice,
         shippingPrice,
         taxPrice,
+        taxPricingMode: tax.pricingMode,
         totalPrice,
-        isPaid: false
-      });
+        isPaid: false,
+        status: 'pending',
+        statusHistory: [{ status: 'pending', changedAt: new Date(), ...(userId && { changedBy: userId }) }]
+      }, session);
 
-      // Clear cart
-      await this.cartService.clearCart(userId);
+      if (appliedCoupon) {
+        await this.couponService.redeem(appliedCoupon.coupon, userId, createdOrder._id, session);
+      }
 
-      // Commit transaction
-      await session.commitTransaction();
-      session.endSession();
+      // Clear cart; a guest's cart lives in their browser
+      if (userId) {
+        await this.cartService.clearCart(userId, session);
+      }
 
-      // Populate order with product details for observers (especially email)
-      const populatedOrder = await this.orderRepository.findById(order._id);
+      return createdOrder;
+    });
 
-      // Notify all observers about order creation (Observer Pattern)
-      // This will automatically trigger:
-      // - EmailNotificationObserver: Sends order confirmation email
-      // - AnalyticsObserver: Updates sales analytics
-      // - InventoryObserver: Checks for low stock alerts
-      // All observers run asynchronously and handle their own errors
-      // This decouples order creation from notification logic
-      this.orderObserver.notify('orderCreated', populatedOrder);
+    // Populate order with product details for observers (especially email)
+    const populatedOrder = await this.orderRepository.findById(order._id);
 
-      return order;
-    } catch (error) {
-      await session.abortTransaction();
-      session.endSession();
-      throw error;
+    // Notify all observers about order creation (Observer Pattern)
+    // This will automatically trigger:
+    // - EmailNotificationObserver: Sends order confirmation email
+    // - AnalyticsObserver: Updates sales analytics
+    // - InventoryObserver: Checks for low stock alerts
+    // All observers run asynchronously and handle their own errors
+    // This decouples order creation from notification logic
+    this.orderObserver.notify('orderCreated', populatedOrder);
+
+    return order;
+  }
+
+  // Imperative: Price a cart for a shipping address - coupon, shipping method, per-line tax and order totals
+  async priceCart(userId, cart, shippingAddress, shippingMethod) {
+    const itemsPrice = cart.items.reduce((total, item) => {
+      if (!item.product || !item.product.price) {
+        throw new AppError(`Product information missing for cart item`, 400);
+      }
+      return total + (getUnitPrice(item) * item.quantity);
+    }, 0);
+
+    // Re-check the applied coupon: it may have expired or run out since it was applied
+    const appliedCoupon = cart.couponCode
+      ? await this.couponService.validateCoupon(cart.couponCode, userId, cart.items)
+      : null;
+
+    const shipping = await this.shippingService.selectMethod(cart.items, shippingAddress, shippingMethod);
+    const tax = await this.taxService.calculateTax(cart.items, shippingAddress, appliedCoupon?.lineDiscounts);
+    const pricing = calculateOrderPricing(itemsPrice, {
+      ...appliedCoupon,
+      shippingPrice: shipping.price,
+      taxPrice: tax.taxPrice,
+      pricingMode: tax.pricingMode
+    });
+
+    return { appliedCoupon, shipping, tax, pricing };
+  }
+
+  // Imperative: Preview the totals an order would have, without placing it
+  async quoteOrder(userId, shippingAddress, shippingMethod) {
+    if (!shippingAddress?.country || !shippingAddress.country.trim()) {
+      throw new AppError("Country is required", 400);
     }
+
+    const cart = await this.cartService.getCart(userId);
+    return await this.quoteCart(userId, cart, shippingAddress, shippingMethod);
+  }
+
+  // Imperative: Preview the totals for a guest's browser cart, with the shipping methods on offer
+  // A method the address does not offer falls back to standard, as it does at checkout
+  async quoteGuestOrder(items, shippingAddress, shippingMethod) {
+    if (!shippingAddress?.country || !shippingAddress.country.trim()) {
+      throw new AppError("Country is required", 400);
+    }
+
+    const cart = await this.buildGuestCart(items);
+    const shippingOptions = await this.shippingService.getQuote(cart.items, shippingAddress);
+    const offered = shippingOptions.some(option => option.code === shippingMethod);
+    const quote = await this.quoteCart(null, cart, shippingAddress, offered ? shippingMethod : undefined);
+    return { ...quote, shippingOptions };
+  }
+
+  async quoteCart(userId, cart, shippingAddress, shippingMethod) {
+    if (!cart.items || cart.items.length === 0) {
+      throw new AppError("Cart is empty", 400);
+    }
+
+    const { appliedCoupon, shipping, tax, pricing } = await this.priceCart(
+      userId, cart, shippingAddress, shippingMethod
+    );
+    return {
+      ...pricing,
+      couponCode: appliedCoupon ? appliedCoupon.coupon.code : null,
+      shippingMethod: shipping.code,
+      taxPricingMode: tax.pricingMode,
+      taxLines: tax.lines
+    };
   }
 
   // Declarative: Get user's orders
@@ -163,49 +406,189 @@ class OrderService {
       throw new AppError("Order not found", 404);
     }
 
-    // If userId provided, verify ownership
-    if (userId && order.user._id.toString() !== userId.toString()) {
+    // If userId provided, verify ownership; guest and anonymized orders have no owner
+    if (userId && order.user?._id?.toString() !== userId.toString()) {
       throw new AppError("Unauthorized access to order", 403);
     }
 
     return order;
   }
 
-  // Imperative: Update order payment status
+  // Declarative: Get an order with the access token a guest was given at checkout
+  async getGuestOrder(id, token) {
+    this.verifyGuestAccess(id, token);
+    return await this.getOrderById(id);
+  }
+
+  // Declarative: Check a guest order access token is valid and was issued for this order
+  // 403 rather than 401 so a bad link is not mistaken for an expired sign-in
+  verifyGuestAccess(id, token) {
+    let decoded;
+    try {
+      decoded = verifyOrderAccessToken(token);
+    } catch (error) {
+      throw new AppError("This order link is invalid or has expired", 403);
+    }
+    if (decoded.orderId !== id?.toString()) {
+      throw new AppError("This order link is invalid or has expired", 403);
+    }
+  }
+
+  // Imperative: Move a guest order into the account registered with the same email
+  async claimGuestOrder(id, token, user) {
+    const order = await this.getGuestOrder(id, token);
+    if (!order.guestEmail) {
+      throw new AppError("Only guest orders can be added to an account", 400);
+    }
+    if (order.user) {
+      throw new AppError("This order already belongs to an account", 400);
+    }
+    if (order.guestEmail !== user.email.toLowerCase()) {
+      throw new AppError("Sign in with the email address used for this order to add it to your account", 403);
+    }
+
+    const claimed = await this.orderRepository.claimGuestOrder(id, user._id);
+    if (!claimed) {
+      throw new AppError("This order already belongs to an account", 400);
+    }
+    return await this.orderRepository.findById(id);
+  }
+
+  // Imperative: Mark a card order paid once the provider confirms the payment
+  // The status moves pending -> paid in the same transaction that turns the stock reservation
+  // into a sale, so a reservation released by the sweeper in the meantime cannot be sold twice
   async updateOrderPayment(id, paymentResult) {
-    console.log('[OrderService] Updating order payment:', { orderId: id, paymentResult });
     const order = await this.orderRepository.findById(id);
     if (!order) {
-      console.error('[OrderService] Order not found:', id);
       throw new AppError("Order not found", 404);
     }
 
-    console.log('[OrderService] Current order status:', {
-      orderId: order._id,
-      isPaid: order.isPaid,
-      paidAt: order.paidAt
-    });
+    // The browser confirmation and the webhook both report the same payment
+    if (order.isPaid) {
+      return order;
+    }
+    if (order.status === 'cancelled') {
+      return await this.refundLatePayment(order, paymentResult);
+    }
 
-    const updatedOrder = await this.orderRepository.update(id, {
-      isPaid: true,
-      paidAt: new Date(),
-      paymentResult
-    });
+    const currentStatus = order.status || 'pending';
+    const paidAt = new Date();
+    const paymentUpdate = { $set: { isPaid: true, paidAt, paymentResult } };
 
-    console.log('[OrderService] Order updated:', {
-      orderId: updatedOrder._id,
-      isPaid: updatedOrder.isPaid,
-      paidAt: updatedOrder.paidAt
-    });
+    // Advance the lifecycle if the order is still awaiting payment
+    if (currentStatus === 'pending') {
+      paymentUpdate.$set.status = 'paid';
+      paymentUpdate.$push = { statusHistory: { status: 'paid', changedAt: paidAt } };
+    }
+
+    try {
+      await this.withTransaction(async (session) => {
+        await this.persistStatusUpdate(order._id, currentStatus, paymentUpdate, session);
+        await this.commitReservation(order, session);
+      });
+    } catch (error) {
+      if (!(error instanceof AppError && error.statusCode === 409)) {
+        throw error;
+      }
+      // Another request moved the order first: the other payment report, or the sweeper cancelling it
+      const latest = await this.orderRepository.findById(id);
+      if (latest?.isPaid) {
+        return latest;
+      }
+      if (latest?.status === 'cancelled') {
+        return await this.refundLatePayment(latest, paymentResult);
+      }
+      throw error;
+    }
 
     // Populate order with product details for email
-    const populatedOrder = await this.orderRepository.findById(updatedOrder._id);
-    
+    const paidOrder = await this.orderRepository.findById(order._id);
+
     // Notify observers that order payment was updated
     // This will trigger email notification after payment is confirmed
-    this.orderObserver.notify('orderPaymentConfirmed', populatedOrder);
+    this.orderObserver.notify('orderPaymentConfirmed', paidOrder);
 
-    return updatedOrder;
+    return paidOrder;
+  }
+
+  // Imperative: Give back a payment that arrived after the order was cancelled and its stock released
+  // The order stays cancelled and unpaid; if the refund fails it is flagged for an admin and the error
+  // is rethrown so the provider redelivers the event and the refund is tried again
+  async refundLatePayment(order, paymentResult) {
+    const paymentIntentId = paymentResult?.id;
+    const amount = order.totalPrice;
+    if (!paymentIntentId) {
+      return order;
+    }
+
+    // Only a payment made for this order, for its total, is given back; refunding any other
+    // intent would draw on a payment for a different order
+    const paymentIntent = await this.paymentService.getPaymentStatus(paymentIntentId);
+    if (paymentIntent.metadata?.orderId !== order._id.toString() || !paymentCoversOrder(paymentIntent, order)) {
+      console.error(`[OrderService] Payment ${paymentIntentId} was not made for cancelled order ${order._id}, not refunding it:`, {
+        intentOrderId: paymentIntent.metadata?.orderId,
+        amount: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        orderTotal: order.totalPrice
+      });
+      return order;
+    }
+
+    const claimed = await this.orderRepository.claimLatePayment(order._id, paymentIntentId, amount);
+    if (!claimed) {
+      return order;
+    }
+
+    console.warn(`[OrderService] Payment ${paymentIntentId} arrived after order ${order._id} was cancelled, refunding it`);
+    try {
+      const refund = await this.paymentService.createRefund(paymentIntentId, amount, {
+        orderId: order._id.toString(),
+        refundReference: `late_${order._id}`,
+        reason: 'Payment received after the order was cancelled'
+      });
+      await this.orderRepository.update(order._id, {
+        $set: { 'latePayment.status': 'refunded', 'latePayment.refundId': refund.id }
+      });
+    } catch (error) {
+      await this.orderRepository.update(order._id, {
+        $set: { 'latePayment.status': 'refund_failed', 'latePayment.message': error.message }
+      });
+      console.error(`[OrderService] Refund of late payment ${paymentIntentId} for order ${order._id} failed:`, error.message);
+      throw error;
+    }
+
+    const refundedOrder = await this.orderRepository.findById(order._id);
+
+    // The customer was charged for an order they were told is cancelled; let them know it was given back
+    this.orderObserver.notify('orderLatePaymentRefunded', refundedOrder);
+
+    return refundedOrder;
+  }
+
+  // Imperative: Record a failed payment attempt; the order stays pending so the customer can retry
+  async markPaymentFailed(id, { paymentIntentId, message = '' } = {}) {
+    const order = await this.orderRepository.findById(id);
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    // A late failure event must not undo a payment that already succeeded
+    if (order.isPaid) {
+      return order;
+    }
+
+    const failedAt = new Date();
+    await this.orderRepository.update(id, {
+      $set: {
+        paymentResult: { id: paymentIntentId, status: 'failed', update_time: failedAt.toISOString() }
+      },
+      $push: { paymentFailures: { paymentIntentId, message, failedAt } }
+    });
+
+    const failedOrder = await this.orderRepository.findById(id);
+    this.orderObserver.notify('orderPaymentFailed', failedOrder);
+
+    return failedOrder;
   }
 
   // Declarative: Get all orders (admin)
@@ -224,24 +607,96 @@ class OrderService {
     return await this.orderRepository.getSalesByCategory(startDate, endDate);
   }
 
-  // Update order status and notify observers
-  async updateOrderStatus(orderId, status) {
+  // Imperative: Move order to a new lifecycle status and notify observers
+  async updateOrderStatus(orderId, status, actorId = null, note = '') {
+    if (!isValidOrderStatus(status)) {
+      throw new AppError(`Invalid order status: ${status}`, 400);
+    }
+
     const order = await this.orderRepository.findById(orderId);
     if (!order) {
       throw new AppError("Order not found", 404);
     }
 
-    await this.orderRepository.update(orderId, { status, updatedAt: new Date() });
-    
-    // Notify observers about order update
-    const updatedOrder = await this.orderRepository.findById(orderId);
-    this.orderObserver.notify('orderUpdated', updatedOrder);
-    
-    return updatedOrder;
+    // Manual payments are marked paid through confirmManualPayment so the receipt is recorded
+    if (status === 'paid' && isManualPayment(order.paymentMethod)) {
+      throw new AppError(`Confirm the ${order.paymentMethod.toLowerCase()} payment to mark this order as paid`, 400);
+    }
+    // Only the payment provider, through the browser confirmation or its webhook, marks a card order paid
+    if (status === 'paid' && isCardPayment(order.paymentMethod)) {
+      throw new AppError("Card orders are marked paid once the payment provider confirms the payment", 400);
+    }
+    // A refund has to send the money back and record it, which only refundOrder does
+    if (status === 'refunded') {
+      throw new AppError("Issue a refund to mark this order as refunded", 400);
+    }
+
+    return await this.applyStatusTransition(order, status, actorId, note);
+  }
+
+  // Imperative: Admin confirms a payment received outside the payment provider
+  // Bank transfers are confirmed once the transfer reference is seen on the account;
+  // cash on delivery is confirmed when the courier hands over the parcel
+  async confirmManualPayment(orderId, { reference = '', note = '' } = {}, actorId = null) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    if (!isManualPayment(order.paymentMethod)) {
+      throw new AppError("Only cash on delivery and bank transfer payments are confirmed manually", 400);
+    }
+
+    if (order.isPaid) {
+      throw new AppError("Order is already paid", 400);
+    }
+
+    const now = new Date();
+    const paymentFields = { isPaid: true, paidAt: now };
+
+    if (order.paymentMethod === PAYMENT_METHODS.BANK_TRANSFER) {
+      if (!reference || !reference.trim()) {
+        throw new AppError("Bank transfer reference is required", 400);
+      }
+      paymentFields.paymentResult = {
+        id: reference.trim(),
+        status: 'transfer_received',
+        update_time: now.toISOString()
+      };
+      return await this.applyStatusTransition(
+        order,
+        'paid',
+        actorId,
+        note || `Bank transfer ${reference.trim()} received`,
+        paymentFields
+      );
+    }
+
+    paymentFields.paymentResult = { status: 'cash_collected', update_time: now.toISOString() };
+
+    if (order.status === 'shipped') {
+      return await this.applyStatusTransition(
+        order,
+        'delivered',
+        actorId,
+        note || 'Cash collected on delivery',
+        paymentFields
+      );
+    }
+
+    if (order.status !== 'delivered') {
+      throw new AppError("Cash on delivery orders are paid when they are delivered", 400);
+    }
+
+    await this.orderRepository.update(order._id, { $set: paymentFields });
+    const paidOrder = await this.orderRepository.findById(order._id);
+    this.orderObserver.notify('orderUpdated', paidOrder);
+
+    return paidOrder;
   }
 
   // Cancel order and notify observers
-  async cancelOrder(orderId, reason = '') {
+  async cancelOrder(orderId, reason = '', actorId = null) {
     const order = await this.orderRepository.findById(orderId);
     if (!order) {
       throw new AppError("Order not found", 404);
@@ -251,21 +706,521 @@ class OrderService {
       throw new AppError("Order is already cancelled", 400);
     }
 
-    await this.orderRepository.update(orderId, { 
-      status: 'cancelled', 
-      cancellationReason: reason,
-      cancelledAt: new Date() 
-    });
-    
-    // Notify observers about order cancellation
-    // This will trigger:
+    // Notifying 'orderCancelled' will trigger:
     // - EmailNotificationObserver: Sends cancellation email
     // - AnalyticsObserver: Updates cancellation statistics
-    // - InventoryObserver: Restores inventory
-    const cancelledOrder = await this.orderRepository.findById(orderId);
-    this.orderObserver.notify('orderCancelled', cancelledOrder);
-    
-    return cancelledOrder;
+    // - InventoryObserver: Logs the restocked items (stock itself is restored in the transaction)
+    return await this.applyStatusTransition(order, 'cancelled', actorId, reason);
+  }
+
+  // Imperative: Customer cancels their own order before it ships
+  // A captured card payment is refunded in full; money paid by bank transfer or cash is returned by an admin,
+  // so those orders cannot be cancelled by the customer once paid
+  async cancelOrderByCustomer(orderId, userId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new AppError("Cancellation reason is required", 400);
+    }
+
+    const order = await this.getOrderById(orderId, userId);
+
+    if (order.status === 'cancelled') {
+      throw new AppError("Order is already cancelled", 400);
+    }
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status || 'pending')) {
+      throw new AppError("Order can no longer be cancelled because it has already shipped", 400);
+    }
+
+    const refundsCard = order.isPaid && isCardPayment(order.paymentMethod) && Boolean(order.paymentResult?.id);
+    if (order.isPaid && !refundsCard) {
+      throw new AppError("This order has been paid; please contact us to cancel it and arrange your refund", 400);
+    }
+
+    // Cancel first so the order cannot ship after the money has gone back
+    const cancelledOrder = await this.applyStatusTransition(order, 'cancelled', userId, reason.trim());
+    if (!refundsCard) {
+      return cancelledOrder;
+    }
+
+    try {
+      return await this.refundOrder(order._id, { reason: reason.trim() }, userId);
+    } catch (error) {
+      // The order stays cancelled and paid; the marker shows admins the refund is still owed
+      await this.orderRepository.update(order._id, {
+        $set: { cancellationRefund: { status: 'refund_failed', message: error.message, failedAt: new Date() } }
+      });
+      console.error(`[OrderService] Automatic refund for cancelled order ${order._id} failed:`, error.message);
+      throw new AppError("Your order has been cancelled but the refund could not be processed. We will refund it shortly", 502);
+    }
+  }
+
+  // Imperative: Validate the transition, persist it with a history entry and notify observers
+  async applyStatusTransition(order, status, actorId = null, note = '', extraFields = {}, extraPush = {}) {
+    const currentStatus = order.status || 'pending';
+    if (!canTransition(currentStatus, status, order.paymentMethod)) {
+      throw new AppError(`Cannot change order status from ${currentStatus} to ${status}`, 400);
+    }
+
+    const now = new Date();
+    const fields = { ...extraFields, status };
+    if (status === 'paid') {
+      fields.isPaid = true;
+      fields.paidAt = now;
+    } else if (status === 'delivered') {
+      fields.isDelivered = true;
+      fields.deliveredAt = now;
+      // A delivered order has no parcels left in transit
+      if (!fields.shipments && (order.shipments || []).some(shipment => !shipment.deliveredAt)) {
+        fields.shipments = order.shipments
+          .map(toPlainObject)
+          .map(shipment => ({ ...shipment, deliveredAt: shipment.deliveredAt || now }));
+      }
+    } else if (status === 'cancelled') {
+      fields.cancellationReason = note;
+      fields.cancelledAt = now;
+    }
+
+    const update = {
+      $set: fields,
+      $push: { ...extraPush, statusHistory: { status, changedAt: now, changedBy: actorId, note } }
+    };
+
+    if (status === 'cancelled') {
+      // Status change, stock restoration and the coupon use commit or roll back together
+      await this.withTransaction(async (session) => {
+        await this.persistStatusUpdate(order._id, currentStatus, update, session);
+        await this.restoreOrderStock(order, session);
+        await this.releaseCoupon(order, session);
+      });
+    } else if (status === 'paid') {
+      await this.withTransaction(async (session) => {
+        await this.persistStatusUpdate(order._id, currentStatus, update, session);
+        await this.commitReservation(order, session);
+      });
+    } else {
+      await this.persistStatusUpdate(order._id, currentStatus, update);
+    }
+
+    const updatedOrder = await this.orderRepository.findById(order._id);
+    this.orderObserver.notify(OrderService.getStatusEvent(status), updatedOrder);
+
+    return updatedOrder;
+  }
+
+  // Conditional update guards against two requests moving the same order concurrently
+  async persistStatusUpdate(orderId, currentStatus, update, session = null) {
+    const updated = await this.orderRepository.updateStatus(orderId, currentStatus, update, session);
+    if (!updated) {
+      throw new AppError("Order status was changed by another request, please retry", 409);
+    }
+    return updated;
+  }
+
+  // Imperative: Put every order item back into stock
+  // Items still held by an unpaid card order come back out of the reservation;
+  // units a refund already restocked are not restocked again
+  async restoreOrderStock(order, session = null) {
+    const reservation = await this.orderRepository.clearReservation(order._id, session);
+    const restocked = this.getRefundedQuantities(order, { restockedOnly: true });
+    for (const item of order.orderItems) {
+      const productId = item.product?._id || item.product;
+      if (reservation) {
+        await this.productService.releaseReservedStock(productId, item.quantity, session, item.variant || null);
+        continue;
+      }
+      const quantity = item.quantity - (restocked[getLineKey(item)] || 0);
+      if (quantity > 0) {
+        await this.productService.restoreStock(productId, quantity, session, item.variant || null);
+      }
+    }
+  }
+
+  // Imperative: Give back the coupon use an order took; orders from before the coupon was stored have none to release
+  async releaseCoupon(order, session = null) {
+    if (!order.coupon) {
+      return;
+    }
+    await this.couponService.release(order.coupon?._id || order.coupon, order.user?._id || order.user, order._id, session);
+  }
+
+  // Imperative: Turn the stock held for an order into a sale once it is paid
+  async commitReservation(order, session = null) {
+    const reservation = await this.orderRepository.clearReservation(order._id, session);
+    if (!reservation) {
+      return;
+    }
+    for (const item of order.orderItems) {
+      const productId = item.product?._id || item.product;
+      await this.productService.commitReservedStock(productId, item.quantity, session, item.variant || null);
+    }
+  }
+
+  // Imperative: Cancel unpaid card orders whose reservation ran out, putting their stock back on sale
+  // Called by the reservation sweeper; returns how many orders were released
+  async releaseExpiredReservations(now = new Date()) {
+    const orders = await this.orderRepository.findExpiredReservations(now, RESERVATION_SWEEP_LIMIT);
+    let released = 0;
+
+    for (const order of orders) {
+      try {
+        await this.applyStatusTransition(order, 'cancelled', null, 'Payment was not received in time');
+        released += 1;
+      } catch (error) {
+        // A payment confirmed in the meantime moves the order on first; leave it be
+        if (error instanceof AppError && error.statusCode === 409) {
+          continue;
+        }
+        console.error(`[OrderService] Failed to release reservation for order ${order._id}:`, error.message);
+      }
+    }
+
+    return released;
+  }
+
+  // Imperative: Run work inside a MongoDB transaction
+  async withTransaction(work) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const result = await work(session);
+      await session.commitTransaction();
+      session.endSession();
+      return result;
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+      // Another transaction wrote the same documents first (e.g. two checkouts for the last unit);
+      // nothing was saved, so the request can simply be retried
+      if (error.hasErrorLabel?.('TransientTransactionError')) {
+        throw new AppError("Another request changed the same items at the same time, please retry", 409);
+      }
+      throw error;
+    }
+  }
+
+  // Imperative: Refund an order in full, or per line item when items are given
+  async refundOrder(orderId, { items = [], reason = '', restock = false } = {}, actorId = null) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    // Manual payments have no provider charge; the money is returned outside the system
+    const isManualRefund = isManualPayment(order.paymentMethod);
+    if (!order.isPaid || (!isManualRefund && !order.paymentResult?.id)) {
+      throw new AppError("Order has no captured payment to refund", 400);
+    }
+
+    const remaining = roundCurrency(order.totalPrice - (order.totalRefunded || 0));
+    if (remaining <= 0) {
+      throw new AppError("Order has already been fully refunded", 400);
+    }
+
+    // Cancelling the order already put its stock back
+    if (restock && order.status === 'cancelled') {
+      throw new AppError("Stock for a cancelled order has already been restored", 400);
+    }
+
+    const isPartial = Array.isArray(items) && items.length > 0;
+    const refundLines = isPartial
+      ? this.buildPartialRefundLines(order, items)
+      : this.buildFullRefundLines(order);
+    const amount = isPartial
+      ? Math.min(roundCurrency(refundLines.reduce((total, line) => total + line.amount, 0)), remaining)
+      : remaining;
+
+    // Count the amount against the order first; a concurrent refund that got there first makes this one retry
+    const reserved = await this.orderRepository.reserveRefund(order._id, amount, order.totalPrice - amount + 0.01);
+    if (!reserved) {
+      throw new AppError("Order was refunded by another request, please retry", 409);
+    }
+
+    let refund;
+    try {
+      refund = isManualRefund
+        ? { id: `manual_${order._id}_${Date.now()}`, status: 'manual' }
+        : await this.paymentService.createRefund(order.paymentResult.id, amount, {
+          orderId: order._id.toString(),
+          // The running total after this refund names it, so a retry of the same refund reuses the reference
+          refundReference: `${order._id}_${Math.round(reserved.totalRefunded * 100)}`,
+          reason
+        });
+    } catch (error) {
+      await this.orderRepository.update(order._id, { $inc: { totalRefunded: -amount } });
+      throw error;
+    }
+
+    const now = new Date();
+    const update = {
+      $push: {
+        refunds: {
+          refundId: refund.id,
+          amount,
+          items: refundLines,
+          reason,
+          restock: Boolean(restock),
+          status: refund.status,
+          createdBy: actorId,
+          createdAt: now
+        }
+      }
+    };
+
+    // A refund covering the remaining balance closes the order lifecycle
+    const currentStatus = order.status || 'pending';
+    const fullyRefunded = reserved.totalRefunded >= reserved.totalPrice - 0.01;
+    const closesOrder = fullyRefunded && canTransition(currentStatus, 'refunded');
+    if (closesOrder) {
+      update.$set = { status: 'refunded' };
+      update.$push.statusHistory = { status: 'refunded', changedAt: now, changedBy: actorId, note: reason };
+    }
+    // An admin settling a failed cancellation refund clears the marker
+    if (order.cancellationRefund) {
+      update.$unset = { cancellationRefund: '' };
+    }
+
+    // The refund record, its restock, the status change and the coupon use commit or roll back together
+    try {
+      await this.withTransaction(async (session) => {
+        if (closesOrder) {
+          await this.persistStatusUpdate(order._id, currentStatus, update, session);
+        } else {
+          await this.orderRepository.update(order._id, update, session);
+        }
+        if (restock) {
+          await this.restockRefundLines(refundLines, session);
+        }
+        if (fullyRefunded) {
+          await this.releaseCoupon(order, session);
+        }
+      });
+    } catch (error) {
+      // The money has gone back and is counted in totalRefunded, so it cannot be refunded twice
+      console.error(`[OrderService] Refund ${refund.id} for order ${order._id} was issued but not recorded:`, error.message);
+      throw error;
+    }
+
+    const refundedOrder = await this.orderRepository.findById(order._id);
+    if (closesOrder) {
+      this.orderObserver.notify(OrderService.getStatusEvent('refunded'), refundedOrder);
+    }
+    this.orderObserver.notify('orderRefunded', refundedOrder);
+
+    return refundedOrder;
+  }
+
+  // Imperative: Put refunded units back on sale
+  async restockRefundLines(lines, session = null) {
+    for (const line of lines) {
+      await this.productService.restoreStock(line.product, line.quantity, session, line.variant || null);
+    }
+  }
+
+  // Declarative: Quantities already refunded per order line (a product, or one variant of it),
+  // or only those the refunds put back into stock
+  getRefundedQuantities(order, { restockedOnly = false } = {}) {
+    const refunded = {};
+    for (const refund of order.refunds || []) {
+      if (restockedOnly && !refund.restock) {
+        continue;
+      }
+      for (const item of refund.items || []) {
+        const line = getLineKey(item);
+        refunded[line] = (refunded[line] || 0) + item.quantity;
+      }
+    }
+    return refunded;
+  }
+
+  // Declarative: Refund amount for a line, net of its share of any discount and including its share of tax
+  getLineRefundAmount(order, item, quantity) {
+    // Orders with a per-line tax breakdown refund exactly what the line was charged
+    if (item.taxAmount !== undefined && item.taxAmount !== null) {
+      const addedTax = order.taxPricingMode === TAX_PRICING_MODES.INCLUSIVE ? 0 : item.taxAmount;
+      const lineTotal = item.price * item.quantity - (item.discount || 0) + addedTax;
+      return roundCurrency(lineTotal * quantity / item.quantity);
+    }
+    if (!(order.itemsPrice > 0)) {
+      return roundCurrency(item.price * quantity);
+    }
+    const discountedItemsPrice = order.itemsPrice - (order.discountPrice || 0);
+    const discountRate = discountedItemsPrice / order.itemsPrice;
+    const taxRate = discountedItemsPrice > 0 ? (order.taxPrice || 0) / discountedItemsPrice : 0;
+    return roundCurrency(item.price * quantity * discountRate * (1 + taxRate));
+  }
+
+  // Imperative: Every unit not yet refunded
+  buildFullRefundLines(order) {
+    const refunded = this.getRefundedQuantities(order);
+    return order.orderItems
+      .map(item => {
+        const quantity = item.quantity - (refunded[getLineKey(item)] || 0);
+        return { ...toLine(item), quantity, amount: this.getLineRefundAmount(order, item, quantity) };
+      })
+      .filter(line => line.quantity > 0);
+  }
+
+  // Imperative: Validate requested lines against what is still refundable
+  buildPartialRefundLines(order, items) {
+    const refunded = this.getRefundedQuantities(order);
+
+    return items.map(({ product, variant, quantity }) => {
+      const productId = getProductId(product);
+      const line = getLineKey({ product: productId, variant });
+      const orderItem = order.orderItems.find(item => getLineKey(item) === line);
+      if (!orderItem) {
+        throw new AppError(`Product ${productId} is not part of this order`, 400);
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new AppError("Refund quantity must be a positive whole number", 400);
+      }
+
+      const refundable = orderItem.quantity - (refunded[line] || 0);
+      if (quantity > refundable) {
+        throw new AppError(`Cannot refund more than ${refundable} unit(s) of ${orderItem.name}`, 400);
+      }
+      refunded[line] = (refunded[line] || 0) + quantity;
+
+      return { ...toLine(orderItem), quantity, amount: this.getLineRefundAmount(order, orderItem, quantity) };
+    });
+  }
+
+  // Imperative: Hand order items to a carrier, all unshipped items when none are given
+  async createShipment(orderId, { carrier, trackingNumber, items = [] } = {}, actorId = null) {
+    const errors = validateShipmentData({ carrier, trackingNumber });
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    const currentStatus = order.status || 'pending';
+    if (!SHIPPABLE_STATUSES.includes(currentStatus)) {
+      throw new AppError(`Cannot ship an order that is ${currentStatus}`, 400);
+    }
+
+    const shipmentLines = Array.isArray(items) && items.length > 0
+      ? this.buildShipmentLines(order, items)
+      : this.buildRemainingShipmentLines(order);
+    if (shipmentLines.length === 0) {
+      throw new AppError("Every item on this order has already shipped", 400);
+    }
+
+    const shipment = {
+      carrier: carrier.trim(),
+      trackingNumber: trackingNumber.trim(),
+      trackingUrl: getTrackingUrl(carrier, trackingNumber.trim()),
+      items: shipmentLines,
+      shippedAt: new Date(),
+      createdBy: actorId
+    };
+
+    // Notifying 'orderShipped' triggers the shipping confirmation email with the tracking details
+    if (currentStatus === 'processing') {
+      const note = `Shipped with ${shipment.carrier} (${shipment.trackingNumber})`;
+      return await this.applyStatusTransition(order, 'shipped', actorId, note, {}, { shipments: shipment });
+    }
+
+    await this.persistStatusUpdate(order._id, currentStatus, { $push: { shipments: shipment } });
+    const shippedOrder = await this.orderRepository.findById(order._id);
+    this.orderObserver.notify('orderShipped', shippedOrder);
+
+    return shippedOrder;
+  }
+
+  // Imperative: Record a shipment as delivered; the order is delivered once every item has arrived
+  async markShipmentDelivered(orderId, shipmentId, actorId = null) {
+    const order = await this.orderRepository.findById(orderId);
+    if (!order) {
+      throw new AppError("Order not found", 404);
+    }
+
+    const shipment = (order.shipments || []).find(s => s._id?.toString() === shipmentId);
+    if (!shipment) {
+      throw new AppError("Shipment not found", 404);
+    }
+    if (shipment.deliveredAt) {
+      throw new AppError("Shipment has already been delivered", 400);
+    }
+
+    const now = new Date();
+    const shipments = order.shipments
+      .map(toPlainObject)
+      .map(s => (s._id?.toString() === shipmentId ? { ...s, deliveredAt: now } : s));
+
+    const currentStatus = order.status || 'pending';
+    const everythingDelivered = shipments.every(s => s.deliveredAt) &&
+      this.buildRemainingShipmentLines(order).length === 0;
+    if (everythingDelivered && currentStatus === 'shipped') {
+      const note = `Delivered by ${shipment.carrier} (${shipment.trackingNumber})`;
+      return await this.applyStatusTransition(order, 'delivered', actorId, note, { shipments });
+    }
+
+    await this.persistStatusUpdate(order._id, currentStatus, { $set: { shipments } });
+    const updatedOrder = await this.orderRepository.findById(order._id);
+    this.orderObserver.notify('orderUpdated', updatedOrder);
+
+    return updatedOrder;
+  }
+
+  // Declarative: Quantities already shipped per order line
+  getShippedQuantities(order) {
+    const shipped = {};
+    for (const shipment of order.shipments || []) {
+      for (const item of shipment.items || []) {
+        const line = getLineKey(item);
+        shipped[line] = (shipped[line] || 0) + item.quantity;
+      }
+    }
+    return shipped;
+  }
+
+  // Declarative: Every unit not yet shipped
+  buildRemainingShipmentLines(order) {
+    const shipped = this.getShippedQuantities(order);
+    return order.orderItems
+      .map(item => ({ ...toLine(item), quantity: item.quantity - (shipped[getLineKey(item)] || 0) }))
+      .filter(line => line.quantity > 0);
+  }
+
+  // Imperative: Validate requested lines against what is still unshipped
+  buildShipmentLines(order, items) {
+    const shipped = this.getShippedQuantities(order);
+
+    return items.map(({ product, variant, quantity }) => {
+      const productId = getProductId(product);
+      const line = getLineKey({ product: productId, variant });
+      const orderItem = order.orderItems.find(item => getLineKey(item) === line);
+      if (!orderItem) {
+        throw new AppError(`Product ${productId} is not part of this order`, 400);
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new AppError("Shipment quantity must be a positive whole number", 400);
+      }
+
+      const unshipped = orderItem.quantity - (shipped[line] || 0);
+      if (quantity > unshipped) {
+        throw new AppError(`Cannot ship more than ${unshipped} unit(s) of ${orderItem.name}`, 400);
+      }
+      shipped[line] = (shipped[line] || 0) + quantity;
+
+      return { ...toLine(orderItem), quantity };
+    });
+  }
+
+  // Map a lifecycle status to the OrderObserver event it triggers
+  static getStatusEvent(status) {
+    const events = {
+      paid: 'orderPaymentConfirmed',
+      shipped: 'orderShipped',
+      cancelled: 'orderCancelled'
+    };
+    return events[status] || 'orderUpdated';
   }
 }
 
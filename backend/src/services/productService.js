@@ -1,12 +1,22 @@
 import productRepository from "../repositories/productRepository.js";
-import { validateProductData } from "../utils/validators.js";
+import { validateProductData, validateProductVariants, validateShippingDetails } from "../utils/validators.js";
 import { AppError } from "../utils/AppError.js";
+import { TAX_CLASSES, isValidTaxClass } from "../utils/taxClasses.js";
+import { hasVariants, findVariant } from "../utils/productVariants.js";
+import imageService from "./imageService.js";
+
+// Most photos one product's gallery can hold
+export const MAX_GALLERY_IMAGES = 12;
+
+const sameAttributes = (a = {}, b = {}) =>
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(name => a[name] === b[name]);
 
 class ProductService {
-  constructor(productRepositoryParam = null) {
+  constructor(productRepositoryParam = null, imageServiceParam = null) {
     // Accept repository as dependency (Dependency Injection)
     // If not provided, use default singleton for backward compatibility
     this.productRepository = productRepositoryParam || productRepository;
+    this.imageService = imageServiceParam || imageService;
   }
 
   // Declarative: Get all products with optional filtering
@@ -46,13 +56,77 @@ class ProductService {
     return product;
   }
 
+  // Declarative: The variant a cart line or order item refers to
+  // A product with variants cannot be bought without choosing one, and one without them takes none
+  resolveVariant(product, variantId) {
+    if (!hasVariants(product)) {
+      if (variantId) {
+        throw new AppError(`${product.name} has no options to choose from`, 400);
+      }
+      return null;
+    }
+    if (!variantId) {
+      throw new AppError(`Please choose options for ${product.name}`, 400);
+    }
+    const variant = findVariant(product, variantId);
+    if (!variant) {
+      throw new AppError(`The chosen options for ${product.name} are no longer available`, 400);
+    }
+    return variant;
+  }
+
+  // Declarative: Options and variants as stored, with the product's stock and reserved totals summed from them
+  // Edited variants keep their _id (carts point at it) and the units checkout is holding for them
+  buildVariantFields(data, existing = null) {
+    const variants = data.variants.map(variant => {
+      const previous = findVariant(existing, variant._id) ||
+        (existing?.variants || []).find(candidate => sameAttributes(candidate.attributes, variant.attributes));
+      return {
+        ...(previous && { _id: previous._id }),
+        sku: variant.sku.trim(),
+        attributes: variant.attributes,
+        ...(variant.price != null && { price: Number(variant.price) }),
+        stock: Number(variant.stock ?? 0),
+        reserved: previous?.reserved || 0,
+        image: variant.image || ""
+      };
+    });
+
+    return {
+      options: data.options.map(option => ({ name: option.name.trim(), values: [...option.values] })),
+      variants,
+      stock: variants.reduce((total, variant) => total + variant.stock, 0),
+      reserved: variants.reduce((total, variant) => total + variant.reserved, 0)
+    };
+  }
+
+  // Declarative: Plain variant objects; blank price overrides from forms mean "use the product price"
+  normalizeVariants(variants) {
+    return variants.map(variant => {
+      const plain = variant?.toObject ? variant.toObject() : { ...variant };
+      return { ...plain, price: plain.price === "" || plain.price === null ? undefined : plain.price };
+    });
+  }
+
   // Imperative: Create product with validation
+  // Gallery images are uploaded once the product exists, so any sent here are ignored
   async create(productData) {
-    const errors = validateProductData(productData);
+    const { images: _images, ...fields } = productData;
+    let data = fields;
+    if (Array.isArray(data.variants) && data.variants.length > 0) {
+      data = { ...data, variants: this.normalizeVariants(data.variants) };
+      const variantErrors = validateProductVariants(data);
+      if (variantErrors.length > 0) {
+        throw new AppError(variantErrors.join(", "), 400);
+      }
+      data = { ...data, ...this.buildVariantFields(data) };
+    }
+
+    const errors = validateProductData(data);
     if (errors.length > 0) {
       throw new AppError(errors.join(", "), 400);
     }
-    return await this.productRepository.create(productData);
+    return await this.productRepository.create(data);
   }
 
   // Imperative: Update product
@@ -70,7 +144,51 @@ class ProductService {
       throw new AppError("Price must be greater than 0", 400);
     }
 
-    return await this.productRepository.update(id, updateData);
+    if (updateData.taxClass !== undefined && !isValidTaxClass(updateData.taxClass)) {
+      throw new AppError(`Tax class must be one of: ${Object.values(TAX_CLASSES).join(", ")}`, 400);
+    }
+
+    const shippingErrors = validateShippingDetails(updateData);
+    if (shippingErrors.length > 0) {
+      throw new AppError(shippingErrors.join(", "), 400);
+    }
+
+    return await this.productRepository.update(id, this.prepareVariantUpdate(product, this.omitGalleryFields(product, updateData)));
+  }
+
+  // Declarative: The gallery has its own endpoints, and a product with one takes its cover image from it
+  omitGalleryFields(product, updateData) {
+    const { images: _images, ...fields } = updateData;
+    if (product.images?.length > 0) {
+      delete fields.image;
+    }
+    return fields;
+  }
+
+  // Imperative: Validate option and variant changes and work out the stock totals they imply
+  prepareVariantUpdate(product, updateData) {
+    if (updateData.variants === undefined && updateData.options === undefined) {
+      if (hasVariants(product) && updateData.stock !== undefined) {
+        throw new AppError("Stock is set per variant for products with options", 400);
+      }
+      return updateData;
+    }
+
+    const data = {
+      ...updateData,
+      options: updateData.options ?? product.options,
+      variants: this.normalizeVariants(updateData.variants ?? product.variants)
+    };
+    const variantErrors = validateProductVariants(data);
+    if (variantErrors.length > 0) {
+      throw new AppError(variantErrors.join(", "), 400);
+    }
+
+    // Dropping every variant turns it back into a single-SKU product with the stock given
+    if (data.variants.length === 0) {
+      return { ...updateData, options: [], variants: [] };
+    }
+    return { ...data, ...this.buildVariantFields(data, product) };
   }
 
   // Imperative: Delete product
@@ -83,19 +201,165 @@ class ProductService {
     if (!product) {
       throw new AppError("Product not found", 404);
     }
-    return await this.productRepository.delete(id);
+    const deleted = await this.productRepository.delete(id);
+    await this.removeImageFiles(product.images || []);
+    return deleted;
   }
 
-  // Imperative: Update stock (for order processing)
-  async updateStock(id, quantity) {
+  // Imperative: Product by ID for admin edits, whether or not it is on sale
+  async findForEdit(id) {
+    if (!id || !id.toString().match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AppError("Product not found", 404);
+    }
     const product = await this.productRepository.findById(id);
     if (!product) {
       throw new AppError("Product not found", 404);
     }
-    if (product.stock < quantity) {
-      throw new Error("Insufficient stock");
+    return product;
+  }
+
+  // Declarative: Gallery fields as stored, with the cover image following the first photo
+  withCover(images) {
+    const plain = images.map(image => (image?.toObject ? image.toObject() : image));
+    return { images: plain, image: plain[0]?.medium || "" };
+  }
+
+  // Imperative: Resize and store uploaded photos and add them to the end of the gallery
+  // alts holds the alt text for each file, in upload order
+  async addImages(id, files, alts = []) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new AppError("Choose at least one image to upload", 400);
+    }
+    const product = await this.findForEdit(id);
+    const existing = product.images || [];
+    if (existing.length + files.length > MAX_GALLERY_IMAGES) {
+      throw new AppError(`A product can have at most ${MAX_GALLERY_IMAGES} images`, 400);
+    }
+
+    const added = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        added.push(await this.imageService.processUpload(file, alts[index] || ""));
+      }
+      return await this.productRepository.update(id, this.withCover([...existing, ...added]));
+    } catch (error) {
+      // Nothing from a failed upload is kept
+      await this.removeImageFiles(added);
+      throw error;
     }
-    return await this.productRepository.updateStock(id, quantity);
+  }
+
+  // Imperative: Reorder the gallery and update alt text
+  // images lists every existing image once as { _id, alt }, in the new order
+  async updateImages(id, images) {
+    if (!Array.isArray(images)) {
+      throw new AppError("Images must be an array", 400);
+    }
+    const product = await this.findForEdit(id);
+    const current = product.images || [];
+    const ids = images.map(image => image?._id?.toString());
+    const listsEveryImage = ids.length === current.length &&
+      new Set(ids).size === ids.length &&
+      current.every(image => ids.includes(image._id.toString()));
+    if (!listsEveryImage) {
+      throw new AppError("List every image of the product once, in the new order", 400);
+    }
+
+    const reordered = images.map(({ _id, alt }) => {
+      const image = current.find(candidate => candidate._id.toString() === _id.toString());
+      const plain = image.toObject ? image.toObject() : { ...image };
+      return alt === undefined ? plain : { ...plain, alt: String(alt).trim() };
+    });
+    return await this.productRepository.update(id, this.withCover(reordered));
+  }
+
+  // Imperative: Remove one photo from the gallery and delete its files
+  async removeImage(id, imageId) {
+    const product = await this.findForEdit(id);
+    const images = product.images || [];
+    const image = images.find(candidate => candidate._id.toString() === imageId?.toString());
+    if (!image) {
+      throw new AppError("Image not found", 404);
+    }
+
+    const updated = await this.productRepository.update(
+      id,
+      this.withCover(images.filter(candidate => candidate !== image))
+    );
+    await this.removeImageFiles([image]);
+    return updated;
+  }
+
+  // Imperative: Delete stored image files; the product is already saved, so a failure here only leaves files behind
+  async removeImageFiles(images) {
+    for (const image of images) {
+      try {
+        await this.imageService.remove(image);
+      } catch (error) {
+        console.error(`Failed to delete image files ${(image.keys || []).join(", ")}:`, error.message);
+      }
+    }
+  }
+
+  // Imperative: Take stock for an order, optionally inside a transaction
+  // The stock check is part of the decrement, so orders racing for the last units cannot both get them
+  // Stock methods take the variant the line refers to, if any, and keep the product total in step
+  async updateStock(id, quantity, session = null, variantId = null) {
+    const updated = await this.productRepository.updateStock(id, quantity, session, variantId);
+    if (updated) {
+      return updated;
+    }
+
+    const product = await this.productRepository.findById(id);
+    if (!product) {
+      throw new AppError("Product not found", 404);
+    }
+    throw new AppError(`Insufficient stock for ${product.name}`, 400);
+  }
+
+  // Imperative: Hold stock for an unpaid order, optionally inside a transaction
+  async reserveStock(id, quantity, session = null, variantId = null) {
+    if (quantity <= 0) {
+      throw new AppError("Quantity must be greater than 0", 400);
+    }
+    return await this.productRepository.reserveStock(id, quantity, session, variantId);
+  }
+
+  // Imperative: Turn held stock into a sale once the order is paid
+  async commitReservedStock(id, quantity, session = null, variantId = null) {
+    return await this.productRepository.commitReservedStock(id, quantity, session, variantId);
+  }
+
+  // Imperative: Return held stock when the order is cancelled or its reservation expires
+  async releaseReservedStock(id, quantity, session = null, variantId = null) {
+    return await this.productRepository.releaseReservedStock(id, quantity, session, variantId);
+  }
+
+  // Imperative: Put stock back (cancellations, refunds), optionally inside a transaction
+  async restoreStock(id, quantity, session = null, variantId = null) {
+    if (quantity <= 0) {
+      throw new AppError("Quantity must be greater than 0", 400);
+    }
+    const restocked = await this.productRepository.restoreStock(id, quantity, session, variantId);
+    if (restocked || !variantId) {
+      return restocked;
+    }
+
+    // The variant was deleted after the sale. Once the product has no variants left its units can go back
+    // on the product; while other variants remain, product-level stock is never sold, so the units are
+    // reported for someone to reassign instead of being counted where nobody can buy them
+    const product = await this.productRepository.findById(id);
+    if (!product) {
+      console.error(`Product ${id} no longer exists, ${quantity} unit(s) of variant ${variantId} were not restocked`);
+      return null;
+    }
+    if (hasVariants(product)) {
+      console.error(`Variant ${variantId} of product ${id} no longer exists, ${quantity} unit(s) were not restocked and need to be reassigned by hand`);
+      return null;
+    }
+
+    console.warn(`Variant ${variantId} of product ${id} no longer exists, restocking ${quantity} unit(s) on the product`);
+    return await this.productRepository.restoreStock(id, quantity, session);
   }
 }
 
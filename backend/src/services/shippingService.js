@@ -0,0 +1,192 @@
+import shippingZoneRepository from "../repositories/shippingZoneRepository.js";
+import cartService from "./cartService.js";
+import { validateShippingZoneData } from "../utils/validators.js";
+import {
+  SHIPPING_METHODS,
+  RATE_BASES,
+  VOLUMETRIC_DIVISOR,
+  DEFAULT_SHIPPING_ZONE
+} from "../utils/shippingMethods.js";
+import { roundCurrency } from "../utils/pricing.js";
+import { AppError } from "../utils/AppError.js";
+import { getUnitPrice } from "../utils/productVariants.js";
+
+const EDITABLE_FIELDS = ["name", "countries", "isDefault", "methods", "isActive"];
+
+const pickEditableFields = (data = {}) =>
+  Object.fromEntries(Object.entries(data).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const getId = (value) => (value?._id || value)?.toString();
+
+const normalizeCountries = (countries = []) =>
+  [...new Set(countries.map(country => country.trim().toUpperCase()).filter(Boolean))];
+
+class ShippingService {
+  constructor(shippingZoneRepositoryParam = null, cartServiceParam = null) {
+    // Accept dependencies (Dependency Injection)
+    // If not provided, use default singletons for backward compatibility
+    this.shippingZoneRepository = shippingZoneRepositoryParam || shippingZoneRepository;
+    this.cartService = cartServiceParam || cartService;
+  }
+
+  // Declarative: Get all shipping zones (admin)
+  async getAll() {
+    return await this.shippingZoneRepository.findAll();
+  }
+
+  // Imperative: Get shipping zone by ID with validation
+  async getById(id) {
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AppError("Shipping zone not found", 404);
+    }
+    const zone = await this.shippingZoneRepository.findById(id);
+    if (!zone) {
+      throw new AppError("Shipping zone not found", 404);
+    }
+    return zone;
+  }
+
+  // Imperative: Create shipping zone; a country can only belong to one zone
+  async create(data) {
+    const zoneData = pickEditableFields(data);
+    if (zoneData.countries) {
+      zoneData.countries = normalizeCountries(zoneData.countries);
+    }
+    const errors = validateShippingZoneData(zoneData);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    await this.checkConflicts(zoneData);
+    return await this.shippingZoneRepository.create(zoneData);
+  }
+
+  // Imperative: Update shipping zone, validating the result of the merge
+  async update(id, data) {
+    const zone = await this.getById(id);
+    const updateData = pickEditableFields(data);
+    if (updateData.countries) {
+      updateData.countries = normalizeCountries(updateData.countries);
+    }
+    const current = typeof zone.toObject === "function" ? zone.toObject() : zone;
+    const merged = { ...current, ...updateData };
+
+    const errors = validateShippingZoneData(merged);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    await this.checkConflicts(merged, getId(zone));
+    return await this.shippingZoneRepository.update(id, updateData);
+  }
+
+  // Imperative: Delete shipping zone
+  async delete(id) {
+    await this.getById(id);
+    return await this.shippingZoneRepository.delete(id);
+  }
+
+  // Imperative: Reject countries already served by another zone and a second active default zone
+  async checkConflicts(zoneData, zoneId = null) {
+    if (zoneData.countries && zoneData.countries.length > 0) {
+      const zones = await this.shippingZoneRepository.findByCountries(zoneData.countries);
+      const other = zones.find(zone => getId(zone) !== zoneId);
+      if (other) {
+        const country = zoneData.countries.find(c => other.countries.includes(c));
+        throw new AppError(`${country} is already covered by the ${other.name} zone`, 400);
+      }
+    }
+
+    if (zoneData.isDefault && zoneData.isActive !== false) {
+      const defaultZone = await this.shippingZoneRepository.findDefault();
+      if (defaultZone && getId(defaultZone) !== zoneId) {
+        throw new AppError(`${defaultZone.name} is already the default zone`, 400);
+      }
+    }
+  }
+
+  // Imperative: Zone serving a country - its own zone, else the default zone, else the built-in rates
+  async findZone(country) {
+    const zone = country && country.trim()
+      ? await this.shippingZoneRepository.findByCountry(country)
+      : null;
+    return zone || await this.shippingZoneRepository.findDefault() || DEFAULT_SHIPPING_ZONE;
+  }
+
+  // Declarative: Billable weight (kg) of the cart - the larger of actual and volumetric weight per item
+  getChargeableWeight(items) {
+    const weight = items.reduce((total, item) => {
+      const { weight: actual = 0, dimensions = {} } = item.product || {};
+      const { length = 0, width = 0, height = 0 } = dimensions;
+      const volumetric = (length * width * height) / VOLUMETRIC_DIVISOR;
+      return total + Math.max(actual, volumetric) * item.quantity;
+    }, 0);
+    return Math.round(weight * 1000) / 1000;
+  }
+
+  // Declarative: Price from the first band covering the value, or null if the value is beyond every band
+  getRate(rates, value) {
+    const band = [...rates]
+      .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+      .find(rate => rate.upTo == null || value <= rate.upTo);
+    return band ? band.price : null;
+  }
+
+  /**
+   * Shipping methods available for a cart and address, cheapest first
+   * @param {Array} items - Cart items with populated products
+   * @param {Object} shippingAddress - Address the order ships to
+   * @returns {Promise<Array>} [{ code, name, price, minDays, maxDays }]
+   */
+  async getQuote(items, shippingAddress = {}) {
+    const zone = await this.findZone(shippingAddress?.country);
+    const itemsPrice = items.reduce((total, item) => total + getUnitPrice(item) * item.quantity, 0);
+    const weight = this.getChargeableWeight(items);
+
+    return zone.methods
+      .filter(method => method.isActive !== false)
+      .map(method => {
+        const value = method.rateBasis === RATE_BASES.PRICE ? itemsPrice : weight;
+        const price = this.getRate(method.rates || [], value);
+        if (price === null) {
+          return null;
+        }
+        const { code, name, minDays, maxDays } = method;
+        return { code, name, price: roundCurrency(price), minDays, maxDays };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.price - b.price);
+  }
+
+  // Imperative: The method an order ships with - the one asked for, else standard, else the cheapest
+  async selectMethod(items, shippingAddress, code) {
+    const options = await this.getQuote(items, shippingAddress);
+    if (options.length === 0) {
+      throw new AppError("We do not ship this order to the selected country", 400);
+    }
+    if (!code) {
+      return options.find(option => option.code === SHIPPING_METHODS.STANDARD) || options[0];
+    }
+    const option = options.find(o => o.code === code);
+    if (!option) {
+      throw new AppError("Shipping method is not available for this address", 400);
+    }
+    return option;
+  }
+
+  // Imperative: Shipping methods for the user's current cart
+  async quoteCart(userId, shippingAddress) {
+    if (!shippingAddress?.country || !shippingAddress.country.trim()) {
+      throw new AppError("Country is required", 400);
+    }
+    const cart = await this.cartService.getCart(userId);
+    if (!cart.items || cart.items.length === 0) {
+      throw new AppError("Cart is empty", 400);
+    }
+    return await this.getQuote(cart.items, shippingAddress);
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new ShippingService();
+export { ShippingService };
@@ -0,0 +1,142 @@
+import taxRuleRepository from "../repositories/taxRuleRepository.js";
+import { validateTaxRuleData } from "../utils/validators.js";
+import { TAX_CLASSES, TAX_PRICING_MODES, DEFAULT_TAX_RATE } from "../utils/taxClasses.js";
+import { roundCurrency } from "../utils/pricing.js";
+import { AppError } from "../utils/AppError.js";
+import { getUnitPrice, getLineKey } from "../utils/productVariants.js";
+
+const EDITABLE_FIELDS = ["country", "state", "name", "rates", "pricingMode", "isActive"];
+
+const pickEditableFields = (data = {}) =>
+  Object.fromEntries(Object.entries(data).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+
+const getId = (value) => (value?._id || value)?.toString();
+
+// Rates come back as a Map from documents and a plain object from lean queries
+const getRates = (rule) => (rule.rates instanceof Map ? Object.fromEntries(rule.rates) : rule.rates || {});
+
+class TaxService {
+  constructor(taxRuleRepositoryParam = null) {
+    // Accept repository as dependency (Dependency Injection)
+    // If not provided, use default singleton for backward compatibility
+    this.taxRuleRepository = taxRuleRepositoryParam || taxRuleRepository;
+  }
+
+  // Declarative: Get all tax rules (admin)
+  async getAll() {
+    return await this.taxRuleRepository.findAll();
+  }
+
+  // Imperative: Get tax rule by ID with validation
+  async getById(id) {
+    if (!id || !id.match(/^[0-9a-fA-F]{24}$/)) {
+      throw new AppError("Tax rule not found", 404);
+    }
+    const taxRule = await this.taxRuleRepository.findById(id);
+    if (!taxRule) {
+      throw new AppError("Tax rule not found", 404);
+    }
+    return taxRule;
+  }
+
+  // Imperative: Create tax rule, one per country/state
+  async create(data) {
+    const taxRuleData = pickEditableFields(data);
+    const errors = validateTaxRuleData(taxRuleData);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    if (await this.taxRuleRepository.findByLocation(taxRuleData.country, taxRuleData.state)) {
+      throw new AppError("A tax rule already exists for this location", 400);
+    }
+    return await this.taxRuleRepository.create(taxRuleData);
+  }
+
+  // Imperative: Update tax rule, validating the result of the merge
+  async update(id, data) {
+    const taxRule = await this.getById(id);
+    const updateData = pickEditableFields(data);
+    const current = typeof taxRule.toObject === "function" ? taxRule.toObject() : taxRule;
+    const merged = { ...current, ...updateData };
+
+    const errors = validateTaxRuleData(merged);
+    if (errors.length > 0) {
+      throw new AppError(errors.join(", "), 400);
+    }
+
+    if (updateData.country !== undefined || updateData.state !== undefined) {
+      const existing = await this.taxRuleRepository.findByLocation(merged.country, merged.state);
+      if (existing && getId(existing) !== getId(taxRule)) {
+        throw new AppError("A tax rule already exists for this location", 400);
+      }
+    }
+    return await this.taxRuleRepository.update(id, updateData);
+  }
+
+  // Imperative: Delete tax rule
+  async delete(id) {
+    await this.getById(id);
+    return await this.taxRuleRepository.delete(id);
+  }
+
+  // Imperative: Rules covering an address, most specific (state) first
+  async getRulesForAddress(shippingAddress = {}) {
+    if (!shippingAddress.country || !shippingAddress.country.trim()) {
+      return [];
+    }
+    const rules = await this.taxRuleRepository.findForAddress(shippingAddress.country, shippingAddress.state);
+    return [...rules].sort((a, b) => (b.state ? 1 : 0) - (a.state ? 1 : 0));
+  }
+
+  // Declarative: Percent rate for a tax class; reduced falls back to the standard rate of the region
+  resolveRate(rules, taxClass = TAX_CLASSES.STANDARD) {
+    if (taxClass === TAX_CLASSES.ZERO) {
+      return 0;
+    }
+    for (const candidate of [taxClass, TAX_CLASSES.STANDARD]) {
+      const rule = rules.find(r => getRates(r)[candidate] !== undefined);
+      if (rule) {
+        return getRates(rule)[candidate];
+      }
+    }
+    return DEFAULT_TAX_RATE;
+  }
+
+  // Declarative: The most specific rule decides whether prices include tax
+  resolvePricingMode(rules) {
+    return rules[0]?.pricingMode || TAX_PRICING_MODES.EXCLUSIVE;
+  }
+
+  /**
+   * Work out the tax on each cart line for a shipping address
+   * Coupon discounts reduce the taxable amount of the lines they apply to
+   * @param {Array} items - Cart items with populated products
+   * @param {Object} shippingAddress - Address the order ships to
+   * @param {Object} lineDiscounts - Discount per cart line (product ID, or product:variant) from an applied coupon
+   * @returns {Promise<Object>} { pricingMode, taxPrice, lines: [{ product, taxClass, taxRate, taxAmount, discount }] }
+   */
+  async calculateTax(items, shippingAddress, lineDiscounts = {}) {
+    const rules = await this.getRulesForAddress(shippingAddress);
+    const pricingMode = this.resolvePricingMode(rules);
+
+    const lines = items.map(item => {
+      const product = getId(item.product);
+      const taxClass = item.product?.taxClass || TAX_CLASSES.STANDARD;
+      const taxRate = this.resolveRate(rules, taxClass);
+      const discount = lineDiscounts[getLineKey(item)] || 0;
+      const taxable = Math.max(getUnitPrice(item) * item.quantity - discount, 0);
+      const taxAmount = pricingMode === TAX_PRICING_MODES.INCLUSIVE
+        ? roundCurrency(taxable - taxable / (1 + taxRate / 100))
+        : roundCurrency(taxable * taxRate / 100);
+      return { product, taxClass, taxRate, taxAmount, discount };
+    });
+
+    const taxPrice = roundCurrency(lines.reduce((total, line) => total + line.taxAmount, 0));
+    return { pricingMode, taxPrice, lines };
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new TaxService();
+export { TaxService };
@@ -0,0 +1,147 @@
+import bcrypt from "bcryptjs";
+import QRCode from "qrcode";
+import { randomBytes } from "crypto";
+import userRepository from "../repositories/userRepository.js";
+import { AppError } from "../utils/AppError.js";
+import { isTwoFactorRequired } from "../utils/userRoles.js";
+import { hashToken } from "../utils/secureToken.js";
+import { generateSecret, verifyCode, buildOtpAuthUrl } from "../utils/totp.js";
+
+const BACKUP_CODE_COUNT = 10;
+
+// Backup codes are shown once as xxxx-xxxx and stored hashed, ignoring case and the dash
+const normalizeBackupCode = (code) => String(code || "").toLowerCase().replace(/[^a-f0-9]/g, "");
+
+const generateBackupCodes = () => {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+};
+
+class TwoFactorService {
+  constructor(userRepositoryParam = null) {
+    // Accept repositories as dependencies (Dependency Injection)
+    // If not provided, use default singletons for backward compatibility
+    this.userRepository = userRepositoryParam || userRepository;
+  }
+
+  // Imperative: Create a pending secret and the QR code an authenticator app scans
+  async startEnrolment(userId) {
+    const user = await this.getUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+
+    const secret = generateSecret();
+    await this.userRepository.update(userId, { twoFactorPendingSecret: secret });
+
+    const otpauthUrl = buildOtpAuthUrl({
+      secret,
+      accountName: user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || "LUCINE"
+    });
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  // Imperative: Turn 2FA on once a code from the pending secret proves the app is set up
+  async enable(userId, code) {
+    const user = await this.getUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new AppError("Two-factor authentication is already enabled", 400);
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw new AppError("Start two-factor setup before confirming a code", 400);
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      throw new AppError("Invalid verification code", 400);
+    }
+
+    const backupCodes = generateBackupCodes();
+    await this.userRepository.update(userId, {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorLastStep: step,
+        twoFactorBackupCodes: backupCodes.map((backupCode) => hashToken(normalizeBackupCode(backupCode)))
+      },
+      $unset: { twoFactorPendingSecret: 1 }
+    });
+
+    return { backupCodes };
+  }
+
+  // Imperative: Turn 2FA off; needs the password and a current code so a stolen session is not enough
+  async disable(userId, password, code) {
+    const user = await this.getUser(userId);
+    if (!user.twoFactorEnabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+    if (isTwoFactorRequired(user.role)) {
+      throw new AppError("Two-factor authentication is required for your role", 403);
+    }
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      throw new AppError("Password is incorrect", 400);
+    }
+    if (!(await this.verifyChallenge(user, code))) {
+      throw new AppError("Invalid verification code", 400);
+    }
+
+    await this.userRepository.update(userId, {
+      $set: { twoFactorEnabled: false },
+      $unset: { twoFactorSecret: 1, twoFactorBackupCodes: 1, twoFactorLastStep: 1 }
+    });
+  }
+
+  // Imperative: Replace every backup code, e.g. when the old ones are used up or lost
+  async regenerateBackupCodes(userId, code) {
+    const user = await this.getUser(userId);
+    if (!user.twoFactorEnabled) {
+      throw new AppError("Two-factor authentication is not enabled", 400);
+    }
+    if (!(await this.verifyChallenge(user, code))) {
+      throw new AppError("Invalid verification code", 400);
+    }
+
+    const backupCodes = generateBackupCodes();
+    await this.userRepository.update(userId, {
+      twoFactorBackupCodes: backupCodes.map((backupCode) => hashToken(normalizeBackupCode(backupCode)))
+    });
+    return { backupCodes };
+  }
+
+  // Imperative: Check an authenticator code or a single-use backup code for a user loaded with their secrets
+  async verifyChallenge(user, code) {
+    if (!code || !user.twoFactorSecret) {
+      return false;
+    }
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step !== null) {
+      // A code seen before is rejected even while it is still inside its time window
+      return Boolean(await this.userRepository.claimTwoFactorStep(user._id, step));
+    }
+
+    const backupCode = normalizeBackupCode(code);
+    if (backupCode.length !== 8) {
+      return false;
+    }
+    return Boolean(await this.userRepository.consumeBackupCode(user._id, hashToken(backupCode)));
+  }
+
+  async getUser(userId) {
+    const user = await this.userRepository.findByIdWithTwoFactor(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    return user;
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new TwoFactorService();
+export { TwoFactorService };
@@ -0,0 +1,104 @@
+import userRepository from "../repositories/userRepository.js";
+import orderRepository from "../repositories/orderRepository.js";
+import refreshTokenRepository from "../repositories/refreshTokenRepository.js";
+import { USER_ROLES, isValidRole } from "../utils/userRoles.js";
+import { AppError } from "../utils/AppError.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toPositiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+// Admin management of customer and staff accounts
+class UserService {
+  constructor(userRepositoryParam = null, orderRepositoryParam = null, refreshTokenRepositoryParam = null) {
+    // Accept repositories as dependencies (Dependency Injection)
+    // If not provided, use default singletons for backward compatibility
+    this.userRepository = userRepositoryParam || userRepository;
+    this.orderRepository = orderRepositoryParam || orderRepository;
+    this.refreshTokenRepository = refreshTokenRepositoryParam || refreshTokenRepository;
+  }
+
+  // Declarative: Search accounts by name or email, optionally by role and status, one page at a time
+  async listUsers({ search, role, status, page, limit } = {}) {
+    const filters = {};
+    if (search && search.trim()) filters.search = search.trim();
+    if (role) {
+      if (!isValidRole(role)) {
+        throw new AppError(`Role must be one of: ${USER_ROLES.join(", ")}`, 400);
+      }
+      filters.role = role;
+    }
+    if (status === "active") filters.isActive = true;
+    if (status === "disabled") filters.isActive = false;
+
+    const pageNumber = toPositiveInt(page, 1);
+    const pageSize = Math.min(toPositiveInt(limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const { users, total } = await this.userRepository.findAll(filters, { page: pageNumber, limit: pageSize });
+
+    return {
+      users,
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    };
+  }
+
+  // Declarative: An account with its order count and lifetime spend
+  async getUser(userId) {
+    const user = await this.getExistingUser(userId);
+    const summary = await this.orderRepository.getCustomerSummary(user._id);
+    return { user, summary };
+  }
+
+  async getUserOrders(userId) {
+    const user = await this.getExistingUser(userId);
+    return await this.orderRepository.findByUserId(user._id);
+  }
+
+  // Imperative: Promote or demote an account. Admins cannot change their own role
+  async updateRole(adminId, userId, role) {
+    if (!isValidRole(role)) {
+      throw new AppError(`Role must be one of: ${USER_ROLES.join(", ")}`, 400);
+    }
+    if (adminId.toString() === userId.toString()) {
+      throw new AppError("You cannot change your own role", 400);
+    }
+
+    await this.getExistingUser(userId);
+    return await this.userRepository.update(userId, { role });
+  }
+
+  // Imperative: Disable or re-enable an account. Disabling signs the user out everywhere
+  async setActive(adminId, userId, isActive) {
+    if (typeof isActive !== "boolean") {
+      throw new AppError("isActive must be true or false", 400);
+    }
+    if (!isActive && adminId.toString() === userId.toString()) {
+      throw new AppError("You cannot disable your own account", 400);
+    }
+
+    await this.getExistingUser(userId);
+    const user = await this.userRepository.update(userId, { isActive });
+    if (!isActive) {
+      await this.refreshTokenRepository.revokeAllForUser(userId);
+    }
+    return user;
+  }
+
+  async getExistingUser(userId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) {
+      throw new AppError("User not found", 404);
+    }
+    return user;
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new UserService();
+export { UserService };
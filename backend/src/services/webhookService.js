@@ -0,0 +1,104 @@
+import paymentService from "./paymentService.js";
+import orderService from "./orderService.js";
+import webhookEventRepository from "../repositories/webhookEventRepository.js";
+import { paymentCoversOrder } from "../utils/paymentMethods.js";
+
+class WebhookService {
+  constructor(
+    paymentServiceParam = null,
+    orderServiceParam = null,
+    webhookEventRepositoryParam = null
+  ) {
+    // Accept dependencies (Dependency Injection)
+    // If not provided, use default singletons for backward compatibility
+    this.paymentService = paymentServiceParam || paymentService;
+    this.orderService = orderServiceParam || orderService;
+    this.webhookEventRepository = webhookEventRepositoryParam || webhookEventRepository;
+  }
+
+  /**
+   * Process a verified payment provider event exactly once
+   * The event ID is only recorded after the order has been reconciled, so a failure
+   * here makes the provider retry the delivery instead of losing the update
+   * @param {Object} event - Verified webhook event
+   * @returns {Promise<Object>} Processed event data
+   */
+  async processEvent(event) {
+    if (event.id && await this.webhookEventRepository.findByEventId(event.id)) {
+      console.log(`[WebhookService] Event ${event.id} already processed, skipping`);
+      return { processed: false, duplicate: true, eventId: event.id, type: event.type };
+    }
+
+    const result = await this.paymentService.handleWebhook(event);
+
+    if (result.processed && result.orderId) {
+      await this.reconcileOrder(result);
+    }
+
+    if (event.id) {
+      await this.recordEvent(event);
+    }
+
+    return result;
+  }
+
+  /**
+   * Apply a payment outcome to its order
+   * @param {Object} result - Result from paymentService.handleWebhook
+   */
+  async reconcileOrder(result) {
+    try {
+      if (result.type === 'payment_succeeded') {
+        const order = await this.orderService.getOrderById(result.orderId);
+        // A charge for a different amount or currency does not pay for this order; it is left for an admin
+        if (!paymentCoversOrder(result, order)) {
+          console.error(`[WebhookService] Payment ${result.paymentIntentId} does not match order ${result.orderId}:`, {
+            amount: result.amount,
+            currency: result.currency,
+            orderTotal: order.totalPrice
+          });
+          return;
+        }
+        // The browser may already have confirmed the payment through /payments/confirm
+        if (!order.isPaid) {
+          await this.orderService.updateOrderPayment(result.orderId, {
+            id: result.paymentIntentId,
+            status: 'succeeded',
+            update_time: new Date().toISOString()
+          });
+        }
+      } else if (result.type === 'payment_failed') {
+        await this.orderService.markPaymentFailed(result.orderId, {
+          paymentIntentId: result.paymentIntentId,
+          message: result.error?.message || ''
+        });
+      }
+    } catch (error) {
+      // Retrying cannot fix an event for an order that does not exist
+      if (error.statusCode === 404) {
+        console.warn(`[WebhookService] Order ${result.orderId} not found for ${result.type}, ignoring`);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remember a processed event ID
+   * @param {Object} event - Webhook event
+   */
+  async recordEvent(event) {
+    try {
+      await this.webhookEventRepository.create(event.id, event.type);
+    } catch (error) {
+      // A concurrent delivery of the same event already recorded it
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Export both: singleton for backward compatibility and class for factory
+export default new WebhookService();
+export { WebhookService };
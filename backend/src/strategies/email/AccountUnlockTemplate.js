@@ -0,0 +1,96 @@
+import EmailTemplateStrategy from './EmailTemplateStrategy.js';
+
+class AccountUnlockTemplate extends EmailTemplateStrategy {
+  getName() {
+    return 'accountUnlock';
+  }
+
+  validateData(data) {
+    if (!data || !data.unlockToken || !data.userName) {
+      throw new Error('Unlock token and user name are required for account unlock email');
+    }
+    return true;
+  }
+
+  getSubject(data) {
+    return 'Your account has been temporarily locked';
+  }
+
+  getHtmlBody(data) {
+    this.validateData(data);
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const unlockUrl = `${frontendUrl}/unlock-account?token=${data.unlockToken}`;
+    const resetUrl = `${frontendUrl}/forgot-password`;
+    const lockMinutes = data.lockMinutes || 15;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #f44336; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .button-container { text-align: center; margin: 30px 0; }
+            .button { 
+              background-color: #2196F3; 
+              color: white; 
+              padding: 12px 30px; 
+              text-decoration: none; 
+              border-radius: 5px; 
+              display: inline-block;
+              font-weight: bold;
+            }
+            .warning { 
+              background-color: #fff3cd; 
+              border-left: 4px solid #ffc107; 
+              padding: 15px; 
+              margin: 20px 0; 
+              border-radius: 4px;
+            }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            .link-fallback { 
+              margin-top: 20px; 
+              padding: 15px; 
+              background-color: #e9ecef; 
+              border-radius: 4px; 
+              word-break: break-all;
+              font-size: 12px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Account Temporarily Locked</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${data.userName},</p>
+              <p>We locked your account for ${lockMinutes} minutes after several failed sign-in attempts. If this was you, click the button below to unlock it now:</p>
+              
+              <div class="button-container">
+                <a href="${unlockUrl}" class="button">Unlock My Account</a>
+              </div>
+
+              <div class="warning">
+                <strong>⚠️ Important:</strong> If you didn't try to sign in, someone may be guessing your password. We recommend <a href="${resetUrl}">resetting your password</a>. This unlock link expires in 24 hours.
+              </div>
+
+              <p>If the button doesn't work, copy and paste this link into your browser:</p>
+              <div class="link-fallback">
+                ${unlockUrl}
+              </div>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+}
+
+export default AccountUnlockTemplate;
@@ -1,5 +1,10 @@
 import OrderConfirmationTemplate from './OrderConfirmationTemplate.js';
 import PasswordResetTemplate from './PasswordResetTemplate.js';
+import OrderShippedTemplate from './OrderShippedTemplate.js';
+import EmailVerificationTemplate from './EmailVerificationTemplate.js';
+import AccountUnlockTemplate from './AccountUnlockTemplate.js';
+import OrderUpdateTemplate from './OrderUpdateTemplate.js';
+import OrderCancellationTemplate from './OrderCancellationTemplate.js';
 
 /**
  * Factory for creating email template strategies
@@ -14,7 +19,12 @@ class EmailTemplateFactory {
   static createTemplate(templateName) {
     const templates = {
       'orderConfirmation': OrderConfirmationTemplate,
-      'passwordReset': PasswordResetTemplate
+      'passwordReset': PasswordResetTemplate,
+      'orderShipped': OrderShippedTemplate,
+      'emailVerification': EmailVerificationTemplate,
+      'accountUnlock': AccountUnlockTemplate,
+      'orderUpdate': OrderUpdateTemplate,
+      'orderCancellation': OrderCancellationTemplate
     };
 
     const TemplateClass = templates[templateName];
@@ -30,7 +40,7 @@ class EmailTemplateFactory {
    * @returns {string[]} Array of template names
    */
   static getAvailableTemplates() {
-    return ['orderConfirmation', 'passwordReset'];
+    return ['orderConfirmation', 'passwordReset', 'orderShipped', 'emailVerification', 'accountUnlock', 'orderUpdate', 'orderCancellation'];
   }
 
   /**
@@ -0,0 +1,84 @@
+import EmailTemplateStrategy from './EmailTemplateStrategy.js';
+
+class EmailVerificationTemplate extends EmailTemplateStrategy {
+  getName() {
+    return 'emailVerification';
+  }
+
+  validateData(data) {
+    if (!data || !data.verificationToken || !data.userName) {
+      throw new Error('Verification token and user name are required for email verification');
+    }
+    return true;
+  }
+
+  getSubject(data) {
+    return 'Verify Your Email Address - LUCINE';
+  }
+
+  getHtmlBody(data) {
+    this.validateData(data);
+
+    const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${data.verificationToken}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .button-container { text-align: center; margin: 30px 0; }
+            .button {
+              background-color: #4CAF50;
+              color: white;
+              padding: 12px 30px;
+              text-decoration: none;
+              border-radius: 5px;
+              display: inline-block;
+              font-weight: bold;
+            }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            .link-fallback {
+              margin-top: 20px;
+              padding: 15px;
+              background-color: #e9ecef;
+              border-radius: 4px;
+              word-break: break-all;
+              font-size: 12px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Welcome to LUCINE</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${data.userName},</p>
+              <p>Please confirm this is your email address by clicking the button below:</p>
+
+              <div class="button-container">
+                <a href="${verifyUrl}" class="button">Verify Email</a>
+              </div>
+
+              <p>This link will expire in 24 hours. If you didn't create an account, you can ignore this email.</p>
+
+              <p>If the button doesn't work, copy and paste this link into your browser:</p>
+              <div class="link-fallback">
+                ${verifyUrl}
+              </div>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+}
+
+export default EmailVerificationTemplate;
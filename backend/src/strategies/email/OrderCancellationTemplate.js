@@ -0,0 +1,104 @@
+import EmailTemplateStrategy from './EmailTemplateStrategy.js';
+
+class OrderCancellationTemplate extends EmailTemplateStrategy {
+  getName() {
+    return 'orderCancellation';
+  }
+
+  validateData(data) {
+    if (!data || !data._id) {
+      throw new Error('Order data is required for order cancellation email');
+    }
+    return true;
+  }
+
+  getSubject(data) {
+    const orderNumber = data._id.toString().slice(-8).toUpperCase();
+    return `Your Order #${orderNumber} Has Been Cancelled - LUCINE`;
+  }
+
+  /**
+   * What happens to the customer's money
+   * @param {Object} data - Order
+   * @returns {string} Refund sentence, or '' when nothing was paid
+   */
+  getRefundMessage(data) {
+    if (data.latePayment?.status === 'refunded') {
+      return `Your payment of $${Number(data.latePayment.amount || 0).toFixed(2)} arrived after the order was cancelled and has been refunded to your original payment method.`;
+    }
+    if ((data.totalRefunded || 0) > 0) {
+      return `A refund of $${data.totalRefunded.toFixed(2)} has been issued to your original payment method.`;
+    }
+    if (data.isPaid) {
+      return 'Your refund is being processed and our team will be in touch if we need anything from you.';
+    }
+    return '';
+  }
+
+  getHtmlBody(data) {
+    this.validateData(data);
+
+    const orderNumber = data._id.toString().slice(-8).toUpperCase();
+    // Guest orders come with a link that carries their access token
+    const orderUrl = data.orderUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${data._id}`;
+    const customerName = data.user?.name || 'there';
+    const refundMessage = this.getRefundMessage(data);
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #f44336; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .details {
+              background-color: #ffffff;
+              border-left: 4px solid #f44336;
+              padding: 15px;
+              margin: 20px 0;
+              border-radius: 4px;
+            }
+            .button-container { text-align: center; margin: 30px 0; }
+            .button {
+              background-color: #667eea;
+              color: white;
+              padding: 12px 30px;
+              text-decoration: none;
+              border-radius: 5px;
+              display: inline-block;
+              font-weight: bold;
+            }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Your Order Has Been Cancelled</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${customerName},</p>
+              <p>Order #${orderNumber} has been cancelled.</p>
+              ${data.cancellationReason || refundMessage ? `
+              <div class="details">
+                ${data.cancellationReason ? `<p><strong>Reason:</strong> ${data.cancellationReason}</p>` : ''}
+                ${refundMessage ? `<p>${refundMessage}</p>` : ''}
+              </div>
+              ` : ''}
+              <div class="button-container">
+                <a href="${orderUrl}" class="button">View Order</a>
+              </div>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+}
+
+export default OrderCancellationTemplate;
@@ -1,4 +1,5 @@
 import EmailTemplateStrategy from './EmailTemplateStrategy.js';
+import { findVariant } from '../../utils/productVariants.js';
 
 class OrderConfirmationTemplate extends EmailTemplateStrategy {
   getName() {
@@ -35,8 +36,12 @@ class OrderConfirmationTemplate extends EmailTemplateStrategy {
     // Build product items HTML with images
     const itemsHtml = data.orderItems.map((item, index) => {
       const product = item.product || {};
-      const productImage = product.image || 'https://via.placeholder.com/100x100?text=No+Image';
+      const productImage = findVariant(product, item.variant)?.image || product.image || 'https://via.placeholder.com/100x100?text=No+Image';
       const itemTotal = (item.price * item.quantity).toFixed(2);
+      // Orders placed before per-line tax was recorded have no breakdown to show
+      const itemTaxHtml = item.taxAmount != null
+        ? `<p style="margin: 4px 0 0 0; color: #666; font-size: 13px;">Tax (${item.taxRate}%): $${item.taxAmount.toFixed(2)}</p>`
+        : '';
       
       return `
         <tr>
@@ -48,8 +53,10 @@ class OrderConfirmationTemplate extends EmailTemplateStrategy {
                 </td>
                 <td style="padding-left: 15px; vertical-align: top;">
                   <h3 style="margin: 0 0 8px 0; color: #333; font-size: 16px; font-weight: 600;">${item.name}</h3>
+                  ${item.variantLabel ? `<p style="margin: 0 0 4px 0; color: #666; font-size: 14px;">${item.variantLabel}</p>` : ''}
                   <p style="margin: 0; color: #666; font-size: 14px;">Quantity: ${item.quantity}</p>
                   <p style="margin: 8px 0 0 0; color: #333; font-size: 16px; font-weight: 600;">$${itemTotal}</p>
+                  ${itemTaxHtml}
                 </td>
               </tr>
             </table>
@@ -60,8 +67,11 @@ class OrderConfirmationTemplate extends EmailTemplateStrategy {
 
     // Calculate totals
     const itemsPrice = data.itemsPrice || 0;
+    const discountPrice = data.discountPrice || 0;
     const shippingPrice = data.shippingPrice || 0;
+    const shippingLabel = data.shippingMethod?.name ? `Shipping (${data.shippingMethod.name}):` : 'Shipping:';
     const taxPrice = data.taxPrice || 0;
+    const taxLabel = data.taxPricingMode === 'inclusive' ? 'Tax (included):' : 'Tax:';
     const totalPrice = data.totalPrice || 0;
 
     // Payment status
@@ -309,20 +319,27 @@ class OrderConfirmationTemplate extends EmailTemplateStrategy {
                   <span class="invoice-value">$${itemsPrice.toFixed(2)}</span>
                 </div>
                 
+                ${discountPrice > 0 ? `
+                <div class="invoice-row">
+                  <span class="invoice-label">Discount${data.couponCode ? ` (${data.couponCode})` : ''}:</span>
+                  <span class="invoice-value" style="color: #4CAF50;">-$${discountPrice.toFixed(2)}</span>
+                </div>
+                ` : ''}
+                
                 ${shippingPrice > 0 ? `
                 <div class="invoice-row">
-                  <span class="invoice-label">Shipping:</span>
+                  <span class="invoice-label">${shippingLabel}</span>
                   <span class="invoice-value">$${shippingPrice.toFixed(2)}</span>
                 </div>
                 ` : `
                 <div class="invoice-row">
-                  <span class="invoice-label">Shipping:</span>
+                  <span class="invoice-label">${shippingLabel}</span>
                   <span class="invoice-value" style="color: #4CAF50;">FREE</span>
                 </div>
                 `}
                 
                 <div class="invoice-row">
-                  <span class="invoice-label">Tax:</span>
+                  <span class="invoice-label">${taxLabel}</span>
                   <span class="invoice-value">$${taxPrice.toFixed(2)}</span>
                 </div>
                 
@@ -332,6 +349,13 @@ class OrderConfirmationTemplate extends EmailTemplateStrategy {
                 </div>
               </div>
 
+              ${data.orderUrl ? `
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${data.orderUrl}" style="background-color: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">View Your Order</a>
+                <p style="color: #666; font-size: 13px; margin-top: 12px;">Keep this email: the link is how you check on an order placed without an account.</p>
+              </div>
+              ` : ''}
+
               <div class="divider"></div>
 
               <div class="message" style="text-align: center; color: #666; font-size: 14px;">
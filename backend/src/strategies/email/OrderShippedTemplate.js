@@ -0,0 +1,102 @@
+import EmailTemplateStrategy from './EmailTemplateStrategy.js';
+import { getLineKey } from '../../utils/productVariants.js';
+
+class OrderShippedTemplate extends EmailTemplateStrategy {
+  getName() {
+    return 'orderShipped';
+  }
+
+  validateData(data) {
+    if (!data || !data._id || !data.orderItems) {
+      throw new Error('Order data is required for shipping confirmation email');
+    }
+    return true;
+  }
+
+  getSubject(data) {
+    const orderNumber = data._id.toString().slice(-8).toUpperCase();
+    return `Your Order #${orderNumber} Has Shipped - LUCINE`;
+  }
+
+  getHtmlBody(data) {
+    this.validateData(data);
+
+    const orderNumber = data._id.toString().slice(-8).toUpperCase();
+    // Guest orders come with a link that carries their access token
+    const orderUrl = data.orderUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${data._id}`;
+    // The most recent shipment is the one this email announces
+    const shipment = (data.shipments || [])[data.shipments?.length - 1];
+    const customerName = data.user?.name || 'there';
+
+    const itemNames = {};
+    for (const item of data.orderItems) {
+      itemNames[getLineKey(item)] = item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name;
+    }
+    const itemsHtml = (shipment?.items || []).map(item => `
+      <li>${itemNames[getLineKey(item)] || 'Item'} &times; ${item.quantity}</li>
+    `).join('');
+
+    const trackingHtml = shipment
+      ? `
+        <div class="tracking">
+          <p><strong>Carrier:</strong> ${shipment.carrier}</p>
+          <p><strong>Tracking number:</strong> ${shipment.trackingNumber}</p>
+          ${shipment.trackingUrl ? `<p><a href="${shipment.trackingUrl}">Track your parcel</a></p>` : ''}
+          ${itemsHtml ? `<p><strong>In this parcel:</strong></p><ul>${itemsHtml}</ul>` : ''}
+        </div>
+      `
+      : '';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #667eea; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .tracking {
+              background-color: #ffffff;
+              border-left: 4px solid #667eea;
+              padding: 15px;
+              margin: 20px 0;
+              border-radius: 4px;
+            }
+            .button-container { text-align: center; margin: 30px 0; }
+            .button {
+              background-color: #667eea;
+              color: white;
+              padding: 12px 30px;
+              text-decoration: none;
+              border-radius: 5px;
+              display: inline-block;
+              font-weight: bold;
+            }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Your Order Is On Its Way</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${customerName},</p>
+              <p>Good news! Order #${orderNumber} has shipped.</p>
+              ${trackingHtml}
+              <div class="button-container">
+                <a href="${orderUrl}" class="button">View Order</a>
+              </div>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+}
+
+export default OrderShippedTemplate;
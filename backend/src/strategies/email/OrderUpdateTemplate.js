@@ -0,0 +1,95 @@
+import EmailTemplateStrategy from './EmailTemplateStrategy.js';
+
+// How each lifecycle status is announced to the customer
+const STATUS_MESSAGES = {
+  pending: 'is awaiting payment',
+  paid: 'has been paid',
+  processing: 'is being prepared',
+  shipped: 'has shipped',
+  delivered: 'has been delivered',
+  cancelled: 'has been cancelled',
+  refunded: 'has been refunded'
+};
+
+class OrderUpdateTemplate extends EmailTemplateStrategy {
+  getName() {
+    return 'orderUpdate';
+  }
+
+  validateData(data) {
+    if (!data || !data._id) {
+      throw new Error('Order data is required for order update email');
+    }
+    return true;
+  }
+
+  getSubject(data) {
+    const orderNumber = data._id.toString().slice(-8).toUpperCase();
+    return `Update on Your Order #${orderNumber} - LUCINE`;
+  }
+
+  getHtmlBody(data) {
+    this.validateData(data);
+
+    const orderNumber = data._id.toString().slice(-8).toUpperCase();
+    // Guest orders come with a link that carries their access token
+    const orderUrl = data.orderUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${data._id}`;
+    const status = data.status || 'pending';
+    const statusMessage = STATUS_MESSAGES[status] || `is now ${status}`;
+    // The latest history entry carries the note left with this change, if any
+    const note = (data.statusHistory || [])[data.statusHistory?.length - 1]?.note;
+    const customerName = data.user?.name || 'there';
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #667eea; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 20px; background-color: #f9f9f9; }
+            .note {
+              background-color: #ffffff;
+              border-left: 4px solid #667eea;
+              padding: 15px;
+              margin: 20px 0;
+              border-radius: 4px;
+            }
+            .button-container { text-align: center; margin: 30px 0; }
+            .button {
+              background-color: #667eea;
+              color: white;
+              padding: 12px 30px;
+              text-decoration: none;
+              border-radius: 5px;
+              display: inline-block;
+              font-weight: bold;
+            }
+            .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h2>Your Order Has Been Updated</h2>
+            </div>
+            <div class="content">
+              <p>Hello ${customerName},</p>
+              <p>Order #${orderNumber} ${statusMessage}.</p>
+              ${note ? `<div class="note"><p>${note}</p></div>` : ''}
+              <div class="button-container">
+                <a href="${orderUrl}" class="button">View Order</a>
+              </div>
+            </div>
+            <div class="footer">
+              <p>This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+}
+
+export default OrderUpdateTemplate;
@@ -0,0 +1,211 @@
+import PaymentProvider from './PaymentProvider.js';
+import { AppError } from '../../utils/AppError.js';
+
+// Test card numbers and the outcome the fake gateway simulates for each
+// Any other payment method behaves like the success card
+export const FAKE_TEST_CARDS = {
+  '4242424242424242': { scenario: 'success' },
+  '4000000000000002': { scenario: 'decline', code: 'card_declined', message: 'Your card was declined.' },
+  '4000000000009995': { scenario: 'decline', code: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  '4000002760003184': { scenario: 'requires_action' },
+  '4000000000000119': { scenario: 'timeout' }
+};
+
+/**
+ * Deterministic in-memory payment gateway
+ * Follows the Stripe payment intent lifecycle so every payment path can be exercised offline
+ */
+class FakeProvider extends PaymentProvider {
+  /**
+   * @param {Object} options - { allowUnsignedWebhooks }
+   */
+  constructor(options = {}) {
+    super();
+    this.allowUnsignedWebhooks = options.allowUnsignedWebhooks === true;
+    this.intents = new Map();
+    this.sequence = 0;
+  }
+
+  getName() {
+    return 'fake';
+  }
+
+  get testMode() {
+    return true;
+  }
+
+  /**
+   * Resolve the simulated outcome for a payment method
+   * Accepts raw card numbers (spaces allowed) or pm_card_<number> tokens
+   * @param {string} paymentMethodId - Payment method or card number
+   * @returns {Object} Test card definition
+   */
+  static resolveCard(paymentMethodId) {
+    const cardNumber = String(paymentMethodId || '')
+      .replace(/^pm_card_/, '')
+      .replace(/[\s-]/g, '');
+    return FAKE_TEST_CARDS[cardNumber] || FAKE_TEST_CARDS['4242424242424242'];
+  }
+
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}_fake_${this.sequence}`;
+  }
+
+  getIntent(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new AppError(`No such payment intent: ${intentId}`, 404);
+    }
+    return intent;
+  }
+
+  async createIntent({ orderId, userId, amount, currency = 'usd' }) {
+    const id = this.nextId('pi');
+    const intent = {
+      id,
+      clientSecret: `${id}_secret_fake`,
+      status: 'requires_payment_method',
+      amount: Math.round(amount * 100),
+      currency: currency.toLowerCase(),
+      metadata: { orderId, userId },
+      payment_method: null,
+      next_action: null,
+      last_payment_error: null,
+      amountRefunded: 0
+    };
+    this.intents.set(id, intent);
+
+    return {
+      id,
+      clientSecret: intent.clientSecret,
+      status: intent.status,
+      testMode: true
+    };
+  }
+
+  async confirm(intentId, paymentMethodId = null) {
+    const intent = this.getIntent(intentId);
+
+    if (intent.status === 'succeeded') {
+      return FakeProvider.formatIntent(intent);
+    }
+    if (intent.status === 'canceled') {
+      throw new AppError('This PaymentIntent has been canceled', 400);
+    }
+
+    // Confirming again after the customer completed authentication captures the payment
+    if (intent.status === 'requires_action') {
+      intent.status = 'succeeded';
+      intent.next_action = null;
+      return FakeProvider.formatIntent(intent);
+    }
+
+    intent.payment_method = paymentMethodId || 'pm_card_4242424242424242';
+    const card = FakeProvider.resolveCard(paymentMethodId);
+
+    switch (card.scenario) {
+      case 'decline': {
+        intent.status = 'requires_payment_method';
+        intent.last_payment_error = { code: card.code, message: card.message };
+        const error = new AppError(card.message, 402);
+        error.code = card.code;
+        throw error;
+      }
+
+      case 'requires_action':
+        intent.status = 'requires_action';
+        intent.next_action = { type: 'use_stripe_sdk' };
+        return FakeProvider.formatIntent(intent);
+
+      case 'timeout': {
+        // The gateway never answered; the intent is left in limbo like a real timeout
+        intent.status = 'processing';
+        const error = new AppError('Payment provider timed out', 504);
+        error.code = 'timeout';
+        throw error;
+      }
+
+      default:
+        intent.status = 'succeeded';
+        intent.last_payment_error = null;
+        return FakeProvider.formatIntent(intent);
+    }
+  }
+
+  async retrieve(intentId) {
+    const intent = this.getIntent(intentId);
+
+    return {
+      id: intent.id,
+      status: intent.status,
+      amount: intent.amount,
+      currency: intent.currency,
+      payment_method: intent.payment_method,
+      metadata: intent.metadata,
+    };
+  }
+
+  async cancel(intentId) {
+    const intent = this.getIntent(intentId);
+
+    if (intent.status === 'succeeded') {
+      throw new AppError('A succeeded PaymentIntent cannot be canceled', 400);
+    }
+    intent.status = 'canceled';
+
+    return {
+      id: intent.id,
+      status: intent.status,
+    };
+  }
+
+  async refund(intentId, amount, metadata = {}) {
+    const intent = this.getIntent(intentId);
+    const amountInCents = Math.round(amount * 100);
+
+    if (intent.status !== 'succeeded') {
+      throw new AppError('This PaymentIntent has no captured charge to refund', 400);
+    }
+    if (intent.amountRefunded + amountInCents > intent.amount) {
+      throw new AppError('Refund amount exceeds the remaining captured amount', 400);
+    }
+    intent.amountRefunded += amountInCents;
+
+    return {
+      id: this.nextId('re'),
+      status: 'succeeded',
+      amount: amountInCents / 100,
+      testMode: true
+    };
+  }
+
+  // Fake events are not signed, so they are only accepted when unsigned webhooks are allowed
+  parseWebhook(payload, signature) {
+    if (!this.allowUnsignedWebhooks) {
+      throw new AppError('Unsigned webhooks are not allowed', 500);
+    }
+    try {
+      return JSON.parse(payload.toString());
+    } catch {
+      return null;
+    }
+  }
+
+  static formatIntent(intent) {
+    return {
+      id: intent.id,
+      status: intent.status,
+      payment_method: intent.payment_method,
+      amount: intent.amount,
+      currency: intent.currency,
+      metadata: intent.metadata,
+      charges: [],
+      receipt_url: null,
+      nextAction: intent.next_action,
+      testMode: true
+    };
+  }
+}
+
+export default FakeProvider;
@@ -0,0 +1,84 @@
+/**
+ * Payment Provider Strategy Interface
+ * All payment gateways must implement this interface
+ * Amounts are passed in dollars; providers convert to their own units
+ */
+class PaymentProvider {
+  /**
+   * Create a payment intent
+   * @param {Object} params - { orderId, userId, amount, currency }
+   * @returns {Promise<Object>} { id, clientSecret, status, testMode }
+   */
+  async createIntent(params) {
+    throw new Error('createIntent must be implemented');
+  }
+
+  /**
+   * Confirm a payment intent
+   * @param {string} intentId - Payment intent ID
+   * @param {string} paymentMethodId - Payment method to charge (optional)
+   * @returns {Promise<Object>} Confirmed intent
+   */
+  async confirm(intentId, paymentMethodId) {
+    throw new Error('confirm must be implemented');
+  }
+
+  /**
+   * Retrieve the current state of a payment intent
+   * @param {string} intentId - Payment intent ID
+   * @returns {Promise<Object>} Intent status, with the metadata naming its order
+   */
+  async retrieve(intentId) {
+    throw new Error('retrieve must be implemented');
+  }
+
+  /**
+   * Cancel a payment intent
+   * @param {string} intentId - Payment intent ID
+   * @returns {Promise<Object>} { id, status }
+   */
+  async cancel(intentId) {
+    throw new Error('cancel must be implemented');
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {string} intentId - Payment intent ID
+   * @param {number} amount - Amount to refund in dollars
+   * @param {Object} metadata - Extra metadata stored on the refund; its refundReference (or orderId)
+   *   identifies the refund so a retry is not refunded twice
+   * @returns {Promise<Object>} { id, status, amount }
+   */
+  async refund(intentId, amount, metadata) {
+    throw new Error('refund must be implemented');
+  }
+
+  /**
+   * Parse and verify a webhook payload
+   * @param {Buffer|string} payload - Raw request body
+   * @param {string} signature - Signature header
+   * @returns {Object|null} Event or null when verification fails
+   * @throws {AppError} When the provider has no way to verify events
+   */
+  parseWebhook(payload, signature) {
+    throw new Error('parseWebhook must be implemented');
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Provider name
+   */
+  getName() {
+    throw new Error('getName must be implemented');
+  }
+
+  /**
+   * Whether the provider moves real money
+   * @returns {boolean} True for sandbox or simulated gateways
+   */
+  get testMode() {
+    return true;
+  }
+}
+
+export default PaymentProvider;
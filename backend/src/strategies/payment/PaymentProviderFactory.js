@@ -0,0 +1,90 @@
+import StripeProvider from './StripeProvider.js';
+import FakeProvider from './FakeProvider.js';
+
+/**
+ * Factory for creating payment provider strategies
+ * Uses Factory Method Pattern to pick the gateway from configuration
+ */
+class PaymentProviderFactory {
+  /**
+   * Create payment provider strategy based on provider name
+   * @param {string} providerName - Name of the provider ('stripe', 'fake')
+   * @param {Object} options - { secretKey, webhookSecret, testMode, allowUnsignedWebhooks }
+   * @returns {PaymentProvider} Provider instance
+   */
+  static createProvider(providerName, options = {}) {
+    const providers = {
+      'stripe': () => {
+        if (!options.secretKey) {
+          throw new Error('Stripe secret key is required for the stripe payment provider');
+        }
+        return new StripeProvider(options.secretKey, {
+          webhookSecret: options.webhookSecret,
+          testMode: options.testMode,
+          allowUnsignedWebhooks: options.allowUnsignedWebhooks
+        });
+      },
+      'fake': () => new FakeProvider({ allowUnsignedWebhooks: options.allowUnsignedWebhooks })
+    };
+
+    const createProvider = providers[providerName.toLowerCase()];
+    if (!createProvider) {
+      throw new Error(`Payment provider "${providerName}" not found. Available providers: ${Object.keys(providers).join(', ')}`);
+    }
+
+    return createProvider();
+  }
+
+  /**
+   * Create the provider selected by environment configuration
+   * PAYMENT_PROVIDER picks the gateway explicitly; otherwise Stripe is used when a key is set.
+   * Production never runs on the fake gateway or accepts unsigned webhook events
+   * @param {Object} env - Environment variables (default: process.env)
+   * @returns {PaymentProvider} Provider instance
+   * @throws {Error} When the configuration is not safe for production
+   */
+  static createFromConfig(env = process.env) {
+    const secretKey = env.STRIPE_SECRET_KEY || env.STRIPE_TEST_SECRET_KEY;
+    const providerName = env.PAYMENT_PROVIDER || (secretKey ? 'stripe' : 'fake');
+    const allowUnsignedWebhooks = env.ALLOW_UNSIGNED_WEBHOOKS === 'true';
+
+    if (env.NODE_ENV === 'production') {
+      if (providerName.toLowerCase() === 'fake') {
+        throw new Error('The fake payment provider cannot be used in production. Set STRIPE_SECRET_KEY');
+      }
+      if (allowUnsignedWebhooks) {
+        throw new Error('Unsigned webhooks cannot be allowed in production. Set STRIPE_WEBHOOK_SECRET');
+      }
+    }
+
+    if (providerName === 'fake' && !env.PAYMENT_PROVIDER) {
+      console.warn('Stripe secret key not found. Using the fake payment provider.');
+    }
+
+    return PaymentProviderFactory.createProvider(providerName, {
+      secretKey,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      testMode: env.PAYMENT_MODE === 'test' || undefined,
+      allowUnsignedWebhooks
+    });
+  }
+
+  /**
+   * Get list of available payment providers
+   * @returns {string[]} Array of provider names
+   */
+  static getAvailableProviders() {
+    return ['stripe', 'fake'];
+  }
+
+  /**
+   * Check if a provider exists
+   * @param {string} providerName - Name of the provider
+   * @returns {boolean} True if provider exists
+   */
+  static providerExists(providerName) {
+    return PaymentProviderFactory.getAvailableProviders().includes(providerName.toLowerCase());
+  }
+}
+
+export default PaymentProviderFactory;
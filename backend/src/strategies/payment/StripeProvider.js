@@ -0,0 +1,205 @@
+import Stripe from 'stripe';
+import PaymentProvider from './PaymentProvider.js';
+import { AppError } from '../../utils/AppError.js';
+
+class StripeProvider extends PaymentProvider {
+  /**
+   * @param {string} secretKey - Stripe secret key
+   * @param {Object} options - { webhookSecret, testMode, allowUnsignedWebhooks }
+   */
+  constructor(secretKey, options = {}) {
+    super();
+    this.stripe = new Stripe(secretKey, {
+      apiVersion: '2024-11-20.acacia',
+    });
+    this.webhookSecret = options.webhookSecret;
+    this.allowUnsignedWebhooks = options.allowUnsignedWebhooks === true;
+    this.isTestMode = options.testMode ?? secretKey.startsWith('sk_test_');
+  }
+
+  getName() {
+    return 'stripe';
+  }
+
+  get testMode() {
+    return this.isTestMode;
+  }
+
+  async createIntent({ orderId, userId, amount, currency = 'usd' }) {
+    // Convert amount to cents (Stripe uses smallest currency unit)
+    const amountInCents = Math.round(amount * 100);
+
+    // Create idempotency key to prevent duplicate charges
+    const idempotencyKey = `order_${orderId}_${Date.now()}`;
+
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.create(
+      {
+        amount: amountInCents,
+        currency: currency.toLowerCase(),
+        metadata: {
+          orderId: orderId,
+          userId: userId,
+        },
+        // Automatically confirm if in test mode with specific test cards
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      },
+      {
+        idempotencyKey: idempotencyKey,
+      }
+    ));
+
+    return {
+      id: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+      status: paymentIntent.status,
+      testMode: this.testMode
+    };
+  }
+
+  async confirm(intentId, paymentMethodId = null) {
+    try {
+      // First, retrieve the payment intent to check its current status
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(intentId);
+      console.log('[StripeProvider] Retrieved payment intent:', paymentIntent.id, 'Status:', paymentIntent.status);
+
+      // If payment is already succeeded, just return it (don't try to confirm again)
+      if (paymentIntent.status === 'succeeded') {
+        console.log('[StripeProvider] Payment already succeeded, returning existing status');
+        return StripeProvider.formatIntent(paymentIntent);
+      }
+
+      // If payment method is provided, attach it
+      if (paymentMethodId && paymentIntent.status === 'requires_payment_method') {
+        await this.stripe.paymentIntents.update(intentId, {
+          payment_method: paymentMethodId,
+        });
+      }
+
+      console.log('[StripeProvider] Confirming payment intent...');
+      const confirmedIntent = await this.stripe.paymentIntents.confirm(intentId);
+      console.log('[StripeProvider] Payment confirmed, new status:', confirmedIntent.status);
+
+      return StripeProvider.formatIntent(confirmedIntent);
+    } catch (error) {
+      // If error is that payment is already confirmed, retrieve and return it
+      if (error.code === 'payment_intent_unexpected_state' || error.message?.includes('already')) {
+        try {
+          const paymentIntent = await this.stripe.paymentIntents.retrieve(intentId);
+          console.log('[StripeProvider] Payment already processed, returning current status:', paymentIntent.status);
+          return StripeProvider.formatIntent(paymentIntent);
+        } catch (retrieveError) {
+          console.error('[StripeProvider] Error retrieving payment after confirmation error:', retrieveError);
+        }
+      }
+      throw StripeProvider.normalizeError(error);
+    }
+  }
+
+  async retrieve(intentId) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.retrieve(intentId));
+
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      payment_method: paymentIntent.payment_method,
+      metadata: paymentIntent.metadata,
+    };
+  }
+
+  async cancel(intentId) {
+    const paymentIntent = await this.call(() => this.stripe.paymentIntents.cancel(intentId));
+
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+    };
+  }
+
+  async refund(intentId, amount, metadata = {}) {
+    const amountInCents = Math.round(amount * 100);
+    // A retried refund must reuse its key so Stripe does not send the money back twice
+    const reference = metadata.refundReference || metadata.orderId || '';
+
+    const refund = await this.call(() => this.stripe.refunds.create(
+      {
+        payment_intent: intentId,
+        amount: amountInCents,
+        metadata,
+      },
+      {
+        idempotencyKey: `refund_${intentId}_${amountInCents}_${reference}`,
+      }
+    ));
+
+    return {
+      id: refund.id,
+      status: refund.status,
+      amount: refund.amount / 100,
+    };
+  }
+
+  parseWebhook(payload, signature) {
+    if (!this.webhookSecret) {
+      // Without a secret anyone could post a forged event, so unsigned events are only taken when asked for
+      if (!this.allowUnsignedWebhooks) {
+        throw new AppError('Webhook secret is not configured', 500);
+      }
+      console.warn('Webhook secret not configured, accepting an unsigned event');
+      try {
+        return JSON.parse(payload.toString());
+      } catch {
+        return null;
+      }
+    }
+
+    try {
+      return this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+    } catch (error) {
+      console.error('Webhook signature verification failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Run a Stripe API call and normalize its errors
+   * @param {Function} request - Function returning the API promise
+   * @returns {Promise<Object>} API response
+   */
+  async call(request) {
+    try {
+      return await request();
+    } catch (error) {
+      throw StripeProvider.normalizeError(error);
+    }
+  }
+
+  static formatIntent(paymentIntent) {
+    return {
+      id: paymentIntent.id,
+      status: paymentIntent.status,
+      payment_method: paymentIntent.payment_method,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      metadata: paymentIntent.metadata,
+      charges: paymentIntent.charges?.data || [],
+      receipt_url: paymentIntent.charges?.data?.[0]?.receipt_url || null,
+      nextAction: paymentIntent.next_action || null,
+    };
+  }
+
+  // Card declines are reported to the customer instead of surfacing as server errors
+  static normalizeError(error) {
+    if (error.type === 'StripeCardError') {
+      const declined = new AppError(error.message, 402);
+      declined.code = error.code;
+      return declined;
+    }
+    return error;
+  }
+}
+
+export default StripeProvider;
@@ -0,0 +1,49 @@
+import fs from 'fs/promises';
+import path from 'path';
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * Stores files in a directory on the server's disk
+ * The server publishes that directory at baseUrl (see server.js)
+ */
+class LocalDiskStorage extends StorageAdapter {
+  /**
+   * @param {string} rootDir - Directory files are written under
+   * @param {string} baseUrl - URL prefix the directory is served at
+   */
+  constructor(rootDir, baseUrl = '/uploads') {
+    super();
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  getName() {
+    return 'local';
+  }
+
+  /**
+   * Absolute path for a key, refusing keys that would escape the root directory
+   * @param {string} key - Relative file key
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+export default LocalDiskStorage;
@@ -0,0 +1,36 @@
+/**
+ * Storage Adapter Strategy Interface
+ * All file stores for uploaded images must implement this interface
+ * Keys are relative paths such as "products/<id>/medium.webp"
+ */
+class StorageAdapter {
+  /**
+   * Store a file, replacing any file with the same key
+   * @param {string} key - Where to store the file
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type (e.g. 'image/webp')
+   * @returns {Promise<string>} Public URL of the stored file
+   */
+  async save(key, buffer, contentType) {
+    throw new Error('save must be implemented');
+  }
+
+  /**
+   * Delete a stored file; deleting a missing file is not an error
+   * @param {string} key - Key the file was saved under
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error('delete must be implemented');
+  }
+
+  /**
+   * Get adapter name
+   * @returns {string} Adapter name
+   */
+  getName() {
+    throw new Error('getName must be implemented');
+  }
+}
+
+export default StorageAdapter;
@@ -0,0 +1,71 @@
+import LocalDiskStorage from './LocalDiskStorage.js';
+
+/**
+ * Factory for creating storage adapter strategies
+ * Uses Factory Method Pattern to pick where uploaded images are kept from configuration
+ */
+class StorageAdapterFactory {
+  /**
+   * Where the local adapter keeps files and the URL they are served at
+   * UPLOAD_DIR defaults to "uploads" in the working directory; UPLOAD_BASE_URL to "/uploads"
+   * @param {Object} env - Environment variables (default: process.env)
+   * @returns {Object} { rootDir, baseUrl }
+   */
+  static getLocalConfig(env = process.env) {
+    return {
+      rootDir: env.UPLOAD_DIR || 'uploads',
+      baseUrl: env.UPLOAD_BASE_URL || '/uploads'
+    };
+  }
+
+  /**
+   * Create storage adapter strategy based on adapter name
+   * @param {string} adapterName - Name of the adapter ('local')
+   * @param {Object} options - { rootDir, baseUrl }
+   * @returns {StorageAdapter} Adapter instance
+   */
+  static createAdapter(adapterName, options = {}) {
+    const adapters = {
+      'local': () => new LocalDiskStorage(options.rootDir || 'uploads', options.baseUrl)
+    };
+
+    const createAdapter = adapters[adapterName.toLowerCase()];
+    if (!createAdapter) {
+      throw new Error(`Storage adapter "${adapterName}" not found. Available adapters: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    return createAdapter();
+  }
+
+  /**
+   * Create the adapter selected by environment configuration
+   * STORAGE_DRIVER picks the adapter; local disk is the default
+   * @param {Object} env - Environment variables (default: process.env)
+   * @returns {StorageAdapter} Adapter instance
+   */
+  static createFromConfig(env = process.env) {
+    return StorageAdapterFactory.createAdapter(
+      env.STORAGE_DRIVER || 'local',
+      StorageAdapterFactory.getLocalConfig(env)
+    );
+  }
+
+  /**
+   * Get list of available storage adapters
+   * @returns {string[]} Array of adapter names
+   */
+  static getAvailableAdapters() {
+    return ['local'];
+  }
+
+  /**
+   * Check if an adapter exists
+   * @param {string} adapterName - Name of the adapter
+   * @returns {boolean} True if adapter exists
+   */
+  static adapterExists(adapterName) {
+    return StorageAdapterFactory.getAvailableAdapters().includes(adapterName.toLowerCase());
+  }
+}
+
+export default StorageAdapterFactory;
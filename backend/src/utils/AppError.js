@@ -8,3 +8,12 @@ export class AppError extends Error {
   }
 }
 
+
+// 429 error that tells the client how many seconds to wait before retrying
+export class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.name = 'TooManyRequestsError';
+    this.retryAfter = retryAfter;
+  }
+}
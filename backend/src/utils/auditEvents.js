@@ -0,0 +1,10 @@
+// Security events written to the audit log
+export const AUDIT_EVENTS = {
+  ACCOUNT_LOCKED: "account_locked",
+  ACCOUNT_UNLOCKED: "account_unlocked",
+  LOCKED_ACCOUNT_LOGIN: "locked_account_login",
+  IP_THROTTLED: "ip_throttled",
+  LOGIN_AFTER_FAILURES: "login_after_failures"
+};
+
+export const AUDIT_EVENT_TYPES = Object.values(AUDIT_EVENTS);
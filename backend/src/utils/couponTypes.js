@@ -0,0 +1,11 @@
+// Supported coupon types and how each one discounts an order
+
+export const COUPON_TYPES = {
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+  FREE_SHIPPING: "free_shipping"
+};
+
+export const isValidCouponType = (type) => {
+  return Object.values(COUPON_TYPES).includes(type);
+};
@@ -25,7 +25,7 @@ const getTransporter = () => {
 /**
  * Send email using Strategy Pattern for email templates
  * @param {string} to - Recipient email address
- * @param {string} templateName - Name of the email template (orderConfirmation, passwordReset)
+ * @param {string} templateName - Name of the email template (orderConfirmation, passwordReset, orderShipped, emailVerification)
  * @param {Object} data - Data to be used in the email template
  * @returns {Promise<Object>} Result object with success status and messageId
  */
@@ -1,10 +1,11 @@
 import jwt from "jsonwebtoken";
 
+// Access tokens are short-lived; clients renew them with a refresh token
 export const generateToken = (userId) => {
   // Ensure userId is a string (Mongoose ObjectIds need to be converted)
   const userIdString = userId?.toString ? userId.toString() : userId;
   return jwt.sign({ userId: userIdString }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "7d"
+    expiresIn: process.env.JWT_EXPIRE || "15m"
   });
 };
 
@@ -16,3 +17,38 @@ export const verifyToken = (token) => {
   }
 };
 
+// Issued after the password step of a two-factor sign-in; only good for submitting the code
+const PRE_AUTH_PURPOSE = "2fa";
+
+export const generatePreAuthToken = (userId) => {
+  const userIdString = userId?.toString ? userId.toString() : userId;
+  return jwt.sign({ userId: userIdString, purpose: PRE_AUTH_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: "5m"
+  });
+};
+
+export const verifyPreAuthToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== PRE_AUTH_PURPOSE) {
+    throw new Error("Invalid or expired token");
+  }
+  return decoded;
+};
+
+// Handed to guests who check out without an account; lets the holder view and pay for one order
+const ORDER_ACCESS_PURPOSE = "order";
+
+export const generateOrderAccessToken = (orderId) => {
+  const orderIdString = orderId?.toString ? orderId.toString() : orderId;
+  return jwt.sign({ orderId: orderIdString, purpose: ORDER_ACCESS_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: process.env.ORDER_ACCESS_TOKEN_EXPIRE || "90d"
+  });
+};
+
+export const verifyOrderAccessToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== ORDER_ACCESS_PURPOSE) {
+    throw new Error("Invalid or expired token");
+  }
+  return decoded;
+};
@@ -0,0 +1,45 @@
+// Order status lifecycle (declarative transition table)
+import { PAYMENT_METHODS } from "./paymentMethods.js";
+
+export const ORDER_STATUSES = [
+  "pending",
+  "paid",
+  "processing",
+  "shipped",
+  "delivered",
+  "cancelled",
+  "refunded"
+];
+
+// Allowed next statuses for each status
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["processing", "cancelled", "refunded"],
+  processing: ["shipped", "cancelled", "refunded"],
+  shipped: ["delivered"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: []
+};
+
+// Payment methods whose flow differs from the default table
+// Cash on delivery orders are fulfilled before they are paid
+export const PAYMENT_METHOD_TRANSITIONS = {
+  [PAYMENT_METHODS.CASH_ON_DELIVERY]: {
+    pending: ["processing", "cancelled"]
+  }
+};
+
+export const isValidOrderStatus = (status) => {
+  return ORDER_STATUSES.includes(status);
+};
+
+export const getAllowedTransitions = (status, paymentMethod) => {
+  const current = status || "pending";
+  const overrides = PAYMENT_METHOD_TRANSITIONS[paymentMethod] || {};
+  return overrides[current] || ORDER_STATUS_TRANSITIONS[current] || [];
+};
+
+export const canTransition = (from, to, paymentMethod) => {
+  return getAllowedTransitions(from, paymentMethod).includes(to);
+};
@@ -0,0 +1,41 @@
+// Supported payment methods and how each one gets paid
+import crypto from "crypto";
+
+export const PAYMENT_METHODS = {
+  CREDIT_CARD: "Credit Card",
+  DEBIT_CARD: "Debit Card",
+  CASH_ON_DELIVERY: "Cash on Delivery",
+  BANK_TRANSFER: "Bank Transfer"
+};
+
+// Currency every order is priced and charged in
+export const PAYMENT_CURRENCY = "usd";
+
+// Paid online through the payment provider
+export const CARD_PAYMENT_METHODS = [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.DEBIT_CARD];
+
+// Paid outside the provider and confirmed by an admin
+export const MANUAL_PAYMENT_METHODS = [PAYMENT_METHODS.CASH_ON_DELIVERY, PAYMENT_METHODS.BANK_TRANSFER];
+
+export const isValidPaymentMethod = (method) => {
+  return Object.values(PAYMENT_METHODS).includes(method);
+};
+
+export const isCardPayment = (method) => {
+  return CARD_PAYMENT_METHODS.includes(method);
+};
+
+export const isManualPayment = (method) => {
+  return MANUAL_PAYMENT_METHODS.includes(method);
+};
+
+// A succeeded provider payment (amount in cents) pays an order only for its exact total, in the order currency
+export const paymentCoversOrder = (payment, order) => {
+  return Number(payment?.amount) === Math.round(order.totalPrice * 100) &&
+    String(payment?.currency || "").toLowerCase() === PAYMENT_CURRENCY;
+};
+
+// Reference the customer quotes on their bank transfer so it can be matched to the order
+export const generateBankTransferReference = () => {
+  return `BT-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+};
@@ -0,0 +1,30 @@
+// Order pricing rules shared by the checkout quote and order creation
+import { TAX_PRICING_MODES } from "./taxClasses.js";
+
+export const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price an order from its items subtotal
+ * Shipping is priced by the shipping service for the chosen method and waived by free shipping coupons.
+ * Tax is worked out per line by the tax service; it is added on top for exclusive pricing and already
+ * in the prices when inclusive
+ * @param {number} itemsPrice - Sum of item price * quantity
+ * @param {Object} options - { discount, freeShipping } from an applied coupon, { shippingPrice } from the
+ *   shipping service, { taxPrice, pricingMode } from the tax service
+ * @returns {Object} { itemsPrice, discountPrice, shippingPrice, taxPrice, totalPrice }
+ */
+export const calculateOrderPricing = (itemsPrice, {
+  discount = 0,
+  freeShipping = false,
+  shippingPrice: methodPrice = 0,
+  taxPrice = 0,
+  pricingMode = TAX_PRICING_MODES.EXCLUSIVE
+} = {}) => {
+  const discountPrice = roundCurrency(Math.min(discount, itemsPrice));
+  const discountedItemsPrice = itemsPrice - discountPrice;
+  const shippingPrice = freeShipping ? 0 : methodPrice;
+  const addedTax = pricingMode === TAX_PRICING_MODES.INCLUSIVE ? 0 : taxPrice;
+  const totalPrice = roundCurrency(discountedItemsPrice + shippingPrice + addedTax);
+
+  return { itemsPrice, discountPrice, shippingPrice, taxPrice, totalPrice };
+};
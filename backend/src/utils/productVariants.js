@@ -0,0 +1,45 @@
+// Product variants: each combination of option values (e.g. size and colour) is sold as its own SKU
+// with its own stock, and optionally its own price and image
+
+const getId = (value) => (value?._id || value)?.toString();
+
+export const hasVariants = (product) => {
+  return Array.isArray(product?.variants) && product.variants.length > 0;
+};
+
+export const findVariant = (product, variantId) => {
+  if (!variantId) {
+    return null;
+  }
+  return (product?.variants || []).find(variant => getId(variant) === getId(variantId)) || null;
+};
+
+// Units a product, or the chosen variant of it, has left to sell
+// A product with variants has none to sell without a variant that still exists
+export const getAvailableStock = (product, variantId = null) => {
+  if (!hasVariants(product)) {
+    return product.stock;
+  }
+  return findVariant(product, variantId)?.stock ?? 0;
+};
+
+// Unit price of a cart line: the chosen variant's price when it overrides the product's
+export const getUnitPrice = (item) => {
+  const variant = findVariant(item.product, item.variant);
+  return variant?.price ?? item.product?.price ?? 0;
+};
+
+// Identifies a cart or order line; two variants of one product are separate lines
+export const getLineKey = (item) => {
+  const productId = getId(item.product);
+  return item.variant ? `${productId}:${getId(item.variant)}` : productId;
+};
+
+// Chosen values in option order, e.g. "M / Red"
+export const describeVariant = (product, variant) => {
+  const attributes = variant?.attributes || {};
+  return (product?.options || [])
+    .map(option => attributes[option.name])
+    .filter(Boolean)
+    .join(" / ");
+};
@@ -0,0 +1,13 @@
+import crypto from "crypto";
+
+// Single-use tokens sent to users (e.g. password reset links)
+// Only the SHA-256 hash is stored, so a leaked database cannot be used to redeem them
+
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+export const createSecureToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+};
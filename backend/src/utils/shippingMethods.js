@@ -0,0 +1,56 @@
+// Shipping methods offered at checkout and how their rate tables are read
+
+export const SHIPPING_METHODS = {
+  STANDARD: "standard",
+  EXPRESS: "express",
+  PICKUP: "pickup"
+};
+
+// Weight: bands are matched against the cart's chargeable weight (kg). Price: against the items subtotal
+export const RATE_BASES = {
+  WEIGHT: "weight",
+  PRICE: "price"
+};
+
+// Volumetric weight (kg) of a parcel is length * width * height (cm) divided by this factor
+export const VOLUMETRIC_DIVISOR = 5000;
+
+// Used for addresses outside every configured zone: free over $100, $10 otherwise
+export const DEFAULT_SHIPPING_ZONE = {
+  name: "Default",
+  methods: [
+    {
+      code: SHIPPING_METHODS.STANDARD,
+      name: "Standard Shipping",
+      rateBasis: RATE_BASES.PRICE,
+      rates: [
+        { upTo: 100, price: 10 },
+        { upTo: null, price: 0 }
+      ],
+      minDays: 3,
+      maxDays: 7,
+      isActive: true
+    }
+  ]
+};
+
+export const isValidShippingMethod = (method) => {
+  return Object.values(SHIPPING_METHODS).includes(method);
+};
+
+export const isValidRateBasis = (basis) => {
+  return Object.values(RATE_BASES).includes(basis);
+};
+
+// Carriers with a public tracking page; shipments with any other carrier are recorded without a link
+export const SHIPPING_CARRIERS = {
+  ups: { name: "UPS", trackingUrl: "https://www.ups.com/track?tracknum={trackingNumber}" },
+  fedex: { name: "FedEx", trackingUrl: "https://www.fedex.com/fedextrack/?trknbr={trackingNumber}" },
+  usps: { name: "USPS", trackingUrl: "https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}" },
+  dhl: { name: "DHL", trackingUrl: "https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}" }
+};
+
+export const getTrackingUrl = (carrier, trackingNumber) => {
+  const known = SHIPPING_CARRIERS[(carrier || "").trim().toLowerCase()];
+  return known ? known.trackingUrl.replace("{trackingNumber}", encodeURIComponent(trackingNumber)) : null;
+};
@@ -0,0 +1,24 @@
+// Tax classes products can belong to and how their prices are quoted
+
+export const TAX_CLASSES = {
+  STANDARD: "standard",
+  REDUCED: "reduced",
+  ZERO: "zero"
+};
+
+// Exclusive: tax is added on top of catalogue prices. Inclusive: catalogue prices already contain tax
+export const TAX_PRICING_MODES = {
+  EXCLUSIVE: "exclusive",
+  INCLUSIVE: "inclusive"
+};
+
+// Rate (percent) used when no tax rule covers the shipping address
+export const DEFAULT_TAX_RATE = 10;
+
+export const isValidTaxClass = (taxClass) => {
+  return Object.values(TAX_CLASSES).includes(taxClass);
+};
+
+export const isValidTaxPricingMode = (mode) => {
+  return Object.values(TAX_PRICING_MODES).includes(mode);
+};
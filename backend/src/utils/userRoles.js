@@ -0,0 +1,58 @@
+// Account roles and the permissions each one grants (declarative permission matrix)
+export const PERMISSIONS = {
+  PRODUCTS_WRITE: "products:write",
+  COUPONS_WRITE: "coupons:write",
+  TAXES_WRITE: "taxes:write",
+  SHIPPING_WRITE: "shipping:write",
+  ORDERS_READ: "orders:read",
+  ORDERS_FULFIL: "orders:fulfil",
+  ORDERS_REFUND: "orders:refund",
+  PAYMENTS_CONFIRM: "payments:confirm",
+  ANALYTICS_READ: "analytics:read",
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage"
+};
+
+export const ROLE_PERMISSIONS = {
+  customer: [],
+  catalog_manager: [PERMISSIONS.PRODUCTS_WRITE, PERMISSIONS.COUPONS_WRITE],
+  fulfilment: [PERMISSIONS.ORDERS_READ, PERMISSIONS.ORDERS_FULFIL, PERMISSIONS.SHIPPING_WRITE],
+  support: [PERMISSIONS.ORDERS_READ, PERMISSIONS.USERS_READ],
+  finance: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.PAYMENTS_CONFIRM,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.TAXES_WRITE
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+export const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Order statuses that move money need the matching finance permission; everything else is fulfilment
+const STATUS_PERMISSIONS = {
+  paid: PERMISSIONS.PAYMENTS_CONFIRM,
+  refunded: PERMISSIONS.ORDERS_REFUND
+};
+
+export const isValidRole = (role) => {
+  return USER_ROLES.includes(role);
+};
+
+export const getPermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+export const hasPermission = (role, permission) => {
+  return getPermissions(role).includes(permission);
+};
+
+export const getStatusPermission = (status) => {
+  return STATUS_PERMISSIONS[status] || PERMISSIONS.ORDERS_FULFIL;
+};
+
+// Admins can be required to enrol in two-factor authentication before using staff routes
+export const isTwoFactorRequired = (role) => {
+  return process.env.REQUIRE_ADMIN_2FA === "true" && role === "admin";
+};
@@ -1,4 +1,14 @@
 // Validation utility functions
+import { COUPON_TYPES, isValidCouponType } from "./couponTypes.js";
+import {
+  TAX_CLASSES,
+  TAX_PRICING_MODES,
+  isValidTaxClass,
+  isValidTaxPricingMode
+} from "./taxClasses.js";
+import { SHIPPING_METHODS, RATE_BASES, isValidShippingMethod, isValidRateBasis } from "./shippingMethods.js";
+
+const MAX_ADDRESS_LABEL_LENGTH = 40;
 
 export const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -29,6 +39,87 @@ export const validateProductData = (data) => {
   if (data.stock === undefined || data.stock < 0) {
     errors.push("Valid stock quantity is required");
   }
+  if (data.taxClass !== undefined && !isValidTaxClass(data.taxClass)) {
+    errors.push(`Tax class must be one of: ${Object.values(TAX_CLASSES).join(", ")}`);
+  }
+  errors.push(...validateShippingDetails(data));
+  return errors;
+};
+
+// Every variant picks one listed value per option; no two variants share a combination or SKU
+export const validateProductVariants = ({ options = [], variants = [] } = {}) => {
+  const errors = [];
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    errors.push("Options and variants must be lists");
+    return errors;
+  }
+  if (variants.length === 0) {
+    return errors;
+  }
+
+  const optionNames = options.map(option => option?.name?.trim());
+  if (options.length === 0) {
+    errors.push("Variants need at least one option such as size or colour");
+  }
+  if (optionNames.some(name => !name)) {
+    errors.push("Every option needs a name");
+  }
+  if (new Set(optionNames).size !== optionNames.length) {
+    errors.push("Option names must be unique");
+  }
+  if (options.some(option => !Array.isArray(option?.values) || option.values.length === 0)) {
+    errors.push("Every option needs at least one value");
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  variants.forEach((variant, index) => {
+    const label = `Variant ${index + 1}`;
+    const sku = variant?.sku?.trim();
+    if (!sku) {
+      errors.push(`${label} needs a SKU`);
+    } else if (skus.has(sku)) {
+      errors.push(`SKU ${sku} is used by more than one variant`);
+    }
+    skus.add(sku);
+
+    const attributes = variant?.attributes || {};
+    const complete = Object.keys(attributes).length === options.length &&
+      options.every(option => option.values.includes(attributes[option.name]));
+    if (!complete) {
+      errors.push(`${label} needs one listed value for each option`);
+    } else {
+      const combination = JSON.stringify(options.map(option => attributes[option.name]));
+      if (combinations.has(combination)) {
+        errors.push(`${label} has the same options as another variant`);
+      }
+      combinations.add(combination);
+    }
+
+    if (variant.price != null && !(Number(variant.price) > 0)) {
+      errors.push(`${label} price must be greater than 0`);
+    }
+    const stock = Number(variant.stock ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push(`${label} needs a valid stock quantity`);
+    }
+  });
+  return errors;
+};
+
+// Weight (kg) and dimensions (cm) are optional but cannot be negative
+export const validateShippingDetails = (data) => {
+  const errors = [];
+  if (data.weight != null && !(Number(data.weight) >= 0)) {
+    errors.push("Weight cannot be negative");
+  }
+  const dimensions = Object.values(data.dimensions || {});
+  if (dimensions.some(value => value != null && !(Number(value) >= 0))) {
+    errors.push("Dimensions cannot be negative");
+  }
   return errors;
 };
 
@@ -56,3 +147,117 @@ export const validateShippingAddress = (address) => {
   return errors;
 };
 
+// Same fields as the shipping address, with messages that say which address is incomplete
+export const validateBillingAddress = (address) => {
+  if (!address) {
+    return ["Billing address is required"];
+  }
+  return validateShippingAddress(address).map(error => `Billing ${error.charAt(0).toLowerCase()}${error.slice(1)}`);
+};
+
+// Address book entries: a complete address plus an optional short label
+export const validateSavedAddress = (address) => {
+  if (!address) {
+    return ["Address is required"];
+  }
+  const errors = validateShippingAddress(address);
+  if (address.label !== undefined && String(address.label).trim().length > MAX_ADDRESS_LABEL_LENGTH) {
+    errors.push(`Label must be ${MAX_ADDRESS_LABEL_LENGTH} characters or fewer`);
+  }
+  return errors;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+export const validateCouponData = (data) => {
+  const errors = [];
+  if (!data.code || data.code.trim().length === 0) {
+    errors.push("Coupon code is required");
+  }
+  if (!isValidCouponType(data.type)) {
+    errors.push(`Coupon type must be one of: ${Object.values(COUPON_TYPES).join(", ")}`);
+  }
+  if (data.type === COUPON_TYPES.PERCENTAGE && !(data.value > 0 && data.value <= 100)) {
+    errors.push("Percentage discount must be between 0 and 100");
+  }
+  if (data.type === COUPON_TYPES.FIXED && !(data.value > 0)) {
+    errors.push("Discount amount must be greater than 0");
+  }
+  if (data.minimumSpend !== undefined && data.minimumSpend < 0) {
+    errors.push("Minimum spend cannot be negative");
+  }
+  if (data.usageLimit != null && !isPositiveInteger(data.usageLimit)) {
+    errors.push("Usage limit must be a positive whole number");
+  }
+  if (data.perUserLimit != null && !isPositiveInteger(data.perUserLimit)) {
+    errors.push("Per-customer limit must be a positive whole number");
+  }
+  if (data.startsAt && data.expiresAt && new Date(data.startsAt) >= new Date(data.expiresAt)) {
+    errors.push("Coupon must start before it expires");
+  }
+  return errors;
+};
+
+export const validateTaxRuleData = (data) => {
+  const errors = [];
+  if (!data.country || data.country.trim().length === 0) {
+    errors.push("Country is required");
+  }
+  if (data.pricingMode !== undefined && !isValidTaxPricingMode(data.pricingMode)) {
+    errors.push(`Pricing mode must be one of: ${Object.values(TAX_PRICING_MODES).join(", ")}`);
+  }
+  const rates = data.rates instanceof Map ? Object.fromEntries(data.rates) : data.rates || {};
+  if (Object.keys(rates).some(taxClass => !isValidTaxClass(taxClass))) {
+    errors.push(`Tax class must be one of: ${Object.values(TAX_CLASSES).join(", ")}`);
+  }
+  if (Object.values(rates).some(rate => typeof rate !== "number" || !(rate >= 0 && rate <= 100))) {
+    errors.push("Tax rates must be between 0 and 100");
+  }
+  return errors;
+};
+
+export const validateShippingZoneData = (data) => {
+  const errors = [];
+  if (!data.name || data.name.trim().length === 0) {
+    errors.push("Zone name is required");
+  }
+  if (!data.isDefault && (!data.countries || data.countries.length === 0)) {
+    errors.push("Add at least one country or make this the default zone");
+  }
+  const methods = data.methods || [];
+  if (methods.length === 0) {
+    errors.push("At least one shipping method is required");
+  }
+  if (methods.some(method => !isValidShippingMethod(method.code))) {
+    errors.push(`Shipping method must be one of: ${Object.values(SHIPPING_METHODS).join(", ")}`);
+  }
+  if (new Set(methods.map(method => method.code)).size !== methods.length) {
+    errors.push("Each shipping method can only be offered once per zone");
+  }
+  if (methods.some(method => !method.name || method.name.trim().length === 0)) {
+    errors.push("Shipping method name is required");
+  }
+  if (methods.some(method => method.rateBasis !== undefined && !isValidRateBasis(method.rateBasis))) {
+    errors.push(`Rate basis must be one of: ${Object.values(RATE_BASES).join(", ")}`);
+  }
+  if (methods.some(method => !method.rates || method.rates.length === 0)) {
+    errors.push("Each shipping method needs at least one rate");
+  }
+  const rates = methods.flatMap(method => method.rates || []);
+  if (rates.some(rate => !(typeof rate.price === "number" && rate.price >= 0) ||
+    (rate.upTo != null && !(typeof rate.upTo === "number" && rate.upTo >= 0)))) {
+    errors.push("Shipping rates cannot be negative");
+  }
+  return errors;
+};
+
+export const validateShipmentData = (data) => {
+  const errors = [];
+  if (!data.carrier || !data.carrier.trim()) {
+    errors.push("Carrier is required");
+  }
+  if (!data.trackingNumber || !data.trackingNumber.trim()) {
+    errors.push("Tracking number is required");
+  }
+  return errors;
+};
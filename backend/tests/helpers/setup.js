@@ -6,6 +6,11 @@ process.env.JWT_SECRET = 'test-secret-key-for-testing-only';
 process.env.JWT_EXPIRE = '1h';
 process.env.NODE_ENV = 'test';
 
+// Run every payment path offline against the deterministic fake gateway
+process.env.PAYMENT_PROVIDER = 'fake';
+// Fake gateway events are unsigned; production refuses this flag
+process.env.ALLOW_UNSIGNED_WEBHOOKS = 'true';
+
 // Suppress console logs during tests (optional)
 // Uncomment if you want cleaner test output
 // global.console = {
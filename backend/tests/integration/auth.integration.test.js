@@ -1,7 +1,22 @@
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
 import supertest from 'supertest';
 import { setupTestApp, setupBeforeAll, cleanupAfterAll, setupBeforeEach } from './setup.js';
 import User from '../../src/models/User.js';
+import RefreshToken from '../../src/models/RefreshToken.js';
+import Order from '../../src/models/Order.js';
+import AuditLog from '../../src/models/AuditLog.js';
+import LoginAttempt from '../../src/models/LoginAttempt.js';
+import mongoose from 'mongoose';
+import { hashToken } from '../../src/utils/secureToken.js';
+import { generateToken } from '../../src/utils/jwt.js';
+import { generateCode, getTimeStep } from '../../src/utils/totp.js';
+import {
+  forgotPasswordLimiter,
+  resetPasswordLimiter,
+  resendVerificationLimiter,
+  unlockAccountLimiter,
+  twoFactorLoginLimiter
+} from '../../src/routes/userRoutes.js';
 
 describe('Authentication Integration Tests', () => {
   let app;
@@ -262,5 +277,763 @@ describe('Authentication Integration Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
 
+  describe('Refresh tokens', () => {
+    let session;
+
+    beforeEach(async () => {
+      await User.create({
+        name: 'Session User',
+        email: 'session@example.com',
+        password: 'password123'
+      });
+
+      const loginResponse = await supertest(app)
+        .post('/api/users/login')
+        .set('User-Agent', 'IntegrationTest')
+        .send({ email: 'session@example.com', password: 'password123' });
+
+      session = loginResponse.body.data;
+    });
+
+    it('should store only a hash of the refresh token issued at login', async () => {
+      expect(session.refreshToken).toEqual(expect.any(String));
+
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(session.refreshToken) });
+      expect(stored).toBeTruthy();
+      expect(stored.userAgent).toBe('IntegrationTest');
+      expect(await RefreshToken.findOne({ tokenHash: session.refreshToken })).toBeNull();
+    });
+
+    it('should rotate the refresh token and issue a working access token', async () => {
+      const response = await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+
+      await supertest(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the whole family when an old refresh token is replayed', async () => {
+      const rotated = await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      // The legitimate holder of the newest token is signed out too
+      await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should revoke the refresh token on logout', async () => {
+      await supertest(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+
+    it('should revoke every session when the password is reset', async () => {
+      resetPasswordLimiter.reset();
+      await User.findOneAndUpdate({ email: 'session@example.com' }, {
+        passwordResetToken: hashToken('reset-token'),
+        passwordResetExpires: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await supertest(app)
+        .post('/api/users/reset-password')
+        .send({ token: 'reset-token', password: 'newpassword123' })
+        .expect(200);
+
+      await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Login brute-force protection', () => {
+    let user;
+
+    beforeEach(async () => {
+      unlockAccountLimiter.reset();
+      user = await User.create({
+        name: 'Locked User',
+        email: `locked-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+    });
+
+    const login = (password) =>
+      supertest(app).post('/api/users/login').send({ email: user.email, password });
+
+    it('should make the client wait after repeated failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        await login('wrongpassword').expect(401);
+      }
+
+      const response = await login('password123').expect(429);
+      expect(response.body.message).toMatch(/Please wait \d+ seconds?/);
+      expect(response.body.retryAfter).toBeGreaterThan(0);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should lock the account at the threshold and audit it', async () => {
+      // Skip past the progressive delays by backdating the last failure
+      await User.updateOne(
+        { _id: user._id },
+        { failedLoginAttempts: 9, lastFailedLoginAt: new Date(Date.now() - 2 * 60 * 1000) }
+      );
+
+      const response = await login('wrongpassword').expect(429);
+      expect(response.body.message).toContain('Your account is locked for 15 minutes');
+
+      const locked = await User.findById(user._id).select('+unlockToken');
+      expect(locked.lockUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(locked.unlockToken).toBeDefined();
+      expect(await AuditLog.countDocuments({ event: 'account_locked', user: user._id })).toBe(1);
+
+      // The right password does not help while the lock holds
+      await login('password123').expect(429);
+      expect(await AuditLog.countDocuments({ event: 'locked_account_login', user: user._id })).toBe(1);
+    });
+
+    it('should unlock the account with the emailed token', async () => {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          failedLoginAttempts: 10,
+          lastFailedLoginAt: new Date(),
+          lockUntil: new Date(Date.now() + 15 * 60 * 1000),
+          unlockToken: hashToken('unlock-token'),
+          unlockTokenExpires: new Date(Date.now() + 60 * 60 * 1000)
+        }
+      );
+
+      const response = await supertest(app)
+        .get('/api/users/unlock-account')
+        .query({ token: 'unlock-token' })
+        .expect(200);
+      expect(response.body.data.email).toBe(user.email);
+
+      await login('password123').expect(200);
+
+      await supertest(app)
+        .get('/api/users/unlock-account')
+        .query({ token: 'unlock-token' })
+        .expect(400);
+    });
+
+    it('should block an IP after too many failures across accounts', async () => {
+      // Unknown emails only count against the IP, so there are no per-account delays in the way
+      for (let i = 0; i < 50; i++) {
+        await supertest(app)
+          .post('/api/users/login')
+          .send({ email: `guess-${i}@example.com`, password: 'password123' })
+          .expect(401);
+      }
+      expect(await LoginAttempt.countDocuments()).toBe(50);
+      expect(await AuditLog.countDocuments({ event: 'ip_throttled' })).toBe(1);
+
+      const response = await login('password123').expect(429);
+      expect(response.body.message).toContain('from your network');
+    });
+  });
+
+  describe('Password reset', () => {
+    let user;
+
+    beforeEach(async () => {
+      forgotPasswordLimiter.reset();
+      resetPasswordLimiter.reset();
+      user = await User.create({
+        name: 'Reset User',
+        email: `reset-${Date.now()}@example.com`,
+        password: 'oldpassword'
+      });
+    });
+
+    const setResetToken = async (token, expires = new Date(Date.now() + 60 * 60 * 1000)) => {
+      await User.findByIdAndUpdate(user._id, {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: expires
+      });
+    };
+
+    it('should store a hashed reset token for a known email', async () => {
+      const response = await supertest(app)
+        .post('/api/users/forgot-password')
+        .send({ email: user.email })
+        .expect(200);
+
+      expect(response.body.message).toContain('If an account exists');
+      const stored = await User.findById(user._id).select('+passwordResetToken +passwordResetExpires');
+      expect(stored.passwordResetToken).toHaveLength(64);
+      expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should give the same response for an unknown email', async () => {
+      const response = await supertest(app)
+        .post('/api/users/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toContain('If an account exists');
+    });
+
+    it('should reset the password once per token', async () => {
+      await setResetToken('valid-token');
+
+      await supertest(app)
+        .post('/api/users/reset-password')
+        .send({ token: 'valid-token', password: 'newpassword' })
+        .expect(200);
+
+      await supertest(app)
+        .post('/api/users/login')
+        .send({ email: user.email, password: 'newpassword' })
+        .expect(200);
+
+      const reuse = await supertest(app)
+        .post('/api/users/reset-password')
+        .send({ token: 'valid-token', password: 'anotherpassword' })
+        .expect(400);
+      expect(reuse.body.message).toBe('Password reset link is invalid or has expired');
+    });
+
+    it('should reject an expired token', async () => {
+      await setResetToken('expired-token', new Date(Date.now() - 1000));
+
+      await supertest(app)
+        .post('/api/users/reset-password')
+        .send({ token: 'expired-token', password: 'newpassword' })
+        .expect(400);
+    });
+
+    it('should rate limit reset requests for the same email', async () => {
+      for (let i = 0; i < 5; i++) {
+        await supertest(app).post('/api/users/forgot-password').send({ email: user.email }).expect(200);
+      }
+
+      const response = await supertest(app)
+        .post('/api/users/forgot-password')
+        .send({ email: user.email })
+        .expect(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+  });
+
+  describe('Email verification', () => {
+    beforeEach(() => {
+      resendVerificationLimiter.reset();
+    });
+
+    it('should register users as unverified with a pending verification token', async () => {
+      const response = await supertest(app)
+        .post('/api/users/register')
+        .send({ name: 'New User', email: `verify-${Date.now()}@example.com`, password: 'password123' })
+        .expect(201);
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+      const stored = await User.findById(response.body.data.user.id).select('+emailVerificationToken');
+      expect(stored.emailVerificationToken).toHaveLength(64);
+    });
+
+    it('should verify the address once with the emailed token', async () => {
+      const user = await User.create({
+        name: 'Verify User',
+        email: `verify-${Date.now()}@example.com`,
+        password: 'password123',
+        emailVerificationToken: hashToken('verify-token'),
+        emailVerificationExpires: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      const response = await supertest(app)
+        .get('/api/users/verify-email')
+        .query({ token: 'verify-token' })
+        .expect(200);
+
+      expect(response.body.data.emailVerified).toBe(true);
+      expect((await User.findById(user._id)).emailVerified).toBe(true);
+
+      await supertest(app)
+        .get('/api/users/verify-email')
+        .query({ token: 'verify-token' })
+        .expect(400);
+    });
+
+    it('should resend the verification email to a signed-in user', async () => {
+      const user = await User.create({
+        name: 'Resend User',
+        email: `resend-${Date.now()}@example.com`,
+        password: 'password123'
+      });
+
+      await supertest(app)
+        .post('/api/users/resend-verification')
+        .set('Authorization', `Bearer ${generateToken(user._id)}`)
+        .expect(200);
+
+      const stored = await User.findById(user._id).select('+emailVerificationToken');
+      expect(stored.emailVerificationToken).toBeDefined();
+    });
+  });
+
+  describe('Account management', () => {
+    let user;
+    let session;
+
+    beforeEach(async () => {
+      user = await User.create({
+        name: 'Account User',
+        email: 'account@example.com',
+        password: 'password123',
+        emailVerified: true
+      });
+
+      const loginResponse = await supertest(app)
+        .post('/api/users/login')
+        .send({ email: 'account@example.com', password: 'password123' });
+
+      session = loginResponse.body.data;
+    });
+
+    it('should update the name and require the new email to be verified', async () => {
+      const response = await supertest(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ name: 'Renamed User', email: 'renamed@example.com' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        name: 'Renamed User',
+        email: 'renamed@example.com',
+        emailVerified: false
+      });
+      const stored = await User.findById(user._id).select('+emailVerificationToken');
+      expect(stored.emailVerificationToken).toBeTruthy();
+    });
+
+    it('should not take an email used by another account', async () => {
+      await User.create({ name: 'Other', email: 'other@example.com', password: 'password123' });
+
+      await supertest(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ email: 'other@example.com' })
+        .expect(400);
+    });
+
+    it('should change the password only with the current password', async () => {
+      await supertest(app)
+        .put('/api/users/password')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword123' })
+        .expect(400);
+
+      const response = await supertest(app)
+        .put('/api/users/password')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).toEqual(expect.any(String));
+
+      // The old refresh token is revoked; the new one keeps this device signed in
+      await supertest(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(401);
+
+      await supertest(app)
+        .post('/api/users/login')
+        .send({ email: 'account@example.com', password: 'newpassword123' })
+        .expect(200);
+    });
+
+    it('should delete the account and anonymise its orders', async () => {
+      const order = await Order.create({
+        user: user._id,
+        orderItems: [
+          { product: new mongoose.Types.ObjectId(), name: 'Product 1', price: 99.99, quantity: 1 }
+        ],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Stripe',
+        itemsPrice: 99.99,
+        totalPrice: 99.99
+      });
+
+      await supertest(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ password: 'password123' })
+        .expect(200);
+
+      expect(await User.findById(user._id)).toBeNull();
+      const anonymised = await Order.findById(order._id);
+      expect(anonymised.user).toBeNull();
+      expect(anonymised.anonymizedAt).toBeTruthy();
+      expect(anonymised.shippingAddress.street).toBe('[deleted]');
+      expect(anonymised.totalPrice).toBe(99.99);
+    });
+
+    it('should keep the account when the password is wrong', async () => {
+      await supertest(app)
+        .delete('/api/users/me')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ password: 'wrongpassword' })
+        .expect(400);
+
+      expect(await User.findById(user._id)).toBeTruthy();
+    });
+  });
+
+  describe('Address book', () => {
+    let authToken;
+
+    const homeAddress = {
+      label: 'Home',
+      street: '123 Main St',
+      city: 'New York',
+      state: 'NY',
+      zipCode: '10001',
+      country: 'USA'
+    };
+
+    beforeEach(async () => {
+      const user = await User.create({
+        name: 'Address User',
+        email: 'addresses@example.com',
+        password: 'password123'
+      });
+      authToken = generateToken(user._id);
+    });
+
+    it('should save, edit and delete addresses with a single default', async () => {
+      const created = await supertest(app)
+        .post('/api/users/addresses')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(homeAddress)
+        .expect(201);
+
+      expect(created.body.data).toHaveLength(1);
+      expect(created.body.data[0].isDefault).toBe(true);
+      const homeId = created.body.data[0]._id;
+
+      const withOffice = await supertest(app)
+        .post('/api/users/addresses')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...homeAddress, label: 'Office', city: 'Boston', isDefault: true })
+        .expect(201);
+
+      expect(withOffice.body.data.map(address => [address.label, address.isDefault])).toEqual([
+        ['Office', true],
+        ['Home', false]
+      ]);
+
+      await supertest(app)
+        .put(`/api/users/addresses/${homeId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ street: '500 Broadway', isDefault: true })
+        .expect(200);
+
+      const afterDelete = await supertest(app)
+        .delete(`/api/users/addresses/${homeId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(afterDelete.body.data).toHaveLength(1);
+      expect(afterDelete.body.data[0]).toMatchObject({ label: 'Office', isDefault: true });
+
+      const listed = await supertest(app)
+        .get('/api/users/addresses')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(listed.body.count).toBe(1);
+    });
+
+    it('should reject incomplete addresses', async () => {
+      const response = await supertest(app)
+        .post('/api/users/addresses')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ label: 'Home', street: '123 Main St' })
+        .expect(400);
+
+      expect(response.body.message).toContain('City is required');
+    });
+
+    it('should require authentication', async () => {
+      await supertest(app)
+        .get('/api/users/addresses')
+        .expect(401);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let admin, adminToken;
+
+    beforeEach(async () => {
+      twoFactorLoginLimiter.reset();
+      admin = await User.create({
+        name: 'Secure Admin',
+        email: 'secure-admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      adminToken = generateToken(admin._id);
+    });
+
+    afterEach(() => {
+      delete process.env.REQUIRE_ADMIN_2FA;
+    });
+
+    const enrol = async () => {
+      const setup = await supertest(app)
+        .post('/api/users/2fa/setup')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const { secret } = setup.body.data;
+      const enabled = await supertest(app)
+        .post('/api/users/2fa/enable')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: generateCode(secret) })
+        .expect(200);
+      return { secret, backupCodes: enabled.body.data.backupCodes };
+    };
+
+    const login = () =>
+      supertest(app).post('/api/users/login').send({ email: admin.email, password: 'password123' }).expect(200);
+
+    it('should require a code after the password once enrolled', async () => {
+      const { secret } = await enrol();
+
+      const first = await login();
+      expect(first.body.data).toEqual({ twoFactorRequired: true, preAuthToken: expect.any(String) });
+      expect(first.body.data).not.toHaveProperty('token');
+
+      // The pre-auth token is not an access token
+      await supertest(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${first.body.data.preAuthToken}`)
+        .expect(401);
+
+      // The code used to enrol has been spent, so use the next one inside the drift window
+      const response = await supertest(app)
+        .post('/api/users/login/2fa')
+        .send({ preAuthToken: first.body.data.preAuthToken, code: generateCode(secret, getTimeStep() + 1) })
+        .expect(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.user.twoFactorEnabled).toBe(true);
+    });
+
+    it('should accept each backup code once', async () => {
+      const { backupCodes } = await enrol();
+      expect(backupCodes).toHaveLength(10);
+
+      const { body } = await login();
+      await supertest(app)
+        .post('/api/users/login/2fa')
+        .send({ preAuthToken: body.data.preAuthToken, code: backupCodes[0] })
+        .expect(200);
+
+      const again = await login();
+      const response = await supertest(app)
+        .post('/api/users/login/2fa')
+        .send({ preAuthToken: again.body.data.preAuthToken, code: backupCodes[0] })
+        .expect(400);
+      expect(response.body.message).toBe('Invalid verification code');
+    });
+
+    it('should keep admins out of staff routes until they enrol when 2FA is mandatory', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+
+      const blocked = await supertest(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+      expect(blocked.body.message).toContain('Two-factor authentication is required');
+
+      await enrol();
+
+      await supertest(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('Admin user management', () => {
+    let admin, customer, adminToken, customerToken;
+
+    beforeEach(async () => {
+      admin = await User.create({
+        name: 'Console Admin',
+        email: 'console-admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      customer = await User.create({
+        name: 'Jane Customer',
+        email: 'jane@example.com',
+        password: 'password123'
+      });
+      adminToken = generateToken(admin._id);
+      customerToken = generateToken(customer._id);
+    });
+
+    it('should search users and page through the results', async () => {
+      const response = await supertest(app)
+        .get('/api/users')
+        .query({ search: 'jane', limit: 1 })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.pages).toBe(1);
+      expect(response.body.data[0].email).toBe('jane@example.com');
+      expect(response.body.data[0]).not.toHaveProperty('password');
+    });
+
+    it('should show lifetime spend from paid orders net of refunds', async () => {
+      const shippingAddress = { street: '1 Main St', city: 'New York', state: 'NY', zipCode: '10001', country: 'USA' };
+      await Order.create([
+        { user: customer._id, orderItems: [], shippingAddress, paymentMethod: 'Credit Card', totalPrice: 100, isPaid: true, status: 'paid', totalRefunded: 20 },
+        { user: customer._id, orderItems: [], shippingAddress, paymentMethod: 'Credit Card', totalPrice: 50, isPaid: false }
+      ]);
+
+      const response = await supertest(app)
+        .get(`/api/users/${customer._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.summary).toMatchObject({ orderCount: 2, paidOrderCount: 1, lifetimeSpend: 80 });
+
+      const orders = await supertest(app)
+        .get(`/api/users/${customer._id}/orders`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(orders.body.count).toBe(2);
+    });
+
+    it('should change a user\'s role', async () => {
+      await supertest(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      const updated = await User.findById(customer._id);
+      expect(updated.role).toBe('admin');
+    });
+
+    it('should disable an account so its tokens and logins stop working', async () => {
+      await supertest(app)
+        .put(`/api/users/${customer._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      const profile = await supertest(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .expect(401);
+      expect(profile.body.message).toBe('Your account has been disabled');
+
+      await supertest(app)
+        .post('/api/users/login')
+        .send({ email: 'jane@example.com', password: 'password123' })
+        .expect(403);
+
+      await supertest(app)
+        .put(`/api/users/${customer._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: true })
+        .expect(200);
+
+      await supertest(app)
+        .post('/api/users/login')
+        .send({ email: 'jane@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should not let admins disable themselves', async () => {
+      await supertest(app)
+        .put(`/api/users/${admin._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(400);
+    });
+
+    it('should limit staff roles to the permissions they are granted', async () => {
+      const support = await User.create({
+        name: 'Support Agent',
+        email: 'support@example.com',
+        password: 'password123',
+        role: 'support'
+      });
+      const supportToken = generateToken(support._id);
+
+      await supertest(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(200);
+
+      await supertest(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${supportToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      await supertest(app)
+        .get('/api/orders/analytics/sales')
+        .set('Authorization', `Bearer ${supportToken}`)
+        .expect(403);
+    });
+
+    it('should accept the staff roles when changing a role', async () => {
+      await supertest(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'fulfilment' })
+        .expect(200);
+
+      await supertest(app)
+        .put(`/api/users/${customer._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' })
+        .expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await supertest(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .expect(403);
+    });
+  });
+});
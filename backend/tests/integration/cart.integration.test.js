@@ -490,5 +490,126 @@ describe('Cart Integration Tests', () => {
       expect(response.body.data.items).toHaveLength(0);
     });
   });
-});
 
+  describe('POST /api/cart/merge', () => {
+    it('should add guest quantities to the cart, capped at stock', async () => {
+      await Cart.deleteMany({ user: userId });
+      await Cart.create({
+        user: userId,
+        items: [{ product: product2Id, quantity: 3 }]
+      });
+
+      const response = await supertest(app)
+        .post('/api/cart/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          items: [
+            { productId: product1Id, quantity: 2 },
+            { productId: product2Id, quantity: 4 } // Only 2 more fit in a stock of 5
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      const quantities = Object.fromEntries(
+        response.body.data.cart.items.map((item) => [item.product._id, item.quantity])
+      );
+      expect(quantities).toEqual({ [product1Id]: 2, [product2Id]: 5 });
+      expect(response.body.data.adjustments).toEqual([
+        expect.objectContaining({ productId: product2Id, requested: 4, added: 2, reason: 'stock' })
+      ]);
+    });
+
+    it('should return 400 for malformed items', async () => {
+      const response = await supertest(app)
+        .post('/api/cart/merge')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product1Id, quantity: -1 }] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('variants', () => {
+    let teeId;
+    let smallId;
+    let mediumId;
+
+    beforeAll(async () => {
+      const tee = await Product.create({
+        name: 'Variant Tee',
+        description: 'Sold in sizes',
+        price: 20,
+        category: 'Clothing',
+        stock: 4,
+        isActive: true,
+        options: [{ name: 'Size', values: ['S', 'M'] }],
+        variants: [
+          { sku: `TEE-S-${Date.now()}`, attributes: { Size: 'S' }, price: 25, stock: 1 },
+          { sku: `TEE-M-${Date.now()}`, attributes: { Size: 'M' }, stock: 3 }
+        ]
+      });
+      teeId = tee._id.toString();
+      smallId = tee.variants[0]._id.toString();
+      mediumId = tee.variants[1]._id.toString();
+    });
+
+    it('should keep each variant as its own line', async () => {
+      await supertest(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: teeId, variantId: smallId, quantity: 1 })
+        .expect(201);
+
+      const response = await supertest(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: teeId, variantId: mediumId, quantity: 2 })
+        .expect(201);
+
+      expect(response.body.data.items).toHaveLength(2);
+      expect(response.body.data.items.map((item) => item.variant)).toEqual([smallId, mediumId]);
+    });
+
+    it('should check stock per variant', async () => {
+      // Four in total, but only one small
+      const response = await supertest(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: teeId, variantId: smallId, quantity: 2 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Insufficient stock');
+    });
+
+    it('should require a variant for products sold in options', async () => {
+      const response = await supertest(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: teeId, quantity: 1 })
+        .expect(400);
+
+      expect(response.body.message).toBe('Please choose options for Variant Tee');
+    });
+
+    it('should remove only the variant named in the query', async () => {
+      await Cart.deleteMany({ user: userId });
+      await Cart.create({
+        user: userId,
+        items: [
+          { product: teeId, variant: smallId, quantity: 1 },
+          { product: teeId, variant: mediumId, quantity: 1 }
+        ]
+      });
+
+      const response = await supertest(app)
+        .delete(`/api/cart/items/${teeId}?variantId=${mediumId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.items).toHaveLength(1);
+      expect(response.body.data.items[0].variant).toBe(smallId);
+    });
+  });
+});
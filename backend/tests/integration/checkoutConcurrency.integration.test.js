@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import supertest from 'supertest';
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import { setupTestApp } from './setup.js';
+import User from '../../src/models/User.js';
+import Product from '../../src/models/Product.js';
+import Cart from '../../src/models/Cart.js';
+import Order from '../../src/models/Order.js';
+import { generateToken } from '../../src/utils/jwt.js';
+
+// Checkout runs in a transaction, which MongoDB only supports on a replica set,
+// so this suite starts its own single-node set instead of using the shared test database
+const SHOPPERS = 8;
+
+const shippingAddress = {
+  street: '123 Main St',
+  city: 'New York',
+  state: 'NY',
+  zipCode: '10001',
+  country: 'USA'
+};
+
+describe('Checkout Concurrency Integration Tests', () => {
+  let replSet;
+  let app;
+  let productId;
+  let shoppers;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.connection.close();
+    }
+    await mongoose.connect(replSet.getUri('checkout_concurrency'));
+
+    // Collections cannot be created implicitly inside a transaction on older servers
+    await Promise.all([User, Product, Cart, Order].map(model => model.createCollection()));
+
+    app = setupTestApp();
+
+    shoppers = await Promise.all(
+      Array.from({ length: SHOPPERS }, async (_, index) => {
+        const user = await User.create({
+          name: `Shopper ${index}`,
+          email: `shopper-${index}-${Date.now()}@example.com`,
+          password: 'password123',
+          role: 'customer'
+        });
+        return { id: user._id, token: generateToken(user._id) };
+      })
+    );
+  }, 120000);
+
+  afterAll(async () => {
+    await mongoose.connection.close();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Product.deleteMany({}), Cart.deleteMany({}), Order.deleteMany({})]);
+
+    const product = await Product.create({
+      name: 'Last One',
+      description: 'Only a single unit left',
+      price: 49.99,
+      category: 'Electronics',
+      stock: 1,
+      isActive: true
+    });
+    productId = product._id;
+
+    await Cart.insertMany(
+      shoppers.map(shopper => ({ user: shopper.id, items: [{ product: productId, quantity: 1 }] }))
+    );
+  });
+
+  const checkoutAll = (paymentMethod) => Promise.all(
+    shoppers.map(shopper =>
+      supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${shopper.token}`)
+        .send({ shippingAddress, paymentMethod })
+    )
+  );
+
+  const expectSingleWinner = async (responses) => {
+    const created = responses.filter(response => response.status === 201);
+    const rejected = responses.filter(response => response.status !== 201);
+
+    expect(created).toHaveLength(1);
+    rejected.forEach(response => {
+      expect([400, 409]).toContain(response.status);
+      expect(response.body.success).toBe(false);
+    });
+
+    expect(await Order.countDocuments({ 'orderItems.product': productId })).toBe(1);
+
+    // Only the winner's cart was emptied; everyone else can try again later
+    const winnerId = created[0].body.data.user._id || created[0].body.data.user;
+    const carts = await Cart.find({}).lean();
+    carts.forEach(cart => {
+      expect(cart.items).toHaveLength(cart.user.toString() === winnerId.toString() ? 0 : 1);
+    });
+  };
+
+  it('should sell the last unit exactly once when shoppers pay on delivery', async () => {
+    const responses = await checkoutAll('Cash on Delivery');
+
+    await expectSingleWinner(responses);
+
+    const product = await Product.findById(productId).lean();
+    expect(product.stock).toBe(0);
+    expect(product.reserved || 0).toBe(0);
+  }, 60000);
+
+  it('should reserve the last unit exactly once when shoppers pay by card', async () => {
+    const responses = await checkoutAll('Credit Card');
+
+    await expectSingleWinner(responses);
+
+    const product = await Product.findById(productId).lean();
+    expect(product.stock).toBe(0);
+    expect(product.reserved).toBe(1);
+  }, 60000);
+
+  it('should leave stock untouched when every order fails', async () => {
+    await Product.updateOne({ _id: productId }, { $set: { stock: 0 } });
+
+    const responses = await checkoutAll('Cash on Delivery');
+
+    responses.forEach(response => expect([400, 409]).toContain(response.status));
+    expect(await Order.countDocuments({})).toBe(0);
+
+    const product = await Product.findById(productId).lean();
+    expect(product.stock).toBe(0);
+  }, 60000);
+});
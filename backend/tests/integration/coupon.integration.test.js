@@ -0,0 +1,277 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import supertest from 'supertest';
+import { setupTestApp, setupBeforeAll, cleanupAfterAll, clearCartAndOrders } from './setup.js';
+import User from '../../src/models/User.js';
+import Product from '../../src/models/Product.js';
+import Cart from '../../src/models/Cart.js';
+import Coupon from '../../src/models/Coupon.js';
+import { generateToken } from '../../src/utils/jwt.js';
+
+describe('Coupon Integration Tests', () => {
+  let app;
+  let userToken;
+  let adminToken;
+  let userId;
+  let electronicsId;
+  let clothingId;
+
+  const shippingAddress = {
+    street: '123 Main St',
+    city: 'New York',
+    state: 'NY',
+    zipCode: '10001',
+    country: 'USA'
+  };
+
+  beforeAll(async () => {
+    await setupBeforeAll();
+    app = setupTestApp();
+
+    const suffix = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const user = await User.create({
+      name: 'Coupon Test User',
+      email: `coupon-user-${suffix}@example.com`,
+      password: 'password123',
+      role: 'customer'
+    });
+    userId = user._id.toString();
+    userToken = generateToken(user._id);
+
+    const admin = await User.create({
+      name: 'Coupon Test Admin',
+      email: `coupon-admin-${suffix}@example.com`,
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = generateToken(admin._id);
+
+    const electronics = await Product.create({
+      name: 'Coupon Headphones',
+      description: 'Electronics item',
+      price: 80,
+      category: 'Electronics',
+      stock: 50,
+      isActive: true
+    });
+    electronicsId = electronics._id.toString();
+
+    const clothing = await Product.create({
+      name: 'Coupon T-Shirt',
+      description: 'Clothing item',
+      price: 20,
+      category: 'Clothing',
+      stock: 50,
+      isActive: true
+    });
+    clothingId = clothing._id.toString();
+  });
+
+  afterAll(async () => {
+    await cleanupAfterAll();
+    const { cleanupBetweenTestFiles } = await import('./setup.js');
+    await cleanupBetweenTestFiles();
+  });
+
+  beforeEach(async () => {
+    await clearCartAndOrders(userId);
+    await Coupon.deleteMany({});
+    await Cart.create({
+      user: userId,
+      items: [
+        { product: electronicsId, quantity: 1 },
+        { product: clothingId, quantity: 1 }
+      ]
+    });
+  });
+
+  describe('Admin /api/coupons', () => {
+    it('should create, list, update and delete coupons', async () => {
+      const created = await supertest(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'spring15', type: 'percentage', value: 15, description: 'Spring sale' })
+        .expect(201);
+
+      expect(created.body.data.code).toBe('SPRING15');
+      const couponId = created.body.data._id;
+
+      const list = await supertest(app)
+        .get('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.map(coupon => coupon.code)).toContain('SPRING15');
+
+      const updated = await supertest(app)
+        .put(`/api/coupons/${couponId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 20 })
+        .expect(200);
+      expect(updated.body.data.value).toBe(20);
+
+      await supertest(app)
+        .delete(`/api/coupons/${couponId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(await Coupon.findById(couponId)).toBeNull();
+    });
+
+    it('should reject invalid coupons', async () => {
+      const response = await supertest(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'BROKEN', type: 'fixed', value: -5 })
+        .expect(400);
+
+      expect(response.body.message).toContain('Discount amount must be greater than 0');
+    });
+
+    it('should not let customers manage coupons', async () => {
+      await supertest(app)
+        .get('/api/coupons')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/cart/coupon', () => {
+    it('should apply a category coupon to the matching items only', async () => {
+      await Coupon.create({ code: 'GADGETS25', type: 'percentage', value: 25, categories: ['Electronics'] });
+
+      const response = await supertest(app)
+        .post('/api/cart/coupon')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: 'gadgets25' })
+        .expect(200);
+
+      expect(response.body.data.cart.couponCode).toBe('GADGETS25');
+      expect(response.body.data.coupon).toMatchObject({ code: 'GADGETS25', discount: 20, freeShipping: false });
+    });
+
+    it('should explain why a coupon cannot be used', async () => {
+      await Coupon.create({ code: 'BIGSPEND', type: 'fixed', value: 30, minimumSpend: 500 });
+
+      const response = await supertest(app)
+        .post('/api/cart/coupon')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: 'BIGSPEND' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Spend at least $500.00 to use this coupon');
+    });
+
+    it('should remove an applied coupon', async () => {
+      await Cart.updateOne({ user: userId }, { couponCode: 'SPRING15' });
+
+      const response = await supertest(app)
+        .delete('/api/cart/coupon')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.couponCode).toBeUndefined();
+    });
+  });
+
+  describe('POST /api/orders with a coupon', () => {
+    it('should store the discount on the order and count the redemption', async () => {
+      await Coupon.create({ code: 'TENOFF', type: 'fixed', value: 10, perUserLimit: 1 });
+      await supertest(app)
+        .post('/api/cart/coupon')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: 'TENOFF' })
+        .expect(200);
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+
+      // 100 items - 10 discount, 10 shipping (not over 100), 9 tax
+      expect(response.body.data).toMatchObject({
+        couponCode: 'TENOFF',
+        itemsPrice: 100,
+        discountPrice: 10,
+        shippingPrice: 10,
+        taxPrice: 9,
+        totalPrice: 109
+      });
+
+      const coupon = await Coupon.findOne({ code: 'TENOFF' });
+      expect(coupon.usedCount).toBe(1);
+      expect(coupon.redemptions[0].user.toString()).toBe(userId);
+
+      // The cart is emptied along with its coupon, and the per-customer limit now applies
+      const cart = await Cart.findOne({ user: userId });
+      expect(cart.couponCode).toBeUndefined();
+      await Cart.updateOne({ user: userId }, { items: [{ product: clothingId, quantity: 1 }] });
+      const reuse = await supertest(app)
+        .post('/api/cart/coupon')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: 'TENOFF' })
+        .expect(400);
+      expect(reuse.body.message).toBe('You have already used this coupon');
+    });
+
+    it('should refuse the order once the coupon has expired', async () => {
+      await Coupon.create({
+        code: 'EXPIRED',
+        type: 'fixed',
+        value: 10,
+        expiresAt: new Date(Date.now() - 60 * 1000)
+      });
+      await Cart.updateOne({ user: userId }, { couponCode: 'EXPIRED' });
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Coupon has expired');
+    });
+
+    it('should give the coupon use back when the order is cancelled', async () => {
+      await Coupon.create({ code: 'ONCE', type: 'fixed', value: 10, perUserLimit: 1 });
+      await Cart.updateOne({ user: userId }, { couponCode: 'ONCE' });
+      const order = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+
+      await supertest(app)
+        .post(`/api/orders/${order.body.data._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Ordered by mistake' })
+        .expect(200);
+
+      const coupon = await Coupon.findOne({ code: 'ONCE' });
+      expect(coupon.usedCount).toBe(0);
+      expect(coupon.redemptions).toHaveLength(0);
+
+      // The customer can use it again on their next order
+      await Cart.updateOne({ user: userId }, { items: [{ product: clothingId, quantity: 1 }], couponCode: 'ONCE' });
+      await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+    });
+
+    it('should not let two concurrent checkouts go over the per-customer limit', async () => {
+      await Coupon.create({ code: 'SINGLE', type: 'fixed', value: 5, perUserLimit: 1 });
+      // Another checkout redeems the coupon after this one has validated it
+      await Coupon.updateOne(
+        { code: 'SINGLE' },
+        { $push: { redemptions: { user: userId } }, $inc: { usedCount: 1 } }
+      );
+
+      const { CouponService } = await import('../../src/services/couponService.js');
+      const couponService = new CouponService();
+      const coupon = await Coupon.findOne({ code: 'SINGLE' });
+
+      await expect(couponService.redeem(coupon, userId, null)).rejects.toThrow('You have already used this coupon');
+      expect((await Coupon.findOne({ code: 'SINGLE' })).usedCount).toBe(1);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
 import supertest from 'supertest';
 import { setupTestApp, setupBeforeAll, cleanupAfterAll, clearCartAndOrders } from './setup.js';
 import User from '../../src/models/User.js';
@@ -7,6 +7,8 @@ import Cart from '../../src/models/Cart.js';
 import Order from '../../src/models/Order.js';
 import { generateToken } from '../../src/utils/jwt.js';
 import cartService from '../../src/services/cartService.js';
+import paymentService from '../../src/services/paymentService.js';
+import orderService from '../../src/services/orderService.js';
 
 describe('Order Integration Tests', () => {
   let app;
@@ -226,7 +228,7 @@ describe('Order Integration Tests', () => {
         .set('Authorization', `Bearer ${userToken}`)
         .send({
           shippingAddress,
-          paymentMethod: 'Stripe'
+          paymentMethod: 'Credit Card'
         })
         .expect(201);
 
@@ -234,7 +236,7 @@ describe('Order Integration Tests', () => {
       expect(response.body.data).toHaveProperty('orderItems');
       expect(response.body.data.orderItems).toHaveLength(2);
       expect(response.body.data.shippingAddress.street).toBe(shippingAddress.street);
-      expect(response.body.data.paymentMethod).toBe('Stripe');
+      expect(response.body.data.paymentMethod).toBe('Credit Card');
       expect(response.body.data.isPaid).toBe(false);
     });
 
@@ -256,7 +258,7 @@ describe('Order Integration Tests', () => {
             zipCode: '10001',
             country: 'USA'
           },
-          paymentMethod: 'Stripe'
+          paymentMethod: 'Credit Card'
         })
         .expect(400);
 
@@ -268,12 +270,68 @@ describe('Order Integration Tests', () => {
         .post('/api/orders')
         .set('Authorization', `Bearer ${userToken}`)
         .send({
-          paymentMethod: 'Stripe'
+          paymentMethod: 'Credit Card'
         })
         .expect(400);
 
       expect(response.body.success).toBe(false);
     });
+
+    it('should require a verified email when the policy is enabled', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      const shippingAddress = {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      };
+
+      try {
+        await User.findByIdAndUpdate(userId, { emailVerified: false });
+        const blocked = await supertest(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ shippingAddress, paymentMethod: 'Credit Card' })
+          .expect(403);
+        expect(blocked.body.message).toBe('Please verify your email address before placing an order');
+
+        await User.findByIdAndUpdate(userId, { emailVerified: true });
+        await supertest(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ shippingAddress, paymentMethod: 'Credit Card' })
+          .expect(201);
+      } finally {
+        delete process.env.REQUIRE_EMAIL_VERIFICATION;
+      }
+    });
+
+    it('should store a separate billing address', async () => {
+      const shippingAddress = {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      };
+      const billingAddress = {
+        street: '1 Office Park',
+        city: 'Boston',
+        state: 'MA',
+        zipCode: '02110',
+        country: 'USA'
+      };
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, billingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+
+      expect(response.body.data.shippingAddress.city).toBe('New York');
+      expect(response.body.data.billingAddress.city).toBe('Boston');
+    });
   });
 
   describe('POST /api/orders - Authentication', () => {
@@ -288,7 +346,7 @@ describe('Order Integration Tests', () => {
             zipCode: '10001',
             country: 'USA'
           },
-          paymentMethod: 'Stripe'
+          paymentMethod: 'Credit Card'
         })
         .expect(401);
 
@@ -832,5 +890,740 @@ describe('Order Integration Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
 
+  describe('PUT /api/orders/:id/status (Admin)', () => {
+    const createOrderWithStatus = async (status) => {
+      return await Order.create({
+        user: userId,
+        orderItems: [{ product: product1Id, name: 'Product 1', price: 99.99, quantity: 1 }],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Credit Card',
+        itemsPrice: 99.99,
+        totalPrice: 99.99,
+        status
+      });
+    };
+
+    it('should move order to the next status and record history', async () => {
+      const order = await createOrderWithStatus('paid');
+
+      const response = await supertest(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing', note: 'Picking items' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('processing');
+      const lastEntry = response.body.data.statusHistory.at(-1);
+      expect(lastEntry.status).toBe('processing');
+      expect(lastEntry.changedBy).toBe(adminId);
+      expect(lastEntry.note).toBe('Picking items');
+    });
+
+    it('should return 400 for a transition the lifecycle does not allow', async () => {
+      const order = await createOrderWithStatus('pending');
+
+      const response = await supertest(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'delivered' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const order = await createOrderWithStatus('paid');
+
+      const response = await supertest(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'processing' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/orders/:id/cancel', () => {
+    const createOwnOrder = async (status, quantity = 2) => {
+      return await Order.create({
+        user: userId,
+        orderItems: [{ product: product1Id, name: 'Product 1', price: 99.99, quantity }],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Credit Card',
+        itemsPrice: 99.99 * quantity,
+        totalPrice: 99.99 * quantity,
+        status
+      });
+    };
+
+    it('should cancel the order and restore stock', async () => {
+      const order = await createOwnOrder('paid', 2);
+      const stockBefore = (await Product.findById(product1Id)).stock;
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Ordered by mistake' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(response.body.data.cancellationReason).toBe('Ordered by mistake');
+
+      const stockAfter = (await Product.findById(product1Id)).stock;
+      expect(stockAfter).toBe(stockBefore + 2);
+    });
+
+    it('should refund a paid card order in full when the customer cancels it', async () => {
+      const intent = await paymentService.createPaymentIntent('cancel-order', 199.98, userId);
+      await paymentService.confirmPayment(intent.id);
+      const order = await createOwnOrder('paid', 2);
+      await Order.updateOne({ _id: order._id }, { isPaid: true, paymentResult: { id: intent.id, status: 'succeeded' } });
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Ordered by mistake' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(response.body.data.totalRefunded).toBe(199.98);
+      expect(response.body.data.refunds).toHaveLength(1);
+    });
+
+    it('should not let the customer cancel a paid bank transfer order', async () => {
+      const order = await createOwnOrder('paid');
+      await Order.updateOne(
+        { _id: order._id },
+        { paymentMethod: 'Bank Transfer', isPaid: true, paymentResult: { id: 'TRX-1', status: 'transfer_received' } }
+      );
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Ordered by mistake' });
+
+      expect(response.status).toBe(400);
+      expect((await Order.findById(order._id)).status).toBe('paid');
+    });
+
+    it('should return 400 once the order has shipped', async () => {
+      const order = await createOwnOrder('shipped');
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Too late' });
+
+      expect(response.status).toBe(400);
+      expect((await Order.findById(order._id)).status).toBe('shipped');
+    });
+
+    it('should return 403 when cancelling another user order', async () => {
+      const order = await createOwnOrder('pending');
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Not mine' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/orders/:id/refunds (Admin)', () => {
+    const createPaidOrder = async () => {
+      // Capture a real payment on the fake gateway so refunds have something to draw on
+      const intent = await paymentService.createPaymentIntent('refund-order', 275, userId);
+      await paymentService.confirmPayment(intent.id);
+
+      return await Order.create({
+        user: userId,
+        orderItems: [
+          { product: product1Id, name: 'Product 1', price: 100, quantity: 2 },
+          { product: product2Id, name: 'Product 2', price: 50, quantity: 1 }
+        ],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Credit Card',
+        paymentResult: { id: intent.id, status: 'succeeded' },
+        itemsPrice: 250,
+        taxPrice: 25,
+        shippingPrice: 0,
+        totalPrice: 275,
+        isPaid: true,
+        status: 'delivered'
+      });
+    };
+
+    it('should issue a partial refund and restock the item when requested', async () => {
+      const order = await createPaidOrder();
+      const stockBefore = (await Product.findById(product2Id)).stock;
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ product: product2Id, quantity: 1 }], reason: 'Damaged', restock: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.totalRefunded).toBe(55);
+      expect(response.body.data.status).toBe('delivered');
+      expect(response.body.data.refunds).toHaveLength(1);
+      expect((await Product.findById(product2Id)).stock).toBe(stockBefore + 1);
+    });
+
+    it('should not refund more than the order total when two refunds race', async () => {
+      const order = await createPaidOrder();
+
+      const refund = () => supertest(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Customer returned everything' });
+      const responses = await Promise.all([refund(), refund()]);
+
+      // The loser either sees the balance already gone or loses the conditional increment
+      const statuses = responses.map(response => response.status).sort();
+      expect(statuses[0]).toBe(201);
+      expect([400, 409]).toContain(statuses[1]);
+      const refundedOrder = await Order.findById(order._id);
+      expect(refundedOrder.totalRefunded).toBe(275);
+      expect(refundedOrder.refunds).toHaveLength(1);
+    });
+
+    it('should refuse to restock a cancelled order a second time', async () => {
+      const order = await createPaidOrder();
+      await Order.updateOne({ _id: order._id }, { status: 'cancelled' });
+      const stockBefore = (await Product.findById(product2Id)).stock;
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ product: product2Id, quantity: 1 }], restock: true });
+
+      expect(response.status).toBe(400);
+      expect((await Product.findById(product2Id)).stock).toBe(stockBefore);
+      expect((await Order.findById(order._id)).totalRefunded).toBe(0);
+    });
+
+    it('should refund the remaining balance and close the order', async () => {
+      const order = await createPaidOrder();
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Customer returned everything' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.totalRefunded).toBe(275);
+      expect(response.body.data.status).toBe('refunded');
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const order = await createPaidOrder();
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/refunds`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({});
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/orders/:id/confirm-payment (Admin)', () => {
+    const createManualOrder = async (paymentMethod, status) => {
+      return await Order.create({
+        user: userId,
+        orderItems: [{ product: product1Id, name: 'Product 1', price: 99.99, quantity: 1 }],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod,
+        paymentReference: paymentMethod === 'Bank Transfer' ? 'BT-1A2B3C4D' : undefined,
+        itemsPrice: 99.99,
+        totalPrice: 99.99,
+        status
+      });
+    };
+
+    it('should mark a bank transfer as paid once the reference is confirmed', async () => {
+      const order = await createManualOrder('Bank Transfer', 'pending');
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/confirm-payment`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reference: 'TRX-991' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('paid');
+      expect(response.body.data.isPaid).toBe(true);
+      expect(response.body.data.paymentResult.id).toBe('TRX-991');
+    });
+
+    it('should not let the status endpoint skip the transfer confirmation', async () => {
+      const order = await createManualOrder('Bank Transfer', 'pending');
+
+      const response = await supertest(app)
+        .put(`/api/orders/${order._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'paid' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should take a cash on delivery order through fulfilment and collect payment on delivery', async () => {
+      const order = await createManualOrder('Cash on Delivery', 'pending');
+
+      for (const status of ['processing', 'shipped']) {
+        const statusResponse = await supertest(app)
+          .put(`/api/orders/${order._id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status });
+        expect(statusResponse.status).toBe(200);
+      }
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/confirm-payment`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('delivered');
+      expect(response.body.data.isPaid).toBe(true);
+      expect(response.body.data.isDelivered).toBe(true);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const order = await createManualOrder('Bank Transfer', 'pending');
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/confirm-payment`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reference: 'TRX-991' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/orders/:id/shipments (Admin)', () => {
+    const createProcessingOrder = async () => {
+      return await Order.create({
+        user: userId,
+        orderItems: [
+          { product: product1Id, name: 'Product 1', price: 99.99, quantity: 2 },
+          { product: product2Id, name: 'Product 2', price: 149.99, quantity: 1 }
+        ],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Credit Card',
+        itemsPrice: 349.97,
+        totalPrice: 349.97,
+        isPaid: true,
+        status: 'processing'
+      });
+    };
+
+    it('should ship an order in two parcels and deliver it when both arrive', async () => {
+      const order = await createProcessingOrder();
+
+      const first = await supertest(app)
+        .post(`/api/orders/${order._id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ carrier: 'UPS', trackingNumber: '1Z999', items: [{ product: product1Id, quantity: 2 }] });
+
+      expect(first.status).toBe(201);
+      expect(first.body.data.status).toBe('shipped');
+      expect(first.body.data.shipments).toHaveLength(1);
+      expect(first.body.data.shipments[0].trackingUrl).toContain('1Z999');
+
+      const second = await supertest(app)
+        .post(`/api/orders/${order._id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ carrier: 'Local Courier', trackingNumber: 'LC-7' });
+
+      expect(second.status).toBe(201);
+      expect(second.body.data.shipments[1].items).toEqual([{ product: product2Id, quantity: 1 }]);
+
+      const [parcel1, parcel2] = second.body.data.shipments;
+      const partlyDelivered = await supertest(app)
+        .post(`/api/orders/${order._id}/shipments/${parcel1._id}/deliver`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(partlyDelivered.status).toBe(200);
+      expect(partlyDelivered.body.data.status).toBe('shipped');
+      expect(partlyDelivered.body.data.isDelivered).toBe(false);
+
+      const delivered = await supertest(app)
+        .post(`/api/orders/${order._id}/shipments/${parcel2._id}/deliver`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(delivered.status).toBe(200);
+      expect(delivered.body.data.status).toBe('delivered');
+      expect(delivered.body.data.isDelivered).toBe(true);
+      expect(delivered.body.data.deliveredAt).toBeDefined();
+    });
+
+    it('should not ship an order that has not been processed', async () => {
+      const order = await createProcessingOrder();
+      await Order.findByIdAndUpdate(order._id, { status: 'paid' });
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ carrier: 'UPS', trackingNumber: '1Z999' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 403 for non-admin users', async () => {
+      const order = await createProcessingOrder();
+
+      const response = await supertest(app)
+        .post(`/api/orders/${order._id}/shipments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ carrier: 'UPS', trackingNumber: '1Z999' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    // The fake payment provider accepts unsigned events because tests set ALLOW_UNSIGNED_WEBHOOKS
+    const sendEvent = (event) => {
+      return supertest(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify(event));
+    };
+
+    const createUnpaidOrder = async () => {
+      return await Order.create({
+        user: userId,
+        orderItems: [{ product: product1Id, name: 'Product 1', price: 99.99, quantity: 1 }],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Credit Card',
+        itemsPrice: 99.99,
+        totalPrice: 99.99,
+        status: 'pending'
+      });
+    };
+
+    it('should mark the order as paid on payment_intent.succeeded', async () => {
+      const order = await createUnpaidOrder();
+      const event = {
+        id: `evt_succeeded_${Date.now()}`,
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_webhook_123', amount: 9999, currency: 'usd', metadata: { orderId: order._id.toString() } } }
+      };
+
+      const response = await sendEvent(event);
+
+      expect(response.status).toBe(200);
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.isPaid).toBe(true);
+      expect(updatedOrder.status).toBe('paid');
+      expect(updatedOrder.paymentResult.id).toBe('pi_webhook_123');
+    });
+
+    it('should not mark the order paid by a payment for a different amount', async () => {
+      const order = await createUnpaidOrder();
+      const event = {
+        id: `evt_mismatch_${Date.now()}`,
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_webhook_cheap', amount: 100, currency: 'usd', metadata: { orderId: order._id.toString() } } }
+      };
+
+      const response = await sendEvent(event);
+
+      expect(response.status).toBe(200);
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.isPaid).toBe(false);
+      expect(updatedOrder.status).toBe('pending');
+    });
+
+    it('should ignore a redelivered event', async () => {
+      const order = await createUnpaidOrder();
+      const event = {
+        id: `evt_duplicate_${Date.now()}`,
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_webhook_456', amount: 9999, currency: 'usd', metadata: { orderId: order._id.toString() } } }
+      };
+
+      await sendEvent(event);
+      const response = await sendEvent(event);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Webhook already processed');
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.statusHistory.filter(entry => entry.status === 'paid')).toHaveLength(1);
+    });
+
+    it('should record a failed payment attempt', async () => {
+      const order = await createUnpaidOrder();
+      const event = {
+        id: `evt_failed_${Date.now()}`,
+        type: 'payment_intent.payment_failed',
+        data: {
+          object: {
+            id: 'pi_webhook_789',
+            metadata: { orderId: order._id.toString() },
+            last_payment_error: { message: 'Your card was declined.' }
+          }
+        }
+      };
+
+      const response = await sendEvent(event);
+
+      expect(response.status).toBe(200);
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.isPaid).toBe(false);
+      expect(updatedOrder.paymentResult.status).toBe('failed');
+      expect(updatedOrder.paymentFailures[0].message).toBe('Your card was declined.');
+    });
+  });
+
+  describe('PUT /api/orders/:id/payment', () => {
+    // Orders are only marked paid by the payment provider or an admin confirming a manual payment
+    it('should not let a customer mark an order as paid', async () => {
+      const order = await Order.create({
+        user: userId,
+        orderItems: [{ product: product1Id, name: 'Product 1', price: 99.99, quantity: 1 }],
+        shippingAddress: {
+          street: '123 Main St',
+          city: 'New York',
+          state: 'NY',
+          zipCode: '10001',
+          country: 'USA'
+        },
+        paymentMethod: 'Cash on Delivery',
+        itemsPrice: 99.99,
+        totalPrice: 99.99,
+        status: 'pending'
+      });
+
+      const response = await supertest(app)
+        .put(`/api/orders/${order._id}/payment`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ id: 'forged', status: 'succeeded' });
+
+      expect(response.status).toBe(404);
+      const unchanged = await Order.findById(order._id);
+      expect(unchanged.isPaid).toBe(false);
+    });
+  });
+
+  describe('Guest checkout', () => {
+    const shippingAddress = {
+      street: '1 Guest Lane',
+      city: 'Springfield',
+      state: 'IL',
+      zipCode: '62701',
+      country: 'USA'
+    };
+    let guestEmail;
+
+    beforeEach(() => {
+      guestEmail = `guest-${Date.now()}-${Math.random().toString(36).substr(2, 9)}@example.com`;
+    });
+
+    afterEach(async () => {
+      await Order.deleteMany({ guestEmail });
+      await User.deleteMany({ email: guestEmail });
+    });
+
+    const placeGuestOrder = () => supertest(app)
+      .post('/api/orders/guest')
+      .send({
+        email: guestEmail,
+        items: [{ productId: product1Id, quantity: 1 }],
+        shippingAddress,
+        paymentMethod: 'Bank Transfer'
+      });
+
+    it('should place an order without an account and return an access token', async () => {
+      const stockBefore = (await Product.findById(product1Id)).stock;
+
+      const response = await placeGuestOrder().expect(201);
+
+      expect(response.body.data.orderToken).toEqual(expect.any(String));
+      const order = await Order.findById(response.body.data.order._id);
+      expect(order.guestEmail).toBe(guestEmail);
+      expect(order.user).toBeUndefined();
+      expect((await Product.findById(product1Id)).stock).toBe(stockBefore - 1);
+    });
+
+    it('should quote a guest cart with its shipping options', async () => {
+      const response = await supertest(app)
+        .post('/api/orders/guest/quote')
+        .send({ items: [{ productId: product1Id, quantity: 2 }], shippingAddress: { country: 'USA', state: 'IL' } })
+        .expect(200);
+
+      expect(response.body.data.itemsPrice).toBeCloseTo(199.98);
+      expect(response.body.data.shippingOptions.length).toBeGreaterThan(0);
+    });
+
+    it('should show the order only to the holder of its token', async () => {
+      const placed = await placeGuestOrder().expect(201);
+      const { order, orderToken } = placed.body.data;
+
+      const response = await supertest(app)
+        .get(`/api/orders/guest/${order._id}`)
+        .query({ token: orderToken })
+        .expect(200);
+      expect(response.body.data.guestEmail).toBe(guestEmail);
+
+      await supertest(app)
+        .get(`/api/orders/guest/${order._id}`)
+        .query({ token: 'not-a-token' })
+        .expect(403);
+    });
+
+    it('should let the guest add the order to a new account with the same email', async () => {
+      const placed = await placeGuestOrder().expect(201);
+      const { order, orderToken } = placed.body.data;
+      const account = await User.create({ name: 'Former Guest', email: guestEmail, password: 'password123' });
+
+      await supertest(app)
+        .post(`/api/orders/guest/${order._id}/claim`)
+        .set('Authorization', `Bearer ${generateToken(account._id)}`)
+        .send({ token: orderToken })
+        .expect(200);
+
+      const myOrders = await supertest(app)
+        .get('/api/orders/my-orders')
+        .set('Authorization', `Bearer ${generateToken(account._id)}`)
+        .expect(200);
+      expect(myOrders.body.data.map((myOrder) => myOrder._id)).toContain(order._id);
+    });
+
+    it('should not let an account with another email claim the order', async () => {
+      const placed = await placeGuestOrder().expect(201);
+      const { order, orderToken } = placed.body.data;
+
+      await supertest(app)
+        .post(`/api/orders/guest/${order._id}/claim`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ token: orderToken })
+        .expect(403);
+    });
+  });
+
+  describe('Stock reservations', () => {
+    const shippingAddress = {
+      street: '123 Main St',
+      city: 'New York',
+      state: 'NY',
+      zipCode: '10001',
+      country: 'USA'
+    };
+
+    beforeEach(async () => {
+      await Product.updateOne({ _id: product2Id }, { $set: { stock: 5, reserved: 0 } });
+    });
+
+    const placeCardOrder = async () => {
+      await cartService.addItem(userId, product2Id, 2);
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+      return response.body.data;
+    };
+
+    it('should hold stock for an unpaid card order and report it as reserved to other carts', async () => {
+      const order = await placeCardOrder();
+
+      const product = await Product.findById(product2Id);
+      expect(product.stock).toBe(3);
+      expect(product.reserved).toBe(2);
+      expect(order.reservationExpiresAt).toEqual(expect.any(String));
+
+      await cartService.addItem(userId, product2Id, 1);
+      const response = await supertest(app)
+        .get('/api/cart/availability')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        { productId: product2Id, quantity: 1, available: 3, reserved: 2, shortBy: 0 }
+      ]);
+    });
+
+    it('should put the stock back on sale once the reservation expires', async () => {
+      const order = await placeCardOrder();
+      await Order.updateOne({ _id: order._id }, { $set: { reservationExpiresAt: new Date(Date.now() - 1000) } });
+
+      const released = await orderService.releaseExpiredReservations();
+
+      expect(released).toBe(1);
+      const cancelled = await Order.findById(order._id);
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.cancellationReason).toBe('Payment was not received in time');
+      expect(cancelled.reservationExpiresAt).toBeUndefined();
+      const product = await Product.findById(product2Id);
+      expect(product.stock).toBe(5);
+      expect(product.reserved).toBe(0);
+    });
+
+    it('should keep the stock sold once the payment is confirmed', async () => {
+      const order = await placeCardOrder();
+
+      await orderService.updateOrderPayment(order._id, { id: 'pi_reserved', status: 'succeeded' });
+      await orderService.releaseExpiredReservations(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+      const paid = await Order.findById(order._id);
+      expect(paid.status).toBe('paid');
+      expect(paid.reservationExpiresAt).toBeUndefined();
+      const product = await Product.findById(product2Id);
+      expect(product.stock).toBe(3);
+      expect(product.reserved).toBe(0);
+    });
+
+    it('should refuse a payment intent for an order cancelled after its reservation expired', async () => {
+      const order = await placeCardOrder();
+      await Order.updateOne({ _id: order._id }, { $set: { reservationExpiresAt: new Date(Date.now() - 1000) } });
+      await orderService.releaseExpiredReservations();
+
+      const response = await supertest(app)
+        .post('/api/payments/create-intent')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ orderId: order._id, amount: order.totalPrice })
+        .expect(400);
+
+      expect(response.body.message).toBe('This order has been cancelled. Please place a new order');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import supertest from 'supertest';
+import { setupTestApp, setupBeforeAll, cleanupAfterAll, clearCartAndOrders } from './setup.js';
+import User from '../../src/models/User.js';
+import Order from '../../src/models/Order.js';
+import { generateToken } from '../../src/utils/jwt.js';
+
+// Runs against the fake payment provider (PAYMENT_PROVIDER=fake in tests/helpers/setup.js)
+describe('Payment Integration Tests', () => {
+  let app;
+  let userToken;
+  let userId;
+
+  beforeAll(async () => {
+    await setupBeforeAll();
+    app = setupTestApp();
+
+    const uniqueUserEmail = `payment-test-${Date.now()}-${Math.random().toString(36).substr(2, 9)}@example.com`;
+    const user = await User.create({
+      name: 'Payment Test User',
+      email: uniqueUserEmail,
+      password: 'password123',
+      role: 'customer'
+    });
+    userId = user._id.toString();
+    userToken = generateToken(user._id);
+  });
+
+  afterAll(async () => {
+    await cleanupAfterAll();
+    const { cleanupBetweenTestFiles } = await import('./setup.js');
+    await cleanupBetweenTestFiles();
+  });
+
+  beforeEach(async () => {
+    await clearCartAndOrders([userId]);
+  });
+
+  const createOrder = async () => {
+    return await Order.create({
+      user: userId,
+      orderItems: [],
+      shippingAddress: {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      },
+      paymentMethod: 'Credit Card',
+      itemsPrice: 50,
+      totalPrice: 50,
+      status: 'pending'
+    });
+  };
+
+  const createIntent = async (order) => {
+    const response = await supertest(app)
+      .post('/api/payments/create-intent')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ orderId: order._id.toString(), amount: 50 });
+
+    expect(response.status).toBe(200);
+    return response.body.data;
+  };
+
+  const confirm = (order, paymentIntentId, paymentMethodId) => {
+    return supertest(app)
+      .post('/api/payments/confirm')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ orderId: order._id.toString(), paymentIntentId, paymentMethodId });
+  };
+
+  describe('POST /api/payments/create-intent', () => {
+    it('should create a fake payment intent in test mode', async () => {
+      const order = await createOrder();
+
+      const intent = await createIntent(order);
+
+      expect(intent.id).toMatch(/^pi_fake_/);
+      expect(intent.status).toBe('requires_payment_method');
+      expect(intent.testMode).toBe(true);
+    });
+  });
+
+  describe('POST /api/payments/confirm', () => {
+    it('should mark the order as paid with the success card', async () => {
+      const order = await createOrder();
+      const intent = await createIntent(order);
+
+      const response = await confirm(order, intent.id, '4242424242424242');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('succeeded');
+      const paidOrder = await Order.findById(order._id);
+      expect(paidOrder.isPaid).toBe(true);
+      expect(paidOrder.status).toBe('paid');
+    });
+
+    it('should refund a payment captured after the order was cancelled', async () => {
+      const order = await createOrder();
+      const intent = await createIntent(order);
+      await Order.updateOne({ _id: order._id }, { status: 'cancelled' });
+
+      const response = await confirm(order, intent.id, '4242424242424242');
+
+      expect(response.status).toBe(200);
+      const cancelledOrder = await Order.findById(order._id);
+      expect(cancelledOrder.isPaid).toBe(false);
+      expect(cancelledOrder.status).toBe('cancelled');
+      expect(cancelledOrder.latePayment.paymentIntentId).toBe(intent.id);
+      expect(cancelledOrder.latePayment.status).toBe('refunded');
+    });
+
+    it('should not refund another order\'s payment through a cancelled order', async () => {
+      const paidOrder = await createOrder();
+      const paidIntent = await createIntent(paidOrder);
+      expect((await confirm(paidOrder, paidIntent.id, '4242424242424242')).status).toBe(200);
+      const cancelledOrder = await createOrder();
+      await Order.updateOne({ _id: cancelledOrder._id }, { status: 'cancelled' });
+
+      const response = await confirm(cancelledOrder, paidIntent.id);
+
+      expect(response.status).toBe(400);
+      expect((await Order.findById(cancelledOrder._id)).latePayment).toBeUndefined();
+      const stillPaidOrder = await Order.findById(paidOrder._id);
+      expect(stillPaidOrder.isPaid).toBe(true);
+      expect(stillPaidOrder.status).toBe('paid');
+    });
+
+    it('should return 402 and leave the order unpaid for a declined card', async () => {
+      const order = await createOrder();
+      const intent = await createIntent(order);
+
+      const response = await confirm(order, intent.id, '4000000000000002');
+
+      expect(response.status).toBe(402);
+      expect(response.body.message).toBe('Failed to confirm payment: Your card was declined.');
+      expect((await Order.findById(order._id)).isPaid).toBe(false);
+    });
+
+    it('should require authentication for the 3DS card before capturing', async () => {
+      const order = await createOrder();
+      const intent = await createIntent(order);
+
+      const firstAttempt = await confirm(order, intent.id, '4000002760003184');
+      expect(firstAttempt.status).toBe(200);
+      expect(firstAttempt.body.data.status).toBe('requires_action');
+      expect((await Order.findById(order._id)).isPaid).toBe(false);
+
+      const secondAttempt = await confirm(order, intent.id);
+      expect(secondAttempt.body.data.status).toBe('succeeded');
+      expect((await Order.findById(order._id)).isPaid).toBe(true);
+    });
+
+    it('should return 504 when the gateway times out', async () => {
+      const order = await createOrder();
+      const intent = await createIntent(order);
+
+      const response = await confirm(order, intent.id, '4000000000000119');
+
+      expect(response.status).toBe(504);
+
+      const statusResponse = await supertest(app)
+        .get(`/api/payments/status/${intent.id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(statusResponse.body.data.status).toBe('processing');
+    });
+  });
+
+  describe('POST /api/payments/cancel', () => {
+    it('should cancel an uncaptured intent', async () => {
+      const order = await createOrder();
+      const intent = await createIntent(order);
+
+      const response = await supertest(app)
+        .post('/api/payments/cancel')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentIntentId: intent.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('canceled');
+    });
+  });
+});
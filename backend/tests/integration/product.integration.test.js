@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
 import supertest from 'supertest';
+import sharp from 'sharp';
 import { setupTestApp, setupBeforeAll, cleanupAfterAll, clearCartAndOrders } from './setup.js';
 import Product from '../../src/models/Product.js';
 import User from '../../src/models/User.js';
@@ -312,5 +313,104 @@ describe('Product Integration Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
 
+  describe('/api/products/:id/images', () => {
+    let productId;
+    let png;
+
+    beforeAll(async () => {
+      png = await sharp({
+        create: { width: 1600, height: 900, channels: 3, background: { r: 200, g: 40, b: 40 } }
+      }).png().toBuffer();
+    });
+
+    beforeEach(async () => {
+      const product = await Product.create({
+        name: 'Product with Photos',
+        description: 'Description',
+        price: 59.99,
+        category: 'Electronics',
+        stock: 3
+      });
+      productId = product._id;
+    });
+
+    const upload = (...names) => {
+      const request = supertest(app)
+        .post(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      names.forEach(name => {
+        request.attach('images', png, { filename: `${name}.png`, contentType: 'image/png' });
+        request.field('alt', `${name} view`);
+      });
+      return request;
+    };
+
+    it('should resize uploads, serve them and make the first one the cover', async () => {
+      const response = await upload('front', 'back').expect(201);
+
+      const { images, image } = response.body.data;
+      expect(images).toHaveLength(2);
+      expect(images.map(item => item.alt)).toEqual(['front view', 'back view']);
+      expect(image).toBe(images[0].medium);
+
+      const served = await supertest(app).get(images[0].thumbnail).buffer(true).expect(200);
+      const metadata = await sharp(served.body).metadata();
+      expect(metadata.format).toBe('webp');
+      expect(metadata.width).toBe(150);
+
+      await supertest(app)
+        .delete(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await supertest(app).get(images[0].thumbnail).expect(404);
+    });
+
+    it('should reorder the gallery and remove images', async () => {
+      const { body } = await upload('front', 'back').expect(201);
+      const [front, back] = body.data.images;
+
+      const reordered = await supertest(app)
+        .put(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ images: [{ _id: back._id, alt: 'Back' }, { _id: front._id }] })
+        .expect(200);
+
+      expect(reordered.body.data.images.map(item => item._id)).toEqual([back._id, front._id]);
+      expect(reordered.body.data.image).toBe(back.medium);
+
+      const removed = await supertest(app)
+        .delete(`/api/products/${productId}/images/${back._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(removed.body.data.images.map(item => item._id)).toEqual([front._id]);
+      expect(removed.body.data.image).toBe(front.medium);
+      await supertest(app).get(back.large).expect(404);
+
+      await supertest(app)
+        .delete(`/api/products/${productId}/images/${front._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('should reject files that are not images', async () => {
+      const response = await supertest(app)
+        .post(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .attach('images', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' })
+        .expect(400);
+
+      expect(response.body.message).toBe('notes.txt is not a JPEG, PNG, WebP or GIF image');
+    });
+
+    it('should return 403 if customer tries to upload images', async () => {
+      const response = await supertest(app)
+        .post(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${customerToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
@@ -16,7 +16,11 @@ import userRoutes from '../../src/routes/userRoutes.js';
 import orderRoutes from '../../src/routes/orderRoutes.js';
 import cartRoutes from '../../src/routes/cartRoutes.js';
 import paymentRoutes from '../../src/routes/paymentRoutes.js';
+import couponRoutes from '../../src/routes/couponRoutes.js';
+import taxRuleRoutes from '../../src/routes/taxRuleRoutes.js';
+import shippingRoutes from '../../src/routes/shippingRoutes.js';
 import { errorHandler, notFound } from '../../src/middlewares/errorHandler.js';
+import StorageAdapterFactory from '../../src/strategies/storage/StorageAdapterFactory.js';
 
 dotenv.config();
 
@@ -26,7 +30,9 @@ if (!process.env.JWT_SECRET) {
 }
 
 // Test database connection string - use a separate test database
-const TEST_MONGO_URI = process.env.TEST_MONGO_URI || process.env.MONGO_URI?.replace(/\/[^/]+$/, '/test_db') || 'mongodb://localhost:27017/ecommerce_test';
+// Checkout, cancellation, payment and refunds run in transactions, so the server must be a replica set
+// (start a local one with `mongod --replSet rs0` and `rs.initiate()`)
+const TEST_MONGO_URI = process.env.TEST_MONGO_URI || process.env.MONGO_URI?.replace(/\/[^/?]*(?=\?|$)/, '/test_db') || 'mongodb://localhost:27017/ecommerce_test?replicaSet=rs0';
 
 let testApp = null;
 let testServer = null;
@@ -49,6 +55,7 @@ export const setupTestApp = () => {
 
   // Middleware
   app.use(cors());
+  app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
@@ -57,12 +64,19 @@ export const setupTestApp = () => {
     res.json({ success: true, message: 'Server is running' });
   });
 
+  // Uploaded product images
+  const { rootDir, baseUrl } = StorageAdapterFactory.getLocalConfig();
+  app.use(baseUrl, express.static(rootDir));
+
   // Routes
   app.use('/api/products', productRoutes);
   app.use('/api/users', userRoutes);
   app.use('/api/orders', orderRoutes);
   app.use('/api/cart', cartRoutes);
   app.use('/api/payments', paymentRoutes);
+  app.use('/api/coupons', couponRoutes);
+  app.use('/api/tax-rules', taxRuleRoutes);
+  app.use('/api/shipping', shippingRoutes);
 
   // Error handling middleware (must be last)
   app.use(notFound);
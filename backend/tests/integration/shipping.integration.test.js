@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import supertest from 'supertest';
+import { setupTestApp, setupBeforeAll, cleanupAfterAll, clearCartAndOrders } from './setup.js';
+import User from '../../src/models/User.js';
+import Product from '../../src/models/Product.js';
+import Cart from '../../src/models/Cart.js';
+import ShippingZone from '../../src/models/ShippingZone.js';
+import { generateToken } from '../../src/utils/jwt.js';
+
+describe('Shipping Integration Tests', () => {
+  let app;
+  let userToken;
+  let adminToken;
+  let userId;
+  let kettleId;
+
+  const shippingAddress = {
+    street: '1 Rue de Rivoli',
+    city: 'Paris',
+    state: 'IDF',
+    zipCode: '75001',
+    country: 'FRA'
+  };
+
+  const europeZone = {
+    name: 'Europe',
+    countries: ['FRA', 'DEU'],
+    methods: [
+      { code: 'standard', name: 'Standard', rateBasis: 'weight', rates: [{ upTo: 2, price: 6 }, { upTo: 10, price: 12 }] },
+      { code: 'express', name: 'Express', rateBasis: 'weight', rates: [{ upTo: null, price: 25 }], minDays: 1, maxDays: 2 },
+      { code: 'pickup', name: 'Store pickup', rateBasis: 'price', rates: [{ upTo: null, price: 0 }] }
+    ]
+  };
+
+  beforeAll(async () => {
+    await setupBeforeAll();
+    app = setupTestApp();
+
+    const suffix = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const user = await User.create({
+      name: 'Shipping Test User',
+      email: `shipping-user-${suffix}@example.com`,
+      password: 'password123',
+      role: 'customer'
+    });
+    userId = user._id.toString();
+    userToken = generateToken(user._id);
+
+    const admin = await User.create({
+      name: 'Shipping Test Admin',
+      email: `shipping-admin-${suffix}@example.com`,
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = generateToken(admin._id);
+
+    const kettle = await Product.create({
+      name: 'Shipping Kettle',
+      description: 'Weighs 1.5kg',
+      price: 40,
+      category: 'Kitchen',
+      stock: 50,
+      weight: 1.5,
+      isActive: true
+    });
+    kettleId = kettle._id.toString();
+  });
+
+  afterAll(async () => {
+    await cleanupAfterAll();
+    const { cleanupBetweenTestFiles } = await import('./setup.js');
+    await cleanupBetweenTestFiles();
+  });
+
+  beforeEach(async () => {
+    await clearCartAndOrders(userId);
+    await ShippingZone.deleteMany({});
+    await Cart.create({
+      user: userId,
+      items: [{ product: kettleId, quantity: 2 }]
+    });
+  });
+
+  describe('Admin /api/shipping/zones', () => {
+    it('should create, list, update and delete shipping zones', async () => {
+      const created = await supertest(app)
+        .post('/api/shipping/zones')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...europeZone, countries: ['fra', 'deu'] })
+        .expect(201);
+
+      expect(created.body.data.countries).toEqual(['FRA', 'DEU']);
+      const zoneId = created.body.data._id;
+
+      const list = await supertest(app)
+        .get('/api/shipping/zones')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.count).toBe(1);
+
+      const updated = await supertest(app)
+        .put(`/api/shipping/zones/${zoneId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'EU' })
+        .expect(200);
+      expect(updated.body.data.name).toBe('EU');
+
+      await supertest(app)
+        .delete(`/api/shipping/zones/${zoneId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(await ShippingZone.findById(zoneId)).toBeNull();
+    });
+
+    it('should reject a country that already has a zone', async () => {
+      await ShippingZone.create(europeZone);
+
+      const response = await supertest(app)
+        .post('/api/shipping/zones')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...europeZone, name: 'France', countries: ['FRA'] })
+        .expect(400);
+
+      expect(response.body.message).toBe('FRA is already covered by the Europe zone');
+    });
+
+    it('should not let customers manage shipping zones', async () => {
+      await supertest(app)
+        .get('/api/shipping/zones')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/shipping/quote', () => {
+    it('should quote the methods of the country zone for the cart', async () => {
+      await ShippingZone.create(europeZone);
+
+      const response = await supertest(app)
+        .get('/api/shipping/quote')
+        .query({ country: 'FRA' })
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      // Two 1.5kg kettles fall in the 2-10kg standard band
+      expect(response.body.data).toEqual([
+        { code: 'pickup', name: 'Store pickup', price: 0 },
+        { code: 'standard', name: 'Standard', price: 12 },
+        { code: 'express', name: 'Express', price: 25, minDays: 1, maxDays: 2 }
+      ]);
+    });
+
+    it('should use the built-in rate outside every zone', async () => {
+      const response = await supertest(app)
+        .get('/api/shipping/quote')
+        .query({ country: 'USA' })
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([
+        expect.objectContaining({ code: 'standard', price: 10 })
+      ]);
+    });
+
+    it('should require a country', async () => {
+      const response = await supertest(app)
+        .get('/api/shipping/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Country is required');
+    });
+  });
+
+  describe('POST /api/orders with a shipping method', () => {
+    it('should charge and store the chosen method', async () => {
+      await ShippingZone.create(europeZone);
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card', shippingMethod: 'express' })
+        .expect(201);
+
+      expect(response.body.data.shippingMethod).toEqual({ code: 'express', name: 'Express', minDays: 1, maxDays: 2 });
+      expect(response.body.data.shippingPrice).toBe(25);
+    });
+
+    it('should reject a method the zone does not offer', async () => {
+      await ShippingZone.create({ ...europeZone, methods: [europeZone.methods[0]] });
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card', shippingMethod: 'pickup' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Shipping method is not available for this address');
+    });
+  });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import supertest from 'supertest';
+import { setupTestApp, setupBeforeAll, cleanupAfterAll, clearCartAndOrders } from './setup.js';
+import User from '../../src/models/User.js';
+import Product from '../../src/models/Product.js';
+import Cart from '../../src/models/Cart.js';
+import TaxRule from '../../src/models/TaxRule.js';
+import { generateToken } from '../../src/utils/jwt.js';
+
+describe('Tax Integration Tests', () => {
+  let app;
+  let userToken;
+  let adminToken;
+  let userId;
+  let laptopId;
+  let bookId;
+
+  const shippingAddress = {
+    street: '1 Market St',
+    city: 'Sacramento',
+    state: 'CA',
+    zipCode: '95814',
+    country: 'USA'
+  };
+
+  beforeAll(async () => {
+    await setupBeforeAll();
+    app = setupTestApp();
+
+    const suffix = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const user = await User.create({
+      name: 'Tax Test User',
+      email: `tax-user-${suffix}@example.com`,
+      password: 'password123',
+      role: 'customer'
+    });
+    userId = user._id.toString();
+    userToken = generateToken(user._id);
+
+    const admin = await User.create({
+      name: 'Tax Test Admin',
+      email: `tax-admin-${suffix}@example.com`,
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = generateToken(admin._id);
+
+    const laptop = await Product.create({
+      name: 'Tax Laptop',
+      description: 'Standard rated item',
+      price: 100,
+      category: 'Electronics',
+      stock: 50,
+      isActive: true
+    });
+    laptopId = laptop._id.toString();
+
+    const book = await Product.create({
+      name: 'Tax Book',
+      description: 'Reduced rated item',
+      price: 20,
+      category: 'Books',
+      stock: 50,
+      taxClass: 'reduced',
+      isActive: true
+    });
+    bookId = book._id.toString();
+  });
+
+  afterAll(async () => {
+    await cleanupAfterAll();
+    const { cleanupBetweenTestFiles } = await import('./setup.js');
+    await cleanupBetweenTestFiles();
+  });
+
+  beforeEach(async () => {
+    await clearCartAndOrders(userId);
+    await TaxRule.deleteMany({});
+    await Cart.create({
+      user: userId,
+      items: [
+        { product: laptopId, quantity: 1 },
+        { product: bookId, quantity: 2 }
+      ]
+    });
+  });
+
+  describe('Admin /api/tax-rules', () => {
+    it('should create, list, update and delete tax rules', async () => {
+      const created = await supertest(app)
+        .post('/api/tax-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ country: 'usa', state: 'ny', name: 'New York', rates: { standard: 8.875 } })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ country: 'USA', state: 'NY' });
+      const ruleId = created.body.data._id;
+
+      const list = await supertest(app)
+        .get('/api/tax-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.count).toBe(1);
+
+      const updated = await supertest(app)
+        .put(`/api/tax-rules/${ruleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ rates: { standard: 8.875, reduced: 4 } })
+        .expect(200);
+      expect(updated.body.data.rates).toEqual({ standard: 8.875, reduced: 4 });
+
+      await supertest(app)
+        .delete(`/api/tax-rules/${ruleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(await TaxRule.findById(ruleId)).toBeNull();
+    });
+
+    it('should reject a duplicate location', async () => {
+      await TaxRule.create({ country: 'USA', state: 'CA', rates: { standard: 7.25 } });
+
+      const response = await supertest(app)
+        .post('/api/tax-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ country: 'USA', state: 'CA', rates: { standard: 8 } })
+        .expect(400);
+
+      expect(response.body.message).toBe('A tax rule already exists for this location');
+    });
+
+    it('should not let customers manage tax rules', async () => {
+      await supertest(app)
+        .get('/api/tax-rules')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/orders/quote', () => {
+    it('should quote tax for the shipping address', async () => {
+      await TaxRule.create({ country: 'USA', rates: { standard: 5, reduced: 2 } });
+      await TaxRule.create({ country: 'USA', state: 'CA', rates: { standard: 7.25 } });
+
+      const response = await supertest(app)
+        .post('/api/orders/quote')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress: { country: 'USA', state: 'CA' } })
+        .expect(200);
+
+      // 7.25% on the laptop, the country's reduced 2% on the books
+      expect(response.body.data).toMatchObject({
+        itemsPrice: 140,
+        shippingPrice: 0,
+        taxPrice: 8.05,
+        totalPrice: 148.05,
+        taxPricingMode: 'exclusive'
+      });
+    });
+  });
+
+  describe('POST /api/orders with tax rules', () => {
+    it('should store the per-line tax breakdown on the order', async () => {
+      await TaxRule.create({ country: 'USA', state: 'CA', rates: { standard: 7.25, reduced: 2 } });
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+
+      expect(response.body.data.orderItems).toEqual([
+        expect.objectContaining({ product: laptopId, taxClass: 'standard', taxRate: 7.25, taxAmount: 7.25 }),
+        expect.objectContaining({ product: bookId, taxClass: 'reduced', taxRate: 2, taxAmount: 0.8 })
+      ]);
+      expect(response.body.data.taxPrice).toBe(8.05);
+      expect(response.body.data.totalPrice).toBe(148.05);
+    });
+
+    it('should not add tax on top of tax-inclusive prices', async () => {
+      await TaxRule.create({ country: 'USA', rates: { standard: 25, reduced: 25 }, pricingMode: 'inclusive' });
+
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        itemsPrice: 140,
+        taxPrice: 28,
+        taxPricingMode: 'inclusive',
+        totalPrice: 140
+      });
+    });
+
+    it('should fall back to the default rate without a matching rule', async () => {
+      const response = await supertest(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ shippingAddress, paymentMethod: 'Credit Card' })
+        .expect(201);
+
+      expect(response.body.data.taxPrice).toBe(14);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import addressController from '../../../src/controllers/addressController.js';
+import addressService from '../../../src/services/addressService.js';
+
+// Mock addressService
+vi.mock('../../../src/services/addressService.js', () => ({
+  default: {
+    list: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    remove: vi.fn()
+  }
+}));
+
+describe('AddressController', () => {
+  let req, res, next;
+
+  const mockAddresses = [
+    { _id: 'address1', label: 'Home', street: '123 Main St', city: 'New York', state: 'NY', zipCode: '10001', country: 'USA', isDefault: true }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    req = {
+      params: {},
+      body: {},
+      user: { _id: 'userId123' }
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('getAddresses', () => {
+    it('should return the saved addresses', async () => {
+      addressService.list.mockResolvedValue(mockAddresses);
+
+      await addressController.getAddresses(req, res, next);
+
+      expect(addressService.list).toHaveBeenCalledWith('userId123');
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 1, data: mockAddresses });
+    });
+  });
+
+  describe('createAddress', () => {
+    it('should save the address and return 201', async () => {
+      req.body = { street: '123 Main St' };
+      addressService.create.mockResolvedValue(mockAddresses);
+
+      await addressController.createAddress(req, res, next);
+
+      expect(addressService.create).toHaveBeenCalledWith('userId123', req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Address saved successfully',
+        data: mockAddresses
+      });
+    });
+
+    it('should pass validation errors to next middleware', async () => {
+      const error = new Error('City is required');
+      addressService.create.mockRejectedValue(error);
+
+      await addressController.createAddress(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('updateAddress', () => {
+    it('should update the address from the route', async () => {
+      req.params.addressId = 'address1';
+      req.body = { isDefault: true };
+      addressService.update.mockResolvedValue(mockAddresses);
+
+      await addressController.updateAddress(req, res, next);
+
+      expect(addressService.update).toHaveBeenCalledWith('userId123', 'address1', { isDefault: true });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Address updated successfully',
+        data: mockAddresses
+      });
+    });
+  });
+
+  describe('deleteAddress', () => {
+    it('should delete the address from the route', async () => {
+      req.params.addressId = 'address1';
+      addressService.remove.mockResolvedValue([]);
+
+      await addressController.deleteAddress(req, res, next);
+
+      expect(addressService.remove).toHaveBeenCalledWith('userId123', 'address1');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Address deleted successfully',
+        data: []
+      });
+    });
+  });
+});
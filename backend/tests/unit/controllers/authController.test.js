@@ -9,7 +9,17 @@ vi.mock('../../../src/services/authService.js', () => ({
     register: vi.fn(),
     login: vi.fn(),
     getProfile: vi.fn(),
-    logout: vi.fn()
+    logout: vi.fn(),
+    refreshSession: vi.fn(),
+    updateProfile: vi.fn(),
+    changePassword: vi.fn(),
+    deleteAccount: vi.fn(),
+    requestPasswordReset: vi.fn(),
+    resetPassword: vi.fn(),
+    verifyEmail: vi.fn(),
+    unlockAccount: vi.fn(),
+    completeTwoFactorLogin: vi.fn(),
+    resendVerificationEmail: vi.fn()
   }
 }));
 
@@ -21,6 +31,7 @@ describe('AuthController', () => {
 
     req = {
       body: {},
+      headers: { 'user-agent': 'Firefox' },
       user: { id: mockUser._id }
     };
 
@@ -54,7 +65,7 @@ describe('AuthController', () => {
 
       await authController.register(req, res, next);
 
-      expect(authService.register).toHaveBeenCalledWith(userData);
+      expect(authService.register).toHaveBeenCalledWith(userData, { userAgent: 'Firefox' });
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -99,7 +110,7 @@ describe('AuthController', () => {
 
       await authController.login(req, res, next);
 
-      expect(authService.login).toHaveBeenCalledWith(loginData.email, loginData.password);
+      expect(authService.login).toHaveBeenCalledWith(loginData.email, loginData.password, { userAgent: 'Firefox' });
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'Login successful',
@@ -117,7 +128,20 @@ describe('AuthController', () => {
 
       await authController.login(req, res, next);
 
-      expect(authService.login).toHaveBeenCalledWith('test@example.com', 'password123');
+      expect(authService.login).toHaveBeenCalledWith('test@example.com', 'password123', { userAgent: 'Firefox' });
+    });
+
+    it('should ask for the code when two-factor authentication is on', async () => {
+      req.body = { email: 'test@example.com', password: 'password123' };
+      authService.login.mockResolvedValue({ twoFactorRequired: true, preAuthToken: 'pre-auth-token' });
+
+      await authController.login(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: { twoFactorRequired: true, preAuthToken: 'pre-auth-token' }
+      });
     });
   });
 
@@ -165,7 +189,176 @@ describe('AuthController', () => {
         message: 'Logged out successfully'
       });
     });
+
+    it('should revoke the refresh token sent by the client', async () => {
+      req.body = { refreshToken: 'refresh-token' };
+
+      await authController.logout(req, res, next);
+
+      expect(authService.logout).toHaveBeenCalledWith(mockUser._id, 'refresh-token');
+    });
   });
-});
 
- 
\ No newline at end of file
+  describe('refresh', () => {
+    it('should return a new access token and refresh token', async () => {
+      const tokens = { token: 'new-jwt', refreshToken: 'new-refresh' };
+      req.body = { refreshToken: 'old-refresh' };
+      authService.refreshSession.mockResolvedValue(tokens);
+
+      await authController.refresh(req, res, next);
+
+      expect(authService.refreshSession).toHaveBeenCalledWith('old-refresh', { userAgent: 'Firefox' });
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: tokens });
+    });
+
+    it('should pass revoked sessions to the error handler', async () => {
+      const error = new Error('Session has been revoked. Please log in again');
+      authService.refreshSession.mockRejectedValue(error);
+
+      await authController.refresh(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('forgotPassword', () => {
+    it('should respond the same way whether or not the account exists', async () => {
+      req.body = { email: 'test@example.com' };
+      authService.requestPasswordReset.mockResolvedValue(undefined);
+
+      await authController.forgotPassword(req, res, next);
+
+      expect(authService.requestPasswordReset).toHaveBeenCalledWith('test@example.com');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should reset the password with the token', async () => {
+      req.body = { token: 'raw-token', password: 'newpassword' };
+      authService.resetPassword.mockResolvedValue(undefined);
+
+      await authController.resetPassword(req, res, next);
+
+      expect(authService.resetPassword).toHaveBeenCalledWith('raw-token', 'newpassword');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Password has been reset. You can now log in'
+      });
+    });
+  });
+
+  describe('verifyEmail', () => {
+    it('should verify the email with the token from the query', async () => {
+      req.query = { token: 'raw-token' };
+      authService.verifyEmail.mockResolvedValue({ ...mockUser, emailVerified: true });
+
+      await authController.verifyEmail(req, res, next);
+
+      expect(authService.verifyEmail).toHaveBeenCalledWith('raw-token');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Email address verified',
+        data: { email: mockUser.email, emailVerified: true }
+      });
+    });
+  });
+
+  describe('verifyTwoFactorLogin', () => {
+    it('should finish the sign-in with the pre-auth token and code', async () => {
+      req.body = { preAuthToken: 'pre-auth-token', code: '123456' };
+      const result = { user: { email: mockUser.email }, token: 'jwt', refreshToken: 'refresh' };
+      authService.completeTwoFactorLogin.mockResolvedValue(result);
+
+      await authController.verifyTwoFactorLogin(req, res, next);
+
+      expect(authService.completeTwoFactorLogin).toHaveBeenCalledWith('pre-auth-token', '123456', { userAgent: 'Firefox' });
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Login successful', data: result });
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should unlock the account with the token from the query', async () => {
+      req.query = { token: 'raw-token' };
+      req.ip = '10.0.0.1';
+      authService.unlockAccount.mockResolvedValue({ email: mockUser.email });
+
+      await authController.unlockAccount(req, res, next);
+
+      expect(authService.unlockAccount).toHaveBeenCalledWith('raw-token', { userAgent: 'Firefox', ip: '10.0.0.1' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Your account has been unlocked. You can now log in',
+        data: { email: mockUser.email }
+      });
+    });
+  });
+
+  describe('resendVerification', () => {
+    it('should resend the verification email for the signed-in user', async () => {
+      authService.resendVerificationEmail.mockResolvedValue(undefined);
+
+      await authController.resendVerification(req, res, next);
+
+      expect(authService.resendVerificationEmail).toHaveBeenCalledWith(mockUser._id);
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Verification email sent' });
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('should update only the name and email', async () => {
+      const updated = { id: mockUser._id, name: 'New Name', email: 'new@example.com', emailVerified: false };
+      req.body = { name: 'New Name', email: 'new@example.com', role: 'admin' };
+      authService.updateProfile.mockResolvedValue(updated);
+
+      await authController.updateProfile(req, res, next);
+
+      expect(authService.updateProfile).toHaveBeenCalledWith(mockUser._id, { name: 'New Name', email: 'new@example.com' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Profile updated successfully',
+        data: updated
+      });
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should respond with the new session tokens', async () => {
+      const tokens = { token: 'new-jwt', refreshToken: 'new-refresh' };
+      req.body = { currentPassword: 'oldpassword', newPassword: 'newpassword' };
+      authService.changePassword.mockResolvedValue(tokens);
+
+      await authController.changePassword(req, res, next);
+
+      expect(authService.changePassword).toHaveBeenCalledWith(mockUser._id, 'oldpassword', 'newpassword', { userAgent: 'Firefox' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Password changed successfully',
+        data: tokens
+      });
+    });
+  });
+
+  describe('deleteAccount', () => {
+    it('should delete the account after the password is confirmed', async () => {
+      req.body = { password: 'password123' };
+
+      await authController.deleteAccount(req, res, next);
+
+      expect(authService.deleteAccount).toHaveBeenCalledWith(mockUser._id, 'password123');
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Your account has been deleted' });
+    });
+
+    it('should pass errors to next middleware', async () => {
+      const error = new Error('Password is incorrect');
+      authService.deleteAccount.mockRejectedValue(error);
+
+      await authController.deleteAccount(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
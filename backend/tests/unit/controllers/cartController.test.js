@@ -10,7 +10,12 @@ vi.mock('../../../src/services/cartService.js', () => ({
     addItem: vi.fn(),
     updateItemQuantity: vi.fn(),
     removeItem: vi.fn(),
-    clearCart: vi.fn()
+    clearCart: vi.fn(),
+    getCouponSummary: vi.fn(),
+    applyCoupon: vi.fn(),
+    removeCoupon: vi.fn(),
+    mergeItems: vi.fn(),
+    getAvailability: vi.fn()
   }
 }));
 
@@ -23,7 +28,8 @@ describe('CartController', () => {
     req = {
       user: { id: 'userId123' },
       body: {},
-      params: {}
+      params: {},
+      query: {}
     };
 
     res = {
@@ -52,6 +58,21 @@ describe('CartController', () => {
     });
   });
 
+  describe('getAvailability', () => {
+    it('should return the stock available to each cart line', async () => {
+      const availability = [{ productId: 'product123', quantity: 2, available: 1, reserved: 3, shortBy: 1 }];
+      cartService.getAvailability.mockResolvedValue(availability);
+
+      await cartController.getAvailability(req, res, next);
+
+      expect(cartService.getAvailability).toHaveBeenCalledWith('userId123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: availability
+      });
+    });
+  });
+
   describe('addItem', () => {
     // TDD Evidence:
     // RED: This test failed because addItem controller method did not exist
@@ -63,7 +84,7 @@ describe('CartController', () => {
 
       await cartController.addItem(req, res, next);
 
-      expect(cartService.addItem).toHaveBeenCalledWith('userId123', 'product123', 2);
+      expect(cartService.addItem).toHaveBeenCalledWith('userId123', 'product123', 2, null);
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -72,6 +93,15 @@ describe('CartController', () => {
       });
     });
 
+    it('should pass the chosen variant through', async () => {
+      req.body = { productId: 'product123', quantity: 1, variantId: 'variant123' };
+      cartService.addItem.mockResolvedValue(mockCart);
+
+      await cartController.addItem(req, res, next);
+
+      expect(cartService.addItem).toHaveBeenCalledWith('userId123', 'product123', 1, 'variant123');
+    });
+
     // TDD Evidence:
     // RED: This test failed because addItem didn't use default quantity of 1
     // GREEN: After adding default quantity, test passed
@@ -82,7 +112,7 @@ describe('CartController', () => {
 
       await cartController.addItem(req, res, next);
 
-      expect(cartService.addItem).toHaveBeenCalledWith('userId123', 'product123', 1);
+      expect(cartService.addItem).toHaveBeenCalledWith('userId123', 'product123', 1, null);
     });
   });
 
@@ -98,7 +128,7 @@ describe('CartController', () => {
 
       await cartController.updateItemQuantity(req, res, next);
 
-      expect(cartService.updateItemQuantity).toHaveBeenCalledWith('userId123', 'product123', 5);
+      expect(cartService.updateItemQuantity).toHaveBeenCalledWith('userId123', 'product123', 5, null);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'Cart updated',
@@ -118,13 +148,23 @@ describe('CartController', () => {
 
       await cartController.removeItem(req, res, next);
 
-      expect(cartService.removeItem).toHaveBeenCalledWith('userId123', 'product123');
+      expect(cartService.removeItem).toHaveBeenCalledWith('userId123', 'product123', null);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         message: 'Item removed from cart',
         data: mockCart
       });
     });
+
+    it('should remove only the variant given in the query', async () => {
+      req.params.productId = 'product123';
+      req.query.variantId = 'variant123';
+      cartService.removeItem.mockResolvedValue(mockCart);
+
+      await cartController.removeItem(req, res, next);
+
+      expect(cartService.removeItem).toHaveBeenCalledWith('userId123', 'product123', 'variant123');
+    });
   });
 
   describe('clearCart', () => {
@@ -145,5 +185,65 @@ describe('CartController', () => {
       });
     });
   });
-});
 
+  describe('applyCoupon', () => {
+    it('should apply the coupon and return the cart with its discount', async () => {
+      const coupon = { code: 'SAVE10', discount: 20, freeShipping: false };
+      req.body = { code: 'SAVE10' };
+      cartService.applyCoupon.mockResolvedValue({ cart: mockCart, coupon });
+
+      await cartController.applyCoupon(req, res, next);
+
+      expect(cartService.applyCoupon).toHaveBeenCalledWith('userId123', 'SAVE10');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon applied',
+        data: { cart: mockCart, coupon }
+      });
+    });
+  });
+
+  describe('getCoupon', () => {
+    it('should return the applied coupon summary', async () => {
+      cartService.getCouponSummary.mockResolvedValue(null);
+
+      await cartController.getCoupon(req, res, next);
+
+      expect(cartService.getCouponSummary).toHaveBeenCalledWith('userId123');
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: null });
+    });
+  });
+
+  describe('removeCoupon', () => {
+    it('should remove the applied coupon', async () => {
+      cartService.removeCoupon.mockResolvedValue(mockCart);
+
+      await cartController.removeCoupon(req, res, next);
+
+      expect(cartService.removeCoupon).toHaveBeenCalledWith('userId123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon removed',
+        data: mockCart
+      });
+    });
+  });
+
+  describe('mergeCart', () => {
+    it('should merge the guest items and report any adjustments', async () => {
+      const items = [{ productId: 'product1', quantity: 2 }];
+      const adjustments = [{ productId: 'product1', name: 'Mug', requested: 2, added: 1, reason: 'stock' }];
+      req.body = { items };
+      cartService.mergeItems.mockResolvedValue({ cart: mockCart, adjustments });
+
+      await cartController.mergeCart(req, res, next);
+
+      expect(cartService.mergeItems).toHaveBeenCalledWith('userId123', items);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Cart merged',
+        data: { cart: mockCart, adjustments }
+      });
+    });
+  });
+});
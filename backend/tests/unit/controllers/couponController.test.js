@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import couponController from '../../../src/controllers/couponController.js';
+import couponService from '../../../src/services/couponService.js';
+
+// Mock couponService
+vi.mock('../../../src/services/couponService.js', () => ({
+  default: {
+    getAll: vi.fn(),
+    getById: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+describe('CouponController', () => {
+  let req, res, next;
+
+  const mockCoupon = { _id: 'coupon123', code: 'SAVE10', type: 'percentage', value: 10 };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    req = {
+      params: {},
+      body: {}
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('getAllCoupons', () => {
+    it('should return all coupons with a count', async () => {
+      couponService.getAll.mockResolvedValue([mockCoupon]);
+
+      await couponController.getAllCoupons(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: [mockCoupon]
+      });
+    });
+  });
+
+  describe('createCoupon', () => {
+    it('should create a coupon and respond 201', async () => {
+      req.body = { code: 'SAVE10', type: 'percentage', value: 10 };
+      couponService.create.mockResolvedValue(mockCoupon);
+
+      await couponController.createCoupon(req, res, next);
+
+      expect(couponService.create).toHaveBeenCalledWith(req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon created successfully',
+        data: mockCoupon
+      });
+    });
+  });
+
+  describe('updateCoupon', () => {
+    it('should update the coupon', async () => {
+      req.params.id = 'coupon123';
+      req.body = { value: 15 };
+      couponService.update.mockResolvedValue({ ...mockCoupon, value: 15 });
+
+      await couponController.updateCoupon(req, res, next);
+
+      expect(couponService.update).toHaveBeenCalledWith('coupon123', { value: 15 });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon updated successfully',
+        data: { ...mockCoupon, value: 15 }
+      });
+    });
+  });
+
+  describe('deleteCoupon', () => {
+    it('should delete the coupon', async () => {
+      req.params.id = 'coupon123';
+      couponService.delete.mockResolvedValue(mockCoupon);
+
+      await couponController.deleteCoupon(req, res, next);
+
+      expect(couponService.delete).toHaveBeenCalledWith('coupon123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Coupon deleted successfully'
+      });
+    });
+
+    it('should pass service errors to the error handler', async () => {
+      req.params.id = 'missing';
+      const error = new Error('Coupon not found');
+      couponService.delete.mockRejectedValue(error);
+
+      await couponController.deleteCoupon(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -7,9 +7,19 @@ import { mockOrder } from '../../helpers/mockData.js';
 vi.mock('../../../src/services/orderService.js', () => ({
   default: {
     createOrder: vi.fn(),
+    createGuestOrder: vi.fn(),
+    quoteGuestOrder: vi.fn(),
+    getGuestOrder: vi.fn(),
+    claimGuestOrder: vi.fn(),
+    quoteOrder: vi.fn(),
     getUserOrders: vi.fn(),
     getOrderById: vi.fn(),
-    updateOrderPayment: vi.fn(),
+    updateOrderStatus: vi.fn(),
+    cancelOrderByCustomer: vi.fn(),
+    refundOrder: vi.fn(),
+    confirmManualPayment: vi.fn(),
+    createShipment: vi.fn(),
+    markShipmentDelivered: vi.fn(),
     getAllOrders: vi.fn(),
     getSalesAnalytics: vi.fn(),
     getSalesByCategory: vi.fn()
@@ -51,7 +61,8 @@ describe('OrderController', () => {
           zipCode: '10001',
           country: 'USA'
         },
-        paymentMethod: 'PayPal'
+        paymentMethod: 'PayPal',
+        shippingMethod: 'express'
       };
       orderService.createOrder.mockResolvedValue(mockOrder);
 
@@ -60,7 +71,9 @@ describe('OrderController', () => {
       expect(orderService.createOrder).toHaveBeenCalledWith(
         'userId123',
         req.body.shippingAddress,
-        'PayPal'
+        'PayPal',
+        'express',
+        undefined
       );
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
@@ -71,6 +84,22 @@ describe('OrderController', () => {
     });
   });
 
+  describe('quoteOrder', () => {
+    it('should return the priced quote for the address', async () => {
+      const quote = { itemsPrice: 100, shippingPrice: 10, taxPrice: 8, totalPrice: 118 };
+      req.body = { shippingAddress: { country: 'USA', state: 'NY' }, shippingMethod: 'standard' };
+      orderService.quoteOrder.mockResolvedValue(quote);
+
+      await orderController.quoteOrder(req, res, next);
+
+      expect(orderService.quoteOrder).toHaveBeenCalledWith('userId123', { country: 'USA', state: 'NY' }, 'standard');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: quote
+      });
+    });
+  });
+
   describe('getUserOrders', () => {
     // TDD Evidence:
     // RED: This test failed because getUserOrders controller method did not exist
@@ -110,26 +139,163 @@ describe('OrderController', () => {
     });
   });
 
-  describe('updateOrderPayment', () => {
-    // TDD Evidence:
-    // RED: This test failed because updateOrderPayment controller method did not exist
-    // GREEN: After implementing updateOrderPayment, test passed
-    // REFACTOR: Test still passes
-    it('should update order payment', async () => {
+  describe('cancelOrder', () => {
+    it('should cancel the order for the current user', async () => {
+      req.params.id = mockOrder._id;
+      req.body = { reason: 'Ordered by mistake' };
+      const cancelledOrder = { ...mockOrder, status: 'cancelled' };
+      orderService.cancelOrderByCustomer.mockResolvedValue(cancelledOrder);
+
+      await orderController.cancelOrder(req, res, next);
+
+      expect(orderService.cancelOrderByCustomer).toHaveBeenCalledWith(
+        mockOrder._id,
+        'userId123',
+        'Ordered by mistake'
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Order cancelled successfully',
+        data: cancelledOrder
+      });
+    });
+
+    it('should pass service errors to next', async () => {
+      req.params.id = mockOrder._id;
+      req.body = undefined;
+      const error = new Error('Cancellation reason is required');
+      orderService.cancelOrderByCustomer.mockRejectedValue(error);
+
+      await orderController.cancelOrder(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    it('should update order status with the admin as actor', async () => {
       req.params.id = mockOrder._id;
-      req.body = { paymentResult: { id: 'payment123', status: 'completed' } };
-      const updatedOrder = { ...mockOrder, isPaid: true };
-      orderService.updateOrderPayment.mockResolvedValue(updatedOrder);
+      req.user = { id: 'adminId123' };
+      req.body = { status: 'shipped', note: 'Handed to carrier' };
+      const updatedOrder = { ...mockOrder, status: 'shipped' };
+      orderService.updateOrderStatus.mockResolvedValue(updatedOrder);
 
-      await orderController.updateOrderPayment(req, res, next);
+      await orderController.updateOrderStatus(req, res, next);
 
-      expect(orderService.updateOrderPayment).toHaveBeenCalledWith(mockOrder._id, req.body);
+      expect(orderService.updateOrderStatus).toHaveBeenCalledWith(
+        mockOrder._id,
+        'shipped',
+        'adminId123',
+        'Handed to carrier'
+      );
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        message: 'Order payment updated',
+        message: 'Order status updated to shipped',
         data: updatedOrder
       });
     });
+
+    it('should return 400 when status is missing', async () => {
+      req.params.id = mockOrder._id;
+
+      await orderController.updateOrderStatus(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(orderService.updateOrderStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundOrder', () => {
+    it('should issue a refund with the admin as actor', async () => {
+      req.params.id = mockOrder._id;
+      req.user = { id: 'adminId123' };
+      req.body = {
+        items: [{ product: 'productA', quantity: 1 }],
+        reason: 'Damaged',
+        restock: true
+      };
+      const refundedOrder = { ...mockOrder, totalRefunded: 55 };
+      orderService.refundOrder.mockResolvedValue(refundedOrder);
+
+      await orderController.refundOrder(req, res, next);
+
+      expect(orderService.refundOrder).toHaveBeenCalledWith(
+        mockOrder._id,
+        { items: req.body.items, reason: 'Damaged', restock: true },
+        'adminId123'
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Refund issued successfully',
+        data: refundedOrder
+      });
+    });
+  });
+
+  describe('confirmManualPayment', () => {
+    it('should confirm the payment with the admin as actor', async () => {
+      req.params.id = mockOrder._id;
+      req.user = { id: 'adminId123' };
+      req.body = { reference: 'TRX-991' };
+      const paidOrder = { ...mockOrder, isPaid: true };
+      orderService.confirmManualPayment.mockResolvedValue(paidOrder);
+
+      await orderController.confirmManualPayment(req, res, next);
+
+      expect(orderService.confirmManualPayment).toHaveBeenCalledWith(
+        mockOrder._id,
+        { reference: 'TRX-991', note: undefined },
+        'adminId123'
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Payment confirmed',
+        data: paidOrder
+      });
+    });
+  });
+
+  describe('createShipment', () => {
+    it('should create the shipment with the admin as actor', async () => {
+      req.params.id = mockOrder._id;
+      req.user = { id: 'adminId123' };
+      req.body = { carrier: 'UPS', trackingNumber: '1Z999' };
+      const shippedOrder = { ...mockOrder, status: 'shipped' };
+      orderService.createShipment.mockResolvedValue(shippedOrder);
+
+      await orderController.createShipment(req, res, next);
+
+      expect(orderService.createShipment).toHaveBeenCalledWith(
+        mockOrder._id,
+        { carrier: 'UPS', trackingNumber: '1Z999', items: undefined },
+        'adminId123'
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Shipment created successfully',
+        data: shippedOrder
+      });
+    });
+  });
+
+  describe('markShipmentDelivered', () => {
+    it('should mark the shipment as delivered', async () => {
+      req.params = { id: mockOrder._id, shipmentId: 'shipment1' };
+      req.user = { id: 'adminId123' };
+      const deliveredOrder = { ...mockOrder, status: 'delivered' };
+      orderService.markShipmentDelivered.mockResolvedValue(deliveredOrder);
+
+      await orderController.markShipmentDelivered(req, res, next);
+
+      expect(orderService.markShipmentDelivered).toHaveBeenCalledWith(mockOrder._id, 'shipment1', 'adminId123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Shipment marked as delivered',
+        data: deliveredOrder
+      });
+    });
   });
 
   describe('getAllOrders', () => {
@@ -191,5 +357,69 @@ describe('OrderController', () => {
       });
     });
   });
-});
 
+  describe('guest orders', () => {
+    const items = [{ productId: 'product1', quantity: 2 }];
+    const shippingAddress = { street: '1 Main St', city: 'Town', state: 'CA', zipCode: '90001', country: 'USA' };
+
+    it('should place a guest order and return its access token', async () => {
+      req.user = undefined;
+      req.body = { email: 'guest@example.com', items, shippingAddress, paymentMethod: 'Bank Transfer' };
+      orderService.createGuestOrder.mockResolvedValue({ order: mockOrder, orderToken: 'order-token' });
+
+      await orderController.createGuestOrder(req, res, next);
+
+      expect(orderService.createGuestOrder).toHaveBeenCalledWith({
+        email: 'guest@example.com',
+        items,
+        shippingAddress,
+        paymentMethod: 'Bank Transfer',
+        shippingMethod: undefined,
+        billingAddress: undefined
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Order created successfully',
+        data: { order: mockOrder, orderToken: 'order-token' }
+      });
+    });
+
+    it('should quote a guest cart', async () => {
+      const quote = { totalPrice: 50, shippingOptions: [] };
+      req.body = { items, shippingAddress: { country: 'USA' }, shippingMethod: 'standard' };
+      orderService.quoteGuestOrder.mockResolvedValue(quote);
+
+      await orderController.quoteGuestOrder(req, res, next);
+
+      expect(orderService.quoteGuestOrder).toHaveBeenCalledWith(items, { country: 'USA' }, 'standard');
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: quote });
+    });
+
+    it('should show a guest order to the holder of its token', async () => {
+      req.params.id = 'order123';
+      req.query.token = 'order-token';
+      orderService.getGuestOrder.mockResolvedValue(mockOrder);
+
+      await orderController.getGuestOrder(req, res, next);
+
+      expect(orderService.getGuestOrder).toHaveBeenCalledWith('order123', 'order-token');
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: mockOrder });
+    });
+
+    it('should add a guest order to the signed-in account', async () => {
+      req.params.id = 'order123';
+      req.body = { token: 'order-token' };
+      orderService.claimGuestOrder.mockResolvedValue(mockOrder);
+
+      await orderController.claimGuestOrder(req, res, next);
+
+      expect(orderService.claimGuestOrder).toHaveBeenCalledWith('order123', 'order-token', req.user);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Order added to your account',
+        data: mockOrder
+      });
+    });
+  });
+});
@@ -13,7 +13,10 @@ vi.mock('../../../src/services/productService.js', () => ({
     getById: vi.fn(),
     create: vi.fn(),
     update: vi.fn(),
-    delete: vi.fn()
+    delete: vi.fn(),
+    addImages: vi.fn(),
+    updateImages: vi.fn(),
+    removeImage: vi.fn()
   }
 }));
 
@@ -208,5 +211,51 @@ describe('ProductController', () => {
       });
     });
   });
-});
 
+  describe('gallery images', () => {
+    it('should upload images with one alt text per file', async () => {
+      req.params.id = mockProduct._id;
+      req.files = [{ originalname: 'front.jpg' }, { originalname: 'back.jpg' }];
+      req.body = { alt: ['Front', 'Back'] };
+      productService.addImages.mockResolvedValue(mockProduct);
+
+      await productController.uploadImages(req, res, next);
+
+      expect(productService.addImages).toHaveBeenCalledWith(mockProduct._id, req.files, ['Front', 'Back']);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Images uploaded', data: mockProduct });
+    });
+
+    it('should accept a single alt text field', async () => {
+      req.params.id = mockProduct._id;
+      req.files = [{ originalname: 'front.jpg' }];
+      req.body = { alt: 'Front' };
+      productService.addImages.mockResolvedValue(mockProduct);
+
+      await productController.uploadImages(req, res, next);
+
+      expect(productService.addImages).toHaveBeenCalledWith(mockProduct._id, req.files, ['Front']);
+    });
+
+    it('should reorder images', async () => {
+      req.params.id = mockProduct._id;
+      req.body = { images: [{ _id: 'b' }, { _id: 'a', alt: 'Front' }] };
+      productService.updateImages.mockResolvedValue(mockProduct);
+
+      await productController.updateImages(req, res, next);
+
+      expect(productService.updateImages).toHaveBeenCalledWith(mockProduct._id, req.body.images);
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Images updated', data: mockProduct });
+    });
+
+    it('should remove an image', async () => {
+      req.params = { id: mockProduct._id, imageId: 'a' };
+      productService.removeImage.mockResolvedValue(mockProduct);
+
+      await productController.deleteImage(req, res, next);
+
+      expect(productService.removeImage).toHaveBeenCalledWith(mockProduct._id, 'a');
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Image removed', data: mockProduct });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import shippingController from '../../../src/controllers/shippingController.js';
+import shippingService from '../../../src/services/shippingService.js';
+
+// Mock shippingService
+vi.mock('../../../src/services/shippingService.js', () => ({
+  default: {
+    quoteCart: vi.fn(),
+    getAll: vi.fn(),
+    getById: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+describe('ShippingController', () => {
+  let req, res, next;
+
+  const mockZone = { _id: 'zone123', name: 'Europe', countries: ['FRA'], methods: [] };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    req = {
+      params: {},
+      query: {},
+      body: {},
+      user: { _id: 'userId123' }
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('getQuote', () => {
+    it('should quote shipping for the user cart and address', async () => {
+      const methods = [{ code: 'standard', name: 'Standard', price: 8 }];
+      req.query = { country: 'FRA', state: 'IDF' };
+      shippingService.quoteCart.mockResolvedValue(methods);
+
+      await shippingController.getQuote(req, res, next);
+
+      expect(shippingService.quoteCart).toHaveBeenCalledWith('userId123', { country: 'FRA', state: 'IDF' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: methods
+      });
+    });
+
+    it('should pass service errors to the error handler', async () => {
+      const error = new Error('Country is required');
+      shippingService.quoteCart.mockRejectedValue(error);
+
+      await shippingController.getQuote(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getAllZones', () => {
+    it('should return all zones with a count', async () => {
+      shippingService.getAll.mockResolvedValue([mockZone]);
+
+      await shippingController.getAllZones(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: [mockZone]
+      });
+    });
+  });
+
+  describe('createZone', () => {
+    it('should create a zone and respond 201', async () => {
+      req.body = { name: 'Europe', countries: ['FRA'] };
+      shippingService.create.mockResolvedValue(mockZone);
+
+      await shippingController.createZone(req, res, next);
+
+      expect(shippingService.create).toHaveBeenCalledWith(req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Shipping zone created successfully',
+        data: mockZone
+      });
+    });
+  });
+
+  describe('updateZone', () => {
+    it('should update the zone', async () => {
+      req.params.id = 'zone123';
+      req.body = { name: 'EU' };
+      shippingService.update.mockResolvedValue({ ...mockZone, name: 'EU' });
+
+      await shippingController.updateZone(req, res, next);
+
+      expect(shippingService.update).toHaveBeenCalledWith('zone123', { name: 'EU' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Shipping zone updated successfully',
+        data: { ...mockZone, name: 'EU' }
+      });
+    });
+  });
+
+  describe('deleteZone', () => {
+    it('should delete the zone', async () => {
+      req.params.id = 'zone123';
+      shippingService.delete.mockResolvedValue(mockZone);
+
+      await shippingController.deleteZone(req, res, next);
+
+      expect(shippingService.delete).toHaveBeenCalledWith('zone123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Shipping zone deleted successfully'
+      });
+    });
+  });
+});
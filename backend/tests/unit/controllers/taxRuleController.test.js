@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import taxRuleController from '../../../src/controllers/taxRuleController.js';
+import taxService from '../../../src/services/taxService.js';
+
+// Mock taxService
+vi.mock('../../../src/services/taxService.js', () => ({
+  default: {
+    getAll: vi.fn(),
+    getById: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+describe('TaxRuleController', () => {
+  let req, res, next;
+
+  const mockTaxRule = { _id: 'rule123', country: 'USA', state: 'NY', rates: { standard: 8.875 } };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    req = {
+      params: {},
+      body: {}
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('getAllTaxRules', () => {
+    it('should return all tax rules with a count', async () => {
+      taxService.getAll.mockResolvedValue([mockTaxRule]);
+
+      await taxRuleController.getAllTaxRules(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: [mockTaxRule]
+      });
+    });
+  });
+
+  describe('createTaxRule', () => {
+    it('should create a tax rule and respond 201', async () => {
+      req.body = { country: 'USA', state: 'NY', rates: { standard: 8.875 } };
+      taxService.create.mockResolvedValue(mockTaxRule);
+
+      await taxRuleController.createTaxRule(req, res, next);
+
+      expect(taxService.create).toHaveBeenCalledWith(req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Tax rule created successfully',
+        data: mockTaxRule
+      });
+    });
+  });
+
+  describe('updateTaxRule', () => {
+    it('should update the tax rule', async () => {
+      req.params.id = 'rule123';
+      req.body = { name: 'New York sales tax' };
+      taxService.update.mockResolvedValue({ ...mockTaxRule, name: 'New York sales tax' });
+
+      await taxRuleController.updateTaxRule(req, res, next);
+
+      expect(taxService.update).toHaveBeenCalledWith('rule123', { name: 'New York sales tax' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Tax rule updated successfully',
+        data: { ...mockTaxRule, name: 'New York sales tax' }
+      });
+    });
+  });
+
+  describe('deleteTaxRule', () => {
+    it('should delete the tax rule', async () => {
+      req.params.id = 'rule123';
+      taxService.delete.mockResolvedValue(mockTaxRule);
+
+      await taxRuleController.deleteTaxRule(req, res, next);
+
+      expect(taxService.delete).toHaveBeenCalledWith('rule123');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Tax rule deleted successfully'
+      });
+    });
+
+    it('should pass service errors to the error handler', async () => {
+      req.params.id = 'missing';
+      const error = new Error('Tax rule not found');
+      taxService.delete.mockRejectedValue(error);
+
+      await taxRuleController.deleteTaxRule(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import twoFactorController from '../../../src/controllers/twoFactorController.js';
+import twoFactorService from '../../../src/services/twoFactorService.js';
+import { mockUser } from '../../helpers/mockData.js';
+
+// Mock twoFactorService
+vi.mock('../../../src/services/twoFactorService.js', () => ({
+  default: {
+    startEnrolment: vi.fn(),
+    enable: vi.fn(),
+    disable: vi.fn(),
+    regenerateBackupCodes: vi.fn()
+  }
+}));
+
+describe('TwoFactorController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    req = {
+      body: {},
+      user: { _id: mockUser._id }
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('setup', () => {
+    it('should return the secret and QR code', async () => {
+      const enrolment = { secret: 'SECRET', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,qr' };
+      twoFactorService.startEnrolment.mockResolvedValue(enrolment);
+
+      await twoFactorController.setup(req, res, next);
+
+      expect(twoFactorService.startEnrolment).toHaveBeenCalledWith(mockUser._id.toString());
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: enrolment });
+    });
+  });
+
+  describe('enable', () => {
+    it('should confirm the code and return the backup codes', async () => {
+      req.body = { code: '123456' };
+      twoFactorService.enable.mockResolvedValue({ backupCodes: ['ab12-cd34'] });
+
+      await twoFactorController.enable(req, res, next);
+
+      expect(twoFactorService.enable).toHaveBeenCalledWith(mockUser._id.toString(), '123456');
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { backupCodes: ['ab12-cd34'] }
+      });
+    });
+
+    it('should pass service errors to the error handler', async () => {
+      const error = new Error('Invalid verification code');
+      twoFactorService.enable.mockRejectedValue(error);
+
+      await twoFactorController.enable(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('disable', () => {
+    it('should turn 2FA off with the password and a code', async () => {
+      req.body = { password: 'password123', code: '123456' };
+      twoFactorService.disable.mockResolvedValue(undefined);
+
+      await twoFactorController.disable(req, res, next);
+
+      expect(twoFactorService.disable).toHaveBeenCalledWith(mockUser._id.toString(), 'password123', '123456');
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Two-factor authentication disabled' });
+    });
+  });
+
+  describe('regenerateBackupCodes', () => {
+    it('should return the new codes', async () => {
+      req.body = { code: '123456' };
+      twoFactorService.regenerateBackupCodes.mockResolvedValue({ backupCodes: ['ab12-cd34'] });
+
+      await twoFactorController.regenerateBackupCodes(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'New backup codes generated',
+        data: { backupCodes: ['ab12-cd34'] }
+      });
+    });
+  });
+});
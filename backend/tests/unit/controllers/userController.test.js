@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import userController from '../../../src/controllers/userController.js';
+import userService from '../../../src/services/userService.js';
+import { mockUser } from '../../helpers/mockData.js';
+
+// Mock userService
+vi.mock('../../../src/services/userService.js', () => ({
+  default: {
+    listUsers: vi.fn(),
+    getUser: vi.fn(),
+    getUserOrders: vi.fn(),
+    updateRole: vi.fn(),
+    setActive: vi.fn()
+  }
+}));
+
+describe('UserController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    req = {
+      params: {},
+      query: {},
+      body: {},
+      user: { _id: 'adminId123' }
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    next = vi.fn();
+  });
+
+  describe('getUsers', () => {
+    it('should return a page of users with paging details', async () => {
+      req.query = { search: 'jane', page: '2' };
+      userService.listUsers.mockResolvedValue({ users: [mockUser], page: 2, limit: 20, total: 21, pages: 2 });
+
+      await userController.getUsers(req, res, next);
+
+      expect(userService.listUsers).toHaveBeenCalledWith({
+        search: 'jane',
+        role: undefined,
+        status: undefined,
+        page: '2',
+        limit: undefined
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 21,
+        page: 2,
+        pages: 2,
+        data: [mockUser]
+      });
+    });
+  });
+
+  describe('getUser', () => {
+    it('should return the user and order summary', async () => {
+      req.params.id = mockUser._id;
+      const summary = { orderCount: 1, paidOrderCount: 1, lifetimeSpend: 99, lastOrderAt: null };
+      userService.getUser.mockResolvedValue({ user: mockUser, summary });
+
+      await userController.getUser(req, res, next);
+
+      expect(userService.getUser).toHaveBeenCalledWith(mockUser._id);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { user: mockUser, summary } });
+    });
+
+    it('should pass errors to next', async () => {
+      const error = new Error('User not found');
+      userService.getUser.mockRejectedValueOnce(error);
+
+      await userController.getUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getUserOrders', () => {
+    it('should return the user\'s orders', async () => {
+      req.params.id = mockUser._id;
+      userService.getUserOrders.mockResolvedValue([{ _id: 'order1' }]);
+
+      await userController.getUserOrders(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 1, data: [{ _id: 'order1' }] });
+    });
+  });
+
+  describe('updateUserRole', () => {
+    it('should change the role as the signed-in admin', async () => {
+      req.params.id = mockUser._id;
+      req.body = { role: 'admin' };
+      userService.updateRole.mockResolvedValue({ ...mockUser, role: 'admin' });
+
+      await userController.updateUserRole(req, res, next);
+
+      expect(userService.updateRole).toHaveBeenCalledWith('adminId123', mockUser._id, 'admin');
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, message: 'Role updated successfully' }));
+    });
+  });
+
+  describe('updateUserStatus', () => {
+    it('should disable the account', async () => {
+      req.params.id = mockUser._id;
+      req.body = { isActive: false };
+      userService.setActive.mockResolvedValue({ ...mockUser, isActive: false });
+
+      await userController.updateUserStatus(req, res, next);
+
+      expect(userService.setActive).toHaveBeenCalledWith('adminId123', mockUser._id, false);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Account disabled' }));
+    });
+
+    it('should enable the account', async () => {
+      req.params.id = mockUser._id;
+      req.body = { isActive: true };
+      userService.setActive.mockResolvedValue({ ...mockUser, isActive: true });
+
+      await userController.updateUserStatus(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Account enabled' }));
+    });
+  });
+});
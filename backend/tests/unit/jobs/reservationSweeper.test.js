@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../../src/services/orderService.js', () => ({
+  default: { releaseExpiredReservations: vi.fn() }
+}));
+
+import { startReservationSweeper } from '../../../src/jobs/reservationSweeper.js';
+
+describe('startReservationSweeper', () => {
+  let service;
+  let stop;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    service = { releaseExpiredReservations: vi.fn().mockResolvedValue(0) };
+  });
+
+  afterEach(() => {
+    stop?.();
+    vi.useRealTimers();
+    delete process.env.RESERVATION_SWEEP_INTERVAL_SECONDS;
+  });
+
+  it('should release expired reservations on every interval', async () => {
+    stop = startReservationSweeper({ service, intervalMs: 1000 });
+
+    await vi.advanceTimersByTimeAsync(3000);
+
+    expect(service.releaseExpiredReservations).toHaveBeenCalledTimes(3);
+  });
+
+  it('should use the configured interval', async () => {
+    process.env.RESERVATION_SWEEP_INTERVAL_SECONDS = '5';
+    stop = startReservationSweeper({ service });
+
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(service.releaseExpiredReservations).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(service.releaseExpiredReservations).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not start a sweep while the previous one is still running', async () => {
+    let finish;
+    service.releaseExpiredReservations.mockImplementationOnce(() => new Promise((resolve) => { finish = resolve; }));
+    stop = startReservationSweeper({ service, intervalMs: 1000 });
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(service.releaseExpiredReservations).toHaveBeenCalledTimes(1);
+
+    finish(2);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(service.releaseExpiredReservations).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep sweeping after a failed run', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    service.releaseExpiredReservations.mockRejectedValueOnce(new Error('Connection lost'));
+    stop = startReservationSweeper({ service, intervalMs: 1000 });
+
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(consoleError).toHaveBeenCalledWith('[ReservationSweeper] Sweep failed:', 'Connection lost');
+    expect(service.releaseExpiredReservations).toHaveBeenCalledTimes(2);
+    consoleError.mockRestore();
+  });
+
+  it('should stop when asked', async () => {
+    stop = startReservationSweeper({ service, intervalMs: 1000 });
+    stop();
+
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(service.releaseExpiredReservations).not.toHaveBeenCalled();
+  });
+});
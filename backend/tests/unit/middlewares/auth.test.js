@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { authenticate, authorize } from '../../../src/middlewares/auth.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { authenticate, optionalAuthenticate, authorize, requirePermission, requireStatusPermission } from '../../../src/middlewares/auth.js';
 import { verifyToken } from '../../../src/utils/jwt.js';
 import User from '../../../src/models/User.js';
 import { mockUser } from '../../helpers/mockData.js';
@@ -140,6 +140,36 @@ describe('Auth Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should return 401 if the account has been disabled', async () => {
+      req.headers.authorization = 'Bearer valid-token';
+
+      verifyToken.mockReturnValue({ userId: mockUser._id });
+      User.findById.mockReturnValue({
+        select: vi.fn().mockResolvedValue({ ...mockUser, isActive: false })
+      });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Your account has been disabled'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a two-factor pre-auth token', async () => {
+      req.headers.authorization = 'Bearer pre-auth-token';
+
+      verifyToken.mockReturnValue({ userId: mockUser._id, purpose: '2fa' });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
     // TDD Evidence:
     // RED: This test failed because authenticate didn't exclude password from user
     // GREEN: After using .select('-password'), test passed
@@ -162,6 +192,39 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('optionalAuthenticate', () => {
+    it('should let requests without a token through as guests', async () => {
+      await optionalAuthenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBeNull();
+      expect(verifyToken).not.toHaveBeenCalled();
+    });
+
+    it('should sign in requests that carry a token', async () => {
+      req.headers.authorization = 'Bearer valid-jwt-token';
+      verifyToken.mockReturnValue({ userId: mockUser._id });
+      User.findById.mockReturnValue({ select: vi.fn().mockResolvedValue(mockUser) });
+
+      await optionalAuthenticate(req, res, next);
+
+      expect(req.user).toEqual(mockUser);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should still reject a bad token rather than treat the request as a guest', async () => {
+      req.headers.authorization = 'Bearer expired-token';
+      verifyToken.mockImplementationOnce(() => {
+        throw new Error('Invalid or expired token');
+      });
+
+      await optionalAuthenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('authorize', () => {
     // TDD Evidence:
     // RED: This test failed because authorize middleware did not exist
@@ -239,5 +302,123 @@ describe('Auth Middleware', () => {
       expect(res.status).toHaveBeenCalledWith(403);
     });
   });
-});
 
+  describe('requirePermission', () => {
+    it('should allow a staff role that grants the permission', () => {
+      req.user = { ...mockUser, role: 'finance' };
+
+      requirePermission('orders:refund')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should deny a staff role without the permission', () => {
+      req.user = { ...mockUser, role: 'catalog_manager' };
+
+      requirePermission('orders:refund')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should require every listed permission', () => {
+      req.user = { ...mockUser, role: 'support' };
+
+      requirePermission('users:read', 'users:manage')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should let admins through and keep customers out', () => {
+      req.user = { ...mockUser, role: 'admin' };
+      requirePermission('users:manage')(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      req.user = { ...mockUser, role: 'customer' };
+      requirePermission('orders:read')(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 401 if user is not authenticated', () => {
+      req.user = null;
+
+      requirePermission('orders:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    describe('when two-factor authentication is mandatory for admins', () => {
+      beforeEach(() => {
+        process.env.REQUIRE_ADMIN_2FA = 'true';
+      });
+
+      afterEach(() => {
+        delete process.env.REQUIRE_ADMIN_2FA;
+      });
+
+      it('should turn away admins who have not enrolled', () => {
+        req.user = { ...mockUser, role: 'admin', twoFactorEnabled: false };
+
+        requirePermission('users:manage')(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+          success: false,
+          message: 'Two-factor authentication is required for your role. Set it up from your profile'
+        });
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should let enrolled admins and other staff through', () => {
+        req.user = { ...mockUser, role: 'admin', twoFactorEnabled: true };
+        requirePermission('users:manage')(req, res, next);
+
+        req.user = { ...mockUser, role: 'support', twoFactorEnabled: false };
+        requirePermission('users:read')(req, res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+      });
+    });
+  });
+
+  describe('requireStatusPermission', () => {
+    it('should let fulfilment staff set fulfilment statuses', () => {
+      req.user = { ...mockUser, role: 'fulfilment' };
+      req.body = { status: 'shipped' };
+
+      requireStatusPermission(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should keep fulfilment staff from marking orders paid or refunded', () => {
+      req.user = { ...mockUser, role: 'fulfilment' };
+
+      req.body = { status: 'paid' };
+      requireStatusPermission(req, res, next);
+      req.body = { status: 'refunded' };
+      requireStatusPermission(req, res, next);
+
+      expect(res.status).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should check the finance permission for statuses that move money', () => {
+      req.user = { ...mockUser, role: 'finance' };
+
+      req.body = { status: 'paid' };
+      requireStatusPermission(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      req.body = { status: 'shipped' };
+      requireStatusPermission(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { errorHandler, notFound } from '../../../src/middlewares/errorHandler.js';
+import { TooManyRequestsError } from '../../../src/utils/AppError.js';
 
 describe('Error Handler Middleware', () => {
   let req, res, next;
@@ -182,6 +183,21 @@ describe('Error Handler Middleware', () => {
         message: 'Internal Server Error'
       });
     });
+
+    it('should send 429 with Retry-After for throttled requests', () => {
+      res.set = vi.fn();
+      const error = new TooManyRequestsError('Too many failed login attempts', 120);
+
+      errorHandler(error, req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '120');
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Too many failed login attempts',
+        retryAfter: 120
+      });
+    });
   });
 
   describe('notFound', () => {
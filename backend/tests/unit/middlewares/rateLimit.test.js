@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { rateLimit, parseTrustProxy } from '../../../src/middlewares/rateLimit.js';
+import { TooManyRequestsError } from '../../../src/utils/AppError.js';
+
+describe('rateLimit Middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { ip: '127.0.0.1', body: {} };
+    res = {
+      set: vi.fn(),
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+    next = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should let requests through up to the limit', () => {
+    const limiter = rateLimit({ windowMs: 1000, max: 2 });
+
+    limiter(req, res, next);
+    limiter(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should pass a 429 error with the seconds to wait once the limit is exceeded', () => {
+    const limiter = rateLimit({ windowMs: 60000, max: 1, message: 'Slow down' });
+
+    limiter(req, res, next);
+    limiter(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(next).toHaveBeenNthCalledWith(1);
+    const error = next.mock.calls[1][0];
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.statusCode).toBe(429);
+    expect(error.message).toBe('Slow down');
+    expect(error.retryAfter).toBe(60);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should count each key separately', () => {
+    const limiter = rateLimit({ max: 1, keyGenerator: (request) => request.body.email });
+
+    limiter({ ...req, body: { email: 'a@example.com' } }, res, next);
+    limiter({ ...req, body: { email: 'b@example.com' } }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(next).toHaveBeenLastCalledWith();
+  });
+
+  it('should start a new window once the old one expires', () => {
+    vi.useFakeTimers();
+    const limiter = rateLimit({ windowMs: 1000, max: 1 });
+
+    limiter(req, res, next);
+    vi.advanceTimersByTime(1001);
+    limiter(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(next).toHaveBeenLastCalledWith();
+  });
+});
+
+describe('parseTrustProxy', () => {
+  it('should not trust proxies unless configured', () => {
+    expect(parseTrustProxy(undefined)).toBe(false);
+    expect(parseTrustProxy('')).toBe(false);
+    expect(parseTrustProxy('false')).toBe(false);
+  });
+
+  it('should accept true, a hop count or a list of addresses', () => {
+    expect(parseTrustProxy('true')).toBe(true);
+    expect(parseTrustProxy('1')).toBe(1);
+    expect(parseTrustProxy(' loopback, 10.0.0.0/8 ')).toBe('loopback, 10.0.0.0/8');
+  });
+});
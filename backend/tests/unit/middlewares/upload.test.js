@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import express from 'express';
+import supertest from 'supertest';
+import { uploadImages, MAX_IMAGES_PER_UPLOAD } from '../../../src/middlewares/upload.js';
+
+// Multer reads the multipart stream itself, so requests go through a minimal app
+const createApp = () => {
+  const app = express();
+  app.post('/upload', uploadImages('images'), (req, res) => {
+    res.json({
+      files: req.files.map((file) => ({ name: file.originalname, size: file.buffer.length })),
+      alt: req.body.alt
+    });
+  });
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ message: err.message });
+  });
+  return app;
+};
+
+const png = Buffer.from('89504e470d0a1a0a', 'hex');
+
+describe('uploadImages Middleware', () => {
+  it('should keep image files in memory with their text fields', async () => {
+    const response = await supertest(createApp())
+      .post('/upload')
+      .field('alt', 'Front')
+      .attach('images', png, { filename: 'front.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(response.body).toEqual({ files: [{ name: 'front.png', size: png.length }], alt: 'Front' });
+  });
+
+  it('should reject files that are not images', async () => {
+    const response = await supertest(createApp())
+      .post('/upload')
+      .attach('images', Buffer.from('%PDF'), { filename: 'manual.pdf', contentType: 'application/pdf' })
+      .expect(400);
+
+    expect(response.body.message).toBe('manual.pdf is not a JPEG, PNG, WebP or GIF image');
+  });
+
+  it('should reject files over the size limit', async () => {
+    const response = await supertest(createApp())
+      .post('/upload')
+      .attach('images', Buffer.alloc(5 * 1024 * 1024 + 1), { filename: 'huge.png', contentType: 'image/png' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Images must be 5 MB or smaller');
+  });
+
+  it('should reject too many files at once', async () => {
+    let request = supertest(createApp()).post('/upload');
+    for (let index = 0; index <= MAX_IMAGES_PER_UPLOAD; index += 1) {
+      request = request.attach('images', png, { filename: `${index}.png`, contentType: 'image/png' });
+    }
+
+    const response = await request.expect(400);
+
+    expect(response.body.message).toMatch(/^Upload at most 10 images at a time/);
+  });
+});
@@ -14,6 +14,13 @@ describe('Order Model', () => {
     expect(errors.errors.user).toBeDefined();
   });
 
+  it('should not require a user once the order is anonymised', () => {
+    const order = new Order({ anonymizedAt: new Date() });
+
+    const errors = order.validateSync();
+    expect(errors.errors.user).toBeUndefined();
+  });
+
   // TDD Evidence:
   // RED: This test failed because Order model didn't require orderItems
   // GREEN: After adding orderItems validation, test passed
@@ -177,5 +184,25 @@ describe('Order Model', () => {
 
     expect(order.schema.paths.user.options.index).toBe(true);
   });
-});
 
+  it('should default status to pending with an empty history', () => {
+    const order = new Order({
+      user: '507f1f77bcf86cd799439011',
+      orderItems: [],
+      paymentMethod: 'PayPal'
+    });
+
+    expect(order.status).toBe('pending');
+    expect(order.statusHistory).toHaveLength(0);
+  });
+
+  it('should reject unknown status values', () => {
+    const order = new Order({
+      user: '507f1f77bcf86cd799439011',
+      status: 'lost'
+    });
+
+    const errors = order.validateSync();
+    expect(errors.errors.status).toBeDefined();
+  });
+});
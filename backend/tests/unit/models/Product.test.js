@@ -120,6 +120,33 @@ describe('Product Model', () => {
     expect(product.stock).toBe(0);
   });
 
+  it('should default shipping weight and dimensions to 0', () => {
+    const product = new Product({
+      name: 'Test Product',
+      description: 'Description',
+      price: 99.99,
+      category: 'Electronics',
+      stock: 10
+    });
+
+    expect(product.weight).toBe(0);
+    expect(product.dimensions.toObject()).toEqual({ length: 0, width: 0, height: 0 });
+  });
+
+  it('should reject a negative shipping weight', () => {
+    const product = new Product({
+      name: 'Test Product',
+      description: 'Description',
+      price: 99.99,
+      category: 'Electronics',
+      stock: 10,
+      weight: -1
+    });
+
+    const error = product.validateSync();
+    expect(error.errors.weight).toBeDefined();
+  });
+
   // TDD Evidence:
   // RED: This test failed because Product model didn't have text search index
   // GREEN: After adding text index on name and description, test passed
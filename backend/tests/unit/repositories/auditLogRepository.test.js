@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AuditLogRepository } from '../../../src/repositories/auditLogRepository.js';
+import AuditLog from '../../../src/models/AuditLog.js';
+
+// Mock AuditLog model
+vi.mock('../../../src/models/AuditLog.js', () => {
+  const mockAuditLogConstructor = vi.fn();
+  return {
+    default: mockAuditLogConstructor
+  };
+});
+
+describe('AuditLogRepository', () => {
+  let auditLogRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    auditLogRepository = new AuditLogRepository();
+  });
+
+  describe('create', () => {
+    it('should save the audit entry', async () => {
+      const entry = { event: 'account_locked', user: 'userId123', ip: '10.0.0.1' };
+      const mockSave = vi.fn().mockResolvedValue(entry);
+      AuditLog.mockImplementation(() => ({ save: mockSave }));
+
+      const result = await auditLogRepository.create(entry);
+
+      expect(result).toEqual(entry);
+      expect(AuditLog).toHaveBeenCalledWith(entry);
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+});
@@ -9,6 +9,7 @@ vi.mock('../../../src/models/Cart.js', () => {
   mockCartConstructor.findOne = vi.fn();
   mockCartConstructor.findById = vi.fn();
   mockCartConstructor.findOneAndUpdate = vi.fn();
+  mockCartConstructor.deleteOne = vi.fn();
   return {
     default: mockCartConstructor
   };
@@ -125,7 +126,7 @@ describe('CartRepository', () => {
 
       expect(result).toEqual(updatedCart);
       expect(mockFindOneAndUpdate).toHaveBeenCalledWith(
-        { user: 'userId123', 'items.product': mockProduct._id },
+        { user: 'userId123', items: { $elemMatch: { product: mockProduct._id, variant: null } } },
         { $set: { 'items.$.quantity': 5 } },
         { new: true }
       );
@@ -149,7 +150,7 @@ describe('CartRepository', () => {
       expect(result).toEqual(updatedCart);
       expect(mockFindOneAndUpdate).toHaveBeenCalledWith(
         { user: 'userId123' },
-        { $pull: { items: { product: mockProduct._id } } },
+        { $pull: { items: { product: mockProduct._id, variant: null } } },
         { new: true }
       );
     });
@@ -171,10 +172,52 @@ describe('CartRepository', () => {
       expect(result).toEqual(clearedCart);
       expect(Cart.findOneAndUpdate).toHaveBeenCalledWith(
         { user: 'userId123' },
-        { $set: { items: [] } },
+        { $set: { items: [] }, $unset: { couponCode: '' } },
+        { new: true, session: null }
+      );
+    });
+  });
+
+  describe('setCoupon', () => {
+    it('should store the applied coupon code', async () => {
+      const cartWithCoupon = { ...mockCart, couponCode: 'SAVE10' };
+      Cart.findOneAndUpdate.mockReturnValue({
+        populate: vi.fn().mockResolvedValue(cartWithCoupon)
+      });
+
+      const result = await cartRepository.setCoupon('userId123', 'SAVE10');
+
+      expect(result).toEqual(cartWithCoupon);
+      expect(Cart.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'userId123' },
+        { $set: { couponCode: 'SAVE10' } },
+        { new: true }
+      );
+    });
+
+    it('should unset the coupon code when removing it', async () => {
+      Cart.findOneAndUpdate.mockReturnValue({
+        populate: vi.fn().mockResolvedValue(mockCart)
+      });
+
+      await cartRepository.setCoupon('userId123', null);
+
+      expect(Cart.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: 'userId123' },
+        { $unset: { couponCode: '' } },
         { new: true }
       );
     });
   });
+
+  describe('deleteByUserId', () => {
+    it('should delete the user cart', async () => {
+      Cart.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await cartRepository.deleteByUserId('userId123');
+
+      expect(Cart.deleteOne).toHaveBeenCalledWith({ user: 'userId123' });
+    });
+  });
 });
 
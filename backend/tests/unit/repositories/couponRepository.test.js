@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CouponRepository } from '../../../src/repositories/couponRepository.js';
+import Coupon from '../../../src/models/Coupon.js';
+
+// Mock Coupon model
+vi.mock('../../../src/models/Coupon.js', () => {
+  const mockCouponConstructor = vi.fn();
+  mockCouponConstructor.find = vi.fn();
+  mockCouponConstructor.findById = vi.fn();
+  mockCouponConstructor.findOne = vi.fn();
+  mockCouponConstructor.findOneAndUpdate = vi.fn();
+  mockCouponConstructor.findByIdAndUpdate = vi.fn();
+  mockCouponConstructor.findByIdAndDelete = vi.fn();
+  return {
+    default: mockCouponConstructor
+  };
+});
+
+describe('CouponRepository', () => {
+  let couponRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    couponRepository = new CouponRepository();
+  });
+
+  describe('findAll', () => {
+    it('should list coupons newest first without redemption history', async () => {
+      const mockLean = vi.fn().mockResolvedValue([{ code: 'SAVE10' }]);
+      const mockSort = vi.fn().mockReturnValue({ lean: mockLean });
+      const mockSelect = vi.fn().mockReturnValue({ sort: mockSort });
+      Coupon.find.mockReturnValue({ select: mockSelect });
+
+      const result = await couponRepository.findAll();
+
+      expect(result).toEqual([{ code: 'SAVE10' }]);
+      expect(mockSelect).toHaveBeenCalledWith('-redemptions');
+      expect(mockSort).toHaveBeenCalledWith({ createdAt: -1 });
+    });
+  });
+
+  describe('findByCode', () => {
+    it('should look up codes case-insensitively', async () => {
+      Coupon.findOne.mockResolvedValue({ code: 'SAVE10' });
+
+      await couponRepository.findByCode(' save10 ');
+
+      expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'SAVE10' });
+    });
+  });
+
+  describe('create', () => {
+    it('should save a new coupon', async () => {
+      const mockSave = vi.fn().mockResolvedValue({ code: 'SAVE10' });
+      Coupon.mockImplementation(() => ({
+        save: mockSave
+      }));
+
+      await couponRepository.create({ code: 'SAVE10', type: 'percentage', value: 10 });
+
+      expect(Coupon).toHaveBeenCalledWith({ code: 'SAVE10', type: 'percentage', value: 10 });
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should update with schema validation', async () => {
+      Coupon.findByIdAndUpdate.mockResolvedValue({ code: 'SAVE10', value: 15 });
+
+      await couponRepository.update('couponId', { value: 15 });
+
+      expect(Coupon.findByIdAndUpdate).toHaveBeenCalledWith(
+        'couponId',
+        { value: 15 },
+        { new: true, runValidators: true }
+      );
+    });
+  });
+
+  describe('redeem', () => {
+    it('should increment usage only while under the global and per-customer limits', async () => {
+      Coupon.findOneAndUpdate.mockResolvedValue({ code: 'SAVE10', usedCount: 1 });
+
+      await couponRepository.redeem('couponId', 'userId123', 'orderId123');
+
+      expect(Coupon.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: 'couponId',
+          $and: [
+            { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+            {
+              $or: [
+                { perUserLimit: null },
+                {
+                  $expr: {
+                    $lt: [
+                      {
+                        $size: {
+                          $filter: {
+                            input: { $ifNull: ['$redemptions', []] },
+                            cond: { $eq: [{ $toString: '$$this.user' }, 'userId123'] }
+                          }
+                        }
+                      },
+                      '$perUserLimit'
+                    ]
+                  }
+                }
+              ]
+            }
+          ]
+        },
+        {
+          $inc: { usedCount: 1 },
+          $push: { redemptions: { user: 'userId123', order: 'orderId123' } }
+        },
+        { new: true, session: null }
+      );
+    });
+
+    it('should return null when the limit has been reached', async () => {
+      Coupon.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await couponRepository.redeem('couponId', 'userId123', 'orderId123');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('release', () => {
+    it('should give back the use only while the order still holds it', async () => {
+      const session = { id: 'session' };
+      Coupon.findOneAndUpdate.mockResolvedValue({ code: 'SAVE10', usedCount: 0 });
+
+      await couponRepository.release('couponId', 'userId123', 'orderId123', session);
+
+      expect(Coupon.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'couponId', redemptions: { $elemMatch: { order: 'orderId123', user: 'userId123' } } },
+        {
+          $inc: { usedCount: -1 },
+          $pull: { redemptions: { order: 'orderId123' } }
+        },
+        { new: true, session }
+      );
+    });
+
+    it('should match on the order alone when the customer account is gone', async () => {
+      Coupon.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await couponRepository.release('couponId', null, 'orderId123');
+
+      expect(result).toBeNull();
+      expect(Coupon.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        _id: 'couponId',
+        redemptions: { $elemMatch: { order: 'orderId123' } }
+      });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LoginAttemptRepository } from '../../../src/repositories/loginAttemptRepository.js';
+import LoginAttempt from '../../../src/models/LoginAttempt.js';
+
+// Mock LoginAttempt model
+vi.mock('../../../src/models/LoginAttempt.js', () => {
+  const mockLoginAttemptConstructor = vi.fn();
+  mockLoginAttemptConstructor.countDocuments = vi.fn();
+  return {
+    default: mockLoginAttemptConstructor
+  };
+});
+
+describe('LoginAttemptRepository', () => {
+  let loginAttemptRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    loginAttemptRepository = new LoginAttemptRepository();
+  });
+
+  describe('create', () => {
+    it('should save the failed attempt', async () => {
+      const mockSave = vi.fn().mockResolvedValue({ ip: '10.0.0.1' });
+      LoginAttempt.mockImplementation(() => ({ save: mockSave }));
+
+      await loginAttemptRepository.create({ ip: '10.0.0.1', email: 'test@example.com' });
+
+      expect(LoginAttempt).toHaveBeenCalledWith({ ip: '10.0.0.1', email: 'test@example.com' });
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+
+  describe('countByIpSince', () => {
+    it('should count recent attempts from the IP', async () => {
+      LoginAttempt.countDocuments.mockResolvedValue(4);
+      const since = new Date('2024-01-01T00:00:00Z');
+
+      const result = await loginAttemptRepository.countByIpSince('10.0.0.1', since);
+
+      expect(result).toBe(4);
+      expect(LoginAttempt.countDocuments).toHaveBeenCalledWith({ ip: '10.0.0.1', createdAt: { $gte: since } });
+    });
+  });
+});
@@ -9,7 +9,9 @@ vi.mock('../../../src/models/Order.js', () => {
   mockOrderConstructor.findById = vi.fn();
   mockOrderConstructor.find = vi.fn();
   mockOrderConstructor.findByIdAndUpdate = vi.fn();
+  mockOrderConstructor.findOneAndUpdate = vi.fn();
   mockOrderConstructor.aggregate = vi.fn();
+  mockOrderConstructor.updateMany = vi.fn();
   return {
     default: mockOrderConstructor
   };
@@ -45,7 +47,19 @@ describe('OrderRepository', () => {
       const result = await orderRepository.create(orderData);
 
       expect(Order).toHaveBeenCalledWith(orderData);
-      expect(mockSave).toHaveBeenCalled();
+      expect(mockSave).toHaveBeenCalledWith({ session: null });
+    });
+
+    it('should save within the given session', async () => {
+      const session = { id: 'session' };
+      const mockSave = vi.fn().mockResolvedValue(mockOrder);
+      Order.mockImplementation(() => ({
+        save: mockSave
+      }));
+
+      await orderRepository.create({ user: 'userId123' }, session);
+
+      expect(mockSave).toHaveBeenCalledWith({ session });
     });
   });
 
@@ -130,11 +144,82 @@ describe('OrderRepository', () => {
       expect(Order.findByIdAndUpdate).toHaveBeenCalledWith(
         mockOrder._id,
         updateData,
+        { new: true, session: null }
+      );
+    });
+  });
+
+  describe('reserveRefund', () => {
+    it('should only count the refund while the remaining balance covers it', async () => {
+      const reservedOrder = { ...mockOrder, totalRefunded: 55 };
+      Order.findOneAndUpdate.mockResolvedValue(reservedOrder);
+
+      const result = await orderRepository.reserveRefund(mockOrder._id, 55, 175);
+
+      expect(result).toEqual(reservedOrder);
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: mockOrder._id,
+          $or: [{ totalRefunded: { $exists: false } }, { totalRefunded: { $lte: 175 } }]
+        },
+        { $inc: { totalRefunded: 55 } },
+        { new: true }
+      );
+    });
+  });
+
+  describe('updateStatus', () => {
+    it('should only update the order while it is in the expected status', async () => {
+      const updateData = { $set: { status: 'shipped' } };
+      const updatedOrder = { ...mockOrder, status: 'shipped' };
+      Order.findOneAndUpdate.mockResolvedValue(updatedOrder);
+
+      const result = await orderRepository.updateStatus(mockOrder._id, 'processing', updateData);
+
+      expect(result).toEqual(updatedOrder);
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockOrder._id, status: 'processing' },
+        updateData,
+        { new: true }
+      );
+    });
+
+    it('should treat orders without a status as pending', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(mockOrder);
+
+      await orderRepository.updateStatus(mockOrder._id, 'pending', {});
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockOrder._id, status: { $in: ['pending', null] } },
+        {},
         { new: true }
       );
     });
   });
 
+  describe('getCustomerSummary', () => {
+    it('should total paid orders net of refunds for the customer', async () => {
+      const lastOrderAt = new Date('2024-03-01');
+      Order.aggregate.mockResolvedValue([
+        { _id: null, orderCount: 3, paidOrderCount: 2, lifetimeSpend: 150, lastOrderAt }
+      ]);
+
+      const result = await orderRepository.getCustomerSummary('507f1f77bcf86cd799439011');
+
+      expect(result).toEqual({ orderCount: 3, paidOrderCount: 2, lifetimeSpend: 150, lastOrderAt });
+      const matchStage = Order.aggregate.mock.calls[0][0][0].$match;
+      expect(matchStage.user.toString()).toBe('507f1f77bcf86cd799439011');
+    });
+
+    it('should return zeroes for a customer without orders', async () => {
+      Order.aggregate.mockResolvedValue([]);
+
+      const result = await orderRepository.getCustomerSummary('507f1f77bcf86cd799439011');
+
+      expect(result).toEqual({ orderCount: 0, paidOrderCount: 0, lifetimeSpend: 0, lastOrderAt: null });
+    });
+  });
+
   describe('getSalesAnalytics', () => {
     // TDD Evidence:
     // RED: This test failed because getSalesAnalytics method did not exist
@@ -190,6 +275,85 @@ describe('OrderRepository', () => {
       expect(result).toEqual(salesByCategory);
       expect(Order.aggregate).toHaveBeenCalled();
     });
+
+    it('should report net sales and tax from the line breakdown', async () => {
+      Order.aggregate.mockResolvedValue([]);
+
+      await orderRepository.getSalesByCategory();
+
+      const groupStage = Order.aggregate.mock.calls[0][0].find(stage => stage.$group).$group;
+      expect(groupStage.netSales).toBeDefined();
+      expect(groupStage.totalTax).toEqual({ $sum: { $ifNull: ['$orderItems.taxAmount', 0] } });
+    });
   });
-});
 
+  describe('anonymizeByUserId', () => {
+    it('should detach the orders and strip personal details', async () => {
+      Order.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      await orderRepository.anonymizeByUserId('userId123');
+
+      expect(Order.updateMany).toHaveBeenCalledWith(
+        { user: 'userId123' },
+        {
+          $set: {
+            user: null,
+            anonymizedAt: expect.any(Date),
+            'shippingAddress.street': '[deleted]',
+            'billingAddress.street': '[deleted]'
+          },
+          $unset: { 'paymentResult.email_address': '', guestEmail: '' }
+        }
+      );
+    });
+  });
+
+  describe('claimGuestOrder', () => {
+    it('should attach the order only while no account owns it', async () => {
+      Order.findOneAndUpdate.mockResolvedValue({ ...mockOrder, user: 'userId123' });
+
+      const result = await orderRepository.claimGuestOrder('orderId123', 'userId123');
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'orderId123', user: null, guestEmail: { $exists: true } },
+        { $set: { user: 'userId123' } },
+        { new: true }
+      );
+      expect(result.user).toBe('userId123');
+    });
+  });
+
+  describe('stock reservations', () => {
+    it('should clear a reservation only when the order still holds one', async () => {
+      const session = { id: 'session' };
+      Order.findOneAndUpdate.mockResolvedValue(mockOrder);
+
+      const result = await orderRepository.clearReservation('orderId123', session);
+
+      expect(result).toEqual(mockOrder);
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'orderId123', reservationExpiresAt: { $exists: true } },
+        { $unset: { reservationExpiresAt: '' } },
+        { session }
+      );
+    });
+
+    it('should find unpaid pending orders whose reservation has expired, oldest first', async () => {
+      const now = new Date();
+      const limit = vi.fn().mockResolvedValue([mockOrder]);
+      const sort = vi.fn().mockReturnValue({ limit });
+      Order.find.mockReturnValue({ sort });
+
+      const result = await orderRepository.findExpiredReservations(now, 50);
+
+      expect(result).toEqual([mockOrder]);
+      expect(Order.find).toHaveBeenCalledWith({
+        status: 'pending',
+        isPaid: false,
+        reservationExpiresAt: { $lte: now }
+      });
+      expect(sort).toHaveBeenCalledWith({ reservationExpiresAt: 1 });
+      expect(limit).toHaveBeenCalledWith(50);
+    });
+  });
+});
@@ -9,6 +9,7 @@ vi.mock('../../../src/models/Product.js', () => {
   mockProductConstructor.find = vi.fn();
   mockProductConstructor.findById = vi.fn();
   mockProductConstructor.findByIdAndUpdate = vi.fn();
+  mockProductConstructor.findOneAndUpdate = vi.fn();
   mockProductConstructor.findByIdAndDelete = vi.fn();
   mockProductConstructor.distinct = vi.fn();
   return {
@@ -208,21 +209,158 @@ describe('ProductRepository', () => {
     // RED: This test failed because updateStock method did not exist
     // GREEN: After implementing updateStock with $inc operator, test passed
     // REFACTOR: Added { new: true } option, test still passes
-    it('should decrease stock by quantity', async () => {
+    it('should decrease stock by quantity only while enough is left', async () => {
       const quantity = 5;
+      const session = { id: 'session' };
       const updatedProduct = { ...mockProduct, stock: mockProduct.stock - quantity };
 
-      Product.findByIdAndUpdate.mockResolvedValue(updatedProduct);
+      Product.findOneAndUpdate.mockResolvedValue(updatedProduct);
 
-      const result = await productRepository.updateStock(mockProduct._id, quantity);
+      const result = await productRepository.updateStock(mockProduct._id, quantity, session);
 
       expect(result).toEqual(updatedProduct);
-      expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(
-        mockProduct._id,
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockProduct._id, stock: { $gte: quantity } },
         { $inc: { stock: -quantity } },
-        { new: true }
+        { new: true, session }
+      );
+    });
+
+    it('should return null when there is not enough stock', async () => {
+      Product.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await productRepository.updateStock(mockProduct._id, 500);
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('restoreStock', () => {
+    const session = { id: 'session' };
+    const variantId = '507f1f77bcf86cd799439099';
+
+    it('should increase stock by quantity within the given session', async () => {
+      const updatedProduct = { ...mockProduct, stock: mockProduct.stock + 3 };
+      Product.findOneAndUpdate.mockResolvedValue(updatedProduct);
+
+      const result = await productRepository.restoreStock(mockProduct._id, 3, session);
+
+      expect(result).toEqual(updatedProduct);
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockProduct._id },
+        { $inc: { stock: 3 } },
+        { new: true, session }
+      );
+    });
+
+    it('should restock the variant and the product total together', async () => {
+      Product.findOneAndUpdate.mockResolvedValue(mockProduct);
+
+      await productRepository.restoreStock(mockProduct._id, 3, session, variantId);
+
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockProduct._id, 'variants._id': variantId },
+        { $inc: { stock: 3, 'variants.$.stock': 3 } },
+        { new: true, session }
+      );
+    });
+  });
+
+  describe('stock reservations', () => {
+    const session = { id: 'session' };
+
+    it('should move stock into reserved only while enough is left', async () => {
+      const reservedProduct = { ...mockProduct, stock: mockProduct.stock - 3, reserved: 3 };
+      Product.findOneAndUpdate.mockResolvedValue(reservedProduct);
+
+      const result = await productRepository.reserveStock(mockProduct._id, 3, session);
+
+      expect(result).toEqual(reservedProduct);
+      expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockProduct._id, stock: { $gte: 3 } },
+        { $inc: { stock: -3, reserved: 3 } },
+        { new: true, session }
       );
     });
+
+    it('should return null when the stock is no longer there', async () => {
+      Product.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await productRepository.reserveStock(mockProduct._id, 3, session);
+
+      expect(result).toBeNull();
+    });
+
+    it('should take committed units out of reserved without restocking them', async () => {
+      Product.findByIdAndUpdate.mockResolvedValue(mockProduct);
+
+      await productRepository.commitReservedStock(mockProduct._id, 3, session);
+
+      const [id, update, options] = Product.findByIdAndUpdate.mock.calls[0];
+      expect(id).toBe(mockProduct._id);
+      expect(update[0].$set).not.toHaveProperty('stock');
+      expect(update[0].$set.reserved).toEqual({ $max: [{ $subtract: [{ $ifNull: ['$reserved', 0] }, 3] }, 0] });
+      expect(options).toEqual({ new: true, session });
+    });
+
+    it('should put released units back into stock', async () => {
+      Product.findByIdAndUpdate.mockResolvedValue(mockProduct);
+
+      await productRepository.releaseReservedStock(mockProduct._id, 3, session);
+
+      const [, update, options] = Product.findByIdAndUpdate.mock.calls[0];
+      expect(update[0].$set.stock).toEqual({ $add: ['$stock', 3] });
+      expect(update[0].$set.reserved).toEqual({ $max: [{ $subtract: [{ $ifNull: ['$reserved', 0] }, 3] }, 0] });
+      expect(options).toEqual({ new: true, session });
+    });
+
+    describe('with a variant', () => {
+      const variantId = '507f1f77bcf86cd799439099';
+
+      it('should check and reserve the variant stock alongside the product total', async () => {
+        Product.findOneAndUpdate.mockResolvedValue(mockProduct);
+
+        await productRepository.reserveStock(mockProduct._id, 2, session, variantId);
+
+        expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: mockProduct._id, variants: { $elemMatch: { _id: variantId, stock: { $gte: 2 } } } },
+          { $inc: { stock: -2, reserved: 2, 'variants.$.stock': -2, 'variants.$.reserved': 2 } },
+          { new: true, session }
+        );
+      });
+
+      it('should take sold units from the variant stock', async () => {
+        Product.findOneAndUpdate.mockResolvedValue(mockProduct);
+
+        await productRepository.updateStock(mockProduct._id, 2, session, variantId);
+
+        expect(Product.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: mockProduct._id, variants: { $elemMatch: { _id: variantId, stock: { $gte: 2 } } } },
+          { $inc: { stock: -2, 'variants.$.stock': -2 } },
+          { new: true, session }
+        );
+      });
+
+      it('should rewrite only the matching variant when committing or releasing', async () => {
+        Product.findByIdAndUpdate.mockResolvedValue(mockProduct);
+
+        await productRepository.commitReservedStock(mockProduct._id, 2, session, variantId);
+        await productRepository.releaseReservedStock(mockProduct._id, 1, session, variantId);
+
+        const commitVariants = Product.findByIdAndUpdate.mock.calls[0][1][0].$set.variants.$map;
+        expect(commitVariants.input).toBe('$variants');
+        expect(commitVariants.in.$cond[0].$eq[1].toString()).toBe(variantId);
+        expect(commitVariants.in.$cond[1].$mergeObjects[1]).toEqual({
+          reserved: { $max: [{ $subtract: [{ $ifNull: ['$$variant.reserved', 0] }, 2] }, 0] }
+        });
+
+        const releaseVariants = Product.findByIdAndUpdate.mock.calls[1][1][0].$set.variants.$map;
+        expect(releaseVariants.in.$cond[1].$mergeObjects[1]).toEqual({
+          stock: { $add: ['$$variant.stock', 1] },
+          reserved: { $max: [{ $subtract: [{ $ifNull: ['$$variant.reserved', 0] }, 1] }, 0] }
+        });
+      });
+    });
   });
 
   describe('getCategories', () => {
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RefreshTokenRepository } from '../../../src/repositories/refreshTokenRepository.js';
+import RefreshToken from '../../../src/models/RefreshToken.js';
+
+// Mock RefreshToken model
+vi.mock('../../../src/models/RefreshToken.js', () => {
+  const mockRefreshTokenConstructor = vi.fn();
+  mockRefreshTokenConstructor.findOne = vi.fn();
+  mockRefreshTokenConstructor.findOneAndUpdate = vi.fn();
+  mockRefreshTokenConstructor.updateMany = vi.fn();
+  return {
+    default: mockRefreshTokenConstructor
+  };
+});
+
+describe('RefreshTokenRepository', () => {
+  let refreshTokenRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    refreshTokenRepository = new RefreshTokenRepository();
+  });
+
+  describe('create', () => {
+    it('should save the hashed token', async () => {
+      const mockSave = vi.fn().mockResolvedValue({ tokenHash: 'hash' });
+      RefreshToken.mockImplementation(() => ({ save: mockSave }));
+      const tokenData = { user: 'userId123', tokenHash: 'hash', family: 'family-1' };
+
+      await refreshTokenRepository.create(tokenData);
+
+      expect(RefreshToken).toHaveBeenCalledWith(tokenData);
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+
+  describe('findByTokenHash', () => {
+    it('should look the token up by its hash', async () => {
+      RefreshToken.findOne.mockResolvedValue({ tokenHash: 'hash' });
+
+      const result = await refreshTokenRepository.findByTokenHash('hash');
+
+      expect(result).toEqual({ tokenHash: 'hash' });
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: 'hash' });
+    });
+  });
+
+  describe('markRotated', () => {
+    it('should only retire a token that has not been revoked', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ _id: 'token-1' });
+
+      await refreshTokenRepository.markRotated('token-1', 'next-hash');
+
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'token-1', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date), replacedBy: 'next-hash' } },
+        { new: true }
+      );
+    });
+
+    it('should return null when another request rotated the token first', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await refreshTokenRepository.markRotated('token-1', 'next-hash');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('revokeFamily', () => {
+    it('should revoke every live token in the family', async () => {
+      await refreshTokenRepository.revokeFamily('family-1');
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { family: 'family-1', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } }
+      );
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('should revoke every live token for the user', async () => {
+      await refreshTokenRepository.revokeAllForUser('userId123');
+
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'userId123', revokedAt: null },
+        { $set: { revokedAt: expect.any(Date) } }
+      );
+    });
+  });
+});
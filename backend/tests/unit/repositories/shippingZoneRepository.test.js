@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ShippingZoneRepository } from '../../../src/repositories/shippingZoneRepository.js';
+import ShippingZone from '../../../src/models/ShippingZone.js';
+
+// Mock ShippingZone model
+vi.mock('../../../src/models/ShippingZone.js', () => {
+  const mockShippingZoneConstructor = vi.fn();
+  mockShippingZoneConstructor.find = vi.fn();
+  mockShippingZoneConstructor.findById = vi.fn();
+  mockShippingZoneConstructor.findOne = vi.fn();
+  mockShippingZoneConstructor.findByIdAndUpdate = vi.fn();
+  mockShippingZoneConstructor.findByIdAndDelete = vi.fn();
+  return {
+    default: mockShippingZoneConstructor
+  };
+});
+
+describe('ShippingZoneRepository', () => {
+  let shippingZoneRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    shippingZoneRepository = new ShippingZoneRepository();
+  });
+
+  describe('findAll', () => {
+    it('should list zones with the default zone last', async () => {
+      const mockLean = vi.fn().mockResolvedValue([{ name: 'Europe' }]);
+      const mockSort = vi.fn().mockReturnValue({ lean: mockLean });
+      ShippingZone.find.mockReturnValue({ sort: mockSort });
+
+      const result = await shippingZoneRepository.findAll();
+
+      expect(result).toEqual([{ name: 'Europe' }]);
+      expect(mockSort).toHaveBeenCalledWith({ isDefault: 1, name: 1 });
+    });
+  });
+
+  describe('findByCountry', () => {
+    it('should find the active zone listing the normalised country', async () => {
+      const mockLean = vi.fn().mockResolvedValue(null);
+      ShippingZone.findOne.mockReturnValue({ lean: mockLean });
+
+      await shippingZoneRepository.findByCountry(' fra ');
+
+      expect(ShippingZone.findOne).toHaveBeenCalledWith({ countries: 'FRA', isActive: true });
+    });
+  });
+
+  describe('findDefault', () => {
+    it('should find the active default zone', async () => {
+      const mockLean = vi.fn().mockResolvedValue({ name: 'Rest of world' });
+      ShippingZone.findOne.mockReturnValue({ lean: mockLean });
+
+      const result = await shippingZoneRepository.findDefault();
+
+      expect(result).toEqual({ name: 'Rest of world' });
+      expect(ShippingZone.findOne).toHaveBeenCalledWith({ isDefault: true, isActive: true });
+    });
+  });
+
+  describe('findByCountries', () => {
+    it('should find zones listing any of the countries', async () => {
+      const mockLean = vi.fn().mockResolvedValue([]);
+      ShippingZone.find.mockReturnValue({ lean: mockLean });
+
+      await shippingZoneRepository.findByCountries(['fra', 'DEU']);
+
+      expect(ShippingZone.find).toHaveBeenCalledWith({ countries: { $in: ['FRA', 'DEU'] } });
+    });
+  });
+
+  describe('create', () => {
+    it('should save a new zone', async () => {
+      const mockSave = vi.fn().mockResolvedValue({ name: 'Europe' });
+      ShippingZone.mockImplementation(() => ({
+        save: mockSave
+      }));
+
+      await shippingZoneRepository.create({ name: 'Europe', countries: ['FRA'] });
+
+      expect(ShippingZone).toHaveBeenCalledWith({ name: 'Europe', countries: ['FRA'] });
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should update with schema validation', async () => {
+      ShippingZone.findByIdAndUpdate.mockResolvedValue({ name: 'EU' });
+
+      await shippingZoneRepository.update('zoneId', { name: 'EU' });
+
+      expect(ShippingZone.findByIdAndUpdate).toHaveBeenCalledWith(
+        'zoneId',
+        { name: 'EU' },
+        { new: true, runValidators: true }
+      );
+    });
+  });
+});
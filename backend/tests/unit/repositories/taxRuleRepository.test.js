@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TaxRuleRepository } from '../../../src/repositories/taxRuleRepository.js';
+import TaxRule from '../../../src/models/TaxRule.js';
+
+// Mock TaxRule model
+vi.mock('../../../src/models/TaxRule.js', () => {
+  const mockTaxRuleConstructor = vi.fn();
+  mockTaxRuleConstructor.find = vi.fn();
+  mockTaxRuleConstructor.findById = vi.fn();
+  mockTaxRuleConstructor.findOne = vi.fn();
+  mockTaxRuleConstructor.findByIdAndUpdate = vi.fn();
+  mockTaxRuleConstructor.findByIdAndDelete = vi.fn();
+  return {
+    default: mockTaxRuleConstructor
+  };
+});
+
+describe('TaxRuleRepository', () => {
+  let taxRuleRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    taxRuleRepository = new TaxRuleRepository();
+  });
+
+  describe('findAll', () => {
+    it('should list rules by location', async () => {
+      const mockLean = vi.fn().mockResolvedValue([{ country: 'USA' }]);
+      const mockSort = vi.fn().mockReturnValue({ lean: mockLean });
+      TaxRule.find.mockReturnValue({ sort: mockSort });
+
+      const result = await taxRuleRepository.findAll();
+
+      expect(result).toEqual([{ country: 'USA' }]);
+      expect(mockSort).toHaveBeenCalledWith({ country: 1, state: 1 });
+    });
+  });
+
+  describe('findByLocation', () => {
+    it('should match the normalised country and state', async () => {
+      TaxRule.findOne.mockResolvedValue(null);
+
+      await taxRuleRepository.findByLocation(' usa ', 'ny');
+
+      expect(TaxRule.findOne).toHaveBeenCalledWith({ country: 'USA', state: 'NY' });
+    });
+  });
+
+  describe('findForAddress', () => {
+    it('should find the active state and country-wide rules', async () => {
+      const mockLean = vi.fn().mockResolvedValue([]);
+      TaxRule.find.mockReturnValue({ lean: mockLean });
+
+      await taxRuleRepository.findForAddress('usa', 'ca');
+
+      expect(TaxRule.find).toHaveBeenCalledWith({
+        country: 'USA',
+        state: { $in: ['CA', ''] },
+        isActive: true
+      });
+    });
+  });
+
+  describe('create', () => {
+    it('should save a new tax rule', async () => {
+      const mockSave = vi.fn().mockResolvedValue({ country: 'USA' });
+      TaxRule.mockImplementation(() => ({
+        save: mockSave
+      }));
+
+      await taxRuleRepository.create({ country: 'USA', rates: { standard: 5 } });
+
+      expect(TaxRule).toHaveBeenCalledWith({ country: 'USA', rates: { standard: 5 } });
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should update with schema validation', async () => {
+      TaxRule.findByIdAndUpdate.mockResolvedValue({ country: 'USA' });
+
+      await taxRuleRepository.update('ruleId', { name: 'Sales tax' });
+
+      expect(TaxRule.findByIdAndUpdate).toHaveBeenCalledWith(
+        'ruleId',
+        { name: 'Sales tax' },
+        { new: true, runValidators: true }
+      );
+    });
+  });
+});
@@ -9,6 +9,10 @@ vi.mock('../../../src/models/User.js', () => {
   mockUserConstructor.findOne = vi.fn();
   mockUserConstructor.findById = vi.fn();
   mockUserConstructor.findByIdAndUpdate = vi.fn();
+  mockUserConstructor.findOneAndUpdate = vi.fn();
+  mockUserConstructor.findByIdAndDelete = vi.fn();
+  mockUserConstructor.find = vi.fn();
+  mockUserConstructor.countDocuments = vi.fn();
   return {
     default: mockUserConstructor
   };
@@ -167,5 +171,214 @@ describe('UserRepository', () => {
       expect(result).toBeNull();
     });
   });
-});
 
+  describe('claimPasswordResetToken', () => {
+    it('should clear an unexpired token and return its user', async () => {
+      User.findOneAndUpdate.mockResolvedValue(mockUser);
+
+      const result = await userRepository.claimPasswordResetToken('hashed-token');
+
+      expect(result).toEqual(mockUser);
+      const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter.passwordResetToken).toBe('hashed-token');
+      expect(filter.passwordResetExpires.$gt).toBeInstanceOf(Date);
+      expect(update).toEqual({ $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+    });
+  });
+
+  describe('claimEmailVerificationToken', () => {
+    it('should mark the address verified and clear the token', async () => {
+      const select = vi.fn().mockResolvedValue({ ...mockUser, emailVerified: true });
+      User.findOneAndUpdate.mockReturnValue({ select });
+
+      const result = await userRepository.claimEmailVerificationToken('hashed-token');
+
+      expect(result.emailVerified).toBe(true);
+      const [filter, update, options] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter.emailVerificationToken).toBe('hashed-token');
+      expect(filter.emailVerificationExpires.$gt).toBeInstanceOf(Date);
+      expect(update).toEqual({
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      });
+      expect(options).toEqual({ new: true });
+      expect(select).toHaveBeenCalledWith('-password');
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    it('should count the failure atomically and restart the count after the window', async () => {
+      const select = vi.fn().mockResolvedValue({ ...mockUser, failedLoginAttempts: 3 });
+      User.findOneAndUpdate.mockReturnValue({ select });
+      const windowStart = new Date('2024-01-01T00:00:00Z');
+
+      const result = await userRepository.recordFailedLogin('userId123', windowStart);
+
+      expect(result.failedLoginAttempts).toBe(3);
+      const [filter, pipeline, options] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'userId123' });
+      const { failedLoginAttempts, lastFailedLoginAt } = pipeline[0].$set;
+      expect(failedLoginAttempts.$cond[0].$gte[1]).toBe(windowStart);
+      expect(failedLoginAttempts.$cond[2]).toBe(1);
+      expect(lastFailedLoginAt).toBeInstanceOf(Date);
+      expect(options).toEqual({ new: true });
+      expect(select).toHaveBeenCalledWith('-password');
+    });
+  });
+
+  describe('lockAccount', () => {
+    it('should only lock an account that is not already locked', async () => {
+      const select = vi.fn().mockResolvedValue(null);
+      User.findOneAndUpdate.mockReturnValue({ select });
+      const lockUntil = new Date(Date.now() + 60000);
+      const expires = new Date(Date.now() + 120000);
+
+      const result = await userRepository.lockAccount('userId123', lockUntil, 'hashed-token', expires);
+
+      expect(result).toBeNull();
+      const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter._id).toBe('userId123');
+      expect(filter.$or[0]).toEqual({ lockUntil: null });
+      expect(filter.$or[1].lockUntil.$lte).toBeInstanceOf(Date);
+      expect(update).toEqual({ $set: { lockUntil, unlockToken: 'hashed-token', unlockTokenExpires: expires } });
+    });
+  });
+
+  describe('clearFailedLogins', () => {
+    it('should reset the count and remove any lock', async () => {
+      const select = vi.fn().mockResolvedValue(mockUser);
+      User.findByIdAndUpdate.mockReturnValue({ select });
+
+      await userRepository.clearFailedLogins('userId123');
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        'userId123',
+        {
+          $set: { failedLoginAttempts: 0 },
+          $unset: { lastFailedLoginAt: 1, lockUntil: 1, unlockToken: 1, unlockTokenExpires: 1 }
+        },
+        { new: true }
+      );
+    });
+  });
+
+  describe('claimUnlockToken', () => {
+    it('should consume an unexpired token and lift the lock', async () => {
+      const select = vi.fn().mockResolvedValue(mockUser);
+      User.findOneAndUpdate.mockReturnValue({ select });
+
+      const result = await userRepository.claimUnlockToken('hashed-token');
+
+      expect(result).toEqual(mockUser);
+      const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+      expect(filter.unlockToken).toBe('hashed-token');
+      expect(filter.unlockTokenExpires.$gt).toBeInstanceOf(Date);
+      expect(update).toEqual({
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lastFailedLoginAt: 1, lockUntil: 1, unlockToken: 1, unlockTokenExpires: 1 }
+      });
+      expect(select).toHaveBeenCalledWith('-password');
+    });
+  });
+
+  describe('findByIdWithTwoFactor', () => {
+    it('should select the hidden two-factor fields', async () => {
+      const select = vi.fn().mockResolvedValue(mockUser);
+      User.findById.mockReturnValue({ select });
+
+      await userRepository.findByIdWithTwoFactor('userId123');
+
+      expect(User.findById).toHaveBeenCalledWith('userId123');
+      expect(select).toHaveBeenCalledWith('+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastStep');
+    });
+  });
+
+  describe('claimTwoFactorStep', () => {
+    it('should only accept a newer time step', async () => {
+      const select = vi.fn().mockResolvedValue(null);
+      User.findOneAndUpdate.mockReturnValue({ select });
+
+      const result = await userRepository.claimTwoFactorStep('userId123', 1000);
+
+      expect(result).toBeNull();
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'userId123', $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: 1000 } }] },
+        { $set: { twoFactorLastStep: 1000 } },
+        { new: true }
+      );
+    });
+  });
+
+  describe('consumeBackupCode', () => {
+    it('should pull the matching hash', async () => {
+      const select = vi.fn().mockResolvedValue(mockUser);
+      User.findOneAndUpdate.mockReturnValue({ select });
+
+      await userRepository.consumeBackupCode('userId123', 'code-hash');
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'userId123', twoFactorBackupCodes: 'code-hash' },
+        { $pull: { twoFactorBackupCodes: 'code-hash' } },
+        { new: true }
+      );
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete the user by id', async () => {
+      User.findByIdAndDelete.mockResolvedValue({ _id: 'userId123' });
+
+      await userRepository.delete('userId123');
+
+      expect(User.findByIdAndDelete).toHaveBeenCalledWith('userId123');
+    });
+  });
+
+  describe('findAll', () => {
+    const mockQuery = (users) => {
+      const query = {
+        select: vi.fn().mockReturnThis(),
+        sort: vi.fn().mockReturnThis(),
+        skip: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockResolvedValue(users)
+      };
+      User.find.mockReturnValue(query);
+      return query;
+    };
+
+    it('should return one page of users with the total count', async () => {
+      const query = mockQuery([mockUser]);
+      User.countDocuments.mockResolvedValue(45);
+
+      const result = await userRepository.findAll({}, { page: 3, limit: 20 });
+
+      expect(result).toEqual({ users: [mockUser], total: 45 });
+      expect(User.find).toHaveBeenCalledWith({});
+      expect(query.select).toHaveBeenCalledWith('-password');
+      expect(query.skip).toHaveBeenCalledWith(40);
+      expect(query.limit).toHaveBeenCalledWith(20);
+    });
+
+    it('should search name and email case-insensitively with special characters escaped', async () => {
+      mockQuery([]);
+      User.countDocuments.mockResolvedValue(0);
+
+      await userRepository.findAll({ search: 'jo.hn+' });
+
+      const { $or } = User.find.mock.calls[0][0];
+      expect($or[0].name.source).toBe('jo\\.hn\\+');
+      expect($or[0].name.flags).toBe('i');
+      expect($or[1].email.source).toBe('jo\\.hn\\+');
+    });
+
+    it('should filter by role and status', async () => {
+      mockQuery([]);
+      User.countDocuments.mockResolvedValue(0);
+
+      await userRepository.findAll({ role: 'admin', isActive: false });
+
+      expect(User.find).toHaveBeenCalledWith({ role: 'admin', isActive: false });
+      expect(User.countDocuments).toHaveBeenCalledWith({ role: 'admin', isActive: false });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { WebhookEventRepository } from '../../../src/repositories/webhookEventRepository.js';
+import WebhookEvent from '../../../src/models/WebhookEvent.js';
+
+// Mock WebhookEvent model
+vi.mock('../../../src/models/WebhookEvent.js', () => {
+  const mockWebhookEventConstructor = vi.fn();
+  mockWebhookEventConstructor.findOne = vi.fn();
+  return {
+    default: mockWebhookEventConstructor
+  };
+});
+
+describe('WebhookEventRepository', () => {
+  let webhookEventRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    webhookEventRepository = new WebhookEventRepository();
+  });
+
+  describe('findByEventId', () => {
+    it('should find a processed event by provider event id', async () => {
+      const storedEvent = { eventId: 'evt_123', type: 'payment_intent.succeeded' };
+      WebhookEvent.findOne.mockResolvedValue(storedEvent);
+
+      const result = await webhookEventRepository.findByEventId('evt_123');
+
+      expect(result).toEqual(storedEvent);
+      expect(WebhookEvent.findOne).toHaveBeenCalledWith({ eventId: 'evt_123' });
+    });
+  });
+
+  describe('create', () => {
+    it('should save the processed event', async () => {
+      const mockSave = vi.fn().mockResolvedValue({ eventId: 'evt_123' });
+      WebhookEvent.mockImplementation(() => ({
+        save: mockSave
+      }));
+
+      await webhookEventRepository.create('evt_123', 'payment_intent.succeeded');
+
+      expect(WebhookEvent).toHaveBeenCalledWith({ eventId: 'evt_123', type: 'payment_intent.succeeded' });
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+});
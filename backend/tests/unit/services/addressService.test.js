@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AddressService } from '../../../src/services/addressService.js';
+
+describe('AddressService', () => {
+  let addressService;
+  let mockUserRepository;
+  let user;
+
+  const home = () => ({
+    _id: 'address1',
+    label: 'Home',
+    street: '123 Main St',
+    city: 'New York',
+    state: 'NY',
+    zipCode: '10001',
+    country: 'USA',
+    isDefault: true
+  });
+
+  const office = () => ({
+    _id: 'address2',
+    label: 'Office',
+    street: '1 Office Park',
+    city: 'Boston',
+    state: 'MA',
+    zipCode: '02110',
+    country: 'USA',
+    isDefault: false
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    user = { _id: 'userId123', addresses: [] };
+    mockUserRepository = {
+      findById: vi.fn().mockImplementation(async () => user),
+      save: vi.fn()
+    };
+
+    addressService = new AddressService(mockUserRepository);
+  });
+
+  describe('list', () => {
+    it('should return the default address first', async () => {
+      user.addresses = [{ ...office() }, { ...home() }];
+
+      const result = await addressService.list('userId123');
+
+      expect(result.map(address => address.label)).toEqual(['Home', 'Office']);
+    });
+
+    it('should throw 404 for a missing user', async () => {
+      mockUserRepository.findById.mockResolvedValue(null);
+
+      await expect(addressService.list('missing')).rejects.toMatchObject({ message: 'User not found', statusCode: 404 });
+    });
+  });
+
+  describe('create', () => {
+    it('should make the first saved address the default', async () => {
+      const { _id, isDefault, ...fields } = home();
+
+      const result = await addressService.create('userId123', { ...fields, street: '  123 Main St  ' });
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ street: '123 Main St', isDefault: true });
+      expect(mockUserRepository.save).toHaveBeenCalledWith(user);
+    });
+
+    it('should move the default when the new address asks for it', async () => {
+      user.addresses = [home()];
+      const { _id, ...fields } = office();
+
+      const result = await addressService.create('userId123', { ...fields, isDefault: true });
+
+      expect(result[0]).toMatchObject({ label: 'Office', isDefault: true });
+      expect(result[1]).toMatchObject({ label: 'Home', isDefault: false });
+    });
+
+    it('should validate the address and ignore unknown fields', async () => {
+      await expect(addressService.create('userId123', { street: '1 Main St' })).rejects.toMatchObject({
+        message: 'City is required, State is required, Zip code is required, Country is required',
+        statusCode: 400
+      });
+
+      const { _id, isDefault, ...fields } = home();
+      await addressService.create('userId123', { ...fields, role: 'admin' });
+      expect(user.addresses[0].role).toBeUndefined();
+    });
+
+    it('should limit the size of the address book', async () => {
+      user.addresses = Array.from({ length: 20 }, (_, index) => ({ ...office(), _id: `address${index}` }));
+      const { _id, ...fields } = home();
+
+      await expect(addressService.create('userId123', fields)).rejects.toThrow('You can save up to 20 addresses');
+      expect(mockUserRepository.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should edit the address fields', async () => {
+      user.addresses = [home(), office()];
+
+      const result = await addressService.update('userId123', 'address2', { label: 'Work', city: 'Cambridge' });
+
+      expect(result[1]).toMatchObject({ label: 'Work', city: 'Cambridge', street: '1 Office Park' });
+      expect(mockUserRepository.save).toHaveBeenCalledWith(user);
+    });
+
+    it('should make the address the only default', async () => {
+      user.addresses = [home(), office()];
+
+      const result = await addressService.update('userId123', 'address2', { isDefault: true });
+
+      expect(result.map(address => [address.label, address.isDefault])).toEqual([['Office', true], ['Home', false]]);
+    });
+
+    it('should reject clearing a required field', async () => {
+      user.addresses = [home()];
+
+      await expect(addressService.update('userId123', 'address1', { zipCode: ' ' })).rejects.toThrow('Zip code is required');
+      expect(mockUserRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 for an unknown address', async () => {
+      await expect(addressService.update('userId123', 'nope', {})).rejects.toMatchObject({
+        message: 'Address not found',
+        statusCode: 404
+      });
+    });
+  });
+
+  describe('remove', () => {
+    it('should promote another address when the default is removed', async () => {
+      user.addresses = [home(), office()];
+
+      const result = await addressService.remove('userId123', 'address1');
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ label: 'Office', isDefault: true });
+    });
+
+    it('should throw 404 for an unknown address', async () => {
+      await expect(addressService.remove('userId123', 'nope')).rejects.toThrow('Address not found');
+    });
+  });
+});
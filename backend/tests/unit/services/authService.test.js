@@ -1,12 +1,20 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import bcrypt from 'bcryptjs';
 import { AuthService } from '../../../src/services/authService.js';
-import { generateToken } from '../../../src/utils/jwt.js';
+import { generateToken, generatePreAuthToken, verifyPreAuthToken } from '../../../src/utils/jwt.js';
+import { sendEmail } from '../../../src/utils/emailService.js';
+import { hashToken } from '../../../src/utils/secureToken.js';
 import { mockUser } from '../../helpers/mockData.js';
 
 // Mock dependencies
 vi.mock('../../../src/utils/jwt.js', () => ({
-  generateToken: vi.fn()
+  generateToken: vi.fn(),
+  generatePreAuthToken: vi.fn(),
+  verifyPreAuthToken: vi.fn()
+}));
+
+vi.mock('../../../src/utils/emailService.js', () => ({
+  sendEmail: vi.fn()
 }));
 
 vi.mock('bcryptjs', () => ({
@@ -18,6 +26,11 @@ vi.mock('bcryptjs', () => ({
 describe('AuthService', () => {
   let authService;
   let mockUserRepository;
+  let mockRefreshTokenRepository;
+  let mockOrderRepository;
+  let mockCartRepository;
+  let mockLoginProtectionService;
+  let mockTwoFactorService;
 
   beforeEach(() => {
     // Reset mocks before each test
@@ -27,11 +40,46 @@ describe('AuthService', () => {
     mockUserRepository = {
       findByEmail: vi.fn(),
       findById: vi.fn(),
-      create: vi.fn()
+      findByIdWithPassword: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      save: vi.fn(),
+      delete: vi.fn(),
+      claimPasswordResetToken: vi.fn(),
+      claimEmailVerificationToken: vi.fn(),
+      findByIdWithTwoFactor: vi.fn()
+    };
+
+    mockRefreshTokenRepository = {
+      create: vi.fn(),
+      findByTokenHash: vi.fn(),
+      markRotated: vi.fn(),
+      revokeFamily: vi.fn(),
+      revokeAllForUser: vi.fn()
+    };
+
+    mockOrderRepository = { anonymizeByUserId: vi.fn() };
+    mockCartRepository = { deleteByUserId: vi.fn() };
+
+    mockLoginProtectionService = {
+      assertIpAllowed: vi.fn(),
+      assertAccountAllowed: vi.fn(),
+      recordFailure: vi.fn(),
+      recordSuccess: vi.fn(),
+      unlockAccount: vi.fn()
     };
 
-    // Create service with mock repository (Dependency Injection)
-    authService = new AuthService(mockUserRepository);
+    mockTwoFactorService = { verifyChallenge: vi.fn() };
+
+    // Create service with mock repositories (Dependency Injection)
+    authService = new AuthService(
+      mockUserRepository,
+      mockRefreshTokenRepository,
+      mockOrderRepository,
+      mockCartRepository,
+      mockLoginProtectionService,
+      mockTwoFactorService
+    );
 
     // Setup default mock implementations
     generateToken.mockReturnValue('mock-jwt-token');
@@ -251,6 +299,171 @@ describe('AuthService', () => {
 
       expect(result.user).not.toHaveProperty('password');
     });
+
+    it('should refuse to sign in a disabled account', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue({ ...mockUser, password: 'hashed', isActive: false });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await expect(authService.login(mockUser.email, 'password123')).rejects.toMatchObject({
+        message: 'Your account has been disabled',
+        statusCode: 403
+      });
+      expect(mockRefreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should count a wrong password against the account and IP', async () => {
+      const user = { ...mockUser, password: 'hashed' };
+      const context = { ip: '10.0.0.1', userAgent: 'Firefox' };
+      mockUserRepository.findByEmail.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(authService.login(mockUser.email, 'wrong', context)).rejects.toThrow('Invalid credentials');
+
+      expect(mockLoginProtectionService.recordFailure).toHaveBeenCalledWith(user, mockUser.email, context);
+      expect(mockLoginProtectionService.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should count attempts on unknown emails against the IP', async () => {
+      const context = { ip: '10.0.0.1' };
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+
+      await expect(authService.login('nobody@example.com', 'password', context)).rejects.toThrow('Invalid credentials');
+
+      expect(mockLoginProtectionService.recordFailure).toHaveBeenCalledWith(null, 'nobody@example.com', context);
+    });
+
+    it('should not check the password of a throttled IP', async () => {
+      const throttled = Object.assign(new Error('Too many failed login attempts from your network'), { statusCode: 429 });
+      mockLoginProtectionService.assertIpAllowed.mockRejectedValue(throttled);
+
+      await expect(authService.login(mockUser.email, 'password123', { ip: '10.0.0.1' })).rejects.toBe(throttled);
+
+      expect(mockUserRepository.findByEmail).not.toHaveBeenCalled();
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it('should not check the password of a locked account', async () => {
+      const locked = Object.assign(new Error('Your account is locked'), { statusCode: 429, retryAfter: 900 });
+      mockUserRepository.findByEmail.mockResolvedValue({ ...mockUser, password: 'hashed' });
+      mockLoginProtectionService.assertAccountAllowed.mockRejectedValue(locked);
+
+      await expect(authService.login(mockUser.email, 'password123')).rejects.toBe(locked);
+
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(mockRefreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should surface the lockout when a wrong password locks the account', async () => {
+      const locked = Object.assign(new Error('Your account is locked'), { statusCode: 429, retryAfter: 900 });
+      mockUserRepository.findByEmail.mockResolvedValue({ ...mockUser, password: 'hashed' });
+      bcrypt.compare.mockResolvedValue(false);
+      mockLoginProtectionService.recordFailure.mockRejectedValue(locked);
+
+      await expect(authService.login(mockUser.email, 'wrong')).rejects.toBe(locked);
+    });
+
+    it('should clear the failure count after a successful login', async () => {
+      const user = { ...mockUser, password: 'hashed', failedLoginAttempts: 2 };
+      mockUserRepository.findByEmail.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await authService.login(mockUser.email, 'password123', { ip: '10.0.0.1' });
+
+      expect(mockLoginProtectionService.recordSuccess).toHaveBeenCalledWith(user, { ip: '10.0.0.1' });
+    });
+  });
+
+  describe('two-factor login', () => {
+    const enrolled = { ...mockUser, password: 'hashed', twoFactorEnabled: true, twoFactorSecret: 'SECRET' };
+
+    it('should answer a correct password with a pre-auth token instead of a session', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(enrolled);
+      bcrypt.compare.mockResolvedValue(true);
+      generatePreAuthToken.mockReturnValue('pre-auth-token');
+
+      const result = await authService.login(mockUser.email, 'password123');
+
+      expect(result).toEqual({ twoFactorRequired: true, preAuthToken: 'pre-auth-token' });
+      expect(generatePreAuthToken).toHaveBeenCalledWith(mockUser._id);
+      expect(mockRefreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep the failure count until the code step succeeds', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue({ ...enrolled, failedLoginAttempts: 4 });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await authService.login(mockUser.email, 'password123', { ip: '10.0.0.1' });
+
+      // Otherwise re-entering a known password between code guesses would reset the lockout
+      expect(mockLoginProtectionService.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should start a session once the code checks out', async () => {
+      verifyPreAuthToken.mockReturnValue({ userId: mockUser._id, purpose: '2fa' });
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolled);
+      mockTwoFactorService.verifyChallenge.mockResolvedValue(true);
+
+      const result = await authService.completeTwoFactorLogin('pre-auth-token', '123456', { ip: '10.0.0.1' });
+
+      expect(mockTwoFactorService.verifyChallenge).toHaveBeenCalledWith(enrolled, '123456');
+      expect(mockLoginProtectionService.recordSuccess).toHaveBeenCalledWith(enrolled, { ip: '10.0.0.1' });
+      expect(result.token).toBe('mock-jwt-token');
+      expect(result.user.twoFactorEnabled).toBe(true);
+      expect(mockRefreshTokenRepository.create).toHaveBeenCalled();
+    });
+
+    it('should count a wrong code as a failed login', async () => {
+      verifyPreAuthToken.mockReturnValue({ userId: mockUser._id, purpose: '2fa' });
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolled);
+      mockTwoFactorService.verifyChallenge.mockResolvedValue(false);
+
+      await expect(authService.completeTwoFactorLogin('pre-auth-token', '000000')).rejects.toMatchObject({
+        message: 'Invalid verification code',
+        statusCode: 400
+      });
+      expect(mockLoginProtectionService.recordFailure).toHaveBeenCalledWith(enrolled, mockUser.email, {});
+      expect(mockRefreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expired pre-auth token', async () => {
+      verifyPreAuthToken.mockImplementation(() => {
+        throw new Error('Invalid or expired token');
+      });
+
+      await expect(authService.completeTwoFactorLogin('old-token', '123456')).rejects.toMatchObject({
+        message: 'Your sign-in has expired. Please log in again',
+        statusCode: 401
+      });
+    });
+
+    it('should require both the token and a code', async () => {
+      await expect(authService.completeTwoFactorLogin('pre-auth-token', '')).rejects.toMatchObject({
+        message: 'Verification code is required',
+        statusCode: 400
+      });
+    });
+
+    it('should respect an account lockout', async () => {
+      const locked = Object.assign(new Error('Your account is locked'), { statusCode: 429 });
+      verifyPreAuthToken.mockReturnValue({ userId: mockUser._id, purpose: '2fa' });
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolled);
+      mockLoginProtectionService.assertAccountAllowed.mockRejectedValue(locked);
+
+      await expect(authService.completeTwoFactorLogin('pre-auth-token', '123456')).rejects.toBe(locked);
+      expect(mockTwoFactorService.verifyChallenge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should return the unlocked user', async () => {
+      mockLoginProtectionService.unlockAccount.mockResolvedValue({ ...mockUser });
+
+      const result = await authService.unlockAccount('raw-token', { ip: '10.0.0.1' });
+
+      expect(mockLoginProtectionService.unlockAccount).toHaveBeenCalledWith('raw-token', { ip: '10.0.0.1' });
+      expect(result.email).toBe(mockUser.email);
+      expect(result).not.toHaveProperty('password');
+    });
   });
 
   describe('getProfile', () => {
@@ -264,7 +477,7 @@ describe('AuthService', () => {
 
       const result = await authService.getProfile(userId);
 
-      expect(result).toEqual(mockUser);
+      expect(result).toEqual({ ...mockUser, twoFactorRequired: false });
       expect(mockUserRepository.findById).toHaveBeenCalledWith(userId);
     });
 
@@ -279,5 +492,374 @@ describe('AuthService', () => {
       await expect(authService.getProfile(userId)).rejects.toThrow('User not found');
     });
   });
-});
 
+  describe('requestPasswordReset', () => {
+    it('should store a hashed expiring token and email the raw token', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue({ ...mockUser, name: 'Test User' });
+      sendEmail.mockResolvedValue({ success: true });
+
+      await authService.requestPasswordReset(' test@example.com ');
+
+      expect(mockUserRepository.findByEmail).toHaveBeenCalledWith('test@example.com');
+      const [, resetData] = mockUserRepository.update.mock.calls[0];
+      const [to, template, emailData] = sendEmail.mock.calls[0];
+      expect(to).toBe(mockUser.email);
+      expect(template).toBe('passwordReset');
+      expect(emailData.userName).toBe('Test User');
+      expect(resetData.passwordResetToken).toBe(hashToken(emailData.resetToken));
+      expect(resetData.passwordResetToken).not.toBe(emailData.resetToken);
+      expect(resetData.passwordResetExpires.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+    });
+
+    it('should do nothing for unknown emails', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+
+      await expect(authService.requestPasswordReset('nobody@example.com')).resolves.toBeUndefined();
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not reveal email delivery failures', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(mockUser);
+      sendEmail.mockRejectedValue(new Error('Failed to send email: timeout'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(authService.requestPasswordReset('test@example.com')).resolves.toBeUndefined();
+    });
+
+    it('should reject invalid emails', async () => {
+      await expect(authService.requestPasswordReset('not-an-email')).rejects.toThrow('A valid email is required');
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should consume the token and save the new password', async () => {
+      const user = { ...mockUser };
+      mockUserRepository.claimPasswordResetToken.mockResolvedValue(user);
+
+      await authService.resetPassword('raw-token', 'newpassword');
+
+      expect(mockUserRepository.claimPasswordResetToken).toHaveBeenCalledWith(hashToken('raw-token'));
+      expect(user.password).toBe('newpassword');
+      expect(mockUserRepository.save).toHaveBeenCalledWith(user);
+    });
+
+    it('should sign the user out on every device', async () => {
+      mockUserRepository.claimPasswordResetToken.mockResolvedValue({ ...mockUser });
+
+      await authService.resetPassword('raw-token', 'newpassword');
+
+      expect(mockRefreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith(mockUser._id);
+    });
+
+    it('should lift a login lockout', async () => {
+      const user = { ...mockUser, failedLoginAttempts: 10, lockUntil: new Date(Date.now() + 60000) };
+      mockUserRepository.claimPasswordResetToken.mockResolvedValue(user);
+
+      await authService.resetPassword('raw-token', 'newpassword');
+
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lockUntil).toBeUndefined();
+    });
+
+    it('should reject invalid, expired or used tokens', async () => {
+      mockUserRepository.claimPasswordResetToken.mockResolvedValue(null);
+
+      await expect(
+        authService.resetPassword('used-token', 'newpassword')
+      ).rejects.toMatchObject({ message: 'Password reset link is invalid or has expired', statusCode: 400 });
+      expect(mockUserRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('should validate the new password before using the token', async () => {
+      await expect(authService.resetPassword('raw-token', '123')).rejects.toThrow('Password must be at least 6 characters');
+      await expect(authService.resetPassword('', 'newpassword')).rejects.toThrow('Reset token is required');
+      expect(mockUserRepository.claimPasswordResetToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email verification', () => {
+    it('should email a verification link on registration', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+      mockUserRepository.create.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439011',
+        name: 'Test User',
+        email: 'test@example.com',
+        role: 'customer',
+        emailVerified: false
+      });
+
+      const result = await authService.register({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+
+      expect(result.user.emailVerified).toBe(false);
+      const [userId, tokenData] = mockUserRepository.update.mock.calls[0];
+      const [to, template, emailData] = sendEmail.mock.calls[0];
+      expect(userId).toBe('507f1f77bcf86cd799439011');
+      expect(to).toBe('test@example.com');
+      expect(template).toBe('emailVerification');
+      expect(tokenData.emailVerificationToken).toBe(hashToken(emailData.verificationToken));
+      expect(tokenData.emailVerificationExpires.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('should still register the user when the email cannot be sent', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+      mockUserRepository.create.mockResolvedValue({ _id: 'u1', name: 'Test User', email: 'test@example.com' });
+      sendEmail.mockRejectedValue(new Error('Failed to send email: timeout'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await authService.register({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+
+      expect(result.token).toBe('mock-jwt-token');
+    });
+
+    it('should verify the address behind a valid token', async () => {
+      const verifiedUser = { ...mockUser, emailVerified: true };
+      mockUserRepository.claimEmailVerificationToken.mockResolvedValue(verifiedUser);
+
+      const result = await authService.verifyEmail('raw-token');
+
+      expect(result).toEqual(verifiedUser);
+      expect(mockUserRepository.claimEmailVerificationToken).toHaveBeenCalledWith(hashToken('raw-token'));
+    });
+
+    it('should reject invalid or expired verification tokens', async () => {
+      mockUserRepository.claimEmailVerificationToken.mockResolvedValue(null);
+
+      await expect(authService.verifyEmail('stale')).rejects.toThrow('Verification link is invalid or has expired');
+      await expect(authService.verifyEmail('')).rejects.toThrow('Verification token is required');
+    });
+
+    it('should resend the link to unverified users only', async () => {
+      mockUserRepository.findById.mockResolvedValueOnce({ ...mockUser, emailVerified: false });
+      sendEmail.mockResolvedValue({ success: true });
+
+      await authService.resendVerificationEmail(mockUser._id);
+      expect(sendEmail).toHaveBeenCalledWith(mockUser.email, 'emailVerification', expect.any(Object));
+
+      mockUserRepository.findById.mockResolvedValueOnce({ ...mockUser, emailVerified: true });
+      await expect(authService.resendVerificationEmail(mockUser._id)).rejects.toThrow('Email address is already verified');
+    });
+  });
+
+  describe('refresh tokens', () => {
+    const storedToken = (overrides = {}) => ({
+      _id: 'token-1',
+      user: mockUser._id,
+      family: 'family-1',
+      userAgent: 'Firefox',
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...overrides
+    });
+
+    it('should start a new token family on login and store only the hash', async () => {
+      mockUserRepository.findByEmail.mockResolvedValue({ ...mockUser, password: 'hashed' });
+      bcrypt.compare.mockResolvedValue(true);
+
+      const result = await authService.login(mockUser.email, 'password123', { userAgent: 'Firefox' });
+
+      expect(result.refreshToken).toEqual(expect.any(String));
+      const created = mockRefreshTokenRepository.create.mock.calls[0][0];
+      expect(created).toMatchObject({ user: mockUser._id, userAgent: 'Firefox', family: expect.any(String) });
+      expect(created.tokenHash).toBe(hashToken(result.refreshToken));
+      expect(created.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should rotate a live token within the same family', async () => {
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValue(storedToken());
+      mockRefreshTokenRepository.markRotated.mockResolvedValue({ _id: 'token-1' });
+      mockUserRepository.findById.mockResolvedValue(mockUser);
+
+      const result = await authService.refreshSession('old-token', {});
+
+      expect(mockRefreshTokenRepository.findByTokenHash).toHaveBeenCalledWith(hashToken('old-token'));
+      expect(result.token).toBe('mock-jwt-token');
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(mockRefreshTokenRepository.markRotated).toHaveBeenCalledWith('token-1', hashToken(result.refreshToken));
+      expect(mockRefreshTokenRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        tokenHash: hashToken(result.refreshToken),
+        family: 'family-1',
+        userAgent: 'Firefox'
+      }));
+      expect(mockRefreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValue(storedToken({ revokedAt: new Date() }));
+
+      await expect(authService.refreshSession('stolen-token')).rejects.toMatchObject({
+        message: 'Session has been revoked. Please log in again',
+        statusCode: 401
+      });
+      expect(mockRefreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family-1');
+      expect(mockRefreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should treat losing a concurrent rotation as reuse', async () => {
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValue(storedToken());
+      mockRefreshTokenRepository.markRotated.mockResolvedValue(null);
+
+      await expect(authService.refreshSession('old-token')).rejects.toThrow('Session has been revoked');
+      expect(mockRefreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family-1');
+    });
+
+    it('should not renew the session of a disabled account', async () => {
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValue(storedToken());
+      mockRefreshTokenRepository.markRotated.mockResolvedValue({ _id: 'token-1' });
+      mockUserRepository.findById.mockResolvedValue({ ...mockUser, isActive: false });
+
+      await expect(authService.refreshSession('old-token')).rejects.toMatchObject({
+        message: 'Your account has been disabled',
+        statusCode: 401
+      });
+      expect(mockRefreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family-1');
+      expect(mockRefreshTokenRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown, missing and expired tokens', async () => {
+      await expect(authService.refreshSession('')).rejects.toMatchObject({ statusCode: 400 });
+
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValueOnce(null);
+      await expect(authService.refreshSession('unknown')).rejects.toMatchObject({
+        message: 'Invalid refresh token',
+        statusCode: 401
+      });
+
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValueOnce(storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+      await expect(authService.refreshSession('expired')).rejects.toThrow('Session has expired');
+      expect(mockRefreshTokenRepository.markRotated).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the family on logout only for the token owner', async () => {
+      mockRefreshTokenRepository.findByTokenHash.mockResolvedValue(storedToken());
+
+      await authService.logout('someone-else', 'refresh-token');
+      expect(mockRefreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+
+      await authService.logout(mockUser._id, 'refresh-token');
+      expect(mockRefreshTokenRepository.revokeFamily).toHaveBeenCalledWith('family-1');
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('should update the name without touching verification', async () => {
+      mockUserRepository.findById.mockResolvedValue({ ...mockUser, emailVerified: true });
+      mockUserRepository.update.mockResolvedValue({ ...mockUser, name: 'New Name', emailVerified: true });
+
+      const result = await authService.updateProfile(mockUser._id, { name: '  New Name ', email: mockUser.email });
+
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { name: 'New Name' });
+      expect(result).toMatchObject({ name: 'New Name', emailVerified: true });
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should require a changed email to be verified again', async () => {
+      mockUserRepository.findById.mockResolvedValue({ ...mockUser, emailVerified: true });
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+      mockUserRepository.update.mockResolvedValue({ ...mockUser, email: 'new@example.com', emailVerified: false });
+
+      const result = await authService.updateProfile(mockUser._id, { email: 'new@example.com' });
+
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { email: 'new@example.com', emailVerified: false });
+      expect(result.emailVerified).toBe(false);
+      expect(sendEmail).toHaveBeenCalledWith('new@example.com', 'emailVerification', expect.any(Object));
+    });
+
+    it('should not treat a change of letter case as a new email', async () => {
+      mockUserRepository.findById.mockResolvedValue({ ...mockUser, emailVerified: true });
+
+      const result = await authService.updateProfile(mockUser._id, { email: `  ${mockUser.email.toUpperCase()} ` });
+
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+      expect(result.emailVerified).toBe(true);
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should store a new email in lowercase', async () => {
+      mockUserRepository.findById.mockResolvedValue(mockUser);
+      mockUserRepository.findByEmail.mockResolvedValue(null);
+      mockUserRepository.update.mockResolvedValue({ ...mockUser, email: 'new@example.com', emailVerified: false });
+
+      await authService.updateProfile(mockUser._id, { email: 'New@Example.com' });
+
+      expect(mockUserRepository.findByEmail).toHaveBeenCalledWith('new@example.com');
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { email: 'new@example.com', emailVerified: false });
+    });
+
+    it('should reject an email that belongs to another account', async () => {
+      mockUserRepository.findById.mockResolvedValue(mockUser);
+      mockUserRepository.findByEmail.mockResolvedValue({ _id: 'someone-else', email: 'taken@example.com' });
+
+      await expect(authService.updateProfile(mockUser._id, { email: 'taken@example.com' })).rejects.toMatchObject({
+        message: 'User already exists with this email',
+        statusCode: 400
+      });
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should validate the name and email', async () => {
+      mockUserRepository.findById.mockResolvedValue(mockUser);
+
+      await expect(authService.updateProfile(mockUser._id, { name: '  ' })).rejects.toThrow('Name is required');
+      await expect(authService.updateProfile(mockUser._id, { email: 'not-an-email' })).rejects.toThrow('Invalid email format');
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should save the new password, revoke other sessions and start a new one', async () => {
+      const user = { ...mockUser, password: 'hashed' };
+      mockUserRepository.findByIdWithPassword.mockResolvedValue(user);
+      bcrypt.compare.mockResolvedValue(true);
+
+      const result = await authService.changePassword(mockUser._id, 'oldpassword', 'newpassword', { userAgent: 'Firefox' });
+
+      expect(bcrypt.compare).toHaveBeenCalledWith('oldpassword', 'hashed');
+      expect(user.password).toBe('newpassword');
+      expect(mockUserRepository.save).toHaveBeenCalledWith(user);
+      expect(mockRefreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith(mockUser._id);
+      expect(result).toEqual({ token: 'mock-jwt-token', refreshToken: expect.any(String) });
+      expect(mockRefreshTokenRepository.create).toHaveBeenCalledWith(expect.objectContaining({ userAgent: 'Firefox' }));
+    });
+
+    it('should reject a wrong current password', async () => {
+      mockUserRepository.findByIdWithPassword.mockResolvedValue({ ...mockUser, password: 'hashed' });
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(authService.changePassword(mockUser._id, 'wrong', 'newpassword')).rejects.toMatchObject({
+        message: 'Current password is incorrect',
+        statusCode: 400
+      });
+      expect(mockUserRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('should validate the new password', async () => {
+      await expect(authService.changePassword(mockUser._id, 'oldpassword', '123')).rejects.toThrow('Password must be at least 6 characters');
+      await expect(authService.changePassword(mockUser._id, '', 'newpassword')).rejects.toThrow('Current password and new password are required');
+      expect(mockUserRepository.findByIdWithPassword).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteAccount', () => {
+    it('should anonymise orders and remove the account', async () => {
+      mockUserRepository.findByIdWithPassword.mockResolvedValue({ ...mockUser, password: 'hashed' });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await authService.deleteAccount(mockUser._id, 'password123');
+
+      expect(mockOrderRepository.anonymizeByUserId).toHaveBeenCalledWith(mockUser._id);
+      expect(mockCartRepository.deleteByUserId).toHaveBeenCalledWith(mockUser._id);
+      expect(mockRefreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith(mockUser._id);
+      expect(mockUserRepository.delete).toHaveBeenCalledWith(mockUser._id);
+    });
+
+    it('should keep the account when the password is wrong', async () => {
+      mockUserRepository.findByIdWithPassword.mockResolvedValue({ ...mockUser, password: 'hashed' });
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(authService.deleteAccount(mockUser._id, 'wrong')).rejects.toThrow('Password is incorrect');
+      await expect(authService.deleteAccount(mockUser._id, '')).rejects.toThrow('Password is required to delete your account');
+      expect(mockOrderRepository.anonymizeByUserId).not.toHaveBeenCalled();
+      expect(mockUserRepository.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,11 +1,14 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { CartService } from '../../../src/services/cartService.js';
+import { ProductService } from '../../../src/services/productService.js';
+import { AppError } from '../../../src/utils/AppError.js';
 import { mockCart, mockProduct } from '../../helpers/mockData.js';
 
 describe('CartService', () => {
   let cartService;
   let mockCartRepository;
   let mockProductService;
+  let mockCouponService;
 
   beforeEach(() => {
     vi.clearAllMocks();
@@ -16,14 +19,20 @@ describe('CartService', () => {
       addItem: vi.fn(),
       updateItemQuantity: vi.fn(),
       removeItem: vi.fn(),
-      clearCart: vi.fn()
+      clearCart: vi.fn(),
+      setCoupon: vi.fn()
     };
 
     mockProductService = {
-      getById: vi.fn()
+      getById: vi.fn(),
+      resolveVariant: vi.fn(ProductService.prototype.resolveVariant)
     };
 
-    cartService = new CartService(mockCartRepository, mockProductService);
+    mockCouponService = {
+      validateCoupon: vi.fn()
+    };
+
+    cartService = new CartService(mockCartRepository, mockProductService, mockCouponService);
   });
 
   describe('getCart', () => {
@@ -57,6 +66,41 @@ describe('CartService', () => {
     });
   });
 
+  describe('getAvailability', () => {
+    it('should report available and reserved stock for each line', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({
+        items: [
+          { product: { _id: 'product1', stock: 5, reserved: 2, isActive: true }, quantity: 3 },
+          { product: { _id: 'product2', stock: 1, reserved: 4, isActive: true }, quantity: 3 },
+          { product: { _id: 'product3', stock: 8 }, quantity: 1 }
+        ]
+      });
+
+      const result = await cartService.getAvailability('userId123');
+
+      expect(result).toEqual([
+        { productId: 'product1', variantId: null, quantity: 3, available: 5, reserved: 2, shortBy: 0 },
+        { productId: 'product2', variantId: null, quantity: 3, available: 1, reserved: 4, shortBy: 2 },
+        { productId: 'product3', variantId: null, quantity: 1, available: 8, reserved: 0, shortBy: 0 }
+      ]);
+    });
+
+    it('should treat products taken off sale as unavailable and skip deleted ones', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({
+        items: [
+          { product: { _id: 'product1', stock: 5, isActive: false }, quantity: 2 },
+          { product: null, quantity: 1 }
+        ]
+      });
+
+      const result = await cartService.getAvailability('userId123');
+
+      expect(result).toEqual([
+        { productId: 'product1', variantId: null, quantity: 2, available: 0, reserved: 0, shortBy: 2 }
+      ]);
+    });
+  });
+
   describe('addItem', () => {
     // TDD Evidence:
     // RED: This test failed because addItem method did not exist
@@ -77,7 +121,7 @@ describe('CartService', () => {
       const result = await cartService.addItem(userId, productId, quantity);
 
       expect(mockProductService.getById).toHaveBeenCalledWith(productId);
-      expect(mockCartRepository.addItem).toHaveBeenCalledWith(userId, productId, quantity);
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith(userId, productId, quantity, null);
       expect(result.items).toHaveLength(1);
     });
 
@@ -116,7 +160,7 @@ describe('CartService', () => {
 
       const result = await cartService.addItem(userId, productId, 3);
 
-      expect(mockCartRepository.addItem).toHaveBeenCalledWith(userId, productId, 3);
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith(userId, productId, 3, null);
       expect(mockCartRepository.updateItemQuantity).not.toHaveBeenCalled();
       expect(result).toEqual(updatedCart);
     });
@@ -151,7 +195,7 @@ describe('CartService', () => {
 
       await cartService.addItem('userId123', mockProduct._id);
 
-      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', mockProduct._id, 1);
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', mockProduct._id, 1, null);
     });
   });
 
@@ -177,7 +221,8 @@ describe('CartService', () => {
       expect(mockCartRepository.updateItemQuantity).toHaveBeenCalledWith(
         userId,
         productId,
-        newQuantity
+        newQuantity,
+        null
       );
     });
 
@@ -229,7 +274,7 @@ describe('CartService', () => {
       const result = await cartService.removeItem(userId, productId);
 
       expect(mockCartRepository.findByUserId).toHaveBeenCalledWith(userId);
-      expect(mockCartRepository.removeItem).toHaveBeenCalledWith(userId, productId);
+      expect(mockCartRepository.removeItem).toHaveBeenCalledWith(userId, productId, null);
       expect(result).toEqual(updatedCart);
     });
   });
@@ -248,8 +293,249 @@ describe('CartService', () => {
       const result = await cartService.clearCart(userId);
 
       expect(result).toEqual(clearedCart);
-      expect(mockCartRepository.clearCart).toHaveBeenCalledWith(userId);
+      expect(mockCartRepository.clearCart).toHaveBeenCalledWith(userId, null);
     });
   });
-});
 
+  describe('applyCoupon', () => {
+    const coupon = { _id: 'coupon123', code: 'SAVE10', description: '10% off', type: 'percentage', value: 10 };
+
+    it('should validate the coupon against the cart and store it', async () => {
+      const cartWithCoupon = { ...mockCart, couponCode: 'SAVE10' };
+      mockCartRepository.findByUserId.mockResolvedValue(mockCart);
+      mockCouponService.validateCoupon.mockResolvedValue({ coupon, discount: 20, freeShipping: false });
+      mockCartRepository.setCoupon.mockResolvedValue(cartWithCoupon);
+
+      const result = await cartService.applyCoupon('userId123', 'save10');
+
+      expect(mockCouponService.validateCoupon).toHaveBeenCalledWith('save10', 'userId123', mockCart.items);
+      expect(mockCartRepository.setCoupon).toHaveBeenCalledWith('userId123', 'SAVE10');
+      expect(result).toEqual({
+        cart: cartWithCoupon,
+        coupon: { code: 'SAVE10', description: '10% off', type: 'percentage', value: 10, discount: 20, freeShipping: false }
+      });
+    });
+
+    it('should throw error when cart is empty', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({ ...mockCart, items: [] });
+
+      await expect(cartService.applyCoupon('userId123', 'SAVE10')).rejects.toThrow('Cart is empty');
+      expect(mockCouponService.validateCoupon).not.toHaveBeenCalled();
+    });
+
+    it('should not store a coupon that does not apply', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue(mockCart);
+      mockCouponService.validateCoupon.mockRejectedValue(new AppError('Coupon has expired', 400));
+
+      await expect(cartService.applyCoupon('userId123', 'OLD')).rejects.toThrow('Coupon has expired');
+      expect(mockCartRepository.setCoupon).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeCoupon', () => {
+    it('should clear the applied coupon', async () => {
+      mockCartRepository.setCoupon.mockResolvedValue(mockCart);
+
+      const result = await cartService.removeCoupon('userId123');
+
+      expect(mockCartRepository.setCoupon).toHaveBeenCalledWith('userId123', null);
+      expect(result).toEqual(mockCart);
+    });
+  });
+
+  describe('getCouponSummary', () => {
+    it('should return null when no coupon is applied', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue(mockCart);
+
+      const result = await cartService.getCouponSummary('userId123');
+
+      expect(result).toBeNull();
+      expect(mockCouponService.validateCoupon).not.toHaveBeenCalled();
+    });
+
+    it('should price the applied coupon against the current items', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({ ...mockCart, couponCode: 'SHIPFREE' });
+      mockCouponService.validateCoupon.mockResolvedValue({
+        coupon: { code: 'SHIPFREE', description: '', type: 'free_shipping', value: 0 },
+        discount: 0,
+        freeShipping: true
+      });
+
+      const result = await cartService.getCouponSummary('userId123');
+
+      expect(result).toEqual(expect.objectContaining({ code: 'SHIPFREE', freeShipping: true, valid: true }));
+    });
+
+    it('should flag a coupon that no longer applies with the reason', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({ ...mockCart, couponCode: 'BIGSPEND' });
+      mockCouponService.validateCoupon.mockRejectedValue(
+        new AppError('Spend at least $500.00 to use this coupon', 400)
+      );
+
+      const result = await cartService.getCouponSummary('userId123');
+
+      expect(result).toEqual({
+        code: 'BIGSPEND',
+        discount: 0,
+        freeShipping: false,
+        valid: false,
+        message: 'Spend at least $500.00 to use this coupon'
+      });
+    });
+  });
+
+  describe('mergeItems', () => {
+    const otherProductId = '507f1f77bcf86cd799439099';
+
+    it('should add guest quantities on top of what is already in the cart', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue(mockCart);
+      mockProductService.getById.mockResolvedValue(mockProduct);
+
+      const result = await cartService.mergeItems('userId123', [{ productId: mockProduct._id, quantity: 3 }]);
+
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', mockProduct._id, 3, null);
+      expect(result).toEqual({ cart: mockCart, adjustments: [] });
+    });
+
+    it('should cap the combined quantity at the available stock', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue(mockCart);
+      mockProductService.getById.mockResolvedValue({ ...mockProduct, stock: 5 });
+
+      const result = await cartService.mergeItems('userId123', [{ productId: mockProduct._id, quantity: 4 }]);
+
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', mockProduct._id, 3, null);
+      expect(result.adjustments).toEqual([
+        { productId: mockProduct._id, variantId: null, name: mockProduct.name, requested: 4, added: 3, reason: 'stock' }
+      ]);
+    });
+
+    it('should combine duplicate guest lines for the same product', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({ ...mockCart, items: [] });
+      mockProductService.getById.mockResolvedValue(mockProduct);
+
+      await cartService.mergeItems('userId123', [
+        { productId: mockProduct._id, quantity: 1 },
+        { productId: mockProduct._id, quantity: 2 }
+      ]);
+
+      expect(mockProductService.getById).toHaveBeenCalledTimes(1);
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', mockProduct._id, 3, null);
+    });
+
+    it('should drop products that are no longer available', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue(mockCart);
+      mockProductService.getById.mockRejectedValue(new AppError('Product not found', 404));
+
+      const result = await cartService.mergeItems('userId123', [{ productId: otherProductId, quantity: 1 }]);
+
+      expect(mockCartRepository.addItem).not.toHaveBeenCalled();
+      expect(result.adjustments).toEqual([
+        { productId: otherProductId, variantId: null, requested: 1, added: 0, reason: 'unavailable' }
+      ]);
+    });
+
+    it('should create the cart when the user has none yet', async () => {
+      const newCart = { _id: 'new-cart-id', user: 'userId123', items: [] };
+      mockCartRepository.findByUserId.mockResolvedValue(null);
+      mockCartRepository.create.mockResolvedValue(newCart);
+      mockProductService.getById.mockResolvedValue(mockProduct);
+
+      await cartService.mergeItems('userId123', [{ productId: mockProduct._id, quantity: 2 }]);
+
+      expect(mockCartRepository.create).toHaveBeenCalledWith('userId123');
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', mockProduct._id, 2, null);
+    });
+
+    it('should reject malformed items', async () => {
+      await expect(cartService.mergeItems('userId123', 'not-an-array')).rejects.toThrow('Items must be an array');
+      await expect(
+        cartService.mergeItems('userId123', [{ productId: mockProduct._id, quantity: 0 }])
+      ).rejects.toThrow('Each item needs a productId and a positive whole quantity');
+      expect(mockCartRepository.addItem).not.toHaveBeenCalled();
+    });
+
+    it('should reject guest carts with too many products', async () => {
+      const items = Array.from({ length: 51 }, (_, index) => ({ productId: `product${index}`, quantity: 1 }));
+
+      await expect(cartService.mergeItems('userId123', items)).rejects.toThrow(
+        'A cart can hold at most 50 different products'
+      );
+    });
+  });
+
+  describe('variants', () => {
+    const small = { _id: 'variantS', sku: 'TEE-S', attributes: { Size: 'S' }, stock: 1, reserved: 1 };
+    const large = { _id: 'variantL', sku: 'TEE-L', attributes: { Size: 'L' }, stock: 6, reserved: 0 };
+    const tee = {
+      ...mockProduct,
+      name: 'Tee',
+      stock: 7,
+      options: [{ name: 'Size', values: ['S', 'L'] }],
+      variants: [small, large]
+    };
+
+    it('should ask for options when a product with variants is added without one', async () => {
+      mockProductService.getById.mockResolvedValue(tee);
+
+      await expect(cartService.addItem('userId123', tee._id, 1)).rejects.toThrow('Please choose options for Tee');
+      expect(mockCartRepository.addItem).not.toHaveBeenCalled();
+    });
+
+    it('should check the chosen variant stock rather than the product total', async () => {
+      mockProductService.getById.mockResolvedValue(tee);
+      mockCartRepository.findByUserId.mockResolvedValue({ items: [] });
+
+      await expect(cartService.addItem('userId123', tee._id, 2, 'variantS')).rejects.toThrow('Insufficient stock');
+    });
+
+    it('should keep each variant on its own cart line', async () => {
+      mockProductService.getById.mockResolvedValue(tee);
+      mockCartRepository.findByUserId.mockResolvedValue({
+        items: [{ product: tee, variant: 'variantL', quantity: 6 }]
+      });
+      mockCartRepository.addItem.mockResolvedValue(mockCart);
+
+      await cartService.addItem('userId123', tee._id, 1, 'variantS');
+
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', tee._id, 1, 'variantS');
+    });
+
+    it('should reject a variant that no longer exists', async () => {
+      mockProductService.getById.mockResolvedValue(tee);
+
+      await expect(cartService.updateItemQuantity('userId123', tee._id, 1, 'variantM'))
+        .rejects.toThrow('The chosen options for Tee are no longer available');
+    });
+
+    it('should report availability per variant', async () => {
+      mockCartRepository.findByUserId.mockResolvedValue({
+        items: [
+          { product: tee, variant: 'variantS', quantity: 2 },
+          { product: tee, variant: 'variantM', quantity: 1 }
+        ]
+      });
+
+      const result = await cartService.getAvailability('userId123');
+
+      expect(result).toEqual([
+        { productId: tee._id, variantId: 'variantS', quantity: 2, available: 1, reserved: 1, shortBy: 1 },
+        { productId: tee._id, variantId: 'variantM', quantity: 1, available: 0, reserved: 0, shortBy: 1 }
+      ]);
+    });
+
+    it('should merge guest lines for different variants separately', async () => {
+      mockProductService.getById.mockResolvedValue(tee);
+      mockCartRepository.findByUserId.mockResolvedValue({ items: [] });
+
+      const result = await cartService.mergeItems('userId123', [
+        { productId: tee._id, variantId: 'variantS', quantity: 1 },
+        { productId: tee._id, variantId: 'variantL', quantity: 2 },
+        { productId: tee._id, variantId: 'variantL', quantity: 1 }
+      ]);
+
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', tee._id, 1, 'variantS');
+      expect(mockCartRepository.addItem).toHaveBeenCalledWith('userId123', tee._id, 3, 'variantL');
+      expect(result.adjustments).toEqual([]);
+    });
+  });
+});
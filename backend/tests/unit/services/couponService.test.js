@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CouponService } from '../../../src/services/couponService.js';
+
+describe('CouponService', () => {
+  let couponService;
+  let mockCouponRepository;
+
+  const now = new Date('2025-06-15T12:00:00Z');
+
+  const laptop = { _id: '507f1f77bcf86cd799439013', name: 'Laptop', price: 100, category: 'Electronics' };
+  const book = { _id: '507f1f77bcf86cd799439020', name: 'Novel', price: 20, category: 'Books' };
+  const items = [
+    { product: laptop, quantity: 1 },
+    { product: book, quantity: 2 }
+  ];
+
+  const buildCoupon = (overrides = {}) => ({
+    _id: '507f1f77bcf86cd799439030',
+    code: 'SAVE10',
+    description: '10% off',
+    type: 'percentage',
+    value: 10,
+    minimumSpend: 0,
+    categories: [],
+    products: [],
+    usageLimit: null,
+    perUserLimit: null,
+    usedCount: 0,
+    redemptions: [],
+    isActive: true,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockCouponRepository = {
+      findAll: vi.fn(),
+      findById: vi.fn(),
+      findByCode: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      delete: vi.fn(),
+      redeem: vi.fn(),
+      release: vi.fn()
+    };
+
+    couponService = new CouponService(mockCouponRepository);
+  });
+
+  describe('create', () => {
+    it('should create a valid coupon', async () => {
+      const data = { code: 'SAVE10', type: 'percentage', value: 10 };
+      mockCouponRepository.findByCode.mockResolvedValue(null);
+      mockCouponRepository.create.mockResolvedValue(buildCoupon());
+
+      const result = await couponService.create(data);
+
+      expect(mockCouponRepository.create).toHaveBeenCalledWith(data);
+      expect(result.code).toBe('SAVE10');
+    });
+
+    it('should ignore usage counters sent by the client', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(null);
+      mockCouponRepository.create.mockResolvedValue(buildCoupon());
+
+      await couponService.create({ code: 'SAVE10', type: 'percentage', value: 10, usedCount: 99, redemptions: [] });
+
+      expect(mockCouponRepository.create).toHaveBeenCalledWith({ code: 'SAVE10', type: 'percentage', value: 10 });
+    });
+
+    it('should reject invalid coupon data', async () => {
+      await expect(couponService.create({ code: 'HALF', type: 'percentage', value: 150 }))
+        .rejects.toThrow('Percentage discount must be between 0 and 100');
+      expect(mockCouponRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a duplicate code', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon());
+
+      await expect(couponService.create({ code: 'save10', type: 'fixed', value: 5 }))
+        .rejects.toThrow('Coupon code already exists');
+    });
+  });
+
+  describe('update', () => {
+    it('should validate the merged coupon before updating', async () => {
+      mockCouponRepository.findById.mockResolvedValue(buildCoupon({ type: 'fixed', value: 5 }));
+
+      await expect(couponService.update('507f1f77bcf86cd799439030', { type: 'percentage', value: 0 }))
+        .rejects.toThrow('Percentage discount must be between 0 and 100');
+      expect(mockCouponRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should allow keeping the same code', async () => {
+      const coupon = buildCoupon();
+      mockCouponRepository.findById.mockResolvedValue(coupon);
+      mockCouponRepository.findByCode.mockResolvedValue(coupon);
+      mockCouponRepository.update.mockResolvedValue({ ...coupon, value: 15 });
+
+      const result = await couponService.update(coupon._id, { code: 'SAVE10', value: 15 });
+
+      expect(mockCouponRepository.update).toHaveBeenCalledWith(coupon._id, { code: 'SAVE10', value: 15 });
+      expect(result.value).toBe(15);
+    });
+
+    it('should throw 404 for an unknown coupon', async () => {
+      mockCouponRepository.findById.mockResolvedValue(null);
+
+      await expect(couponService.update('507f1f77bcf86cd799439099', { value: 5 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete an existing coupon', async () => {
+      mockCouponRepository.findById.mockResolvedValue(buildCoupon());
+
+      await couponService.delete('507f1f77bcf86cd799439030');
+
+      expect(mockCouponRepository.delete).toHaveBeenCalledWith('507f1f77bcf86cd799439030');
+    });
+
+    it('should throw 404 for an invalid id', async () => {
+      await expect(couponService.delete('invalid')).rejects.toThrow('Coupon not found');
+    });
+  });
+
+  describe('validateCoupon', () => {
+    it('should apply a percentage discount to the whole cart', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon());
+
+      const result = await couponService.validateCoupon('save10', 'userId123', items, now);
+
+      expect(mockCouponRepository.findByCode).toHaveBeenCalledWith('save10');
+      expect(result).toEqual(expect.objectContaining({ discount: 14, freeShipping: false }));
+    });
+
+    it('should cap a fixed discount at the eligible subtotal', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(
+        buildCoupon({ code: 'BOOKS50', type: 'fixed', value: 50, categories: ['Books'] })
+      );
+
+      const result = await couponService.validateCoupon('BOOKS50', 'userId123', items, now);
+
+      expect(result.discount).toBe(40);
+    });
+
+    it('should only discount restricted products', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(
+        buildCoupon({ value: 50, products: [laptop._id] })
+      );
+
+      const result = await couponService.validateCoupon('SAVE10', 'userId123', items, now);
+
+      expect(result.discount).toBe(50);
+      expect(result.lineDiscounts).toEqual({ [laptop._id]: 50 });
+    });
+
+    it('should spread the discount over the eligible lines by value', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({ type: 'fixed', value: 10 }));
+
+      const result = await couponService.validateCoupon('SAVE10', 'userId123', items, now);
+
+      // 100 and 40 of a 140 subtotal; the last line absorbs the rounding
+      expect(result.lineDiscounts).toEqual({ [laptop._id]: 7.14, [book._id]: 2.86 });
+    });
+
+    it('should waive shipping for free shipping coupons', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({ type: 'free_shipping', value: 0 }));
+
+      const result = await couponService.validateCoupon('SHIPFREE', 'userId123', items, now);
+
+      expect(result).toEqual(expect.objectContaining({ discount: 0, freeShipping: true }));
+    });
+
+    it('should reject unknown or inactive coupons', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({ isActive: false }));
+
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toMatchObject({ message: 'Coupon not found', statusCode: 404 });
+    });
+
+    it('should reject coupons outside their validity window', async () => {
+      mockCouponRepository.findByCode.mockResolvedValueOnce(
+        buildCoupon({ startsAt: new Date('2025-07-01T00:00:00Z') })
+      );
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toThrow('Coupon is not active yet');
+
+      mockCouponRepository.findByCode.mockResolvedValueOnce(
+        buildCoupon({ expiresAt: new Date('2025-06-01T00:00:00Z') })
+      );
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toThrow('Coupon has expired');
+    });
+
+    it('should enforce the global usage limit', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({ usageLimit: 5, usedCount: 5 }));
+
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toThrow('Coupon usage limit has been reached');
+    });
+
+    it('should enforce the per-customer limit', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({
+        perUserLimit: 1,
+        usedCount: 1,
+        redemptions: [{ user: 'userId123', order: 'order1' }]
+      }));
+
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toThrow('You have already used this coupon');
+      await expect(couponService.validateCoupon('SAVE10', 'otherUser', items, now))
+        .resolves.toEqual(expect.objectContaining({ discount: 14 }));
+    });
+
+    it('should enforce the minimum spend', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({ minimumSpend: 200 }));
+
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toThrow('Spend at least $200.00 to use this coupon');
+    });
+
+    it('should reject a coupon that matches no cart items', async () => {
+      mockCouponRepository.findByCode.mockResolvedValue(buildCoupon({ categories: ['Toys'] }));
+
+      await expect(couponService.validateCoupon('SAVE10', 'userId123', items, now))
+        .rejects.toThrow('Coupon does not apply to any items in your cart');
+    });
+
+    it('should require a code', async () => {
+      await expect(couponService.validateCoupon('  ', 'userId123', items, now))
+        .rejects.toThrow('Coupon code is required');
+    });
+  });
+
+  describe('redeem', () => {
+    it('should record the redemption against the order', async () => {
+      const coupon = buildCoupon();
+      mockCouponRepository.redeem.mockResolvedValue({ ...coupon, usedCount: 1 });
+
+      await couponService.redeem(coupon, 'userId123', 'order123');
+
+      expect(mockCouponRepository.redeem).toHaveBeenCalledWith(coupon._id, 'userId123', 'order123', null);
+    });
+
+    it('should redeem inside the checkout transaction when given a session', async () => {
+      const coupon = buildCoupon();
+      const session = { id: 'session' };
+      mockCouponRepository.redeem.mockResolvedValue({ ...coupon, usedCount: 1 });
+
+      await couponService.redeem(coupon, 'userId123', 'order123', session);
+
+      expect(mockCouponRepository.redeem).toHaveBeenCalledWith(coupon._id, 'userId123', 'order123', session);
+    });
+
+    it('should fail when the last use was taken concurrently', async () => {
+      mockCouponRepository.redeem.mockResolvedValue(null);
+      mockCouponRepository.findById.mockResolvedValue(buildCoupon({ usageLimit: 1, usedCount: 1 }));
+
+      await expect(couponService.redeem(buildCoupon({ usageLimit: 1 }), 'userId123', 'order123'))
+        .rejects.toThrow('Coupon usage limit has been reached');
+    });
+
+    it('should fail when a concurrent checkout used up the customer\'s uses', async () => {
+      mockCouponRepository.redeem.mockResolvedValue(null);
+      mockCouponRepository.findById.mockResolvedValue(
+        buildCoupon({ perUserLimit: 1, redemptions: [{ user: 'userId123', order: 'order122' }] })
+      );
+
+      await expect(couponService.redeem(buildCoupon({ perUserLimit: 1 }), 'userId123', 'order123'))
+        .rejects.toThrow('You have already used this coupon');
+    });
+  });
+
+  describe('release', () => {
+    it('should give back the use inside the caller\'s transaction', async () => {
+      const session = { id: 'session' };
+      mockCouponRepository.release.mockResolvedValue(buildCoupon({ usedCount: 0 }));
+
+      await couponService.release('couponId', 'userId123', 'order123', session);
+
+      expect(mockCouponRepository.release).toHaveBeenCalledWith('couponId', 'userId123', 'order123', session);
+    });
+  });
+});
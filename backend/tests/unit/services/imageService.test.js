@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import sharp from 'sharp';
+import { ImageService, IMAGE_SIZES } from '../../../src/services/imageService.js';
+
+// In-memory stand-in for the storage adapter
+const createStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    save: vi.fn(async (key, buffer) => {
+      files.set(key, buffer);
+      return `/uploads/${key}`;
+    }),
+    delete: vi.fn(async (key) => {
+      files.delete(key);
+    })
+  };
+};
+
+const createPhoto = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } }).jpeg().toBuffer();
+
+describe('ImageService', () => {
+  let storage;
+  let imageService;
+
+  beforeEach(() => {
+    storage = createStorage();
+    imageService = new ImageService(storage);
+  });
+
+  describe('processUpload', () => {
+    it('should store a WebP copy of the image at each size', async () => {
+      const buffer = await createPhoto(2400, 1600);
+
+      const image = await imageService.processUpload({ originalname: 'tee.jpg', buffer }, '  Red tee, front  ');
+
+      expect(image.alt).toBe('Red tee, front');
+      expect(image.keys).toHaveLength(3);
+      for (const [size, edge] of Object.entries(IMAGE_SIZES)) {
+        const key = image.keys.find((candidate) => candidate.endsWith(`/${size}.webp`));
+        expect(image[size]).toBe(`/uploads/${key}`);
+
+        const metadata = await sharp(storage.files.get(key)).metadata();
+        expect(metadata.format).toBe('webp');
+        expect(metadata.width).toBe(edge);
+        expect(metadata.height).toBe(Math.round(edge * 2 / 3));
+      }
+    });
+
+    it('should not enlarge small images', async () => {
+      const buffer = await createPhoto(300, 300);
+
+      const image = await imageService.processUpload({ originalname: 'small.jpg', buffer });
+
+      const large = await sharp(storage.files.get(image.keys[2])).metadata();
+      expect(large.width).toBe(300);
+    });
+
+    it('should reject files that are not images', async () => {
+      await expect(
+        imageService.processUpload({ originalname: 'notes.jpg', buffer: Buffer.from('not an image') })
+      ).rejects.toMatchObject({ message: 'notes.jpg is not a valid image', statusCode: 400 });
+      expect(storage.save).not.toHaveBeenCalled();
+    });
+
+    it('should delete the sizes already stored when storing one fails', async () => {
+      const buffer = await createPhoto(800, 800);
+      storage.save.mockImplementationOnce(async (key, data) => {
+        storage.files.set(key, data);
+        return `/uploads/${key}`;
+      });
+      storage.save.mockRejectedValueOnce(new Error('Disk full'));
+
+      await expect(imageService.processUpload({ originalname: 'tee.jpg', buffer })).rejects.toThrow('Disk full');
+
+      expect(storage.delete).toHaveBeenCalledTimes(1);
+      expect(storage.files.size).toBe(0);
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete every stored size', async () => {
+      await imageService.remove({ keys: ['products/a/thumbnail.webp', 'products/a/medium.webp'] });
+
+      expect(storage.delete).toHaveBeenCalledWith('products/a/thumbnail.webp');
+      expect(storage.delete).toHaveBeenCalledWith('products/a/medium.webp');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { LoginProtectionService } from '../../../src/services/loginProtectionService.js';
+import { sendEmail } from '../../../src/utils/emailService.js';
+import { hashToken } from '../../../src/utils/secureToken.js';
+import { TooManyRequestsError } from '../../../src/utils/AppError.js';
+import { mockUser } from '../../helpers/mockData.js';
+
+// Mock dependencies
+vi.mock('../../../src/utils/emailService.js', () => ({
+  sendEmail: vi.fn()
+}));
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(NOW.getTime() - seconds * 1000);
+
+describe('LoginProtectionService', () => {
+  let loginProtectionService;
+  let mockUserRepository;
+  let mockLoginAttemptRepository;
+  let mockAuditLogRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+
+    mockUserRepository = {
+      recordFailedLogin: vi.fn(),
+      lockAccount: vi.fn(),
+      clearFailedLogins: vi.fn(),
+      claimUnlockToken: vi.fn()
+    };
+    mockLoginAttemptRepository = {
+      create: vi.fn(),
+      countByIpSince: vi.fn().mockResolvedValue(0)
+    };
+    mockAuditLogRepository = { create: vi.fn() };
+
+    loginProtectionService = new LoginProtectionService(
+      mockUserRepository,
+      mockLoginAttemptRepository,
+      mockAuditLogRepository
+    );
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getDelaySeconds', () => {
+    it('should allow a few failures and then double the delay up to a minute', () => {
+      expect(loginProtectionService.getDelaySeconds(0)).toBe(0);
+      expect(loginProtectionService.getDelaySeconds(2)).toBe(0);
+      expect(loginProtectionService.getDelaySeconds(3)).toBe(1);
+      expect(loginProtectionService.getDelaySeconds(4)).toBe(2);
+      expect(loginProtectionService.getDelaySeconds(6)).toBe(8);
+      expect(loginProtectionService.getDelaySeconds(9)).toBe(60);
+    });
+  });
+
+  describe('assertIpAllowed', () => {
+    it('should block an IP with too many recent failures', async () => {
+      mockLoginAttemptRepository.countByIpSince.mockResolvedValue(50);
+
+      const error = await loginProtectionService.assertIpAllowed({ ip: '10.0.0.1' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(TooManyRequestsError);
+      expect(error.statusCode).toBe(429);
+      expect(error.retryAfter).toBe(900);
+      expect(mockLoginAttemptRepository.countByIpSince).toHaveBeenCalledWith('10.0.0.1', secondsAgo(900));
+    });
+
+    it('should allow an IP under the limit', async () => {
+      mockLoginAttemptRepository.countByIpSince.mockResolvedValue(49);
+
+      await expect(loginProtectionService.assertIpAllowed({ ip: '10.0.0.1' })).resolves.toBeUndefined();
+    });
+
+    it('should skip the check when the IP is unknown', async () => {
+      await loginProtectionService.assertIpAllowed({});
+
+      expect(mockLoginAttemptRepository.countByIpSince).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertAccountAllowed', () => {
+    it('should reject a locked account and audit the attempt', async () => {
+      const user = { ...mockUser, lockUntil: new Date(NOW.getTime() + 10 * 60 * 1000) };
+
+      const error = await loginProtectionService.assertAccountAllowed(user, { ip: '10.0.0.1' }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(TooManyRequestsError);
+      expect(error.retryAfter).toBe(600);
+      expect(error.message).toContain('locked for 10 minutes');
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'locked_account_login', user: mockUser._id, ip: '10.0.0.1' })
+      );
+    });
+
+    it('should make the client wait out the progressive delay', async () => {
+      const user = { ...mockUser, failedLoginAttempts: 5, lastFailedLoginAt: secondsAgo(1) };
+
+      const error = await loginProtectionService.assertAccountAllowed(user).catch((err) => err);
+
+      expect(error).toBeInstanceOf(TooManyRequestsError);
+      expect(error.retryAfter).toBe(3);
+      expect(error.message).toBe('Too many failed login attempts. Please wait 3 seconds before trying again');
+    });
+
+    it('should allow an attempt once the delay has passed', async () => {
+      const user = { ...mockUser, failedLoginAttempts: 5, lastFailedLoginAt: secondsAgo(5) };
+
+      await expect(loginProtectionService.assertAccountAllowed(user)).resolves.toBeUndefined();
+    });
+
+    it('should ignore failures older than the window and expired locks', async () => {
+      const user = {
+        ...mockUser,
+        failedLoginAttempts: 9,
+        lastFailedLoginAt: secondsAgo(16 * 60),
+        lockUntil: secondsAgo(60)
+      };
+
+      await expect(loginProtectionService.assertAccountAllowed(user)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('recordFailure', () => {
+    it('should record the attempt against the IP and the account', async () => {
+      mockUserRepository.recordFailedLogin.mockResolvedValue({ ...mockUser, failedLoginAttempts: 2 });
+
+      await loginProtectionService.recordFailure(mockUser, mockUser.email, { ip: '10.0.0.1' });
+
+      expect(mockLoginAttemptRepository.create).toHaveBeenCalledWith({ ip: '10.0.0.1', email: mockUser.email });
+      expect(mockUserRepository.recordFailedLogin).toHaveBeenCalledWith(mockUser._id, secondsAgo(900));
+      expect(mockUserRepository.lockAccount).not.toHaveBeenCalled();
+    });
+
+    it('should only record the IP for unknown emails', async () => {
+      await loginProtectionService.recordFailure(null, 'nobody@example.com', { ip: '10.0.0.1' });
+
+      expect(mockLoginAttemptRepository.create).toHaveBeenCalledWith({ ip: '10.0.0.1', email: 'nobody@example.com' });
+      expect(mockUserRepository.recordFailedLogin).not.toHaveBeenCalled();
+    });
+
+    it('should audit the moment an IP reaches the limit', async () => {
+      mockLoginAttemptRepository.countByIpSince.mockResolvedValue(50);
+
+      await loginProtectionService.recordFailure(null, 'nobody@example.com', { ip: '10.0.0.1' });
+
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'ip_throttled', ip: '10.0.0.1', details: { failedAttempts: 50 } })
+      );
+    });
+
+    it('should lock the account, email an unlock link and throw at the threshold', async () => {
+      const lockUntil = new Date(NOW.getTime() + 15 * 60 * 1000);
+      mockUserRepository.recordFailedLogin.mockResolvedValue({ ...mockUser, failedLoginAttempts: 10 });
+      mockUserRepository.lockAccount.mockResolvedValue({ ...mockUser, lockUntil });
+
+      const error = await loginProtectionService
+        .recordFailure(mockUser, mockUser.email, { ip: '10.0.0.1' })
+        .catch((err) => err);
+
+      expect(error).toBeInstanceOf(TooManyRequestsError);
+      expect(error.retryAfter).toBe(900);
+      const [userId, until, tokenHash, expires] = mockUserRepository.lockAccount.mock.calls[0];
+      expect(userId).toBe(mockUser._id);
+      expect(until).toEqual(lockUntil);
+      expect(expires).toEqual(new Date(NOW.getTime() + 24 * 60 * 60 * 1000));
+
+      const [to, template, data] = sendEmail.mock.calls[0];
+      expect(to).toBe(mockUser.email);
+      expect(template).toBe('accountUnlock');
+      expect(hashToken(data.unlockToken)).toBe(tokenHash);
+      expect(data.lockMinutes).toBe(15);
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'account_locked', user: mockUser._id, details: { failedAttempts: 10 } })
+      );
+    });
+
+    it('should not email again when another request already locked the account', async () => {
+      mockUserRepository.recordFailedLogin.mockResolvedValue({ ...mockUser, failedLoginAttempts: 11 });
+      mockUserRepository.lockAccount.mockResolvedValue(null);
+
+      await expect(loginProtectionService.recordFailure(mockUser, mockUser.email)).rejects.toBeInstanceOf(
+        TooManyRequestsError
+      );
+      expect(sendEmail).not.toHaveBeenCalled();
+      expect(mockAuditLogRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should still lock the account when the unlock email fails', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockUserRepository.recordFailedLogin.mockResolvedValue({ ...mockUser, failedLoginAttempts: 10 });
+      mockUserRepository.lockAccount.mockResolvedValue({ ...mockUser, lockUntil: new Date(NOW.getTime() + 900000) });
+      sendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+      await expect(loginProtectionService.recordFailure(mockUser, mockUser.email)).rejects.toBeInstanceOf(
+        TooManyRequestsError
+      );
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should do nothing for an account without recent failures', async () => {
+      await loginProtectionService.recordSuccess({ ...mockUser, failedLoginAttempts: 0 });
+
+      expect(mockUserRepository.clearFailedLogins).not.toHaveBeenCalled();
+    });
+
+    it('should clear a few failures without auditing', async () => {
+      await loginProtectionService.recordSuccess({ ...mockUser, failedLoginAttempts: 1, lastFailedLoginAt: secondsAgo(30) });
+
+      expect(mockUserRepository.clearFailedLogins).toHaveBeenCalledWith(mockUser._id);
+      expect(mockAuditLogRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should audit a login that follows a run of failures', async () => {
+      const user = { ...mockUser, failedLoginAttempts: 6, lastFailedLoginAt: secondsAgo(120) };
+
+      await loginProtectionService.recordSuccess(user, { ip: '10.0.0.1', userAgent: 'Firefox' });
+
+      expect(mockUserRepository.clearFailedLogins).toHaveBeenCalledWith(mockUser._id);
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith({
+        event: 'login_after_failures',
+        user: mockUser._id,
+        email: mockUser.email,
+        ip: '10.0.0.1',
+        userAgent: 'Firefox',
+        details: { failedAttempts: 6 }
+      });
+    });
+
+    it('should not let a failed audit write block the login', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockAuditLogRepository.create.mockRejectedValueOnce(new Error('write failed'));
+      const user = { ...mockUser, failedLoginAttempts: 6, lastFailedLoginAt: secondsAgo(120) };
+
+      await expect(loginProtectionService.recordSuccess(user)).resolves.toBeUndefined();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should consume the hashed token and audit the unlock', async () => {
+      mockUserRepository.claimUnlockToken.mockResolvedValue({ ...mockUser });
+
+      const user = await loginProtectionService.unlockAccount('raw-token', { ip: '10.0.0.1' });
+
+      expect(user.email).toBe(mockUser.email);
+      expect(mockUserRepository.claimUnlockToken).toHaveBeenCalledWith(hashToken('raw-token'));
+      expect(mockAuditLogRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ event: 'account_unlocked', user: mockUser._id })
+      );
+    });
+
+    it('should reject missing, invalid or expired tokens', async () => {
+      mockUserRepository.claimUnlockToken.mockResolvedValue(null);
+
+      await expect(loginProtectionService.unlockAccount('')).rejects.toMatchObject({
+        message: 'Unlock token is required',
+        statusCode: 400
+      });
+      await expect(loginProtectionService.unlockAccount('used-token')).rejects.toMatchObject({
+        message: 'Unlock link is invalid or has expired',
+        statusCode: 400
+      });
+    });
+  });
+});
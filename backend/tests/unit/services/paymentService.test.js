@@ -11,6 +11,9 @@ vi.mock('stripe', () => {
       update: vi.fn(),
       cancel: vi.fn()
     },
+    refunds: {
+      create: vi.fn()
+    },
     webhooks: {
       constructEvent: vi.fn()
     }
@@ -23,8 +26,10 @@ vi.mock('stripe', () => {
 });
 
 // Import after mocks are set up
-import paymentService from '../../../src/services/paymentService.js';
+import paymentService, { PaymentService } from '../../../src/services/paymentService.js';
 import Stripe from 'stripe';
+import FakeProvider from '../../../src/strategies/payment/FakeProvider.js';
+import StripeProvider from '../../../src/strategies/payment/StripeProvider.js';
 
 describe('PaymentService', () => {
   let originalEnv;
@@ -42,6 +47,8 @@ describe('PaymentService', () => {
     delete process.env.STRIPE_TEST_SECRET_KEY;
     delete process.env.PAYMENT_MODE;
     delete process.env.STRIPE_WEBHOOK_SECRET;
+    // Let the configured Stripe key pick the provider
+    delete process.env.PAYMENT_PROVIDER;
   });
 
   afterEach(() => {
@@ -437,27 +444,19 @@ describe('PaymentService', () => {
     // RED: This test failed because handleWebhook didn't exist
     // GREEN: After implementing handleWebhook, test passed
     // REFACTOR: Test still passes
-    // NOTE: Commented out - requires specific .env configuration (no Stripe keys)
-    // The test mode behavior is simple and covered by integration tests
-    it.skip('should return unprocessed when Stripe is not configured', async () => {
-      // Test works whether Stripe is configured or not
-      const result = await paymentService.handleWebhook({ type: 'payment_intent.succeeded' });
-      
-      // If Stripe is not configured, it returns unprocessed
-      // If Stripe is configured, it processes the webhook
-      // Check if service has stripe property (might be null or undefined)
-      const hasStripe = paymentService.stripe !== null && paymentService.stripe !== undefined;
-      
-      if (!hasStripe) {
-        expect(result).toEqual({
-          processed: false,
-          reason: 'Stripe not configured'
-        });
-      } else {
-        // If Stripe is configured, webhook should be processed
-        expect(result).toHaveProperty('processed');
-        expect(result).toHaveProperty('type');
-      }
+    it('should process events even when Stripe is not configured', async () => {
+      const service = new PaymentService(new FakeProvider());
+
+      const result = await service.handleWebhook({
+        type: 'payment_intent.succeeded',
+        data: { object: { id: 'pi_test_123', metadata: { orderId: 'order123' }, amount: 1000, currency: 'usd' } }
+      });
+
+      expect(result).toEqual(expect.objectContaining({
+        processed: true,
+        type: 'payment_succeeded',
+        orderId: 'order123'
+      }));
     });
 
     // TDD Evidence:
@@ -611,15 +610,27 @@ describe('PaymentService', () => {
     // RED: This test failed because verifyWebhookSignature didn't exist
     // GREEN: After implementing verifyWebhookSignature, test passed
     // REFACTOR: Test still passes
-    it('should return parsed payload in test mode when Stripe is not configured', () => {
-      delete process.env.STRIPE_SECRET_KEY;
-      
+    it('should refuse unsigned payloads when no webhook secret is configured', () => {
+      const service = new PaymentService(new FakeProvider());
       const payload = JSON.stringify({ type: 'test' });
-      const result = paymentService.verifyWebhookSignature(payload, 'signature');
       
+      expect(() => service.verifyWebhookSignature(payload, 'signature')).toThrow(
+        'Unsigned webhooks are not allowed'
+      );
+    });
+
+    it('should parse a raw Buffer payload when unsigned webhooks are allowed', () => {
+      const service = new PaymentService(new FakeProvider({ allowUnsignedWebhooks: true }));
+
+      const result = service.verifyWebhookSignature(Buffer.from(JSON.stringify({ type: 'test' })), 'signature');
+
       expect(result).toEqual({ type: 'test' });
     });
 
+    it('should return null when the payload is missing', () => {
+      expect(paymentService.verifyWebhookSignature(undefined, 'signature')).toBeNull();
+    });
+
     // TDD Evidence:
     // RED: This test failed because verifyWebhookSignature didn't verify signatures
     // GREEN: After implementing signature verification, test passed
@@ -677,6 +688,23 @@ describe('PaymentService', () => {
       
       expect(result).toBeNull();
     });
+
+    it('should refuse Stripe events when no webhook secret is configured', () => {
+      const service = new PaymentService(new StripeProvider('sk_test_1234567890'));
+
+      expect(() => service.verifyWebhookSignature(JSON.stringify({ type: 'test' }), 'signature')).toThrow(
+        'Webhook secret is not configured'
+      );
+      expect(mockStripeInstance.webhooks.constructEvent).not.toHaveBeenCalled();
+    });
+
+    it('should accept unsigned Stripe events only when explicitly allowed', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const service = new PaymentService(new StripeProvider('sk_test_1234567890', { allowUnsignedWebhooks: true }));
+
+      expect(service.verifyWebhookSignature(JSON.stringify({ type: 'test' }), 'signature')).toEqual({ type: 'test' });
+      warnSpy.mockRestore();
+    });
   });
 
   describe('cancelPayment', () => {
@@ -751,6 +779,74 @@ describe('PaymentService', () => {
     });
   });
 
+  describe('createRefund', () => {
+    it('should refund through the fake provider in test mode', async () => {
+      const service = new PaymentService(new FakeProvider());
+      const intent = await service.createPaymentIntent('order123', 50, 'userId123');
+      await service.confirmPayment(intent.id);
+
+      const result = await service.createRefund(intent.id, 25.5);
+
+      expect(result).toMatchObject({ status: 'succeeded', amount: 25.5, testMode: true });
+      expect(mockStripeInstance.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('should refund the amount in cents via Stripe API', async () => {
+      process.env.STRIPE_SECRET_KEY = 'sk_test_1234567890';
+
+      vi.resetModules();
+      const { default: service } = await import('../../../src/services/paymentService.js');
+
+      mockStripeInstance.refunds.create.mockResolvedValue({
+        id: 're_123',
+        status: 'succeeded',
+        amount: 2550
+      });
+
+      const result = await service.createRefund('pi_1234567890', 25.5, { orderId: 'order123' });
+
+      expect(mockStripeInstance.refunds.create).toHaveBeenCalledWith(
+        {
+          payment_intent: 'pi_1234567890',
+          amount: 2550,
+          metadata: { orderId: 'order123' }
+        },
+        expect.objectContaining({ idempotencyKey: expect.any(String) })
+      );
+      expect(result).toEqual({ id: 're_123', status: 'succeeded', amount: 25.5 });
+    });
+
+    it('should throw error when refund fails', async () => {
+      process.env.STRIPE_SECRET_KEY = 'sk_test_1234567890';
+
+      vi.resetModules();
+      const { default: service } = await import('../../../src/services/paymentService.js');
+
+      mockStripeInstance.refunds.create.mockRejectedValue(new Error('Charge already refunded'));
+
+      await expect(
+        service.createRefund('pi_1234567890', 10)
+      ).rejects.toThrow('Failed to create refund: Charge already refunded');
+    });
+  });
+
+  describe('with the fake provider', () => {
+    it('should surface a declined card as a 402', async () => {
+      const service = new PaymentService(new FakeProvider());
+      const intent = await service.createPaymentIntent('order123', 20, 'userId123');
+
+      await expect(service.confirmPayment(intent.id, '4000000000000002')).rejects.toMatchObject({
+        message: 'Failed to confirm payment: Your card was declined.',
+        statusCode: 402,
+        code: 'card_declined'
+      });
+    });
+
+    it('should report the provider name', () => {
+      expect(new PaymentService(new FakeProvider()).getProviderName()).toBe('fake');
+    });
+  });
+
   describe('isAvailable', () => {
     // TDD Evidence:
     // RED: This test failed because isAvailable didn't exist
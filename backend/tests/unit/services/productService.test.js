@@ -1,11 +1,13 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { ProductService } from '../../../src/services/productService.js';
-import { validateProductData } from '../../../src/utils/validators.js';
+import { validateProductData, validateProductVariants, validateShippingDetails } from '../../../src/utils/validators.js';
 import { mockProduct } from '../../helpers/mockData.js';
 
 // Mock validators
 vi.mock('../../../src/utils/validators.js', () => ({
-  validateProductData: vi.fn()
+  validateProductData: vi.fn(),
+  validateProductVariants: vi.fn(() => []),
+  validateShippingDetails: vi.fn(() => [])
 }));
 
 describe('ProductService', () => {
@@ -24,7 +26,11 @@ describe('ProductService', () => {
       create: vi.fn(),
       update: vi.fn(),
       delete: vi.fn(),
-      updateStock: vi.fn()
+      updateStock: vi.fn(),
+      restoreStock: vi.fn(),
+      reserveStock: vi.fn(),
+      commitReservedStock: vi.fn(),
+      releaseReservedStock: vi.fn()
     };
 
     productService = new ProductService(mockProductRepository);
@@ -78,6 +84,7 @@ describe('ProductService', () => {
     // GREEN: After adding existence check, test passed
     // REFACTOR: Improved error message, test still passes
     it('should throw error if product not found', async () => {
+      mockProductRepository.updateStock.mockResolvedValue(null);
       mockProductRepository.findById.mockResolvedValue(null);
 
       await expect(productService.getById('nonexistent-id')).rejects.toThrow(
@@ -182,6 +189,26 @@ describe('ProductService', () => {
         'Price must be greater than 0'
       );
     });
+
+    it('should reject unknown tax classes', async () => {
+      mockProductRepository.findById.mockResolvedValue(mockProduct);
+
+      await expect(productService.update(mockProduct._id, { taxClass: 'luxury' })).rejects.toThrow(
+        'Tax class must be one of: standard, reduced, zero'
+      );
+      expect(mockProductRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid shipping details', async () => {
+      mockProductRepository.findById.mockResolvedValue(mockProduct);
+      validateShippingDetails.mockReturnValueOnce(['Weight cannot be negative']);
+
+      await expect(productService.update(mockProduct._id, { weight: -1 })).rejects.toThrow(
+        'Weight cannot be negative'
+      );
+      expect(validateShippingDetails).toHaveBeenCalledWith({ weight: -1 });
+      expect(mockProductRepository.update).not.toHaveBeenCalled();
+    });
   });
 
   describe('delete', () => {
@@ -221,13 +248,22 @@ describe('ProductService', () => {
       const quantity = 5;
       const updatedProduct = { ...mockProduct, stock: mockProduct.stock - quantity };
 
-      mockProductRepository.findById.mockResolvedValue(mockProduct);
       mockProductRepository.updateStock.mockResolvedValue(updatedProduct);
 
       const result = await productService.updateStock(mockProduct._id, quantity);
 
       expect(result).toEqual(updatedProduct);
-      expect(mockProductRepository.updateStock).toHaveBeenCalledWith(mockProduct._id, quantity);
+      expect(mockProductRepository.updateStock).toHaveBeenCalledWith(mockProduct._id, quantity, null, null);
+      expect(mockProductRepository.findById).not.toHaveBeenCalled();
+    });
+
+    it('should pass the session through to the repository', async () => {
+      const session = { id: 'session' };
+      mockProductRepository.updateStock.mockResolvedValue(mockProduct);
+
+      await productService.updateStock(mockProduct._id, 1, session);
+
+      expect(mockProductRepository.updateStock).toHaveBeenCalledWith(mockProduct._id, 1, session, null);
     });
 
     // TDD Evidence:
@@ -248,10 +284,11 @@ describe('ProductService', () => {
     // REFACTOR: Test still passes
     it('should throw error if insufficient stock', async () => {
       const lowStockProduct = { ...mockProduct, stock: 5 };
+      mockProductRepository.updateStock.mockResolvedValue(null);
       mockProductRepository.findById.mockResolvedValue(lowStockProduct);
 
       await expect(productService.updateStock(mockProduct._id, 10)).rejects.toThrow(
-        'Insufficient stock'
+        `Insufficient stock for ${lowStockProduct.name}`
       );
     });
   });
@@ -314,5 +351,351 @@ describe('ProductService', () => {
       expect(mockProductRepository.getCategories).toHaveBeenCalled();
     });
   });
-});
 
+  describe('restoreStock', () => {
+    it('should add the quantity back through the repository with the session', async () => {
+      const session = { id: 'session' };
+      const restoredProduct = { ...mockProduct, stock: mockProduct.stock + 2 };
+      mockProductRepository.restoreStock.mockResolvedValue(restoredProduct);
+
+      const result = await productService.restoreStock(mockProduct._id, 2, session);
+
+      expect(result).toEqual(restoredProduct);
+      expect(mockProductRepository.restoreStock).toHaveBeenCalledWith(mockProduct._id, 2, session, null);
+    });
+
+    it('should restock the product when its last variant has since been deleted', async () => {
+      const session = { id: 'session' };
+      const variantId = '507f1f77bcf86cd799439099';
+      const restoredProduct = { ...mockProduct, variants: [], stock: mockProduct.stock + 2 };
+      mockProductRepository.restoreStock.mockResolvedValueOnce(null).mockResolvedValueOnce(restoredProduct);
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, variants: [] });
+
+      const result = await productService.restoreStock(mockProduct._id, 2, session, variantId);
+
+      expect(result).toEqual(restoredProduct);
+      expect(mockProductRepository.restoreStock).toHaveBeenNthCalledWith(1, mockProduct._id, 2, session, variantId);
+      expect(mockProductRepository.restoreStock).toHaveBeenNthCalledWith(2, mockProduct._id, 2, session);
+    });
+
+    it('should not put a deleted variant\'s units on a product that still sells other variants', async () => {
+      const session = { id: 'session' };
+      const variantId = '507f1f77bcf86cd799439099';
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockProductRepository.restoreStock.mockResolvedValueOnce(null);
+      mockProductRepository.findById.mockResolvedValue({
+        ...mockProduct,
+        variants: [{ _id: '507f1f77bcf86cd799439098', sku: 'TS-M-BLU', stock: 4 }]
+      });
+
+      const result = await productService.restoreStock(mockProduct._id, 2, session, variantId);
+
+      expect(result).toBeNull();
+      expect(mockProductRepository.restoreStock).toHaveBeenCalledTimes(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('2 unit(s) were not restocked'));
+      errorSpy.mockRestore();
+    });
+
+    it('should reject non-positive quantities', async () => {
+      await expect(productService.restoreStock(mockProduct._id, 0)).rejects.toThrow('Quantity must be greater than 0');
+      expect(mockProductRepository.restoreStock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stock reservations', () => {
+    const session = { id: 'session' };
+
+    it('should reserve stock through the repository with the session', async () => {
+      const reservedProduct = { ...mockProduct, stock: mockProduct.stock - 2, reserved: 2 };
+      mockProductRepository.reserveStock.mockResolvedValue(reservedProduct);
+
+      const result = await productService.reserveStock(mockProduct._id, 2, session);
+
+      expect(result).toEqual(reservedProduct);
+      expect(mockProductRepository.reserveStock).toHaveBeenCalledWith(mockProduct._id, 2, session, null);
+    });
+
+    it('should reject non-positive reservations', async () => {
+      await expect(productService.reserveStock(mockProduct._id, 0)).rejects.toThrow('Quantity must be greater than 0');
+      expect(mockProductRepository.reserveStock).not.toHaveBeenCalled();
+    });
+
+    it('should commit and release reservations through the repository', async () => {
+      await productService.commitReservedStock(mockProduct._id, 2, session);
+      await productService.releaseReservedStock(mockProduct._id, 3, session);
+
+      expect(mockProductRepository.commitReservedStock).toHaveBeenCalledWith(mockProduct._id, 2, session, null);
+      expect(mockProductRepository.releaseReservedStock).toHaveBeenCalledWith(mockProduct._id, 3, session, null);
+    });
+  });
+
+  describe('variants', () => {
+    const variantId = '507f1f77bcf86cd799439099';
+    const options = [{ name: 'Size', values: ['S', 'M'] }];
+    const tee = {
+      ...mockProduct,
+      name: 'Tee',
+      options,
+      variants: [
+        { _id: variantId, sku: 'TEE-S', attributes: { Size: 'S' }, stock: 2, reserved: 1 },
+        { _id: '507f1f77bcf86cd799439098', sku: 'TEE-M', attributes: { Size: 'M' }, stock: 4, reserved: 0 }
+      ]
+    };
+
+    describe('resolveVariant', () => {
+      it('should return the chosen variant', () => {
+        expect(productService.resolveVariant(tee, variantId)).toBe(tee.variants[0]);
+      });
+
+      it('should need a choice for products with variants', () => {
+        expect(() => productService.resolveVariant(tee, null)).toThrow('Please choose options for Tee');
+        expect(() => productService.resolveVariant(tee, '507f1f77bcf86cd799439000'))
+          .toThrow('The chosen options for Tee are no longer available');
+      });
+
+      it('should take no variant for single-SKU products', () => {
+        expect(productService.resolveVariant(mockProduct, null)).toBeNull();
+        expect(() => productService.resolveVariant(mockProduct, variantId))
+          .toThrow(`${mockProduct.name} has no options to choose from`);
+      });
+    });
+
+    it('should create a product with stock totalled from its variants', async () => {
+      validateProductData.mockReturnValue([]);
+      mockProductRepository.create.mockImplementation(async (data) => data);
+
+      const result = await productService.create({
+        name: 'Tee',
+        description: 'Cotton tee',
+        price: 20,
+        category: 'Clothing',
+        options,
+        variants: [
+          { sku: ' TEE-S ', attributes: { Size: 'S' }, price: '', stock: 2 },
+          { sku: 'TEE-M', attributes: { Size: 'M' }, price: 25, stock: 4 }
+        ]
+      });
+
+      expect(result.stock).toBe(6);
+      expect(result.reserved).toBe(0);
+      expect(result.variants[0]).toEqual({ sku: 'TEE-S', attributes: { Size: 'S' }, stock: 2, reserved: 0, image: '' });
+      expect(result.variants[1].price).toBe(25);
+      expect(validateProductData).toHaveBeenCalledWith(expect.objectContaining({ stock: 6 }));
+    });
+
+    it('should reject invalid variants before saving', async () => {
+      validateProductVariants.mockReturnValueOnce(['Variant 2 needs a SKU']);
+
+      await expect(productService.create({ ...tee, variants: [{}, {}] })).rejects.toThrow('Variant 2 needs a SKU');
+      expect(mockProductRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep variant ids and reserved units when variants are edited', async () => {
+      mockProductRepository.findById.mockResolvedValue(tee);
+      mockProductRepository.update.mockImplementation(async (id, data) => data);
+
+      const result = await productService.update(tee._id, {
+        variants: [
+          { _id: variantId, sku: 'TEE-S', attributes: { Size: 'S' }, stock: 5 },
+          { sku: 'TEE-M2', attributes: { Size: 'M' }, stock: 1 }
+        ]
+      });
+
+      expect(result.variants[0]).toMatchObject({ _id: variantId, stock: 5, reserved: 1 });
+      // Matched by its option values when the id is not sent back
+      expect(result.variants[1]).toMatchObject({ _id: tee.variants[1]._id, sku: 'TEE-M2' });
+      expect(result.stock).toBe(6);
+      expect(result.reserved).toBe(1);
+      expect(result.options).toEqual(options);
+    });
+
+    it('should not let stock be set directly on a product with variants', async () => {
+      mockProductRepository.findById.mockResolvedValue(tee);
+
+      await expect(productService.update(tee._id, { stock: 10 }))
+        .rejects.toThrow('Stock is set per variant for products with options');
+      expect(mockProductRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should turn the product back into a single SKU when every variant is removed', async () => {
+      mockProductRepository.findById.mockResolvedValue(tee);
+      mockProductRepository.update.mockResolvedValue(mockProduct);
+
+      await productService.update(tee._id, { variants: [], stock: 3 });
+
+      expect(mockProductRepository.update).toHaveBeenCalledWith(tee._id, { variants: [], options: [], stock: 3 });
+    });
+
+    it('should pass the variant to the stock methods', async () => {
+      mockProductRepository.updateStock.mockResolvedValue(tee);
+
+      await productService.updateStock(tee._id, 1, null, variantId);
+      await productService.restoreStock(tee._id, 1, null, variantId);
+
+      expect(mockProductRepository.updateStock).toHaveBeenCalledWith(tee._id, 1, null, variantId);
+      expect(mockProductRepository.restoreStock).toHaveBeenCalledWith(tee._id, 1, null, variantId);
+    });
+  });
+
+  describe('gallery', () => {
+    const productId = '507f1f77bcf86cd799439011';
+    const photo = (id, alt = '') => ({
+      _id: id,
+      alt,
+      thumbnail: `/uploads/products/${id}/thumbnail.webp`,
+      medium: `/uploads/products/${id}/medium.webp`,
+      large: `/uploads/products/${id}/large.webp`,
+      keys: [`products/${id}/thumbnail.webp`, `products/${id}/medium.webp`, `products/${id}/large.webp`]
+    });
+    const file = (name) => ({ originalname: name, buffer: Buffer.from(name) });
+    let mockImageService;
+
+    beforeEach(() => {
+      mockImageService = {
+        processUpload: vi.fn(async (upload, alt) => ({ ...photo(upload.originalname, alt), _id: undefined })),
+        remove: vi.fn()
+      };
+      productService = new ProductService(mockProductRepository, mockImageService);
+      mockProductRepository.update.mockImplementation(async (id, data) => ({ ...mockProduct, ...data }));
+    });
+
+    it('should add uploads to the end of the gallery with their alt text', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a')] });
+
+      await productService.addImages(productId, [file('b'), file('c')], ['Back']);
+
+      expect(mockImageService.processUpload).toHaveBeenCalledWith(file('b'), 'Back');
+      expect(mockImageService.processUpload).toHaveBeenCalledWith(file('c'), '');
+      const update = mockProductRepository.update.mock.calls[0][1];
+      expect(update.images.map((image) => image.thumbnail)).toEqual([
+        '/uploads/products/a/thumbnail.webp',
+        '/uploads/products/b/thumbnail.webp',
+        '/uploads/products/c/thumbnail.webp'
+      ]);
+      expect(update.image).toBe('/uploads/products/a/medium.webp');
+    });
+
+    it('should make the first upload the cover of an empty gallery', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, image: 'https://example.com/old.jpg', images: [] });
+
+      await productService.addImages(productId, [file('a')]);
+
+      expect(mockProductRepository.update.mock.calls[0][1].image).toBe('/uploads/products/a/medium.webp');
+    });
+
+    it('should need at least one file and respect the gallery limit', async () => {
+      await expect(productService.addImages(productId, [])).rejects.toThrow('Choose at least one image to upload');
+
+      mockProductRepository.findById.mockResolvedValue({
+        ...mockProduct,
+        images: Array.from({ length: 11 }, (_, index) => photo(`p${index}`))
+      });
+      await expect(productService.addImages(productId, [file('a'), file('b')])).rejects.toThrow(
+        'A product can have at most 12 images'
+      );
+      expect(mockImageService.processUpload).not.toHaveBeenCalled();
+    });
+
+    it('should delete the files already processed when a later upload fails', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [] });
+      mockImageService.processUpload
+        .mockResolvedValueOnce(photo('a'))
+        .mockRejectedValueOnce(Object.assign(new Error('b is not a valid image'), { statusCode: 400 }));
+
+      await expect(productService.addImages(productId, [file('a'), file('b')])).rejects.toThrow('b is not a valid image');
+
+      expect(mockImageService.remove).toHaveBeenCalledWith(photo('a'));
+      expect(mockProductRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should reorder the gallery and update alt text', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a'), photo('b', 'Back')] });
+
+      await productService.updateImages(productId, [{ _id: 'b' }, { _id: 'a', alt: ' Front ' }]);
+
+      const update = mockProductRepository.update.mock.calls[0][1];
+      expect(update.images.map((image) => [image._id, image.alt])).toEqual([['b', 'Back'], ['a', 'Front']]);
+      expect(update.image).toBe('/uploads/products/b/medium.webp');
+    });
+
+    it('should reject an order that does not list every image once', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a'), photo('b')] });
+      const message = 'List every image of the product once, in the new order';
+
+      await expect(productService.updateImages(productId, [{ _id: 'a' }])).rejects.toThrow(message);
+      await expect(productService.updateImages(productId, [{ _id: 'a' }, { _id: 'a' }])).rejects.toThrow(message);
+      await expect(productService.updateImages(productId, [{ _id: 'a' }, { _id: 'z' }])).rejects.toThrow(message);
+      await expect(productService.updateImages(productId, 'a,b')).rejects.toThrow('Images must be an array');
+    });
+
+    it('should remove an image and its files, moving the cover to the next photo', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a'), photo('b')] });
+
+      await productService.removeImage(productId, 'a');
+
+      const update = mockProductRepository.update.mock.calls[0][1];
+      expect(update.images.map((image) => image._id)).toEqual(['b']);
+      expect(update.image).toBe('/uploads/products/b/medium.webp');
+      expect(mockImageService.remove).toHaveBeenCalledWith(photo('a'));
+    });
+
+    it('should clear the cover when the last image is removed', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a')] });
+
+      await productService.removeImage(productId, 'a');
+
+      expect(mockProductRepository.update.mock.calls[0][1]).toEqual({ images: [], image: '' });
+    });
+
+    it('should return 404 for an unknown image', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a')] });
+
+      await expect(productService.removeImage(productId, 'z')).rejects.toMatchObject({
+        message: 'Image not found',
+        statusCode: 404
+      });
+    });
+
+    it('should keep the product change when deleting files fails', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a')] });
+      mockImageService.remove.mockRejectedValue(new Error('EACCES'));
+
+      const result = await productService.removeImage(productId, 'a');
+
+      expect(result.images).toEqual([]);
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('should delete the gallery files with the product', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a'), photo('b')] });
+      mockProductRepository.delete.mockResolvedValue(mockProduct);
+
+      await productService.delete(productId);
+
+      expect(mockImageService.remove).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ignore gallery fields in product updates and keep the gallery cover', async () => {
+      mockProductRepository.findById.mockResolvedValue({ ...mockProduct, images: [photo('a')] });
+
+      await productService.update(productId, {
+        name: 'Renamed',
+        image: 'https://example.com/typed.jpg',
+        images: [photo('x')]
+      });
+
+      expect(mockProductRepository.update).toHaveBeenCalledWith(productId, { name: 'Renamed' });
+    });
+
+    it('should ignore gallery images sent when creating a product', async () => {
+      validateProductData.mockReturnValue([]);
+      mockProductRepository.create.mockResolvedValue(mockProduct);
+
+      await productService.create({ name: 'Mug', price: 8, images: [photo('x')] });
+
+      expect(mockProductRepository.create).toHaveBeenCalledWith({ name: 'Mug', price: 8 });
+    });
+  });
+});
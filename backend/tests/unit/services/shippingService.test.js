@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ShippingService } from '../../../src/services/shippingService.js';
+
+describe('ShippingService', () => {
+  let shippingService;
+  let mockShippingZoneRepository;
+  let mockCartService;
+
+  const europeZone = {
+    _id: 'zone1',
+    name: 'Europe',
+    countries: ['FRA', 'DEU'],
+    methods: [
+      {
+        code: 'standard',
+        name: 'Standard',
+        rateBasis: 'weight',
+        rates: [{ upTo: 2, price: 8 }, { upTo: 10, price: 15 }],
+        minDays: 3,
+        maxDays: 5
+      },
+      {
+        code: 'express',
+        name: 'Express',
+        rateBasis: 'price',
+        rates: [{ upTo: 200, price: 25 }, { upTo: null, price: 12 }],
+        minDays: 1,
+        maxDays: 2
+      },
+      { code: 'pickup', name: 'Store pickup', rateBasis: 'price', rates: [{ upTo: null, price: 0 }], isActive: false }
+    ]
+  };
+
+  const book = { _id: 'bookId', name: 'Novel', price: 20, weight: 0.5 };
+  const pillow = { _id: 'pillowId', name: 'Pillow', price: 30, weight: 0.4, dimensions: { length: 50, width: 40, height: 20 } };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockShippingZoneRepository = {
+      findAll: vi.fn(),
+      findById: vi.fn(),
+      findByCountry: vi.fn().mockResolvedValue(null),
+      findDefault: vi.fn().mockResolvedValue(null),
+      findByCountries: vi.fn().mockResolvedValue([]),
+      create: vi.fn(),
+      update: vi.fn(),
+      delete: vi.fn()
+    };
+
+    mockCartService = {
+      getCart: vi.fn()
+    };
+
+    shippingService = new ShippingService(mockShippingZoneRepository, mockCartService);
+  });
+
+  describe('create', () => {
+    const zoneData = {
+      name: 'Nordics',
+      countries: [' swe ', 'NOR'],
+      methods: [{ code: 'standard', name: 'Standard', rateBasis: 'weight', rates: [{ upTo: null, price: 9 }] }]
+    };
+
+    it('should create a zone with normalised countries', async () => {
+      mockShippingZoneRepository.create.mockResolvedValue({ _id: 'zone2', ...zoneData });
+
+      await shippingService.create({ ...zoneData, createdAt: 'ignored' });
+
+      expect(mockShippingZoneRepository.create).toHaveBeenCalledWith({ ...zoneData, countries: ['SWE', 'NOR'] });
+    });
+
+    it('should reject a country that already belongs to another zone', async () => {
+      mockShippingZoneRepository.findByCountries.mockResolvedValue([{ ...europeZone, countries: ['NOR'] }]);
+
+      await expect(shippingService.create(zoneData)).rejects.toThrow('NOR is already covered by the Europe zone');
+      expect(mockShippingZoneRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a second default zone', async () => {
+      mockShippingZoneRepository.findDefault.mockResolvedValue({ _id: 'zone9', name: 'Rest of world' });
+
+      await expect(shippingService.create({ ...zoneData, countries: [], isDefault: true }))
+        .rejects.toThrow('Rest of world is already the default zone');
+    });
+
+    it('should reject zones without methods', async () => {
+      await expect(shippingService.create({ ...zoneData, methods: [] }))
+        .rejects.toThrow('At least one shipping method is required');
+    });
+  });
+
+  describe('update', () => {
+    it('should validate the merged zone', async () => {
+      mockShippingZoneRepository.findById.mockResolvedValue(europeZone);
+
+      await expect(shippingService.update('507f1f77bcf86cd799439050', { countries: [] }))
+        .rejects.toThrow('Add at least one country or make this the default zone');
+      expect(mockShippingZoneRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should allow the zone to keep its own countries', async () => {
+      mockShippingZoneRepository.findById.mockResolvedValue(europeZone);
+      mockShippingZoneRepository.findByCountries.mockResolvedValue([europeZone]);
+      mockShippingZoneRepository.update.mockResolvedValue(europeZone);
+
+      await shippingService.update('507f1f77bcf86cd799439050', { name: 'EU' });
+
+      expect(mockShippingZoneRepository.update).toHaveBeenCalled();
+    });
+  });
+
+  describe('getById', () => {
+    it('should 404 for malformed ids', async () => {
+      await expect(shippingService.getById('nope')).rejects.toThrow('Shipping zone not found');
+      expect(mockShippingZoneRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getChargeableWeight', () => {
+    it('should bill bulky items by volumetric weight', () => {
+      // Pillow: 50 * 40 * 20 / 5000 = 8kg volumetric, heavier than its 0.4kg actual weight
+      const weight = shippingService.getChargeableWeight([
+        { product: book, quantity: 2 },
+        { product: pillow, quantity: 1 }
+      ]);
+
+      expect(weight).toBe(9);
+    });
+  });
+
+  describe('getQuote', () => {
+    it('should quote the active methods of the country zone, cheapest first', async () => {
+      mockShippingZoneRepository.findByCountry.mockResolvedValue(europeZone);
+
+      const options = await shippingService.getQuote([{ product: book, quantity: 2 }], { country: 'FRA' });
+
+      expect(mockShippingZoneRepository.findByCountry).toHaveBeenCalledWith('FRA');
+      expect(options).toEqual([
+        { code: 'standard', name: 'Standard', price: 8, minDays: 3, maxDays: 5 },
+        { code: 'express', name: 'Express', price: 25, minDays: 1, maxDays: 2 }
+      ]);
+    });
+
+    it('should leave out methods whose rate table does not reach the cart', async () => {
+      mockShippingZoneRepository.findByCountry.mockResolvedValue(europeZone);
+
+      const options = await shippingService.getQuote(
+        [{ product: pillow, quantity: 2 }],
+        { country: 'FRA' }
+      );
+
+      expect(options.map(option => option.code)).toEqual(['express']);
+    });
+
+    it('should fall back to the default zone', async () => {
+      mockShippingZoneRepository.findDefault.mockResolvedValue({
+        name: 'Rest of world',
+        methods: [{ code: 'standard', name: 'International', rateBasis: 'weight', rates: [{ upTo: null, price: 40 }] }]
+      });
+
+      const options = await shippingService.getQuote([{ product: book, quantity: 1 }], { country: 'JPN' });
+
+      expect(options).toEqual([{ code: 'standard', name: 'International', price: 40 }]);
+    });
+
+    it('should use the built-in rates when no zone is configured', async () => {
+      const small = await shippingService.getQuote([{ product: book, quantity: 1 }], { country: 'USA' });
+      const large = await shippingService.getQuote([{ product: book, quantity: 6 }], { country: 'USA' });
+
+      expect(small[0]).toMatchObject({ code: 'standard', price: 10 });
+      expect(large[0]).toMatchObject({ code: 'standard', price: 0 });
+    });
+  });
+
+  describe('selectMethod', () => {
+    beforeEach(() => {
+      mockShippingZoneRepository.findByCountry.mockResolvedValue(europeZone);
+    });
+
+    it('should return the requested method', async () => {
+      const option = await shippingService.selectMethod([{ product: book, quantity: 1 }], { country: 'FRA' }, 'express');
+
+      expect(option).toMatchObject({ code: 'express', price: 25 });
+    });
+
+    it('should default to standard shipping', async () => {
+      const option = await shippingService.selectMethod([{ product: book, quantity: 1 }], { country: 'FRA' });
+
+      expect(option.code).toBe('standard');
+    });
+
+    it('should reject methods that are not offered', async () => {
+      await expect(
+        shippingService.selectMethod([{ product: book, quantity: 1 }], { country: 'FRA' }, 'pickup')
+      ).rejects.toThrow('Shipping method is not available for this address');
+    });
+
+    it('should reject carts no method can ship', async () => {
+      mockShippingZoneRepository.findByCountry.mockResolvedValue({
+        ...europeZone,
+        methods: [europeZone.methods[0]]
+      });
+
+      await expect(
+        shippingService.selectMethod([{ product: pillow, quantity: 2 }], { country: 'FRA' })
+      ).rejects.toThrow('We do not ship this order to the selected country');
+    });
+  });
+
+  describe('quoteCart', () => {
+    it('should quote the user cart', async () => {
+      mockCartService.getCart.mockResolvedValue({ items: [{ product: book, quantity: 1 }] });
+
+      const options = await shippingService.quoteCart('userId123', { country: 'USA' });
+
+      expect(mockCartService.getCart).toHaveBeenCalledWith('userId123');
+      expect(options).toHaveLength(1);
+    });
+
+    it('should require a country', async () => {
+      await expect(shippingService.quoteCart('userId123', {})).rejects.toThrow('Country is required');
+    });
+
+    it('should reject an empty cart', async () => {
+      mockCartService.getCart.mockResolvedValue({ items: [] });
+
+      await expect(shippingService.quoteCart('userId123', { country: 'USA' })).rejects.toThrow('Cart is empty');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TaxService } from '../../../src/services/taxService.js';
+
+describe('TaxService', () => {
+  let taxService;
+  let mockTaxRuleRepository;
+
+  const countryRule = { _id: 'rule1', country: 'USA', state: '', rates: { standard: 5, reduced: 2 }, pricingMode: 'exclusive' };
+  const stateRule = { _id: 'rule2', country: 'USA', state: 'CA', rates: { standard: 7.25 }, pricingMode: 'exclusive' };
+
+  const laptop = { _id: 'laptopId', name: 'Laptop', price: 100, taxClass: 'standard' };
+  const book = { _id: 'bookId', name: 'Novel', price: 20, taxClass: 'reduced' };
+  const bread = { _id: 'breadId', name: 'Bread', price: 5, taxClass: 'zero' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockTaxRuleRepository = {
+      findAll: vi.fn(),
+      findById: vi.fn(),
+      findByLocation: vi.fn(),
+      findForAddress: vi.fn().mockResolvedValue([]),
+      create: vi.fn(),
+      update: vi.fn(),
+      delete: vi.fn()
+    };
+
+    taxService = new TaxService(mockTaxRuleRepository);
+  });
+
+  describe('create', () => {
+    it('should create a valid tax rule', async () => {
+      const data = { country: 'USA', state: 'NY', rates: { standard: 8.875 } };
+      mockTaxRuleRepository.findByLocation.mockResolvedValue(null);
+      mockTaxRuleRepository.create.mockResolvedValue({ _id: 'rule3', ...data });
+
+      await taxService.create({ ...data, createdAt: 'ignored' });
+
+      expect(mockTaxRuleRepository.create).toHaveBeenCalledWith(data);
+    });
+
+    it('should reject a second rule for the same location', async () => {
+      mockTaxRuleRepository.findByLocation.mockResolvedValue(stateRule);
+
+      await expect(taxService.create({ country: 'USA', state: 'CA', rates: { standard: 8 } }))
+        .rejects.toThrow('A tax rule already exists for this location');
+    });
+
+    it('should reject out of range rates', async () => {
+      await expect(taxService.create({ country: 'USA', rates: { standard: 120 } }))
+        .rejects.toThrow('Tax rates must be between 0 and 100');
+      expect(mockTaxRuleRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should validate the merged rule', async () => {
+      mockTaxRuleRepository.findById.mockResolvedValue(countryRule);
+
+      await expect(taxService.update('507f1f77bcf86cd799439040', { pricingMode: 'gross' }))
+        .rejects.toThrow('Pricing mode must be one of: exclusive, inclusive');
+    });
+
+    it('should not move a rule onto another rule\'s location', async () => {
+      mockTaxRuleRepository.findById.mockResolvedValue(countryRule);
+      mockTaxRuleRepository.findByLocation.mockResolvedValue(stateRule);
+
+      await expect(taxService.update('507f1f77bcf86cd799439040', { state: 'CA' }))
+        .rejects.toThrow('A tax rule already exists for this location');
+    });
+  });
+
+  describe('getById', () => {
+    it('should throw 404 for malformed IDs', async () => {
+      await expect(taxService.getById('bad-id')).rejects.toThrow('Tax rule not found');
+      expect(mockTaxRuleRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveRate', () => {
+    it('should prefer the state rule over the country rule', () => {
+      expect(taxService.resolveRate([stateRule, countryRule], 'standard')).toBe(7.25);
+    });
+
+    it('should fall back to the country rule for classes the state rule does not set', () => {
+      expect(taxService.resolveRate([stateRule, countryRule], 'reduced')).toBe(2);
+    });
+
+    it('should use the standard rate when no rule sets the class', () => {
+      expect(taxService.resolveRate([stateRule], 'reduced')).toBe(7.25);
+    });
+
+    it('should never tax zero-rated products', () => {
+      expect(taxService.resolveRate([stateRule, countryRule], 'zero')).toBe(0);
+    });
+
+    it('should use the default rate when no rule covers the address', () => {
+      expect(taxService.resolveRate([], 'standard')).toBe(10);
+    });
+
+    it('should read rates stored as a Map', () => {
+      const rule = { ...countryRule, rates: new Map([['standard', 6]]) };
+
+      expect(taxService.resolveRate([rule], 'standard')).toBe(6);
+    });
+  });
+
+  describe('calculateTax', () => {
+    const items = [
+      { product: laptop, quantity: 1 },
+      { product: book, quantity: 2 },
+      { product: bread, quantity: 1 }
+    ];
+
+    it('should tax each line at its class rate for the address', async () => {
+      mockTaxRuleRepository.findForAddress.mockResolvedValue([countryRule, stateRule]);
+
+      const result = await taxService.calculateTax(items, { country: 'USA', state: 'CA' });
+
+      expect(mockTaxRuleRepository.findForAddress).toHaveBeenCalledWith('USA', 'CA');
+      expect(result).toEqual({
+        pricingMode: 'exclusive',
+        taxPrice: 8.05,
+        lines: [
+          { product: 'laptopId', taxClass: 'standard', taxRate: 7.25, taxAmount: 7.25, discount: 0 },
+          { product: 'bookId', taxClass: 'reduced', taxRate: 2, taxAmount: 0.8, discount: 0 },
+          { product: 'breadId', taxClass: 'zero', taxRate: 0, taxAmount: 0, discount: 0 }
+        ]
+      });
+    });
+
+    it('should tax only what is left after the line discount', async () => {
+      mockTaxRuleRepository.findForAddress.mockResolvedValue([countryRule]);
+
+      const result = await taxService.calculateTax(items, { country: 'USA', state: 'TX' }, { laptopId: 20 });
+
+      expect(result.lines[0]).toMatchObject({ discount: 20, taxAmount: 4 });
+    });
+
+    it('should extract the tax already included in prices', async () => {
+      mockTaxRuleRepository.findForAddress.mockResolvedValue([
+        { country: 'DE', state: '', rates: { standard: 25 }, pricingMode: 'inclusive' }
+      ]);
+
+      const result = await taxService.calculateTax([{ product: laptop, quantity: 1 }], { country: 'DE' });
+
+      expect(result).toMatchObject({ pricingMode: 'inclusive', taxPrice: 20 });
+    });
+
+    it('should use the default rate without a country', async () => {
+      const result = await taxService.calculateTax([{ product: laptop, quantity: 1 }], {});
+
+      expect(mockTaxRuleRepository.findForAddress).not.toHaveBeenCalled();
+      expect(result.taxPrice).toBe(10);
+    });
+
+    it('should treat products without a tax class as standard', async () => {
+      const result = await taxService.calculateTax(
+        [{ product: { _id: 'legacyId', price: 30 }, quantity: 1 }],
+        { country: 'USA' }
+      );
+
+      expect(result.lines[0]).toMatchObject({ taxClass: 'standard', taxRate: 10, taxAmount: 3 });
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import bcrypt from 'bcryptjs';
+import QRCode from 'qrcode';
+import { TwoFactorService } from '../../../src/services/twoFactorService.js';
+import { hashToken } from '../../../src/utils/secureToken.js';
+import { generateSecret, generateCode, getTimeStep } from '../../../src/utils/totp.js';
+import { mockUser } from '../../helpers/mockData.js';
+
+// Mock dependencies
+vi.mock('bcryptjs', () => ({
+  default: {
+    compare: vi.fn()
+  }
+}));
+
+vi.mock('qrcode', () => ({
+  default: {
+    toDataURL: vi.fn()
+  }
+}));
+
+describe('TwoFactorService', () => {
+  let twoFactorService;
+  let mockUserRepository;
+  let secret;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    secret = generateSecret();
+
+    mockUserRepository = {
+      findByIdWithTwoFactor: vi.fn(),
+      update: vi.fn(),
+      claimTwoFactorStep: vi.fn(),
+      consumeBackupCode: vi.fn()
+    };
+
+    twoFactorService = new TwoFactorService(mockUserRepository);
+    QRCode.toDataURL.mockResolvedValue('data:image/png;base64,qr');
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  const enrolledUser = (overrides = {}) => ({
+    ...mockUser,
+    password: 'hashed',
+    twoFactorEnabled: true,
+    twoFactorSecret: secret,
+    ...overrides
+  });
+
+  describe('startEnrolment', () => {
+    it('should store a pending secret and return its QR code', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue({ ...mockUser, twoFactorEnabled: false });
+
+      const result = await twoFactorService.startEnrolment(mockUser._id);
+
+      expect(result.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(result.otpauthUrl).toContain(`secret=${result.secret}`);
+      expect(result.otpauthUrl).toContain(encodeURIComponent(mockUser.email));
+      expect(result.qrCode).toBe('data:image/png;base64,qr');
+      expect(QRCode.toDataURL).toHaveBeenCalledWith(result.otpauthUrl);
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { twoFactorPendingSecret: result.secret });
+    });
+
+    it('should refuse when 2FA is already on', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolledUser());
+
+      await expect(twoFactorService.startEnrolment(mockUser._id)).rejects.toMatchObject({
+        message: 'Two-factor authentication is already enabled',
+        statusCode: 400
+      });
+    });
+
+    it('should throw 404 for a missing user', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(null);
+
+      await expect(twoFactorService.startEnrolment('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('enable', () => {
+    it('should activate the pending secret and return hashed-at-rest backup codes', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue({
+        ...mockUser,
+        twoFactorEnabled: false,
+        twoFactorPendingSecret: secret
+      });
+
+      const { backupCodes } = await twoFactorService.enable(mockUser._id, generateCode(secret));
+
+      expect(backupCodes).toHaveLength(10);
+      backupCodes.forEach((code) => expect(code).toMatch(/^[a-f0-9]{4}-[a-f0-9]{4}$/));
+      const [userId, update] = mockUserRepository.update.mock.calls[0];
+      expect(userId).toBe(mockUser._id);
+      expect(update.$set.twoFactorEnabled).toBe(true);
+      expect(update.$set.twoFactorSecret).toBe(secret);
+      expect(update.$set.twoFactorLastStep).toBe(getTimeStep());
+      expect(update.$set.twoFactorBackupCodes[0]).toBe(hashToken(backupCodes[0].replace('-', '')));
+      expect(update.$unset).toEqual({ twoFactorPendingSecret: 1 });
+    });
+
+    it('should reject a wrong code', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue({ ...mockUser, twoFactorPendingSecret: secret });
+
+      await expect(twoFactorService.enable(mockUser._id, '000000')).rejects.toMatchObject({
+        message: 'Invalid verification code',
+        statusCode: 400
+      });
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should require enrolment to have been started', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue({ ...mockUser });
+
+      await expect(twoFactorService.enable(mockUser._id, '123456')).rejects.toThrow(
+        'Start two-factor setup before confirming a code'
+      );
+    });
+  });
+
+  describe('disable', () => {
+    it('should remove the secret after checking the password and a code', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolledUser());
+      mockUserRepository.claimTwoFactorStep.mockResolvedValue({ ...mockUser });
+      bcrypt.compare.mockResolvedValue(true);
+
+      await twoFactorService.disable(mockUser._id, 'password123', generateCode(secret));
+
+      expect(bcrypt.compare).toHaveBeenCalledWith('password123', 'hashed');
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorBackupCodes: 1, twoFactorLastStep: 1 }
+      });
+    });
+
+    it('should reject a wrong password', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolledUser());
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(twoFactorService.disable(mockUser._id, 'wrong', generateCode(secret))).rejects.toThrow(
+        'Password is incorrect'
+      );
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let admins opt out when 2FA is mandatory', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolledUser({ role: 'admin' }));
+
+      await expect(twoFactorService.disable(mockUser._id, 'password123', '123456')).rejects.toMatchObject({
+        message: 'Two-factor authentication is required for your role',
+        statusCode: 403
+      });
+    });
+  });
+
+  describe('regenerateBackupCodes', () => {
+    it('should replace the stored codes after a valid code', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue(enrolledUser());
+      mockUserRepository.claimTwoFactorStep.mockResolvedValue({ ...mockUser });
+
+      const { backupCodes } = await twoFactorService.regenerateBackupCodes(mockUser._id, generateCode(secret));
+
+      expect(backupCodes).toHaveLength(10);
+      const [, update] = mockUserRepository.update.mock.calls[0];
+      expect(update.twoFactorBackupCodes).toHaveLength(10);
+    });
+
+    it('should refuse when 2FA is off', async () => {
+      mockUserRepository.findByIdWithTwoFactor.mockResolvedValue({ ...mockUser, twoFactorEnabled: false });
+
+      await expect(twoFactorService.regenerateBackupCodes(mockUser._id, '123456')).rejects.toThrow(
+        'Two-factor authentication is not enabled'
+      );
+    });
+  });
+
+  describe('verifyChallenge', () => {
+    it('should accept a current authenticator code once', async () => {
+      const user = enrolledUser();
+      mockUserRepository.claimTwoFactorStep.mockResolvedValueOnce({ ...mockUser }).mockResolvedValueOnce(null);
+      const code = generateCode(secret);
+
+      expect(await twoFactorService.verifyChallenge(user, code)).toBe(true);
+      expect(mockUserRepository.claimTwoFactorStep).toHaveBeenCalledWith(mockUser._id, getTimeStep());
+      // Replaying the same code is refused by the repository
+      expect(await twoFactorService.verifyChallenge(user, code)).toBe(false);
+    });
+
+    it('should accept a backup code regardless of case and dash', async () => {
+      mockUserRepository.consumeBackupCode.mockResolvedValue({ ...mockUser });
+
+      expect(await twoFactorService.verifyChallenge(enrolledUser(), 'AB12-CD34')).toBe(true);
+      expect(mockUserRepository.consumeBackupCode).toHaveBeenCalledWith(mockUser._id, hashToken('ab12cd34'));
+    });
+
+    it('should reject unknown codes', async () => {
+      mockUserRepository.consumeBackupCode.mockResolvedValue(null);
+
+      expect(await twoFactorService.verifyChallenge(enrolledUser(), 'ab12-cd34')).toBe(false);
+      expect(await twoFactorService.verifyChallenge(enrolledUser(), '')).toBe(false);
+      expect(await twoFactorService.verifyChallenge(enrolledUser(), 'nope')).toBe(false);
+    });
+  });
+});
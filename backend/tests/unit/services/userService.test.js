@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { UserService } from '../../../src/services/userService.js';
+import { mockUser, mockAdmin } from '../../helpers/mockData.js';
+
+describe('UserService', () => {
+  let userService;
+  let mockUserRepository;
+  let mockOrderRepository;
+  let mockRefreshTokenRepository;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockUserRepository = {
+      findAll: vi.fn().mockResolvedValue({ users: [mockUser], total: 1 }),
+      findById: vi.fn().mockResolvedValue(mockUser),
+      update: vi.fn()
+    };
+    mockOrderRepository = {
+      getCustomerSummary: vi.fn(),
+      findByUserId: vi.fn()
+    };
+    mockRefreshTokenRepository = {
+      revokeAllForUser: vi.fn()
+    };
+
+    userService = new UserService(mockUserRepository, mockOrderRepository, mockRefreshTokenRepository);
+  });
+
+  describe('listUsers', () => {
+    it('should return the first page of users by default', async () => {
+      const result = await userService.listUsers();
+
+      expect(mockUserRepository.findAll).toHaveBeenCalledWith({}, { page: 1, limit: 20 });
+      expect(result).toEqual({ users: [mockUser], page: 1, limit: 20, total: 1, pages: 1 });
+    });
+
+    it('should pass search, role and status filters to the repository', async () => {
+      await userService.listUsers({ search: '  jane ', role: 'admin', status: 'disabled', page: '2', limit: '10' });
+
+      expect(mockUserRepository.findAll).toHaveBeenCalledWith(
+        { search: 'jane', role: 'admin', isActive: false },
+        { page: 2, limit: 10 }
+      );
+    });
+
+    it('should cap the page size', async () => {
+      await userService.listUsers({ limit: '5000' });
+
+      expect(mockUserRepository.findAll).toHaveBeenCalledWith({}, { page: 1, limit: 100 });
+    });
+
+    it('should reject an unknown role filter', async () => {
+      await expect(userService.listUsers({ role: 'superuser' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getUser', () => {
+    it('should return the user with their order summary', async () => {
+      const summary = { orderCount: 2, paidOrderCount: 2, lifetimeSpend: 250, lastOrderAt: null };
+      mockOrderRepository.getCustomerSummary.mockResolvedValue(summary);
+
+      const result = await userService.getUser(mockUser._id);
+
+      expect(mockOrderRepository.getCustomerSummary).toHaveBeenCalledWith(mockUser._id);
+      expect(result).toEqual({ user: mockUser, summary });
+    });
+
+    it('should throw 404 when the user does not exist', async () => {
+      mockUserRepository.findById.mockResolvedValue(null);
+
+      await expect(userService.getUser('missing'))
+        .rejects.toMatchObject({ message: 'User not found', statusCode: 404 });
+    });
+  });
+
+  describe('getUserOrders', () => {
+    it('should return the user\'s orders', async () => {
+      const orders = [{ _id: 'order1' }];
+      mockOrderRepository.findByUserId.mockResolvedValue(orders);
+
+      const result = await userService.getUserOrders(mockUser._id);
+
+      expect(mockOrderRepository.findByUserId).toHaveBeenCalledWith(mockUser._id);
+      expect(result).toEqual(orders);
+    });
+  });
+
+  describe('updateRole', () => {
+    it('should change another user\'s role', async () => {
+      mockUserRepository.update.mockResolvedValue({ ...mockUser, role: 'admin' });
+
+      const result = await userService.updateRole(mockAdmin._id, mockUser._id, 'admin');
+
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { role: 'admin' });
+      expect(result.role).toBe('admin');
+    });
+
+    it('should reject an unknown role', async () => {
+      await expect(userService.updateRole(mockAdmin._id, mockUser._id, 'superuser'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let admins change their own role', async () => {
+      await expect(userService.updateRole(mockAdmin._id, mockAdmin._id, 'customer'))
+        .rejects.toMatchObject({ message: 'You cannot change your own role', statusCode: 400 });
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setActive', () => {
+    it('should disable an account and revoke its sessions', async () => {
+      mockUserRepository.update.mockResolvedValue({ ...mockUser, isActive: false });
+
+      const result = await userService.setActive(mockAdmin._id, mockUser._id, false);
+
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { isActive: false });
+      expect(mockRefreshTokenRepository.revokeAllForUser).toHaveBeenCalledWith(mockUser._id);
+      expect(result.isActive).toBe(false);
+    });
+
+    it('should re-enable an account without touching sessions', async () => {
+      mockUserRepository.update.mockResolvedValue({ ...mockUser, isActive: true });
+
+      await userService.setActive(mockAdmin._id, mockUser._id, true);
+
+      expect(mockUserRepository.update).toHaveBeenCalledWith(mockUser._id, { isActive: true });
+      expect(mockRefreshTokenRepository.revokeAllForUser).not.toHaveBeenCalled();
+    });
+
+    it('should require a boolean flag', async () => {
+      await expect(userService.setActive(mockAdmin._id, mockUser._id, 'no'))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not let admins disable themselves', async () => {
+      await expect(userService.setActive(mockAdmin._id, mockAdmin._id, false))
+        .rejects.toMatchObject({ message: 'You cannot disable your own account', statusCode: 400 });
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the user does not exist', async () => {
+      mockUserRepository.findById.mockResolvedValue(null);
+
+      await expect(userService.setActive(mockAdmin._id, 'missing', false))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
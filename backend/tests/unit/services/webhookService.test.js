@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { WebhookService } from '../../../src/services/webhookService.js';
+import { AppError } from '../../../src/utils/AppError.js';
+
+describe('WebhookService', () => {
+  let webhookService;
+  let mockPaymentService;
+  let mockOrderService;
+  let mockWebhookEventRepository;
+
+  const succeededEvent = {
+    id: 'evt_123',
+    type: 'payment_intent.succeeded',
+    data: { object: { id: 'pi_123', metadata: { orderId: 'order123' } } }
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockPaymentService = {
+      handleWebhook: vi.fn()
+    };
+
+    mockOrderService = {
+      getOrderById: vi.fn(),
+      updateOrderPayment: vi.fn(),
+      markPaymentFailed: vi.fn()
+    };
+
+    mockWebhookEventRepository = {
+      findByEventId: vi.fn().mockResolvedValue(null),
+      create: vi.fn().mockResolvedValue({})
+    };
+
+    webhookService = new WebhookService(
+      mockPaymentService,
+      mockOrderService,
+      mockWebhookEventRepository
+    );
+  });
+
+  describe('processEvent', () => {
+    it('should mark an unpaid order as paid on payment_intent.succeeded', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_succeeded',
+        paymentIntentId: 'pi_123',
+        orderId: 'order123',
+        amount: 4999,
+        currency: 'usd'
+      });
+      mockOrderService.getOrderById.mockResolvedValue({ _id: 'order123', isPaid: false, totalPrice: 49.99 });
+
+      const result = await webhookService.processEvent(succeededEvent);
+
+      expect(result.processed).toBe(true);
+      expect(mockOrderService.updateOrderPayment).toHaveBeenCalledWith(
+        'order123',
+        expect.objectContaining({ id: 'pi_123', status: 'succeeded' })
+      );
+      expect(mockWebhookEventRepository.create).toHaveBeenCalledWith('evt_123', 'payment_intent.succeeded');
+    });
+
+    it('should not update an order that is already paid', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_succeeded',
+        paymentIntentId: 'pi_123',
+        orderId: 'order123',
+        amount: 4999,
+        currency: 'usd'
+      });
+      mockOrderService.getOrderById.mockResolvedValue({ _id: 'order123', isPaid: true, totalPrice: 49.99 });
+
+      await webhookService.processEvent(succeededEvent);
+
+      expect(mockOrderService.updateOrderPayment).not.toHaveBeenCalled();
+      expect(mockWebhookEventRepository.create).toHaveBeenCalled();
+    });
+
+    it('should not mark an order paid by a payment for a different amount', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_succeeded',
+        paymentIntentId: 'pi_123',
+        orderId: 'order123',
+        amount: 100,
+        currency: 'usd'
+      });
+      mockOrderService.getOrderById.mockResolvedValue({ _id: 'order123', isPaid: false, totalPrice: 49.99 });
+
+      await webhookService.processEvent(succeededEvent);
+
+      expect(mockOrderService.updateOrderPayment).not.toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalled();
+      // Retrying the delivery cannot make the amounts match
+      expect(mockWebhookEventRepository.create).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('should not mark an order paid by a payment in another currency', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_succeeded',
+        paymentIntentId: 'pi_123',
+        orderId: 'order123',
+        amount: 4999,
+        currency: 'eur'
+      });
+      mockOrderService.getOrderById.mockResolvedValue({ _id: 'order123', isPaid: false, totalPrice: 49.99 });
+
+      await webhookService.processEvent(succeededEvent);
+
+      expect(mockOrderService.updateOrderPayment).not.toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('should record the failure on payment_intent.payment_failed', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_failed',
+        paymentIntentId: 'pi_123',
+        orderId: 'order123',
+        error: { message: 'Your card was declined.' }
+      });
+
+      await webhookService.processEvent({ ...succeededEvent, type: 'payment_intent.payment_failed' });
+
+      expect(mockOrderService.markPaymentFailed).toHaveBeenCalledWith('order123', {
+        paymentIntentId: 'pi_123',
+        message: 'Your card was declined.'
+      });
+    });
+
+    it('should skip events that were already processed', async () => {
+      mockWebhookEventRepository.findByEventId.mockResolvedValue({ eventId: 'evt_123' });
+
+      const result = await webhookService.processEvent(succeededEvent);
+
+      expect(result).toEqual({
+        processed: false,
+        duplicate: true,
+        eventId: 'evt_123',
+        type: 'payment_intent.succeeded'
+      });
+      expect(mockPaymentService.handleWebhook).not.toHaveBeenCalled();
+      expect(mockOrderService.updateOrderPayment).not.toHaveBeenCalled();
+    });
+
+    it('should not update orders for unhandled event types', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: false,
+        type: 'customer.created',
+        message: 'Event type not handled'
+      });
+
+      await webhookService.processEvent({ id: 'evt_456', type: 'customer.created', data: {} });
+
+      expect(mockOrderService.getOrderById).not.toHaveBeenCalled();
+      expect(mockWebhookEventRepository.create).toHaveBeenCalledWith('evt_456', 'customer.created');
+    });
+
+    it('should ignore events for orders that do not exist', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_succeeded',
+        paymentIntentId: 'pi_123',
+        orderId: 'missing'
+      });
+      mockOrderService.getOrderById.mockRejectedValue(new AppError('Order not found', 404));
+
+      await expect(webhookService.processEvent(succeededEvent)).resolves.toBeDefined();
+      expect(mockWebhookEventRepository.create).toHaveBeenCalled();
+    });
+
+    it('should not record the event when the order update fails', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({
+        processed: true,
+        type: 'payment_succeeded',
+        paymentIntentId: 'pi_123',
+        orderId: 'order123',
+        amount: 4999,
+        currency: 'usd'
+      });
+      mockOrderService.getOrderById.mockResolvedValue({ _id: 'order123', isPaid: false, totalPrice: 49.99 });
+      mockOrderService.updateOrderPayment.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(webhookService.processEvent(succeededEvent)).rejects.toThrow('Database unavailable');
+      expect(mockWebhookEventRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('should tolerate a concurrent delivery recording the same event', async () => {
+      mockPaymentService.handleWebhook.mockResolvedValue({ processed: false, type: 'customer.created' });
+      const duplicateKeyError = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      mockWebhookEventRepository.create.mockRejectedValue(duplicateKeyError);
+
+      await expect(
+        webhookService.processEvent({ id: 'evt_789', type: 'customer.created' })
+      ).resolves.toBeDefined();
+    });
+  });
+});
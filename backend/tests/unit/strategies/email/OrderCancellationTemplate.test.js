@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import EmailTemplateFactory from '../../../../src/strategies/email/EmailTemplateFactory.js';
+import { mockOrder } from '../../../helpers/mockData.js';
+
+describe('OrderCancellationTemplate', () => {
+  const template = EmailTemplateFactory.createTemplate('orderCancellation');
+
+  it('should be registered with the template factory', () => {
+    expect(EmailTemplateFactory.templateExists('orderCancellation')).toBe(true);
+    expect(template.getName()).toBe('orderCancellation');
+  });
+
+  it('should give the cancellation reason for an unpaid order', () => {
+    const order = { ...mockOrder, status: 'cancelled', isPaid: false, cancellationReason: 'Changed my mind' };
+
+    expect(template.getSubject(order)).toBe('Your Order #99439014 Has Been Cancelled - LUCINE');
+    const html = template.getHtmlBody(order);
+    expect(html).toContain('Order #99439014 has been cancelled.');
+    expect(html).toContain('Changed my mind');
+    expect(html).not.toContain('refund');
+  });
+
+  it('should confirm the refund of a paid order', () => {
+    const html = template.getHtmlBody({ ...mockOrder, status: 'cancelled', isPaid: true, totalRefunded: 229.98 });
+
+    expect(html).toContain('A refund of $229.98 has been issued to your original payment method.');
+  });
+
+  it('should tell the customer a refund is on its way when none has gone out yet', () => {
+    const html = template.getHtmlBody({ ...mockOrder, status: 'cancelled', isPaid: true, totalRefunded: 0 });
+
+    expect(html).toContain('Your refund is being processed');
+  });
+
+  it('should explain that a payment made after cancellation was refunded', () => {
+    const html = template.getHtmlBody({
+      ...mockOrder,
+      status: 'cancelled',
+      isPaid: false,
+      latePayment: { paymentIntentId: 'pi_123', amount: 229.98, status: 'refunded' }
+    });
+
+    expect(html).toContain('Your payment of $229.98 arrived after the order was cancelled and has been refunded');
+  });
+
+  it('should require an order', () => {
+    expect(() => template.getHtmlBody(undefined)).toThrow('Order data is required for order cancellation email');
+  });
+});
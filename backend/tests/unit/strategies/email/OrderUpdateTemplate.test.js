@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import EmailTemplateFactory from '../../../../src/strategies/email/EmailTemplateFactory.js';
+import { mockOrder } from '../../../helpers/mockData.js';
+
+describe('OrderUpdateTemplate', () => {
+  const template = EmailTemplateFactory.createTemplate('orderUpdate');
+
+  it('should be registered with the template factory', () => {
+    expect(EmailTemplateFactory.templateExists('orderUpdate')).toBe(true);
+    expect(template.getName()).toBe('orderUpdate');
+  });
+
+  it('should announce the new status with the note left on it', () => {
+    const order = {
+      ...mockOrder,
+      status: 'processing',
+      statusHistory: [{ status: 'processing', changedAt: new Date(), note: 'Packing your items' }]
+    };
+
+    expect(template.getSubject(order)).toBe('Update on Your Order #99439014 - LUCINE');
+    const html = template.getHtmlBody(order);
+    expect(html).toContain('Order #99439014 is being prepared.');
+    expect(html).toContain('Packing your items');
+    expect(html).toContain(`/orders/${mockOrder._id}`);
+  });
+
+  it('should link guests to their order with its access link', () => {
+    const html = template.getHtmlBody({ ...mockOrder, status: 'delivered', orderUrl: 'https://shop.test/orders/1?token=abc' });
+
+    expect(html).toContain('has been delivered');
+    expect(html).toContain('https://shop.test/orders/1?token=abc');
+  });
+
+  it('should require an order', () => {
+    expect(() => template.getHtmlBody(null)).toThrow('Order data is required for order update email');
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FakeProvider from '../../../../src/strategies/payment/FakeProvider.js';
+
+describe('FakeProvider', () => {
+  let provider;
+
+  const createIntent = () => provider.createIntent({
+    orderId: 'order123',
+    userId: 'userId123',
+    amount: 99.99
+  });
+
+  beforeEach(() => {
+    provider = new FakeProvider();
+  });
+
+  describe('createIntent', () => {
+    it('should create an intent awaiting a payment method', async () => {
+      const intent = await createIntent();
+
+      expect(intent).toEqual({
+        id: 'pi_fake_1',
+        clientSecret: 'pi_fake_1_secret_fake',
+        status: 'requires_payment_method',
+        testMode: true
+      });
+      expect((await provider.retrieve(intent.id)).amount).toBe(9999);
+    });
+
+    it('should record the order the intent is for', async () => {
+      const intent = await createIntent();
+
+      expect((await provider.retrieve(intent.id)).metadata).toEqual({ orderId: 'order123', userId: 'userId123' });
+    });
+  });
+
+  describe('confirm', () => {
+    it('should capture the payment with the success card', async () => {
+      const intent = await createIntent();
+
+      const result = await provider.confirm(intent.id, '4242 4242 4242 4242');
+
+      expect(result.status).toBe('succeeded');
+      expect(result.amount).toBe(9999);
+    });
+
+    it('should capture the payment when no payment method is given', async () => {
+      const intent = await createIntent();
+
+      const result = await provider.confirm(intent.id);
+
+      expect(result.status).toBe('succeeded');
+    });
+
+    it('should decline the decline card with a 402', async () => {
+      const intent = await createIntent();
+
+      await expect(provider.confirm(intent.id, '4000000000000002')).rejects.toMatchObject({
+        message: 'Your card was declined.',
+        statusCode: 402,
+        code: 'card_declined'
+      });
+      expect((await provider.retrieve(intent.id)).status).toBe('requires_payment_method');
+    });
+
+    it('should accept pm_card_ tokens', async () => {
+      const intent = await createIntent();
+
+      await expect(provider.confirm(intent.id, 'pm_card_4000000000009995')).rejects.toMatchObject({
+        code: 'insufficient_funds'
+      });
+    });
+
+    it('should require authentication for the 3DS card and capture on the next confirm', async () => {
+      const intent = await createIntent();
+
+      const firstAttempt = await provider.confirm(intent.id, '4000002760003184');
+      expect(firstAttempt.status).toBe('requires_action');
+      expect(firstAttempt.nextAction).toEqual({ type: 'use_stripe_sdk' });
+
+      const secondAttempt = await provider.confirm(intent.id);
+      expect(secondAttempt.status).toBe('succeeded');
+    });
+
+    it('should time out for the timeout card and leave the intent processing', async () => {
+      const intent = await createIntent();
+
+      await expect(provider.confirm(intent.id, '4000000000000119')).rejects.toMatchObject({
+        statusCode: 504,
+        code: 'timeout'
+      });
+      expect((await provider.retrieve(intent.id)).status).toBe('processing');
+    });
+
+    it('should reject unknown intents', async () => {
+      await expect(provider.confirm('pi_missing')).rejects.toThrow('No such payment intent: pi_missing');
+    });
+  });
+
+  describe('cancel', () => {
+    it('should cancel an uncaptured intent', async () => {
+      const intent = await createIntent();
+
+      const result = await provider.cancel(intent.id);
+
+      expect(result).toEqual({ id: intent.id, status: 'canceled' });
+      await expect(provider.confirm(intent.id)).rejects.toThrow('This PaymentIntent has been canceled');
+    });
+
+    it('should not cancel a captured payment', async () => {
+      const intent = await createIntent();
+      await provider.confirm(intent.id);
+
+      await expect(provider.cancel(intent.id)).rejects.toThrow('A succeeded PaymentIntent cannot be canceled');
+    });
+  });
+
+  describe('refund', () => {
+    it('should refund part of a captured payment', async () => {
+      const intent = await createIntent();
+      await provider.confirm(intent.id);
+
+      const result = await provider.refund(intent.id, 40);
+
+      expect(result).toMatchObject({ status: 'succeeded', amount: 40 });
+    });
+
+    it('should not refund more than was captured', async () => {
+      const intent = await createIntent();
+      await provider.confirm(intent.id);
+      await provider.refund(intent.id, 60);
+
+      await expect(provider.refund(intent.id, 40)).rejects.toThrow(
+        'Refund amount exceeds the remaining captured amount'
+      );
+    });
+
+    it('should not refund an uncaptured payment', async () => {
+      const intent = await createIntent();
+
+      await expect(provider.refund(intent.id, 10)).rejects.toThrow(
+        'This PaymentIntent has no captured charge to refund'
+      );
+    });
+  });
+
+  describe('parseWebhook', () => {
+    it('should refuse unsigned events unless they are allowed', () => {
+      const event = { id: 'evt_1', type: 'payment_intent.succeeded' };
+
+      expect(() => provider.parseWebhook(Buffer.from(JSON.stringify(event)))).toThrow(
+        'Unsigned webhooks are not allowed'
+      );
+    });
+
+    it('should parse a raw JSON payload when unsigned events are allowed', () => {
+      const event = { id: 'evt_1', type: 'payment_intent.succeeded' };
+      const unsigned = new FakeProvider({ allowUnsignedWebhooks: true });
+
+      expect(unsigned.parseWebhook(Buffer.from(JSON.stringify(event)))).toEqual(event);
+    });
+
+    it('should return null for malformed payloads', () => {
+      const unsigned = new FakeProvider({ allowUnsignedWebhooks: true });
+
+      expect(unsigned.parseWebhook('not json')).toBeNull();
+    });
+  });
+});
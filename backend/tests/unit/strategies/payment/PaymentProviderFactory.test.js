@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import PaymentProviderFactory from '../../../../src/strategies/payment/PaymentProviderFactory.js';
+import FakeProvider from '../../../../src/strategies/payment/FakeProvider.js';
+import StripeProvider from '../../../../src/strategies/payment/StripeProvider.js';
+
+vi.mock('stripe', () => ({
+  default: vi.fn(() => ({ paymentIntents: {}, refunds: {}, webhooks: {} }))
+}));
+
+describe('PaymentProviderFactory', () => {
+  describe('createProvider', () => {
+    it('should create the fake provider', () => {
+      expect(PaymentProviderFactory.createProvider('fake')).toBeInstanceOf(FakeProvider);
+    });
+
+    it('should create the Stripe provider with a secret key', () => {
+      const provider = PaymentProviderFactory.createProvider('stripe', { secretKey: 'sk_test_123' });
+
+      expect(provider).toBeInstanceOf(StripeProvider);
+      expect(provider.testMode).toBe(true);
+    });
+
+    it('should require a secret key for Stripe', () => {
+      expect(() => PaymentProviderFactory.createProvider('stripe')).toThrow(
+        'Stripe secret key is required for the stripe payment provider'
+      );
+    });
+
+    it('should throw for unknown providers', () => {
+      expect(() => PaymentProviderFactory.createProvider('paypal')).toThrow(
+        'Payment provider "paypal" not found. Available providers: stripe, fake'
+      );
+    });
+  });
+
+  describe('createFromConfig', () => {
+    it('should honour PAYMENT_PROVIDER', () => {
+      const provider = PaymentProviderFactory.createFromConfig({
+        PAYMENT_PROVIDER: 'fake',
+        STRIPE_SECRET_KEY: 'sk_test_123'
+      });
+
+      expect(provider.getName()).toBe('fake');
+    });
+
+    it('should use Stripe when a secret key is configured', () => {
+      const provider = PaymentProviderFactory.createFromConfig({ STRIPE_SECRET_KEY: 'sk_live_123' });
+
+      expect(provider.getName()).toBe('stripe');
+      expect(provider.testMode).toBe(false);
+    });
+
+    it('should fall back to the fake provider without a secret key', () => {
+      expect(PaymentProviderFactory.createFromConfig({}).getName()).toBe('fake');
+    });
+
+    it('should refuse the fake provider in production', () => {
+      expect(() => PaymentProviderFactory.createFromConfig({ NODE_ENV: 'production' })).toThrow(
+        'The fake payment provider cannot be used in production. Set STRIPE_SECRET_KEY'
+      );
+      expect(() => PaymentProviderFactory.createFromConfig({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'fake' })).toThrow(
+        'The fake payment provider cannot be used in production'
+      );
+    });
+
+    it('should refuse unsigned webhooks in production', () => {
+      expect(() => PaymentProviderFactory.createFromConfig({
+        NODE_ENV: 'production',
+        STRIPE_SECRET_KEY: 'sk_live_123',
+        ALLOW_UNSIGNED_WEBHOOKS: 'true'
+      })).toThrow('Unsigned webhooks cannot be allowed in production. Set STRIPE_WEBHOOK_SECRET');
+    });
+
+    it('should pass ALLOW_UNSIGNED_WEBHOOKS to the provider', () => {
+      const event = { id: 'evt_1', type: 'payment_intent.succeeded' };
+      const provider = PaymentProviderFactory.createFromConfig({ ALLOW_UNSIGNED_WEBHOOKS: 'true' });
+
+      expect(provider.parseWebhook(JSON.stringify(event))).toEqual(event);
+    });
+  });
+
+  describe('providerExists', () => {
+    it('should check provider names case-insensitively', () => {
+      expect(PaymentProviderFactory.providerExists('Stripe')).toBe(true);
+      expect(PaymentProviderFactory.providerExists('paypal')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import LocalDiskStorage from '../../../../src/strategies/storage/LocalDiskStorage.js';
+
+describe('LocalDiskStorage', () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-disk-storage-'));
+    storage = new LocalDiskStorage(rootDir, '/uploads/');
+  });
+
+  afterEach(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it('should write files under the root directory and return their public URL', async () => {
+    const url = await storage.save('products/abc/medium.webp', Buffer.from('image'), 'image/webp');
+
+    expect(url).toBe('/uploads/products/abc/medium.webp');
+    expect(await fs.readFile(path.join(rootDir, 'products/abc/medium.webp'), 'utf8')).toBe('image');
+  });
+
+  it('should delete files, ignoring ones already gone', async () => {
+    await storage.save('products/abc/large.webp', Buffer.from('image'), 'image/webp');
+
+    await storage.delete('products/abc/large.webp');
+    await storage.delete('products/abc/large.webp');
+
+    await expect(fs.access(path.join(rootDir, 'products/abc/large.webp'))).rejects.toThrow();
+  });
+
+  it('should refuse keys outside the root directory', async () => {
+    await expect(storage.save('../escape.webp', Buffer.from('image'))).rejects.toThrow(
+      'Invalid storage key: ../escape.webp'
+    );
+    await expect(storage.delete('/etc/passwd')).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should report its name', () => {
+    expect(storage.getName()).toBe('local');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import StorageAdapterFactory from '../../../../src/strategies/storage/StorageAdapterFactory.js';
+import LocalDiskStorage from '../../../../src/strategies/storage/LocalDiskStorage.js';
+
+describe('StorageAdapterFactory', () => {
+  describe('createAdapter', () => {
+    it('should create the local disk adapter', () => {
+      const adapter = StorageAdapterFactory.createAdapter('LOCAL', { rootDir: '/tmp/images', baseUrl: '/media' });
+
+      expect(adapter).toBeInstanceOf(LocalDiskStorage);
+      expect(adapter.rootDir).toBe(path.resolve('/tmp/images'));
+      expect(adapter.baseUrl).toBe('/media');
+    });
+
+    it('should throw for unknown adapters', () => {
+      expect(() => StorageAdapterFactory.createAdapter('s3')).toThrow(
+        'Storage adapter "s3" not found. Available adapters: local'
+      );
+    });
+  });
+
+  describe('createFromConfig', () => {
+    it('should default to local disk under uploads/', () => {
+      const adapter = StorageAdapterFactory.createFromConfig({});
+
+      expect(adapter.getName()).toBe('local');
+      expect(adapter.rootDir).toBe(path.resolve('uploads'));
+      expect(adapter.baseUrl).toBe('/uploads');
+    });
+
+    it('should honour UPLOAD_DIR and UPLOAD_BASE_URL', () => {
+      const adapter = StorageAdapterFactory.createFromConfig({
+        STORAGE_DRIVER: 'local',
+        UPLOAD_DIR: '/var/shop/images',
+        UPLOAD_BASE_URL: 'https://cdn.example.com/images'
+      });
+
+      expect(adapter.rootDir).toBe('/var/shop/images');
+      expect(adapter.baseUrl).toBe('https://cdn.example.com/images');
+    });
+  });
+
+  it('should list the available adapters', () => {
+    expect(StorageAdapterFactory.getAvailableAdapters()).toEqual(['local']);
+    expect(StorageAdapterFactory.adapterExists('Local')).toBe(true);
+    expect(StorageAdapterFactory.adapterExists('s3')).toBe(false);
+  });
+});
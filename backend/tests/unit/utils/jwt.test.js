@@ -1,6 +1,13 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import jwt from 'jsonwebtoken';
-import { generateToken, verifyToken } from '../../../src/utils/jwt.js';
+import {
+  generateToken,
+  verifyToken,
+  generatePreAuthToken,
+  verifyPreAuthToken,
+  generateOrderAccessToken,
+  verifyOrderAccessToken
+} from '../../../src/utils/jwt.js';
 
 describe('JWT Utilities', () => {
   beforeEach(() => {
@@ -136,5 +143,37 @@ describe('JWT Utilities', () => {
       }).toThrow();
     });
   });
-});
 
+  describe('pre-auth tokens', () => {
+    it('should carry the two-factor purpose and expire after five minutes', () => {
+      const token = generatePreAuthToken('507f1f77bcf86cd799439011');
+      const decoded = verifyPreAuthToken(token);
+
+      expect(decoded.userId).toBe('507f1f77bcf86cd799439011');
+      expect(decoded.purpose).toBe('2fa');
+      expect(decoded.exp - decoded.iat).toBe(300);
+    });
+
+    it('should not accept an access token as a pre-auth token', () => {
+      const token = generateToken('507f1f77bcf86cd799439011');
+
+      expect(() => verifyPreAuthToken(token)).toThrow('Invalid or expired token');
+    });
+  });
+
+  describe('order access tokens', () => {
+    it('should carry the order id and last ninety days by default', () => {
+      const token = generateOrderAccessToken('507f1f77bcf86cd799439014');
+      const decoded = verifyOrderAccessToken(token);
+
+      expect(decoded.orderId).toBe('507f1f77bcf86cd799439014');
+      expect(decoded.purpose).toBe('order');
+      expect(decoded.exp - decoded.iat).toBe(90 * 24 * 60 * 60);
+    });
+
+    it('should not accept other tokens as order access tokens', () => {
+      expect(() => verifyOrderAccessToken(generateToken('507f1f77bcf86cd799439011'))).toThrow('Invalid or expired token');
+      expect(() => verifyOrderAccessToken(generatePreAuthToken('507f1f77bcf86cd799439011'))).toThrow('Invalid or expired token');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ORDER_STATUSES,
+  isValidOrderStatus,
+  getAllowedTransitions,
+  canTransition
+} from '../../../src/utils/orderStatus.js';
+
+describe('Order Status', () => {
+  describe('isValidOrderStatus', () => {
+    it('should accept every lifecycle status', () => {
+      ORDER_STATUSES.forEach(status => {
+        expect(isValidOrderStatus(status)).toBe(true);
+      });
+    });
+
+    it('should reject unknown statuses', () => {
+      expect(isValidOrderStatus('lost')).toBe(false);
+      expect(isValidOrderStatus(undefined)).toBe(false);
+    });
+  });
+
+  describe('canTransition', () => {
+    it('should allow forward transitions through the lifecycle', () => {
+      expect(canTransition('pending', 'paid')).toBe(true);
+      expect(canTransition('paid', 'processing')).toBe(true);
+      expect(canTransition('processing', 'shipped')).toBe(true);
+      expect(canTransition('shipped', 'delivered')).toBe(true);
+      expect(canTransition('delivered', 'refunded')).toBe(true);
+    });
+
+    it('should reject skipping or reversing steps', () => {
+      expect(canTransition('pending', 'shipped')).toBe(false);
+      expect(canTransition('delivered', 'processing')).toBe(false);
+      expect(canTransition('shipped', 'cancelled')).toBe(false);
+    });
+
+    it('should treat cancelled and refunded as final', () => {
+      expect(getAllowedTransitions('cancelled')).toEqual([]);
+      expect(getAllowedTransitions('refunded')).toEqual([]);
+    });
+
+    it('should treat a missing status as pending', () => {
+      expect(getAllowedTransitions(undefined)).toEqual(getAllowedTransitions('pending'));
+    });
+
+    it('should let cash on delivery orders ship before payment', () => {
+      expect(canTransition('pending', 'processing', 'Cash on Delivery')).toBe(true);
+      expect(canTransition('pending', 'paid', 'Cash on Delivery')).toBe(false);
+      expect(canTransition('pending', 'processing', 'Credit Card')).toBe(false);
+    });
+
+    it('should use the default lifecycle for other payment methods', () => {
+      expect(getAllowedTransitions('pending', 'Bank Transfer')).toEqual(getAllowedTransitions('pending'));
+      expect(getAllowedTransitions('shipped', 'Cash on Delivery')).toEqual(['delivered']);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PAYMENT_METHODS,
+  isValidPaymentMethod,
+  isCardPayment,
+  isManualPayment,
+  paymentCoversOrder,
+  generateBankTransferReference
+} from '../../../src/utils/paymentMethods.js';
+
+describe('Payment Methods', () => {
+  describe('isValidPaymentMethod', () => {
+    it('should accept every supported method', () => {
+      Object.values(PAYMENT_METHODS).forEach(method => {
+        expect(isValidPaymentMethod(method)).toBe(true);
+      });
+    });
+
+    it('should reject unsupported methods', () => {
+      expect(isValidPaymentMethod('PayPal')).toBe(false);
+      expect(isValidPaymentMethod(undefined)).toBe(false);
+    });
+  });
+
+  describe('isCardPayment / isManualPayment', () => {
+    it('should split card and manual payment methods', () => {
+      expect(isCardPayment('Credit Card')).toBe(true);
+      expect(isCardPayment('Cash on Delivery')).toBe(false);
+      expect(isManualPayment('Bank Transfer')).toBe(true);
+      expect(isManualPayment('Debit Card')).toBe(false);
+    });
+  });
+
+  describe('paymentCoversOrder', () => {
+    const order = { totalPrice: 49.99 };
+
+    it('should accept a payment for the order total in the order currency', () => {
+      expect(paymentCoversOrder({ amount: 4999, currency: 'USD' }, order)).toBe(true);
+    });
+
+    it('should reject a payment for another amount or currency', () => {
+      expect(paymentCoversOrder({ amount: 100, currency: 'usd' }, order)).toBe(false);
+      expect(paymentCoversOrder({ amount: 4999, currency: 'eur' }, order)).toBe(false);
+      expect(paymentCoversOrder({ amount: 4999 }, order)).toBe(false);
+    });
+  });
+
+  describe('generateBankTransferReference', () => {
+    it('should generate a short uppercase reference', () => {
+      expect(generateBankTransferReference()).toMatch(/^BT-[0-9A-F]{8}$/);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { calculateOrderPricing, roundCurrency } from '../../../src/utils/pricing.js';
+
+describe('Pricing Utils', () => {
+  describe('calculateOrderPricing', () => {
+    it('should add shipping and tax on top of the items', () => {
+      expect(calculateOrderPricing(50, { shippingPrice: 10, taxPrice: 5 })).toEqual({
+        itemsPrice: 50,
+        discountPrice: 0,
+        shippingPrice: 10,
+        taxPrice: 5,
+        totalPrice: 65
+      });
+    });
+
+    it('should charge nothing for shipping when no method price is given', () => {
+      expect(calculateOrderPricing(150).shippingPrice).toBe(0);
+    });
+
+    it('should take the discount off the total', () => {
+      const pricing = calculateOrderPricing(200, { discount: 50, taxPrice: 15 });
+
+      expect(pricing.discountPrice).toBe(50);
+      expect(pricing.totalPrice).toBe(165);
+    });
+
+    it('should not add tax that is already included in the prices', () => {
+      const pricing = calculateOrderPricing(120, { taxPrice: 20, pricingMode: 'inclusive' });
+
+      expect(pricing.taxPrice).toBe(20);
+      expect(pricing.totalPrice).toBe(120);
+    });
+
+    it('should waive shipping for free shipping coupons', () => {
+      const pricing = calculateOrderPricing(40, { shippingPrice: 12.5, freeShipping: true });
+
+      expect(pricing.shippingPrice).toBe(0);
+      expect(pricing.totalPrice).toBe(40);
+    });
+
+    it('should never discount more than the items', () => {
+      const pricing = calculateOrderPricing(30, { discount: 50, shippingPrice: 10 });
+
+      expect(pricing.discountPrice).toBe(30);
+      expect(pricing.totalPrice).toBe(10);
+    });
+  });
+
+  describe('roundCurrency', () => {
+    it('should round to cents', () => {
+      expect(roundCurrency(19.998)).toBe(20);
+      expect(roundCurrency(10.004)).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hasVariants,
+  findVariant,
+  getAvailableStock,
+  getUnitPrice,
+  getLineKey,
+  describeVariant
+} from '../../../src/utils/productVariants.js';
+
+describe('Product Variants', () => {
+  const redSmall = { _id: 'v1', sku: 'TEE-S-RED', attributes: { Colour: 'Red', Size: 'S' }, price: 25, stock: 3 };
+  const blueSmall = { _id: 'v2', sku: 'TEE-S-BLUE', attributes: { Colour: 'Blue', Size: 'S' }, stock: 0 };
+  const tee = {
+    _id: 'p1',
+    price: 20,
+    stock: 3,
+    options: [{ name: 'Size', values: ['S'] }, { name: 'Colour', values: ['Red', 'Blue'] }],
+    variants: [redSmall, blueSmall]
+  };
+  const mug = { _id: 'p2', price: 8, stock: 12, variants: [] };
+
+  it('should tell products with variants apart', () => {
+    expect(hasVariants(tee)).toBe(true);
+    expect(hasVariants(mug)).toBe(false);
+    expect(findVariant(tee, 'v2')).toBe(blueSmall);
+    expect(findVariant(tee, null)).toBeNull();
+  });
+
+  it('should count stock per variant', () => {
+    expect(getAvailableStock(tee, 'v1')).toBe(3);
+    expect(getAvailableStock(tee, 'v2')).toBe(0);
+    // Without a variant a product with variants has nothing to sell
+    expect(getAvailableStock(tee, null)).toBe(0);
+    expect(getAvailableStock(mug)).toBe(12);
+  });
+
+  it('should price a line at the variant override when there is one', () => {
+    expect(getUnitPrice({ product: tee, variant: 'v1' })).toBe(25);
+    expect(getUnitPrice({ product: tee, variant: 'v2' })).toBe(20);
+    expect(getUnitPrice({ product: mug })).toBe(8);
+  });
+
+  it('should key lines by product and variant', () => {
+    expect(getLineKey({ product: tee, variant: 'v1' })).toBe('p1:v1');
+    expect(getLineKey({ product: 'p2' })).toBe('p2');
+  });
+
+  it('should describe a variant in option order', () => {
+    expect(describeVariant(tee, redSmall)).toBe('S / Red');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpAuthUrl
+} from '../../../src/utils/totp.js';
+
+// RFC 6238 test secret: the ASCII bytes of "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from('hello two-factor');
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC test secret', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should create a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+      expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111109 * 1000;
+
+    it('should return the time step of a valid code', () => {
+      expect(verifyCode(RFC_SECRET, '081804', { time })).toBe(getTimeStep(time));
+    });
+
+    it('should allow one step of clock drift either way', () => {
+      const previous = generateCode(RFC_SECRET, getTimeStep(time) - 1);
+      const tooOld = generateCode(RFC_SECRET, getTimeStep(time) - 2);
+
+      expect(verifyCode(RFC_SECRET, previous, { time })).toBe(getTimeStep(time) - 1);
+      expect(verifyCode(RFC_SECRET, tooOld, { time })).toBeNull();
+    });
+
+    it('should ignore spaces and reject malformed codes', () => {
+      expect(verifyCode(RFC_SECRET, '081 804', { time })).toBe(getTimeStep(time));
+      expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpAuthUrl', () => {
+    it('should build the URI authenticator apps scan', () => {
+      const url = buildOtpAuthUrl({ secret: 'ABC', accountName: 'admin@example.com', issuer: 'LUCINE' });
+
+      expect(url).toBe(
+        'otpauth://totp/LUCINE%3Aadmin%40example.com?secret=ABC&issuer=LUCINE&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
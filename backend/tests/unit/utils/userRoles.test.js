@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  USER_ROLES,
+  isValidRole,
+  getPermissions,
+  hasPermission,
+  getStatusPermission
+} from '../../../src/utils/userRoles.js';
+
+describe('User Roles', () => {
+  it('should list customer, the staff roles and admin', () => {
+    expect(USER_ROLES).toEqual(['customer', 'catalog_manager', 'fulfilment', 'support', 'finance', 'admin']);
+    expect(isValidRole('support')).toBe(true);
+    expect(isValidRole('superuser')).toBe(false);
+  });
+
+  it('should give customers no permissions and admins all of them', () => {
+    expect(getPermissions('customer')).toEqual([]);
+    expect(getPermissions('admin')).toEqual(Object.values(PERMISSIONS));
+  });
+
+  it('should only grant permissions that exist', () => {
+    const known = Object.values(PERMISSIONS);
+    Object.values(ROLE_PERMISSIONS).flat().forEach(permission => {
+      expect(known).toContain(permission);
+    });
+  });
+
+  it('should follow the permission matrix for staff roles', () => {
+    expect(hasPermission('catalog_manager', PERMISSIONS.PRODUCTS_WRITE)).toBe(true);
+    expect(hasPermission('catalog_manager', PERMISSIONS.ORDERS_READ)).toBe(false);
+    expect(hasPermission('fulfilment', PERMISSIONS.ORDERS_FULFIL)).toBe(true);
+    expect(hasPermission('fulfilment', PERMISSIONS.ORDERS_REFUND)).toBe(false);
+    expect(hasPermission('support', PERMISSIONS.USERS_READ)).toBe(true);
+    expect(hasPermission('support', PERMISSIONS.USERS_MANAGE)).toBe(false);
+    expect(hasPermission('finance', PERMISSIONS.ORDERS_REFUND)).toBe(true);
+    expect(hasPermission('finance', PERMISSIONS.ANALYTICS_READ)).toBe(true);
+  });
+
+  it('should deny everything to unknown roles', () => {
+    expect(getPermissions(undefined)).toEqual([]);
+    expect(hasPermission('superuser', PERMISSIONS.PRODUCTS_WRITE)).toBe(false);
+  });
+
+  it('should require the finance permissions for statuses that move money', () => {
+    expect(getStatusPermission('paid')).toBe(PERMISSIONS.PAYMENTS_CONFIRM);
+    expect(getStatusPermission('refunded')).toBe(PERMISSIONS.ORDERS_REFUND);
+    expect(getStatusPermission('shipped')).toBe(PERMISSIONS.ORDERS_FULFIL);
+    expect(getStatusPermission(undefined)).toBe(PERMISSIONS.ORDERS_FULFIL);
+  });
+});
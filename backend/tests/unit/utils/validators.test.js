@@ -3,7 +3,14 @@ import {
   validateEmail,
   validatePassword,
   validateProductData,
-  validateShippingAddress
+  validateProductVariants,
+  validateShippingAddress,
+  validateBillingAddress,
+  validateSavedAddress,
+  validateCouponData,
+  validateTaxRuleData,
+  validateShippingZoneData,
+  validateShipmentData
 } from '../../../src/utils/validators.js';
 
 describe('Validators', () => {
@@ -195,6 +202,20 @@ describe('Validators', () => {
       const errors = validateProductData(product);
       expect(errors).not.toContain('Valid stock quantity is required');
     });
+
+    it('should reject unknown tax classes', () => {
+      const product = {
+        name: 'Test Product',
+        description: 'Test Description',
+        price: 99.99,
+        category: 'Electronics',
+        stock: 1,
+        taxClass: 'luxury'
+      };
+
+      const errors = validateProductData(product);
+      expect(errors).toContain('Tax class must be one of: standard, reduced, zero');
+    });
   });
 
   describe('validateShippingAddress', () => {
@@ -271,6 +292,212 @@ describe('Validators', () => {
       const errors = validateShippingAddress(address);
       expect(errors).toContain('Street address is required');
     });
+
+  describe('validateBillingAddress', () => {
+    it('should name the billing address in its errors', () => {
+      expect(validateBillingAddress(null)).toEqual(['Billing address is required']);
+      expect(validateBillingAddress({
+        street: '',
+        city: 'Boston',
+        state: 'MA',
+        zipCode: '',
+        country: 'USA'
+      })).toEqual(['Billing street address is required', 'Billing zip code is required']);
+    });
   });
-});
 
+  describe('validateSavedAddress', () => {
+    const address = {
+      label: 'Home',
+      street: '123 Main St',
+      city: 'New York',
+      state: 'NY',
+      zipCode: '10001',
+      country: 'USA'
+    };
+
+    it('should accept a complete address with or without a label', () => {
+      expect(validateSavedAddress(address)).toEqual([]);
+      expect(validateSavedAddress({ ...address, label: undefined })).toEqual([]);
+    });
+
+    it('should reject long labels and incomplete addresses', () => {
+      expect(validateSavedAddress({ ...address, label: 'x'.repeat(41) })).toEqual(['Label must be 40 characters or fewer']);
+      expect(validateSavedAddress({ ...address, country: '' })).toEqual(['Country is required']);
+      expect(validateSavedAddress(null)).toEqual(['Address is required']);
+    });
+  });
+  });
+
+  describe('validateCouponData', () => {
+    it('should accept a valid percentage coupon', () => {
+      const errors = validateCouponData({ code: 'SAVE10', type: 'percentage', value: 10 });
+      expect(errors).toEqual([]);
+    });
+
+    it('should require a code and a known type', () => {
+      const errors = validateCouponData({ type: 'bogof' });
+      expect(errors).toContain('Coupon code is required');
+      expect(errors).toContain('Coupon type must be one of: percentage, fixed, free_shipping');
+    });
+
+    it('should require a positive amount for fixed coupons', () => {
+      const errors = validateCouponData({ code: 'FIVE', type: 'fixed', value: 0 });
+      expect(errors).toContain('Discount amount must be greater than 0');
+    });
+
+    it('should reject non-integer usage limits', () => {
+      const errors = validateCouponData({ code: 'SHIP', type: 'free_shipping', usageLimit: 1.5, perUserLimit: 0 });
+      expect(errors).toContain('Usage limit must be a positive whole number');
+      expect(errors).toContain('Per-customer limit must be a positive whole number');
+    });
+
+    it('should reject a validity window that ends before it starts', () => {
+      const errors = validateCouponData({
+        code: 'SALE',
+        type: 'fixed',
+        value: 5,
+        startsAt: '2025-07-01',
+        expiresAt: '2025-06-01'
+      });
+      expect(errors).toContain('Coupon must start before it expires');
+    });
+  });
+
+  describe('validateTaxRuleData', () => {
+    it('should accept a rule with rates per tax class', () => {
+      const errors = validateTaxRuleData({
+        country: 'USA',
+        state: 'NY',
+        rates: { standard: 8.875, reduced: 4, zero: 0 },
+        pricingMode: 'exclusive'
+      });
+      expect(errors).toEqual([]);
+    });
+
+    it('should require a country', () => {
+      expect(validateTaxRuleData({ rates: { standard: 5 } })).toContain('Country is required');
+    });
+
+    it('should reject unknown tax classes and out of range rates', () => {
+      const errors = validateTaxRuleData({ country: 'USA', rates: { luxury: 20, standard: -1 } });
+      expect(errors).toContain('Tax class must be one of: standard, reduced, zero');
+      expect(errors).toContain('Tax rates must be between 0 and 100');
+    });
+
+    it('should reject unknown pricing modes', () => {
+      const errors = validateTaxRuleData({ country: 'DE', pricingMode: 'gross' });
+      expect(errors).toContain('Pricing mode must be one of: exclusive, inclusive');
+    });
+  });
+
+  describe('validateShippingZoneData', () => {
+    const standard = { code: 'standard', name: 'Standard', rateBasis: 'weight', rates: [{ upTo: 5, price: 6 }] };
+
+    it('should accept a zone with rate tables', () => {
+      const errors = validateShippingZoneData({
+        name: 'Europe',
+        countries: ['FRA'],
+        methods: [standard, { code: 'pickup', name: 'Pickup', rateBasis: 'price', rates: [{ upTo: null, price: 0 }] }]
+      });
+      expect(errors).toEqual([]);
+    });
+
+    it('should only allow a zone without countries when it is the default', () => {
+      expect(validateShippingZoneData({ name: 'World', countries: [], methods: [standard] }))
+        .toContain('Add at least one country or make this the default zone');
+      expect(validateShippingZoneData({ name: 'World', isDefault: true, methods: [standard] })).toEqual([]);
+    });
+
+    it('should reject unknown and repeated methods', () => {
+      const errors = validateShippingZoneData({
+        name: 'Europe',
+        countries: ['FRA'],
+        methods: [standard, standard, { ...standard, code: 'drone' }]
+      });
+      expect(errors).toContain('Shipping method must be one of: standard, express, pickup');
+      expect(errors).toContain('Each shipping method can only be offered once per zone');
+    });
+
+    it('should reject empty and negative rate tables', () => {
+      const errors = validateShippingZoneData({
+        name: 'Europe',
+        countries: ['FRA'],
+        methods: [{ ...standard, rates: [] }, { ...standard, code: 'express', rates: [{ upTo: -1, price: 5 }] }]
+      });
+      expect(errors).toContain('Each shipping method needs at least one rate');
+      expect(errors).toContain('Shipping rates cannot be negative');
+    });
+  });
+
+  describe('product shipping details', () => {
+    it('should reject negative weight and dimensions', () => {
+      const errors = validateProductData({
+        name: 'Box',
+        description: 'A box',
+        price: 5,
+        category: 'Home',
+        stock: 1,
+        weight: -2,
+        dimensions: { length: 10, width: -1, height: 5 }
+      });
+      expect(errors).toContain('Weight cannot be negative');
+      expect(errors).toContain('Dimensions cannot be negative');
+    });
+  });
+
+  describe('validateProductVariants', () => {
+    const options = [{ name: 'Size', values: ['S', 'M'] }, { name: 'Colour', values: ['Red'] }];
+    const variant = (sku, Size, extra = {}) => ({ sku, attributes: { Size, Colour: 'Red' }, stock: 1, ...extra });
+
+    it('should accept one listed value per option and unique SKUs', () => {
+      expect(validateProductVariants({ options, variants: [variant('S-RED', 'S'), variant('M-RED', 'M')] })).toEqual([]);
+    });
+
+    it('should accept products without variants', () => {
+      expect(validateProductVariants({})).toEqual([]);
+    });
+
+    it('should need named options with values', () => {
+      expect(validateProductVariants({ options: [], variants: [variant('S-RED', 'S')] }))
+        .toContain('Variants need at least one option such as size or colour');
+      expect(validateProductVariants({ options: [{ name: 'Size', values: [] }], variants: [variant('S-RED', 'S')] }))
+        .toContain('Every option needs at least one value');
+      expect(validateProductVariants({ options: [options[0], options[0]], variants: [variant('S-RED', 'S')] }))
+        .toContain('Option names must be unique');
+    });
+
+    it('should reject duplicate SKUs and combinations', () => {
+      const errors = validateProductVariants({ options, variants: [variant('TEE', 'S'), variant('TEE', 'S')] });
+      expect(errors).toContain('SKU TEE is used by more than one variant');
+      expect(errors).toContain('Variant 2 has the same options as another variant');
+    });
+
+    it('should reject unlisted values, missing SKUs, bad prices and stock', () => {
+      const errors = validateProductVariants({
+        options,
+        variants: [
+          variant('', 'XL'),
+          variant('M-RED', 'M', { price: 0, stock: -1 })
+        ]
+      });
+      expect(errors).toContain('Variant 1 needs a SKU');
+      expect(errors).toContain('Variant 1 needs one listed value for each option');
+      expect(errors).toContain('Variant 2 price must be greater than 0');
+      expect(errors).toContain('Variant 2 needs a valid stock quantity');
+    });
+  });
+
+  describe('validateShipmentData', () => {
+    it('should accept a carrier and tracking number', () => {
+      expect(validateShipmentData({ carrier: 'UPS', trackingNumber: '1Z999' })).toEqual([]);
+    });
+
+    it('should require both fields', () => {
+      expect(validateShipmentData({ carrier: ' ' })).toEqual([
+        'Carrier is required',
+        'Tracking number is required'
+      ]);
+    });
+  });
+});
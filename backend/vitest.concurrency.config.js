@@ -0,0 +1,12 @@
+import { defineConfig, configDefaults } from 'vitest/config';
+import baseConfig from './vitest.config.js';
+
+// Checkout concurrency suite only; the default run leaves it out because it downloads a mongod binary
+export default defineConfig({
+  ...baseConfig,
+  test: {
+    ...baseConfig.test,
+    include: ['tests/integration/checkoutConcurrency.integration.test.js'],
+    exclude: configDefaults.exclude
+  }
+});
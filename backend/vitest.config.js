@@ -1,10 +1,12 @@
-import { defineConfig } from 'vitest/config';
+import { defineConfig, configDefaults } from 'vitest/config';
 
 export default defineConfig({
   test: {
     globals: true,
     environment: 'node',
     include: ['tests/**/*.test.js'],
+    // Downloads a mongod binary for its own replica set; run it with npm run test:concurrency
+    exclude: [...configDefaults.exclude, 'tests/integration/checkoutConcurrency.integration.test.js'],
     // Run tests in sequence for integration tests to avoid database conflicts
     sequence: {
       shuffle: false,
@@ -9,6 +9,7 @@ import Navbar from './components/layout/Navbar';
 import Footer from './components/layout/Footer';
 import ProtectedRoute from './components/layout/ProtectedRoute';
 import AdminRoute from './components/layout/AdminRoute';
+import { PERMISSIONS } from './utils/permissions';
 
 // Pages
 import Home from './pages/Home';
@@ -17,6 +18,13 @@ import ProductDetails from './pages/ProductDetails';
 import Cart from './pages/Cart';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
+import Profile from './pages/Profile';
+import Addresses from './pages/Addresses';
+import TwoFactorSettings from './pages/TwoFactorSettings';
 import Orders from './pages/Orders';
 import OrderDetails from './pages/OrderDetails';
 import Checkout from './pages/Checkout';
@@ -24,6 +32,10 @@ import AdminDashboard from './pages/admin/AdminDashboard';
 import AdminProducts from './pages/admin/AdminProducts';
 import AdminOrders from './pages/admin/AdminOrders';
 import AdminAnalytics from './pages/admin/AdminAnalytics';
+import AdminCoupons from './pages/admin/AdminCoupons';
+import AdminTaxRules from './pages/admin/AdminTaxRules';
+import AdminShippingZones from './pages/admin/AdminShippingZones';
+import AdminUsers from './pages/admin/AdminUsers';
 
 function App() {
   return (
@@ -41,35 +53,42 @@ function App() {
                 <Route path="/products/:id" element={<ProductDetails />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/unlock-account" element={<UnlockAccount />} />
+                <Route path="/cart" element={<Cart />} />
+                <Route path="/checkout" element={<Checkout />} />
                 <Route
-                  path="/cart"
+                  path="/orders"
                   element={
                     <ProtectedRoute>
-                      <Cart />
+                      <Orders />
                     </ProtectedRoute>
                   }
                 />
+                <Route path="/orders/:id" element={<OrderDetails />} />
                 <Route
-                  path="/checkout"
+                  path="/profile"
                   element={
                     <ProtectedRoute>
-                      <Checkout />
+                      <Profile />
                     </ProtectedRoute>
                   }
                 />
                 <Route
-                  path="/orders"
+                  path="/profile/two-factor"
                   element={
                     <ProtectedRoute>
-                      <Orders />
+                      <TwoFactorSettings />
                     </ProtectedRoute>
                   }
                 />
                 <Route
-                  path="/orders/:id"
+                  path="/addresses"
                   element={
                     <ProtectedRoute>
-                      <OrderDetails />
+                      <Addresses />
                     </ProtectedRoute>
                   }
                 />
@@ -84,23 +103,55 @@ function App() {
                 <Route
                   path="/admin/products"
                   element={
-                    <AdminRoute>
+                    <AdminRoute permission={PERMISSIONS.PRODUCTS_WRITE}>
                       <AdminProducts />
                     </AdminRoute>
                   }
                 />
+                <Route
+                  path="/admin/coupons"
+                  element={
+                    <AdminRoute permission={PERMISSIONS.COUPONS_WRITE}>
+                      <AdminCoupons />
+                    </AdminRoute>
+                  }
+                />
+                <Route
+                  path="/admin/tax-rules"
+                  element={
+                    <AdminRoute permission={PERMISSIONS.TAXES_WRITE}>
+                      <AdminTaxRules />
+                    </AdminRoute>
+                  }
+                />
+                <Route
+                  path="/admin/shipping"
+                  element={
+                    <AdminRoute permission={PERMISSIONS.SHIPPING_WRITE}>
+                      <AdminShippingZones />
+                    </AdminRoute>
+                  }
+                />
                 <Route
                   path="/admin/orders"
                   element={
-                    <AdminRoute>
+                    <AdminRoute permission={PERMISSIONS.ORDERS_READ}>
                       <AdminOrders />
                     </AdminRoute>
                   }
                 />
+                <Route
+                  path="/admin/users"
+                  element={
+                    <AdminRoute permission={PERMISSIONS.USERS_READ}>
+                      <AdminUsers />
+                    </AdminRoute>
+                  }
+                />
                 <Route
                   path="/admin/analytics"
                   element={
-                    <AdminRoute>
+                    <AdminRoute permission={PERMISSIONS.ANALYTICS_READ}>
                       <AdminAnalytics />
                     </AdminRoute>
                   }
@@ -0,0 +1,37 @@
+// Street, city, state, zip code and country inputs for an address form.
+// idPrefix keeps labels unique when a page shows more than one address
+const AddressFields = ({ values, onChange, idPrefix }) => {
+  const field = (name, label, placeholder) => (
+    <div>
+      <label htmlFor={`${idPrefix}-${name}`} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      <input
+        id={`${idPrefix}-${name}`}
+        type="text"
+        name={name}
+        required
+        className="input-field"
+        value={values[name]}
+        onChange={onChange}
+        placeholder={placeholder}
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-4">
+      {field('street', 'Street Address', '123 Main St')}
+      <div className="grid grid-cols-2 gap-4">
+        {field('city', 'City', 'New York')}
+        {field('state', 'State', 'NY')}
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        {field('zipCode', 'Zip Code', '10001')}
+        {field('country', 'Country', 'USA')}
+      </div>
+    </div>
+  );
+};
+
+export default AddressFields;
@@ -1,8 +1,9 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 
-const AdminRoute = ({ children }) => {
-  const { user, loading, isAdmin } = useAuth();
+// Staff-only route. Pass a permission to also require it for this page
+const AdminRoute = ({ children, permission }) => {
+  const { user, loading, isStaff, hasPermission } = useAuth();
 
   if (loading) {
     return (
@@ -16,10 +17,19 @@ const AdminRoute = ({ children }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (!isAdmin) {
+  if (!isStaff) {
     return <Navigate to="/" replace />;
   }
 
+  // The API turns these accounts away until they enrol, so send them to set it up first
+  if (user.twoFactorRequired && !user.twoFactorEnabled) {
+    return <Navigate to="/profile/two-factor" replace />;
+  }
+
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to="/admin" replace />;
+  }
+
   return children;
 };
 
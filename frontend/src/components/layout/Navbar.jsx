@@ -5,7 +5,7 @@ import { FiShoppingCart, FiUser, FiLogOut, FiMenu, FiX } from 'react-icons/fi';
 import { useState } from 'react';
 
 const Navbar = () => {
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isStaff } = useAuth();
   const { cartItemCount } = useCart();
   const navigate = useNavigate();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -33,28 +33,29 @@ const Navbar = () => {
               Products
             </Link>
             
+            <Link to="/cart" className="relative text-gray-700 hover:text-black transition-colors">
+              <FiShoppingCart className="text-xl" />
+              {cartItemCount > 0 && (
+                <span className="absolute -top-2 -right-2 bg-primary-600 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
+                  {cartItemCount}
+                </span>
+              )}
+            </Link>
+
             {user ? (
               <>
-                <Link to="/cart" className="relative text-gray-700 hover:text-black transition-colors">
-                  <FiShoppingCart className="text-xl" />
-                  {cartItemCount > 0 && (
-                    <span className="absolute -top-2 -right-2 bg-primary-600 text-white text-xs rounded-full h-5 w-5 flex items-center justify-center">
-                      {cartItemCount}
-                    </span>
-                  )}
-                </Link>
                 <Link to="/orders" className="text-gray-700 hover:text-black transition-colors">
                   Orders
                 </Link>
-                {isAdmin && (
+                {isStaff && (
                   <Link to="/admin" className="text-gray-700 hover:text-black transition-colors">
                     Admin Portal
                   </Link>
                 )}
-                <div className="flex items-center space-x-2">
-                  <FiUser className="text-gray-700" />
-                  <span className="text-gray-700">{user.name}</span>
-                </div>
+                <Link to="/profile" className="flex items-center space-x-2 text-gray-700 hover:text-black transition-colors">
+                  <FiUser />
+                  <span>{user.name}</span>
+                </Link>
                 <button
                   onClick={handleLogout}
                   className="flex items-center space-x-1 text-gray-700 hover:text-red-600 transition-colors"
@@ -101,15 +102,15 @@ const Navbar = () => {
             >
               Products
             </Link>
+            <Link
+              to="/cart"
+              className="block text-gray-700 hover:text-black transition-colors"
+              onClick={() => setMobileMenuOpen(false)}
+            >
+              Cart ({cartItemCount})
+            </Link>
             {user ? (
               <>
-                <Link
-                  to="/cart"
-                  className="block text-gray-700 hover:text-black transition-colors"
-                  onClick={() => setMobileMenuOpen(false)}
-                >
-                  Cart ({cartItemCount})
-                </Link>
                 <Link
                   to="/orders"
                   className="block text-gray-700 hover:text-black transition-colors"
@@ -117,7 +118,7 @@ const Navbar = () => {
                 >
                   Orders
                 </Link>
-                {isAdmin && (
+                {isStaff && (
                   <Link
                     to="/admin"
                     className="block text-gray-700 hover:text-black transition-colors"
@@ -126,10 +127,14 @@ const Navbar = () => {
                     Admin
                   </Link>
                 )}
-                <div className="flex items-center space-x-2 py-2">
-                  <FiUser className="text-gray-700" />
-                  <span className="text-gray-700">{user.name}</span>
-                </div>
+                <Link
+                  to="/profile"
+                  className="flex items-center space-x-2 py-2 text-gray-700 hover:text-black transition-colors"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  <FiUser />
+                  <span>{user.name}</span>
+                </Link>
                 <button
                   onClick={() => {
                     handleLogout();
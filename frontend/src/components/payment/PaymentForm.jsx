@@ -8,7 +8,8 @@ import { paymentAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
 import { FiCreditCard, FiLock, FiAlertCircle } from 'react-icons/fi';
 
-const PaymentForm = ({ orderId, amount, clientSecret: propClientSecret, onPaymentSuccess, onPaymentError }) => {
+// Guests pass the orderToken from checkout, which stands in for a sign-in on the payment endpoints
+const PaymentForm = ({ orderId, orderToken, amount, clientSecret: propClientSecret, onPaymentSuccess, onPaymentError }) => {
   // Hooks must be called unconditionally
   const stripe = useStripe();
   const elements = useElements();
@@ -58,7 +59,7 @@ const PaymentForm = ({ orderId, amount, clientSecret: propClientSecret, onPaymen
         elements,
         clientSecret,
         confirmParams: {
-          return_url: `${window.location.origin}/orders/${orderId}`,
+          return_url: `${window.location.origin}/orders/${orderId}${orderToken ? `?token=${orderToken}` : ''}`,
         },
         redirect: 'if_required', // Don't redirect if payment can be confirmed immediately
       });
@@ -77,7 +78,8 @@ const PaymentForm = ({ orderId, amount, clientSecret: propClientSecret, onPaymen
         try {
           await paymentAPI.confirm({
             paymentIntentId: paymentIntent.id,
-            orderId
+            orderId,
+            orderToken
           });
           await new Promise(resolve => setTimeout(resolve, 1500));
         } catch (backendError) {
@@ -173,7 +175,8 @@ const PaymentForm = ({ orderId, amount, clientSecret: propClientSecret, onPaymen
                   // Call backend to confirm test payment
                   await paymentAPI.confirm({
                     paymentIntentId: clientSecret.split('_secret_')[0] || 'pi_test_' + orderId,
-                    orderId
+                    orderId,
+                    orderToken
                   });
                   
                   if (onPaymentSuccess) {
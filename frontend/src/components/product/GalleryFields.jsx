@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiArrowUp, FiArrowDown, FiTrash2 } from 'react-icons/fi';
+import { productAPI } from '../../utils/api';
+
+// Matches the server's limit on one product's gallery
+export const MAX_GALLERY_IMAGES = 12;
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif';
+
+const toEditable = (images = []) => images.map((image) => ({ ...image, alt: image.alt || '' }));
+
+// Uploaded photos of a saved product. Uploads and removals go to the server straight away;
+// the order and alt text are saved together. The first photo is the product's cover
+const GalleryFields = ({ product, onChange }) => {
+  const [images, setImages] = useState(() => toEditable(product?.images));
+  const [dirty, setDirty] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  if (!product?._id) {
+    return (
+      <div className="border-t pt-4">
+        <h3 className="text-sm font-medium text-gray-700 mb-2">Photos</h3>
+        <p className="text-sm text-gray-500">Save the product to upload photos.</p>
+      </div>
+    );
+  }
+
+  const applyProduct = (updated) => {
+    setImages(toEditable(updated.images));
+    setDirty(false);
+    onChange(updated);
+  };
+
+  const run = async (request, successMessage, failureMessage) => {
+    setBusy(true);
+    try {
+      const res = await request();
+      applyProduct(res.data.data);
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.message || failureMessage);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) {
+      return;
+    }
+    const formData = new FormData();
+    files.forEach((file) => formData.append('images', file));
+    run(() => productAPI.uploadImages(product._id, formData), 'Photos uploaded', 'Failed to upload photos');
+  };
+
+  const handleRemove = (image) => {
+    if (!window.confirm('Remove this photo?')) {
+      return;
+    }
+    run(() => productAPI.deleteImage(product._id, image._id), 'Photo removed', 'Failed to remove photo');
+  };
+
+  const handleSave = () => {
+    const order = images.map((image) => ({ _id: image._id, alt: image.alt }));
+    run(() => productAPI.updateImages(product._id, order), 'Photos updated', 'Failed to update photos');
+  };
+
+  const move = (index, offset) => {
+    const next = [...images];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setImages(next);
+    setDirty(true);
+  };
+
+  const updateAlt = (index, alt) => {
+    setImages(images.map((image, i) => (i === index ? { ...image, alt } : image)));
+    setDirty(true);
+  };
+
+  return (
+    <div className="space-y-2 border-t pt-4">
+      <div className="flex justify-between items-center">
+        <h3 className="text-sm font-medium text-gray-700">Photos</h3>
+        <span className="text-xs text-gray-500">
+          {images.length} of {MAX_GALLERY_IMAGES}
+        </span>
+      </div>
+      {images.length === 0 && (
+        <p className="text-sm text-gray-500">The first photo you upload becomes the product&apos;s cover image.</p>
+      )}
+      {images.map((image, index) => {
+        const label = `photo ${index + 1}`;
+        return (
+          <div key={image._id} className="flex items-center gap-2">
+            <img src={image.thumbnail} alt={image.alt} className="h-12 w-12 object-cover rounded" />
+            <input
+              type="text"
+              className="input-field flex-1"
+              aria-label={`Alt text for ${label}`}
+              placeholder={index === 0 ? 'Describe the cover photo' : 'Describe this photo'}
+              value={image.alt}
+              onChange={(e) => updateAlt(index, e.target.value)}
+            />
+            {index === 0 && <span className="text-xs text-gray-500">Cover</span>}
+            <button
+              type="button"
+              onClick={() => move(index, -1)}
+              disabled={busy || index === 0}
+              className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              aria-label={`Move ${label} up`}
+            >
+              <FiArrowUp />
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, 1)}
+              disabled={busy || index === images.length - 1}
+              className="text-gray-600 hover:text-gray-900 disabled:opacity-30"
+              aria-label={`Move ${label} down`}
+            >
+              <FiArrowDown />
+            </button>
+            <button
+              type="button"
+              onClick={() => handleRemove(image)}
+              disabled={busy}
+              className="text-red-600 hover:text-red-900"
+              aria-label={`Remove ${label}`}
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+        );
+      })}
+      <div className="flex items-center gap-2">
+        <label className="btn-secondary text-sm cursor-pointer">
+          Upload photos
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_TYPES}
+            className="sr-only"
+            onChange={handleUpload}
+            disabled={busy || images.length >= MAX_GALLERY_IMAGES}
+          />
+        </label>
+        {dirty && (
+          <button type="button" onClick={handleSave} disabled={busy} className="btn-primary text-sm">
+            Save order and alt text
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-gray-500">JPEG, PNG, WebP or GIF, up to 5 MB each.</p>
+    </div>
+  );
+};
+
+export default GalleryFields;
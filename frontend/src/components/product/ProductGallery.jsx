@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react';
+import { FiChevronLeft, FiChevronRight } from 'react-icons/fi';
+
+// Large view of one photo with a strip of thumbnails to switch between them.
+// A highlighted image (the chosen variant's own photo) is shown until the shopper picks a thumbnail;
+// products without a gallery show their single image URL
+const ProductGallery = ({ images = [], image, highlight, name }) => {
+  const [active, setActive] = useState(0);
+  const [showHighlight, setShowHighlight] = useState(Boolean(highlight));
+
+  useEffect(() => {
+    setShowHighlight(Boolean(highlight));
+  }, [highlight]);
+
+  if (images.length === 0) {
+    const src = highlight || image;
+    return (
+      <div className="bg-white rounded-lg shadow-md overflow-hidden">
+        {src ? (
+          <img src={src} alt={name} className="w-full h-96 object-cover" />
+        ) : (
+          <div className="w-full h-96 bg-gray-200 flex items-center justify-center text-gray-400">
+            No Image Available
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const current = images[active] || images[0];
+
+  const show = (index) => {
+    setActive((index + images.length) % images.length);
+    setShowHighlight(false);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="relative bg-white rounded-lg shadow-md overflow-hidden">
+        {showHighlight ? (
+          <img src={highlight} alt={name} className="w-full h-96 object-contain" />
+        ) : (
+          <img src={current.large} alt={current.alt || name} className="w-full h-96 object-contain" />
+        )}
+        {images.length > 1 && (
+          <>
+            <button
+              type="button"
+              onClick={() => show(active - 1)}
+              className="absolute left-2 top-1/2 -translate-y-1/2 p-2 bg-white/80 rounded-full shadow hover:bg-white"
+              aria-label="Previous photo"
+            >
+              <FiChevronLeft />
+            </button>
+            <button
+              type="button"
+              onClick={() => show(active + 1)}
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-2 bg-white/80 rounded-full shadow hover:bg-white"
+              aria-label="Next photo"
+            >
+              <FiChevronRight />
+            </button>
+            {!showHighlight && (
+              <span className="absolute bottom-2 right-2 px-2 py-0.5 text-xs bg-black/60 text-white rounded">
+                {active + 1} / {images.length}
+              </span>
+            )}
+          </>
+        )}
+      </div>
+      {images.length > 1 && (
+        <div className="flex gap-2 overflow-x-auto" role="group" aria-label="Product photos">
+          {images.map((item, index) => {
+            const selected = !showHighlight && index === active;
+            return (
+              <button
+                key={item._id || item.thumbnail}
+                type="button"
+                onClick={() => show(index)}
+                aria-label={`Show photo ${index + 1}`}
+                aria-pressed={selected}
+                className={`flex-shrink-0 rounded border-2 ${selected ? 'border-primary-600' : 'border-transparent'}`}
+              >
+                <img src={item.thumbnail} alt="" aria-hidden="true" className="h-16 w-16 object-cover rounded" />
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
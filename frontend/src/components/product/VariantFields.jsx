@@ -0,0 +1,192 @@
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { describeVariant } from '../../utils/productVariants';
+
+// Option values are typed as a comma-separated list, e.g. "S, M, L"
+export const parseOptionValues = (text) => [
+  ...new Set(
+    String(text)
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean)
+  ),
+];
+
+export const toProductOptions = (options) =>
+  options.map((option) => ({ name: option.name.trim(), values: parseOptionValues(option.values) }));
+
+// Every combination of option values, as variant attributes
+const combine = (options) =>
+  options.reduce(
+    (combinations, option) =>
+      combinations.flatMap((attributes) => option.values.map((value) => ({ ...attributes, [option.name]: value }))),
+    [{}]
+  );
+
+const sameAttributes = (a = {}, b = {}) =>
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every((name) => a[name] === b[name]);
+
+// Options (such as size and colour) and one row per combination with its SKU, price, stock and image.
+// A blank price sells the variant at the product price
+const VariantFields = ({ options, variants, basePrice, onChange }) => {
+  const parsedOptions = toProductOptions(options);
+
+  const updateOption = (index, field, value) => {
+    onChange(
+      options.map((option, i) => (i === index ? { ...option, [field]: value } : option)),
+      variants
+    );
+  };
+
+  const removeOption = (index) => {
+    onChange(
+      options.filter((_, i) => i !== index),
+      variants
+    );
+  };
+
+  // Rows already set up for a combination keep their SKU, price, stock and id
+  const buildVariants = () => {
+    const named = parsedOptions.filter((option) => option.name && option.values.length > 0);
+    onChange(
+      options,
+      combine(named).map(
+        (attributes) =>
+          variants.find((variant) => sameAttributes(variant.attributes, attributes)) || {
+            sku: Object.values(attributes).join('-').toUpperCase().replace(/\s+/g, '-'),
+            attributes,
+            price: '',
+            stock: 0,
+            image: '',
+          }
+      )
+    );
+  };
+
+  const updateVariant = (index, field, value) => {
+    onChange(
+      options,
+      variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant))
+    );
+  };
+
+  const removeVariant = (index) => {
+    onChange(
+      options,
+      variants.filter((_, i) => i !== index)
+    );
+  };
+
+  return (
+    <div className="space-y-4 border-t pt-4">
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-sm font-medium text-gray-700">Options</h3>
+          <button
+            type="button"
+            onClick={() => onChange([...options, { name: '', values: '' }], variants)}
+            className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+          >
+            <FiPlus className="mr-1" />
+            Add option
+          </button>
+        </div>
+        {options.length === 0 && (
+          <p className="text-sm text-gray-500">Add options such as size or colour to sell this product in variants.</p>
+        )}
+        {options.map((option, index) => (
+          <div key={index} className="grid grid-cols-3 gap-2 mb-2">
+            <input
+              type="text"
+              className="input-field"
+              aria-label={`Option ${index + 1} name`}
+              placeholder="e.g., Size"
+              value={option.name}
+              onChange={(e) => updateOption(index, 'name', e.target.value)}
+            />
+            <input
+              type="text"
+              className="input-field col-span-2"
+              aria-label={`Option ${index + 1} values`}
+              placeholder="e.g., S, M, L"
+              value={option.values}
+              onChange={(e) => updateOption(index, 'values', e.target.value)}
+            />
+            <button
+              type="button"
+              onClick={() => removeOption(index)}
+              className="text-red-600 hover:text-red-900 text-sm text-left"
+              aria-label={`Remove option ${index + 1}`}
+            >
+              <FiTrash2 />
+            </button>
+          </div>
+        ))}
+        {options.length > 0 && (
+          <button type="button" onClick={buildVariants} className="btn-secondary text-sm">
+            Build variants from options
+          </button>
+        )}
+      </div>
+
+      {variants.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Variants</h3>
+          <div className="space-y-2">
+            {variants.map((variant, index) => {
+              const label = describeVariant({ options: parsedOptions }, variant) || `Variant ${index + 1}`;
+              return (
+                <div key={variant._id || label} className="grid grid-cols-6 gap-2 items-center">
+                  <span className="text-sm font-medium">{label}</span>
+                  <input
+                    type="text"
+                    className="input-field"
+                    aria-label={`SKU for ${label}`}
+                    placeholder="SKU"
+                    value={variant.sku}
+                    onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="input-field"
+                    aria-label={`Price for ${label}`}
+                    placeholder={basePrice ? `${basePrice}` : 'Price'}
+                    value={variant.price}
+                    onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    className="input-field"
+                    aria-label={`Stock for ${label}`}
+                    value={variant.stock}
+                    onChange={(e) => updateVariant(index, 'stock', e.target.value)}
+                  />
+                  <input
+                    type="url"
+                    className="input-field"
+                    aria-label={`Image for ${label}`}
+                    placeholder="Image URL"
+                    value={variant.image}
+                    onChange={(e) => updateVariant(index, 'image', e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeVariant(index)}
+                    className="text-red-600 hover:text-red-900"
+                    aria-label={`Remove ${label}`}
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariantFields;
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { authAPI } from '../utils/api';
+import { hasPermission as roleHasPermission, isStaffRole } from '../utils/permissions';
 import { toast } from 'react-toastify';
 
 const AuthContext = createContext();
@@ -30,6 +31,7 @@ export const AuthProvider = ({ children }) => {
         })
         .catch(() => {
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           localStorage.removeItem('user');
           setUser(null);
         })
@@ -42,8 +44,9 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const res = await authAPI.register(userData);
-      const { user: newUser, token } = res.data.data;
+      const { user: newUser, token, refreshToken } = res.data.data;
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(newUser));
       setUser(newUser);
       toast.success('Registration successful!');
@@ -58,36 +61,91 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const res = await authAPI.login({ email, password });
-      const { user: loggedInUser, token } = res.data.data;
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(loggedInUser));
-      setUser(loggedInUser);
-      toast.success('Login successful!');
+      // Accounts with two-factor authentication get a pre-auth token for the code step instead of a session
+      if (res.data.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, preAuthToken: res.data.data.preAuthToken };
+      }
+      startSession(res.data.data);
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
-      toast.error(message);
-      return { success: false, error: message };
+      const status = error.response?.status;
+      // Throttled sign-ins are explained on the login page itself
+      if (status !== 429) {
+        toast.error(message);
+      }
+      return { success: false, error: message, status, retryAfter: error.response?.data?.retryAfter };
+    }
+  };
+
+  // Second step of a two-factor sign-in
+  const completeTwoFactorLogin = async (preAuthToken, code) => {
+    try {
+      const res = await authAPI.verifyTwoFactor({ preAuthToken, code });
+      startSession(res.data.data);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      const status = error.response?.status;
+      if (status !== 429) {
+        toast.error(message);
+      }
+      return { success: false, error: message, status, retryAfter: error.response?.data?.retryAfter };
     }
   };
 
+  const startSession = ({ user: loggedInUser, token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(loggedInUser));
+    setUser(loggedInUser);
+    toast.success('Login successful!');
+  };
+
   const logout = async () => {
     try {
-      await authAPI.logout();
+      await authAPI.logout(localStorage.getItem('refreshToken'));
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      setUser(null);
+      clearSession();
       toast.success('Logged out successfully');
     }
   };
 
+  // Forget the signed-in user locally, e.g. after the account was deleted
+  const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    setUser(null);
+  };
+
+  // Store tokens issued outside login, e.g. after a password change
+  const saveTokens = ({ token, refreshToken }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+  };
+
+  // Merge changed fields into the signed-in user and keep the saved copy in sync
+  const updateUser = (fields) => {
+    setUser((current) => {
+      if (!current) return current;
+      const updated = { ...current, ...fields };
+      localStorage.setItem('user', JSON.stringify(updated));
+      return updated;
+    });
+  };
+
   const isAdmin = user?.role === 'admin';
+  // Any staff role can open the admin section; each page and action checks its own permission
+  const isStaff = isStaffRole(user?.role);
+  const hasPermission = (permission) => roleHasPermission(user?.role, permission);
 
   return (
-    <AuthContext.Provider value={{ user, loading, register, login, logout, isAdmin }}>
+    <AuthContext.Provider
+      value={{ user, loading, register, login, completeTwoFactorLogin, logout, updateUser, saveTokens, clearSession, isAdmin, isStaff, hasPermission }}
+    >
       {children}
     </AuthContext.Provider>
   );
@@ -1,10 +1,22 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { cartAPI } from '../utils/api';
+import { cartAPI, productAPI } from '../utils/api';
+import {
+  getGuestItems,
+  saveGuestItems,
+  clearGuestItems,
+  toGuestProduct,
+  toGuestCart,
+} from '../utils/guestCart';
+import { getAvailableStock, getUnitPrice } from '../utils/productVariants';
 import { useAuth } from './AuthContext';
 import { toast } from 'react-toastify';
 
 const CartContext = createContext();
 
+// Whether a guest cart item holds this product, in this variant
+const isLine = (item, productId, variantId = null) =>
+  item.product._id === productId && (item.variant || null) === (variantId || null);
+
 export const useCart = () => {
   const context = useContext(CartContext);
   if (!context) {
@@ -15,17 +27,27 @@ export const useCart = () => {
 
 export const CartProvider = ({ children }) => {
   const [cart, setCart] = useState(null);
+  const [coupon, setCoupon] = useState(null);
   const [loading, setLoading] = useState(false);
   const { user } = useAuth();
 
   useEffect(() => {
     if (user) {
-      fetchCart();
+      syncCart();
     } else {
-      setCart(null);
+      setCart(toGuestCart(getGuestItems()));
     }
   }, [user]);
 
+  // The discount depends on what is in the cart, so re-price the coupon whenever the cart changes
+  useEffect(() => {
+    if (cart?.couponCode) {
+      fetchCoupon();
+    } else {
+      setCoupon(null);
+    }
+  }, [cart]);
+
   const fetchCart = async () => {
     try {
       setLoading(true);
@@ -38,9 +60,116 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const addToCart = async (productId, quantity = 1) => {
+  // Signing in or registering folds anything added as a guest into the account cart
+  const syncCart = async () => {
+    const guestItems = getGuestItems();
+    if (guestItems.length === 0) {
+      await fetchCart();
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const res = await cartAPI.merge(
+        guestItems.map((item) => ({
+          productId: item.product._id,
+          ...(item.variant && { variantId: item.variant }),
+          quantity: item.quantity,
+        }))
+      );
+      clearGuestItems();
+      setCart(res.data.data.cart);
+      if (res.data.data.adjustments.length > 0) {
+        toast.info('Some items from your guest cart were reduced or removed because they are no longer in stock');
+      }
+    } catch (error) {
+      // The guest items stay in the browser so the merge is retried on the next sign-in
+      console.error('Error merging cart:', error);
+      await fetchCart();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateGuestCart = (items) => {
+    saveGuestItems(items);
+    setCart(toGuestCart(items));
+  };
+
+  const fetchCoupon = async () => {
+    try {
+      const res = await cartAPI.getCoupon();
+      setCoupon(res.data.data);
+    } catch (error) {
+      console.error('Error fetching coupon:', error);
+    }
+  };
+
+  const applyCoupon = async (code) => {
+    if (!user) {
+      toast.info('Please login to apply a coupon');
+      return { success: false, error: 'Please login to apply a coupon' };
+    }
+
+    try {
+      const res = await cartAPI.applyCoupon(code);
+      setCart(res.data.data.cart);
+      toast.success('Coupon applied!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to apply coupon';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const removeCoupon = async () => {
+    try {
+      const res = await cartAPI.removeCoupon();
+      setCart(res.data.data);
+      toast.success('Coupon removed');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to remove coupon';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  const addToGuestCart = async (productId, quantity, variantId) => {
+    try {
+      const res = await productAPI.getById(productId);
+      const product = res.data.data;
+      const items = getGuestItems();
+      const existingItem = items.find((item) => isLine(item, productId, variantId));
+      const newQuantity = (existingItem?.quantity || 0) + quantity;
+
+      if (getAvailableStock(product, variantId) < newQuantity) {
+        toast.error('Insufficient stock');
+        return { success: false, error: 'Insufficient stock' };
+      }
+
+      updateGuestCart([
+        ...items.filter((item) => !isLine(item, productId, variantId)),
+        { product: toGuestProduct(product), ...(variantId && { variant: variantId }), quantity: newQuantity },
+      ]);
+      toast.success('Item added to cart!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to add item to cart';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Products sold in options need the chosen variant; each variant is its own cart line
+  const addToCart = async (productId, quantity = 1, variantId = null) => {
+    if (!user) {
+      return addToGuestCart(productId, quantity, variantId);
+    }
+
     try {
-      const res = await cartAPI.addItem({ productId, quantity });
+      const res = await cartAPI.addItem({ productId, quantity, ...(variantId && { variantId }) });
       setCart(res.data.data);
       toast.success('Item added to cart!');
       return { success: true };
@@ -51,9 +180,24 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const updateCartItem = async (productId, quantity) => {
+  const updateCartItem = async (productId, quantity, variantId = null) => {
+    if (!user) {
+      const items = getGuestItems();
+      const item = items.find((guestItem) => isLine(guestItem, productId, variantId));
+      if (!item) {
+        return { success: false, error: 'Item not found in cart' };
+      }
+      if (getAvailableStock(item.product, item.variant) < quantity) {
+        toast.error('Insufficient stock');
+        return { success: false, error: 'Insufficient stock' };
+      }
+      updateGuestCart(items.map((guestItem) => (guestItem === item ? { ...item, quantity } : guestItem)));
+      toast.success('Cart updated!');
+      return { success: true };
+    }
+
     try {
-      const res = await cartAPI.updateItem(productId, quantity);
+      const res = await cartAPI.updateItem(productId, quantity, variantId);
       setCart(res.data.data);
       toast.success('Cart updated!');
       return { success: true };
@@ -64,9 +208,15 @@ export const CartProvider = ({ children }) => {
     }
   };
 
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, variantId = null) => {
+    if (!user) {
+      updateGuestCart(getGuestItems().filter((item) => !isLine(item, productId, variantId)));
+      toast.success('Item removed from cart!');
+      return { success: true };
+    }
+
     try {
-      const res = await cartAPI.removeItem(productId);
+      const res = await cartAPI.removeItem(productId, variantId);
       setCart(res.data.data);
       toast.success('Item removed from cart!');
       return { success: true };
@@ -78,6 +228,12 @@ export const CartProvider = ({ children }) => {
   };
 
   const clearCart = async () => {
+    if (!user) {
+      updateGuestCart([]);
+      toast.success('Cart cleared!');
+      return { success: true };
+    }
+
     try {
       await cartAPI.clearCart();
       setCart(null);
@@ -92,21 +248,25 @@ export const CartProvider = ({ children }) => {
 
   const cartItemCount = cart?.items?.reduce((total, item) => total + item.quantity, 0) || 0;
   const cartTotal = cart?.items?.reduce((total, item) => {
-    return total + (item.product?.price || 0) * item.quantity;
+    return total + getUnitPrice(item) * item.quantity;
   }, 0) || 0;
 
   return (
     <CartContext.Provider
       value={{
         cart,
+        coupon,
         loading,
         addToCart,
         updateCartItem,
         removeFromCart,
         clearCart,
         fetchCart,
+        applyCoupon,
+        removeCoupon,
         cartItemCount,
         cartTotal,
+        isGuest: !user,
       }}
     >
       {children}
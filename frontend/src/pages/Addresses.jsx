@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { addressAPI } from '../utils/api';
+import { EMPTY_ADDRESS, pickAddress, formatAddress } from '../utils/address';
+import AddressFields from '../components/address/AddressFields';
+import { toast } from 'react-toastify';
+import { FiMapPin, FiPlus } from 'react-icons/fi';
+
+const EMPTY_FORM = { label: '', ...EMPTY_ADDRESS, isDefault: false };
+
+const Addresses = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  const fetchAddresses = async () => {
+    try {
+      const res = await addressAPI.getAll();
+      setAddresses(res.data.data || []);
+    } catch (error) {
+      toast.error('Failed to load addresses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (address = null) => {
+    setEditingId(address?._id || null);
+    setFormData(address
+      ? { label: address.label || '', ...pickAddress(address), isDefault: address.isDefault }
+      : EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const res = editingId
+        ? await addressAPI.update(editingId, formData)
+        : await addressAPI.create(formData);
+      setAddresses(res.data.data);
+      toast.success(editingId ? 'Address updated' : 'Address saved');
+      closeForm();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to save address';
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMakeDefault = async (id) => {
+    try {
+      const res = await addressAPI.update(id, { isDefault: true });
+      setAddresses(res.data.data);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update address';
+      toast.error(message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this address?')) {
+      return;
+    }
+    try {
+      const res = await addressAPI.delete(id);
+      setAddresses(res.data.data);
+      toast.success('Address deleted');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete address';
+      toast.error(message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <div className="flex justify-between items-center">
+        <h1 className="text-3xl font-bold flex items-center">
+          <FiMapPin className="mr-2" />
+          Address Book
+        </h1>
+        {!showForm && (
+          <button type="button" onClick={() => openForm()} className="btn-primary flex items-center">
+            <FiPlus className="mr-1" />
+            Add Address
+          </button>
+        )}
+      </div>
+      <Link to="/profile" className="text-primary-600 hover:text-primary-700">
+        Back to My Account
+      </Link>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="card space-y-4">
+          <h2 className="text-xl font-bold">{editingId ? 'Edit Address' : 'New Address'}</h2>
+          <div>
+            <label htmlFor="address-label" className="block text-sm font-medium text-gray-700 mb-1">
+              Label
+            </label>
+            <input
+              id="address-label"
+              type="text"
+              name="label"
+              maxLength={40}
+              className="input-field"
+              value={formData.label}
+              onChange={handleChange}
+              placeholder="Home, Office..."
+            />
+          </div>
+          <AddressFields values={formData} onChange={handleChange} idPrefix="address" />
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="isDefault"
+              className="mr-2"
+              checked={formData.isDefault}
+              onChange={handleChange}
+            />
+            Use as my default address
+          </label>
+          <div className="flex gap-2">
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Address'}
+            </button>
+            <button type="button" onClick={closeForm} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {addresses.length === 0 ? (
+        !showForm && (
+          <div className="card text-center text-gray-600">
+            No saved addresses yet. Addresses you save here can be picked at checkout.
+          </div>
+        )
+      ) : (
+        <div className="space-y-4">
+          {addresses.map((address) => (
+            <div key={address._id} className="card flex justify-between items-start gap-4">
+              <div>
+                <p className="font-semibold">
+                  {address.label || 'Address'}
+                  {address.isDefault && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-800 px-2 py-1 rounded">Default</span>
+                  )}
+                </p>
+                <p className="text-gray-600">{formatAddress(address)}</p>
+              </div>
+              <div className="flex flex-col items-end gap-1 text-sm">
+                {!address.isDefault && (
+                  <button
+                    type="button"
+                    onClick={() => handleMakeDefault(address._id)}
+                    className="text-primary-600 hover:text-primary-700"
+                  >
+                    Make default
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => openForm(address)}
+                  className="text-gray-700 hover:text-black"
+                  aria-label={`Edit ${address.label || formatAddress(address)}`}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(address._id)}
+                  className="text-red-600 hover:text-red-700"
+                  aria-label={`Delete ${address.label || formatAddress(address)}`}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Addresses;
@@ -1,9 +1,84 @@
+import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
-import { FiTrash2, FiMinus, FiPlus, FiShoppingBag } from 'react-icons/fi';
+import { cartAPI } from '../utils/api';
+import { calculateOrderSummary } from '../utils/pricing';
+import { findVariant, getAvailableStock, getUnitPrice, getLineKey, describeVariant } from '../utils/productVariants';
+import { FiTrash2, FiMinus, FiPlus, FiShoppingBag, FiTag } from 'react-icons/fi';
+
+// Units held by orders awaiting payment come back on sale if those orders are not paid in time
+const StockNotice = ({ line }) => {
+  if (!line) return null;
+  const reservedNote = line.reserved > 0 ? `${line.reserved} reserved by orders awaiting payment` : '';
+
+  if (line.shortBy > 0) {
+    return (
+      <p className="text-sm text-red-600 mb-2">
+        Only {line.available} available{reservedNote && ` (${reservedNote})`}. Reduce the quantity to check out.
+      </p>
+    );
+  }
+  if (reservedNote) {
+    return (
+      <p className="text-sm text-gray-500 mb-2">
+        {line.available} available, {reservedNote}
+      </p>
+    );
+  }
+  return null;
+};
 
 const Cart = () => {
-  const { cart, loading, updateCartItem, removeFromCart, cartTotal } = useCart();
+  const {
+    cart,
+    coupon,
+    loading,
+    updateCartItem,
+    removeFromCart,
+    applyCoupon,
+    removeCoupon,
+    cartTotal,
+    isGuest,
+  } = useCart();
+  const [couponCode, setCouponCode] = useState('');
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [availability, setAvailability] = useState({});
+
+  // Stock held by other customers' unpaid orders is not available to this cart
+  useEffect(() => {
+    if (isGuest || !cart?.items?.length) {
+      setAvailability({});
+      return;
+    }
+    let active = true;
+    cartAPI
+      .getAvailability()
+      .then((res) => {
+        if (!active) return;
+        setAvailability(
+          Object.fromEntries(
+            res.data.data.map((line) => [getLineKey({ product: line.productId, variant: line.variantId }), line])
+          )
+        );
+      })
+      .catch(() => {
+        // The cart still works without it; checkout re-checks stock
+      });
+    return () => {
+      active = false;
+    };
+  }, [cart, isGuest]);
+
+  const handleApplyCoupon = async (e) => {
+    e.preventDefault();
+    if (!couponCode.trim()) return;
+    setApplyingCoupon(true);
+    const result = await applyCoupon(couponCode.trim());
+    setApplyingCoupon(false);
+    if (result.success) {
+      setCouponCode('');
+    }
+  };
 
   if (loading) {
     return (
@@ -28,6 +103,8 @@ const Cart = () => {
     );
   }
 
+  const summary = calculateOrderSummary(cartTotal, coupon);
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <h1 className="text-3xl font-bold mb-6">Shopping Cart</h1>
@@ -35,63 +112,71 @@ const Cart = () => {
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Cart Items */}
         <div className="lg:col-span-2 space-y-4">
-          {cart.items.map((item) => (
-            <div key={item.product._id} className="card flex flex-col sm:flex-row gap-4">
-              <div className="w-full sm:w-32 h-32 bg-gray-200 rounded-lg overflow-hidden flex-shrink-0">
-                {item.product.image ? (
-                  <img
-                    src={item.product.image}
-                    alt={item.product.name}
-                    className="w-full h-full object-cover"
-                  />
-                ) : (
-                  <div className="w-full h-full flex items-center justify-center text-gray-400">
-                    No Image
-                  </div>
-                )}
-              </div>
+          {cart.items.map((item) => {
+            const variant = findVariant(item.product, item.variant);
+            const image = variant?.image || item.product.image;
+            return (
+              <div key={getLineKey(item)} className="card flex flex-col sm:flex-row gap-4">
+                <div className="w-full sm:w-32 h-32 bg-gray-200 rounded-lg overflow-hidden flex-shrink-0">
+                  {image ? (
+                    <img
+                      src={image}
+                      alt={item.product.name}
+                      className="w-full h-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-full h-full flex items-center justify-center text-gray-400">
+                      No Image
+                    </div>
+                  )}
+                </div>
 
-              <div className="flex-1">
-                <Link
-                  to={`/products/${item.product._id}`}
-                  className="text-lg font-semibold hover:text-primary-600 mb-2 block"
-                >
-                  {item.product.name}
-                </Link>
-                <p className="text-gray-600 text-sm mb-2">{item.product.description}</p>
-                <p className="text-xl font-bold text-primary-600 mb-4">
-                  ${item.product.price}
-                </p>
+                <div className="flex-1">
+                  <Link
+                    to={`/products/${item.product._id}`}
+                    className="text-lg font-semibold hover:text-primary-600 mb-2 block"
+                  >
+                    {item.product.name}
+                  </Link>
+                  {variant && (
+                    <p className="text-sm font-medium text-gray-700 mb-1">{describeVariant(item.product, variant)}</p>
+                  )}
+                  <p className="text-gray-600 text-sm mb-2">{item.product.description}</p>
+                  <p className="text-xl font-bold text-primary-600 mb-4">
+                    ${getUnitPrice(item)}
+                  </p>
+                  <StockNotice line={availability[getLineKey(item)]} />
+
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => updateCartItem(item.product._id, item.quantity - 1, item.variant)}
+                        className="p-1 border rounded hover:bg-gray-100"
+                        disabled={item.quantity <= 1}
+                      >
+                        <FiMinus />
+                      </button>
+                      <span className="w-12 text-center font-semibold">{item.quantity}</span>
+                      <button
+                        onClick={() => updateCartItem(item.product._id, item.quantity + 1, item.variant)}
+                        className="p-1 border rounded hover:bg-gray-100"
+                        disabled={item.quantity >= getAvailableStock(item.product, item.variant)}
+                      >
+                        <FiPlus />
+                      </button>
+                    </div>
 
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-2">
-                    <button
-                      onClick={() => updateCartItem(item.product._id, item.quantity - 1)}
-                      className="p-1 border rounded hover:bg-gray-100"
-                      disabled={item.quantity <= 1}
-                    >
-                      <FiMinus />
-                    </button>
-                    <span className="w-12 text-center font-semibold">{item.quantity}</span>
                     <button
-                      onClick={() => updateCartItem(item.product._id, item.quantity + 1)}
-                      className="p-1 border rounded hover:bg-gray-100"
-                      disabled={item.quantity >= item.product.stock}
+                      onClick={() => removeFromCart(item.product._id, item.variant)}
+                      className="text-red-600 hover:text-red-700 p-2"
                     >
-                      <FiPlus />
+                      <FiTrash2 />
                     </button>
                   </div>
-
-                  <button
-                    onClick={() => removeFromCart(item.product._id)}
-                    className="text-red-600 hover:text-red-700 p-2"
-                  >
-                    <FiTrash2 />
-                  </button>
                 </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
 
         {/* Order Summary */}
@@ -101,28 +186,89 @@ const Cart = () => {
             <div className="space-y-2 mb-4">
               <div className="flex justify-between">
                 <span>Subtotal</span>
-                <span>${cartTotal.toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Shipping</span>
-                <span>{cartTotal > 100 ? 'Free' : '$10.00'}</span>
+                <span>${summary.itemsPrice.toFixed(2)}</span>
               </div>
-              <div className="flex justify-between">
-                <span>Tax</span>
-                <span>${(cartTotal * 0.1).toFixed(2)}</span>
+              {summary.discountPrice > 0 && (
+                <div className="flex justify-between text-green-600">
+                  <span>Discount ({coupon.code})</span>
+                  <span>-${summary.discountPrice.toFixed(2)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-gray-600">
+                <span>Shipping & tax</span>
+                <span>Calculated at checkout</span>
               </div>
               <div className="border-t pt-2 mt-2">
                 <div className="flex justify-between font-bold text-lg">
-                  <span>Total</span>
-                  <span>
-                    ${(cartTotal + (cartTotal > 100 ? 0 : 10) + cartTotal * 0.1).toFixed(2)}
-                  </span>
+                  <span>Estimated Total</span>
+                  <span>${summary.totalPrice.toFixed(2)}</span>
                 </div>
               </div>
             </div>
+
+            {/* Coupon */}
+            <div className="border-t pt-4 mb-4">
+              {cart.couponCode ? (
+                <div>
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center text-sm font-medium">
+                      <FiTag className="mr-2" />
+                      {cart.couponCode}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={removeCoupon}
+                      className="text-sm text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  {coupon?.valid === false && (
+                    <p className="text-sm text-red-600 mt-1">{coupon.message}</p>
+                  )}
+                  {coupon?.valid && coupon.description && (
+                    <p className="text-sm text-gray-600 mt-1">{coupon.description}</p>
+                  )}
+                </div>
+              ) : isGuest ? (
+                <p className="text-sm text-gray-600">
+                  <Link to="/login" className="text-primary-600 hover:text-primary-700">
+                    Log in
+                  </Link>{' '}
+                  to use a coupon code.
+                </p>
+              ) : (
+                <form onSubmit={handleApplyCoupon} className="flex space-x-2">
+                  <input
+                    type="text"
+                    className="input-field"
+                    placeholder="Coupon code"
+                    aria-label="Coupon code"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value)}
+                  />
+                  <button
+                    type="submit"
+                    className="btn-secondary"
+                    disabled={applyingCoupon || !couponCode.trim()}
+                  >
+                    Apply
+                  </button>
+                </form>
+              )}
+            </div>
+
             <Link to="/checkout" className="btn-primary w-full text-center block">
-              Proceed to Checkout
+              {isGuest ? 'Checkout as Guest' : 'Proceed to Checkout'}
             </Link>
+            {isGuest && (
+              <p className="text-sm text-gray-600 text-center mt-2">
+                Have an account?{' '}
+                <Link to="/login" className="text-primary-600 hover:text-primary-700">
+                  Log in
+                </Link>
+              </p>
+            )}
             <Link
               to="/products"
               className="btn-secondary w-full text-center block mt-2"
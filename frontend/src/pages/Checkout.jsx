@@ -1,13 +1,19 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
-import { orderAPI, paymentAPI } from '../utils/api';
+import { orderAPI, paymentAPI, shippingAPI, authAPI, addressAPI } from '../utils/api';
 import { toast } from 'react-toastify';
-import { FiCreditCard, FiTruck, FiAlertCircle } from 'react-icons/fi';
+import { FiCreditCard, FiTruck, FiAlertCircle, FiPackage, FiMail } from 'react-icons/fi';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements } from '@stripe/react-stripe-js';
 import PaymentForm from '../components/payment/PaymentForm';
 import PaymentErrorBoundary from '../components/payment/PaymentErrorBoundary';
+import AddressFields from '../components/address/AddressFields';
+import { PAYMENT_METHOD_OPTIONS, isCardPayment, getPaymentMethodDescription } from '../utils/paymentMethods';
+import { calculateOrderSummary, getTaxLabel, formatShippingPrice } from '../utils/pricing';
+import { formatDeliveryEstimate } from '../utils/shippingMethods';
+import { EMPTY_ADDRESS, pickAddress, isAddressComplete, formatSavedAddress } from '../utils/address';
+import { findVariant, describeVariant, getLineKey } from '../utils/productVariants';
 
 // Initialize Stripe - only if publishable key is provided and starts with 'pk_'
 const stripeKey = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '';
@@ -22,8 +28,22 @@ if (stripeKey && !stripeKey.startsWith('pk_')) {
   console.warn('The system will run in test mode without Stripe.');
 }
 
+// Guest orders are placed from the browser cart, so the server is sent its product ids, variant ids and quantities
+const toOrderItems = (items) =>
+  items.map((item) => ({
+    productId: item.product._id,
+    ...(item.variant && { variantId: item.variant }),
+    quantity: item.quantity,
+  }));
+
+// Product name with the chosen options, e.g. "Tee (M / Red)"
+const getItemName = (item) => {
+  const variant = findVariant(item.product, item.variant);
+  return variant ? `${item.product.name} (${describeVariant(item.product, variant)})` : item.product.name;
+};
+
 const Checkout = () => {
-  const { cart, cartTotal, clearCart, fetchCart } = useCart();
+  const { cart, coupon, cartTotal, clearCart, fetchCart, isGuest } = useCart();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [orderCreated, setOrderCreated] = useState(false);
@@ -32,14 +52,42 @@ const Checkout = () => {
   const [paymentIntentLoading, setPaymentIntentLoading] = useState(false);
   const [paymentError, setPaymentError] = useState(null);
   const [isTestMode, setIsTestMode] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [shippingOptions, setShippingOptions] = useState(null);
+  // Set when the store requires a verified email address before orders can be placed
+  const [verificationRequired, setVerificationRequired] = useState(false);
   const [formData, setFormData] = useState({
     street: '',
     city: '',
     state: '',
     zipCode: '',
     country: '',
+    shippingMethod: '',
     paymentMethod: 'Credit Card',
   });
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [billingSameAsShipping, setBillingSameAsShipping] = useState(true);
+  const [billingAddress, setBillingAddress] = useState(EMPTY_ADDRESS);
+  const [guestEmail, setGuestEmail] = useState('');
+  // Lets a guest view and pay for the order they just placed
+  const [orderToken, setOrderToken] = useState(null);
+
+  // Prefill the shipping address from the address book default
+  useEffect(() => {
+    if (isGuest) return;
+    addressAPI.getAll()
+      .then((res) => {
+        const addresses = res.data.data || [];
+        setSavedAddresses(addresses);
+        const defaultAddress = addresses.find((address) => address.isDefault);
+        if (defaultAddress) {
+          setFormData((prev) => (prev.street || prev.country ? prev : { ...prev, ...pickAddress(defaultAddress) }));
+        }
+      })
+      .catch(() => {
+        // The address book is optional; checkout works with typed addresses
+      });
+  }, [isGuest]);
 
   useEffect(() => {
     if (!cart || !cart.items || cart.items.length === 0) {
@@ -47,21 +95,124 @@ const Checkout = () => {
     }
   }, [cart, navigate]);
 
+  // Shipping methods and tax depend on where the order ships, so re-quote when the destination,
+  // chosen method or cart changes. A method the destination does not offer falls back to standard
+  useEffect(() => {
+    const country = formData.country.trim();
+    if (!country || !cart?.items?.length) {
+      setShippingOptions(null);
+      setQuote(null);
+      return;
+    }
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      const shippingAddress = { country, state: formData.state.trim() };
+      try {
+        if (isGuest) {
+          // One call prices a guest cart and lists the methods the address offers
+          const res = await orderAPI.quoteGuest({
+            items: toOrderItems(cart.items),
+            shippingAddress,
+            shippingMethod: formData.shippingMethod || undefined,
+          });
+          if (!active) return;
+          const guestQuote = res.data.data;
+          setShippingOptions(guestQuote.shippingOptions);
+          setQuote(guestQuote);
+          if (guestQuote.shippingMethod !== formData.shippingMethod) {
+            setFormData((prev) => ({ ...prev, shippingMethod: guestQuote.shippingMethod }));
+          }
+          return;
+        }
+
+        const optionsRes = await shippingAPI.quote(shippingAddress);
+        const options = optionsRes.data.data || [];
+        if (!active) return;
+        setShippingOptions(options);
+
+        const shippingMethod = options.some((option) => option.code === formData.shippingMethod)
+          ? formData.shippingMethod
+          : (options.find((option) => option.code === 'standard') || options[0])?.code || '';
+        if (shippingMethod !== formData.shippingMethod) {
+          setFormData((prev) => ({ ...prev, shippingMethod }));
+        }
+        if (!shippingMethod) {
+          setQuote(null);
+          return;
+        }
+
+        const res = await orderAPI.quote({ shippingAddress, shippingMethod });
+        if (active) setQuote(res.data.data);
+      } catch (error) {
+        if (active) {
+          setShippingOptions(null);
+          setQuote(null);
+        }
+      }
+    }, 300);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [formData.country, formData.state, formData.shippingMethod, cart, coupon, isGuest]);
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const handleBillingChange = (e) => {
+    setBillingAddress({ ...billingAddress, [e.target.name]: e.target.value });
+  };
+
+  const handlePickShippingAddress = (e) => {
+    const address = savedAddresses.find((saved) => saved._id === e.target.value);
+    if (address) setFormData({ ...formData, ...pickAddress(address) });
+  };
+
+  const handlePickBillingAddress = (e) => {
+    const address = savedAddresses.find((saved) => saved._id === e.target.value);
+    if (address) setBillingAddress(pickAddress(address));
+  };
+
+  // Place the order as the signed-in customer, or as a guest with their email and browser cart
+  const submitOrder = async (orderData) => {
+    if (!isGuest) {
+      const res = await orderAPI.create(orderData);
+      return { order: res.data.data, orderToken: null };
+    }
+    const res = await orderAPI.createGuest({
+      ...orderData,
+      email: guestEmail.trim(),
+      items: toOrderItems(cart.items),
+    });
+    return res.data.data;
+  };
+
+  const getOrderPath = (orderId, token) => `/orders/${orderId}${token ? `?token=${token}` : ''}`;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    if (isGuest && !guestEmail.trim()) {
+      toast.error('Please enter your email address');
+      return;
+    }
     // Validate form
     if (!formData.street || !formData.city || !formData.state || !formData.zipCode || !formData.country) {
       toast.error('Please fill in all shipping address fields');
       return;
     }
+    if (!billingSameAsShipping && !isAddressComplete(billingAddress)) {
+      toast.error('Please fill in all billing address fields');
+      return;
+    }
+    // Left out when it matches shipping; the order then bills the shipping address
+    const billing = billingSameAsShipping ? undefined : billingAddress;
 
     // If credit card payment, create order first then show payment form
-    if (formData.paymentMethod === 'Credit Card' || formData.paymentMethod === 'Debit Card') {
+    if (isCardPayment(formData.paymentMethod)) {
       setLoading(true);
       try {
         const shippingAddress = {
@@ -72,17 +223,19 @@ const Checkout = () => {
           country: formData.country,
         };
 
-        const res = await orderAPI.create({
+        const { order, orderToken: token } = await submitOrder({
           shippingAddress,
+          billingAddress: billing,
+          shippingMethod: formData.shippingMethod || undefined,
           paymentMethod: formData.paymentMethod,
         });
 
-        const order = res.data.data;
+        setOrderToken(token);
         setCurrentOrder(order);
         setOrderCreated(true);
         
         // For credit/debit card, create payment intent
-        if (formData.paymentMethod === 'Credit Card' || formData.paymentMethod === 'Debit Card') {
+        if (isCardPayment(formData.paymentMethod)) {
           setPaymentIntentLoading(true);
           
           // Small delay to ensure order is persisted
@@ -92,7 +245,8 @@ const Checkout = () => {
             const paymentAmount = order.totalPrice || totalPrice;
             const paymentRes = await paymentAPI.createIntent({
               orderId: order._id,
-              amount: paymentAmount
+              amount: paymentAmount,
+              orderToken: token || undefined
             });
             
             if (paymentRes.data.success) {
@@ -117,8 +271,7 @@ const Checkout = () => {
           toast.success('Order created. Please complete payment.');
         }
       } catch (error) {
-        const message = error.response?.data?.message || 'Failed to create order';
-        toast.error(message);
+        handleOrderError(error, 'Failed to create order');
       } finally {
         setLoading(false);
       }
@@ -136,22 +289,41 @@ const Checkout = () => {
         country: formData.country,
       };
 
-      const res = await orderAPI.create({
+      const { order, orderToken: token } = await submitOrder({
         shippingAddress,
+        billingAddress: billing,
+        shippingMethod: formData.shippingMethod || undefined,
         paymentMethod: formData.paymentMethod,
       });
 
       toast.success('Order placed successfully!');
       await clearCart();
-      navigate(`/orders/${res.data.data._id}`);
+      navigate(getOrderPath(order._id, token));
     } catch (error) {
-      const message = error.response?.data?.message || 'Failed to place order';
-      toast.error(message);
+      handleOrderError(error, 'Failed to place order');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleOrderError = (error, fallbackMessage) => {
+    // Guests have no account to verify; a 403 for them means the store needs one
+    if (error.response?.status === 403 && !isGuest) {
+      setVerificationRequired(true);
+    }
+    toast.error(error.response?.data?.message || fallbackMessage);
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      await authAPI.resendVerification();
+      toast.success('Verification email sent. Please check your inbox');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send verification email';
+      toast.error(message);
+    }
+  };
+
   const handlePaymentSuccess = async (paymentIntent) => {
     toast.success('Payment successful! Order updated!');
     await clearCart();
@@ -160,7 +332,7 @@ const Checkout = () => {
     await new Promise(resolve => setTimeout(resolve, 1000));
     
     // Navigate to order details - it will fetch fresh data showing isPaid: true
-    navigate(`/orders/${currentOrder._id}`);
+    navigate(getOrderPath(currentOrder._id, orderToken));
   };
 
   const handlePaymentError = (error) => {
@@ -171,12 +343,12 @@ const Checkout = () => {
     return null;
   }
 
-  const shippingPrice = cartTotal > 100 ? 0 : 10;
-  const taxPrice = cartTotal * 0.1;
-  const totalPrice = cartTotal + shippingPrice + taxPrice;
+  // The address quote carries the real shipping and tax; until there is one, show the items estimate
+  const pricing = quote || calculateOrderSummary(cartTotal, coupon);
+  const { discountPrice, shippingPrice, taxPrice, totalPrice } = pricing;
 
   // If order is created and payment method is credit card, show payment form
-  if (orderCreated && currentOrder && (formData.paymentMethod === 'Credit Card' || formData.paymentMethod === 'Debit Card')) {
+  if (orderCreated && currentOrder && isCardPayment(formData.paymentMethod)) {
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <h1 className="text-3xl font-bold mb-6">Complete Payment</h1>
@@ -189,6 +361,12 @@ const Checkout = () => {
                 <FiCreditCard className="mr-2" />
                 Payment Information
               </h2>
+              {currentOrder.reservationExpiresAt && (
+                <p className="text-sm text-gray-600 mb-4">
+                  Your items are reserved until {new Date(currentOrder.reservationExpiresAt).toLocaleTimeString()}.
+                  The order is cancelled if payment is not completed by then.
+                </p>
+              )}
               <PaymentErrorBoundary>
                 {clientSecret ? (
                   // Check if we have a real Stripe clientSecret (valid format) and Stripe is configured
@@ -205,6 +383,7 @@ const Checkout = () => {
                     >
                       <PaymentForm
                         orderId={currentOrder._id}
+                        orderToken={orderToken || undefined}
                         amount={totalPrice}
                         clientSecret={clientSecret}
                         onPaymentSuccess={handlePaymentSuccess}
@@ -241,7 +420,8 @@ const Checkout = () => {
                             try {
                               await paymentAPI.confirm({
                                 paymentIntentId: clientSecret.split('_secret_')[0] || 'pi_test_' + currentOrder._id,
-                                orderId: currentOrder._id
+                                orderId: currentOrder._id,
+                                orderToken: orderToken || undefined
                               });
                               await new Promise(resolve => setTimeout(resolve, 1500));
                               handlePaymentSuccess({ 
@@ -290,7 +470,8 @@ const Checkout = () => {
                           const paymentAmount = currentOrder.totalPrice || totalPrice;
                           const paymentRes = await paymentAPI.createIntent({
                             orderId: currentOrder._id,
-                            amount: paymentAmount
+                            amount: paymentAmount,
+                            orderToken: orderToken || undefined
                           });
                           
                           if (paymentRes.data.success) {
@@ -331,13 +512,19 @@ const Checkout = () => {
                   <span>Items ({cart.items.length})</span>
                   <span>${cartTotal.toFixed(2)}</span>
                 </div>
+                {discountPrice > 0 && (
+                  <div className="flex justify-between text-sm text-green-600">
+                    <span>Discount ({coupon.code})</span>
+                    <span>-${discountPrice.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between text-sm">
                   <span>Shipping</span>
-                  <span>{shippingPrice === 0 ? 'Free' : `$${shippingPrice.toFixed(2)}`}</span>
+                  <span>{formatShippingPrice(shippingPrice)}</span>
                 </div>
                 <div className="flex justify-between text-sm">
-                  <span>Tax</span>
-                  <span>${taxPrice.toFixed(2)}</span>
+                  <span>{getTaxLabel(pricing)}</span>
+                  <span>{taxPrice !== undefined ? `$${taxPrice.toFixed(2)}` : 'Enter your address'}</span>
                 </div>
                 <div className="border-t pt-2 mt-2">
                   <div className="flex justify-between font-bold text-lg">
@@ -350,8 +537,8 @@ const Checkout = () => {
               <div className="space-y-2">
                 <h3 className="font-semibold">Items:</h3>
                 {cart.items.map((item) => (
-                  <div key={item.product._id} className="text-sm text-gray-600">
-                    {item.product.name} x {item.quantity}
+                  <div key={getLineKey(item)} className="text-sm text-gray-600">
+                    {getItemName(item)} x {item.quantity}
                   </div>
                 ))}
               </div>
@@ -366,6 +553,21 @@ const Checkout = () => {
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <h1 className="text-3xl font-bold mb-6">Checkout</h1>
 
+      {verificationRequired && (
+        <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start justify-between gap-4">
+          <div className="flex items-start text-yellow-800">
+            <FiMail className="mr-2 mt-1 flex-shrink-0" />
+            <p>
+              Please verify your email address before placing an order. Use the link we emailed you
+              when you signed up, then try again.
+            </p>
+          </div>
+          <button type="button" onClick={handleResendVerification} className="btn-secondary whitespace-nowrap">
+            Resend email
+          </button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Checkout Form */}
         <div className="lg:col-span-2 space-y-6">
@@ -376,6 +578,49 @@ const Checkout = () => {
               Shipping Address
             </h2>
             <form onSubmit={handleSubmit} className="space-y-4">
+              {isGuest && (
+                <div>
+                  <label htmlFor="guest-email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email address
+                  </label>
+                  <input
+                    id="guest-email"
+                    type="email"
+                    autoComplete="email"
+                    className="input-field"
+                    value={guestEmail}
+                    onChange={(e) => setGuestEmail(e.target.value)}
+                    placeholder="you@example.com"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Your confirmation and a link to track the order go here.{' '}
+                    <Link to="/login" className="text-primary-600 hover:text-primary-700">
+                      Log in
+                    </Link>{' '}
+                    to use your saved addresses and coupons instead.
+                  </p>
+                </div>
+              )}
+              {savedAddresses.length > 0 && (
+                <div>
+                  <label htmlFor="saved-shipping-address" className="block text-sm font-medium text-gray-700 mb-1">
+                    Saved addresses
+                  </label>
+                  <select
+                    id="saved-shipping-address"
+                    className="input-field"
+                    value=""
+                    onChange={handlePickShippingAddress}
+                  >
+                    <option value="">Choose a saved address...</option>
+                    {savedAddresses.map((address) => (
+                      <option key={address._id} value={address._id}>
+                        {formatSavedAddress(address)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Street Address
@@ -443,6 +688,86 @@ const Checkout = () => {
                 </div>
               </div>
 
+              {/* Billing Address */}
+              <div className="pt-4 border-t space-y-4">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={billingSameAsShipping}
+                    onChange={(e) => setBillingSameAsShipping(e.target.checked)}
+                  />
+                  Billing address is the same as shipping
+                </label>
+                {!billingSameAsShipping && (
+                  <>
+                    <h3 className="text-lg font-semibold">Billing Address</h3>
+                    {savedAddresses.length > 0 && (
+                      <div>
+                        <label htmlFor="saved-billing-address" className="block text-sm font-medium text-gray-700 mb-1">
+                          Saved addresses
+                        </label>
+                        <select
+                          id="saved-billing-address"
+                          className="input-field"
+                          value=""
+                          onChange={handlePickBillingAddress}
+                        >
+                          <option value="">Choose a saved address...</option>
+                          {savedAddresses.map((address) => (
+                            <option key={address._id} value={address._id}>
+                              {formatSavedAddress(address)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    <AddressFields values={billingAddress} onChange={handleBillingChange} idPrefix="billing" />
+                  </>
+                )}
+              </div>
+
+              {/* Shipping Method */}
+              <div className="pt-4 border-t">
+                <h3 className="text-lg font-semibold mb-4 flex items-center">
+                  <FiPackage className="mr-2" />
+                  Shipping Method
+                </h3>
+                {!shippingOptions ? (
+                  <p className="text-sm text-gray-600">Enter your country to see shipping options.</p>
+                ) : shippingOptions.length === 0 ? (
+                  <p className="text-sm text-red-600">We don't ship this order to {formData.country} yet.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {shippingOptions.map((option) => {
+                      const estimate = formatDeliveryEstimate(option);
+                      return (
+                        <label
+                          key={option.code}
+                          className="flex items-center justify-between border rounded-lg p-3 cursor-pointer"
+                        >
+                          <span className="flex items-center">
+                            <input
+                              type="radio"
+                              name="shippingMethod"
+                              value={option.code}
+                              checked={formData.shippingMethod === option.code}
+                              onChange={handleChange}
+                              className="mr-3"
+                            />
+                            <span>
+                              <span className="block font-medium">{option.name}</span>
+                              {estimate && <span className="block text-sm text-gray-600">{estimate}</span>}
+                            </span>
+                          </span>
+                          <span className="font-medium">{formatShippingPrice(option.price)}</span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
               {/* Payment Method */}
               <div className="pt-4 border-t">
                 <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -455,10 +780,15 @@ const Checkout = () => {
                   value={formData.paymentMethod}
                   onChange={handleChange}
                 >
-                  <option value="Credit Card">Credit Card</option>
-                  <option value="Debit Card">Debit Card</option>
-                  <option value="Bank Transfer">Bank Transfer</option>
+                  {PAYMENT_METHOD_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
                 </select>
+                <p className="text-sm text-gray-600 mt-2">
+                  {getPaymentMethodDescription(formData.paymentMethod)}
+                </p>
               </div>
 
               <button
@@ -481,13 +811,19 @@ const Checkout = () => {
                 <span>Items ({cart.items.length})</span>
                 <span>${cartTotal.toFixed(2)}</span>
               </div>
+              {discountPrice > 0 && (
+                <div className="flex justify-between text-sm text-green-600">
+                  <span>Discount ({coupon.code})</span>
+                  <span>-${discountPrice.toFixed(2)}</span>
+                </div>
+              )}
               <div className="flex justify-between text-sm">
                 <span>Shipping</span>
-                <span>{shippingPrice === 0 ? 'Free' : `$${shippingPrice.toFixed(2)}`}</span>
+                <span>{formatShippingPrice(shippingPrice)}</span>
               </div>
               <div className="flex justify-between text-sm">
-                <span>Tax</span>
-                <span>${taxPrice.toFixed(2)}</span>
+                <span>{getTaxLabel(pricing)}</span>
+                <span>{taxPrice !== undefined ? `$${taxPrice.toFixed(2)}` : 'Enter your address'}</span>
               </div>
               <div className="border-t pt-2 mt-2">
                 <div className="flex justify-between font-bold text-lg">
@@ -500,8 +836,8 @@ const Checkout = () => {
             <div className="space-y-2">
               <h3 className="font-semibold">Items:</h3>
               {cart.items.map((item) => (
-                <div key={item.product._id} className="text-sm text-gray-600">
-                  {item.product.name} x {item.quantity}
+                <div key={getLineKey(item)} className="text-sm text-gray-600">
+                  {getItemName(item)} x {item.quantity}
                 </div>
               ))}
             </div>
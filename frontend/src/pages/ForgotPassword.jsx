@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+import { toast } from 'react-toastify';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await authAPI.forgotPassword(email.trim());
+      setSubmitted(true);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to request a password reset';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Remembered it?{' '}
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+        {submitted ? (
+          <div className="card text-center text-gray-700">
+            If an account exists for <strong>{email.trim()}</strong>, we have sent a link to reset your
+            password. The link expires in 1 hour.
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                className="input-field mt-1"
+                placeholder="Enter your email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,13 +1,26 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { FiAlertTriangle, FiShield } from 'react-icons/fi';
 
 const Login = () => {
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Set while the server is refusing sign-ins after too many failed attempts
+  const [throttle, setThrottle] = useState(null);
+  // Set after the password step when the account uses two-factor authentication
+  const [preAuthToken, setPreAuthToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
 
+  // Allow another attempt once the server's Retry-After has passed
+  useEffect(() => {
+    if (!throttle?.retryAfter) return undefined;
+    const timer = setTimeout(() => setThrottle(null), throttle.retryAfter * 1000);
+    return () => clearTimeout(timer);
+  }, [throttle]);
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
@@ -19,9 +32,36 @@ const Login = () => {
     setLoading(false);
     if (result.success) {
       navigate('/');
+    } else if (result.twoFactorRequired) {
+      setPreAuthToken(result.preAuthToken);
+    } else if (result.status === 429) {
+      setThrottle({ message: result.error, retryAfter: result.retryAfter });
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const result = await completeTwoFactorLogin(preAuthToken, code.trim());
+    setLoading(false);
+    if (result.success) {
+      navigate('/');
+    } else if (result.status === 429) {
+      setThrottle({ message: result.error, retryAfter: result.retryAfter });
+    } else if (result.status === 401) {
+      // The pre-auth token has expired, so start again from the password
+      handleRestart();
+    } else {
+      setCode('');
     }
   };
 
+  const handleRestart = () => {
+    setPreAuthToken(null);
+    setCode('');
+    setFormData({ ...formData, password: '' });
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -36,52 +76,114 @@ const Login = () => {
             </Link>
           </p>
         </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="space-y-4">
+        {throttle && (
+          <div role="alert" className="flex items-start gap-3 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-800">
+            <FiAlertTriangle className="mt-0.5 flex-shrink-0 text-lg" />
             <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
-              </label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                className="input-field mt-1"
-                placeholder="Enter your email"
-                value={formData.email}
-                onChange={handleChange}
-              />
+              <p>{throttle.message}</p>
+              <p className="mt-1">
+                Forgotten it?{' '}
+                <Link to="/forgot-password" className="font-medium underline">
+                  Reset your password
+                </Link>
+              </p>
+            </div>
+          </div>
+        )}
+        {preAuthToken ? (
+          <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+            <div className="text-center">
+              <FiShield className="text-4xl text-primary-600 mx-auto mb-2" />
+              <p className="text-sm text-gray-600">
+                Enter the 6-digit code from your authenticator app, or one of your backup codes.
+              </p>
             </div>
             <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
+              <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                Verification code
               </label>
               <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
+                id="code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
                 required
-                className="input-field mt-1"
-                placeholder="Enter your password"
-                value={formData.password}
-                onChange={handleChange}
+                autoFocus
+                className="input-field mt-1 tracking-widest text-center"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
               />
             </div>
-          </div>
-
-          <div>
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || Boolean(throttle)}
               className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {loading ? 'Signing in...' : 'Sign in'}
+              {loading ? 'Verifying...' : 'Verify'}
             </button>
-          </div>
-        </form>
+            <button
+              type="button"
+              onClick={handleRestart}
+              className="w-full text-sm font-medium text-primary-600 hover:text-primary-500"
+            >
+              Sign in with a different account
+            </button>
+          </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className="input-field mt-1"
+                  placeholder="Enter your email"
+                  value={formData.email}
+                  onChange={handleChange}
+                />
+              </div>
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className="input-field mt-1"
+                  placeholder="Enter your password"
+                  value={formData.password}
+                  onChange={handleChange}
+                />
+                <div className="mt-1 text-right">
+                  <Link to="/forgot-password" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                    Forgot your password?
+                  </Link>
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading || Boolean(throttle)}
+                className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Signing in...' : 'Sign in'}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
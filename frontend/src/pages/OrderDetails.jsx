@@ -1,21 +1,56 @@
 import { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link, Navigate } from 'react-router-dom';
 import { orderAPI } from '../utils/api';
-import { FiPackage, FiTruck, FiMapPin, FiCalendar, FiRefreshCw } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import {
+  getOrderStatus,
+  formatOrderStatus,
+  getStatusBadgeClass,
+  canCustomerCancel,
+  getOrderTimeline,
+} from '../utils/orderStatus';
+import { isCardPayment, isBankTransfer, isCashOnDelivery } from '../utils/paymentMethods';
+import { getTaxLabel } from '../utils/pricing';
+import { formatDeliveryEstimate } from '../utils/shippingMethods';
+import { formatAddress, isSameAddress } from '../utils/address';
+import { findVariant } from '../utils/productVariants';
+import {
+  FiPackage,
+  FiTruck,
+  FiMapPin,
+  FiCalendar,
+  FiRefreshCw,
+  FiXCircle,
+  FiClock,
+  FiUserPlus,
+} from 'react-icons/fi';
 
 const OrderDetails = () => {
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  // Guest orders are opened from the signed link in the confirmation email
+  const token = searchParams.get('token');
+  const { user, loading: authLoading, register } = useAuth();
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [showCancelForm, setShowCancelForm] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const [accountForm, setAccountForm] = useState({ name: '', password: '' });
+  const [claiming, setClaiming] = useState(false);
 
   useEffect(() => {
-    fetchOrder();
-  }, [id]);
+    if (token || (!authLoading && user)) {
+      fetchOrder();
+    }
+  }, [id, token, authLoading]);
 
   useEffect(() => {
-    // If order is not paid and was created recently (within last 2 minutes), 
+    // If a card order is not paid and was created recently (within last 2 minutes), 
     // automatically refetch after a delay to catch database updates
-    if (order && !order.isPaid) {
+    // Manual payments are confirmed by an admin later, so there is nothing to wait for
+    if (order && !order.isPaid && isCardPayment(order.paymentMethod) && getOrderStatus(order) !== 'cancelled') {
       const orderAge = Date.now() - new Date(order.createdAt).getTime();
       const twoMinutes = 2 * 60 * 1000;
       
@@ -34,7 +69,7 @@ const OrderDetails = () => {
   const fetchOrder = async () => {
     try {
       setLoading(true);
-      const res = await orderAPI.getById(id);
+      const res = token ? await orderAPI.getGuestOrder(id, token) : await orderAPI.getById(id);
       const fetchedOrder = res.data.data;
       setOrder(fetchedOrder);
       console.log('[OrderDetails] Order fetched:', { 
@@ -49,6 +84,64 @@ const OrderDetails = () => {
     }
   };
 
+  const handleCancel = async (e) => {
+    e.preventDefault();
+    if (!cancelReason.trim()) {
+      toast.error('Please tell us why you are cancelling');
+      return;
+    }
+    setCancelling(true);
+    try {
+      const res = await orderAPI.cancel(order._id, cancelReason.trim());
+      setOrder(res.data.data);
+      setShowCancelForm(false);
+      setCancelReason('');
+      toast.success('Order cancelled');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to cancel order';
+      toast.error(message);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const claimOrder = async () => {
+    const res = await orderAPI.claimGuestOrder(order._id, token);
+    setOrder(res.data.data);
+    toast.success('Order added to your account');
+  };
+
+  const handleClaim = async () => {
+    setClaiming(true);
+    try {
+      await claimOrder();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add order to your account');
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  // Creates the account with the email the order was placed with, then attaches the order to it
+  const handleCreateAccount = async (e) => {
+    e.preventDefault();
+    setClaiming(true);
+    try {
+      const result = await register({ ...accountForm, email: order.guestEmail });
+      if (result.success) {
+        await claimOrder();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add order to your account');
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  if (!token && !authLoading && !user) {
+    return <Navigate to="/login" replace />;
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -62,19 +155,29 @@ const OrderDetails = () => {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="text-center">
           <h2 className="text-2xl font-bold mb-2">Order not found</h2>
-          <Link to="/orders" className="text-primary-600 hover:text-primary-700">
-            Back to Orders
+          {token && <p className="text-gray-600 mb-2">This order link is invalid or has expired.</p>}
+          <Link to={user ? '/orders' : '/products'} className="text-primary-600 hover:text-primary-700">
+            {user ? 'Back to Orders' : 'Continue Shopping'}
           </Link>
         </div>
       </div>
     );
   }
 
+  // Unclaimed guest orders are only reachable through the signed link
+  const isGuestOrder = Boolean(order.guestEmail && !order.user);
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-      <Link to="/orders" className="text-primary-600 hover:text-primary-700 mb-4 inline-block">
-        ← Back to Orders
-      </Link>
+      {isGuestOrder ? (
+        <Link to="/products" className="text-primary-600 hover:text-primary-700 mb-4 inline-block">
+          ← Continue Shopping
+        </Link>
+      ) : (
+        <Link to="/orders" className="text-primary-600 hover:text-primary-700 mb-4 inline-block">
+          ← Back to Orders
+        </Link>
+      )}
 
       <div className="mb-6">
         <h1 className="text-3xl font-bold mb-2">Order Details</h1>
@@ -88,6 +191,70 @@ const OrderDetails = () => {
         </div>
       </div>
 
+      {isGuestOrder && (
+        <div className="card mb-6">
+          <h2 className="text-xl font-bold mb-2 flex items-center">
+            <FiUserPlus className="mr-2" />
+            Save this order to an account
+          </h2>
+          {user ? (
+            <>
+              <p className="text-gray-600 mb-4">
+                Add this order to your account to track it alongside your other orders. You need to be signed
+                in as {order.guestEmail}.
+              </p>
+              <button type="button" onClick={handleClaim} disabled={claiming} className="btn-primary disabled:opacity-50">
+                {claiming ? 'Adding...' : 'Add to My Account'}
+              </button>
+            </>
+          ) : (
+            <form onSubmit={handleCreateAccount} className="space-y-4">
+              <p className="text-gray-600">
+                Create an account for {order.guestEmail} to track your orders and check out faster next time.
+                Already have one?{' '}
+                <Link to="/login" className="text-primary-600 hover:text-primary-700">
+                  Log in
+                </Link>{' '}
+                and open this link again.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="account-name" className="block text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    id="account-name"
+                    type="text"
+                    autoComplete="name"
+                    required
+                    className="input-field"
+                    value={accountForm.name}
+                    onChange={(e) => setAccountForm({ ...accountForm, name: e.target.value })}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="account-password" className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <input
+                    id="account-password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    className="input-field"
+                    value={accountForm.password}
+                    onChange={(e) => setAccountForm({ ...accountForm, password: e.target.value })}
+                  />
+                </div>
+              </div>
+              <button type="submit" disabled={claiming} className="btn-primary disabled:opacity-50">
+                {claiming ? 'Creating account...' : 'Create Account'}
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Order Items */}
         <div className="lg:col-span-2 space-y-4">
@@ -97,30 +264,40 @@ const OrderDetails = () => {
               Order Items
             </h2>
             <div className="space-y-4">
-              {order.orderItems.map((item, index) => (
-                <div key={index} className="flex gap-4 pb-4 border-b last:border-0">
-                  <div className="w-20 h-20 bg-gray-200 rounded flex-shrink-0">
-                    {item.product?.image ? (
-                      <img
-                        src={item.product.image}
-                        alt={item.name}
-                        className="w-full h-full object-cover rounded"
-                      />
-                    ) : (
-                      <div className="w-full h-full flex items-center justify-center text-gray-400 text-xs">
-                        No Image
-                      </div>
-                    )}
-                  </div>
-                  <div className="flex-1">
-                    <h3 className="font-semibold">{item.name}</h3>
-                    <p className="text-sm text-gray-600">Quantity: {item.quantity}</p>
-                    <p className="text-lg font-bold text-primary-600">
-                      ${(item.price * item.quantity).toFixed(2)}
-                    </p>
+              {order.orderItems.map((item, index) => {
+                const image = findVariant(item.product, item.variant)?.image || item.product?.image;
+                return (
+                  <div key={index} className="flex gap-4 pb-4 border-b last:border-0">
+                    <div className="w-20 h-20 bg-gray-200 rounded flex-shrink-0">
+                      {image ? (
+                        <img
+                          src={image}
+                          alt={item.name}
+                          className="w-full h-full object-cover rounded"
+                        />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center text-gray-400 text-xs">
+                          No Image
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex-1">
+                      <h3 className="font-semibold">{item.name}</h3>
+                      {item.variantLabel && <p className="text-sm text-gray-700">{item.variantLabel}</p>}
+                      {item.sku && <p className="text-xs text-gray-500">SKU: {item.sku}</p>}
+                      <p className="text-sm text-gray-600">Quantity: {item.quantity}</p>
+                      <p className="text-lg font-bold text-primary-600">
+                        ${(item.price * item.quantity).toFixed(2)}
+                      </p>
+                      {item.taxAmount != null && (
+                        <p className="text-xs text-gray-500">
+                          {getTaxLabel(order)} at {item.taxRate}%: ${item.taxAmount.toFixed(2)}
+                        </p>
+                      )}
+                    </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </div>
 
@@ -137,8 +314,86 @@ const OrderDetails = () => {
                 {order.shippingAddress.zipCode}
               </p>
               <p>{order.shippingAddress.country}</p>
+              {order.billingAddress?.street && !isSameAddress(order.billingAddress, order.shippingAddress) && (
+                <p className="mt-3">
+                  <span className="font-medium text-gray-900">Billing address: </span>
+                  {formatAddress(order.billingAddress)}
+                </p>
+              )}
+              {order.shippingMethod?.name && (
+                <p className="mt-3 text-gray-900">
+                  <span className="font-medium">{order.shippingMethod.name}</span>
+                  {formatDeliveryEstimate(order.shippingMethod) && (
+                    <span className="text-gray-600"> ({formatDeliveryEstimate(order.shippingMethod)})</span>
+                  )}
+                </p>
+              )}
             </div>
           </div>
+
+          {/* Tracking */}
+          <div className="card">
+            <h2 className="text-xl font-bold mb-4 flex items-center">
+              <FiTruck className="mr-2" />
+              Tracking
+            </h2>
+            {order.shipments?.length > 0 && (
+              <div className="space-y-3 mb-6">
+                {order.shipments.map((shipment, index) => (
+                  <div key={shipment._id || index} className="border rounded-lg p-3">
+                    <div className="flex justify-between items-center">
+                      <span className="font-medium">
+                        {order.shipments.length > 1 ? `Parcel ${index + 1}: ` : ''}
+                        {shipment.carrier}
+                      </span>
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${
+                          shipment.deliveredAt
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-purple-100 text-purple-800'
+                        }`}
+                      >
+                        {shipment.deliveredAt ? 'Delivered' : 'In transit'}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600">
+                      Tracking number:{' '}
+                      {shipment.trackingUrl ? (
+                        <a
+                          href={shipment.trackingUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-primary-600 hover:text-primary-700"
+                        >
+                          {shipment.trackingNumber}
+                        </a>
+                      ) : (
+                        shipment.trackingNumber
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Shipped {new Date(shipment.shippedAt).toLocaleDateString()}
+                      {shipment.deliveredAt &&
+                        ` • Delivered ${new Date(shipment.deliveredAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+            <ol className="relative border-l border-gray-200 ml-2">
+              {getOrderTimeline(order).map((event, index) => (
+                <li key={`${event.status}-${index}`} className="mb-4 ml-4 last:mb-0">
+                  <div className="absolute w-3 h-3 bg-primary-600 rounded-full -left-1.5 mt-1.5"></div>
+                  <p className="font-medium">{event.label}</p>
+                  <p className="text-xs text-gray-500 flex items-center">
+                    <FiClock className="mr-1" />
+                    {new Date(event.date).toLocaleString()}
+                  </p>
+                  {event.note && <p className="text-sm text-gray-600">{event.note}</p>}
+                </li>
+              ))}
+            </ol>
+          </div>
         </div>
 
         {/* Order Summary */}
@@ -150,6 +405,12 @@ const OrderDetails = () => {
                 <span>Items</span>
                 <span>${order.itemsPrice.toFixed(2)}</span>
               </div>
+              {order.discountPrice > 0 && (
+                <div className="flex justify-between text-green-600">
+                  <span>Discount{order.couponCode ? ` (${order.couponCode})` : ''}</span>
+                  <span>-${order.discountPrice.toFixed(2)}</span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span>Shipping</span>
                 <span>
@@ -157,7 +418,7 @@ const OrderDetails = () => {
                 </span>
               </div>
               <div className="flex justify-between">
-                <span>Tax</span>
+                <span>{getTaxLabel(order)}</span>
                 <span>${order.taxPrice.toFixed(2)}</span>
               </div>
               <div className="border-t pt-2 mt-2">
@@ -165,6 +426,12 @@ const OrderDetails = () => {
                   <span>Total</span>
                   <span>${order.totalPrice.toFixed(2)}</span>
                 </div>
+                {order.totalRefunded > 0 && (
+                  <div className="flex justify-between text-red-600">
+                    <span>Refunded</span>
+                    <span>-${order.totalRefunded.toFixed(2)}</span>
+                  </div>
+                )}
               </div>
             </div>
 
@@ -201,14 +468,102 @@ const OrderDetails = () => {
                       : 'bg-gray-100 text-gray-800'
                   }`}
                 >
-                  {order.isDelivered ? 'Delivered' : 'Processing'}
+                  {order.isDelivered
+                    ? 'Delivered'
+                    : order.shipments?.length > 0
+                      ? 'In transit'
+                      : 'Processing'}
                 </span>
               </div>
               <div className="flex items-center justify-between">
                 <span className="text-gray-600">Payment Method:</span>
                 <span className="font-medium">{order.paymentMethod}</span>
               </div>
+              <div className="flex items-center justify-between">
+                <span className="text-gray-600">Order Status:</span>
+                <span
+                  className={`px-3 py-1 rounded-full text-sm ${getStatusBadgeClass(
+                    getOrderStatus(order)
+                  )}`}
+                >
+                  {formatOrderStatus(getOrderStatus(order))}
+                </span>
+              </div>
+              {order.cancellationReason && (
+                <p className="text-sm text-gray-600">
+                  Cancellation reason: {order.cancellationReason}
+                </p>
+              )}
+              {order.latePayment && (
+                <p className="text-sm text-gray-600">
+                  {order.latePayment.status === 'refund_failed'
+                    ? 'Your payment arrived after this order was cancelled. We could not refund it automatically and will be in touch.'
+                    : 'Your payment arrived after this order was cancelled and has been refunded.'}
+                </p>
+              )}
+              {!order.isPaid && getOrderStatus(order) !== 'cancelled' && isBankTransfer(order.paymentMethod) && (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-800">
+                  <p>
+                    Please transfer <strong>${order.totalPrice.toFixed(2)}</strong> quoting reference{' '}
+                    <strong>{order.paymentReference}</strong>.
+                  </p>
+                  <p className="mt-1">We will ship your order once the transfer arrives.</p>
+                </div>
+              )}
+              {!order.isPaid && getOrderStatus(order) !== 'cancelled' && isCashOnDelivery(order.paymentMethod) && (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm text-blue-800">
+                  Please have <strong>${order.totalPrice.toFixed(2)}</strong> in cash ready when your order is delivered.
+                </div>
+              )}
             </div>
+
+            {canCustomerCancel(order) && !isGuestOrder && (
+              <div className="pt-4 mt-4 border-t">
+                {showCancelForm ? (
+                  <form onSubmit={handleCancel} className="space-y-2">
+                    <label htmlFor="cancelReason" className="block text-sm font-medium">
+                      Reason for cancellation
+                    </label>
+                    {order.isPaid && (
+                      <p className="text-sm text-gray-600">
+                        Your payment of ${order.totalPrice.toFixed(2)} will be refunded to your card.
+                      </p>
+                    )}
+                    <textarea
+                      id="cancelReason"
+                      value={cancelReason}
+                      onChange={(e) => setCancelReason(e.target.value)}
+                      className="input-field"
+                      rows={3}
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        type="submit"
+                        disabled={cancelling}
+                        className="btn-danger flex-1"
+                      >
+                        {cancelling ? 'Cancelling...' : 'Confirm Cancellation'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setShowCancelForm(false)}
+                        className="btn-secondary flex-1"
+                      >
+                        Keep Order
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <button
+                    onClick={() => setShowCancelForm(true)}
+                    className="w-full flex items-center justify-center text-red-600 hover:text-red-700 font-medium"
+                  >
+                    <FiXCircle className="mr-2" />
+                    Cancel Order
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -2,18 +2,27 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { productAPI } from '../utils/api';
 import { useCart } from '../context/CartContext';
-import { useAuth } from '../context/AuthContext';
 import { FiShoppingCart, FiMinus, FiPlus } from 'react-icons/fi';
 import { toast } from 'react-toastify';
+import ProductGallery from '../components/product/ProductGallery';
+import { hasVariants, findVariantBySelection, isValueAvailable } from '../utils/productVariants';
+
+// Options with a single value need no choice, so they start selected
+const initialSelection = (product) =>
+  Object.fromEntries(
+    (product.options || [])
+      .filter((option) => option.values.length === 1)
+      .map((option) => [option.name, option.values[0]])
+  );
 
 const ProductDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
   const { addToCart } = useCart();
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [quantity, setQuantity] = useState(1);
+  const [selection, setSelection] = useState({});
 
   useEffect(() => {
     fetchProduct();
@@ -23,6 +32,7 @@ const ProductDetails = () => {
     try {
       const res = await productAPI.getById(id);
       setProduct(res.data.data);
+      setSelection(initialSelection(res.data.data));
     } catch (error) {
       console.error('Error fetching product:', error);
       toast.error('Product not found');
@@ -32,19 +42,22 @@ const ProductDetails = () => {
     }
   };
 
+  const handleSelect = (optionName, value) => {
+    setSelection({ ...selection, [optionName]: value });
+    setQuantity(1);
+  };
+
   const handleAddToCart = async () => {
-    if (!user) {
-      toast.info('Please login to add items to cart');
-      navigate('/login');
+    if (withOptions && !variant) {
+      toast.error('Please choose your options');
       return;
     }
-
-    if (product.stock < quantity) {
+    if (stock < quantity) {
       toast.error('Insufficient stock');
       return;
     }
 
-    const result = await addToCart(product._id, quantity);
+    const result = await addToCart(product._id, quantity, variant?._id || null);
     if (result.success) {
       setQuantity(1);
     }
@@ -62,29 +75,24 @@ const ProductDetails = () => {
     return null;
   }
 
+  // Products sold in options take their price, image and stock from the chosen combination
+  const withOptions = hasVariants(product);
+  const selectionComplete = withOptions && product.options.every((option) => selection[option.name]);
+  const variant = selectionComplete ? findVariantBySelection(product, selection) : null;
+  const stock = withOptions ? variant?.stock ?? 0 : product.stock;
+  const price = variant?.price ?? product.price;
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-        {/* Product Image */}
-        <div className="bg-white rounded-lg shadow-md overflow-hidden">
-          {product.image ? (
-            <img
-              src={product.image}
-              alt={product.name}
-              className="w-full h-96 object-cover"
-            />
-          ) : (
-            <div className="w-full h-96 bg-gray-200 flex items-center justify-center text-gray-400">
-              No Image Available
-            </div>
-          )}
-        </div>
+        {/* Product Images */}
+        <ProductGallery images={product.images} image={product.image} highlight={variant?.image} name={product.name} />
 
         {/* Product Info */}
         <div className="space-y-6">
           <div>
             <h1 className="text-3xl font-bold mb-2">{product.name}</h1>
-            <p className="text-2xl font-bold text-primary-600 mb-4">${product.price}</p>
+            <p className="text-2xl font-bold text-primary-600 mb-4">${price}</p>
             <p className="text-gray-600 mb-4">{product.description}</p>
           </div>
 
@@ -93,17 +101,50 @@ const ProductDetails = () => {
               <span className="font-semibold">Category: </span>
               <span className="text-gray-600">{product.category}</span>
             </div>
+            {withOptions &&
+              product.options.map((option) => (
+                <div key={option.name}>
+                  <span className="font-semibold">{option.name}: </span>
+                  <span className="text-gray-600">{selection[option.name] || 'Choose one'}</span>
+                  <div className="flex flex-wrap gap-2 mt-2" role="group" aria-label={option.name}>
+                    {option.values.map((value) => {
+                      const available = isValueAvailable(product, selection, option.name, value);
+                      const selected = selection[option.name] === value;
+                      return (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => handleSelect(option.name, value)}
+                          aria-pressed={selected}
+                          title={available ? undefined : 'Out of stock with your other choices'}
+                          className={`px-3 py-1 border rounded-lg ${
+                            selected ? 'border-primary-600 bg-primary-50 text-primary-700' : 'hover:bg-gray-100'
+                          } ${available ? '' : 'line-through text-gray-400'}`}
+                        >
+                          {value}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
             <div>
               <span className="font-semibold">Stock: </span>
-              {product.stock > 0 ? (
-                <span className="text-green-600">{product.stock} available</span>
+              {withOptions && !selectionComplete ? (
+                <span className="text-gray-600">
+                  {product.stock > 0 ? 'Choose your options to see availability' : 'Out of Stock'}
+                </span>
+              ) : withOptions && !variant ? (
+                <span className="text-red-600">Not available in this combination</span>
+              ) : stock > 0 ? (
+                <span className="text-green-600">{stock} available</span>
               ) : (
                 <span className="text-red-600">Out of Stock</span>
               )}
             </div>
           </div>
 
-          {product.stock > 0 && (
+          {(withOptions ? product.stock > 0 : stock > 0) && (
             <div className="space-y-4">
               <div className="flex items-center space-x-4">
                 <span className="font-semibold">Quantity:</span>
@@ -117,9 +158,9 @@ const ProductDetails = () => {
                   </button>
                   <span className="w-12 text-center font-semibold">{quantity}</span>
                   <button
-                    onClick={() => setQuantity(Math.min(product.stock, quantity + 1))}
+                    onClick={() => setQuantity(Math.min(stock, quantity + 1))}
                     className="p-2 border rounded-lg hover:bg-gray-100"
-                    disabled={quantity >= product.stock}
+                    disabled={quantity >= stock}
                   >
                     <FiPlus />
                   </button>
@@ -129,6 +170,7 @@ const ProductDetails = () => {
               <button
                 onClick={handleAddToCart}
                 className="w-full btn-primary flex items-center justify-center space-x-2"
+                disabled={selectionComplete && stock === 0}
               >
                 <FiShoppingCart />
                 <span>Add to Cart</span>
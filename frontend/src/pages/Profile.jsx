@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../utils/api';
+import { toast } from 'react-toastify';
+import { FiUser, FiLock, FiTrash2, FiMapPin, FiShield } from 'react-icons/fi';
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const Profile = () => {
+  const { user, updateUser, saveTokens, clearSession } = useAuth();
+  const navigate = useNavigate();
+  const [profileForm, setProfileForm] = useState({ name: user?.name || '', email: user?.email || '' });
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [saving, setSaving] = useState(null);
+
+  const handleProfileChange = (e) => {
+    setProfileForm({ ...profileForm, [e.target.name]: e.target.value });
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setSaving('profile');
+    try {
+      const res = await authAPI.updateProfile(profileForm);
+      const updated = res.data.data;
+      updateUser(updated);
+      if (updated.email !== user.email) {
+        toast.success('Profile updated. Check your inbox to verify your new email address');
+      } else {
+        toast.success('Profile updated');
+      }
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update profile';
+      toast.error(message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+    setSaving('password');
+    try {
+      const res = await authAPI.changePassword({
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword
+      });
+      // Other devices are signed out; this one continues with the new tokens
+      saveTokens(res.data.data);
+      setPasswordForm(EMPTY_PASSWORD_FORM);
+      toast.success('Password changed');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to change password';
+      toast.error(message);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account? This cannot be undone.')) {
+      return;
+    }
+    setSaving('delete');
+    try {
+      await authAPI.deleteAccount(deletePassword);
+      clearSession();
+      toast.success('Your account has been deleted');
+      navigate('/');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete account';
+      toast.error(message);
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <h1 className="text-3xl font-bold flex items-center">
+        <FiUser className="mr-2" />
+        My Account
+      </h1>
+
+      <form onSubmit={handleProfileSubmit} className="card space-y-4">
+        <h2 className="text-xl font-bold">Profile</h2>
+        <div>
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            id="name"
+            name="name"
+            type="text"
+            required
+            className="input-field"
+            value={profileForm.name}
+            onChange={handleProfileChange}
+          />
+        </div>
+        <div>
+          <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+            Email
+          </label>
+          <input
+            id="email"
+            name="email"
+            type="email"
+            required
+            className="input-field"
+            value={profileForm.email}
+            onChange={handleProfileChange}
+          />
+          {user?.emailVerified === false && (
+            <p className="text-sm text-yellow-700 mt-1">This email address has not been verified yet.</p>
+          )}
+        </div>
+        <button type="submit" disabled={saving === 'profile'} className="btn-primary disabled:opacity-50">
+          {saving === 'profile' ? 'Saving...' : 'Save Profile'}
+        </button>
+      </form>
+
+      <div className="card flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-bold flex items-center">
+            <FiMapPin className="mr-2" />
+            Address Book
+          </h2>
+          <p className="text-sm text-gray-600">Save shipping and billing addresses to pick at checkout.</p>
+        </div>
+        <Link to="/addresses" className="btn-secondary whitespace-nowrap">
+          Manage Addresses
+        </Link>
+      </div>
+
+      <div className="card flex justify-between items-center">
+        <div>
+          <h2 className="text-xl font-bold flex items-center">
+            <FiShield className="mr-2" />
+            Two-Factor Authentication
+          </h2>
+          <p className="text-sm text-gray-600">
+            {user?.twoFactorEnabled
+              ? 'On. Sign-ins need a code from your authenticator app.'
+              : 'Off. Add a code from an authenticator app to every sign-in.'}
+          </p>
+        </div>
+        <Link to="/profile/two-factor" className="btn-secondary whitespace-nowrap">
+          {user?.twoFactorEnabled ? 'Manage' : 'Set Up'}
+        </Link>
+      </div>
+
+      <form onSubmit={handlePasswordSubmit} className="card space-y-4">
+        <h2 className="text-xl font-bold flex items-center">
+          <FiLock className="mr-2" />
+          Change Password
+        </h2>
+        <div>
+          <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            Current password
+          </label>
+          <input
+            id="currentPassword"
+            name="currentPassword"
+            type="password"
+            autoComplete="current-password"
+            required
+            className="input-field"
+            value={passwordForm.currentPassword}
+            onChange={handlePasswordChange}
+          />
+        </div>
+        <div>
+          <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            New password
+          </label>
+          <input
+            id="newPassword"
+            name="newPassword"
+            type="password"
+            autoComplete="new-password"
+            required
+            minLength={6}
+            className="input-field"
+            placeholder="At least 6 characters"
+            value={passwordForm.newPassword}
+            onChange={handlePasswordChange}
+          />
+        </div>
+        <div>
+          <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm new password
+          </label>
+          <input
+            id="confirmPassword"
+            name="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            required
+            minLength={6}
+            className="input-field"
+            value={passwordForm.confirmPassword}
+            onChange={handlePasswordChange}
+          />
+        </div>
+        <p className="text-sm text-gray-500">Changing your password signs you out on your other devices.</p>
+        <button type="submit" disabled={saving === 'password'} className="btn-primary disabled:opacity-50">
+          {saving === 'password' ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+
+      <form onSubmit={handleDeleteAccount} className="card space-y-4 border border-red-200">
+        <h2 className="text-xl font-bold text-red-600 flex items-center">
+          <FiTrash2 className="mr-2" />
+          Delete Account
+        </h2>
+        <p className="text-sm text-gray-600">
+          Your account and saved cart are removed. Past orders are kept for our records without your
+          name, email or street address.
+        </p>
+        <div>
+          <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 mb-1">
+            Confirm with your password
+          </label>
+          <input
+            id="deletePassword"
+            name="deletePassword"
+            type="password"
+            autoComplete="current-password"
+            required
+            className="input-field"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving === 'delete'}
+          className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50"
+        >
+          {saving === 'delete' ? 'Deleting...' : 'Delete Account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Profile;
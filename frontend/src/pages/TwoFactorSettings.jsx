@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { twoFactorAPI } from '../utils/api';
+import { toast } from 'react-toastify';
+import { FiShield, FiArrowLeft } from 'react-icons/fi';
+
+const BackupCodes = ({ codes }) => (
+  <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4">
+    <p className="text-sm text-yellow-800 mb-3">
+      Save these backup codes somewhere safe. Each one signs you in once if you lose your authenticator app,
+      and they will not be shown again.
+    </p>
+    <ul aria-label="Backup codes" className="grid grid-cols-2 gap-2 font-mono text-sm">
+      {codes.map((backupCode) => (
+        <li key={backupCode}>{backupCode}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [enrolment, setEnrolment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [saving, setSaving] = useState(null);
+
+  const handleError = (error, fallback) => {
+    toast.error(error.response?.data?.message || fallback);
+  };
+
+  const handleStart = async () => {
+    setSaving('setup');
+    try {
+      const res = await twoFactorAPI.setup();
+      setEnrolment(res.data.data);
+    } catch (error) {
+      handleError(error, 'Failed to start two-factor setup');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setSaving('enable');
+    try {
+      const res = await twoFactorAPI.enable(code.trim());
+      setBackupCodes(res.data.data.backupCodes);
+      setEnrolment(null);
+      setCode('');
+      updateUser({ twoFactorEnabled: true });
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      handleError(error, 'Failed to enable two-factor authentication');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setSaving('backup');
+    try {
+      const res = await twoFactorAPI.regenerateBackupCodes(code.trim());
+      setBackupCodes(res.data.data.backupCodes);
+      setCode('');
+      toast.success('New backup codes generated');
+    } catch (error) {
+      handleError(error, 'Failed to generate backup codes');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSaving('disable');
+    try {
+      await twoFactorAPI.disable({ password: disableForm.password, code: disableForm.code.trim() });
+      setDisableForm({ password: '', code: '' });
+      setBackupCodes(null);
+      updateUser({ twoFactorEnabled: false });
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      handleError(error, 'Failed to disable two-factor authentication');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <Link to="/profile" className="text-primary-600 hover:text-primary-700 flex items-center">
+        <FiArrowLeft className="mr-2" />
+        Back to My Account
+      </Link>
+
+      <h1 className="text-3xl font-bold flex items-center">
+        <FiShield className="mr-2" />
+        Two-Factor Authentication
+      </h1>
+
+      {user?.twoFactorRequired && !user?.twoFactorEnabled && (
+        <div role="alert" className="rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-800">
+          Your role requires two-factor authentication. Set it up to use the admin pages.
+        </div>
+      )}
+
+      {backupCodes && <BackupCodes codes={backupCodes} />}
+
+      {!user?.twoFactorEnabled ? (
+        <div className="card space-y-4">
+          <p className="text-gray-600">
+            Protect your account with a code from an authenticator app such as Google Authenticator or 1Password
+            each time you sign in.
+          </p>
+
+          {!enrolment ? (
+            <button type="button" onClick={handleStart} disabled={saving === 'setup'} className="btn-primary disabled:opacity-50">
+              {saving === 'setup' ? 'Starting...' : 'Set Up Two-Factor Authentication'}
+            </button>
+          ) : (
+            <form onSubmit={handleEnable} className="space-y-4">
+              <p className="text-sm text-gray-700">1. Scan this QR code with your authenticator app.</p>
+              <img src={enrolment.qrCode} alt="QR code for your authenticator app" className="w-48 h-48" />
+              <p className="text-sm text-gray-600">
+                Can&apos;t scan it? Enter this key instead:{' '}
+                <code className="font-mono break-all">{enrolment.secret}</code>
+              </p>
+              <div>
+                <label htmlFor="enable-code" className="block text-sm font-medium text-gray-700 mb-1">
+                  2. Enter the 6-digit code it shows
+                </label>
+                <input
+                  id="enable-code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  required
+                  className="input-field"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+              <button type="submit" disabled={saving === 'enable'} className="btn-primary disabled:opacity-50">
+                {saving === 'enable' ? 'Verifying...' : 'Enable'}
+              </button>
+            </form>
+          )}
+        </div>
+      ) : (
+        <>
+          <div className="card">
+            <p className="text-green-700 font-medium">Two-factor authentication is on.</p>
+          </div>
+
+          <form onSubmit={handleRegenerate} className="card space-y-4">
+            <h2 className="text-xl font-bold">Backup Codes</h2>
+            <p className="text-sm text-gray-600">Generating new codes replaces all of your old ones.</p>
+            <div>
+              <label htmlFor="backup-code" className="block text-sm font-medium text-gray-700 mb-1">
+                Authenticator code
+              </label>
+              <input
+                id="backup-code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                className="input-field"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+            <button type="submit" disabled={saving === 'backup'} className="btn-secondary disabled:opacity-50">
+              {saving === 'backup' ? 'Generating...' : 'Generate New Backup Codes'}
+            </button>
+          </form>
+
+          {!user.twoFactorRequired && (
+            <form onSubmit={handleDisable} className="card space-y-4 border border-red-200">
+              <h2 className="text-xl font-bold text-red-600">Turn Off Two-Factor Authentication</h2>
+              <div>
+                <label htmlFor="disable-password" className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <input
+                  id="disable-password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className="input-field"
+                  value={disableForm.password}
+                  onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="disable-code" className="block text-sm font-medium text-gray-700 mb-1">
+                  Authenticator or backup code
+                </label>
+                <input
+                  id="disable-code"
+                  type="text"
+                  autoComplete="one-time-code"
+                  required
+                  className="input-field"
+                  value={disableForm.code}
+                  onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={saving === 'disable'}
+                className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50"
+              >
+                {saving === 'disable' ? 'Turning off...' : 'Turn Off'}
+              </button>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+import { FiUnlock, FiXCircle } from 'react-icons/fi';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+    authAPI.unlockAccount(token)
+      .then(() => setStatus('unlocked'))
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to unlock your account');
+      });
+  }, [token]);
+
+  if (status === 'unlocking') {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <div className="card max-w-md w-full text-center">
+        {status === 'unlocked' ? (
+          <>
+            <FiUnlock className="text-5xl text-green-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold mb-2">Account unlocked</h2>
+            <p className="text-gray-600 mb-4">You can sign in again now.</p>
+            <Link to="/login" className="btn-primary inline-block">
+              Sign In
+            </Link>
+          </>
+        ) : (
+          <>
+            <FiXCircle className="text-5xl text-red-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold mb-2">Unlock failed</h2>
+            <p className="text-gray-600 mb-4">{message}</p>
+            <p className="text-sm text-gray-500">
+              Locks expire on their own after 15 minutes, or you can{' '}
+              <Link to="/forgot-password" className="text-primary-600 hover:text-primary-700">
+                reset your password
+              </Link>
+              .
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { FiCheckCircle, FiXCircle } from 'react-icons/fi';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+    authAPI.verifyEmail(token)
+      .then(() => {
+        setStatus('verified');
+        updateUser({ emailVerified: true });
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to verify email address');
+      });
+  }, [token]);
+
+  if (status === 'verifying') {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <div className="card max-w-md w-full text-center">
+        {status === 'verified' ? (
+          <>
+            <FiCheckCircle className="text-5xl text-green-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold mb-2">Email verified</h2>
+            <p className="text-gray-600 mb-4">Thanks for confirming your email address.</p>
+            <Link to="/products" className="btn-primary inline-block">
+              Continue Shopping
+            </Link>
+          </>
+        ) : (
+          <>
+            <FiXCircle className="text-5xl text-red-600 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold mb-2">Verification failed</h2>
+            <p className="text-gray-600 mb-4">{message}</p>
+            <p className="text-sm text-gray-500">
+              Signed in? You can request a new link from checkout.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
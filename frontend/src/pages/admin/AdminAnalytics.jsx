@@ -155,6 +155,12 @@ const AdminAnalytics = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Total Sales
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Net Sales
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Tax
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Items Sold
                   </th>
@@ -169,6 +175,12 @@ const AdminAnalytics = () => {
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       ${item.totalSales?.toFixed(2) || '0.00'}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      ${item.netSales?.toFixed(2) || '0.00'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      ${item.totalTax?.toFixed(2) || '0.00'}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       {item.totalItems || 0}
                     </td>
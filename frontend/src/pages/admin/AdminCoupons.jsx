@@ -0,0 +1,483 @@
+import { useState, useEffect } from 'react';
+import { couponAPI, productAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+import { FiEdit, FiTrash2, FiPlus } from 'react-icons/fi';
+
+const COUPON_TYPE_OPTIONS = [
+  { value: 'percentage', label: 'Percentage off' },
+  { value: 'fixed', label: 'Fixed amount off' },
+  { value: 'free_shipping', label: 'Free shipping' },
+];
+
+const emptyForm = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  minimumSpend: '',
+  categories: '',
+  products: [],
+  usageLimit: '',
+  perUserLimit: '',
+  startsAt: '',
+  expiresAt: '',
+  isActive: true,
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatDiscount = (coupon) => {
+  if (coupon.type === 'percentage') return `${coupon.value}% off`;
+  if (coupon.type === 'fixed') return `$${Number(coupon.value).toFixed(2)} off`;
+  return 'Free shipping';
+};
+
+const getCouponStatus = (coupon) => {
+  if (!coupon.isActive) return { label: 'Inactive', className: 'bg-gray-100 text-gray-800' };
+  if (coupon.expiresAt && new Date(coupon.expiresAt) < new Date()) {
+    return { label: 'Expired', className: 'bg-red-100 text-red-800' };
+  }
+  if (coupon.startsAt && new Date(coupon.startsAt) > new Date()) {
+    return { label: 'Scheduled', className: 'bg-yellow-100 text-yellow-800' };
+  }
+  return { label: 'Active', className: 'bg-green-100 text-green-800' };
+};
+
+// Form values are strings; the API expects numbers, arrays and nulls for "no limit"
+const buildPayload = (formData) => ({
+  code: formData.code.trim(),
+  description: formData.description,
+  type: formData.type,
+  value: formData.type === 'free_shipping' ? 0 : Number(formData.value),
+  minimumSpend: formData.minimumSpend === '' ? 0 : Number(formData.minimumSpend),
+  categories: formData.categories
+    .split(',')
+    .map((category) => category.trim())
+    .filter(Boolean),
+  products: formData.products,
+  usageLimit: formData.usageLimit === '' ? null : Number(formData.usageLimit),
+  perUserLimit: formData.perUserLimit === '' ? null : Number(formData.perUserLimit),
+  startsAt: formData.startsAt || null,
+  expiresAt: formData.expiresAt || null,
+  isActive: formData.isActive,
+});
+
+const AdminCoupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchCoupons();
+    fetchProducts();
+  }, []);
+
+  const fetchCoupons = async () => {
+    try {
+      const res = await couponAPI.getAll();
+      setCoupons(res.data.data || []);
+    } catch (error) {
+      console.error('Error fetching coupons:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const res = await productAPI.getAll();
+      setProducts(res.data.data || []);
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleProductsChange = (e) => {
+    const selected = Array.from(e.target.selectedOptions).map((option) => option.value);
+    setFormData({ ...formData, products: selected });
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingCoupon(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = buildPayload(formData);
+      if (editingCoupon) {
+        await couponAPI.update(editingCoupon._id, payload);
+        toast.success('Coupon updated successfully');
+      } else {
+        await couponAPI.create(payload);
+        toast.success('Coupon created successfully');
+      }
+      closeModal();
+      fetchCoupons();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Operation failed';
+      toast.error(message);
+    }
+  };
+
+  const handleEdit = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || '',
+      type: coupon.type,
+      value: coupon.value ?? '',
+      minimumSpend: coupon.minimumSpend || '',
+      categories: (coupon.categories || []).join(', '),
+      products: (coupon.products || []).map((product) => product._id || product),
+      usageLimit: coupon.usageLimit ?? '',
+      perUserLimit: coupon.perUserLimit ?? '',
+      startsAt: toDateInput(coupon.startsAt),
+      expiresAt: toDateInput(coupon.expiresAt),
+      isActive: coupon.isActive,
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this coupon?')) {
+      return;
+    }
+    try {
+      await couponAPI.delete(id);
+      toast.success('Coupon deleted successfully');
+      fetchCoupons();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete coupon';
+      toast.error(message);
+    }
+  };
+
+  const openModal = () => {
+    setEditingCoupon(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Manage Promotions</h1>
+        <button onClick={openModal} className="btn-primary flex items-center space-x-2">
+          <FiPlus />
+          <span>Add Coupon</span>
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : coupons.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-600">No coupons yet</p>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Code
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Discount
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Conditions
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Usage
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {coupons.map((coupon) => {
+                const status = getCouponStatus(coupon);
+                return (
+                  <tr key={coupon._id}>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{coupon.code}</div>
+                      <div className="text-sm text-gray-500 line-clamp-1">{coupon.description}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {formatDiscount(coupon)}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {coupon.minimumSpend > 0 && <div>Min. spend ${coupon.minimumSpend.toFixed(2)}</div>}
+                      {coupon.categories?.length > 0 && <div>Categories: {coupon.categories.join(', ')}</div>}
+                      {coupon.products?.length > 0 && <div>{coupon.products.length} product(s)</div>}
+                      {coupon.expiresAt && (
+                        <div>Expires {new Date(coupon.expiresAt).toLocaleDateString()}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {coupon.usedCount} / {coupon.usageLimit ?? '∞'}
+                      {coupon.perUserLimit && (
+                        <div className="text-xs">{coupon.perUserLimit} per customer</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleEdit(coupon)}
+                          className="text-primary-600 hover:text-primary-900"
+                          aria-label={`Edit coupon ${coupon.code}`}
+                        >
+                          <FiEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(coupon._id)}
+                          className="text-red-600 hover:text-red-900"
+                          aria-label={`Delete coupon ${coupon.code}`}
+                        >
+                          <FiTrash2 />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h2 className="text-2xl font-bold mb-4">
+                {editingCoupon ? 'Edit Coupon' : 'Add New Coupon'}
+              </h2>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="coupon-code" className="block text-sm font-medium text-gray-700 mb-1">
+                      Code
+                    </label>
+                    <input
+                      id="coupon-code"
+                      type="text"
+                      name="code"
+                      required
+                      className="input-field uppercase"
+                      value={formData.code}
+                      onChange={handleChange}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="coupon-type" className="block text-sm font-medium text-gray-700 mb-1">
+                      Type
+                    </label>
+                    <select
+                      id="coupon-type"
+                      name="type"
+                      className="input-field"
+                      value={formData.type}
+                      onChange={handleChange}
+                    >
+                      {COUPON_TYPE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="coupon-description" className="block text-sm font-medium text-gray-700 mb-1">
+                    Description
+                  </label>
+                  <input
+                    id="coupon-description"
+                    type="text"
+                    name="description"
+                    className="input-field"
+                    value={formData.description}
+                    onChange={handleChange}
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  {formData.type !== 'free_shipping' && (
+                    <div>
+                      <label htmlFor="coupon-value" className="block text-sm font-medium text-gray-700 mb-1">
+                        {formData.type === 'percentage' ? 'Percent off' : 'Amount off'}
+                      </label>
+                      <input
+                        id="coupon-value"
+                        type="number"
+                        name="value"
+                        required
+                        step="0.01"
+                        min="0"
+                        max={formData.type === 'percentage' ? '100' : undefined}
+                        className="input-field"
+                        value={formData.value}
+                        onChange={handleChange}
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="coupon-minimum-spend" className="block text-sm font-medium text-gray-700 mb-1">
+                      Minimum spend
+                    </label>
+                    <input
+                      id="coupon-minimum-spend"
+                      type="number"
+                      name="minimumSpend"
+                      step="0.01"
+                      min="0"
+                      className="input-field"
+                      value={formData.minimumSpend}
+                      onChange={handleChange}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="coupon-categories" className="block text-sm font-medium text-gray-700 mb-1">
+                    Categories
+                  </label>
+                  <input
+                    id="coupon-categories"
+                    type="text"
+                    name="categories"
+                    className="input-field"
+                    value={formData.categories}
+                    onChange={handleChange}
+                    placeholder="Leave empty for all categories, e.g., Electronics, Clothing"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="coupon-products" className="block text-sm font-medium text-gray-700 mb-1">
+                    Products
+                  </label>
+                  <select
+                    id="coupon-products"
+                    multiple
+                    className="input-field h-32"
+                    value={formData.products}
+                    onChange={handleProductsChange}
+                  >
+                    {products.map((product) => (
+                      <option key={product._id} value={product._id}>
+                        {product.name}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Leave empty for all products</p>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="coupon-usage-limit" className="block text-sm font-medium text-gray-700 mb-1">
+                      Total uses
+                    </label>
+                    <input
+                      id="coupon-usage-limit"
+                      type="number"
+                      name="usageLimit"
+                      min="1"
+                      className="input-field"
+                      value={formData.usageLimit}
+                      onChange={handleChange}
+                      placeholder="Unlimited"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="coupon-per-user-limit" className="block text-sm font-medium text-gray-700 mb-1">
+                      Uses per customer
+                    </label>
+                    <input
+                      id="coupon-per-user-limit"
+                      type="number"
+                      name="perUserLimit"
+                      min="1"
+                      className="input-field"
+                      value={formData.perUserLimit}
+                      onChange={handleChange}
+                      placeholder="Unlimited"
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="coupon-starts-at" className="block text-sm font-medium text-gray-700 mb-1">
+                      Starts
+                    </label>
+                    <input
+                      id="coupon-starts-at"
+                      type="date"
+                      name="startsAt"
+                      className="input-field"
+                      value={formData.startsAt}
+                      onChange={handleChange}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="coupon-expires-at" className="block text-sm font-medium text-gray-700 mb-1">
+                      Expires
+                    </label>
+                    <input
+                      id="coupon-expires-at"
+                      type="date"
+                      name="expiresAt"
+                      className="input-field"
+                      value={formData.expiresAt}
+                      onChange={handleChange}
+                    />
+                  </div>
+                </div>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    checked={formData.isActive}
+                    onChange={handleChange}
+                  />
+                  <span className="text-sm text-gray-700">Active</span>
+                </label>
+                <div className="flex space-x-4">
+                  <button type="submit" className="btn-primary flex-1">
+                    {editingCoupon ? 'Update' : 'Create'}
+                  </button>
+                  <button type="button" onClick={closeModal} className="btn-secondary flex-1">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminCoupons;
@@ -1,15 +1,74 @@
 import { Link } from 'react-router-dom';
-import { FiPackage, FiDollarSign, FiShoppingBag, FiTrendingUp } from 'react-icons/fi';
+import { FiPackage, FiDollarSign, FiShoppingBag, FiTrendingUp, FiTag, FiPercent, FiTruck, FiUsers } from 'react-icons/fi';
 import { useState, useEffect } from 'react';
 import { orderAPI } from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+
+// Admin sections, each shown only to staff whose role grants its permission
+const SECTIONS = [
+  {
+    to: '/admin/products',
+    icon: FiShoppingBag,
+    title: 'Manage Products',
+    description: 'Add, edit, or delete products',
+    permission: PERMISSIONS.PRODUCTS_WRITE,
+  },
+  {
+    to: '/admin/coupons',
+    icon: FiTag,
+    title: 'Manage Promotions',
+    description: 'Create coupons and discount codes',
+    permission: PERMISSIONS.COUPONS_WRITE,
+  },
+  {
+    to: '/admin/tax-rules',
+    icon: FiPercent,
+    title: 'Manage Tax Rules',
+    description: 'Set tax rates by country and region',
+    permission: PERMISSIONS.TAXES_WRITE,
+  },
+  {
+    to: '/admin/shipping',
+    icon: FiTruck,
+    title: 'Manage Shipping',
+    description: 'Set shipping zones, methods and rates',
+    permission: PERMISSIONS.SHIPPING_WRITE,
+  },
+  {
+    to: '/admin/users',
+    icon: FiUsers,
+    title: 'Manage Users',
+    description: 'Search customers, change roles and disable accounts',
+    permission: PERMISSIONS.USERS_READ,
+  },
+  {
+    to: '/admin/orders',
+    icon: FiPackage,
+    title: 'View Orders',
+    description: 'Manage and track all orders',
+    permission: PERMISSIONS.ORDERS_READ,
+  },
+  {
+    to: '/admin/analytics',
+    icon: FiTrendingUp,
+    title: 'Sales Analytics',
+    description: 'View sales reports and insights',
+    permission: PERMISSIONS.ANALYTICS_READ,
+  },
+];
 
 const AdminDashboard = () => {
+  const { hasPermission } = useAuth();
+  const canReadAnalytics = hasPermission(PERMISSIONS.ANALYTICS_READ);
   const [analytics, setAnalytics] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(canReadAnalytics);
 
   useEffect(() => {
-    fetchAnalytics();
-  }, []);
+    if (canReadAnalytics) {
+      fetchAnalytics();
+    }
+  }, [canReadAnalytics]);
 
   const fetchAnalytics = async () => {
     try {
@@ -61,7 +120,7 @@ const AdminDashboard = () => {
         <div className="flex items-center justify-center min-h-64">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
         </div>
-      ) : (
+      ) : canReadAnalytics && (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           {stats.map((stat, index) => (
             <Link
@@ -84,32 +143,17 @@ const AdminDashboard = () => {
       )}
 
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        <Link
-          to="/admin/products"
-          className="card hover:shadow-lg transition-shadow text-center p-8"
-        >
-          <FiShoppingBag className="text-4xl text-primary-600 mx-auto mb-4" />
-          <h2 className="text-xl font-bold mb-2">Manage Products</h2>
-          <p className="text-gray-600">Add, edit, or delete products</p>
-        </Link>
-
-        <Link
-          to="/admin/orders"
-          className="card hover:shadow-lg transition-shadow text-center p-8"
-        >
-          <FiPackage className="text-4xl text-primary-600 mx-auto mb-4" />
-          <h2 className="text-xl font-bold mb-2">View Orders</h2>
-          <p className="text-gray-600">Manage and track all orders</p>
-        </Link>
-
-        <Link
-          to="/admin/analytics"
-          className="card hover:shadow-lg transition-shadow text-center p-8"
-        >
-          <FiTrendingUp className="text-4xl text-primary-600 mx-auto mb-4" />
-          <h2 className="text-xl font-bold mb-2">Sales Analytics</h2>
-          <p className="text-gray-600">View sales reports and insights</p>
-        </Link>
+        {SECTIONS.filter((section) => hasPermission(section.permission)).map((section) => (
+          <Link
+            key={section.to}
+            to={section.to}
+            className="card hover:shadow-lg transition-shadow text-center p-8"
+          >
+            <section.icon className="text-4xl text-primary-600 mx-auto mb-4" />
+            <h2 className="text-xl font-bold mb-2">{section.title}</h2>
+            <p className="text-gray-600">{section.description}</p>
+          </Link>
+        ))}
       </div>
     </div>
   );
@@ -1,11 +1,35 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { orderAPI } from '../../utils/api';
-import { FiPackage, FiCalendar, FiEye } from 'react-icons/fi';
+import { toast } from 'react-toastify';
+import {
+  getOrderStatus,
+  getAdminStatusOptions,
+  formatOrderStatus,
+  getStatusBadgeClass,
+  canCreateShipment,
+  getUndeliveredShipments,
+  isRefundDue,
+} from '../../utils/orderStatus';
+import { isBankTransfer, canConfirmManualPayment } from '../../utils/paymentMethods';
+import { SHIPPING_CARRIERS } from '../../utils/shippingMethods';
+import { useAuth } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { FiPackage, FiCalendar, FiEye, FiTruck } from 'react-icons/fi';
+
+const emptyShipment = { carrier: '', trackingNumber: '' };
 
 const AdminOrders = () => {
+  const { hasPermission } = useAuth();
+  const canFulfil = hasPermission(PERMISSIONS.ORDERS_FULFIL);
+  const canConfirmPayments = hasPermission(PERMISSIONS.PAYMENTS_CONFIRM);
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [transferReference, setTransferReference] = useState('');
+  const [shippingId, setShippingId] = useState(null);
+  const [shipmentForm, setShipmentForm] = useState(emptyShipment);
 
   useEffect(() => {
     fetchOrders();
@@ -22,6 +46,86 @@ const AdminOrders = () => {
     }
   };
 
+  const replaceOrder = (order, updated) => {
+    setOrders((prev) =>
+      prev.map((o) => (o._id === order._id ? { ...o, ...updated, user: o.user } : o))
+    );
+  };
+
+  const handleStatusChange = async (order, status) => {
+    if (!status) return;
+    setUpdatingId(order._id);
+    try {
+      const res = await orderAPI.updateStatus(order._id, { status });
+      replaceOrder(order, res.data.data);
+      toast.success(`Order #${order._id.slice(-8)} marked as ${formatOrderStatus(status)}`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update order status';
+      toast.error(message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleConfirmPayment = async (order, reference = '') => {
+    const bankTransfer = isBankTransfer(order.paymentMethod);
+    if (bankTransfer && !reference.trim()) {
+      toast.error('Please enter the transfer reference');
+      return;
+    }
+    setUpdatingId(order._id);
+    try {
+      const payload = bankTransfer ? { reference: reference.trim() } : {};
+      const res = await orderAPI.confirmPayment(order._id, payload);
+      replaceOrder(order, res.data.data);
+      setConfirmingId(null);
+      setTransferReference('');
+      toast.success(`Payment confirmed for order #${order._id.slice(-8)}`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to confirm payment';
+      toast.error(message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleCreateShipment = async (order) => {
+    if (!shipmentForm.carrier.trim() || !shipmentForm.trackingNumber.trim()) {
+      toast.error('Please enter the carrier and tracking number');
+      return;
+    }
+    setUpdatingId(order._id);
+    try {
+      const res = await orderAPI.createShipment(order._id, {
+        carrier: shipmentForm.carrier.trim(),
+        trackingNumber: shipmentForm.trackingNumber.trim(),
+      });
+      replaceOrder(order, res.data.data);
+      setShippingId(null);
+      setShipmentForm(emptyShipment);
+      toast.success(`Order #${order._id.slice(-8)} shipped`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to create shipment';
+      toast.error(message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleShipmentDelivered = async (order, shipment) => {
+    setUpdatingId(order._id);
+    try {
+      const res = await orderAPI.markShipmentDelivered(order._id, shipment._id);
+      replaceOrder(order, res.data.data);
+      toast.success(`Shipment ${shipment.trackingNumber} marked as delivered`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to mark shipment as delivered';
+      toast.error(message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -62,6 +166,9 @@ const AdminOrders = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Total
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Payment
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Status
                 </th>
@@ -91,30 +198,179 @@ const AdminOrders = () => {
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     ${order.totalPrice.toFixed(2)}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <div>{order.paymentMethod || 'N/A'}</div>
+                    <div className={order.isPaid ? 'text-green-600' : 'text-yellow-600'}>
+                      {order.isPaid ? 'Paid' : 'Unpaid'}
+                    </div>
+                    {isRefundDue(order) && <div className="text-red-600">Refund due</div>}
+                    {order.latePayment?.status === 'refund_failed' && (
+                      <div className="text-red-600">Late payment not refunded</div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span
-                      className={`px-2 py-1 text-xs rounded-full ${
-                        order.isPaid
-                          ? 'bg-green-100 text-green-800'
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}
+                      className={`px-2 py-1 text-xs rounded-full ${getStatusBadgeClass(
+                        getOrderStatus(order)
+                      )}`}
                     >
-                      {order.isPaid ? 'Paid' : 'Pending'}
+                      {formatOrderStatus(getOrderStatus(order))}
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <Link
-                      to={`/orders/${order._id}`}
-                      className="text-primary-600 hover:text-primary-900 flex items-center"
-                    >
-                      <FiEye className="mr-1" />
-                      View
-                    </Link>
+                    <div className="flex items-center space-x-4">
+                      <Link
+                        to={`/orders/${order._id}`}
+                        className="text-primary-600 hover:text-primary-900 flex items-center"
+                      >
+                        <FiEye className="mr-1" />
+                        View
+                      </Link>
+                      {canFulfil && getAdminStatusOptions(order).length > 0 && (
+                        <select
+                          aria-label={`Update status for order ${order._id.slice(-8)}`}
+                          value=""
+                          disabled={updatingId === order._id}
+                          onChange={(e) => handleStatusChange(order, e.target.value)}
+                          className="input-field py-1 text-sm"
+                        >
+                          <option value="">Move to...</option>
+                          {getAdminStatusOptions(order).map((status) => (
+                            <option key={status} value={status}>
+                              {formatOrderStatus(status)}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {canFulfil && canCreateShipment(order) && (
+                        shippingId === order._id ? (
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="text"
+                              list="shipping-carriers"
+                              aria-label={`Carrier for order ${order._id.slice(-8)}`}
+                              value={shipmentForm.carrier}
+                              onChange={(e) => setShipmentForm({ ...shipmentForm, carrier: e.target.value })}
+                              placeholder="Carrier"
+                              className="input-field py-1 text-sm"
+                            />
+                            <input
+                              type="text"
+                              aria-label={`Tracking number for order ${order._id.slice(-8)}`}
+                              value={shipmentForm.trackingNumber}
+                              onChange={(e) => setShipmentForm({ ...shipmentForm, trackingNumber: e.target.value })}
+                              placeholder="Tracking number"
+                              className="input-field py-1 text-sm"
+                            />
+                            <button
+                              type="button"
+                              onClick={() => handleCreateShipment(order)}
+                              disabled={updatingId === order._id}
+                              className="btn-primary py-1 text-sm"
+                            >
+                              Ship
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => {
+                                setShippingId(null);
+                                setShipmentForm(emptyShipment);
+                              }}
+                              className="btn-secondary py-1 text-sm"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setShippingId(order._id);
+                              setShipmentForm(emptyShipment);
+                            }}
+                            className="btn-secondary py-1 text-sm flex items-center"
+                          >
+                            <FiTruck className="mr-1" />
+                            Create Shipment
+                          </button>
+                        )
+                      )}
+                      {canFulfil && getUndeliveredShipments(order).map((shipment) => (
+                        <button
+                          key={shipment._id}
+                          type="button"
+                          onClick={() => handleShipmentDelivered(order, shipment)}
+                          disabled={updatingId === order._id}
+                          className="btn-secondary py-1 text-sm"
+                        >
+                          Delivered: {shipment.trackingNumber}
+                        </button>
+                      ))}
+                      {canConfirmPayments && canConfirmManualPayment(order) && (
+                        isBankTransfer(order.paymentMethod) ? (
+                          confirmingId === order._id ? (
+                            <div className="flex items-center space-x-2">
+                              <input
+                                type="text"
+                                aria-label={`Transfer reference for order ${order._id.slice(-8)}`}
+                                value={transferReference}
+                                onChange={(e) => setTransferReference(e.target.value)}
+                                placeholder="Bank reference"
+                                className="input-field py-1 text-sm"
+                              />
+                              <button
+                                type="button"
+                                onClick={() => handleConfirmPayment(order, transferReference)}
+                                disabled={updatingId === order._id}
+                                className="btn-primary py-1 text-sm"
+                              >
+                                Confirm
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => {
+                                  setConfirmingId(null);
+                                  setTransferReference('');
+                                }}
+                                className="btn-secondary py-1 text-sm"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => {
+                                setConfirmingId(order._id);
+                                setTransferReference('');
+                              }}
+                              className="btn-secondary py-1 text-sm"
+                            >
+                              Confirm Transfer
+                            </button>
+                          )
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => handleConfirmPayment(order)}
+                            disabled={updatingId === order._id}
+                            className="btn-secondary py-1 text-sm"
+                          >
+                            Cash Collected
+                          </button>
+                        )
+                      )}
+                    </div>
                   </td>
                 </tr>
               ))}
             </tbody>
           </table>
+          <datalist id="shipping-carriers">
+            {SHIPPING_CARRIERS.map((carrier) => (
+              <option key={carrier} value={carrier} />
+            ))}
+          </datalist>
         </div>
       )}
     </div>
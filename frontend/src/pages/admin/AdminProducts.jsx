@@ -2,6 +2,27 @@ import { useState, useEffect } from 'react';
 import { productAPI } from '../../utils/api';
 import { toast } from 'react-toastify';
 import { FiEdit, FiTrash2, FiPlus } from 'react-icons/fi';
+import { TAX_CLASS_OPTIONS } from '../../utils/taxClasses';
+import VariantFields, { toProductOptions } from '../../components/product/VariantFields';
+import GalleryFields from '../../components/product/GalleryFields';
+
+// Parcel size in cm, used with the weight for shipping rates
+const emptyDimensions = { length: 0, width: 0, height: 0 };
+const DIMENSION_FIELDS = ['length', 'width', 'height'];
+
+const getVariantStock = (variants) => variants.reduce((total, variant) => total + (Number(variant.stock) || 0), 0);
+
+// Products sold in variants take their stock from the variants; options only mean something with variants
+const toProductPayload = (formData) => {
+  if (formData.variants.length === 0) {
+    return { ...formData, options: [], variants: [] };
+  }
+  return {
+    ...formData,
+    stock: getVariantStock(formData.variants),
+    options: toProductOptions(formData.options),
+  };
+};
 
 const AdminProducts = () => {
   const [products, setProducts] = useState([]);
@@ -15,6 +36,11 @@ const AdminProducts = () => {
     category: '',
     stock: '',
     image: '',
+    taxClass: 'standard',
+    weight: 0,
+    dimensions: { ...emptyDimensions },
+    options: [],
+    variants: [],
   });
 
   useEffect(() => {
@@ -36,14 +62,29 @@ const AdminProducts = () => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
   };
 
+  const handleDimensionChange = (e) => {
+    setFormData({ ...formData, dimensions: { ...formData.dimensions, [e.target.name]: e.target.value } });
+  };
+
+  const handleVariantsChange = (options, variants) => {
+    setFormData({ ...formData, options, variants });
+  };
+
+  // Gallery changes are saved as they are made; the cover follows the first photo
+  const handleGalleryChange = (product) => {
+    setEditingProduct(product);
+    setFormData((current) => ({ ...current, image: product.image || '' }));
+    fetchProducts();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       if (editingProduct) {
-        await productAPI.update(editingProduct._id, formData);
+        await productAPI.update(editingProduct._id, toProductPayload(formData));
         toast.success('Product updated successfully');
       } else {
-        await productAPI.create(formData);
+        await productAPI.create(toProductPayload(formData));
         toast.success('Product created successfully');
       }
       setShowModal(false);
@@ -55,6 +96,11 @@ const AdminProducts = () => {
         category: '',
         stock: '',
         image: '',
+        taxClass: 'standard',
+        weight: 0,
+        dimensions: { ...emptyDimensions },
+        options: [],
+        variants: [],
       });
       fetchProducts();
     } catch (error) {
@@ -72,6 +118,18 @@ const AdminProducts = () => {
       category: product.category,
       stock: product.stock,
       image: product.image || '',
+      taxClass: product.taxClass || 'standard',
+      weight: product.weight ?? 0,
+      dimensions: { ...emptyDimensions, ...product.dimensions },
+      options: (product.options || []).map((option) => ({ name: option.name, values: option.values.join(', ') })),
+      variants: (product.variants || []).map((variant) => ({
+        _id: variant._id,
+        sku: variant.sku,
+        attributes: variant.attributes,
+        price: variant.price ?? '',
+        stock: variant.stock,
+        image: variant.image || '',
+      })),
     });
     setShowModal(true);
   };
@@ -99,6 +157,11 @@ const AdminProducts = () => {
       category: '',
       stock: '',
       image: '',
+      taxClass: 'standard',
+      weight: 0,
+      dimensions: { ...emptyDimensions },
+      options: [],
+      variants: [],
     });
     setShowModal(true);
   };
@@ -170,6 +233,12 @@ const AdminProducts = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                     {product.stock}
+                    {product.variants?.length > 0 && (
+                      <span className="block text-xs">across {product.variants.length} variants</span>
+                    )}
+                    {product.reserved > 0 && (
+                      <span className="block text-xs text-yellow-700">{product.reserved} reserved</span>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <div className="flex space-x-2">
@@ -243,15 +312,28 @@ const AdminProducts = () => {
                   </div>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">Stock</label>
-                    <input
-                      type="number"
-                      name="stock"
-                      required
-                      min="0"
-                      className="input-field"
-                      value={formData.stock}
-                      onChange={handleChange}
-                    />
+                    {formData.variants.length > 0 ? (
+                      <>
+                        <input
+                          type="number"
+                          name="stock"
+                          disabled
+                          className="input-field"
+                          value={getVariantStock(formData.variants)}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Total of the variants below</p>
+                      </>
+                    ) : (
+                      <input
+                        type="number"
+                        name="stock"
+                        required
+                        min="0"
+                        className="input-field"
+                        value={formData.stock}
+                        onChange={handleChange}
+                      />
+                    )}
                   </div>
                 </div>
                 <div>
@@ -267,18 +349,86 @@ const AdminProducts = () => {
                   />
                 </div>
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Image URL
+                  <label htmlFor="product-tax-class" className="block text-sm font-medium text-gray-700 mb-1">
+                    Tax Class
                   </label>
-                  <input
-                    type="url"
-                    name="image"
+                  <select
+                    id="product-tax-class"
+                    name="taxClass"
                     className="input-field"
-                    value={formData.image}
+                    value={formData.taxClass}
                     onChange={handleChange}
-                    placeholder="https://example.com/image.jpg"
-                  />
+                  >
+                    {TAX_CLASS_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
                 </div>
+                <div className="grid grid-cols-4 gap-4">
+                  <div>
+                    <label htmlFor="product-weight" className="block text-sm font-medium text-gray-700 mb-1">
+                      Weight (kg)
+                    </label>
+                    <input
+                      id="product-weight"
+                      type="number"
+                      name="weight"
+                      step="0.001"
+                      min="0"
+                      className="input-field"
+                      value={formData.weight}
+                      onChange={handleChange}
+                    />
+                  </div>
+                  {DIMENSION_FIELDS.map((dimension) => (
+                    <div key={dimension}>
+                      <label
+                        htmlFor={`product-${dimension}`}
+                        className="block text-sm font-medium text-gray-700 mb-1 capitalize"
+                      >
+                        {dimension} (cm)
+                      </label>
+                      <input
+                        id={`product-${dimension}`}
+                        type="number"
+                        name={dimension}
+                        step="0.1"
+                        min="0"
+                        className="input-field"
+                        value={formData.dimensions[dimension]}
+                        onChange={handleDimensionChange}
+                      />
+                    </div>
+                  ))}
+                </div>
+                {!(editingProduct?.images?.length > 0) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Image URL
+                    </label>
+                    <input
+                      type="url"
+                      name="image"
+                      className="input-field"
+                      value={formData.image}
+                      onChange={handleChange}
+                      placeholder="https://example.com/image.jpg"
+                    />
+                  </div>
+                )}
+                <GalleryFields
+                  key={editingProduct?._id || 'new'}
+                  product={editingProduct}
+                  onChange={handleGalleryChange}
+                />
+                <VariantFields
+                  options={formData.options}
+                  variants={formData.variants}
+                  basePrice={formData.price}
+                  onChange={handleVariantsChange}
+                />
                 <div className="flex space-x-4">
                   <button type="submit" className="btn-primary flex-1">
                     {editingProduct ? 'Update' : 'Create'}
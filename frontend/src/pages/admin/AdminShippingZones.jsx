@@ -0,0 +1,463 @@
+import { useState, useEffect } from 'react';
+import { shippingAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+import { FiEdit, FiTrash2, FiPlus, FiX } from 'react-icons/fi';
+import { SHIPPING_METHOD_OPTIONS, RATE_BASIS_OPTIONS } from '../../utils/shippingMethods';
+
+const DEFAULT_METHOD_NAMES = {
+  standard: 'Standard Shipping',
+  express: 'Express Shipping',
+  pickup: 'Store Pickup',
+};
+
+const emptyRate = { upTo: '', price: '' };
+
+const emptyMethod = (code) => ({
+  enabled: code === 'standard',
+  name: DEFAULT_METHOD_NAMES[code],
+  rateBasis: 'weight',
+  minDays: '',
+  maxDays: '',
+  rates: [{ ...emptyRate }],
+});
+
+const emptyForm = {
+  name: '',
+  countries: '',
+  isDefault: false,
+  isActive: true,
+  methods: Object.fromEntries(SHIPPING_METHOD_OPTIONS.map((option) => [option.value, emptyMethod(option.value)])),
+};
+
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+// Only enabled methods are sent; an empty "up to" makes the band open-ended
+const buildPayload = (formData) => ({
+  name: formData.name,
+  countries: formData.countries.split(',').map((country) => country.trim()).filter(Boolean),
+  isDefault: formData.isDefault,
+  isActive: formData.isActive,
+  methods: SHIPPING_METHOD_OPTIONS.filter((option) => formData.methods[option.value].enabled).map((option) => {
+    const method = formData.methods[option.value];
+    return {
+      code: option.value,
+      name: method.name,
+      rateBasis: method.rateBasis,
+      minDays: toNumberOrNull(method.minDays),
+      maxDays: toNumberOrNull(method.maxDays),
+      rates: method.rates.map((rate) => ({ upTo: toNumberOrNull(rate.upTo), price: Number(rate.price) })),
+    };
+  }),
+});
+
+const toFormData = (zone) => ({
+  name: zone.name,
+  countries: (zone.countries || []).join(', '),
+  isDefault: zone.isDefault || false,
+  isActive: zone.isActive,
+  methods: Object.fromEntries(
+    SHIPPING_METHOD_OPTIONS.map((option) => {
+      const method = zone.methods?.find((m) => m.code === option.value);
+      if (!method) return [option.value, { ...emptyMethod(option.value), enabled: false }];
+      return [
+        option.value,
+        {
+          enabled: true,
+          name: method.name,
+          rateBasis: method.rateBasis || 'weight',
+          minDays: method.minDays ?? '',
+          maxDays: method.maxDays ?? '',
+          rates: method.rates.map((rate) => ({ upTo: rate.upTo ?? '', price: rate.price })),
+        },
+      ];
+    })
+  ),
+});
+
+const AdminShippingZones = () => {
+  const [zones, setZones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingZone, setEditingZone] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchZones();
+  }, []);
+
+  const fetchZones = async () => {
+    try {
+      const res = await shippingAPI.getZones();
+      setZones(res.data.data || []);
+    } catch (error) {
+      console.error('Error fetching shipping zones:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const updateMethod = (code, changes) => {
+    setFormData({
+      ...formData,
+      methods: { ...formData.methods, [code]: { ...formData.methods[code], ...changes } },
+    });
+  };
+
+  const handleMethodChange = (code) => (e) => {
+    const { name, value, type, checked } = e.target;
+    updateMethod(code, { [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleRateChange = (code, index) => (e) => {
+    const rates = formData.methods[code].rates.map((rate, i) =>
+      i === index ? { ...rate, [e.target.name]: e.target.value } : rate
+    );
+    updateMethod(code, { rates });
+  };
+
+  const addRate = (code) => {
+    updateMethod(code, { rates: [...formData.methods[code].rates, { ...emptyRate }] });
+  };
+
+  const removeRate = (code, index) => {
+    updateMethod(code, { rates: formData.methods[code].rates.filter((_, i) => i !== index) });
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingZone(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = buildPayload(formData);
+      if (editingZone) {
+        await shippingAPI.updateZone(editingZone._id, payload);
+        toast.success('Shipping zone updated successfully');
+      } else {
+        await shippingAPI.createZone(payload);
+        toast.success('Shipping zone created successfully');
+      }
+      closeModal();
+      fetchZones();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Operation failed';
+      toast.error(message);
+    }
+  };
+
+  const handleEdit = (zone) => {
+    setEditingZone(zone);
+    setFormData(toFormData(zone));
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this shipping zone?')) {
+      return;
+    }
+    try {
+      await shippingAPI.deleteZone(id);
+      toast.success('Shipping zone deleted successfully');
+      fetchZones();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete shipping zone';
+      toast.error(message);
+    }
+  };
+
+  const openModal = () => {
+    setEditingZone(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Manage Shipping</h1>
+        <button onClick={openModal} className="btn-primary flex items-center space-x-2">
+          <FiPlus />
+          <span>Add Shipping Zone</span>
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-6">
+        Countries outside every zone use the default zone, or standard shipping at $10 (free over $100) if there is none.
+      </p>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : zones.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-600">No shipping zones yet</p>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Zone
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Countries
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Methods
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {zones.map((zone) => (
+                <tr key={zone._id}>
+                  <td className="px-6 py-4">
+                    <div className="text-sm font-medium text-gray-900">{zone.name}</div>
+                    {zone.isDefault && <div className="text-sm text-gray-500">Default zone</div>}
+                  </td>
+                  <td className="px-6 py-4 text-sm">
+                    {zone.countries?.length ? zone.countries.join(', ') : 'All other countries'}
+                  </td>
+                  <td className="px-6 py-4 text-sm">{zone.methods.map((method) => method.name).join(', ')}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span
+                      className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                        zone.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                      }`}
+                    >
+                      {zone.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleEdit(zone)}
+                        className="text-primary-600 hover:text-primary-900"
+                        aria-label={`Edit shipping zone ${zone.name}`}
+                      >
+                        <FiEdit />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(zone._id)}
+                        className="text-red-600 hover:text-red-900"
+                        aria-label={`Delete shipping zone ${zone.name}`}
+                      >
+                        <FiTrash2 />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h2 className="text-2xl font-bold mb-4">
+                {editingZone ? 'Edit Shipping Zone' : 'Add New Shipping Zone'}
+              </h2>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="zone-name" className="block text-sm font-medium text-gray-700 mb-1">
+                      Name
+                    </label>
+                    <input
+                      id="zone-name"
+                      type="text"
+                      name="name"
+                      required
+                      className="input-field"
+                      value={formData.name}
+                      onChange={handleChange}
+                      placeholder="e.g., Europe"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="zone-countries" className="block text-sm font-medium text-gray-700 mb-1">
+                      Countries
+                    </label>
+                    <input
+                      id="zone-countries"
+                      type="text"
+                      name="countries"
+                      className="input-field uppercase"
+                      value={formData.countries}
+                      onChange={handleChange}
+                      placeholder="FRA, DEU, ESP"
+                    />
+                  </div>
+                </div>
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" name="isDefault" checked={formData.isDefault} onChange={handleChange} />
+                  <span className="text-sm text-gray-700">Default zone for all other countries</span>
+                </label>
+
+                {SHIPPING_METHOD_OPTIONS.map((option) => {
+                  const method = formData.methods[option.value];
+                  const prefix = `zone-${option.value}`;
+                  return (
+                    <fieldset key={option.value} className="border rounded-lg p-4 space-y-3">
+                      <label className="flex items-center space-x-2">
+                        <input
+                          type="checkbox"
+                          name="enabled"
+                          checked={method.enabled}
+                          onChange={handleMethodChange(option.value)}
+                        />
+                        <span className="font-medium">Offer {option.label.toLowerCase()} shipping</span>
+                      </label>
+                      {method.enabled && (
+                        <>
+                          <div className="grid grid-cols-4 gap-4">
+                            <div className="col-span-2">
+                              <label htmlFor={`${prefix}-name`} className="block text-sm font-medium text-gray-700 mb-1">
+                                {option.label} name
+                              </label>
+                              <input
+                                id={`${prefix}-name`}
+                                type="text"
+                                name="name"
+                                required
+                                className="input-field"
+                                value={method.name}
+                                onChange={handleMethodChange(option.value)}
+                              />
+                            </div>
+                            <div>
+                              <label htmlFor={`${prefix}-min-days`} className="block text-sm font-medium text-gray-700 mb-1">
+                                Min days
+                              </label>
+                              <input
+                                id={`${prefix}-min-days`}
+                                type="number"
+                                name="minDays"
+                                min="0"
+                                className="input-field"
+                                value={method.minDays}
+                                onChange={handleMethodChange(option.value)}
+                              />
+                            </div>
+                            <div>
+                              <label htmlFor={`${prefix}-max-days`} className="block text-sm font-medium text-gray-700 mb-1">
+                                Max days
+                              </label>
+                              <input
+                                id={`${prefix}-max-days`}
+                                type="number"
+                                name="maxDays"
+                                min="0"
+                                className="input-field"
+                                value={method.maxDays}
+                                onChange={handleMethodChange(option.value)}
+                              />
+                            </div>
+                          </div>
+                          <div>
+                            <label htmlFor={`${prefix}-basis`} className="block text-sm font-medium text-gray-700 mb-1">
+                              {option.label} rates
+                            </label>
+                            <select
+                              id={`${prefix}-basis`}
+                              name="rateBasis"
+                              className="input-field"
+                              value={method.rateBasis}
+                              onChange={handleMethodChange(option.value)}
+                            >
+                              {RATE_BASIS_OPTIONS.map((basis) => (
+                                <option key={basis.value} value={basis.value}>
+                                  {basis.label}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                          {method.rates.map((rate, index) => (
+                            <div key={index} className="flex items-center space-x-2">
+                              <input
+                                type="number"
+                                name="upTo"
+                                min="0"
+                                step="0.01"
+                                className="input-field"
+                                value={rate.upTo}
+                                onChange={handleRateChange(option.value, index)}
+                                placeholder="Up to (empty for no limit)"
+                                aria-label={`${option.label} rate ${index + 1} up to`}
+                              />
+                              <input
+                                type="number"
+                                name="price"
+                                min="0"
+                                step="0.01"
+                                required
+                                className="input-field"
+                                value={rate.price}
+                                onChange={handleRateChange(option.value, index)}
+                                placeholder="Price"
+                                aria-label={`${option.label} rate ${index + 1} price`}
+                              />
+                              <button
+                                type="button"
+                                onClick={() => removeRate(option.value, index)}
+                                className="text-red-600 hover:text-red-900"
+                                aria-label={`Remove ${option.label} rate ${index + 1}`}
+                              >
+                                <FiX />
+                              </button>
+                            </div>
+                          ))}
+                          <button
+                            type="button"
+                            onClick={() => addRate(option.value)}
+                            className="text-sm text-primary-600 hover:text-primary-700"
+                          >
+                            Add {option.label.toLowerCase()} rate
+                          </button>
+                        </>
+                      )}
+                    </fieldset>
+                  );
+                })}
+
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} />
+                  <span className="text-sm text-gray-700">Active</span>
+                </label>
+                <div className="flex space-x-4">
+                  <button type="submit" className="btn-primary flex-1">
+                    {editingZone ? 'Update' : 'Create'}
+                  </button>
+                  <button type="button" onClick={closeModal} className="btn-secondary flex-1">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminShippingZones;
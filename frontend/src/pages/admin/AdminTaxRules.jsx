@@ -0,0 +1,344 @@
+import { useState, useEffect } from 'react';
+import { taxRuleAPI } from '../../utils/api';
+import { toast } from 'react-toastify';
+import { FiEdit, FiTrash2, FiPlus } from 'react-icons/fi';
+import { TAX_CLASS_OPTIONS, TAX_PRICING_MODE_OPTIONS } from '../../utils/taxClasses';
+
+const emptyForm = {
+  country: '',
+  state: '',
+  name: '',
+  rates: { standard: '', reduced: '' },
+  pricingMode: 'exclusive',
+  isActive: true,
+};
+
+// Zero-rated products are never taxed, so only standard and reduced rates are configurable
+const RATE_CLASSES = TAX_CLASS_OPTIONS.filter((option) => option.value !== 'zero');
+
+// Empty rate inputs are left out so the region falls back to its standard or country rate
+const buildPayload = (formData) => ({
+  country: formData.country.trim(),
+  state: formData.state.trim(),
+  name: formData.name,
+  rates: Object.fromEntries(
+    Object.entries(formData.rates)
+      .filter(([, rate]) => rate !== '')
+      .map(([taxClass, rate]) => [taxClass, Number(rate)])
+  ),
+  pricingMode: formData.pricingMode,
+  isActive: formData.isActive,
+});
+
+const formatRates = (rates = {}) =>
+  RATE_CLASSES.filter((option) => rates[option.value] !== undefined)
+    .map((option) => `${option.label}: ${rates[option.value]}%`)
+    .join(', ') || 'Default rate';
+
+const AdminTaxRules = () => {
+  const [taxRules, setTaxRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchTaxRules();
+  }, []);
+
+  const fetchTaxRules = async () => {
+    try {
+      const res = await taxRuleAPI.getAll();
+      setTaxRules(res.data.data || []);
+    } catch (error) {
+      console.error('Error fetching tax rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleRateChange = (e) => {
+    setFormData({ ...formData, rates: { ...formData.rates, [e.target.name]: e.target.value } });
+  };
+
+  const closeModal = () => {
+    setShowModal(false);
+    setEditingRule(null);
+    setFormData(emptyForm);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = buildPayload(formData);
+      if (editingRule) {
+        await taxRuleAPI.update(editingRule._id, payload);
+        toast.success('Tax rule updated successfully');
+      } else {
+        await taxRuleAPI.create(payload);
+        toast.success('Tax rule created successfully');
+      }
+      closeModal();
+      fetchTaxRules();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Operation failed';
+      toast.error(message);
+    }
+  };
+
+  const handleEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      country: rule.country,
+      state: rule.state || '',
+      name: rule.name || '',
+      rates: {
+        standard: rule.rates?.standard ?? '',
+        reduced: rule.rates?.reduced ?? '',
+      },
+      pricingMode: rule.pricingMode || 'exclusive',
+      isActive: rule.isActive,
+    });
+    setShowModal(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Are you sure you want to delete this tax rule?')) {
+      return;
+    }
+    try {
+      await taxRuleAPI.delete(id);
+      toast.success('Tax rule deleted successfully');
+      fetchTaxRules();
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to delete tax rule';
+      toast.error(message);
+    }
+  };
+
+  const openModal = () => {
+    setEditingRule(null);
+    setFormData(emptyForm);
+    setShowModal(true);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-3xl font-bold">Manage Tax Rules</h1>
+        <button onClick={openModal} className="btn-primary flex items-center space-x-2">
+          <FiPlus />
+          <span>Add Tax Rule</span>
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-6">
+        Orders shipping to a location without a rule are taxed at the default 10% rate.
+      </p>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : taxRules.length === 0 ? (
+        <div className="card text-center py-12">
+          <p className="text-gray-600">No tax rules yet</p>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Location
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Rates
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Pricing
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {taxRules.map((rule) => {
+                const location = rule.state ? `${rule.country} / ${rule.state}` : `${rule.country} (all regions)`;
+                return (
+                  <tr key={rule._id}>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{location}</div>
+                      <div className="text-sm text-gray-500">{rule.name}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm">{formatRates(rule.rates)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {TAX_PRICING_MODE_OPTIONS.find((option) => option.value === rule.pricingMode)?.label}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span
+                        className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                          rule.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                        }`}
+                      >
+                        {rule.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => handleEdit(rule)}
+                          className="text-primary-600 hover:text-primary-900"
+                          aria-label={`Edit tax rule ${location}`}
+                        >
+                          <FiEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(rule._id)}
+                          className="text-red-600 hover:text-red-900"
+                          aria-label={`Delete tax rule ${location}`}
+                        >
+                          <FiTrash2 />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Modal */}
+      {showModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h2 className="text-2xl font-bold mb-4">
+                {editingRule ? 'Edit Tax Rule' : 'Add New Tax Rule'}
+              </h2>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="tax-country" className="block text-sm font-medium text-gray-700 mb-1">
+                      Country
+                    </label>
+                    <input
+                      id="tax-country"
+                      type="text"
+                      name="country"
+                      required
+                      className="input-field uppercase"
+                      value={formData.country}
+                      onChange={handleChange}
+                      placeholder="USA"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="tax-state" className="block text-sm font-medium text-gray-700 mb-1">
+                      State / Region
+                    </label>
+                    <input
+                      id="tax-state"
+                      type="text"
+                      name="state"
+                      className="input-field uppercase"
+                      value={formData.state}
+                      onChange={handleChange}
+                      placeholder="Leave empty for the whole country"
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="tax-name" className="block text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    id="tax-name"
+                    type="text"
+                    name="name"
+                    className="input-field"
+                    value={formData.name}
+                    onChange={handleChange}
+                    placeholder="e.g., New York sales tax"
+                  />
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  {RATE_CLASSES.map((option) => (
+                    <div key={option.value}>
+                      <label
+                        htmlFor={`tax-rate-${option.value}`}
+                        className="block text-sm font-medium text-gray-700 mb-1"
+                      >
+                        {option.label} (%)
+                      </label>
+                      <input
+                        id={`tax-rate-${option.value}`}
+                        type="number"
+                        name={option.value}
+                        step="0.001"
+                        min="0"
+                        max="100"
+                        className="input-field"
+                        value={formData.rates[option.value]}
+                        onChange={handleRateChange}
+                        placeholder="Inherited"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div>
+                  <label htmlFor="tax-pricing-mode" className="block text-sm font-medium text-gray-700 mb-1">
+                    Pricing
+                  </label>
+                  <select
+                    id="tax-pricing-mode"
+                    name="pricingMode"
+                    className="input-field"
+                    value={formData.pricingMode}
+                    onChange={handleChange}
+                  >
+                    {TAX_PRICING_MODE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    checked={formData.isActive}
+                    onChange={handleChange}
+                  />
+                  <span className="text-sm text-gray-700">Active</span>
+                </label>
+                <div className="flex space-x-4">
+                  <button type="submit" className="btn-primary flex-1">
+                    {editingRule ? 'Update' : 'Create'}
+                  </button>
+                  <button type="button" onClick={closeModal} className="btn-secondary flex-1">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminTaxRules;
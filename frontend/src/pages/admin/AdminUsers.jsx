@@ -0,0 +1,341 @@
+import { useState, useEffect } from 'react';
+import { userAPI } from '../../utils/api';
+import { useAuth } from '../../context/AuthContext';
+import { formatOrderStatus, getOrderStatus, getStatusBadgeClass } from '../../utils/orderStatus';
+import { USER_ROLES, PERMISSIONS, formatRole } from '../../utils/permissions';
+import { toast } from 'react-toastify';
+import { FiUsers, FiSearch, FiX } from 'react-icons/fi';
+
+const PAGE_SIZE = 20;
+const EMPTY_FILTERS = { search: '', role: '', status: '' };
+
+const isActive = (user) => user.isActive !== false;
+
+const AdminUsers = () => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const canManage = hasPermission(PERMISSIONS.USERS_MANAGE);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [query, setQuery] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [query, page]);
+
+  const fetchUsers = async () => {
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(query).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const res = await userAPI.getAll(params);
+      setUsers(res.data.data || []);
+      setPages(res.data.pages || 1);
+      setTotal(res.data.total || 0);
+    } catch (error) {
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(filters);
+  };
+
+  const isSelf = (user) => String(user._id) === String(currentUser?.id);
+
+  const replaceUser = (updated) => {
+    setUsers((prev) => prev.map((u) => (u._id === updated._id ? { ...u, ...updated } : u)));
+    setSelected((prev) => (prev && prev.user._id === updated._id ? { ...prev, user: { ...prev.user, ...updated } } : prev));
+  };
+
+  const handleRoleChange = async (user, role) => {
+    setUpdatingId(user._id);
+    try {
+      const res = await userAPI.updateRole(user._id, role);
+      replaceUser(res.data.data);
+      toast.success(`${user.name} is now ${formatRole(role)}`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update role';
+      toast.error(message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleToggleActive = async (user) => {
+    const enable = !isActive(user);
+    if (!enable && !window.confirm(`Disable ${user.name}? They will be signed out and unable to log in.`)) {
+      return;
+    }
+    setUpdatingId(user._id);
+    try {
+      const res = await userAPI.updateStatus(user._id, enable);
+      replaceUser(res.data.data);
+      toast.success(enable ? `${user.name} enabled` : `${user.name} disabled`);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update account';
+      toast.error(message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleView = async (user) => {
+    try {
+      const [detailsRes, ordersRes] = await Promise.all([
+        userAPI.getById(user._id),
+        userAPI.getOrders(user._id),
+      ]);
+      setSelected({ ...detailsRes.data.data, orders: ordersRes.data.data || [] });
+    } catch (error) {
+      toast.error('Failed to load customer details');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <h1 className="text-3xl font-bold mb-6 flex items-center">
+        <FiUsers className="mr-2" />
+        Manage Users
+      </h1>
+
+      <form onSubmit={handleSearch} className="card mb-6 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div className="md:col-span-2">
+          <label htmlFor="user-search" className="block text-sm font-medium text-gray-700 mb-1">
+            Search
+          </label>
+          <input
+            id="user-search"
+            name="search"
+            type="text"
+            className="input-field"
+            placeholder="Name or email"
+            value={filters.search}
+            onChange={handleFilterChange}
+          />
+        </div>
+        <div>
+          <label htmlFor="user-role" className="block text-sm font-medium text-gray-700 mb-1">
+            Role
+          </label>
+          <select id="user-role" name="role" className="input-field" value={filters.role} onChange={handleFilterChange}>
+            <option value="">All roles</option>
+            {USER_ROLES.map((role) => (
+              <option key={role} value={role}>
+                {formatRole(role)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex gap-2 items-end">
+          <div className="flex-1">
+            <label htmlFor="user-status" className="block text-sm font-medium text-gray-700 mb-1">
+              Status
+            </label>
+            <select id="user-status" name="status" className="input-field" value={filters.status} onChange={handleFilterChange}>
+              <option value="">All</option>
+              <option value="active">Active</option>
+              <option value="disabled">Disabled</option>
+            </select>
+          </div>
+          <button type="submit" className="btn-primary flex items-center" aria-label="Search users">
+            <FiSearch />
+          </button>
+        </div>
+      </form>
+
+      {selected && (
+        <div className="card mb-6">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 className="text-xl font-bold">{selected.user.name}</h2>
+              <p className="text-gray-600">{selected.user.email}</p>
+            </div>
+            <button
+              type="button"
+              onClick={() => setSelected(null)}
+              className="text-gray-500 hover:text-gray-700"
+              aria-label="Close customer details"
+            >
+              <FiX />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+            <div>
+              <p className="text-sm text-gray-600">Orders</p>
+              <p className="text-2xl font-bold">{selected.summary.orderCount}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Lifetime spend</p>
+              <p className="text-2xl font-bold">${selected.summary.lifetimeSpend.toFixed(2)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">Last order</p>
+              <p className="text-2xl font-bold">
+                {selected.summary.lastOrderAt ? new Date(selected.summary.lastOrderAt).toLocaleDateString() : 'Never'}
+              </p>
+            </div>
+          </div>
+          {selected.orders.length === 0 ? (
+            <p className="text-gray-600">No orders yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {selected.orders.map((order) => (
+                <li key={order._id} className="py-2 flex justify-between items-center text-sm">
+                  <span className="font-medium">#{order._id.slice(-8)}</span>
+                  <span className="text-gray-500">{new Date(order.createdAt).toLocaleDateString()}</span>
+                  <span className={`px-2 py-1 text-xs rounded-full ${getStatusBadgeClass(getOrderStatus(order))}`}>
+                    {formatOrderStatus(getOrderStatus(order))}
+                  </span>
+                  <span className="font-medium">${order.totalPrice.toFixed(2)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {users.length === 0 ? (
+        <div className="text-center py-12">
+          <FiUsers className="text-6xl text-gray-300 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold mb-2">No users found</h2>
+        </div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Name
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Email
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Joined
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Role
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map((user) => (
+                <tr key={user._id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">{user.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{user.email}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'N/A'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    {canManage ? (
+                      <select
+                        className="input-field py-1"
+                        value={user.role}
+                        disabled={isSelf(user) || updatingId === user._id}
+                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                        aria-label={`Role for ${user.email}`}
+                      >
+                        {USER_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {formatRole(role)}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      formatRole(user.role)
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span
+                      className={`px-2 py-1 text-xs rounded-full ${
+                        isActive(user) ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                      }`}
+                    >
+                      {isActive(user) ? 'Active' : 'Disabled'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm space-x-3">
+                    <button
+                      type="button"
+                      onClick={() => handleView(user)}
+                      className="text-primary-600 hover:text-primary-700"
+                      aria-label={`View ${user.email}`}
+                    >
+                      View
+                    </button>
+                    {canManage && !isSelf(user) && (
+                      <button
+                        type="button"
+                        onClick={() => handleToggleActive(user)}
+                        disabled={updatingId === user._id}
+                        className={isActive(user) ? 'text-red-600 hover:text-red-700' : 'text-green-600 hover:text-green-700'}
+                        aria-label={`${isActive(user) ? 'Disable' : 'Enable'} ${user.email}`}
+                      >
+                        {isActive(user) ? 'Disable' : 'Enable'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex justify-between items-center pt-4 text-sm text-gray-600">
+            <span>
+              {total} {total === 1 ? 'user' : 'users'} - page {page} of {Math.max(pages, 1)}
+            </span>
+            <div className="space-x-2">
+              <button
+                type="button"
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                type="button"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,25 @@
+// Postal address helpers shared by checkout, the address book and order pages
+
+export const ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode', 'country'];
+
+export const EMPTY_ADDRESS = { street: '', city: '', state: '', zipCode: '', country: '' };
+
+// Only the postal fields, e.g. to copy a saved address into a form
+export const pickAddress = (address = {}) =>
+  Object.fromEntries(ADDRESS_FIELDS.map((field) => [field, address[field] || '']));
+
+export const isAddressComplete = (address = {}) =>
+  ADDRESS_FIELDS.every((field) => String(address[field] || '').trim());
+
+export const isSameAddress = (a = {}, b = {}) =>
+  ADDRESS_FIELDS.every((field) => String(a[field] || '').trim() === String(b[field] || '').trim());
+
+// e.g. "123 Main St, New York, NY 10001, USA"
+export const formatAddress = (address = {}) =>
+  [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' '), address.country]
+    .filter(Boolean)
+    .join(', ');
+
+// Option text for a saved address picker
+export const formatSavedAddress = (address) =>
+  address.label ? `${address.label} - ${formatAddress(address)}` : formatAddress(address);
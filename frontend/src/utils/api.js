@@ -23,16 +23,64 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// Requests whose 401 means bad credentials rather than an expired access token
+const SKIP_REFRESH_URLS = ['/users/login', '/users/login/2fa', '/users/register', '/users/refresh'];
+
+// Concurrent 401s share one refresh call so the refresh token is only rotated once
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = api.post('/users/refresh', { refreshToken: localStorage.getItem('refreshToken') })
+      .then((res) => {
+        const { token, refreshToken } = res.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Response interceptor: renew an expired access token once, then retry the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status !== 401) {
+      return Promise.reject(error);
+    }
+
+    const canRefresh = originalRequest
+      && !originalRequest._retry
+      && !SKIP_REFRESH_URLS.includes(originalRequest.url)
+      && localStorage.getItem('refreshToken');
+
+    if (!canRefresh) {
+      endSession();
+      return Promise.reject(error);
+    }
+
+    originalRequest._retry = true;
+    try {
+      const token = await refreshAccessToken();
+      originalRequest.headers.Authorization = `Bearer ${token}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      endSession();
+      return Promise.reject(refreshError);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -40,8 +88,42 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/users/register', data),
   login: (data) => api.post('/users/login', data),
+  verifyTwoFactor: (data) => api.post('/users/login/2fa', data),
   getProfile: () => api.get('/users/profile'),
-  logout: () => api.post('/users/logout'),
+  logout: (refreshToken) => api.post('/users/logout', { refreshToken }),
+  forgotPassword: (email) => api.post('/users/forgot-password', { email }),
+  resetPassword: (data) => api.post('/users/reset-password', data),
+  verifyEmail: (token) => api.get('/users/verify-email', { params: { token } }),
+  unlockAccount: (token) => api.get('/users/unlock-account', { params: { token } }),
+  resendVerification: () => api.post('/users/resend-verification'),
+  updateProfile: (data) => api.put('/users/profile', data),
+  changePassword: (data) => api.put('/users/password', data),
+  deleteAccount: (password) => api.delete('/users/me', { data: { password } }),
+};
+
+// Two-factor authentication API
+export const twoFactorAPI = {
+  setup: () => api.post('/users/2fa/setup'),
+  enable: (code) => api.post('/users/2fa/enable', { code }),
+  disable: (data) => api.post('/users/2fa/disable', data),
+  regenerateBackupCodes: (code) => api.post('/users/2fa/backup-codes', { code }),
+};
+
+// Address book API
+export const addressAPI = {
+  getAll: () => api.get('/users/addresses'),
+  create: (data) => api.post('/users/addresses', data),
+  update: (id, data) => api.put(`/users/addresses/${id}`, data),
+  delete: (id) => api.delete(`/users/addresses/${id}`),
+};
+
+// User management API (admin)
+export const userAPI = {
+  getAll: (params) => api.get('/users', { params }),
+  getById: (id) => api.get(`/users/${id}`),
+  getOrders: (id) => api.get(`/users/${id}/orders`),
+  updateRole: (id, role) => api.put(`/users/${id}/role`, { role }),
+  updateStatus: (id, isActive) => api.put(`/users/${id}/status`, { isActive }),
 };
 
 // Product API
@@ -54,23 +136,69 @@ export const productAPI = {
   create: (data) => api.post('/products', data),
   update: (id, data) => api.put(`/products/${id}`, data),
   delete: (id) => api.delete(`/products/${id}`),
+  // formData carries the files under "images" and one "alt" text per file
+  uploadImages: (id, formData) =>
+    api.post(`/products/${id}/images`, formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
+  updateImages: (id, images) => api.put(`/products/${id}/images`, { images }),
+  deleteImage: (id, imageId) => api.delete(`/products/${id}/images/${imageId}`),
 };
 
 // Cart API
 export const cartAPI = {
   getCart: () => api.get('/cart'),
+  getAvailability: () => api.get('/cart/availability'),
   addItem: (data) => api.post('/cart/items', data),
-  updateItem: (productId, quantity) => api.put(`/cart/items/${productId}`, { quantity }),
-  removeItem: (productId) => api.delete(`/cart/items/${productId}`),
+  merge: (items) => api.post('/cart/merge', { items }),
+  updateItem: (productId, quantity, variantId = null) =>
+    api.put(`/cart/items/${productId}`, { quantity, ...(variantId && { variantId }) }),
+  removeItem: (productId, variantId = null) =>
+    api.delete(`/cart/items/${productId}`, variantId ? { params: { variantId } } : undefined),
   clearCart: () => api.delete('/cart'),
+  getCoupon: () => api.get('/cart/coupon'),
+  applyCoupon: (code) => api.post('/cart/coupon', { code }),
+  removeCoupon: () => api.delete('/cart/coupon'),
+};
+
+// Coupon API (admin)
+export const couponAPI = {
+  getAll: () => api.get('/coupons'),
+  create: (data) => api.post('/coupons', data),
+  update: (id, data) => api.put(`/coupons/${id}`, data),
+  delete: (id) => api.delete(`/coupons/${id}`),
+};
+
+// Tax rules API (admin)
+export const taxRuleAPI = {
+  getAll: () => api.get('/tax-rules'),
+  create: (data) => api.post('/tax-rules', data),
+  update: (id, data) => api.put(`/tax-rules/${id}`, data),
+  delete: (id) => api.delete(`/tax-rules/${id}`),
+};
+
+export const shippingAPI = {
+  quote: (params) => api.get('/shipping/quote', { params }),
+  getZones: () => api.get('/shipping/zones'),
+  createZone: (data) => api.post('/shipping/zones', data),
+  updateZone: (id, data) => api.put(`/shipping/zones/${id}`, data),
+  deleteZone: (id) => api.delete(`/shipping/zones/${id}`),
 };
 
 // Order API
 export const orderAPI = {
   create: (data) => api.post('/orders', data),
+  quote: (data) => api.post('/orders/quote', data),
+  createGuest: (data) => api.post('/orders/guest', data),
+  quoteGuest: (data) => api.post('/orders/guest/quote', data),
+  getGuestOrder: (id, token) => api.get(`/orders/guest/${id}`, { params: { token } }),
+  claimGuestOrder: (id, token) => api.post(`/orders/guest/${id}/claim`, { token }),
   getUserOrders: () => api.get('/orders/my-orders'),
   getById: (id) => api.get(`/orders/${id}`),
-  updatePayment: (id, data) => api.put(`/orders/${id}/payment`, data),
+  updateStatus: (id, data) => api.put(`/orders/${id}/status`, data),
+  cancel: (id, reason) => api.post(`/orders/${id}/cancel`, { reason }),
+  refund: (id, data) => api.post(`/orders/${id}/refunds`, data),
+  confirmPayment: (id, data) => api.post(`/orders/${id}/confirm-payment`, data),
+  createShipment: (id, data) => api.post(`/orders/${id}/shipments`, data),
+  markShipmentDelivered: (id, shipmentId) => api.post(`/orders/${id}/shipments/${shipmentId}/deliver`),
   getAll: () => api.get('/orders'),
   getAnalytics: (params) => api.get('/orders/analytics/sales', { params }),
   getSalesByCategory: (params) => api.get('/orders/analytics/category', { params }),
@@ -0,0 +1,46 @@
+// Items added before signing in are kept in the browser and merged into the account cart on login
+// Each item is { product, variant, quantity }, with variant the chosen variant id for products sold in options
+const GUEST_CART_KEY = 'guestCart';
+
+export const getGuestItems = () => {
+  try {
+    const items = JSON.parse(localStorage.getItem(GUEST_CART_KEY));
+    return Array.isArray(items) ? items.filter((item) => item?.product?._id && item.quantity > 0) : [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveGuestItems = (items) => {
+  if (items.length === 0) {
+    localStorage.removeItem(GUEST_CART_KEY);
+    return;
+  }
+  localStorage.setItem(GUEST_CART_KEY, JSON.stringify(items));
+};
+
+export const clearGuestItems = () => {
+  localStorage.removeItem(GUEST_CART_KEY);
+};
+
+// Only what the cart page needs is stored; the server re-checks price and stock on merge
+export const toGuestProduct = (product) => ({
+  _id: product._id,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  image: product.image,
+  stock: product.stock,
+  options: product.options || [],
+  variants: (product.variants || []).map((variant) => ({
+    _id: variant._id,
+    sku: variant.sku,
+    attributes: variant.attributes,
+    price: variant.price,
+    stock: variant.stock,
+    image: variant.image,
+  })),
+});
+
+// Shaped like the server cart so pages can render either one
+export const toGuestCart = (items) => (items.length > 0 ? { items } : null);
@@ -0,0 +1,86 @@
+// Order lifecycle helpers (mirrors backend/src/utils/orderStatus.js)
+import { isCardPayment } from './paymentMethods';
+
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
+// Cash on delivery orders are fulfilled before they are paid
+const PAYMENT_METHOD_TRANSITIONS = {
+  'Cash on Delivery': { pending: ['processing', 'cancelled'] },
+};
+
+// Customers may cancel until the order ships
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'paid', 'processing'];
+
+const STATUS_BADGE_CLASSES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-blue-100 text-blue-800',
+  processing: 'bg-indigo-100 text-indigo-800',
+  shipped: 'bg-purple-100 text-purple-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800',
+  refunded: 'bg-gray-100 text-gray-800',
+};
+
+export const getOrderStatus = (order) => order?.status || 'pending';
+
+export const getAllowedTransitions = (status, paymentMethod) => {
+  const current = status || 'pending';
+  const overrides = PAYMENT_METHOD_TRANSITIONS[paymentMethod] || {};
+  return overrides[current] || ORDER_STATUS_TRANSITIONS[current] || [];
+};
+
+// Statuses an admin can pick directly: card payments are marked paid by the payment provider,
+// manual payments by confirming them, and refunds go through the refund action so money moves
+const NON_ADMIN_STATUSES = ['paid', 'refunded'];
+
+export const getAdminStatusOptions = (order) =>
+  getAllowedTransitions(getOrderStatus(order), order?.paymentMethod)
+    .filter((status) => !NON_ADMIN_STATUSES.includes(status));
+
+export const formatOrderStatus = (status) => {
+  const value = status || 'pending';
+  return value.charAt(0).toUpperCase() + value.slice(1);
+};
+
+export const getStatusBadgeClass = (status) => STATUS_BADGE_CLASSES[status] || STATUS_BADGE_CLASSES.pending;
+
+// Orders placed before status history was recorded only have their creation date
+export const getOrderTimeline = (order) => [
+  { status: 'placed', label: 'Order placed', date: order.createdAt, note: '' },
+  ...(order.statusHistory || []).map((entry) => ({
+    status: entry.status,
+    label: formatOrderStatus(entry.status),
+    date: entry.changedAt,
+    note: entry.note || '',
+  })),
+];
+
+// Processing orders ship in one or more parcels until every unit has left the warehouse
+export const canCreateShipment = (order) => {
+  const status = getOrderStatus(order);
+  if (status === 'processing') return true;
+  if (status !== 'shipped') return false;
+  const shipped = (order.shipments || []).flatMap((shipment) => shipment.items || [])
+    .reduce((total, item) => total + item.quantity, 0);
+  const ordered = (order.orderItems || []).reduce((total, item) => total + item.quantity, 0);
+  return shipped < ordered;
+};
+
+// Shipments an admin can still mark as delivered
+export const getUndeliveredShipments = (order) => (order?.shipments || []).filter((shipment) => !shipment.deliveredAt);
+
+// Paid card orders are refunded on cancellation; money paid any other way is returned by an admin
+export const canCustomerCancel = (order) =>
+  CUSTOMER_CANCELLABLE_STATUSES.includes(getOrderStatus(order)) && (!order.isPaid || isCardPayment(order.paymentMethod));
+
+// A paid order that was cancelled but not refunded in full, e.g. when its automatic refund failed
+export const isRefundDue = (order) =>
+  getOrderStatus(order) === 'cancelled' && order.isPaid && (order.totalRefunded || 0) < order.totalPrice - 0.01;
@@ -0,0 +1,44 @@
+// Payment method helpers (mirrors backend/src/utils/paymentMethods.js)
+
+export const PAYMENT_METHOD_OPTIONS = [
+  {
+    value: 'Credit Card',
+    label: 'Credit Card',
+    description: 'Pay securely online now.',
+  },
+  {
+    value: 'Debit Card',
+    label: 'Debit Card',
+    description: 'Pay securely online now.',
+  },
+  {
+    value: 'Cash on Delivery',
+    label: 'Cash on Delivery',
+    description: 'Pay the courier in cash when your order arrives.',
+  },
+  {
+    value: 'Bank Transfer',
+    label: 'Bank Transfer',
+    description: 'Transfer the total using the reference shown after checkout. We ship once it arrives.',
+  },
+];
+
+const CARD_PAYMENT_METHODS = ['Credit Card', 'Debit Card'];
+
+export const isCardPayment = (method) => CARD_PAYMENT_METHODS.includes(method);
+
+export const isCashOnDelivery = (method) => method === 'Cash on Delivery';
+
+export const isBankTransfer = (method) => method === 'Bank Transfer';
+
+export const getPaymentMethodDescription = (method) =>
+  PAYMENT_METHOD_OPTIONS.find((option) => option.value === method)?.description || '';
+
+// Admin can confirm an unpaid manual payment once money has arrived
+export const canConfirmManualPayment = (order) => {
+  if (!order || order.isPaid) return false;
+  const status = order.status || 'pending';
+  if (isBankTransfer(order.paymentMethod)) return status === 'pending';
+  if (isCashOnDelivery(order.paymentMethod)) return ['shipped', 'delivered'].includes(status);
+  return false;
+};
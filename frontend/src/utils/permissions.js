@@ -0,0 +1,50 @@
+// Role and permission helpers (mirrors backend/src/utils/userRoles.js)
+
+export const PERMISSIONS = {
+  PRODUCTS_WRITE: 'products:write',
+  COUPONS_WRITE: 'coupons:write',
+  TAXES_WRITE: 'taxes:write',
+  SHIPPING_WRITE: 'shipping:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_FULFIL: 'orders:fulfil',
+  ORDERS_REFUND: 'orders:refund',
+  PAYMENTS_CONFIRM: 'payments:confirm',
+  ANALYTICS_READ: 'analytics:read',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+};
+
+export const ROLE_PERMISSIONS = {
+  customer: [],
+  catalog_manager: [PERMISSIONS.PRODUCTS_WRITE, PERMISSIONS.COUPONS_WRITE],
+  fulfilment: [PERMISSIONS.ORDERS_READ, PERMISSIONS.ORDERS_FULFIL, PERMISSIONS.SHIPPING_WRITE],
+  support: [PERMISSIONS.ORDERS_READ, PERMISSIONS.USERS_READ],
+  finance: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_REFUND,
+    PERMISSIONS.PAYMENTS_CONFIRM,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.TAXES_WRITE,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+export const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const ROLE_LABELS = {
+  customer: 'Customer',
+  catalog_manager: 'Catalog manager',
+  fulfilment: 'Fulfilment',
+  support: 'Support',
+  finance: 'Finance',
+  admin: 'Admin',
+};
+
+export const formatRole = (role) => ROLE_LABELS[role] || role;
+
+export const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+// Staff are users with at least one permission, so they can open the admin section
+export const isStaffRole = (role) => getPermissions(role).length > 0;
@@ -0,0 +1,20 @@
+// Order pricing preview (mirrors backend/src/utils/pricing.js)
+// Shipping and tax depend on the shipping address, so they come from the checkout quote rather than this estimate
+
+// Items less the coupon discount; shippingPrice and taxPrice stay undefined until the address is quoted
+export const calculateOrderSummary = (itemsPrice, coupon = null) => {
+  const applied = coupon?.valid !== false ? coupon : null;
+  const discountPrice = Math.min(applied?.discount || 0, itemsPrice);
+  const totalPrice = itemsPrice - discountPrice;
+
+  return { itemsPrice, discountPrice, totalPrice };
+};
+
+// Label for the tax line of a quote or order
+export const getTaxLabel = (pricing) => (pricing?.taxPricingMode === 'inclusive' ? 'Tax (included)' : 'Tax');
+
+// Shipping line value: not yet quoted, free, or the charge
+export const formatShippingPrice = (shippingPrice) => {
+  if (shippingPrice === undefined) return 'Enter your address';
+  return shippingPrice === 0 ? 'Free' : `$${shippingPrice.toFixed(2)}`;
+};
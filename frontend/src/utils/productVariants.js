@@ -0,0 +1,58 @@
+// Product variants (mirrors backend/src/utils/productVariants.js)
+// Each combination of option values (e.g. size and colour) is its own SKU with its own stock,
+// and optionally its own price and image
+
+export const hasVariants = (product) => Array.isArray(product?.variants) && product.variants.length > 0;
+
+export const findVariant = (product, variantId) => {
+  if (!variantId) return null;
+  return product?.variants?.find((variant) => variant._id === variantId) || null;
+};
+
+// Units a product, or the chosen variant of it, has left to sell
+export const getAvailableStock = (product, variantId = null) => {
+  if (!hasVariants(product)) return product?.stock ?? 0;
+  return findVariant(product, variantId)?.stock ?? 0;
+};
+
+// Unit price of a cart line: the chosen variant's price when it overrides the product's
+export const getUnitPrice = (item) => findVariant(item.product, item.variant)?.price ?? item.product?.price ?? 0;
+
+// Identifies a cart line; two variants of one product are separate lines
+export const getLineKey = (item) => {
+  const productId = item.product?._id || item.product;
+  return item.variant ? `${productId}:${item.variant}` : productId;
+};
+
+// Chosen values in option order, e.g. "M / Red"
+export const describeVariant = (product, variant) => {
+  const attributes = variant?.attributes || {};
+  return (product?.options || [])
+    .map((option) => attributes[option.name])
+    .filter(Boolean)
+    .join(' / ');
+};
+
+// The variant sold for a full choice of option values, if there is one
+export const findVariantBySelection = (product, selection) => {
+  return (
+    product.variants.find((variant) =>
+      product.options.every((option) => variant.attributes?.[option.name] === selection[option.name])
+    ) || null
+  );
+};
+
+// Whether picking this value, alongside the other values already chosen, leads to a variant in stock
+export const isValueAvailable = (product, selection, optionName, value) => {
+  return product.variants.some(
+    (variant) =>
+      variant.stock > 0 &&
+      variant.attributes?.[optionName] === value &&
+      product.options.every(
+        (option) =>
+          option.name === optionName ||
+          !selection[option.name] ||
+          variant.attributes?.[option.name] === selection[option.name]
+      )
+  );
+};
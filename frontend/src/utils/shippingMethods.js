@@ -0,0 +1,25 @@
+// Shipping methods and rate tables (mirrors backend/src/utils/shippingMethods.js)
+
+export const SHIPPING_METHOD_OPTIONS = [
+  { value: 'standard', label: 'Standard' },
+  { value: 'express', label: 'Express' },
+  { value: 'pickup', label: 'Pickup' },
+];
+
+export const RATE_BASIS_OPTIONS = [
+  { value: 'weight', label: 'By weight (kg)' },
+  { value: 'price', label: 'By order subtotal ($)' },
+];
+
+// e.g. "3-5 business days"; empty when the method has no estimate
+export const formatDeliveryEstimate = ({ minDays, maxDays } = {}) => {
+  if (minDays == null && maxDays == null) return '';
+  if (minDays == null || maxDays == null || minDays === maxDays) {
+    const days = minDays ?? maxDays;
+    return `${days} business day${days === 1 ? '' : 's'}`;
+  }
+  return `${minDays}-${maxDays} business days`;
+};
+
+// Carriers with a tracking page on the backend; any other carrier name is accepted too
+export const SHIPPING_CARRIERS = ['UPS', 'FedEx', 'USPS', 'DHL'];
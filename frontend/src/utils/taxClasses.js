@@ -0,0 +1,12 @@
+// Product tax classes (mirrors backend/src/utils/taxClasses.js)
+
+export const TAX_CLASS_OPTIONS = [
+  { value: 'standard', label: 'Standard rate' },
+  { value: 'reduced', label: 'Reduced rate' },
+  { value: 'zero', label: 'Zero rated' },
+];
+
+export const TAX_PRICING_MODE_OPTIONS = [
+  { value: 'exclusive', label: 'Tax added at checkout' },
+  { value: 'inclusive', label: 'Prices include tax' },
+];
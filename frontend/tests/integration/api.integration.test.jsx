@@ -44,7 +44,6 @@ vi.mock('../../src/utils/api', () => ({
     create: vi.fn(),
     getUserOrders: vi.fn(),
     getById: vi.fn(),
-    updatePayment: vi.fn(),
     getAll: vi.fn(),
     getAnalytics: vi.fn(),
     getSalesByCategory: vi.fn(),
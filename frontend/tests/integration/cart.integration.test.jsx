@@ -12,6 +12,7 @@ import { createMockResponse, createMockError } from './setup';
 vi.mock('../../src/utils/api', () => ({
   cartAPI: {
     getCart: vi.fn(),
+    getAvailability: vi.fn(),
     addItem: vi.fn(),
     updateItem: vi.fn(),
     removeItem: vi.fn(),
@@ -78,6 +79,7 @@ describe('Cart Flow Integration Tests', () => {
     cartAPI.getCart.mockResolvedValue(
       createMockResponse({ _id: 'cart123', items: [] })
     );
+    cartAPI.getAvailability.mockResolvedValue(createMockResponse([]));
   });
 
   describe('Cart Context Integration', () => {
@@ -233,7 +235,7 @@ describe('Cart Flow Integration Tests', () => {
       await userEvent.click(updateButton);
 
       await waitFor(() => {
-        expect(cartAPI.updateItem).toHaveBeenCalledWith('product1', 3);
+        expect(cartAPI.updateItem).toHaveBeenCalledWith('product1', 3, null);
       });
 
       await waitFor(() => {
@@ -288,7 +290,7 @@ describe('Cart Flow Integration Tests', () => {
       await userEvent.click(removeButton);
 
       await waitFor(() => {
-        expect(cartAPI.removeItem).toHaveBeenCalledWith('product1');
+        expect(cartAPI.removeItem).toHaveBeenCalledWith('product1', null);
       });
 
       await waitFor(() => {
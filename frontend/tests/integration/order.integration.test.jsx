@@ -15,7 +15,6 @@ vi.mock('../../src/utils/api', () => ({
     create: vi.fn(),
     getUserOrders: vi.fn(),
     getById: vi.fn(),
-    updatePayment: vi.fn(),
     getAll: vi.fn(),
     getAnalytics: vi.fn(),
     getSalesByCategory: vi.fn(),
@@ -36,6 +35,9 @@ vi.mock('../../src/utils/api', () => ({
   authAPI: {
     getProfile: vi.fn(),
   },
+  addressAPI: {
+    getAll: vi.fn(() => Promise.resolve({ data: { data: [] } })),
+  },
 }));
 
 import { orderAPI, cartAPI, paymentAPI, authAPI } from '../../src/utils/api';
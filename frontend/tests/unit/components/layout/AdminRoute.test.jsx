@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
-import { BrowserRouter } from 'react-router-dom';
+import { BrowserRouter, MemoryRouter, Routes, Route } from 'react-router-dom';
 import AdminRoute from '../../../../src/components/layout/AdminRoute.jsx';
 import { useAuth } from '../../../../src/context/AuthContext';
 
@@ -22,7 +22,8 @@ describe('AdminRoute', () => {
     useAuth.mockReturnValue({
       user: { id: '123', role: 'admin' },
       loading: false,
-      isAdmin: true
+      isStaff: true,
+      hasPermission: () => true
     });
 
     render(
@@ -44,7 +45,8 @@ describe('AdminRoute', () => {
     useAuth.mockReturnValue({
       user: { id: '123', role: 'customer' },
       loading: false,
-      isAdmin: false
+      isStaff: false,
+      hasPermission: () => false
     });
 
     render(
@@ -67,7 +69,8 @@ describe('AdminRoute', () => {
     useAuth.mockReturnValue({
       user: null,
       loading: false,
-      isAdmin: false
+      isStaff: false,
+      hasPermission: () => false
     });
 
     render(
@@ -90,7 +93,8 @@ describe('AdminRoute', () => {
     useAuth.mockReturnValue({
       user: null,
       loading: true,
-      isAdmin: false
+      isStaff: false,
+      hasPermission: () => false
     });
 
     render(
@@ -104,5 +108,82 @@ describe('AdminRoute', () => {
     // Should show loading spinner (we check that content is not rendered)
     expect(screen.queryByText('Admin Content')).not.toBeInTheDocument();
   });
-});
 
+  it('should render a page for staff with the required permission', () => {
+    useAuth.mockReturnValue({
+      user: { id: '123', role: 'fulfilment' },
+      loading: false,
+      isStaff: true,
+      hasPermission: (permission) => permission === 'orders:read'
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminRoute permission="orders:read">
+          <div>Orders Content</div>
+        </AdminRoute>
+      </BrowserRouter>
+    );
+
+    expect(screen.getByText('Orders Content')).toBeInTheDocument();
+  });
+
+  it('should keep staff out of pages they lack the permission for', () => {
+    useAuth.mockReturnValue({
+      user: { id: '123', role: 'fulfilment' },
+      loading: false,
+      isStaff: true,
+      hasPermission: (permission) => permission === 'orders:read'
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminRoute permission="users:manage">
+          <div>Users Content</div>
+        </AdminRoute>
+      </BrowserRouter>
+    );
+
+    expect(screen.queryByText('Users Content')).not.toBeInTheDocument();
+  });
+
+  it('should send admins who must use two-factor authentication to enrol first', () => {
+    useAuth.mockReturnValue({
+      user: { id: '123', role: 'admin', twoFactorRequired: true, twoFactorEnabled: false },
+      loading: false,
+      isStaff: true,
+      hasPermission: () => true
+    });
+
+    render(
+      <MemoryRouter initialEntries={['/admin']}>
+        <Routes>
+          <Route path="/admin" element={<AdminRoute><div>Admin Content</div></AdminRoute>} />
+          <Route path="/profile/two-factor" element={<div>Two-Factor Setup</div>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(screen.queryByText('Admin Content')).not.toBeInTheDocument();
+    expect(screen.getByText('Two-Factor Setup')).toBeInTheDocument();
+  });
+
+  it('should let enrolled admins in', () => {
+    useAuth.mockReturnValue({
+      user: { id: '123', role: 'admin', twoFactorRequired: true, twoFactorEnabled: true },
+      loading: false,
+      isStaff: true,
+      hasPermission: () => true
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminRoute>
+          <div>Admin Content</div>
+        </AdminRoute>
+      </BrowserRouter>
+    );
+
+    expect(screen.getByText('Admin Content')).toBeInTheDocument();
+  });
+});
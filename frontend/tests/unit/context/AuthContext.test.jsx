@@ -9,6 +9,7 @@ vi.mock('../../../src/utils/api', () => ({
   authAPI: {
     register: vi.fn(),
     login: vi.fn(),
+    verifyTwoFactor: vi.fn(),
     getProfile: vi.fn(),
     logout: vi.fn()
   }
@@ -23,7 +24,7 @@ vi.mock('react-toastify', () => ({
 
 // Test component that uses AuthContext
 const TestComponent = () => {
-  const { user, loading, register, login, logout, isAdmin } = useAuth();
+  const { user, loading, register, login, logout, isAdmin, isStaff, hasPermission } = useAuth();
   
   return (
     <div>
@@ -33,6 +34,8 @@ const TestComponent = () => {
         <div>
           <div data-testid="user">{user ? user.email : 'No user'}</div>
           <div data-testid="isAdmin">{isAdmin ? 'Admin' : 'Not Admin'}</div>
+          <div data-testid="isStaff">{isStaff ? 'Staff' : 'Not Staff'}</div>
+          <div data-testid="canRefund">{hasPermission('orders:refund') ? 'Can refund' : 'Cannot refund'}</div>
           <button onClick={() => register({ name: 'Test', email: 'test@test.com', password: '123456' })}>
             Register
           </button>
@@ -172,7 +175,8 @@ describe('AuthContext', () => {
       data: {
         data: {
           user: { id: '123', email: 'test@test.com' },
-          token: 'jwt-token'
+          token: 'jwt-token',
+          refreshToken: 'refresh-token'
         }
       }
     };
@@ -194,16 +198,82 @@ describe('AuthContext', () => {
     await waitFor(() => {
       expect(authAPI.login).toHaveBeenCalledWith({ email: 'test@test.com', password: '123456' });
       expect(localStorage.getItem('token')).toBe('jwt-token');
+      expect(localStorage.getItem('refreshToken')).toBe('refresh-token');
       expect(toast.success).toHaveBeenCalledWith('Login successful!');
     });
   });
 
+  it('should hand back the pre-auth token and finish the sign-in with a code', async () => {
+    authAPI.login.mockResolvedValue({ data: { data: { twoFactorRequired: true, preAuthToken: 'pre-auth-token' } } });
+    authAPI.verifyTwoFactor.mockResolvedValue({
+      data: { data: { user: { id: '123', email: 'admin@test.com' }, token: 'jwt-token', refreshToken: 'refresh-token' } }
+    });
+    let loginResult, codeResult;
+    const Probe = () => {
+      const { login, completeTwoFactorLogin } = useAuth();
+      return (
+        <>
+          <button onClick={async () => { loginResult = await login('admin@test.com', 'password'); }}>Password</button>
+          <button onClick={async () => { codeResult = await completeTwoFactorLogin('pre-auth-token', '123456'); }}>Code</button>
+        </>
+      );
+    };
+
+    render(
+      <AuthProvider>
+        <Probe />
+      </AuthProvider>
+    );
+
+    await act(async () => {
+      screen.getByText('Password').click();
+    });
+    expect(loginResult).toEqual({ success: false, twoFactorRequired: true, preAuthToken: 'pre-auth-token' });
+    expect(localStorage.getItem('token')).toBeNull();
+
+    await act(async () => {
+      screen.getByText('Code').click();
+    });
+    await waitFor(() => {
+      expect(codeResult).toEqual({ success: true });
+    });
+    expect(authAPI.verifyTwoFactor).toHaveBeenCalledWith({ preAuthToken: 'pre-auth-token', code: '123456' });
+    expect(localStorage.getItem('token')).toBe('jwt-token');
+  });
+
+  it('should leave throttled logins to the login page instead of toasting', async () => {
+    authAPI.login.mockRejectedValueOnce({
+      response: { status: 429, data: { message: 'Your account is locked', retryAfter: 900 } }
+    });
+    let result;
+    const Probe = () => {
+      const { login } = useAuth();
+      return <button onClick={async () => { result = await login('test@test.com', 'wrong'); }}>Try</button>;
+    };
+
+    render(
+      <AuthProvider>
+        <Probe />
+      </AuthProvider>
+    );
+
+    await act(async () => {
+      screen.getByText('Try').click();
+    });
+
+    await waitFor(() => {
+      expect(result).toEqual({ success: false, error: 'Your account is locked', status: 429, retryAfter: 900 });
+    });
+    expect(toast.error).not.toHaveBeenCalled();
+  });
+
   // TDD Evidence:
   // RED: This test failed because logout function did not exist
   // GREEN: After implementing logout function, test passed
   // REFACTOR: Test still passes
   it('should logout user and clear localStorage', async () => {
     localStorage.setItem('token', 'test-token');
+    localStorage.setItem('refreshToken', 'refresh-token');
     localStorage.setItem('user', JSON.stringify({ email: 'test@example.com' }));
     
     authAPI.logout.mockResolvedValue({});
@@ -229,7 +299,9 @@ describe('AuthContext', () => {
     });
 
     await waitFor(() => {
+      expect(authAPI.logout).toHaveBeenCalledWith('refresh-token');
       expect(localStorage.getItem('token')).toBeNull();
+      expect(localStorage.getItem('refreshToken')).toBeNull();
       expect(localStorage.getItem('user')).toBeNull();
       expect(toast.success).toHaveBeenCalledWith('Logged out successfully');
     });
@@ -258,5 +330,26 @@ describe('AuthContext', () => {
       expect(screen.getByTestId('isAdmin')).toHaveTextContent('Admin');
     });
   });
-});
 
+  it('should grant staff roles only the permissions in their matrix entry', async () => {
+    const mockUser = { id: '123', email: 'support@example.com', role: 'support' };
+    localStorage.setItem('token', 'test-token');
+    localStorage.setItem('user', JSON.stringify(mockUser));
+
+    authAPI.getProfile.mockResolvedValue({
+      data: { data: mockUser }
+    });
+
+    render(
+      <AuthProvider>
+        <TestComponent />
+      </AuthProvider>
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('isStaff')).toHaveTextContent(/^Staff$/);
+      expect(screen.getByTestId('isAdmin')).toHaveTextContent('Not Admin');
+      expect(screen.getByTestId('canRefund')).toHaveTextContent('Cannot refund');
+    });
+  });
+});
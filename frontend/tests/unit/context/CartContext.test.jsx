@@ -2,7 +2,7 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { render, screen, waitFor, act } from '@testing-library/react';
 import { CartProvider, useCart } from '../../../src/context/CartContext.jsx';
 import { AuthProvider } from '../../../src/context/AuthContext.jsx';
-import { cartAPI } from '../../../src/utils/api';
+import { cartAPI, productAPI } from '../../../src/utils/api';
 import { toast } from 'react-toastify';
 
 // Mock dependencies
@@ -12,14 +12,22 @@ vi.mock('../../../src/utils/api', () => ({
     addItem: vi.fn(),
     updateItem: vi.fn(),
     removeItem: vi.fn(),
-    clearCart: vi.fn()
+    clearCart: vi.fn(),
+    getCoupon: vi.fn(),
+    applyCoupon: vi.fn(),
+    removeCoupon: vi.fn(),
+    merge: vi.fn()
+  },
+  productAPI: {
+    getById: vi.fn()
   }
 }));
 
 vi.mock('react-toastify', () => ({
   toast: {
     success: vi.fn(),
-    error: vi.fn()
+    error: vi.fn(),
+    info: vi.fn()
   }
 }));
 
@@ -231,7 +239,7 @@ describe('CartContext', () => {
     });
 
     await waitFor(() => {
-      expect(cartAPI.updateItem).toHaveBeenCalledWith('product123', 3);
+      expect(cartAPI.updateItem).toHaveBeenCalledWith('product123', 3, null);
       expect(toast.success).toHaveBeenCalledWith('Cart updated!');
     });
   });
@@ -274,7 +282,7 @@ describe('CartContext', () => {
     });
 
     await waitFor(() => {
-      expect(cartAPI.removeItem).toHaveBeenCalledWith('product123');
+      expect(cartAPI.removeItem).toHaveBeenCalledWith('product123', null);
       expect(toast.success).toHaveBeenCalledWith('Item removed from cart!');
     });
   });
@@ -374,5 +382,284 @@ describe('CartContext', () => {
       expect(screen.getByTestId('cartTotal')).toHaveTextContent('80');
     });
   });
-});
 
+  it('should apply a coupon and load its discount for the cart', async () => {
+    const mockCart = {
+      _id: 'cart123',
+      items: [{ product: { _id: 'product1', price: 50 }, quantity: 2 }]
+    };
+    const coupon = { code: 'SAVE10', discount: 10, freeShipping: false, valid: true };
+    cartAPI.getCart.mockResolvedValue({ data: { data: mockCart } });
+    cartAPI.applyCoupon.mockResolvedValue({
+      data: { data: { cart: { ...mockCart, couponCode: 'SAVE10' }, coupon } }
+    });
+    cartAPI.getCoupon.mockResolvedValue({ data: { data: coupon } });
+
+    const CouponComponent = () => {
+      const { coupon: appliedCoupon, applyCoupon } = useCart();
+      return (
+        <div>
+          <div data-testid="coupon">{appliedCoupon ? appliedCoupon.discount : 'No coupon'}</div>
+          <button onClick={() => applyCoupon('SAVE10')}>Apply Coupon</button>
+        </div>
+      );
+    };
+
+    render(
+      <AuthProvider>
+        <CartProvider>
+          <CouponComponent />
+        </CartProvider>
+      </AuthProvider>
+    );
+
+    await waitFor(() => {
+      expect(cartAPI.getCart).toHaveBeenCalled();
+    });
+    expect(cartAPI.getCoupon).not.toHaveBeenCalled();
+
+    await act(async () => {
+      screen.getByText('Apply Coupon').click();
+    });
+
+    await waitFor(() => {
+      expect(cartAPI.applyCoupon).toHaveBeenCalledWith('SAVE10');
+      expect(screen.getByTestId('coupon')).toHaveTextContent('10');
+    });
+    expect(toast.success).toHaveBeenCalledWith('Coupon applied!');
+  });
+
+  describe('guest cart', () => {
+    const guestProduct = { _id: 'product123', name: 'Mug', price: 12, stock: 3 };
+
+    it('should keep items added while signed out in the browser', async () => {
+      mockUseAuth.mockReturnValue({ user: null, loading: false });
+      productAPI.getById.mockResolvedValue({ data: { data: guestProduct } });
+
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <TestComponent />
+          </CartProvider>
+        </AuthProvider>
+      );
+
+      await act(async () => {
+        screen.getByText('Add to Cart').click();
+      });
+
+      await waitFor(() => {
+        expect(screen.getByTestId('cartItemCount')).toHaveTextContent('2');
+        expect(screen.getByTestId('cartTotal')).toHaveTextContent('24');
+      });
+      expect(cartAPI.addItem).not.toHaveBeenCalled();
+      expect(JSON.parse(localStorage.getItem('guestCart'))).toEqual([
+        { product: expect.objectContaining({ _id: 'product123', price: 12 }), quantity: 2 }
+      ]);
+      expect(toast.success).toHaveBeenCalledWith('Item added to cart!');
+    });
+
+    it('should refuse guest quantities beyond the stock', async () => {
+      mockUseAuth.mockReturnValue({ user: null, loading: false });
+      localStorage.setItem('guestCart', JSON.stringify([{ product: guestProduct, quantity: 2 }]));
+      productAPI.getById.mockResolvedValue({ data: { data: guestProduct } });
+
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <TestComponent />
+          </CartProvider>
+        </AuthProvider>
+      );
+
+      await act(async () => {
+        screen.getByText('Add to Cart').click();
+      });
+
+      expect(toast.error).toHaveBeenCalledWith('Insufficient stock');
+      expect(screen.getByTestId('cartItemCount')).toHaveTextContent('2');
+    });
+
+    it('should merge the guest cart into the account cart after sign in', async () => {
+      mockUseAuth.mockReturnValue({ user: { id: '123' }, loading: false });
+      localStorage.setItem('guestCart', JSON.stringify([{ product: guestProduct, quantity: 2 }]));
+      const mergedCart = { _id: 'cart123', items: [{ product: guestProduct, quantity: 3 }] };
+      cartAPI.merge.mockResolvedValue({
+        data: { data: { cart: mergedCart, adjustments: [] } }
+      });
+
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <TestComponent />
+          </CartProvider>
+        </AuthProvider>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByTestId('cartItemCount')).toHaveTextContent('3');
+      });
+      expect(cartAPI.merge).toHaveBeenCalledWith([{ productId: 'product123', quantity: 2 }]);
+      expect(cartAPI.getCart).not.toHaveBeenCalled();
+      expect(localStorage.getItem('guestCart')).toBeNull();
+      expect(toast.info).not.toHaveBeenCalled();
+    });
+
+    it('should tell the shopper when the merge had to drop or reduce items', async () => {
+      mockUseAuth.mockReturnValue({ user: { id: '123' }, loading: false });
+      localStorage.setItem('guestCart', JSON.stringify([{ product: guestProduct, quantity: 2 }]));
+      cartAPI.merge.mockResolvedValue({
+        data: {
+          data: {
+            cart: { _id: 'cart123', items: [{ product: guestProduct, quantity: 1 }] },
+            adjustments: [{ productId: 'product123', requested: 2, added: 1, reason: 'stock' }]
+          }
+        }
+      });
+
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <TestComponent />
+          </CartProvider>
+        </AuthProvider>
+      );
+
+      await waitFor(() => {
+        expect(toast.info).toHaveBeenCalledWith(
+          'Some items from your guest cart were reduced or removed because they are no longer in stock'
+        );
+      });
+    });
+
+    it('should keep the guest cart and load the account cart when the merge fails', async () => {
+      mockUseAuth.mockReturnValue({ user: { id: '123' }, loading: false });
+      localStorage.setItem('guestCart', JSON.stringify([{ product: guestProduct, quantity: 2 }]));
+      cartAPI.merge.mockRejectedValueOnce(new Error('Network Error'));
+      cartAPI.getCart.mockResolvedValue({ data: { data: { _id: 'cart123', items: [] } } });
+
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <TestComponent />
+          </CartProvider>
+        </AuthProvider>
+      );
+
+      await waitFor(() => {
+        expect(cartAPI.getCart).toHaveBeenCalled();
+      });
+      expect(localStorage.getItem('guestCart')).not.toBeNull();
+    });
+  });
+
+  describe('variants', () => {
+    const tee = {
+      _id: 'tee',
+      name: 'Tee',
+      price: 20,
+      stock: 3,
+      options: [{ name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { _id: 'small', sku: 'TEE-S', attributes: { Size: 'S' }, price: 25, stock: 1 },
+        { _id: 'medium', sku: 'TEE-M', attributes: { Size: 'M' }, stock: 2 }
+      ]
+    };
+
+    const VariantComponent = () => {
+      const { addToCart, updateCartItem, removeFromCart, cartItemCount, cartTotal } = useCart();
+      return (
+        <div>
+          <div data-testid="cartItemCount">{cartItemCount}</div>
+          <div data-testid="cartTotal">{cartTotal}</div>
+          <button onClick={() => addToCart('tee', 1, 'small')}>Add Small</button>
+          <button onClick={() => addToCart('tee', 2, 'medium')}>Add Medium</button>
+          <button onClick={() => updateCartItem('tee', 2, 'small')}>Two Small</button>
+          <button onClick={() => removeFromCart('tee', 'medium')}>Remove Medium</button>
+        </div>
+      );
+    };
+
+    const renderVariants = () =>
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <VariantComponent />
+          </CartProvider>
+        </AuthProvider>
+      );
+
+    it('should keep each variant as its own guest line, priced and stocked per variant', async () => {
+      mockUseAuth.mockReturnValue({ user: null, loading: false });
+      productAPI.getById.mockResolvedValue({ data: { data: tee } });
+
+      renderVariants();
+
+      await act(async () => {
+        screen.getByText('Add Small').click();
+      });
+      await act(async () => {
+        screen.getByText('Add Medium').click();
+      });
+
+      await waitFor(() => {
+        expect(screen.getByTestId('cartItemCount')).toHaveTextContent('3');
+        expect(screen.getByTestId('cartTotal')).toHaveTextContent('65');
+      });
+      expect(JSON.parse(localStorage.getItem('guestCart'))).toEqual([
+        expect.objectContaining({ variant: 'small', quantity: 1 }),
+        expect.objectContaining({ variant: 'medium', quantity: 2 })
+      ]);
+
+      // Only one small is left even though the product has three in total
+      await act(async () => {
+        screen.getByText('Two Small').click();
+      });
+      expect(toast.error).toHaveBeenCalledWith('Insufficient stock');
+
+      await act(async () => {
+        screen.getByText('Remove Medium').click();
+      });
+      expect(screen.getByTestId('cartItemCount')).toHaveTextContent('1');
+    });
+
+    it('should send the chosen variant to the account cart', async () => {
+      mockUseAuth.mockReturnValue({ user: { id: '123' }, loading: false });
+      cartAPI.getCart.mockResolvedValue({ data: { data: { _id: 'cart123', items: [] } } });
+      cartAPI.addItem.mockResolvedValue({
+        data: { data: { _id: 'cart123', items: [{ product: tee, variant: 'small', quantity: 1 }] } }
+      });
+      cartAPI.removeItem.mockResolvedValue({ data: { data: { _id: 'cart123', items: [] } } });
+
+      renderVariants();
+      await waitFor(() => {
+        expect(cartAPI.getCart).toHaveBeenCalled();
+      });
+
+      await act(async () => {
+        screen.getByText('Add Small').click();
+      });
+      expect(cartAPI.addItem).toHaveBeenCalledWith({ productId: 'tee', quantity: 1, variantId: 'small' });
+      expect(screen.getByTestId('cartTotal')).toHaveTextContent('25');
+
+      await act(async () => {
+        screen.getByText('Remove Medium').click();
+      });
+      expect(cartAPI.removeItem).toHaveBeenCalledWith('tee', 'medium');
+    });
+
+    it('should merge guest variants with their variant ids', async () => {
+      mockUseAuth.mockReturnValue({ user: { id: '123' }, loading: false });
+      localStorage.setItem('guestCart', JSON.stringify([{ product: tee, variant: 'medium', quantity: 2 }]));
+      cartAPI.merge.mockResolvedValue({
+        data: { data: { cart: { _id: 'cart123', items: [] }, adjustments: [] } }
+      });
+
+      renderVariants();
+
+      await waitFor(() => {
+        expect(cartAPI.merge).toHaveBeenCalledWith([{ productId: 'tee', variantId: 'medium', quantity: 2 }]);
+      });
+    });
+  });
+});
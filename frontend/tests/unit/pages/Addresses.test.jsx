@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import Addresses from '../../../src/pages/Addresses.jsx';
+import { addressAPI } from '../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../src/utils/api', () => ({
+  addressAPI: {
+    getAll: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const home = {
+  _id: 'a1',
+  label: 'Home',
+  street: '123 Main St',
+  city: 'New York',
+  state: 'NY',
+  zipCode: '10001',
+  country: 'USA',
+  isDefault: true
+};
+
+const office = {
+  _id: 'a2',
+  label: 'Office',
+  street: '1 Office Park',
+  city: 'Boston',
+  state: 'MA',
+  zipCode: '02101',
+  country: 'USA',
+  isDefault: false
+};
+
+describe('Addresses Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    addressAPI.getAll.mockResolvedValue({ data: { data: [home, office] } });
+    window.confirm = vi.fn(() => true);
+  });
+
+  const renderAddresses = () => {
+    render(
+      <BrowserRouter>
+        <Addresses />
+      </BrowserRouter>
+    );
+  };
+
+  it('should list saved addresses with the default marked', async () => {
+    renderAddresses();
+
+    expect(await screen.findByText('123 Main St, New York, NY 10001, USA')).toBeInTheDocument();
+    expect(screen.getByText('Default')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Make default' })).toHaveLength(1);
+  });
+
+  it('should show an empty state when no addresses are saved', async () => {
+    addressAPI.getAll.mockResolvedValue({ data: { data: [] } });
+
+    renderAddresses();
+
+    expect(await screen.findByText(/no saved addresses yet/i)).toBeInTheDocument();
+  });
+
+  it('should save a new address', async () => {
+    addressAPI.create.mockResolvedValue({ data: { data: [home, office] } });
+
+    renderAddresses();
+    fireEvent.click(await screen.findByRole('button', { name: /add address/i }));
+    fireEvent.change(screen.getByLabelText('Label'), { target: { name: 'label', value: 'Cabin' } });
+    fireEvent.change(screen.getByLabelText('Street Address'), { target: { name: 'street', value: '9 Lake Rd' } });
+    fireEvent.change(screen.getByLabelText('City'), { target: { name: 'city', value: 'Tahoe' } });
+    fireEvent.change(screen.getByLabelText('State'), { target: { name: 'state', value: 'CA' } });
+    fireEvent.change(screen.getByLabelText('Zip Code'), { target: { name: 'zipCode', value: '96150' } });
+    fireEvent.change(screen.getByLabelText('Country'), { target: { name: 'country', value: 'USA' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Address' }));
+
+    await waitFor(() => {
+      expect(addressAPI.create).toHaveBeenCalledWith({
+        label: 'Cabin',
+        street: '9 Lake Rd',
+        city: 'Tahoe',
+        state: 'CA',
+        zipCode: '96150',
+        country: 'USA',
+        isDefault: false
+      });
+      expect(toast.success).toHaveBeenCalledWith('Address saved');
+    });
+  });
+
+  it('should make an address the default', async () => {
+    addressAPI.update.mockResolvedValue({
+      data: { data: [{ ...office, isDefault: true }, { ...home, isDefault: false }] }
+    });
+
+    renderAddresses();
+    fireEvent.click(await screen.findByRole('button', { name: 'Make default' }));
+
+    await waitFor(() => {
+      expect(addressAPI.update).toHaveBeenCalledWith('a2', { isDefault: true });
+    });
+  });
+
+  it('should delete an address after confirmation', async () => {
+    addressAPI.delete.mockResolvedValue({ data: { data: [home] } });
+
+    renderAddresses();
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete Office' }));
+
+    await waitFor(() => {
+      expect(addressAPI.delete).toHaveBeenCalledWith('a2');
+      expect(toast.success).toHaveBeenCalledWith('Address deleted');
+    });
+  });
+});
@@ -3,15 +3,23 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import Cart from '../../../src/pages/Cart.jsx';
 import { useCart } from '../../../src/context/CartContext';
+import { cartAPI } from '../../../src/utils/api';
 
 // Mock dependencies
 vi.mock('../../../src/context/CartContext', () => ({
   useCart: vi.fn()
 }));
 
+vi.mock('../../../src/utils/api', () => ({
+  cartAPI: {
+    getAvailability: vi.fn()
+  }
+}));
+
 describe('Cart Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    cartAPI.getAvailability.mockResolvedValue({ data: { data: [] } });
   });
 
   // TDD Evidence:
@@ -173,7 +181,7 @@ describe('Cart Page', () => {
     if (removeBtn) {
       fireEvent.click(removeBtn);
       await waitFor(() => {
-        expect(mockRemoveFromCart).toHaveBeenCalledWith('1');
+        expect(mockRemoveFromCart).toHaveBeenCalledWith('1', undefined);
       });
     } else {
       // Fallback: try clicking the last button that's not increment/decrement
@@ -216,7 +224,256 @@ describe('Cart Page', () => {
       </BrowserRouter>
     );
 
-    expect(screen.getByText(/2000/i)).toBeInTheDocument();
+    // Subtotal and the estimated total both read 2000; shipping and tax are added at checkout
+    expect(screen.getByText('Subtotal').nextSibling).toHaveTextContent('$2000.00');
+    expect(screen.getByText('Estimated Total').nextSibling).toHaveTextContent('$2000.00');
   });
-});
 
+  describe('Coupons', () => {
+    const mockCart = {
+      _id: 'cart123',
+      items: [
+        {
+          product: { _id: '1', name: 'Laptop', price: 50 },
+          quantity: 2
+        }
+      ]
+    };
+
+    it('should apply a coupon code', async () => {
+      const applyCoupon = vi.fn().mockResolvedValue({ success: true });
+      useCart.mockReturnValue({
+        cart: mockCart,
+        coupon: null,
+        loading: false,
+        updateCartItem: vi.fn(),
+        removeFromCart: vi.fn(),
+        applyCoupon,
+        removeCoupon: vi.fn(),
+        cartTotal: 100
+      });
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      fireEvent.change(screen.getByLabelText(/coupon code/i), { target: { value: ' SAVE10 ' } });
+      fireEvent.click(screen.getByRole('button', { name: /apply/i }));
+
+      await waitFor(() => {
+        expect(applyCoupon).toHaveBeenCalledWith('SAVE10');
+      });
+    });
+
+    it('should show the discount and the discounted total', () => {
+      useCart.mockReturnValue({
+        cart: { ...mockCart, couponCode: 'SAVE10' },
+        coupon: { code: 'SAVE10', description: '10% off everything', discount: 10, freeShipping: false, valid: true },
+        loading: false,
+        updateCartItem: vi.fn(),
+        removeFromCart: vi.fn(),
+        applyCoupon: vi.fn(),
+        removeCoupon: vi.fn(),
+        cartTotal: 100
+      });
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      expect(screen.getByText('Discount (SAVE10)')).toBeInTheDocument();
+      expect(screen.getByText('-$10.00')).toBeInTheDocument();
+      // 90 discounted items; shipping and tax are added at checkout
+      expect(screen.getByText('Estimated Total').nextSibling).toHaveTextContent('$90.00');
+      expect(screen.getByText('Calculated at checkout')).toBeInTheDocument();
+      expect(screen.getByText('10% off everything')).toBeInTheDocument();
+    });
+
+    it('should explain why an applied coupon no longer applies and allow removing it', () => {
+      const removeCoupon = vi.fn();
+      useCart.mockReturnValue({
+        cart: { ...mockCart, couponCode: 'BIGSPEND' },
+        coupon: {
+          code: 'BIGSPEND',
+          discount: 0,
+          freeShipping: false,
+          valid: false,
+          message: 'Spend at least $500.00 to use this coupon'
+        },
+        loading: false,
+        updateCartItem: vi.fn(),
+        removeFromCart: vi.fn(),
+        applyCoupon: vi.fn(),
+        removeCoupon,
+        cartTotal: 100
+      });
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      expect(screen.getByText('Spend at least $500.00 to use this coupon')).toBeInTheDocument();
+      expect(screen.queryByText(/discount/i)).not.toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /remove/i }));
+      expect(removeCoupon).toHaveBeenCalled();
+    });
+  });
+
+  it('should offer guests checkout and ask them to log in before using a coupon', () => {
+    useCart.mockReturnValue({
+      cart: {
+        items: [{ product: { _id: '1', name: 'Laptop', price: 1000, stock: 5 }, quantity: 1 }]
+      },
+      coupon: null,
+      loading: false,
+      updateCartItem: vi.fn(),
+      removeFromCart: vi.fn(),
+      applyCoupon: vi.fn(),
+      removeCoupon: vi.fn(),
+      cartTotal: 1000,
+      isGuest: true
+    });
+
+    render(
+      <BrowserRouter>
+        <Cart />
+      </BrowserRouter>
+    );
+
+    expect(screen.getByText('Laptop')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Coupon code')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Checkout as Guest' })).toHaveAttribute('href', '/checkout');
+    expect(screen.queryByRole('link', { name: 'Proceed to Checkout' })).not.toBeInTheDocument();
+  });
+
+  describe('stock availability', () => {
+    const cartWithLaptop = (overrides = {}) => ({
+      cart: {
+        items: [{ product: { _id: '1', name: 'Laptop', price: 1000, stock: 2 }, quantity: 3 }]
+      },
+      coupon: null,
+      loading: false,
+      updateCartItem: vi.fn(),
+      removeFromCart: vi.fn(),
+      applyCoupon: vi.fn(),
+      removeCoupon: vi.fn(),
+      cartTotal: 3000,
+      isGuest: false,
+      ...overrides
+    });
+
+    it('should warn when orders awaiting payment leave too little stock', async () => {
+      useCart.mockReturnValue(cartWithLaptop());
+      cartAPI.getAvailability.mockResolvedValue({
+        data: { data: [{ productId: '1', quantity: 3, available: 2, reserved: 4, shortBy: 1 }] }
+      });
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      expect(
+        await screen.findByText('Only 2 available (4 reserved by orders awaiting payment). Reduce the quantity to check out.')
+      ).toBeInTheDocument();
+    });
+
+    it('should show reserved stock next to what is available', async () => {
+      useCart.mockReturnValue(cartWithLaptop());
+      cartAPI.getAvailability.mockResolvedValue({
+        data: { data: [{ productId: '1', quantity: 3, available: 5, reserved: 1, shortBy: 0 }] }
+      });
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      expect(await screen.findByText('5 available, 1 reserved by orders awaiting payment')).toBeInTheDocument();
+    });
+
+    it('should not look up availability for a guest cart', () => {
+      useCart.mockReturnValue(cartWithLaptop({ isGuest: true }));
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      expect(cartAPI.getAvailability).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('variants', () => {
+    const tee = {
+      _id: 'tee',
+      name: 'Tee',
+      price: 20,
+      stock: 3,
+      options: [{ name: 'Size', values: ['S', 'M'] }],
+      variants: [
+        { _id: 'small', sku: 'TEE-S', attributes: { Size: 'S' }, price: 25, stock: 1 },
+        { _id: 'medium', sku: 'TEE-M', attributes: { Size: 'M' }, stock: 2 }
+      ]
+    };
+
+    it('should list each variant as its own line with its options, price and stock', async () => {
+      const updateCartItem = vi.fn();
+      const removeFromCart = vi.fn();
+      useCart.mockReturnValue({
+        cart: {
+          items: [
+            { product: tee, variant: 'small', quantity: 1 },
+            { product: tee, variant: 'medium', quantity: 2 }
+          ]
+        },
+        coupon: null,
+        loading: false,
+        updateCartItem,
+        removeFromCart,
+        applyCoupon: vi.fn(),
+        removeCoupon: vi.fn(),
+        cartTotal: 65,
+        isGuest: false
+      });
+      cartAPI.getAvailability.mockResolvedValue({
+        data: {
+          data: [
+            { productId: 'tee', variantId: 'small', quantity: 1, available: 1, reserved: 0, shortBy: 0 },
+            { productId: 'tee', variantId: 'medium', quantity: 2, available: 1, reserved: 1, shortBy: 1 }
+          ]
+        }
+      });
+
+      render(
+        <BrowserRouter>
+          <Cart />
+        </BrowserRouter>
+      );
+
+      expect(screen.getByText('S')).toBeInTheDocument();
+      expect(screen.getByText('M')).toBeInTheDocument();
+      expect(screen.getByText('$25')).toBeInTheDocument();
+      expect(screen.getByText('$20')).toBeInTheDocument();
+      expect(
+        await screen.findByText('Only 1 available (1 reserved by orders awaiting payment). Reduce the quantity to check out.')
+      ).toBeInTheDocument();
+
+      // The small is down to its last unit, so it cannot be increased
+      const [smallLine] = screen.getAllByText('Tee').map((link) => link.closest('.card'));
+      const [, increase, remove] = smallLine.querySelectorAll('button');
+      expect(increase).toBeDisabled();
+      fireEvent.click(remove);
+      expect(removeFromCart).toHaveBeenCalledWith('tee', 'small');
+    });
+  });
+});
@@ -1,9 +1,9 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
-import { BrowserRouter, MemoryRouter } from 'react-router-dom';
+import { BrowserRouter, MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
 import Checkout from '../../../src/pages/Checkout.jsx';
 import { useCart } from '../../../src/context/CartContext';
-import { orderAPI } from '../../../src/utils/api';
+import { orderAPI, shippingAPI, authAPI, addressAPI } from '../../../src/utils/api';
 import { toast } from 'react-toastify';
 
 // Mock dependencies
@@ -13,7 +13,19 @@ vi.mock('../../../src/context/CartContext', () => ({
 
 vi.mock('../../../src/utils/api', () => ({
   orderAPI: {
-    create: vi.fn()
+    create: vi.fn(),
+    quote: vi.fn(),
+    createGuest: vi.fn(),
+    quoteGuest: vi.fn()
+  },
+  shippingAPI: {
+    quote: vi.fn()
+  },
+  authAPI: {
+    resendVerification: vi.fn()
+  },
+  addressAPI: {
+    getAll: vi.fn()
   }
 }));
 
@@ -42,6 +54,20 @@ describe('Checkout Page', () => {
       clearCart: mockClearCart,
       fetchCart: mockFetchCart
     });
+    addressAPI.getAll.mockResolvedValue({ data: { data: [] } });
+    orderAPI.quote.mockResolvedValue({
+      data: {
+        data: { itemsPrice: 1000, discountPrice: 0, shippingPrice: 0, taxPrice: 72.5, totalPrice: 1072.5, taxPricingMode: 'exclusive' }
+      }
+    });
+    shippingAPI.quote.mockResolvedValue({
+      data: {
+        data: [
+          { code: 'standard', name: 'Standard Shipping', price: 0, minDays: 3, maxDays: 7 },
+          { code: 'express', name: 'Express', price: 25, minDays: 1, maxDays: 2 }
+        ]
+      }
+    });
   });
 
   // TDD Evidence:
@@ -159,5 +185,358 @@ describe('Checkout Page', () => {
       expect(orderAPI.create).toHaveBeenCalled();
     });
   });
-});
 
+  it('should offer cash on delivery and explain the selected method', () => {
+    render(
+      <BrowserRouter>
+        <Checkout />
+      </BrowserRouter>
+    );
+
+    const select = screen.getByDisplayValue('Credit Card');
+    const options = Array.from(select.options).map((option) => option.value);
+    expect(options).toEqual(['Credit Card', 'Debit Card', 'Cash on Delivery', 'Bank Transfer']);
+
+    fireEvent.change(select, { target: { name: 'paymentMethod', value: 'Cash on Delivery' } });
+    expect(screen.getByText(/pay the courier in cash/i)).toBeInTheDocument();
+  });
+
+  it('should quote tax once the destination is entered', async () => {
+    render(
+      <BrowserRouter>
+        <Checkout />
+      </BrowserRouter>
+    );
+
+    // Shipping and tax both wait for the address
+    expect(screen.getAllByText('Enter your address')).toHaveLength(2);
+    expect(orderAPI.quote).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByPlaceholderText('NY'), { target: { name: 'state', value: 'CA' } });
+    fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'USA' } });
+
+    await waitFor(() => {
+      expect(screen.getByText('$72.50')).toBeInTheDocument();
+    });
+    expect(shippingAPI.quote).toHaveBeenCalledWith({ country: 'USA', state: 'CA' });
+    expect(orderAPI.quote).toHaveBeenCalledWith({
+      shippingAddress: { country: 'USA', state: 'CA' },
+      shippingMethod: 'standard'
+    });
+    expect(screen.getByText('$1072.50')).toBeInTheDocument();
+  });
+
+  it('should label tax that is already included in prices', async () => {
+    orderAPI.quote.mockResolvedValue({
+      data: {
+        data: { itemsPrice: 1000, discountPrice: 0, shippingPrice: 0, taxPrice: 166.67, totalPrice: 1000, taxPricingMode: 'inclusive' }
+      }
+    });
+
+    render(
+      <BrowserRouter>
+        <Checkout />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'Germany' } });
+
+    await waitFor(() => {
+      expect(screen.getByText('Tax (included)')).toBeInTheDocument();
+    });
+  });
+
+  describe('Shipping methods', () => {
+    it('should list the methods for the destination and re-quote the chosen one', async () => {
+      render(
+        <BrowserRouter>
+          <Checkout />
+        </BrowserRouter>
+      );
+
+      expect(screen.getByText('Enter your country to see shipping options.')).toBeInTheDocument();
+
+      fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'USA' } });
+
+      const express = await screen.findByRole('radio', { name: /express/i });
+      expect(screen.getByRole('radio', { name: /standard shipping/i })).toBeChecked();
+      expect(screen.getByText('1-2 business days')).toBeInTheDocument();
+      expect(screen.getByText('$25.00')).toBeInTheDocument();
+
+      orderAPI.quote.mockResolvedValue({
+        data: {
+          data: { itemsPrice: 1000, discountPrice: 0, shippingPrice: 25, taxPrice: 72.5, totalPrice: 1097.5, shippingMethod: 'express' }
+        }
+      });
+      fireEvent.click(express);
+
+      await waitFor(() => {
+        expect(orderAPI.quote).toHaveBeenLastCalledWith({
+          shippingAddress: { country: 'USA', state: '' },
+          shippingMethod: 'express'
+        });
+      });
+      expect(await screen.findByText('$1097.50')).toBeInTheDocument();
+    });
+
+    it('should place the order with the chosen method', async () => {
+      orderAPI.create.mockResolvedValue({ data: { data: { _id: 'order123' } } });
+
+      render(
+        <BrowserRouter>
+          <Checkout />
+        </BrowserRouter>
+      );
+
+      fireEvent.change(screen.getByPlaceholderText(/123 main st/i), { target: { name: 'street', value: '123 Main St' } });
+      fireEvent.change(screen.getByPlaceholderText(/new york/i), { target: { name: 'city', value: 'New York' } });
+      fireEvent.change(screen.getByPlaceholderText('NY'), { target: { name: 'state', value: 'NY' } });
+      fireEvent.change(screen.getByPlaceholderText('10001'), { target: { name: 'zipCode', value: '10001' } });
+      fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'USA' } });
+      fireEvent.change(screen.getByDisplayValue('Credit Card'), { target: { name: 'paymentMethod', value: 'Cash on Delivery' } });
+
+      fireEvent.click(await screen.findByRole('radio', { name: /express/i }));
+      fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+      await waitFor(() => {
+        expect(orderAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+          shippingMethod: 'express',
+          paymentMethod: 'Cash on Delivery'
+        }));
+      });
+    });
+
+    it('should say when nothing ships to the destination', async () => {
+      shippingAPI.quote.mockResolvedValue({ data: { data: [] } });
+
+      render(
+        <BrowserRouter>
+          <Checkout />
+        </BrowserRouter>
+      );
+
+      fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'Narnia' } });
+
+      expect(await screen.findByText("We don't ship this order to Narnia yet.")).toBeInTheDocument();
+      expect(orderAPI.quote).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should ask unverified customers to verify their email and resend the link', async () => {
+    orderAPI.create.mockRejectedValue({
+      response: { status: 403, data: { message: 'Please verify your email address before placing an order' } }
+    });
+    authAPI.resendVerification.mockResolvedValue({ data: { success: true } });
+
+    render(
+      <BrowserRouter>
+        <Checkout />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(screen.getByPlaceholderText(/123 main st/i), { target: { name: 'street', value: '123 Main St' } });
+    fireEvent.change(screen.getByPlaceholderText(/new york/i), { target: { name: 'city', value: 'New York' } });
+    fireEvent.change(screen.getByPlaceholderText(/ny/i), { target: { name: 'state', value: 'NY' } });
+    fireEvent.change(screen.getByPlaceholderText(/10001/i), { target: { name: 'zipCode', value: '10001' } });
+    fireEvent.change(screen.getByPlaceholderText(/usa/i), { target: { name: 'country', value: 'USA' } });
+    fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+    expect(await screen.findByText(/verify your email address before placing an order\. Use the link/i)).toBeInTheDocument();
+    expect(toast.error).toHaveBeenCalledWith('Please verify your email address before placing an order');
+
+    fireEvent.click(screen.getByRole('button', { name: /resend email/i }));
+
+    await waitFor(() => {
+      expect(authAPI.resendVerification).toHaveBeenCalled();
+      expect(toast.success).toHaveBeenCalledWith('Verification email sent. Please check your inbox');
+    });
+  });
+
+  describe('address book', () => {
+    const savedAddresses = [
+      { _id: 'home', label: 'Home', street: '123 Main St', city: 'New York', state: 'NY', zipCode: '10001', country: 'USA', isDefault: true },
+      { _id: 'office', label: 'Office', street: '1 Office Park', city: 'Boston', state: 'MA', zipCode: '02110', country: 'USA', isDefault: false }
+    ];
+
+    beforeEach(() => {
+      addressAPI.getAll.mockResolvedValue({ data: { data: savedAddresses } });
+    });
+
+    it('should prefill the shipping address from the default saved address', async () => {
+      render(
+        <BrowserRouter>
+          <Checkout />
+        </BrowserRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByPlaceholderText('123 Main St')).toHaveValue('123 Main St');
+      });
+      expect(screen.getByPlaceholderText('New York')).toHaveValue('New York');
+      expect(screen.getByPlaceholderText('USA')).toHaveValue('USA');
+    });
+
+    it('should fill the shipping address from the picker', async () => {
+      render(
+        <BrowserRouter>
+          <Checkout />
+        </BrowserRouter>
+      );
+
+      const picker = await screen.findByLabelText('Saved addresses');
+      fireEvent.change(picker, { target: { value: 'office' } });
+
+      expect(screen.getByPlaceholderText('123 Main St')).toHaveValue('1 Office Park');
+      expect(screen.getByPlaceholderText('New York')).toHaveValue('Boston');
+    });
+
+    it('should send a separate billing address when it differs from shipping', async () => {
+      orderAPI.create.mockResolvedValue({ data: { data: { _id: 'order123' } } });
+
+      render(
+        <BrowserRouter>
+          <Checkout />
+        </BrowserRouter>
+      );
+
+      await waitFor(() => {
+        expect(screen.getByPlaceholderText('123 Main St')).toHaveValue('123 Main St');
+      });
+      fireEvent.click(screen.getByLabelText('Billing address is the same as shipping'));
+      fireEvent.change(screen.getByLabelText('Saved addresses', { selector: '#saved-billing-address' }), {
+        target: { value: 'office' }
+      });
+      fireEvent.change(screen.getByDisplayValue('Credit Card'), { target: { name: 'paymentMethod', value: 'Cash on Delivery' } });
+      fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+      await waitFor(() => {
+        expect(orderAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+          shippingAddress: expect.objectContaining({ street: '123 Main St' }),
+          billingAddress: { street: '1 Office Park', city: 'Boston', state: 'MA', zipCode: '02110', country: 'USA' }
+        }));
+      });
+    });
+  });
+
+  describe('guest checkout', () => {
+    const OrderPage = () => {
+      const location = useLocation();
+      return <div>Order page {location.pathname + location.search}</div>;
+    };
+
+    const renderGuestCheckout = () => render(
+      <MemoryRouter initialEntries={['/checkout']}>
+        <Routes>
+          <Route path="/checkout" element={<Checkout />} />
+          <Route path="/orders/:id" element={<OrderPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    const fillAddress = () => {
+      fireEvent.change(screen.getByPlaceholderText(/123 main st/i), { target: { name: 'street', value: '123 Main St' } });
+      fireEvent.change(screen.getByPlaceholderText(/new york/i), { target: { name: 'city', value: 'New York' } });
+      fireEvent.change(screen.getByPlaceholderText(/ny/i), { target: { name: 'state', value: 'NY' } });
+      fireEvent.change(screen.getByPlaceholderText(/10001/i), { target: { name: 'zipCode', value: '10001' } });
+      fireEvent.change(screen.getByPlaceholderText(/usa/i), { target: { name: 'country', value: 'USA' } });
+    };
+
+    beforeEach(() => {
+      useCart.mockReturnValue({
+        cart: {
+          items: [{ product: { _id: '1', name: 'Laptop', price: 1000 }, quantity: 2 }]
+        },
+        cartTotal: 2000,
+        clearCart: mockClearCart,
+        fetchCart: mockFetchCart,
+        isGuest: true
+      });
+      orderAPI.quoteGuest.mockResolvedValue({
+        data: {
+          data: {
+            itemsPrice: 2000, discountPrice: 0, shippingPrice: 0, taxPrice: 145, totalPrice: 2145,
+            taxPricingMode: 'exclusive', shippingMethod: 'standard',
+            shippingOptions: [{ code: 'standard', name: 'Standard Shipping', price: 0, minDays: 3, maxDays: 7 }]
+          }
+        }
+      });
+    });
+
+    it('should quote the browser cart without the address book or shipping endpoint', async () => {
+      renderGuestCheckout();
+
+      fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'USA' } });
+
+      await waitFor(() => {
+        expect(orderAPI.quoteGuest).toHaveBeenCalledWith({
+          items: [{ productId: '1', quantity: 2 }],
+          shippingAddress: { country: 'USA', state: '' },
+          shippingMethod: undefined
+        });
+      });
+      expect(await screen.findByText('$2145.00')).toBeInTheDocument();
+      expect(addressAPI.getAll).not.toHaveBeenCalled();
+      expect(shippingAPI.quote).not.toHaveBeenCalled();
+    });
+
+    it('should require an email address', async () => {
+      renderGuestCheckout();
+
+      fillAddress();
+      fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+      expect(toast.error).toHaveBeenCalledWith('Please enter your email address');
+      expect(orderAPI.createGuest).not.toHaveBeenCalled();
+    });
+
+    it('should place a guest order and open it with its access token', async () => {
+      orderAPI.createGuest.mockResolvedValue({
+        data: { data: { order: { _id: 'order123', totalPrice: 2145 }, orderToken: 'signed-token' } }
+      });
+
+      renderGuestCheckout();
+
+      fireEvent.change(screen.getByLabelText('Email address'), { target: { value: ' guest@example.com ' } });
+      fillAddress();
+      fireEvent.change(screen.getByDisplayValue('Credit Card'), { target: { name: 'paymentMethod', value: 'Cash on Delivery' } });
+      fireEvent.click(screen.getByRole('button', { name: /place order/i }));
+
+      expect(await screen.findByText('Order page /orders/order123?token=signed-token')).toBeInTheDocument();
+      expect(orderAPI.createGuest).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'guest@example.com',
+        items: [{ productId: '1', quantity: 2 }],
+        paymentMethod: 'Cash on Delivery'
+      }));
+      expect(orderAPI.create).not.toHaveBeenCalled();
+      expect(mockClearCart).toHaveBeenCalled();
+    });
+
+    it('should send and list the chosen variant of each guest item', async () => {
+      const tee = {
+        _id: 'tee',
+        name: 'Tee',
+        price: 20,
+        options: [{ name: 'Size', values: ['M'] }],
+        variants: [{ _id: 'medium', sku: 'TEE-M', attributes: { Size: 'M' }, stock: 2 }]
+      };
+      useCart.mockReturnValue({
+        cart: { items: [{ product: tee, variant: 'medium', quantity: 2 }] },
+        cartTotal: 40,
+        clearCart: mockClearCart,
+        fetchCart: mockFetchCart,
+        isGuest: true
+      });
+
+      renderGuestCheckout();
+
+      expect(screen.getAllByText('Tee (M) x 2').length).toBeGreaterThan(0);
+      fireEvent.change(screen.getByPlaceholderText('USA'), { target: { name: 'country', value: 'USA' } });
+
+      await waitFor(() => {
+        expect(orderAPI.quoteGuest).toHaveBeenCalledWith(expect.objectContaining({
+          items: [{ productId: 'tee', variantId: 'medium', quantity: 2 }]
+        }));
+      });
+    });
+  });
+});
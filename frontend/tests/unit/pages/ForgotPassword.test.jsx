@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ForgotPassword from '../../../src/pages/ForgotPassword.jsx';
+import { authAPI } from '../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../src/utils/api', () => ({
+  authAPI: {
+    forgotPassword: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('ForgotPassword Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should request a reset link and confirm without revealing the account', async () => {
+    authAPI.forgotPassword.mockResolvedValue({ data: { success: true } });
+
+    render(
+      <MemoryRouter>
+        <ForgotPassword />
+      </MemoryRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { value: ' test@example.com ' } });
+    fireEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    await waitFor(() => {
+      expect(authAPI.forgotPassword).toHaveBeenCalledWith('test@example.com');
+    });
+    expect(await screen.findByText(/if an account exists for/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /send reset link/i })).not.toBeInTheDocument();
+  });
+
+  it('should show the error when requests are rate limited', async () => {
+    authAPI.forgotPassword.mockRejectedValue({
+      response: { status: 429, data: { message: 'Too many password reset requests, please try again later' } }
+    });
+
+    render(
+      <MemoryRouter>
+        <ForgotPassword />
+      </MemoryRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { value: 'test@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Too many password reset requests, please try again later');
+    });
+  });
+});
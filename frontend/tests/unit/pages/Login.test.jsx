@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import Login from '../../../src/pages/Login.jsx';
 import { useAuth } from '../../../src/context/AuthContext';
@@ -178,5 +178,120 @@ describe('Login Page', () => {
       expect(mockLogin).toHaveBeenCalled();
     });
   });
-});
 
+  it('should explain a lockout and block retries until it expires', async () => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    mockLogin.mockResolvedValue({
+      success: false,
+      status: 429,
+      error: 'Too many failed login attempts. Please wait 4 seconds before trying again',
+      retryAfter: 4
+    });
+
+    render(
+      <BrowserRouter>
+        <Login />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { name: 'email', value: 'test@example.com' } });
+    fireEvent.change(screen.getByLabelText(/password/i), { target: { name: 'password', value: 'wrong' } });
+    fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+    const alert = await screen.findByRole('alert');
+    expect(alert).toHaveTextContent('Please wait 4 seconds before trying again');
+    expect(screen.getByRole('link', { name: 'Reset your password' })).toHaveAttribute('href', '/forgot-password');
+    expect(screen.getByRole('button', { name: /sign in/i })).toBeDisabled();
+
+    await act(async () => {
+      vi.advanceTimersByTime(4000);
+    });
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /sign in/i })).not.toBeDisabled();
+    vi.useRealTimers();
+  });
+
+  it('should not show the lockout notice for wrong credentials', async () => {
+    mockLogin.mockResolvedValue({ success: false, status: 401, error: 'Invalid credentials' });
+
+    render(
+      <BrowserRouter>
+        <Login />
+      </BrowserRouter>
+    );
+
+    fireEvent.change(screen.getByLabelText(/email address/i), { target: { name: 'email', value: 'test@example.com' } });
+    fireEvent.change(screen.getByLabelText(/password/i), { target: { name: 'password', value: 'wrong' } });
+    fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+    await waitFor(() => {
+      expect(mockLogin).toHaveBeenCalled();
+    });
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  describe('two-factor step', () => {
+    let mockCompleteTwoFactorLogin;
+
+    beforeEach(() => {
+      mockCompleteTwoFactorLogin = vi.fn();
+      useAuth.mockReturnValue({
+        login: mockLogin,
+        completeTwoFactorLogin: mockCompleteTwoFactorLogin,
+        user: null,
+        loading: false
+      });
+      mockLogin.mockResolvedValue({ success: false, twoFactorRequired: true, preAuthToken: 'pre-auth-token' });
+    });
+
+    const signIn = async () => {
+      render(
+        <BrowserRouter>
+          <Login />
+        </BrowserRouter>
+      );
+      fireEvent.change(screen.getByLabelText(/email address/i), { target: { name: 'email', value: 'admin@example.com' } });
+      fireEvent.change(screen.getByLabelText(/password/i), { target: { name: 'password', value: 'password123' } });
+      fireEvent.click(screen.getByRole('button', { name: /sign in/i }));
+      return screen.findByLabelText('Verification code');
+    };
+
+    it('should ask for a code after the password and sign in with it', async () => {
+      mockCompleteTwoFactorLogin.mockResolvedValue({ success: true });
+
+      const codeInput = await signIn();
+      fireEvent.change(codeInput, { target: { value: ' 123456 ' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+      await waitFor(() => {
+        expect(mockCompleteTwoFactorLogin).toHaveBeenCalledWith('pre-auth-token', '123456');
+        expect(mockNavigate).toHaveBeenCalledWith('/');
+      });
+    });
+
+    it('should clear a wrong code so it can be retyped', async () => {
+      mockCompleteTwoFactorLogin.mockResolvedValue({ success: false, status: 400, error: 'Invalid verification code' });
+
+      const codeInput = await signIn();
+      fireEvent.change(codeInput, { target: { value: '000000' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+      await waitFor(() => {
+        expect(codeInput).toHaveValue('');
+      });
+      expect(mockNavigate).not.toHaveBeenCalled();
+    });
+
+    it('should go back to the password step when the sign-in has expired', async () => {
+      mockCompleteTwoFactorLogin.mockResolvedValue({ success: false, status: 401, error: 'Your sign-in has expired' });
+
+      const codeInput = await signIn();
+      fireEvent.change(codeInput, { target: { value: '123456' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+
+      expect(await screen.findByLabelText(/email address/i)).toHaveValue('admin@example.com');
+      expect(screen.getByLabelText(/password/i)).toHaveValue('');
+    });
+  });
+});
@@ -1,14 +1,25 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
-import { BrowserRouter, MemoryRouter } from 'react-router-dom';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter, MemoryRouter, Routes, Route } from 'react-router-dom';
 import OrderDetails from '../../../src/pages/OrderDetails.jsx';
 import { orderAPI } from '../../../src/utils/api';
 import { useAuth } from '../../../src/context/AuthContext';
+import { toast } from 'react-toastify';
 
 // Mock dependencies
 vi.mock('../../../src/utils/api', () => ({
   orderAPI: {
-    getById: vi.fn()
+    getById: vi.fn(),
+    cancel: vi.fn(),
+    getGuestOrder: vi.fn(),
+    claimGuestOrder: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
   }
 }));
 
@@ -169,5 +180,532 @@ describe('OrderDetails Page', () => {
     // Should be in loading state
     expect(orderAPI.getById).toHaveBeenCalled();
   });
-});
 
+  describe('Cancellation', () => {
+    const baseOrder = {
+      _id: 'order1234567890',
+      totalPrice: 110,
+      itemsPrice: 100,
+      shippingPrice: 0,
+      taxPrice: 10,
+      orderItems: [],
+      shippingAddress: {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      },
+      paymentMethod: 'Credit Card',
+      createdAt: '2024-01-01',
+      isPaid: true,
+      isDelivered: false
+    };
+
+    it('should cancel the order with the given reason', async () => {
+      orderAPI.getById.mockResolvedValue({ data: { data: { ...baseOrder, status: 'paid' } } });
+      orderAPI.cancel.mockResolvedValue({
+        data: { data: { ...baseOrder, status: 'cancelled', cancellationReason: 'Found it cheaper' } }
+      });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      fireEvent.click(await screen.findByRole('button', { name: /cancel order/i }));
+      fireEvent.change(screen.getByLabelText(/reason for cancellation/i), {
+        target: { value: 'Found it cheaper' }
+      });
+      fireEvent.click(screen.getByRole('button', { name: /confirm cancellation/i }));
+
+      await waitFor(() => {
+        expect(orderAPI.cancel).toHaveBeenCalledWith('order1234567890', 'Found it cheaper');
+        expect(toast.success).toHaveBeenCalledWith('Order cancelled');
+      });
+      expect(screen.getByText('Cancelled')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /cancel order/i })).not.toBeInTheDocument();
+    });
+
+    it('should require a reason before cancelling', async () => {
+      orderAPI.getById.mockResolvedValue({ data: { data: { ...baseOrder, status: 'pending' } } });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      fireEvent.click(await screen.findByRole('button', { name: /cancel order/i }));
+      fireEvent.click(screen.getByRole('button', { name: /confirm cancellation/i }));
+
+      expect(toast.error).toHaveBeenCalled();
+      expect(orderAPI.cancel).not.toHaveBeenCalled();
+    });
+
+    it('should not offer cancellation once the order has shipped', async () => {
+      orderAPI.getById.mockResolvedValue({ data: { data: { ...baseOrder, status: 'shipped' } } });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      await screen.findByText('Shipped');
+      expect(screen.queryByRole('button', { name: /cancel order/i })).not.toBeInTheDocument();
+    });
+
+    it('should not offer cancellation of a paid bank transfer order', async () => {
+      orderAPI.getById.mockResolvedValue({
+        data: { data: { ...baseOrder, paymentMethod: 'Bank Transfer', status: 'paid' } }
+      });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      await screen.findAllByText('Paid');
+      expect(screen.queryByRole('button', { name: /cancel order/i })).not.toBeInTheDocument();
+    });
+
+    it('should tell the customer a payment made after cancellation was refunded', async () => {
+      orderAPI.getById.mockResolvedValue({
+        data: {
+          data: {
+            ...baseOrder,
+            isPaid: false,
+            status: 'cancelled',
+            latePayment: { paymentIntentId: 'pi_late', amount: 110, status: 'refunded' }
+          }
+        }
+      });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      expect(await screen.findByText(/arrived after this order was cancelled and has been refunded/i)).toBeInTheDocument();
+    });
+  });
+
+  it('should show the refunded amount when the order has refunds', async () => {
+    orderAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          _id: 'order1234567890',
+          totalPrice: 110,
+          itemsPrice: 100,
+          shippingPrice: 0,
+          taxPrice: 10,
+          totalRefunded: 55,
+          orderItems: [],
+          shippingAddress: {
+            street: '123 Main St',
+            city: 'New York',
+            state: 'NY',
+            zipCode: '10001',
+            country: 'USA'
+          },
+          paymentMethod: 'Credit Card',
+          createdAt: '2024-01-01',
+          isPaid: true,
+          status: 'delivered'
+        }
+      }
+    });
+
+    render(
+      <MemoryRouter>
+        <OrderDetails />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Refunded')).toBeInTheDocument();
+    expect(screen.getByText('-$55.00')).toBeInTheDocument();
+  });
+
+  it('should show the tax charged on each line', async () => {
+    orderAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          _id: 'order1234567890',
+          totalPrice: 120,
+          itemsPrice: 120,
+          shippingPrice: 0,
+          taxPrice: 20,
+          taxPricingMode: 'inclusive',
+          orderItems: [
+            { product: { _id: 'p1' }, name: 'Headphones', price: 120, quantity: 1, taxRate: 20, taxAmount: 20 }
+          ],
+          shippingAddress: {
+            street: '1 High St',
+            city: 'London',
+            state: 'LDN',
+            zipCode: 'N1 1AA',
+            country: 'UK'
+          },
+          paymentMethod: 'Credit Card',
+          createdAt: '2024-01-01',
+          isPaid: true,
+          status: 'paid'
+        }
+      }
+    });
+
+    render(
+      <MemoryRouter>
+        <OrderDetails />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Tax (included) at 20%: $20.00')).toBeInTheDocument();
+    expect(screen.getByText('Tax (included)')).toBeInTheDocument();
+  });
+
+  it('should show the options and SKU of each variant ordered', async () => {
+    orderAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          _id: 'order1234567890',
+          totalPrice: 25,
+          itemsPrice: 25,
+          shippingPrice: 0,
+          taxPrice: 0,
+          orderItems: [
+            {
+              product: {
+                _id: 'tee',
+                image: '/tee.jpg',
+                variants: [{ _id: 'medium', sku: 'TEE-M-RED', attributes: { Size: 'M' }, image: '/tee-m.jpg' }]
+              },
+              variant: 'medium',
+              sku: 'TEE-M-RED',
+              variantLabel: 'M / Red',
+              name: 'Tee',
+              price: 25,
+              quantity: 1
+            }
+          ],
+          shippingAddress: {
+            street: '1 High St',
+            city: 'London',
+            state: 'LDN',
+            zipCode: 'N1 1AA',
+            country: 'UK'
+          },
+          paymentMethod: 'Credit Card',
+          createdAt: '2024-01-01',
+          isPaid: true,
+          status: 'paid'
+        }
+      }
+    });
+
+    render(
+      <MemoryRouter>
+        <OrderDetails />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('M / Red')).toBeInTheDocument();
+    expect(screen.getByText('SKU: TEE-M-RED')).toBeInTheDocument();
+    expect(screen.getByAltText('Tee')).toHaveAttribute('src', '/tee-m.jpg');
+  });
+
+  it('should show the shipping method the order ships with', async () => {
+    orderAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          _id: 'order1234567890',
+          totalPrice: 125,
+          itemsPrice: 100,
+          shippingPrice: 25,
+          taxPrice: 0,
+          orderItems: [],
+          shippingAddress: {
+            street: '123 Main St',
+            city: 'New York',
+            state: 'NY',
+            zipCode: '10001',
+            country: 'USA'
+          },
+          shippingMethod: { code: 'express', name: 'Express', minDays: 1, maxDays: 2 },
+          paymentMethod: 'Credit Card',
+          createdAt: '2024-01-01',
+          isPaid: true,
+          status: 'paid'
+        }
+      }
+    });
+
+    render(
+      <MemoryRouter>
+        <OrderDetails />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Express')).toBeInTheDocument();
+    expect(screen.getByText('(1-2 business days)')).toBeInTheDocument();
+    expect(screen.getByText('$25.00')).toBeInTheDocument();
+  });
+
+  it('should show shipments and the order timeline', async () => {
+    orderAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          _id: 'order1234567890',
+          totalPrice: 110,
+          itemsPrice: 100,
+          shippingPrice: 10,
+          taxPrice: 0,
+          orderItems: [],
+          shippingAddress: {
+            street: '123 Main St',
+            city: 'New York',
+            state: 'NY',
+            zipCode: '10001',
+            country: 'USA'
+          },
+          paymentMethod: 'Credit Card',
+          createdAt: '2024-01-01T10:00:00Z',
+          isPaid: true,
+          status: 'shipped',
+          statusHistory: [
+            { status: 'paid', changedAt: '2024-01-01T10:05:00Z' },
+            { status: 'shipped', changedAt: '2024-01-02T09:00:00Z', note: 'Shipped with UPS (1Z999)' }
+          ],
+          shipments: [
+            {
+              _id: 's1',
+              carrier: 'UPS',
+              trackingNumber: '1Z999',
+              trackingUrl: 'https://www.ups.com/track?tracknum=1Z999',
+              shippedAt: '2024-01-02T09:00:00Z',
+              items: []
+            }
+          ]
+        }
+      }
+    });
+
+    render(
+      <MemoryRouter>
+        <OrderDetails />
+      </MemoryRouter>
+    );
+
+    const trackingLink = await screen.findByRole('link', { name: '1Z999' });
+    expect(trackingLink).toHaveAttribute('href', 'https://www.ups.com/track?tracknum=1Z999');
+    expect(screen.getByText('Order placed')).toBeInTheDocument();
+    expect(screen.getByText('Shipped with UPS (1Z999)')).toBeInTheDocument();
+    expect(screen.getAllByText('In transit')).toHaveLength(2);
+  });
+
+  it('should show a billing address that differs from the shipping address', async () => {
+    orderAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          _id: 'order1234567890',
+          totalPrice: 110,
+          itemsPrice: 100,
+          shippingPrice: 10,
+          taxPrice: 0,
+          orderItems: [],
+          shippingAddress: {
+            street: '123 Main St',
+            city: 'New York',
+            state: 'NY',
+            zipCode: '10001',
+            country: 'USA'
+          },
+          billingAddress: {
+            street: '1 Office Park',
+            city: 'Boston',
+            state: 'MA',
+            zipCode: '02101',
+            country: 'USA'
+          },
+          paymentMethod: 'PayPal',
+          createdAt: '2024-01-01',
+          isPaid: false
+        }
+      }
+    });
+
+    render(
+      <MemoryRouter>
+        <OrderDetails />
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('Billing address:')).toBeInTheDocument();
+    expect(screen.getByText(/1 Office Park, Boston/)).toBeInTheDocument();
+  });
+
+  describe('Manual payment instructions', () => {
+    const manualOrder = {
+      _id: 'order1234567890',
+      totalPrice: 110,
+      itemsPrice: 100,
+      shippingPrice: 0,
+      taxPrice: 10,
+      orderItems: [],
+      shippingAddress: {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      },
+      createdAt: '2024-01-01',
+      isPaid: false,
+      status: 'pending'
+    };
+
+    it('should show the transfer reference for unpaid bank transfer orders', async () => {
+      orderAPI.getById.mockResolvedValue({
+        data: {
+          data: { ...manualOrder, paymentMethod: 'Bank Transfer', paymentReference: 'BT-1A2B3C4D' }
+        }
+      });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      expect(await screen.findByText('BT-1A2B3C4D')).toBeInTheDocument();
+      expect(screen.getByText(/ship your order once the transfer arrives/i)).toBeInTheDocument();
+    });
+
+    it('should remind cash on delivery customers to have the total ready', async () => {
+      orderAPI.getById.mockResolvedValue({
+        data: { data: { ...manualOrder, paymentMethod: 'Cash on Delivery' } }
+      });
+
+      render(
+        <MemoryRouter>
+          <OrderDetails />
+        </MemoryRouter>
+      );
+
+      expect(await screen.findByText(/in cash ready when your order is delivered/i)).toBeInTheDocument();
+    });
+  });
+
+  describe('Guest orders', () => {
+    const guestOrder = {
+      _id: 'order1',
+      guestEmail: 'guest@example.com',
+      user: null,
+      totalPrice: 50,
+      itemsPrice: 50,
+      shippingPrice: 0,
+      taxPrice: 0,
+      orderItems: [],
+      shippingAddress: {
+        street: '123 Main St',
+        city: 'New York',
+        state: 'NY',
+        zipCode: '10001',
+        country: 'USA'
+      },
+      paymentMethod: 'Cash on Delivery',
+      createdAt: '2024-01-01',
+      isPaid: false,
+      status: 'pending'
+    };
+
+    const renderGuestOrder = (entry = '/orders/order1?token=signed-token') => render(
+      <MemoryRouter initialEntries={[entry]}>
+        <Routes>
+          <Route path="/orders/:id" element={<OrderDetails />} />
+          <Route path="/login" element={<div>Login page</div>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    let mockRegister;
+
+    beforeEach(() => {
+      mockRegister = vi.fn();
+      useAuth.mockReturnValue({ user: null, loading: false, register: mockRegister });
+      orderAPI.getGuestOrder.mockResolvedValue({ data: { data: guestOrder } });
+    });
+
+    it('should open a guest order with the token from the link', async () => {
+      renderGuestOrder();
+
+      expect(await screen.findByText('Save this order to an account')).toBeInTheDocument();
+      expect(orderAPI.getGuestOrder).toHaveBeenCalledWith('order1', 'signed-token');
+      expect(orderAPI.getById).not.toHaveBeenCalled();
+      expect(screen.queryByText(/Back to Orders/)).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /cancel order/i })).not.toBeInTheDocument();
+    });
+
+    it('should send signed-out visitors without a token to login', () => {
+      renderGuestOrder('/orders/order1');
+
+      expect(screen.getByText('Login page')).toBeInTheDocument();
+      expect(orderAPI.getById).not.toHaveBeenCalled();
+    });
+
+    it('should create an account with the order email and add the order to it', async () => {
+      mockRegister.mockResolvedValue({ success: true });
+      orderAPI.claimGuestOrder.mockResolvedValue({ data: { data: { ...guestOrder, user: 'user1' } } });
+
+      renderGuestOrder();
+
+      await screen.findByText('Save this order to an account');
+      fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Guest Shopper' } });
+      fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret123' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+
+      await waitFor(() => {
+        expect(orderAPI.claimGuestOrder).toHaveBeenCalledWith('order1', 'signed-token');
+      });
+      expect(mockRegister).toHaveBeenCalledWith({ name: 'Guest Shopper', password: 'secret123', email: 'guest@example.com' });
+      expect(toast.success).toHaveBeenCalledWith('Order added to your account');
+      expect(screen.queryByText('Save this order to an account')).not.toBeInTheDocument();
+    });
+
+    it('should not claim the order when registration fails', async () => {
+      mockRegister.mockResolvedValue({ success: false, error: 'User already exists' });
+
+      renderGuestOrder();
+
+      await screen.findByText('Save this order to an account');
+      fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Guest Shopper' } });
+      fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'secret123' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Create Account' }));
+
+      await waitFor(() => {
+        expect(mockRegister).toHaveBeenCalled();
+      });
+      expect(orderAPI.claimGuestOrder).not.toHaveBeenCalled();
+    });
+
+    it('should let a signed-in customer add the order and report an email mismatch', async () => {
+      useAuth.mockReturnValue({ user: { id: '123', email: 'other@example.com' }, loading: false, register: mockRegister });
+      orderAPI.claimGuestOrder.mockRejectedValue({
+        response: { data: { message: 'Sign in with the email address used for this order to add it to your account' } }
+      });
+
+      renderGuestOrder();
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Add to My Account' }));
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith('Sign in with the email address used for this order to add it to your account');
+      });
+      expect(orderAPI.claimGuestOrder).toHaveBeenCalledWith('order1', 'signed-token');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter, useNavigate } from 'react-router-dom';
+import Profile from '../../../src/pages/Profile.jsx';
+import { useAuth } from '../../../src/context/AuthContext';
+import { authAPI } from '../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../src/context/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
+vi.mock('../../../src/utils/api', () => ({
+  authAPI: {
+    updateProfile: vi.fn(),
+    changePassword: vi.fn(),
+    deleteAccount: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useNavigate: vi.fn()
+  };
+});
+
+describe('Profile Page', () => {
+  let mockUpdateUser, mockSaveTokens, mockClearSession, mockNavigate;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUpdateUser = vi.fn();
+    mockSaveTokens = vi.fn();
+    mockClearSession = vi.fn();
+    mockNavigate = vi.fn();
+
+    useAuth.mockReturnValue({
+      user: { id: '123', name: 'Test User', email: 'test@example.com', emailVerified: true },
+      updateUser: mockUpdateUser,
+      saveTokens: mockSaveTokens,
+      clearSession: mockClearSession
+    });
+    useNavigate.mockReturnValue(mockNavigate);
+    window.confirm = vi.fn(() => true);
+  });
+
+  const renderProfile = () => {
+    render(
+      <BrowserRouter>
+        <Profile />
+      </BrowserRouter>
+    );
+  };
+
+  it('should prefill the profile form with the signed-in user', () => {
+    renderProfile();
+
+    expect(screen.getByLabelText('Name')).toHaveValue('Test User');
+    expect(screen.getByLabelText('Email')).toHaveValue('test@example.com');
+  });
+
+  it('should save a new email and ask for it to be verified', async () => {
+    authAPI.updateProfile.mockResolvedValue({
+      data: { data: { id: '123', name: 'Test User', email: 'new@example.com', emailVerified: false } }
+    });
+
+    renderProfile();
+    fireEvent.change(screen.getByLabelText('Email'), { target: { name: 'email', value: 'new@example.com' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Profile' }));
+
+    await waitFor(() => {
+      expect(authAPI.updateProfile).toHaveBeenCalledWith({ name: 'Test User', email: 'new@example.com' });
+      expect(mockUpdateUser).toHaveBeenCalledWith(expect.objectContaining({ email: 'new@example.com', emailVerified: false }));
+      expect(toast.success).toHaveBeenCalledWith('Profile updated. Check your inbox to verify your new email address');
+    });
+  });
+
+  it('should change the password and keep this device signed in', async () => {
+    const tokens = { token: 'new-jwt', refreshToken: 'new-refresh' };
+    authAPI.changePassword.mockResolvedValue({ data: { data: tokens } });
+
+    renderProfile();
+    fireEvent.change(screen.getByLabelText('Current password'), { target: { name: 'currentPassword', value: 'oldpassword' } });
+    fireEvent.change(screen.getByLabelText('New password'), { target: { name: 'newPassword', value: 'newpassword' } });
+    fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { name: 'confirmPassword', value: 'newpassword' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+    await waitFor(() => {
+      expect(authAPI.changePassword).toHaveBeenCalledWith({ currentPassword: 'oldpassword', newPassword: 'newpassword' });
+      expect(mockSaveTokens).toHaveBeenCalledWith(tokens);
+      expect(toast.success).toHaveBeenCalledWith('Password changed');
+    });
+  });
+
+  it('should not submit mismatched passwords', () => {
+    renderProfile();
+    fireEvent.change(screen.getByLabelText('Current password'), { target: { name: 'currentPassword', value: 'oldpassword' } });
+    fireEvent.change(screen.getByLabelText('New password'), { target: { name: 'newPassword', value: 'newpassword' } });
+    fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { name: 'confirmPassword', value: 'different' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Change Password' }));
+
+    expect(toast.error).toHaveBeenCalledWith('Passwords do not match');
+    expect(authAPI.changePassword).not.toHaveBeenCalled();
+  });
+
+  it('should delete the account after confirmation and sign out', async () => {
+    authAPI.deleteAccount.mockResolvedValue({ data: { success: true } });
+
+    renderProfile();
+    fireEvent.change(screen.getByLabelText('Confirm with your password'), { target: { value: 'password123' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Account' }));
+
+    await waitFor(() => {
+      expect(authAPI.deleteAccount).toHaveBeenCalledWith('password123');
+      expect(mockClearSession).toHaveBeenCalled();
+      expect(mockNavigate).toHaveBeenCalledWith('/');
+    });
+  });
+
+  it('should keep the account when deletion is not confirmed', () => {
+    window.confirm = vi.fn(() => false);
+
+    renderProfile();
+    fireEvent.change(screen.getByLabelText('Confirm with your password'), { target: { value: 'password123' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Account' }));
+
+    expect(authAPI.deleteAccount).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, useNavigate } from 'react-router-dom';
+import ResetPassword from '../../../src/pages/ResetPassword.jsx';
+import { authAPI } from '../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../src/utils/api', () => ({
+  authAPI: {
+    resetPassword: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('react-router-dom', async () => {
+  const actual = await vi.importActual('react-router-dom');
+  return {
+    ...actual,
+    useNavigate: vi.fn()
+  };
+});
+
+describe('ResetPassword Page', () => {
+  let mockNavigate;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockNavigate = vi.fn();
+    useNavigate.mockReturnValue(mockNavigate);
+  });
+
+  const renderWithToken = (token = 'abc123') => {
+    render(
+      <MemoryRouter initialEntries={[token ? `/reset-password?token=${token}` : '/reset-password']}>
+        <ResetPassword />
+      </MemoryRouter>
+    );
+  };
+
+  const fillPasswords = (password, confirmPassword) => {
+    fireEvent.change(screen.getByLabelText('New password'), { target: { value: password } });
+    fireEvent.change(screen.getByLabelText('Confirm new password'), { target: { value: confirmPassword } });
+    fireEvent.click(screen.getByRole('button', { name: /reset password/i }));
+  };
+
+  it('should reset the password with the token from the link', async () => {
+    authAPI.resetPassword.mockResolvedValue({ data: { success: true } });
+    renderWithToken();
+
+    fillPasswords('newpassword', 'newpassword');
+
+    await waitFor(() => {
+      expect(authAPI.resetPassword).toHaveBeenCalledWith({ token: 'abc123', password: 'newpassword' });
+      expect(toast.success).toHaveBeenCalled();
+      expect(mockNavigate).toHaveBeenCalledWith('/login');
+    });
+  });
+
+  it('should not submit when the passwords do not match', () => {
+    renderWithToken();
+
+    fillPasswords('newpassword', 'different');
+
+    expect(toast.error).toHaveBeenCalledWith('Passwords do not match');
+    expect(authAPI.resetPassword).not.toHaveBeenCalled();
+  });
+
+  it('should show the error for an expired link', async () => {
+    authAPI.resetPassword.mockRejectedValue({
+      response: { data: { message: 'Password reset link is invalid or has expired' } }
+    });
+    renderWithToken();
+
+    fillPasswords('newpassword', 'newpassword');
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Password reset link is invalid or has expired');
+    });
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it('should offer a new link when the token is missing', () => {
+    renderWithToken(null);
+
+    expect(screen.getByText(/invalid reset link/i)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /request a new link/i })).toHaveAttribute('href', '/forgot-password');
+  });
+});
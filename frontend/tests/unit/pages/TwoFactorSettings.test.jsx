@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import TwoFactorSettings from '../../../src/pages/TwoFactorSettings.jsx';
+import { twoFactorAPI } from '../../../src/utils/api';
+import { useAuth } from '../../../src/context/AuthContext';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../src/utils/api', () => ({
+  twoFactorAPI: {
+    setup: vi.fn(),
+    enable: vi.fn(),
+    disable: vi.fn(),
+    regenerateBackupCodes: vi.fn()
+  }
+}));
+
+vi.mock('../../../src/context/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('TwoFactorSettings Page', () => {
+  let mockUpdateUser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUpdateUser = vi.fn();
+    useAuth.mockReturnValue({
+      user: { id: 'user1', role: 'customer', twoFactorEnabled: false },
+      updateUser: mockUpdateUser
+    });
+  });
+
+  const renderPage = () => {
+    render(
+      <BrowserRouter>
+        <TwoFactorSettings />
+      </BrowserRouter>
+    );
+  };
+
+  it('should enrol with the QR code and show the backup codes once', async () => {
+    twoFactorAPI.setup.mockResolvedValue({
+      data: { data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,qr' } }
+    });
+    twoFactorAPI.enable.mockResolvedValue({ data: { data: { backupCodes: ['ab12-cd34', 'ef56-0789'] } } });
+
+    renderPage();
+    fireEvent.click(screen.getByRole('button', { name: 'Set Up Two-Factor Authentication' }));
+
+    expect(await screen.findByAltText('QR code for your authenticator app')).toHaveAttribute('src', 'data:image/png;base64,qr');
+    expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('2. Enter the 6-digit code it shows'), { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Enable' }));
+
+    await waitFor(() => {
+      expect(twoFactorAPI.enable).toHaveBeenCalledWith('123456');
+      expect(mockUpdateUser).toHaveBeenCalledWith({ twoFactorEnabled: true });
+    });
+    expect(screen.getByText('ab12-cd34')).toBeInTheDocument();
+    expect(screen.getByText('ef56-0789')).toBeInTheDocument();
+  });
+
+  it('should show the server message for a wrong code', async () => {
+    twoFactorAPI.setup.mockResolvedValue({
+      data: { data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,qr' } }
+    });
+    twoFactorAPI.enable.mockRejectedValueOnce({ response: { data: { message: 'Invalid verification code' } } });
+
+    renderPage();
+    fireEvent.click(screen.getByRole('button', { name: 'Set Up Two-Factor Authentication' }));
+    fireEvent.change(await screen.findByLabelText('2. Enter the 6-digit code it shows'), { target: { value: '000000' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Enable' }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Invalid verification code');
+    });
+    expect(mockUpdateUser).not.toHaveBeenCalled();
+  });
+
+  it('should turn 2FA off with the password and a code', async () => {
+    useAuth.mockReturnValue({
+      user: { id: 'user1', role: 'customer', twoFactorEnabled: true },
+      updateUser: mockUpdateUser
+    });
+    twoFactorAPI.disable.mockResolvedValue({ data: { success: true } });
+
+    renderPage();
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'password123' } });
+    fireEvent.change(screen.getByLabelText('Authenticator or backup code'), { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Turn Off' }));
+
+    await waitFor(() => {
+      expect(twoFactorAPI.disable).toHaveBeenCalledWith({ password: 'password123', code: '123456' });
+      expect(mockUpdateUser).toHaveBeenCalledWith({ twoFactorEnabled: false });
+    });
+  });
+
+  it('should generate new backup codes', async () => {
+    useAuth.mockReturnValue({
+      user: { id: 'user1', role: 'customer', twoFactorEnabled: true },
+      updateUser: mockUpdateUser
+    });
+    twoFactorAPI.regenerateBackupCodes.mockResolvedValue({ data: { data: { backupCodes: ['1111-2222'] } } });
+
+    renderPage();
+    fireEvent.change(screen.getByLabelText('Authenticator code'), { target: { value: '123456' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Generate New Backup Codes' }));
+
+    expect(await screen.findByText('1111-2222')).toBeInTheDocument();
+    expect(twoFactorAPI.regenerateBackupCodes).toHaveBeenCalledWith('123456');
+  });
+
+  it('should explain the requirement and hide the off switch for admins who must use 2FA', () => {
+    useAuth.mockReturnValue({
+      user: { id: 'admin1', role: 'admin', twoFactorEnabled: false, twoFactorRequired: true },
+      updateUser: mockUpdateUser
+    });
+
+    renderPage();
+    expect(screen.getByRole('alert')).toHaveTextContent('Your role requires two-factor authentication');
+
+    useAuth.mockReturnValue({
+      user: { id: 'admin1', role: 'admin', twoFactorEnabled: true, twoFactorRequired: true },
+      updateUser: mockUpdateUser
+    });
+    renderPage();
+    expect(screen.queryByRole('button', { name: 'Turn Off' })).not.toBeInTheDocument();
+  });
+});
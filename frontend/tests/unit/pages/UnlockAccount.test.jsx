@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import UnlockAccount from '../../../src/pages/UnlockAccount.jsx';
+import { authAPI } from '../../../src/utils/api';
+
+// Mock dependencies
+vi.mock('../../../src/utils/api', () => ({
+  authAPI: {
+    unlockAccount: vi.fn()
+  }
+}));
+
+describe('UnlockAccount Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderAt = (path) => {
+    render(
+      <MemoryRouter initialEntries={[path]}>
+        <UnlockAccount />
+      </MemoryRouter>
+    );
+  };
+
+  it('should unlock the account with the token from the link', async () => {
+    authAPI.unlockAccount.mockResolvedValue({ data: { success: true } });
+
+    renderAt('/unlock-account?token=abc123');
+
+    expect(await screen.findByText('Account unlocked')).toBeInTheDocument();
+    expect(authAPI.unlockAccount).toHaveBeenCalledWith('abc123');
+    expect(screen.getByRole('link', { name: 'Sign In' })).toHaveAttribute('href', '/login');
+  });
+
+  it('should show the server message when the link is invalid', async () => {
+    authAPI.unlockAccount.mockRejectedValueOnce({
+      response: { data: { message: 'Unlock link is invalid or has expired' } }
+    });
+
+    renderAt('/unlock-account?token=used');
+
+    expect(await screen.findByText('Unlock failed')).toBeInTheDocument();
+    expect(screen.getByText('Unlock link is invalid or has expired')).toBeInTheDocument();
+  });
+
+  it('should not call the API without a token', () => {
+    renderAt('/unlock-account');
+
+    expect(screen.getByText('This unlock link is incomplete.')).toBeInTheDocument();
+    expect(authAPI.unlockAccount).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import VerifyEmail from '../../../src/pages/VerifyEmail.jsx';
+import { authAPI } from '../../../src/utils/api';
+import { useAuth } from '../../../src/context/AuthContext';
+
+// Mock dependencies
+vi.mock('../../../src/utils/api', () => ({
+  authAPI: {
+    verifyEmail: vi.fn()
+  }
+}));
+
+vi.mock('../../../src/context/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
+describe('VerifyEmail Page', () => {
+  let mockUpdateUser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUpdateUser = vi.fn();
+    useAuth.mockReturnValue({ updateUser: mockUpdateUser });
+  });
+
+  const renderAt = (path) => {
+    render(
+      <MemoryRouter initialEntries={[path]}>
+        <VerifyEmail />
+      </MemoryRouter>
+    );
+  };
+
+  it('should verify the token from the link and mark the user verified', async () => {
+    authAPI.verifyEmail.mockResolvedValue({ data: { success: true } });
+
+    renderAt('/verify-email?token=abc123');
+
+    expect(await screen.findByText('Email verified')).toBeInTheDocument();
+    expect(authAPI.verifyEmail).toHaveBeenCalledWith('abc123');
+    expect(mockUpdateUser).toHaveBeenCalledWith({ emailVerified: true });
+  });
+
+  it('should show the server message when the link is invalid', async () => {
+    authAPI.verifyEmail.mockRejectedValue({
+      response: { data: { message: 'Verification link is invalid or has expired' } }
+    });
+
+    renderAt('/verify-email?token=stale');
+
+    expect(await screen.findByText('Verification failed')).toBeInTheDocument();
+    expect(screen.getByText('Verification link is invalid or has expired')).toBeInTheDocument();
+    expect(mockUpdateUser).not.toHaveBeenCalled();
+  });
+
+  it('should not call the API when the link has no token', async () => {
+    renderAt('/verify-email');
+
+    expect(screen.getByText('This verification link is incomplete.')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(authAPI.verifyEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -115,6 +115,24 @@ describe('AdminAnalytics Page', () => {
     });
   });
 
+  it('should show net sales and tax per category', async () => {
+    orderAPI.getAnalytics.mockResolvedValue({
+      data: { data: { totalSales: 1100 } }
+    });
+    orderAPI.getSalesByCategory.mockResolvedValue({
+      data: { data: [{ _id: 'Books', totalSales: 1000, netSales: 900, totalTax: 90, totalItems: 50 }] }
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminAnalytics />
+      </BrowserRouter>
+    );
+
+    expect(await screen.findByText('$900.00')).toBeInTheDocument();
+    expect(screen.getByText('$90.00')).toBeInTheDocument();
+  });
+
   // TDD Evidence:
   // RED: This test failed because AdminAnalytics didn't filter by date range
   // GREEN: After adding date range filtering, test passed
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import AdminCoupons from '../../../../src/pages/admin/AdminCoupons.jsx';
+import { couponAPI, productAPI } from '../../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../../src/utils/api', () => ({
+  couponAPI: {
+    getAll: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn()
+  },
+  productAPI: {
+    getAll: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('AdminCoupons Page', () => {
+  const mockCoupon = {
+    _id: 'coupon1',
+    code: 'SPRING15',
+    description: 'Spring sale',
+    type: 'percentage',
+    value: 15,
+    minimumSpend: 50,
+    categories: ['Clothing'],
+    products: [],
+    usageLimit: 100,
+    perUserLimit: 1,
+    usedCount: 12,
+    isActive: true
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    productAPI.getAll.mockResolvedValue({
+      data: { data: [{ _id: 'product1', name: 'Laptop' }] }
+    });
+  });
+
+  const renderPage = () =>
+    render(
+      <BrowserRouter>
+        <AdminCoupons />
+      </BrowserRouter>
+    );
+
+  it('should list coupons with their conditions and usage', async () => {
+    couponAPI.getAll.mockResolvedValue({ data: { data: [mockCoupon] } });
+
+    renderPage();
+
+    expect(await screen.findByText('SPRING15')).toBeInTheDocument();
+    expect(screen.getByText('15% off')).toBeInTheDocument();
+    expect(screen.getByText('Min. spend $50.00')).toBeInTheDocument();
+    expect(screen.getByText('Categories: Clothing')).toBeInTheDocument();
+    expect(screen.getByText('12 / 100')).toBeInTheDocument();
+    expect(screen.getByText('Active')).toBeInTheDocument();
+  });
+
+  it('should show empty state when there are no coupons', async () => {
+    couponAPI.getAll.mockResolvedValue({ data: { data: [] } });
+
+    renderPage();
+
+    expect(await screen.findByText(/no coupons yet/i)).toBeInTheDocument();
+  });
+
+  it('should create a coupon with limits converted for the API', async () => {
+    couponAPI.getAll.mockResolvedValue({ data: { data: [] } });
+    couponAPI.create.mockResolvedValue({ data: { data: mockCoupon } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /add coupon/i }));
+    fireEvent.change(screen.getByLabelText('Code'), { target: { value: 'TENOFF' } });
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'fixed' } });
+    fireEvent.change(screen.getByLabelText('Amount off'), { target: { value: '10' } });
+    fireEvent.change(screen.getByLabelText('Categories'), { target: { value: 'Electronics, Books' } });
+    fireEvent.change(screen.getByLabelText('Uses per customer'), { target: { value: '1' } });
+    fireEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(couponAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'TENOFF',
+        type: 'fixed',
+        value: 10,
+        minimumSpend: 0,
+        categories: ['Electronics', 'Books'],
+        usageLimit: null,
+        perUserLimit: 1,
+        expiresAt: null
+      }));
+      expect(toast.success).toHaveBeenCalledWith('Coupon created successfully');
+    });
+  });
+
+  it('should show the API error when saving fails', async () => {
+    couponAPI.getAll.mockResolvedValue({ data: { data: [] } });
+    couponAPI.create.mockRejectedValue({ response: { data: { message: 'Coupon code already exists' } } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /add coupon/i }));
+    fireEvent.change(screen.getByLabelText('Code'), { target: { value: 'SPRING15' } });
+    fireEvent.change(screen.getByLabelText('Percent off'), { target: { value: '15' } });
+    fireEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Coupon code already exists');
+    });
+  });
+
+  it('should edit an existing coupon', async () => {
+    couponAPI.getAll.mockResolvedValue({ data: { data: [mockCoupon] } });
+    couponAPI.update.mockResolvedValue({ data: { data: { ...mockCoupon, value: 20 } } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /edit coupon spring15/i }));
+    expect(screen.getByLabelText('Code')).toHaveValue('SPRING15');
+    fireEvent.change(screen.getByLabelText('Percent off'), { target: { value: '20' } });
+    fireEvent.click(screen.getByRole('button', { name: /^update$/i }));
+
+    await waitFor(() => {
+      expect(couponAPI.update).toHaveBeenCalledWith('coupon1', expect.objectContaining({
+        value: 20,
+        categories: ['Clothing'],
+        usageLimit: 100
+      }));
+    });
+  });
+
+  it('should delete a coupon after confirmation', async () => {
+    couponAPI.getAll.mockResolvedValue({ data: { data: [mockCoupon] } });
+    couponAPI.delete.mockResolvedValue({});
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /delete coupon spring15/i }));
+
+    await waitFor(() => {
+      expect(couponAPI.delete).toHaveBeenCalledWith('coupon1');
+      expect(toast.success).toHaveBeenCalledWith('Coupon deleted successfully');
+    });
+  });
+});
@@ -3,6 +3,7 @@ import { render, screen, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import AdminDashboard from '../../../../src/pages/admin/AdminDashboard.jsx';
 import { orderAPI } from '../../../../src/utils/api';
+import { useAuth } from '../../../../src/context/AuthContext';
 
 // Mock dependencies
 vi.mock('../../../../src/utils/api', () => ({
@@ -11,9 +12,14 @@ vi.mock('../../../../src/utils/api', () => ({
   }
 }));
 
+vi.mock('../../../../src/context/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
 describe('AdminDashboard Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    useAuth.mockReturnValue({ hasPermission: () => true });
   });
 
   // TDD Evidence:
@@ -109,5 +115,22 @@ describe('AdminDashboard Page', () => {
     // Should be in loading state
     expect(orderAPI.getAnalytics).toHaveBeenCalled();
   });
-});
 
+  it('should only show the sections a staff role can use', () => {
+    const granted = ['orders:read', 'orders:fulfil', 'shipping:write'];
+    useAuth.mockReturnValue({ hasPermission: (permission) => granted.includes(permission) });
+
+    render(
+      <BrowserRouter>
+        <AdminDashboard />
+      </BrowserRouter>
+    );
+
+    expect(screen.getByText('View Orders')).toBeInTheDocument();
+    expect(screen.getByText('Manage Shipping')).toBeInTheDocument();
+    expect(screen.queryByText('Manage Products')).not.toBeInTheDocument();
+    expect(screen.queryByText('Manage Users')).not.toBeInTheDocument();
+    expect(screen.queryByText('Total Sales')).not.toBeInTheDocument();
+    expect(orderAPI.getAnalytics).not.toHaveBeenCalled();
+  });
+});
@@ -1,19 +1,37 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import AdminOrders from '../../../../src/pages/admin/AdminOrders.jsx';
 import { orderAPI } from '../../../../src/utils/api';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../../../src/context/AuthContext';
 
 // Mock dependencies
 vi.mock('../../../../src/utils/api', () => ({
   orderAPI: {
-    getAll: vi.fn()
+    getAll: vi.fn(),
+    updateStatus: vi.fn(),
+    confirmPayment: vi.fn(),
+    createShipment: vi.fn(),
+    markShipmentDelivered: vi.fn()
   }
 }));
 
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../../src/context/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
 describe('AdminOrders Page', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    useAuth.mockReturnValue({ hasPermission: () => true });
   });
 
   // TDD Evidence:
@@ -80,6 +98,35 @@ describe('AdminOrders Page', () => {
     await waitFor(() => {
       expect(screen.getByText(/1000/i)).toBeInTheDocument();
     });
+    expect(screen.queryByText('Refund due')).not.toBeInTheDocument();
+  });
+
+  it('should flag cancelled orders whose payment has not been refunded', async () => {
+    orderAPI.getAll.mockResolvedValue({
+      data: {
+        data: [
+          {
+            _id: 'order1',
+            user: { name: 'Test User' },
+            totalPrice: 120,
+            totalRefunded: 0,
+            createdAt: '2024-01-01',
+            isPaid: true,
+            status: 'cancelled',
+            paymentMethod: 'Credit Card',
+            orderItems: []
+          }
+        ]
+      }
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    expect(await screen.findByText('Refund due')).toBeInTheDocument();
   });
 
   // TDD Evidence:
@@ -116,5 +163,288 @@ describe('AdminOrders Page', () => {
     // Should be in loading state
     expect(orderAPI.getAll).toHaveBeenCalled();
   });
-});
 
+  it('should only offer the statuses allowed by the lifecycle', async () => {
+    const mockOrders = [
+      {
+        _id: 'order1234567890',
+        user: { name: 'Test User' },
+        totalPrice: 50,
+        createdAt: '2024-01-01',
+        status: 'paid',
+        orderItems: []
+      }
+    ];
+    orderAPI.getAll.mockResolvedValue({ data: { data: mockOrders } });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    const select = await screen.findByLabelText(/update status for order/i);
+    const options = Array.from(select.options).map((option) => option.value);
+    expect(options).toEqual(['', 'processing', 'cancelled']);
+  });
+
+  it('should update order status and refresh the row', async () => {
+    const order = {
+      _id: 'order1234567890',
+      user: { name: 'Test User' },
+      totalPrice: 50,
+      createdAt: '2024-01-01',
+      status: 'paid',
+      orderItems: []
+    };
+    orderAPI.getAll.mockResolvedValue({ data: { data: [order] } });
+    orderAPI.updateStatus.mockResolvedValue({
+      data: { data: { ...order, user: 'userId', status: 'processing' } }
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    const select = await screen.findByLabelText(/update status for order/i);
+    fireEvent.change(select, { target: { value: 'processing' } });
+
+    await waitFor(() => {
+      expect(orderAPI.updateStatus).toHaveBeenCalledWith('order1234567890', { status: 'processing' });
+      expect(toast.success).toHaveBeenCalled();
+    });
+    expect(await screen.findByText('Processing')).toBeInTheDocument();
+    expect(screen.getByText('Test User')).toBeInTheDocument();
+  });
+
+  it('should show an error when the transition is rejected', async () => {
+    const order = {
+      _id: 'order1234567890',
+      user: { name: 'Test User' },
+      totalPrice: 50,
+      createdAt: '2024-01-01',
+      status: 'pending',
+      orderItems: []
+    };
+    orderAPI.getAll.mockResolvedValue({ data: { data: [order] } });
+    orderAPI.updateStatus.mockRejectedValue({
+      response: { data: { message: 'Order status was changed by another request, please retry' } }
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    const select = await screen.findByLabelText(/update status for order/i);
+    fireEvent.change(select, { target: { value: 'cancelled' } });
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('Order status was changed by another request, please retry');
+    });
+  });
+
+  it('should not offer the paid status for cash on delivery orders', async () => {
+    const order = {
+      _id: 'order1234567890',
+      user: { name: 'Test User' },
+      totalPrice: 50,
+      createdAt: '2024-01-01',
+      status: 'pending',
+      paymentMethod: 'Cash on Delivery',
+      orderItems: []
+    };
+    orderAPI.getAll.mockResolvedValue({ data: { data: [order] } });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    const select = await screen.findByLabelText(/update status for order/i);
+    const options = Array.from(select.options).map((option) => option.value);
+    expect(options).toEqual(['', 'processing', 'cancelled']);
+  });
+
+  it('should confirm a bank transfer with its reference', async () => {
+    const order = {
+      _id: 'order1234567890',
+      user: { name: 'Test User' },
+      totalPrice: 50,
+      createdAt: '2024-01-01',
+      status: 'pending',
+      paymentMethod: 'Bank Transfer',
+      paymentReference: 'BT-1A2B3C4D',
+      isPaid: false,
+      orderItems: []
+    };
+    orderAPI.getAll.mockResolvedValue({ data: { data: [order] } });
+    orderAPI.confirmPayment.mockResolvedValue({
+      data: { data: { ...order, user: 'userId', status: 'paid', isPaid: true } }
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: /confirm transfer/i }));
+    fireEvent.change(screen.getByLabelText(/transfer reference for order/i), {
+      target: { value: 'BT-1A2B3C4D' }
+    });
+    fireEvent.click(screen.getByRole('button', { name: /^confirm$/i }));
+
+    await waitFor(() => {
+      expect(orderAPI.confirmPayment).toHaveBeenCalledWith('order1234567890', { reference: 'BT-1A2B3C4D' });
+      expect(toast.success).toHaveBeenCalled();
+    });
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: /confirm transfer/i })).not.toBeInTheDocument();
+    });
+    expect(screen.getAllByText('Paid').length).toBeGreaterThan(0);
+  });
+
+  it('should record cash collected for a shipped cash on delivery order', async () => {
+    const order = {
+      _id: 'order1234567890',
+      user: { name: 'Test User' },
+      totalPrice: 50,
+      createdAt: '2024-01-01',
+      status: 'shipped',
+      paymentMethod: 'Cash on Delivery',
+      isPaid: false,
+      orderItems: []
+    };
+    orderAPI.getAll.mockResolvedValue({ data: { data: [order] } });
+    orderAPI.confirmPayment.mockResolvedValue({
+      data: { data: { ...order, status: 'delivered', isPaid: true } }
+    });
+
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+      </BrowserRouter>
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: /cash collected/i }));
+
+    await waitFor(() => {
+      expect(orderAPI.confirmPayment).toHaveBeenCalledWith('order1234567890', {});
+    });
+  });
+
+  describe('Shipments', () => {
+    const processingOrder = {
+      _id: 'order1234567890',
+      user: { name: 'Test User' },
+      totalPrice: 50,
+      createdAt: '2024-01-01',
+      status: 'processing',
+      paymentMethod: 'Credit Card',
+      isPaid: true,
+      orderItems: [{ product: 'p1', name: 'Lamp', price: 50, quantity: 1 }]
+    };
+
+    it('should ship an order with its carrier and tracking number', async () => {
+      orderAPI.getAll.mockResolvedValue({ data: { data: [processingOrder] } });
+      orderAPI.createShipment.mockResolvedValue({
+        data: {
+          data: {
+            ...processingOrder,
+            status: 'shipped',
+            shipments: [{ _id: 's1', carrier: 'UPS', trackingNumber: '1Z999', items: [{ product: 'p1', quantity: 1 }] }]
+          }
+        }
+      });
+
+      render(
+        <BrowserRouter>
+          <AdminOrders />
+        </BrowserRouter>
+      );
+
+      fireEvent.click(await screen.findByRole('button', { name: /create shipment/i }));
+      fireEvent.change(screen.getByLabelText(/carrier for order/i), { target: { value: 'UPS' } });
+      fireEvent.change(screen.getByLabelText(/tracking number for order/i), { target: { value: '1Z999' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Ship' }));
+
+      await waitFor(() => {
+        expect(orderAPI.createShipment).toHaveBeenCalledWith('order1234567890', {
+          carrier: 'UPS',
+          trackingNumber: '1Z999'
+        });
+        expect(toast.success).toHaveBeenCalledWith('Order #34567890 shipped');
+      });
+      expect(await screen.findByRole('button', { name: 'Delivered: 1Z999' })).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /create shipment/i })).not.toBeInTheDocument();
+    });
+
+    it('should require a tracking number before shipping', async () => {
+      orderAPI.getAll.mockResolvedValue({ data: { data: [processingOrder] } });
+
+      render(
+        <BrowserRouter>
+          <AdminOrders />
+        </BrowserRouter>
+      );
+
+      fireEvent.click(await screen.findByRole('button', { name: /create shipment/i }));
+      fireEvent.change(screen.getByLabelText(/carrier for order/i), { target: { value: 'UPS' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Ship' }));
+
+      expect(toast.error).toHaveBeenCalledWith('Please enter the carrier and tracking number');
+      expect(orderAPI.createShipment).not.toHaveBeenCalled();
+    });
+
+    it('should mark a shipment as delivered', async () => {
+      const shippedOrder = {
+        ...processingOrder,
+        status: 'shipped',
+        shipments: [{ _id: 's1', carrier: 'UPS', trackingNumber: '1Z999', items: [{ product: 'p1', quantity: 1 }] }]
+      };
+      orderAPI.getAll.mockResolvedValue({ data: { data: [shippedOrder] } });
+      orderAPI.markShipmentDelivered.mockResolvedValue({
+        data: {
+          data: {
+            ...shippedOrder,
+            status: 'delivered',
+            shipments: [{ ...shippedOrder.shipments[0], deliveredAt: '2024-01-05' }]
+          }
+        }
+      });
+
+      render(
+        <BrowserRouter>
+          <AdminOrders />
+        </BrowserRouter>
+      );
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Delivered: 1Z999' }));
+
+      await waitFor(() => {
+        expect(orderAPI.markShipmentDelivered).toHaveBeenCalledWith('order1234567890', 's1');
+      });
+      expect(await screen.findByText('Delivered')).toBeInTheDocument();
+    });
+
+    it('should hide fulfilment actions from staff who can only read orders', async () => {
+      useAuth.mockReturnValue({ hasPermission: (permission) => permission === 'orders:read' });
+      orderAPI.getAll.mockResolvedValue({ data: { data: [processingOrder] } });
+
+      render(
+        <BrowserRouter>
+          <AdminOrders />
+        </BrowserRouter>
+      );
+
+      expect(await screen.findByText('#34567890')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /create shipment/i })).not.toBeInTheDocument();
+      expect(screen.queryByLabelText(/update status for order/i)).not.toBeInTheDocument();
+    });
+  });
+});
@@ -11,7 +11,10 @@ vi.mock('../../../../src/utils/api', () => ({
     getAll: vi.fn(),
     create: vi.fn(),
     update: vi.fn(),
-    delete: vi.fn()
+    delete: vi.fn(),
+    uploadImages: vi.fn(),
+    updateImages: vi.fn(),
+    deleteImage: vi.fn()
   }
 }));
 
@@ -163,6 +166,29 @@ describe('AdminProducts Page', () => {
     }
   });
 
+  it('should save the shipping weight and dimensions', async () => {
+    productAPI.getAll.mockResolvedValue({ data: { data: [] } });
+    productAPI.create.mockResolvedValue({ data: { data: { _id: '1' } } });
+
+    render(
+      <BrowserRouter>
+        <AdminProducts />
+      </BrowserRouter>
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: /add product/i }));
+    fireEvent.change(screen.getByLabelText('Weight (kg)'), { target: { name: 'weight', value: '1.5' } });
+    fireEvent.change(screen.getByLabelText('length (cm)'), { target: { name: 'length', value: '30' } });
+    fireEvent.submit(screen.getByRole('button', { name: /create/i }).closest('form'));
+
+    await waitFor(() => {
+      expect(productAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+        weight: '1.5',
+        dimensions: { length: '30', width: 0, height: 0 }
+      }));
+    });
+  });
+
   // TDD Evidence:
   // RED: This test failed because AdminProducts didn't delete product
   // GREEN: After adding delete functionality, test passed
@@ -203,5 +229,216 @@ describe('AdminProducts Page', () => {
       });
     }
   });
-});
 
+  describe('variants', () => {
+    it('should build a variant for every combination of options and save them', async () => {
+      productAPI.getAll.mockResolvedValue({ data: { data: [] } });
+      productAPI.create.mockResolvedValue({ data: { data: { _id: '1' } } });
+
+      render(
+        <BrowserRouter>
+          <AdminProducts />
+        </BrowserRouter>
+      );
+
+      fireEvent.click(await screen.findByRole('button', { name: /add product/i }));
+      fireEvent.click(screen.getByRole('button', { name: /add option/i }));
+      fireEvent.change(screen.getByLabelText('Option 1 name'), { target: { value: 'Size' } });
+      fireEvent.change(screen.getByLabelText('Option 1 values'), { target: { value: 'S, M' } });
+      fireEvent.click(screen.getByRole('button', { name: /add option/i }));
+      fireEvent.change(screen.getByLabelText('Option 2 name'), { target: { value: 'Colour' } });
+      fireEvent.change(screen.getByLabelText('Option 2 values'), { target: { value: 'Red' } });
+      fireEvent.click(screen.getByRole('button', { name: /build variants/i }));
+
+      expect(screen.getByLabelText('SKU for S / Red')).toHaveValue('S-RED');
+      expect(screen.getByLabelText('SKU for M / Red')).toHaveValue('M-RED');
+
+      fireEvent.change(screen.getByLabelText('Stock for S / Red'), { target: { value: '2' } });
+      fireEvent.change(screen.getByLabelText('Stock for M / Red'), { target: { value: '3' } });
+      fireEvent.change(screen.getByLabelText('Price for M / Red'), { target: { value: '30' } });
+
+      // Stock is the variant total and cannot be edited directly
+      const stockInput = screen.getAllByRole('spinbutton').find((input) => input.name === 'stock');
+      expect(stockInput).toBeDisabled();
+      expect(stockInput).toHaveValue(5);
+
+      fireEvent.submit(screen.getByRole('button', { name: /^create$/i }).closest('form'));
+
+      await waitFor(() => {
+        expect(productAPI.create).toHaveBeenCalledWith(expect.objectContaining({
+          stock: 5,
+          options: [{ name: 'Size', values: ['S', 'M'] }, { name: 'Colour', values: ['Red'] }],
+          variants: [
+            { sku: 'S-RED', attributes: { Size: 'S', Colour: 'Red' }, price: '', stock: '2', image: '' },
+            { sku: 'M-RED', attributes: { Size: 'M', Colour: 'Red' }, price: '30', stock: '3', image: '' }
+          ]
+        }));
+      });
+    });
+
+    it('should keep existing variants when editing and show their total stock', async () => {
+      const tee = {
+        _id: 'tee',
+        name: 'Tee',
+        description: 'Cotton tee',
+        price: 20,
+        category: 'Clothing',
+        stock: 4,
+        options: [{ name: 'Size', values: ['S', 'M'] }],
+        variants: [
+          { _id: 'small', sku: 'TEE-S', attributes: { Size: 'S' }, price: 25, stock: 1 },
+          { _id: 'medium', sku: 'TEE-M', attributes: { Size: 'M' }, stock: 3 }
+        ]
+      };
+      productAPI.getAll.mockResolvedValue({ data: { data: [tee] } });
+      productAPI.update.mockResolvedValue({ data: { data: tee } });
+
+      render(
+        <BrowserRouter>
+          <AdminProducts />
+        </BrowserRouter>
+      );
+
+      expect(await screen.findByText('across 2 variants')).toBeInTheDocument();
+      const editButton = screen.getAllByRole('button').find((btn) => btn.className.includes('primary-600'));
+      fireEvent.click(editButton);
+
+      expect(screen.getByLabelText('Option 1 values')).toHaveValue('S, M');
+      expect(screen.getByLabelText('Price for S')).toHaveValue(25);
+      fireEvent.click(screen.getByRole('button', { name: 'Remove M' }));
+      fireEvent.submit(screen.getByRole('button', { name: /update/i }).closest('form'));
+
+      await waitFor(() => {
+        expect(productAPI.update).toHaveBeenCalledWith('tee', expect.objectContaining({
+          stock: 1,
+          variants: [{ _id: 'small', sku: 'TEE-S', attributes: { Size: 'S' }, price: 25, stock: 1, image: '' }]
+        }));
+      });
+    });
+  });
+
+  describe('gallery', () => {
+    const photo = (id, alt = '') => ({
+      _id: id,
+      alt,
+      thumbnail: `/uploads/products/${id}/thumbnail.webp`,
+      medium: `/uploads/products/${id}/medium.webp`,
+      large: `/uploads/products/${id}/large.webp`
+    });
+    const lamp = {
+      _id: 'lamp',
+      name: 'Lamp',
+      description: 'Desk lamp',
+      price: 40,
+      category: 'Home',
+      stock: 2,
+      image: '/uploads/products/front/medium.webp',
+      images: [photo('front', 'Lamp from the front'), photo('side')]
+    };
+
+    const openLamp = async () => {
+      render(
+        <BrowserRouter>
+          <AdminProducts />
+        </BrowserRouter>
+      );
+      await screen.findByText('Lamp');
+      fireEvent.click(screen.getAllByRole('button').find((btn) => btn.className.includes('primary-600')));
+    };
+
+    it('should ask to save a new product before uploading photos', async () => {
+      productAPI.getAll.mockResolvedValue({ data: { data: [] } });
+
+      render(
+        <BrowserRouter>
+          <AdminProducts />
+        </BrowserRouter>
+      );
+      fireEvent.click(screen.getByRole('button', { name: /add product/i }));
+
+      expect(screen.getByText('Save the product to upload photos.')).toBeInTheDocument();
+      expect(screen.getByPlaceholderText('https://example.com/image.jpg')).toBeInTheDocument();
+    });
+
+    it('should list the photos in place of the image URL field', async () => {
+      productAPI.getAll.mockResolvedValue({ data: { data: [lamp] } });
+
+      await openLamp();
+
+      expect(screen.getByLabelText('Alt text for photo 1')).toHaveValue('Lamp from the front');
+      expect(screen.getByText('2 of 12')).toBeInTheDocument();
+      expect(screen.queryByPlaceholderText('https://example.com/image.jpg')).not.toBeInTheDocument();
+    });
+
+    it('should upload the chosen files straight away', async () => {
+      productAPI.getAll.mockResolvedValue({ data: { data: [lamp] } });
+      productAPI.uploadImages.mockResolvedValue({
+        data: { data: { ...lamp, images: [...lamp.images, photo('back')] } }
+      });
+
+      await openLamp();
+      const file = new File(['png'], 'back.png', { type: 'image/png' });
+      fireEvent.change(screen.getByLabelText('Upload photos'), { target: { files: [file] } });
+
+      await waitFor(() => {
+        expect(screen.getByLabelText('Alt text for photo 3')).toBeInTheDocument();
+      });
+      const [id, formData] = productAPI.uploadImages.mock.calls[0];
+      expect(id).toBe('lamp');
+      expect(formData.getAll('images')).toEqual([file]);
+      expect(toast.success).toHaveBeenCalledWith('Photos uploaded');
+      expect(productAPI.getAll).toHaveBeenCalledTimes(2);
+    });
+
+    it('should save the new order and alt text together', async () => {
+      productAPI.getAll.mockResolvedValue({ data: { data: [lamp] } });
+      productAPI.updateImages.mockResolvedValue({
+        data: { data: { ...lamp, images: [photo('side', 'Side view'), photo('front', 'Lamp from the front')] } }
+      });
+
+      await openLamp();
+      fireEvent.click(screen.getByRole('button', { name: 'Move photo 2 up' }));
+      fireEvent.change(screen.getByLabelText('Alt text for photo 1'), { target: { value: 'Side view' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save order and alt text' }));
+
+      await waitFor(() => {
+        expect(productAPI.updateImages).toHaveBeenCalledWith('lamp', [
+          { _id: 'side', alt: 'Side view' },
+          { _id: 'front', alt: 'Lamp from the front' }
+        ]);
+      });
+      expect(toast.success).toHaveBeenCalledWith('Photos updated');
+      expect(screen.queryByRole('button', { name: 'Save order and alt text' })).not.toBeInTheDocument();
+    });
+
+    it('should remove a photo after confirming', async () => {
+      window.confirm = vi.fn(() => true);
+      productAPI.getAll.mockResolvedValue({ data: { data: [lamp] } });
+      productAPI.deleteImage.mockResolvedValue({ data: { data: { ...lamp, images: [photo('side')] } } });
+
+      await openLamp();
+      fireEvent.click(screen.getByRole('button', { name: 'Remove photo 1' }));
+
+      await waitFor(() => {
+        expect(productAPI.deleteImage).toHaveBeenCalledWith('lamp', 'front');
+      });
+      expect(await screen.findByText('1 of 12')).toBeInTheDocument();
+    });
+
+    it('should show why an upload was rejected', async () => {
+      productAPI.getAll.mockResolvedValue({ data: { data: [lamp] } });
+      productAPI.uploadImages.mockRejectedValue({
+        response: { data: { message: 'notes.txt is not a JPEG, PNG, WebP or GIF image' } }
+      });
+
+      await openLamp();
+      const file = new File(['text'], 'notes.txt', { type: 'text/plain' });
+      fireEvent.change(screen.getByLabelText('Upload photos'), { target: { files: [file] } });
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith('notes.txt is not a JPEG, PNG, WebP or GIF image');
+      });
+      expect(screen.getByText('2 of 12')).toBeInTheDocument();
+    });
+  });
+});
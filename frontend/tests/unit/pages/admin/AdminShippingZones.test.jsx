@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import AdminShippingZones from '../../../../src/pages/admin/AdminShippingZones.jsx';
+import { shippingAPI } from '../../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../../src/utils/api', () => ({
+  shippingAPI: {
+    getZones: vi.fn(),
+    createZone: vi.fn(),
+    updateZone: vi.fn(),
+    deleteZone: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('AdminShippingZones Page', () => {
+  const mockZone = {
+    _id: 'zone1',
+    name: 'Europe',
+    countries: ['FRA', 'DEU'],
+    isDefault: false,
+    isActive: true,
+    methods: [
+      { code: 'standard', name: 'Standard', rateBasis: 'weight', rates: [{ upTo: 2, price: 6 }, { upTo: null, price: 12 }], minDays: 3, maxDays: 5 },
+      { code: 'express', name: 'Express', rateBasis: 'price', rates: [{ upTo: null, price: 25 }] }
+    ]
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderPage = () =>
+    render(
+      <BrowserRouter>
+        <AdminShippingZones />
+      </BrowserRouter>
+    );
+
+  it('should list shipping zones with their countries and methods', async () => {
+    shippingAPI.getZones.mockResolvedValue({
+      data: { data: [mockZone, { _id: 'zone2', name: 'World', countries: [], isDefault: true, isActive: false, methods: [] }] }
+    });
+
+    renderPage();
+
+    expect(await screen.findByText('Europe')).toBeInTheDocument();
+    expect(screen.getByText('FRA, DEU')).toBeInTheDocument();
+    expect(screen.getByText('Standard, Express')).toBeInTheDocument();
+    expect(screen.getByText('Default zone')).toBeInTheDocument();
+    expect(screen.getByText('All other countries')).toBeInTheDocument();
+    expect(screen.getByText('Inactive')).toBeInTheDocument();
+  });
+
+  it('should show empty state when there are no zones', async () => {
+    shippingAPI.getZones.mockResolvedValue({ data: { data: [] } });
+
+    renderPage();
+
+    expect(await screen.findByText(/no shipping zones yet/i)).toBeInTheDocument();
+  });
+
+  it('should create a zone with a weight based rate table', async () => {
+    shippingAPI.getZones.mockResolvedValue({ data: { data: [] } });
+    shippingAPI.createZone.mockResolvedValue({ data: { data: mockZone } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /add shipping zone/i }));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Nordics' } });
+    fireEvent.change(screen.getByLabelText('Countries'), { target: { value: 'SWE, nor' } });
+    fireEvent.change(screen.getByLabelText('Standard rate 1 up to'), { target: { value: '5' } });
+    fireEvent.change(screen.getByLabelText('Standard rate 1 price'), { target: { value: '9' } });
+    fireEvent.click(screen.getByRole('button', { name: /add standard rate/i }));
+    fireEvent.change(screen.getByLabelText('Standard rate 2 price'), { target: { value: '15' } });
+    fireEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(shippingAPI.createZone).toHaveBeenCalledWith({
+        name: 'Nordics',
+        countries: ['SWE', 'nor'],
+        isDefault: false,
+        isActive: true,
+        methods: [
+          {
+            code: 'standard',
+            name: 'Standard Shipping',
+            rateBasis: 'weight',
+            minDays: null,
+            maxDays: null,
+            rates: [{ upTo: 5, price: 9 }, { upTo: null, price: 15 }]
+          }
+        ]
+      });
+      expect(toast.success).toHaveBeenCalledWith('Shipping zone created successfully');
+    });
+  });
+
+  it('should show the API error when saving fails', async () => {
+    shippingAPI.getZones.mockResolvedValue({ data: { data: [] } });
+    shippingAPI.createZone.mockRejectedValue({ response: { data: { message: 'FRA is already covered by the Europe zone' } } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /add shipping zone/i }));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'France' } });
+    fireEvent.change(screen.getByLabelText('Standard rate 1 price'), { target: { value: '5' } });
+    fireEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('FRA is already covered by the Europe zone');
+    });
+  });
+
+  it('should edit an existing zone, dropping a disabled method', async () => {
+    shippingAPI.getZones.mockResolvedValue({ data: { data: [mockZone] } });
+    shippingAPI.updateZone.mockResolvedValue({ data: { data: mockZone } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /edit shipping zone europe/i }));
+    expect(screen.getByLabelText('Countries')).toHaveValue('FRA, DEU');
+    expect(screen.getByLabelText('Standard rate 2 up to')).toHaveValue(null);
+    fireEvent.click(screen.getByRole('checkbox', { name: /offer express shipping/i }));
+    fireEvent.click(screen.getByRole('button', { name: /^update$/i }));
+
+    await waitFor(() => {
+      expect(shippingAPI.updateZone).toHaveBeenCalledWith('zone1', expect.objectContaining({
+        methods: [expect.objectContaining({ code: 'standard', minDays: 3, maxDays: 5 })]
+      }));
+    });
+  });
+
+  it('should delete a zone after confirmation', async () => {
+    shippingAPI.getZones.mockResolvedValue({ data: { data: [mockZone] } });
+    shippingAPI.deleteZone.mockResolvedValue({});
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /delete shipping zone europe/i }));
+
+    await waitFor(() => {
+      expect(shippingAPI.deleteZone).toHaveBeenCalledWith('zone1');
+      expect(toast.success).toHaveBeenCalledWith('Shipping zone deleted successfully');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import AdminTaxRules from '../../../../src/pages/admin/AdminTaxRules.jsx';
+import { taxRuleAPI } from '../../../../src/utils/api';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../../src/utils/api', () => ({
+  taxRuleAPI: {
+    getAll: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn()
+  }
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+describe('AdminTaxRules Page', () => {
+  const mockRule = {
+    _id: 'rule1',
+    country: 'USA',
+    state: 'NY',
+    name: 'New York sales tax',
+    rates: { standard: 8.875, reduced: 4 },
+    pricingMode: 'exclusive',
+    isActive: true
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderPage = () =>
+    render(
+      <BrowserRouter>
+        <AdminTaxRules />
+      </BrowserRouter>
+    );
+
+  it('should list tax rules with their rates', async () => {
+    taxRuleAPI.getAll.mockResolvedValue({ data: { data: [mockRule] } });
+
+    renderPage();
+
+    expect(await screen.findByText('USA / NY')).toBeInTheDocument();
+    expect(screen.getByText('Standard rate: 8.875%, Reduced rate: 4%')).toBeInTheDocument();
+    expect(screen.getByText('Tax added at checkout')).toBeInTheDocument();
+    expect(screen.getByText('Active')).toBeInTheDocument();
+  });
+
+  it('should show empty state when there are no tax rules', async () => {
+    taxRuleAPI.getAll.mockResolvedValue({ data: { data: [] } });
+
+    renderPage();
+
+    expect(await screen.findByText(/no tax rules yet/i)).toBeInTheDocument();
+  });
+
+  it('should create a country-wide rule, leaving unset rates out', async () => {
+    taxRuleAPI.getAll.mockResolvedValue({ data: { data: [] } });
+    taxRuleAPI.create.mockResolvedValue({ data: { data: mockRule } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /add tax rule/i }));
+    fireEvent.change(screen.getByLabelText('Country'), { target: { value: 'DE' } });
+    fireEvent.change(screen.getByLabelText('Standard rate (%)'), { target: { value: '19' } });
+    fireEvent.change(screen.getByLabelText('Pricing'), { target: { value: 'inclusive' } });
+    fireEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(taxRuleAPI.create).toHaveBeenCalledWith({
+        country: 'DE',
+        state: '',
+        name: '',
+        rates: { standard: 19 },
+        pricingMode: 'inclusive',
+        isActive: true
+      });
+      expect(toast.success).toHaveBeenCalledWith('Tax rule created successfully');
+    });
+  });
+
+  it('should show the API error when saving fails', async () => {
+    taxRuleAPI.getAll.mockResolvedValue({ data: { data: [] } });
+    taxRuleAPI.create.mockRejectedValue({ response: { data: { message: 'A tax rule already exists for this location' } } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /add tax rule/i }));
+    fireEvent.change(screen.getByLabelText('Country'), { target: { value: 'USA' } });
+    fireEvent.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith('A tax rule already exists for this location');
+    });
+  });
+
+  it('should edit an existing rule', async () => {
+    taxRuleAPI.getAll.mockResolvedValue({ data: { data: [mockRule] } });
+    taxRuleAPI.update.mockResolvedValue({ data: { data: mockRule } });
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /edit tax rule usa \/ ny/i }));
+    expect(screen.getByLabelText('State / Region')).toHaveValue('NY');
+    fireEvent.change(screen.getByLabelText('Reduced rate (%)'), { target: { value: '' } });
+    fireEvent.click(screen.getByRole('button', { name: /^update$/i }));
+
+    await waitFor(() => {
+      expect(taxRuleAPI.update).toHaveBeenCalledWith('rule1', expect.objectContaining({
+        rates: { standard: 8.875 }
+      }));
+    });
+  });
+
+  it('should delete a rule after confirmation', async () => {
+    taxRuleAPI.getAll.mockResolvedValue({ data: { data: [mockRule] } });
+    taxRuleAPI.delete.mockResolvedValue({});
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /delete tax rule usa \/ ny/i }));
+
+    await waitFor(() => {
+      expect(taxRuleAPI.delete).toHaveBeenCalledWith('rule1');
+      expect(toast.success).toHaveBeenCalledWith('Tax rule deleted successfully');
+    });
+  });
+});
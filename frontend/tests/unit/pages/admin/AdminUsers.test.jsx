@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { BrowserRouter } from 'react-router-dom';
+import AdminUsers from '../../../../src/pages/admin/AdminUsers.jsx';
+import { userAPI } from '../../../../src/utils/api';
+import { useAuth } from '../../../../src/context/AuthContext';
+import { toast } from 'react-toastify';
+
+// Mock dependencies
+vi.mock('../../../../src/utils/api', () => ({
+  userAPI: {
+    getAll: vi.fn(),
+    getById: vi.fn(),
+    getOrders: vi.fn(),
+    updateRole: vi.fn(),
+    updateStatus: vi.fn()
+  }
+}));
+
+vi.mock('../../../../src/context/AuthContext', () => ({
+  useAuth: vi.fn()
+}));
+
+vi.mock('react-toastify', () => ({
+  toast: {
+    success: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+const admin = { _id: 'admin1', name: 'Site Admin', email: 'admin@example.com', role: 'admin', isActive: true };
+const jane = { _id: 'user1', name: 'Jane Customer', email: 'jane@example.com', role: 'customer', isActive: true };
+
+describe('AdminUsers Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useAuth.mockReturnValue({ user: { id: 'admin1', role: 'admin' }, hasPermission: () => true });
+    userAPI.getAll.mockResolvedValue({ data: { data: [admin, jane], total: 2, page: 1, pages: 1 } });
+    window.confirm = vi.fn(() => true);
+  });
+
+  const renderAdminUsers = () => {
+    render(
+      <BrowserRouter>
+        <AdminUsers />
+      </BrowserRouter>
+    );
+  };
+
+  it('should list users with their role and status', async () => {
+    renderAdminUsers();
+
+    expect(await screen.findByText('jane@example.com')).toBeInTheDocument();
+    expect(userAPI.getAll).toHaveBeenCalledWith({ page: 1, limit: 20 });
+    expect(screen.getByLabelText('Role for jane@example.com')).toHaveValue('customer');
+    expect(screen.getAllByText('Active', { selector: 'span' })).toHaveLength(2);
+  });
+
+  it('should not let admins change their own role or disable themselves', async () => {
+    renderAdminUsers();
+
+    expect(await screen.findByLabelText('Role for admin@example.com')).toBeDisabled();
+    expect(screen.queryByRole('button', { name: 'Disable admin@example.com' })).not.toBeInTheDocument();
+  });
+
+  it('should search by name or email', async () => {
+    renderAdminUsers();
+    await screen.findByText('jane@example.com');
+
+    fireEvent.change(screen.getByLabelText('Search'), { target: { name: 'search', value: 'jane' } });
+    fireEvent.change(screen.getByLabelText('Status'), { target: { name: 'status', value: 'disabled' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search users' }));
+
+    await waitFor(() => {
+      expect(userAPI.getAll).toHaveBeenLastCalledWith({ page: 1, limit: 20, search: 'jane', status: 'disabled' });
+    });
+  });
+
+  it('should request the next page', async () => {
+    userAPI.getAll.mockResolvedValue({ data: { data: [jane], total: 21, page: 1, pages: 2 } });
+
+    renderAdminUsers();
+    fireEvent.click(await screen.findByRole('button', { name: 'Next' }));
+
+    await waitFor(() => {
+      expect(userAPI.getAll).toHaveBeenLastCalledWith({ page: 2, limit: 20 });
+    });
+  });
+
+  it('should change a user\'s role', async () => {
+    userAPI.updateRole.mockResolvedValue({ data: { data: { ...jane, role: 'admin' } } });
+
+    renderAdminUsers();
+    fireEvent.change(await screen.findByLabelText('Role for jane@example.com'), { target: { value: 'admin' } });
+
+    await waitFor(() => {
+      expect(userAPI.updateRole).toHaveBeenCalledWith('user1', 'admin');
+      expect(toast.success).toHaveBeenCalledWith('Jane Customer is now Admin');
+    });
+  });
+
+  it('should disable an account after confirmation', async () => {
+    userAPI.updateStatus.mockResolvedValue({ data: { data: { ...jane, isActive: false } } });
+
+    renderAdminUsers();
+    fireEvent.click(await screen.findByRole('button', { name: 'Disable jane@example.com' }));
+
+    await waitFor(() => {
+      expect(userAPI.updateStatus).toHaveBeenCalledWith('user1', false);
+      expect(screen.getByText('Disabled', { selector: 'span' })).toBeInTheDocument();
+    });
+  });
+
+  it('should show a customer\'s orders and lifetime spend', async () => {
+    userAPI.getById.mockResolvedValue({
+      data: {
+        data: {
+          user: jane,
+          summary: { orderCount: 1, paidOrderCount: 1, lifetimeSpend: 125.5, lastOrderAt: '2024-01-01' }
+        }
+      }
+    });
+    userAPI.getOrders.mockResolvedValue({
+      data: { data: [{ _id: 'order1234567890', createdAt: '2024-01-01', status: 'paid', totalPrice: 125.5 }] }
+    });
+
+    renderAdminUsers();
+    fireEvent.click(await screen.findByRole('button', { name: 'View jane@example.com' }));
+
+    expect(await screen.findByText('Lifetime spend')).toBeInTheDocument();
+    expect(screen.getAllByText('$125.50')).toHaveLength(2);
+    expect(screen.getByText('#34567890')).toBeInTheDocument();
+  });
+
+  it('should let support staff look users up without changing them', async () => {
+    useAuth.mockReturnValue({
+      user: { id: 'support1', role: 'support' },
+      hasPermission: (permission) => permission === 'users:read'
+    });
+
+    renderAdminUsers();
+
+    expect(await screen.findByText('jane@example.com')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'View jane@example.com' })).toBeInTheDocument();
+    expect(screen.queryByLabelText('Role for jane@example.com')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Disable jane@example.com' })).not.toBeInTheDocument();
+  });
+});
@@ -4,8 +4,8 @@ import api, { authAPI, productAPI, cartAPI, orderAPI } from '../../../src/utils/
 
 // Mock axios
 vi.mock('axios', () => {
-  const mockAxios = {
-    create: vi.fn(() => mockAxios),
+  // Callable like a real axios instance so interceptors can retry requests
+  const mockAxios = Object.assign(vi.fn(), {
     get: vi.fn(),
     post: vi.fn(),
     put: vi.fn(),
@@ -14,10 +14,14 @@ vi.mock('axios', () => {
       request: { use: vi.fn() },
       response: { use: vi.fn() }
     }
-  };
+  });
+  mockAxios.create = vi.fn(() => mockAxios);
   return { default: mockAxios };
 });
 
+// Captured before any test clears the mocks
+const [, handleResponseError] = axios.interceptors.response.use.mock.calls[0];
+
 describe('API Client', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -104,6 +108,82 @@ describe('API Client', () => {
     });
   });
 
+  describe('Token refresh', () => {
+    const unauthorized = (url = '/orders') => ({
+      response: { status: 401 },
+      config: { url, headers: {} }
+    });
+
+    beforeEach(() => {
+      delete window.location;
+      window.location = { href: '' };
+      localStorage.setItem('token', 'expired-token');
+      localStorage.setItem('refreshToken', 'refresh-1');
+      localStorage.setItem('user', '{}');
+    });
+
+    it('should refresh the access token and retry the request', async () => {
+      api.post.mockResolvedValue({ data: { data: { token: 'new-token', refreshToken: 'refresh-2' } } });
+      api.mockResolvedValue({ data: 'retried' });
+
+      const result = await handleResponseError(unauthorized());
+
+      expect(api.post).toHaveBeenCalledWith('/users/refresh', { refreshToken: 'refresh-1' });
+      expect(localStorage.getItem('token')).toBe('new-token');
+      expect(localStorage.getItem('refreshToken')).toBe('refresh-2');
+      expect(api).toHaveBeenCalledWith(expect.objectContaining({
+        url: '/orders',
+        _retry: true,
+        headers: { Authorization: 'Bearer new-token' }
+      }));
+      expect(result).toEqual({ data: 'retried' });
+      expect(window.location.href).toBe('');
+    });
+
+    it('should share one refresh between concurrent requests', async () => {
+      api.post.mockResolvedValue({ data: { data: { token: 'new-token', refreshToken: 'refresh-2' } } });
+      api.mockResolvedValue({ data: 'retried' });
+
+      await Promise.all([handleResponseError(unauthorized('/orders')), handleResponseError(unauthorized('/cart'))]);
+
+      expect(api.post).toHaveBeenCalledTimes(1);
+      expect(api).toHaveBeenCalledTimes(2);
+    });
+
+    it('should end the session when the refresh is rejected', async () => {
+      api.post.mockRejectedValueOnce({ response: { status: 401 } });
+
+      await expect(handleResponseError(unauthorized())).rejects.toBeDefined();
+
+      expect(localStorage.getItem('token')).toBeNull();
+      expect(localStorage.getItem('refreshToken')).toBeNull();
+      expect(localStorage.getItem('user')).toBeNull();
+      expect(window.location.href).toBe('/login');
+      expect(api).not.toHaveBeenCalled();
+    });
+
+    it('should not refresh when the login itself is rejected', async () => {
+      await expect(handleResponseError(unauthorized('/users/login'))).rejects.toBeDefined();
+
+      expect(api.post).not.toHaveBeenCalled();
+    });
+
+    it('should not refresh when a two-factor code is rejected', async () => {
+      await expect(handleResponseError(unauthorized('/users/login/2fa'))).rejects.toBeDefined();
+
+      expect(api.post).not.toHaveBeenCalled();
+    });
+
+    it('should pass other errors through untouched', async () => {
+      const error = { response: { status: 500 }, config: { url: '/orders', headers: {} } };
+
+      await expect(handleResponseError(error)).rejects.toBe(error);
+
+      expect(localStorage.getItem('token')).toBe('expired-token');
+      expect(api.post).not.toHaveBeenCalled();
+    });
+  });
+
   describe('authAPI', () => {
     // TDD Evidence:
     // RED: This test failed because authAPI.register did not exist
@@ -160,6 +240,24 @@ describe('API Client', () => {
       
       expect(api.get).toHaveBeenCalledWith('/products/search', { params });
     });
+
+    it('should upload gallery images as multipart form data', () => {
+      const formData = new FormData();
+      productAPI.uploadImages('p1', formData);
+
+      expect(api.post).toHaveBeenCalledWith('/products/p1/images', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+    });
+
+    it('should reorder and remove gallery images', () => {
+      const images = [{ _id: 'b' }, { _id: 'a', alt: 'Front' }];
+      productAPI.updateImages('p1', images);
+      productAPI.deleteImage('p1', 'a');
+
+      expect(api.put).toHaveBeenCalledWith('/products/p1/images', { images });
+      expect(api.delete).toHaveBeenCalledWith('/products/p1/images/a');
+    });
   });
 });
 